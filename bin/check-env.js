@@ -0,0 +1,13 @@
+#!/usr/bin/env node
+
+import { checkEnvUsage } from '../lib/check-env.js';
+import chalk from 'chalk';
+
+// npm run sam-smith:check-env
+try {
+    const problems = await checkEnvUsage(process.cwd());
+    process.exit(problems > 0 ? 1 : 0);
+} catch (error) {
+    console.error(chalk.red(`✗ Error: ${error.message}`));
+    process.exit(1);
+}
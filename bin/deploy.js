@@ -0,0 +1,18 @@
+#!/usr/bin/env node
+
+import { deployProject } from '../lib/deploy.js';
+import chalk from 'chalk';
+
+// npm run sam-smith:deploy -- [--env <environment>] [sam deploy options...]
+const args = process.argv.slice(2);
+const index = args.indexOf('--env');
+
+try {
+    await deployProject(process.cwd(), {
+        environment: index === -1 ? undefined : args[index + 1],
+        args: index === -1 ? args : args.filter((_, i) => i !== index && i !== index + 1),
+    });
+} catch (error) {
+    console.error(chalk.red(`✗ Error: ${error.message}`));
+    process.exit(1);
+}
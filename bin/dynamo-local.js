@@ -0,0 +1,17 @@
+#!/usr/bin/env node
+
+import { serveLocalDynamo, LOCAL_DYNAMO_PORT } from '../lib/dynamo-local.js';
+import chalk from 'chalk';
+
+const portIndex = process.argv.indexOf('--port');
+
+try {
+    await serveLocalDynamo(process.cwd(), {
+        port: portIndex !== -1 ? Number(process.argv[portIndex + 1]) : LOCAL_DYNAMO_PORT,
+        seed: process.argv.includes('--seed'),
+    });
+    process.exit(0);
+} catch (error) {
+    console.error(chalk.red(`✗ Error: ${error.message}`));
+    process.exit(1);
+}
@@ -3,8 +3,19 @@
 import inquirer from 'inquirer';
 import chalk from 'chalk';
 import { generateProject } from '../lib/generator.js';
+import { generateSwagger } from '../lib/doc.js';
+import { serveLocalDynamo, LOCAL_DYNAMO_PORT } from '../lib/dynamo-local.js';
+import { COMMANDS, HISTORY_COMMANDS, runCommand, runHistoryCommand, runSeedCommand, runSecretsCommand, runCheckEnvCommand, printCommandsUsage } from '../lib/commands.js';
+import {
+    parseFlags,
+    readAnswersFile,
+    validateAnswers,
+    validateDefaults,
+    validators,
+    TEMPLATE_CHOICES,
+    ARCHITECTURE_CHOICES,
+} from '../lib/cli.js';
 import dotenv from 'dotenv';
-import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
@@ -17,87 +28,206 @@ dotenv.config();
 // Check for commands
 const args = process.argv.slice(2);
 if (args[0] === 'doc') {
-    generateSwagger();
+    const outputIndex = args.indexOf('--output');
+    try {
+        await generateSwagger(process.cwd(), {
+            outputDir: outputIndex !== -1 ? args[outputIndex + 1] : undefined,
+        });
+        process.exit(0);
+    } catch (error) {
+        console.error(chalk.red('✗ Error generating documentation:'), error.message);
+        process.exit(1);
+    }
+}
+
+// In-memory DynamoDB with the tables of the project, served until the process stops
+if (args[0] === 'dynamo-local') {
+    const portIndex = args.indexOf('--port');
+    try {
+        await serveLocalDynamo(process.cwd(), {
+            port: portIndex !== -1 ? Number(args[portIndex + 1]) : LOCAL_DYNAMO_PORT,
+            seed: args.includes('--seed'),
+        });
+        process.exit(0);
+    } catch (error) {
+        console.error(chalk.red('✗ Error starting the local DynamoDB:'), error.message);
+        process.exit(1);
+    }
+}
+
+// Update subcommands, e.g. `sam-smith lambda create --name orders`
+if (Object.hasOwn(COMMANDS, args[0])) {
+    process.exit(await runCommand(args));
+}
+
+// Items of the seed files written to the tables
+if (args[0] === 'seed') {
+    process.exit(await runSeedCommand(args));
+}
+
+// Secret variables of .env pushed to SSM or Secrets Manager
+if (args[0] === 'secrets') {
+    process.exit(await runSecretsCommand(args));
+}
+
+// Variables read by the code of the Lambdas compared with template.yaml and the .env files
+if (args[0] === 'check-env') {
+    process.exit(await runCheckEnvCommand(args));
+}
+
+// Undo, redo and list the operations applied to the project
+if (HISTORY_COMMANDS.includes(args[0])) {
+    process.exit(await runHistoryCommand(args));
+}
+
+// Answers given as flags or in an answers file skip the matching questions
+const { flags, errors: flagErrors } = parseFlags(args, { booleans: ['yes', 'help'], aliases: { y: 'yes', h: 'help' } });
+const { yes = false, help = false, answers: answersFile, ...flagAnswers } = flags;
+
+if (help) {
+    printUsage();
     process.exit(0);
 }
 
+let fileAnswers = {};
+if (answersFile) {
+    try {
+        fileAnswers = await readAnswersFile(answersFile);
+    } catch (error) {
+        exitWithErrors([error.message]);
+    }
+}
+
+const presetAnswers = { ...fileAnswers, ...flagAnswers };
+const validationErrors = [...flagErrors, ...validateAnswers(presetAnswers)];
+if (presetAnswers.timeout !== undefined) {
+    presetAnswers.timeout = Number(presetAnswers.timeout);
+}
+
+// With --yes every question that has a default is answered with it, once validated as the flags are
+if (yes) {
+    if (presetAnswers.projectName === undefined) {
+        validationErrors.push('--project-name is required with --yes.');
+    } else {
+        const defaults = Object.fromEntries(Object.entries({
+            template: 'basic',
+            environment: 'dev',
+            architecture: defaultArchitecture(),
+            apiName: presetAnswers.projectName + '-api',
+            functionName: presetAnswers.projectName,
+            timeout: 60,
+            poolName: 'main',
+        }).filter(([name]) => presetAnswers[name] === undefined));
+        validationErrors.push(...validateDefaults(defaults));
+        Object.assign(presetAnswers, defaults);
+    }
+}
+
+if (validationErrors.length > 0) {
+    exitWithErrors(validationErrors);
+}
+
 console.log(chalk.blue.bold('Welcome to sam-smith!'));
 console.log(chalk.gray('Generate a new AWS SAM project\n'));
 
-// Define available templates
-const templateChoices = ['basic', 'basic-auth', 'cognito-auth'];
-
 const questions = [
     {
         type: 'rawlist',
         name: 'template',
         message: 'Which template do you want to use?',
-        choices: templateChoices,
+        choices: TEMPLATE_CHOICES,
         default: 'basic',
     },
     {
         type: 'input',
         name: 'projectName',
         message: 'What is the name of your project?',
-        validate: function (value) {
-            if (!value.length) {
-                return 'Please enter a valid project name.';
-            }
-            const projectPath = path.join(process.cwd(), value);
-            if (fs.existsSync(projectPath)) {
-                return `Directory '${value}' already exists. Please choose a different name.`;
-            }
-            return true;
-        },
+        validate: validators.projectName,
     },
     {
         type: 'input',
         name: 'environment',
         message: 'What is your environment?',
         default: 'dev',
-        validate: function (value) {
-            if (!value.length) {
-                return 'Please enter a valid environment name.';
-            }
-            return true;
-        },
+        validate: validators.environment,
     },
 
     {
         type: 'list',
         name: 'architecture',
         message: 'Which architecture do you want to use?',
-        choices: ['x86_64', 'arm64'],
-        default: process.arch === 'arm64' ? 'arm64' : 'x86_64',
+        choices: ARCHITECTURE_CHOICES,
+        default: defaultArchitecture(),
     },
     {
         type: 'input',
         name: 'apiName',
         message: 'What is the name of your API Gateway?',
         default: (answers) => answers.projectName + '-api',
+        validate: validators.apiName,
     },
     {
         type: 'input',
         name: 'functionName',
         message: 'What is the name of your Lambda function?',
         default: (answers) => answers.projectName,
+        validate: validators.functionName,
     },
     {
         type: 'input',
         name: 'timeout',
         message: 'What is the timeout in seconds?',
         default: '60',
-        validate: function (value) {
-            const valid = !isNaN(parseFloat(value)) && parseFloat(value) > 0;
-            return valid || 'Please enter a valid number greater than 0';
-        },
+        validate: validators.timeout,
         filter: Number,
     },
 ];
 
-inquirer.prompt(questions).then(async (answers) => {
-    generateProject(answers.projectName, answers.functionName, answers.apiName, answers.timeout, [], answers.template, answers.architecture, answers.environment);
+inquirer.prompt(questions, presetAnswers).then(async (answers) => {
+    await generateProject(answers.projectName, answers.functionName, answers.apiName, answers.timeout, [], answers.template, answers.architecture, answers.environment, {
+        poolName: answers.poolName,
+    });
 }).catch((error) => {
     console.error(chalk.red('Error:', error.message));
     process.exit(1);
 });
+
+function defaultArchitecture() {
+    return process.arch === 'arm64' ? 'arm64' : 'x86_64';
+}
+
+function exitWithErrors(messages) {
+    messages.forEach(message => console.error(chalk.red(`✗ Error: ${message}`)));
+    console.error(chalk.gray('Run sam-smith --help to see the available options.'));
+    process.exit(2);
+}
+
+function printUsage() {
+    console.log(`Usage: sam-smith [options]
+       sam-smith doc [--output <dir>]
+       sam-smith dynamo-local [--port <port>] [--seed]
+       sam-smith seed [--table <name>,...] [--local | --endpoint <url>] [--dry-run]
+       sam-smith secrets push [--name <NAME>,...] [--dry-run]
+       sam-smith check-env
+       sam-smith <resource> <action> [options]
+       sam-smith undo|redo [--force]
+       sam-smith history
+
+Options (questions not given are asked interactively):
+  --template <name>        ${TEMPLATE_CHOICES.join(' | ')} (default: basic)
+  --project-name <name>    Name of the project directory
+  --environment <name>     Environment name (default: dev)
+  --architecture <arch>    ${ARCHITECTURE_CHOICES.join(' | ')} (default: ${defaultArchitecture()})
+  --api-name <name>        API Gateway name (default: <project-name>-api)
+  --function-name <name>   Lambda function name (default: <project-name>)
+  --timeout <seconds>      Lambda timeout (default: 60)
+  --pool-name <name>       Cognito User Pool name for cognito-auth (default: main)
+  --answers <file>         JSON or YAML file with any of the answers above
+  -y, --yes                Accept the defaults of every question not given
+  -h, --help               Show this help
+
+Invalid options exit with code 2. If the authentication of the template cannot be added,
+the project is kept and the command exits with code 1.
+`);
+    printCommandsUsage();
+}
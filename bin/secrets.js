@@ -0,0 +1,19 @@
+#!/usr/bin/env node
+
+import { pushSecrets } from '../lib/secrets.js';
+import chalk from 'chalk';
+
+// npm run sam-smith:secrets-push -- [--name <NAME>,...] [--dry-run]
+const args = process.argv.slice(2);
+const valueOf = (flag) => (args.includes(flag) ? args[args.indexOf(flag) + 1] : undefined);
+const names = valueOf('--name');
+
+try {
+    await pushSecrets(process.cwd(), {
+        ...(names && { names: names.split(',').map(name => name.trim()).filter(Boolean) }),
+        dryRun: args.includes('--dry-run'),
+    });
+} catch (error) {
+    console.error(chalk.red(`✗ Error: ${error.message}`));
+    process.exit(1);
+}
@@ -0,0 +1,21 @@
+#!/usr/bin/env node
+
+import { seedProject } from '../lib/seed.js';
+import { LOCAL_DYNAMO_PORT } from '../lib/dynamo-local.js';
+import chalk from 'chalk';
+
+// npm run sam-smith:seed -- [--table <name>,...] [--local | --endpoint <url>] [--dry-run]
+const args = process.argv.slice(2);
+const valueOf = (flag) => (args.includes(flag) ? args[args.indexOf(flag) + 1] : undefined);
+const tables = valueOf('--table');
+
+try {
+    await seedProject(process.cwd(), {
+        ...(tables && { tables: tables.split(',').map(table => table.trim()).filter(Boolean) }),
+        endpoint: args.includes('--local') ? `http://localhost:${LOCAL_DYNAMO_PORT}` : valueOf('--endpoint'),
+        dryRun: args.includes('--dry-run'),
+    });
+} catch (error) {
+    console.error(chalk.red(`✗ Error: ${error.message}`));
+    process.exit(1);
+}
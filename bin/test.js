@@ -31,6 +31,29 @@ import { testAddAndRemoveLayersFromLambda } from '../tests/testAddAndRemoveLayer
 import { testCreateAndDeleteTables } from '../tests/testCreateAndDeleteTables.js';
 import { testAddAndRemoveTablesFromLambda } from '../tests/testAddAndRemoveTablesFromLambda.js';
 import { testCognitoAuthWorkflow } from '../tests/testCognitoAuthWorkflow.js';
+import { testGenerateDocs } from '../tests/testGenerateDocs.js';
+import { testNonInteractiveFlags } from '../tests/testNonInteractiveFlags.js';
+import { testSubcommands } from '../tests/testSubcommands.js';
+import { testDryRun } from '../tests/testDryRun.js';
+import { testUndoRedo } from '../tests/testUndoRedo.js';
+import { testAtomicWrites } from '../tests/testAtomicWrites.js';
+import { testQueues } from '../tests/testQueues.js';
+import { testSchedules } from '../tests/testSchedules.js';
+import { testBuckets } from '../tests/testBuckets.js';
+import { testMessaging } from '../tests/testMessaging.js';
+import { testTableStreams } from '../tests/testTableStreams.js';
+import { testTableIndexes } from '../tests/testTableIndexes.js';
+import { testTableOptions } from '../tests/testTableOptions.js';
+import { testTableAccess } from '../tests/testTableAccess.js';
+import { testTableRepository } from '../tests/testTableRepository.js';
+import { testLocalDynamo } from '../tests/testLocalDynamo.js';
+import { testSeeds } from '../tests/testSeeds.js';
+import { testAlterTableKeys } from '../tests/testAlterTableKeys.js';
+import { testSecrets } from '../tests/testSecrets.js';
+import { testEnvironments } from '../tests/testEnvironments.js';
+import { testLambdaVariables } from '../tests/testLambdaVariables.js';
+import { testConfigModule } from '../tests/testConfigModule.js';
+import { testCheckEnv } from '../tests/testCheckEnv.js';
 
 /**
  * Clean up testOutput directory before running tests
@@ -76,7 +99,30 @@ async function runTests() {
         { name: 'testAddAndRemoveLayersFromLambda', fn: testAddAndRemoveLayersFromLambda },
         { name: 'testCreateAndDeleteTables', fn: testCreateAndDeleteTables },
         { name: 'testAddAndRemoveTablesFromLambda', fn: testAddAndRemoveTablesFromLambda },
-        { name: 'testCognitoAuthWorkflow', fn: testCognitoAuthWorkflow }
+        { name: 'testCognitoAuthWorkflow', fn: testCognitoAuthWorkflow },
+        { name: 'testGenerateDocs', fn: testGenerateDocs },
+        { name: 'testNonInteractiveFlags', fn: testNonInteractiveFlags },
+        { name: 'testSubcommands', fn: testSubcommands },
+        { name: 'testDryRun', fn: testDryRun },
+        { name: 'testUndoRedo', fn: testUndoRedo },
+        { name: 'testAtomicWrites', fn: testAtomicWrites },
+        { name: 'testQueues', fn: testQueues },
+        { name: 'testSchedules', fn: testSchedules },
+        { name: 'testBuckets', fn: testBuckets },
+        { name: 'testMessaging', fn: testMessaging },
+        { name: 'testTableStreams', fn: testTableStreams },
+        { name: 'testTableIndexes', fn: testTableIndexes },
+        { name: 'testTableOptions', fn: testTableOptions },
+        { name: 'testTableAccess', fn: testTableAccess },
+        { name: 'testTableRepository', fn: testTableRepository },
+        { name: 'testLocalDynamo', fn: testLocalDynamo },
+        { name: 'testSeeds', fn: testSeeds },
+        { name: 'testAlterTableKeys', fn: testAlterTableKeys },
+        { name: 'testSecrets', fn: testSecrets },
+        { name: 'testEnvironments', fn: testEnvironments },
+        { name: 'testLambdaVariables', fn: testLambdaVariables },
+        { name: 'testConfigModule', fn: testConfigModule },
+        { name: 'testCheckEnv', fn: testCheckEnv }
     ];
 
     // Filter tests if a specific test name is provided
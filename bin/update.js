@@ -4,8 +4,8 @@ import { updateProject } from '../lib/update.js';
 import chalk from 'chalk';
 
 try {
-    await updateProject();
+    await updateProject({ dryRun: process.argv.includes('--dry-run') });
 } catch (error) {
-    console.error(chalk.red('Error:', error.message));
+    console.error(chalk.red(`✗ Error: ${error.message}`));
     process.exit(1);
 }
@@ -0,0 +1,5 @@
+export * from './lib/project.js';
+export * from './lib/operations.js';
+export * from './lib/preview.js';
+export * from './lib/history.js';
+export * as template from './lib/template.js';
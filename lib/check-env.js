@@ -0,0 +1,323 @@
+import fs from 'fs-extra';
+import path from 'path';
+import ts from 'typescript';
+import chalk from 'chalk';
+import { loadProject } from './project.js';
+import {
+    getFunctionNames,
+    getHandler,
+    getRefList,
+    getLayerPath,
+    getEnvironmentVariables,
+    getEnvironmentVariableOffsets,
+    getDeclaredVariables,
+    getSecretParameters,
+} from './template.js';
+import { getProjectVariables, getLambdaVariables } from './operations.js';
+
+// Variables set by the Lambda runtime (and every AWS_* one), or by sam-smith for the local
+// DynamoDB: read without being declared in template.yaml
+const RUNTIME_VARIABLES = [
+    '_HANDLER',
+    '_X_AMZN_TRACE_ID',
+    'LAMBDA_TASK_ROOT',
+    'LAMBDA_RUNTIME_DIR',
+    'LANG',
+    'LD_LIBRARY_PATH',
+    'NODE_PATH',
+    'NODE_OPTIONS',
+    'NODE_ENV',
+    'PATH',
+    'TZ',
+    'DYNAMODB_ENDPOINT',
+];
+
+// Readers of src/utils/config.ts: `required(env, 'NAME')`, `secret(env, 'NAME')`...
+const CONFIG_READERS = ['required', 'number', 'boolean', 'secret'];
+
+const COMPILER_OPTIONS = {
+    moduleResolution: ts.ModuleResolutionKind.Node10,
+    allowJs: true,
+    resolveJsonModule: true,
+};
+
+/**
+ * Line of a file of the project
+ * @typedef {Object} SourceLocation
+ * @property {string} file - Path relative to the project
+ * @property {number} line - Line number, from 1
+ */
+
+/**
+ * Variables read by the code of the Lambdas compared with template.yaml and the .env files
+ * @typedef {Object} EnvUsageReport
+ * @property {{functionName: string, files: string[]}[]} lambdas - Lambdas analyzed, with the files their entry point imports
+ * @property {{functionName: string, name: string, locations: SourceLocation[]}[]} undeclared - Read by a Lambda, missing from its Environment.Variables
+ * @property {{functionName: string, name: string, location: SourceLocation}[]} unused - In the Environment.Variables of a Lambda, never read by its code
+ * @property {{functionName: string, name: string, locations: SourceLocation[]}[]} missing - Read by a Lambda, in no .env file and not set from a resource
+ */
+
+/**
+ * Find the variables each Lambda reads: `process.env.NAME`, `process.env['NAME']`,
+ * `const { NAME } = process.env`, `getSecret('NAME')` and the variables of the configs of
+ * src/utils/config.ts, in its entry point and every file it imports (src/utils, layers...).
+ * Variables set by the Lambda runtime are ignored
+ * @param {import('./project.js').ProjectState} state - Project state
+ * @returns {Promise<EnvUsageReport>}
+ */
+export async function analyzeEnvUsage(state) {
+    const doc = state.template;
+    const source = await fs.readFile(path.join(state.path, 'template.yaml'), 'utf8');
+    const secrets = getSecretParameters(doc);
+    const { env, secrets: projectSecrets } = getProjectVariables(state);
+    const { lambdas: lambdaValues } = getLambdaVariables(state);
+    const report = { lambdas: [], undeclared: [], unused: [], missing: [] };
+
+    for (const functionName of getFunctionNames(doc)) {
+        const entryPoint = await findEntryPoint(state, doc, functionName);
+        if (!entryPoint) {
+            continue;
+        }
+        const layers = getRefList(doc, functionName, 'Layers')
+            .map(layer => getLayerPath(doc, layer))
+            .filter(Boolean)
+            .map(layerPath => path.join(state.path, layerPath));
+        const { files, uses } = await readEnvUses(state.path, entryPoint, layers);
+        report.lambdas.push({ functionName, files });
+
+        // <NAME>_SECRET is the secret NAME, read with getSecret()
+        const declared = getDeclaredVariables(doc, functionName);
+        const variables = getEnvironmentVariables(doc, functionName);
+        const offsets = getEnvironmentVariableOffsets(doc, functionName);
+        const nameOf = key => {
+            const base = key.endsWith('_SECRET') ? key.slice(0, -'_SECRET'.length) : null;
+            return base && secrets[base] && declared.includes(base) ? base : key;
+        };
+        const wired = variables.map(nameOf);
+        const fromResources = variables.filter(key => !declared.includes(nameOf(key)));
+        const read = groupUses(uses.map(use => ({ ...use, name: nameOf(use.name) }))
+            .filter(({ name }) => !isRuntimeVariable(name)));
+
+        for (const [name, locations] of read) {
+            if (!wired.includes(name)) {
+                report.undeclared.push({ functionName, name, locations });
+            }
+            const inEnvFiles = Object.hasOwn(env, name) || Object.hasOwn(projectSecrets, name)
+                || Object.hasOwn(lambdaValues[functionName] ?? {}, name);
+            if (!inEnvFiles && !fromResources.includes(name)) {
+                report.missing.push({ functionName, name, locations });
+            }
+        }
+        variables.filter(key => !read.has(nameOf(key))).forEach(key => {
+            const offset = offsets[key];
+            report.unused.push({
+                functionName,
+                name: nameOf(key),
+                location: { file: 'template.yaml', line: offset === undefined ? 0 : source.slice(0, offset).split('\n').length },
+            });
+        });
+    }
+    return report;
+}
+
+/**
+ * Print the variables read but not declared, declared but not read, and missing from the
+ * .env files, of every Lambda of the project
+ * @param {string} projectPath - Absolute path to the project
+ * @returns {Promise<number>} Number of problems found
+ */
+export async function checkEnvUsage(projectPath) {
+    const state = await loadProject(projectPath);
+    const { lambdas, undeclared, unused, missing } = await analyzeEnvUsage(state);
+    const where = ({ file, line }) => `${file}:${line}`;
+
+    console.log(chalk.blue(`Checking the environment variables of ${lambdas.length} Lambda${lambdas.length === 1 ? '' : 's'}...`));
+
+    if (undeclared.length > 0) {
+        console.log(chalk.red('\n✗ Read but not in the Environment.Variables of the Lambda in template.yaml:'));
+        undeclared.forEach(({ functionName, name, locations }) => {
+            console.log(chalk.red(`  ${name} (${functionName})`));
+            locations.forEach(location => console.log(chalk.gray(`    ${where(location)}`)));
+        });
+        console.log(chalk.gray('  Select them in npm run sam-smith:update (Lambdas > update lambda), or with sam-smith lambda update --env.'));
+    }
+
+    if (unused.length > 0) {
+        console.log(chalk.yellow('\n✗ In the Environment.Variables of the Lambda but never read:'));
+        unused.forEach(({ functionName, name, location }) => {
+            console.log(chalk.yellow(`  ${name} (${functionName})`));
+            console.log(chalk.gray(`    ${where(location)}`));
+        });
+    }
+
+    if (missing.length > 0) {
+        console.log(chalk.red('\n✗ Read but missing from the .env files:'));
+        missing.forEach(({ functionName, name, locations }) => {
+            console.log(chalk.red(`  ${name} (${functionName})`));
+            locations.forEach(location => console.log(chalk.gray(`    ${where(location)}`)));
+        });
+    }
+
+    const problems = undeclared.length + unused.length + missing.length;
+    if (problems === 0) {
+        console.log(chalk.green('\n✓ Every variable read is declared and set in the .env files.'));
+    }
+    return problems;
+}
+
+// Entry point of a Lambda, from its handler ("orders/handler.orders" -> src/orders/handler.ts)
+async function findEntryPoint(state, doc, functionName) {
+    const handlerParts = (getHandler(doc, functionName) || '').split('.');
+    if (handlerParts.length < 2) {
+        return null;
+    }
+    for (const extension of ['.ts', '.js']) {
+        const file = path.join(state.path, 'src', `${handlerParts[0]}${extension}`);
+        if (await fs.pathExists(file)) {
+            return file;
+        }
+    }
+    return null;
+}
+
+function isRuntimeVariable(name) {
+    return name.startsWith('AWS_') || RUNTIME_VARIABLES.includes(name);
+}
+
+// Locations of each variable, in the order they are read
+function groupUses(uses) {
+    const read = new Map();
+    for (const { name, file, line } of uses) {
+        read.set(name, [...(read.get(name) ?? []), { file, line }]);
+    }
+    return read;
+}
+
+/**
+ * Variables read by a file and the files of the project it imports, recursively. Imports
+ * of `/opt/nodejs/...` are looked for in the layers of the Lambda; packages are skipped
+ * @returns {Promise<{files: string[], uses: {name: string, file: string, line: number}[]}>}
+ */
+async function readEnvUses(projectPath, entryPoint, layers) {
+    const sourceFiles = new Map();
+    const uses = [];
+    const pending = [entryPoint];
+
+    const parse = async file => {
+        if (!sourceFiles.has(file)) {
+            sourceFiles.set(file, ts.createSourceFile(file, await fs.readFile(file, 'utf8'), ts.ScriptTarget.Latest, true));
+        }
+        return sourceFiles.get(file);
+    };
+    const resolve = (specifier, containingFile) => {
+        const layerImport = specifier.match(/^\/opt\/(?:nodejs\/)?(.+)$/);
+        const candidates = layerImport
+            ? layers.map(layer => [`./${layerImport[1]}`, path.join(layer, 'index.ts')])
+            : [[specifier, containingFile]];
+        for (const [name, from] of candidates) {
+            const { resolvedModule } = ts.resolveModuleName(name, from, COMPILER_OPTIONS, ts.sys);
+            if (resolvedModule && !resolvedModule.isExternalLibraryImport && !resolvedModule.resolvedFileName.endsWith('.d.ts')
+                && resolvedModule.resolvedFileName.startsWith(projectPath)) {
+                return resolvedModule.resolvedFileName;
+            }
+        }
+        return null;
+    };
+
+    const visited = new Set();
+    while (pending.length > 0) {
+        const file = pending.shift();
+        if (visited.has(file)) {
+            continue;
+        }
+        visited.add(file);
+        const sourceFile = await parse(file);
+        const relative = path.relative(projectPath, file);
+        const lineOf = node => sourceFile.getLineAndCharacterOfPosition(node.getStart(sourceFile)).line + 1;
+        const use = (name, node) => uses.push({ name, file: relative, line: lineOf(node) });
+        // Local name -> { file, name } of the functions imported from the project
+        const imported = new Map();
+        const calls = [];
+
+        const visit = node => {
+            const specifier = getModuleSpecifier(node);
+            if (specifier) {
+                const resolved = resolve(specifier, file);
+                if (resolved) {
+                    pending.push(resolved);
+                    const bindings = ts.isImportDeclaration(node) && node.importClause && node.importClause.namedBindings;
+                    if (bindings && ts.isNamedImports(bindings)) {
+                        bindings.elements.forEach(element => imported.set(element.name.text, {
+                            file: resolved,
+                            name: (element.propertyName ?? element.name).text,
+                        }));
+                    }
+                }
+            }
+
+            if (ts.isPropertyAccessExpression(node) && isProcessEnv(node.expression)) {
+                use(node.name.text, node);
+            } else if (ts.isElementAccessExpression(node) && isProcessEnv(node.expression) && ts.isStringLiteralLike(node.argumentExpression)) {
+                use(node.argumentExpression.text, node);
+            } else if (ts.isVariableDeclaration(node) && node.initializer && isProcessEnv(node.initializer) && ts.isObjectBindingPattern(node.name)) {
+                node.name.elements.forEach(element => {
+                    const key = element.propertyName ?? element.name;
+                    if (ts.isIdentifier(key) || ts.isStringLiteralLike(key)) {
+                        use(key.text, element);
+                    }
+                });
+            } else if (ts.isCallExpression(node) && ts.isIdentifier(node.expression)) {
+                const [first] = node.arguments;
+                if (node.expression.text === 'getSecret' && first && ts.isStringLiteralLike(first)) {
+                    use(first.text, node);
+                } else {
+                    calls.push(node);
+                }
+            }
+            ts.forEachChild(node, visit);
+        };
+        visit(sourceFile);
+
+        // loadOrdersConfig() reads the variables its config lists in src/utils/config.ts
+        for (const call of calls) {
+            const target = imported.get(call.expression.text);
+            if (target && target.file === path.join(projectPath, 'src/utils/config.ts')) {
+                getConfigVariables(await parse(target.file), target.name).forEach(name => use(name, call));
+            }
+        }
+    }
+    return { files: [...visited].map(file => path.relative(projectPath, file)), uses };
+}
+
+// `process.env`
+function isProcessEnv(node) {
+    return ts.isPropertyAccessExpression(node) && ts.isIdentifier(node.expression)
+        && node.expression.text === 'process' && node.name.text === 'env';
+}
+
+// Module of `import ... from`, `export ... from`, `import()` and `require()`
+function getModuleSpecifier(node) {
+    if ((ts.isImportDeclaration(node) || ts.isExportDeclaration(node)) && node.moduleSpecifier && ts.isStringLiteralLike(node.moduleSpecifier)) {
+        return node.moduleSpecifier.text;
+    }
+    const dynamic = ts.isCallExpression(node) && node.arguments.length === 1 && ts.isStringLiteralLike(node.arguments[0])
+        && (node.expression.kind === ts.SyntaxKind.ImportKeyword || (ts.isIdentifier(node.expression) && node.expression.text === 'require'));
+    return dynamic ? node.arguments[0].text : null;
+}
+
+// Variables read by a load<Name>Config() function of src/utils/config.ts
+function getConfigVariables(sourceFile, functionName) {
+    const declaration = sourceFile.statements.find(statement => ts.isFunctionDeclaration(statement) && statement.name && statement.name.text === functionName);
+    const names = [];
+    const visit = node => {
+        if (ts.isCallExpression(node) && ts.isIdentifier(node.expression) && CONFIG_READERS.includes(node.expression.text)
+            && node.arguments.length === 2 && ts.isStringLiteralLike(node.arguments[1])) {
+            names.push(node.arguments[1].text);
+        }
+        ts.forEachChild(node, visit);
+    };
+    if (declaration) {
+        visit(declaration);
+    }
+    return names;
+}
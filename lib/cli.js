@@ -0,0 +1,175 @@
+import fs from 'fs-extra';
+import path from 'path';
+import YAML from 'yaml';
+
+export const TEMPLATE_CHOICES = ['basic', 'basic-auth', 'cognito-auth'];
+export const ARCHITECTURE_CHOICES = ['x86_64', 'arm64'];
+
+/**
+ * Answers of the project generator that can be given as flags or in an answers file.
+ * Flags are the kebab-case version of the name (projectName -> --project-name)
+ */
+export const GENERATOR_ANSWERS = [
+    'template',
+    'projectName',
+    'environment',
+    'architecture',
+    'apiName',
+    'functionName',
+    'timeout',
+    'poolName',
+];
+
+/**
+ * Parse command line arguments into flags and positionals.
+ * Supports `--name value`, `--name=value` and boolean flags (`--yes`, `-y`).
+ * Flag names are converted to camelCase (--project-name -> projectName)
+ * @param {string[]} args - Arguments (process.argv.slice(2))
+ * @param {Object} [options]
+ * @param {string[]} [options.booleans] - Flags that do not take a value
+ * @param {Object<string, string>} [options.aliases] - Short flags, e.g. { y: 'yes' }
+ * @returns {{flags: Object<string, string|boolean>, positionals: string[], errors: string[]}}
+ */
+export function parseFlags(args, options = {}) {
+    const { booleans = [], aliases = {} } = options;
+    const flags = {};
+    const positionals = [];
+    const errors = [];
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+
+        if (arg.startsWith('--')) {
+            const [rawName, ...valueParts] = arg.slice(2).split('=');
+            const name = toCamelCase(rawName);
+            if (booleans.includes(name)) {
+                flags[name] = true;
+            } else if (valueParts.length > 0) {
+                flags[name] = valueParts.join('=');
+            } else if (i + 1 < args.length && (!args[i + 1].startsWith('-') || /^-\d/.test(args[i + 1]))) {
+                flags[name] = args[++i];
+            } else {
+                errors.push(`Missing value for --${rawName}`);
+            }
+        } else if (arg.startsWith('-') && arg.length > 1) {
+            const name = aliases[arg.slice(1)];
+            if (name) {
+                flags[name] = true;
+            } else {
+                errors.push(`Unknown option ${arg}`);
+            }
+        } else {
+            positionals.push(arg);
+        }
+    }
+
+    return { flags, positionals, errors };
+}
+
+/**
+ * Read an answers file. JSON and YAML are both accepted (JSON is valid YAML)
+ * @param {string} filePath - Path to the file, relative to the current directory
+ * @returns {Promise<Object>} Answers keyed by question name
+ */
+export async function readAnswersFile(filePath) {
+    const absolutePath = path.resolve(process.cwd(), filePath);
+    if (!await fs.pathExists(absolutePath)) {
+        throw new Error(`Answers file ${filePath} not found.`);
+    }
+
+    let answers;
+    try {
+        answers = YAML.parse(await fs.readFile(absolutePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Invalid answers file ${filePath}: ${error.message}`);
+    }
+
+    if (!answers || typeof answers !== 'object' || Array.isArray(answers)) {
+        throw new Error(`Invalid answers file ${filePath}: expected an object of answers.`);
+    }
+    return answers;
+}
+
+/**
+ * Validators shared by the interactive questions and the flags.
+ * Each returns true or an error message, like inquirer validate functions
+ */
+export const validators = {
+    template: (value) => TEMPLATE_CHOICES.includes(value)
+        || `Invalid template '${value}'. Expected one of: ${TEMPLATE_CHOICES.join(', ')}.`,
+    projectName: (value) => {
+        if (!value.length) {
+            return 'Please enter a valid project name.';
+        }
+        const projectPath = path.join(process.cwd(), value);
+        if (fs.existsSync(projectPath)) {
+            return `Directory '${value}' already exists. Please choose a different name.`;
+        }
+        return true;
+    },
+    environment: (value) => value.length > 0 || 'Please enter a valid environment name.',
+    architecture: (value) => ARCHITECTURE_CHOICES.includes(value)
+        || `Invalid architecture '${value}'. Expected one of: ${ARCHITECTURE_CHOICES.join(', ')}.`,
+    apiName: (value) => /^[a-zA-Z0-9_-]+$/.test(value)
+        || 'Please enter a valid API Gateway name (letters, numbers, - and _).',
+    functionName: (value) => /^[a-zA-Z0-9_-]+$/.test(value)
+        || 'Please enter a valid function name (letters, numbers, - and _).',
+    timeout: (value) => (value.trim() !== '' && Number.isInteger(Number(value)) && Number(value) >= 1 && Number(value) <= 900)
+        || 'Please enter a whole number of seconds between 1 and 900',
+    poolName: (value) => /^[a-zA-Z0-9]+$/.test(value)
+        || 'Please enter a valid pool name (letters and numbers).',
+};
+
+/**
+ * Validate answers given as flags or in an answers file
+ * @param {Object} answers - Answers keyed by question name
+ * @returns {string[]} Error messages (empty when every answer is valid)
+ */
+export function validateAnswers(answers) {
+    const errors = [];
+
+    for (const [name, value] of Object.entries(answers)) {
+        if (!GENERATOR_ANSWERS.includes(name)) {
+            errors.push(`Unknown option ${toFlag(name)}.`);
+            continue;
+        }
+        const result = validators[name](String(value));
+        if (result !== true) {
+            errors.push(`${toFlag(name)}: ${result}`);
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Validate the defaults used with --yes for the questions not answered. The API Gateway and
+ * Lambda names default to the project name, which may not be a valid name for them
+ * @param {Object} defaults - Defaults keyed by question name
+ * @returns {string[]} Error messages (empty when every default is valid)
+ */
+export function validateDefaults(defaults) {
+    const errors = [];
+
+    for (const [name, value] of Object.entries(defaults)) {
+        const result = validators[name](String(value));
+        if (result !== true) {
+            errors.push(`${toFlag(name)} defaults to '${value}': ${result} Pass ${toFlag(name)} to set it.`);
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Flag spelling of an answer name (projectName -> --project-name)
+ * @param {string} name - Answer name
+ * @returns {string}
+ */
+export function toFlag(name) {
+    return `--${name.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)}`;
+}
+
+function toCamelCase(name) {
+    return name.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+}
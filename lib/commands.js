@@ -0,0 +1,1413 @@
+import fs from 'fs-extra';
+import path from 'path';
+import chalk from 'chalk';
+import { parseFlags, toFlag, validators as generatorValidators } from './cli.js';
+import { getFunctionNames } from './template.js';
+import { loadProject } from './project.js';
+import { previewChanges } from './preview.js';
+import { applyTransaction, getHistory, undo, redo } from './history.js';
+import { seedProject } from './seed.js';
+import { pushSecrets } from './secrets.js';
+import { checkEnvUsage } from './check-env.js';
+import { LOCAL_DYNAMO_PORT } from './dynamo-local.js';
+import * as operations from './operations.js';
+import { HTTP_METHODS } from './operations.js';
+
+/**
+ * Validators of the subcommand flags. Each returns true or an error message
+ */
+const validators = {
+    name: (value) => /^[a-zA-Z0-9]+$/.test(value)
+        || `Invalid name '${value}'. Use letters and numbers only.`,
+    timeout: generatorValidators.timeout,
+    method: (value) => HTTP_METHODS.includes(value.toLowerCase())
+        || `Invalid method '${value}'. Expected one of: ${HTTP_METHODS.join(', ')}.`,
+    path: (value) => value.startsWith('/') || 'Path must start with /',
+    keys: (value) => operations.validateTableKey(value, 'Key'),
+    authType: (value) => ['basic', 'cognito'].includes(value)
+        || `Invalid type '${value}'. Expected one of: basic, cognito.`,
+    batchSize: (value) => operations.validateInteger(value, 'Batch size', 1, 10000),
+    batchingWindow: (value) => operations.validateInteger(value, 'Batching window', 0, 300),
+    maxReceiveCount: (value) => operations.validateInteger(value, 'Max receive count', 1, 1000),
+    visibilityTimeout: (value) => operations.validateInteger(value, 'Visibility timeout', 0, 43200),
+    schedule: (value) => operations.validateScheduleExpression(value),
+    scheduleInput: (value) => operations.validateScheduleInput(value),
+    encryption: (value) => operations.BUCKET_ENCRYPTIONS.includes(value)
+        || `Invalid encryption '${value}'. Expected one of: ${operations.BUCKET_ENCRYPTIONS.join(', ')}.`,
+    tableAccess: (value) => operations.TABLE_ACCESS.includes(value)
+        || `Invalid access '${value}'. Expected one of: ${operations.TABLE_ACCESS.join(', ')}.`,
+    bucketAccess: (value) => operations.BUCKET_ACCESS.includes(value)
+        || `Invalid access '${value}'. Expected one of: ${operations.BUCKET_ACCESS.join(', ')}.`,
+    expirationDays: (value) => operations.validateInteger(value, 'Expiration days', 1, 36500),
+    infrequentAccessDays: (value) => operations.validateInteger(value, 'Infrequent access days', 30, 36500),
+    prefix: (value) => operations.validateKeyFilter(value, 'Prefix'),
+    suffix: (value) => operations.validateKeyFilter(value, 'Suffix'),
+    expiresIn: (value) => operations.validateInteger(value, 'URL expiration', 1, 604800),
+    eventPattern: (value) => operations.validateEventPattern(value),
+    // The scope is checked by the operation: message body filter policies are the most permissive
+    filterPolicy: (value) => operations.validateFilterPolicy(value, 'MessageBody'),
+    filterScope: (value) => operations.FILTER_POLICY_SCOPES.includes(value)
+        || `Invalid scope '${value}'. Expected one of: ${operations.FILTER_POLICY_SCOPES.join(', ')}.`,
+    viewType: (value) => operations.STREAM_VIEW_TYPES.includes(value)
+        || `Invalid view type '${value}'. Expected one of: ${operations.STREAM_VIEW_TYPES.join(', ')}.`,
+    startingPosition: (value) => operations.STARTING_POSITIONS.includes(value)
+        || `Invalid starting position '${value}'. Expected one of: ${operations.STARTING_POSITIONS.join(', ')}.`,
+    retryAttempts: (value) => operations.validateInteger(value, 'Retry attempts', -1, 10000),
+    indexName: (value) => operations.validateIndexName(value),
+    projection: (value) => operations.INDEX_PROJECTIONS.includes(value)
+        || `Invalid projection '${value}'. Expected one of: ${operations.INDEX_PROJECTIONS.join(', ')}.`,
+    tableData: (value) => operations.validateTableData(value),
+    localIndexes: (value) => splitList(value).every(item => /^[^=]+=[^=]+$/.test(item))
+        || `Invalid local indexes '${value}'. Use <index>=<key#key>,...`,
+    billingMode: (value) => operations.BILLING_MODES.includes(value)
+        || `Invalid billing mode '${value}'. Expected one of: ${operations.BILLING_MODES.join(', ')}.`,
+    readCapacity: (value) => operations.validateCapacity(value, 'Read capacity'),
+    writeCapacity: (value) => operations.validateCapacity(value, 'Write capacity'),
+    capacityRange: (value) => /^\d+-\d+$/.test(value)
+        || `Invalid capacity range '${value}'. Use <min>-<max> (e.g., 5-100).`,
+    targetUtilization: (value) => operations.validateInteger(value, 'Target utilization', 20, 90),
+    ttlAttribute: (value) => operations.validateTtlAttribute(value),
+    tableEncryption: (value) => operations.TABLE_ENCRYPTIONS.includes(value)
+        || `Invalid encryption '${value}'. Expected one of: ${operations.TABLE_ENCRYPTIONS.join(', ')}.`,
+    kmsKey: (value) => operations.validateKmsKey(value),
+    tableClass: (value) => operations.TABLE_CLASSES.includes(value)
+        || `Invalid table class '${value}'. Expected one of: ${operations.TABLE_CLASSES.join(', ')}.`,
+    deletionPolicy: (value) => operations.DELETION_POLICIES.includes(value)
+        || `Invalid deletion policy '${value}'. Expected one of: ${operations.DELETION_POLICIES.join(', ')}.`,
+    updateReplacePolicy: (value) => operations.UPDATE_REPLACE_POLICIES.includes(value)
+        || `Invalid update replace policy '${value}'. Expected one of: ${operations.UPDATE_REPLACE_POLICIES.join(', ')}.`,
+};
+
+/**
+ * Flags describing how a Lambda consumes a queue
+ */
+const QUEUE_SOURCE_FLAGS = { batchSize: 'batchSize', batchingWindow: 'batchingWindow', noReportFailures: null };
+
+/**
+ * Flags describing a schedule running a Lambda
+ */
+const SCHEDULE_FLAGS = { schedule: 'schedule', input: 'scheduleInput', disabled: null };
+
+/**
+ * Flags describing the objects of a bucket that run a Lambda
+ */
+const BUCKET_TRIGGER_FLAGS = { prefix: 'prefix', suffix: 'suffix' };
+
+/**
+ * Flags describing the filter policy of a topic subscription
+ */
+const SUBSCRIPTION_FLAGS = { filterPolicy: 'filterPolicy', filterScope: 'filterScope' };
+
+/**
+ * Flags describing how a Lambda reads the stream of a table
+ */
+const STREAM_SOURCE_FLAGS = {
+    startingPosition: 'startingPosition', batchSize: 'batchSize', bisectOnError: null, retryAttempts: 'retryAttempts', onFailure: null,
+};
+
+/**
+ * Subcommands keyed by resource and action. Each one lists its flags with the
+ * validator applied to them. `run` receives the state of the project in the current
+ * directory and returns the changes to apply and the lines printed on success
+ */
+export const COMMANDS = {
+    lambda: {
+        create: {
+            description: 'Create a Lambda function, its LogGroup and src/<name>, optionally consuming a queue, running on a schedule, on new objects of a bucket, on the messages of a topic, on the events matching a rule or on the stream of a table',
+            flags: {
+                name: 'name', timeout: 'timeout', env: null, ...QUEUE_SOURCE_FLAGS, queue: null, ...SCHEDULE_FLAGS, bucket: null, ...BUCKET_TRIGGER_FLAGS,
+                topic: null, ...SUBSCRIPTION_FLAGS, pattern: 'eventPattern', eventBus: null, stream: null, ...STREAM_SOURCE_FLAGS,
+            },
+            booleans: ['noReportFailures', 'disabled', 'bisectOnError'],
+            required: ['name'],
+            usage: '--name <name> [--timeout <seconds>] [--env <VAR,...>] [--queue <queue> [--batch-size <n>] [--batching-window <seconds>] [--no-report-failures]] [--schedule <expression> [--input <json>] [--disabled]] [--bucket <bucket> [--prefix <prefix>] [--suffix <suffix>]] [--topic <topic> [--filter-policy <json>] [--filter-scope <scope>]] [--pattern <json> [--event-bus <bus>]] [--stream <table> [--starting-position <position>] [--batch-size <n>] [--bisect-on-error] [--retry-attempts <n>] [--on-failure <queue|topic>]]',
+            run: async (state, flags) => ({
+                changes: await operations.createLambda(state, {
+                    name: flags.name,
+                    timeout: flags.timeout === undefined ? 60 : Number(flags.timeout),
+                    envVars: splitList(flags.env),
+                    ...(flags.queue !== undefined && { queue: toQueueSource(flags.queue, flags) }),
+                    ...(flags.schedule !== undefined && { schedule: toSchedule(flags) }),
+                    ...(flags.bucket !== undefined && { bucketTrigger: toBucketTrigger(flags.bucket, flags) }),
+                    ...(flags.topic !== undefined && { subscription: toSubscription(flags.topic, flags) }),
+                    ...(flags.pattern !== undefined && { eventRule: { bus: flags.eventBus, pattern: flags.pattern } }),
+                    ...(flags.stream !== undefined && { stream: toStreamSource(flags.stream, flags) }),
+                }),
+                summary: [`Lambda '${flags.name}Function' created`, `src/${flags.name}/handler.ts`],
+            }),
+        },
+        update: {
+            description: 'Change the timeout or replace the environment variables of a Lambda',
+            flags: { name: null, timeout: 'timeout', env: null },
+            required: ['name'],
+            usage: '--name <lambda> [--timeout <seconds>] [--env <VAR,...>]',
+            run: async (state, flags) => {
+                const functionName = resolveLambda(state, flags.name);
+                return {
+                    changes: await operations.updateLambda(state, {
+                        functionName,
+                        timeout: flags.timeout,
+                        envVars: flags.env === undefined ? undefined : splitList(flags.env),
+                    }),
+                    summary: [`Lambda '${functionName}' updated`],
+                };
+            },
+        },
+        delete: {
+            description: 'Delete a Lambda function, its LogGroup and src folder',
+            flags: { name: null },
+            required: ['name'],
+            usage: '--name <lambda>',
+            run: async (state, flags) => {
+                const functionName = resolveLambda(state, flags.name);
+                return {
+                    changes: await operations.deleteLambda(state, { functionName }),
+                    summary: [`Lambda '${functionName}' deleted`],
+                };
+            },
+        },
+        'add-layer': {
+            description: 'Add a layer to a Lambda',
+            flags: { name: null, layer: null },
+            required: ['name', 'layer'],
+            usage: '--name <lambda> --layer <layer>',
+            run: async (state, flags) => {
+                const functionName = resolveLambda(state, flags.name);
+                return {
+                    changes: await operations.updateLambda(state, { functionName, addLayers: [flags.layer] }),
+                    summary: [`Layer '${flags.layer}' added to '${functionName}'`],
+                };
+            },
+        },
+        'remove-layer': {
+            description: 'Remove a layer from a Lambda',
+            flags: { name: null, layer: null },
+            required: ['name', 'layer'],
+            usage: '--name <lambda> --layer <layer>',
+            run: async (state, flags) => {
+                const functionName = resolveLambda(state, flags.name);
+                return {
+                    changes: await operations.updateLambda(state, { functionName, removeLayers: [flags.layer] }),
+                    summary: [`Layer '${flags.layer}' removed from '${functionName}'`],
+                };
+            },
+        },
+        'attach-tables': {
+            description: 'Give a Lambda read-only or read-write access to DynamoDB tables and import their handlers',
+            flags: { name: null, tables: null, access: 'tableAccess' },
+            required: ['name', 'tables'],
+            usage: '--name <lambda> --tables <table,...> [--access <read|read-write>]',
+            run: async (state, flags) => {
+                const functionName = resolveLambda(state, flags.name);
+                const tables = splitList(flags.tables);
+                const access = flags.access ?? 'read-write';
+                return {
+                    changes: await operations.updateLambda(state, {
+                        functionName,
+                        attachTables: tables.map(table => ({ table, access })),
+                    }),
+                    summary: [`Tables ${tables.join(', ')} attached to '${functionName}' (${access})`],
+                };
+            },
+        },
+        tables: {
+            description: 'List the DynamoDB tables a Lambda can use and its access to them',
+            flags: { name: null },
+            required: ['name'],
+            usage: '--name <lambda>',
+            run: async (state, flags) => {
+                const functionName = resolveLambda(state, flags.name);
+                const tables = operations.getAttachedTables(state.template, functionName);
+                return {
+                    changes: [],
+                    summary: [
+                        tables.length > 0 ? `Tables of '${functionName}'` : `'${functionName}' has no table`,
+                        ...tables.map(({ table, access }) => `${table} (${access})`),
+                    ],
+                };
+            },
+        },
+        'detach-tables': {
+            description: 'Remove the access of a Lambda to DynamoDB tables',
+            flags: { name: null, tables: null },
+            required: ['name', 'tables'],
+            usage: '--name <lambda> --tables <table,...>',
+            run: async (state, flags) => {
+                const functionName = resolveLambda(state, flags.name);
+                const tables = splitList(flags.tables);
+                return {
+                    changes: await operations.updateLambda(state, { functionName, detachTables: tables }),
+                    summary: [`Tables ${tables.join(', ')} detached from '${functionName}'`],
+                };
+            },
+        },
+        'add-schedule': {
+            description: 'Run a Lambda on an EventBridge schedule (rate or cron expression)',
+            flags: { name: null, ...SCHEDULE_FLAGS },
+            booleans: ['disabled'],
+            required: ['name', 'schedule'],
+            usage: '--name <lambda> --schedule <expression> [--input <json>] [--disabled]',
+            run: async (state, flags) => {
+                const functionName = resolveLambda(state, flags.name);
+                return {
+                    changes: await operations.updateLambda(state, { functionName, addSchedules: [toSchedule(flags)] }),
+                    summary: [`Schedule ${flags.schedule} added to '${functionName}'`],
+                };
+            },
+        },
+        'remove-schedule': {
+            description: 'Remove a schedule event from a Lambda',
+            flags: { name: null, event: null },
+            required: ['name', 'event'],
+            usage: '--name <lambda> --event <event>',
+            run: async (state, flags) => {
+                const functionName = resolveLambda(state, flags.name);
+                return {
+                    changes: await operations.updateLambda(state, { functionName, removeSchedules: [flags.event] }),
+                    summary: [`Schedule '${flags.event}' removed from '${functionName}'`],
+                };
+            },
+        },
+        'enable-schedule': {
+            description: 'Enable a schedule event of a Lambda',
+            flags: { name: null, event: null },
+            required: ['name', 'event'],
+            usage: '--name <lambda> --event <event>',
+            run: async (state, flags) => {
+                const functionName = resolveLambda(state, flags.name);
+                return {
+                    changes: await operations.updateLambda(state, { functionName, enableSchedules: [flags.event] }),
+                    summary: [`Schedule '${flags.event}' of '${functionName}' enabled`],
+                };
+            },
+        },
+        'disable-schedule': {
+            description: 'Disable a schedule event of a Lambda without removing it',
+            flags: { name: null, event: null },
+            required: ['name', 'event'],
+            usage: '--name <lambda> --event <event>',
+            run: async (state, flags) => {
+                const functionName = resolveLambda(state, flags.name);
+                return {
+                    changes: await operations.updateLambda(state, { functionName, disableSchedules: [flags.event] }),
+                    summary: [`Schedule '${flags.event}' of '${functionName}' disabled`],
+                };
+            },
+        },
+    },
+    api: {
+        create: {
+            description: 'Create an API Gateway, optionally with a first endpoint',
+            flags: { name: null, method: 'method', path: 'path', lambda: null },
+            required: ['name'],
+            together: ['method', 'path', 'lambda'],
+            usage: '--name <api> [--method <method> --path <path> --lambda <lambda>]',
+            run: async (state, flags) => {
+                const apiName = operations.toApiName(flags.name);
+                const endpoint = flags.lambda === undefined ? undefined : {
+                    method: flags.method,
+                    path: flags.path,
+                    functionName: resolveLambda(state, flags.lambda),
+                };
+                return {
+                    changes: await operations.createApiGateway(state, { name: flags.name, endpoint }),
+                    summary: [
+                        `API Gateway '${apiName}' created`,
+                        ...(endpoint ? [`${endpoint.method.toUpperCase()} ${endpoint.path} → ${endpoint.functionName}`] : []),
+                    ],
+                };
+            },
+        },
+        delete: {
+            description: 'Delete an API Gateway, its endpoints and outputs',
+            flags: { name: null },
+            required: ['name'],
+            usage: '--name <api>',
+            run: async (state, flags) => ({
+                changes: await operations.deleteApiGateway(state, { name: flags.name }),
+                summary: [`API Gateway '${operations.toApiName(flags.name)}' deleted`],
+            }),
+        },
+    },
+    endpoint: {
+        add: {
+            description: 'Add an endpoint to an API Gateway',
+            flags: { api: null, method: 'method', path: 'path', lambda: null },
+            required: ['api', 'method', 'path', 'lambda'],
+            usage: '--api <api> --method <method> --path <path> --lambda <lambda>',
+            run: async (state, flags) => {
+                const functionName = resolveLambda(state, flags.lambda);
+                return {
+                    changes: await operations.addEndpoint(state, {
+                        api: flags.api,
+                        method: flags.method,
+                        path: flags.path,
+                        functionName,
+                    }),
+                    summary: [`Endpoint ${flags.method.toUpperCase()} ${flags.path} → ${functionName} added to '${operations.toApiName(flags.api)}'`],
+                };
+            },
+        },
+        update: {
+            description: 'Change the method, path or Lambda of an endpoint',
+            flags: {
+                api: null, method: 'method', path: 'path', lambda: null,
+                newMethod: 'method', newPath: 'path', newLambda: null,
+            },
+            required: ['api', 'method', 'path', 'lambda'],
+            usage: '--api <api> --method <method> --path <path> --lambda <lambda> [--new-method <method>] [--new-path <path>] [--new-lambda <lambda>]',
+            run: async (state, flags) => {
+                const functionName = resolveLambda(state, flags.lambda);
+                const newFunctionName = flags.newLambda === undefined ? functionName : resolveLambda(state, flags.newLambda);
+                const newMethod = flags.newMethod ?? flags.method;
+                const newPath = flags.newPath ?? flags.path;
+                return {
+                    changes: await operations.updateEndpoint(state, {
+                        api: flags.api,
+                        functionName,
+                        method: flags.method,
+                        path: flags.path,
+                        newMethod,
+                        newPath,
+                        newFunctionName,
+                    }),
+                    summary: [`Endpoint updated: ${newMethod.toUpperCase()} ${newPath} → ${newFunctionName}`],
+                };
+            },
+        },
+        delete: {
+            description: 'Delete an endpoint from an API Gateway',
+            flags: { api: null, method: 'method', path: 'path', lambda: null },
+            required: ['api', 'method', 'path', 'lambda'],
+            usage: '--api <api> --method <method> --path <path> --lambda <lambda>',
+            run: async (state, flags) => ({
+                changes: await operations.deleteEndpoints(state, {
+                    api: flags.api,
+                    endpoints: [{ functionName: resolveLambda(state, flags.lambda), method: flags.method, path: flags.path }],
+                }),
+                summary: [`Endpoint ${flags.method.toUpperCase()} ${flags.path} deleted from '${operations.toApiName(flags.api)}'`],
+            }),
+        },
+    },
+    auth: {
+        add: {
+            description: 'Protect an API Gateway with basic auth or a Cognito User Pool',
+            flags: { api: null, type: 'authType', poolName: 'name' },
+            required: ['api', 'type'],
+            usage: '--api <api> --type <basic|cognito> [--pool-name <name>]',
+            run: async (state, flags) => {
+                const apiName = operations.toApiName(flags.api);
+                const poolName = flags.poolName ?? 'main';
+                return {
+                    changes: await operations.addAuth(state, { api: flags.api, type: flags.type, poolName }),
+                    summary: [flags.type === 'basic'
+                        ? `Basic auth added to '${apiName}'`
+                        : `Cognito auth added to '${apiName}' with User Pool '${poolName}UserPool'`],
+                };
+            },
+        },
+        remove: {
+            description: 'Remove the auth of an API Gateway',
+            flags: { api: null },
+            required: ['api'],
+            usage: '--api <api>',
+            run: async (state, flags) => ({
+                changes: await operations.removeAuth(state, { api: flags.api }),
+                summary: [`Auth removed from '${operations.toApiName(flags.api)}'`],
+            }),
+        },
+    },
+    layer: {
+        create: {
+            description: 'Create a layer and src/layers/<name>',
+            flags: { name: 'name' },
+            required: ['name'],
+            usage: '--name <name>',
+            run: async (state, flags) => ({
+                changes: await operations.createLayer(state, { name: flags.name }),
+                summary: [`Layer '${flags.name}' created`, `src/layers/${flags.name}/${flags.name}Functions.ts`],
+            }),
+        },
+        delete: {
+            description: 'Delete a layer that no Lambda uses',
+            flags: { name: null },
+            required: ['name'],
+            usage: '--name <layer>',
+            run: async (state, flags) => ({
+                changes: await operations.deleteLayer(state, { name: flags.name }),
+                summary: [`Layer '${flags.name}' deleted`],
+            }),
+        },
+    },
+    table: {
+        create: {
+            description: 'Create a DynamoDB table, its read and write policies and its typed repository src/utils/<name>Handler.ts, optionally with the data of its items, local secondary indexes (ALL projection) and the batch and transaction actions',
+            flags: { name: 'name', pk: 'keys', sk: 'keys', data: 'tableData', lsi: 'localIndexes', batch: null, transactions: null },
+            booleans: ['batch', 'transactions'],
+            required: ['name', 'pk', 'sk'],
+            usage: '--name <name> --pk <key#key> --sk <key#key> [--data <attribute>[?]:<type>,...] [--lsi <index>=<key#key>,...] [--batch] [--transactions]',
+            run: async (state, flags) => ({
+                changes: await operations.createTable(state, {
+                    name: flags.name,
+                    partitionKey: flags.pk,
+                    sortKey: flags.sk,
+                    ...(flags.data && { data: operations.parseTableData(flags.data) }),
+                    indexes: splitList(flags.lsi).map(item => {
+                        const [name, sortKey] = item.split('=');
+                        return { name, type: 'local', sortKey };
+                    }),
+                    batch: Boolean(flags.batch),
+                    transactions: Boolean(flags.transactions),
+                }),
+                summary: [`Table '${flags.name}' created with policies '${flags.name}ReadPolicy' and '${flags.name}WritePolicy'`],
+            }),
+        },
+        delete: {
+            description: 'Delete a DynamoDB table that no Lambda uses',
+            flags: { name: null },
+            required: ['name'],
+            usage: '--name <table>',
+            run: async (state, flags) => ({
+                changes: await operations.deleteTable(state, { name: flags.name }),
+                summary: [`Table '${flags.name}' deleted`],
+            }),
+        },
+        update: {
+            description: 'Change the billing mode, capacity and autoscaling, TTL, point-in-time recovery, encryption, class or policies of a table',
+            flags: {
+                name: null, billing: 'billingMode', read: 'readCapacity', write: 'writeCapacity', autoscale: 'capacityRange', target: 'targetUtilization',
+                noAutoscale: null, ttl: 'ttlAttribute', noTtl: null, pitr: null, noPitr: null, encryption: 'tableEncryption', kmsKey: 'kmsKey',
+                tableClass: 'tableClass', deletionPolicy: 'deletionPolicy', updateReplacePolicy: 'updateReplacePolicy',
+            },
+            booleans: ['noAutoscale', 'noTtl', 'pitr', 'noPitr'],
+            required: ['name'],
+            usage: '--name <table> [--billing <PAY_PER_REQUEST|PROVISIONED>] [--read <units>] [--write <units>] [--autoscale <min>-<max> [--target <percent>] | --no-autoscale] [--ttl <attribute> | --no-ttl] [--pitr | --no-pitr] [--encryption <AWS_OWNED|AWS_MANAGED|CUSTOMER_MANAGED>] [--kms-key <key>] [--table-class <STANDARD|STANDARD_INFREQUENT_ACCESS>] [--deletion-policy <Retain|RetainExceptOnCreate|Delete>] [--update-replace-policy <Retain|Delete>]',
+            run: async (state, flags) => ({
+                changes: await operations.updateTable(state, { name: flags.name, options: toTableOptions(flags) }),
+                summary: [`Table '${flags.name}' updated`],
+            }),
+        },
+        'alter-keys': {
+            description: 'Change the keys of a table: the new table is created next to the current one on deploy, its typed repository generated again and src/migrations/migrate<Table>V<N>.ts copies the items',
+            flags: { name: null, pk: 'keys', sk: 'keys' },
+            required: ['name', 'pk', 'sk'],
+            usage: '--name <table> --pk <key#key> --sk <key#key>',
+            run: async (state, flags) => {
+                const migration = operations.getTableMigration(state, flags.name);
+                const consumers = operations.getStreamConsumers(state.template, flags.name);
+                return {
+                    changes: await operations.alterTableKeys(state, { name: flags.name, partitionKey: flags.pk, sortKey: flags.sk }),
+                    summary: [
+                        `Keys of table '${flags.name}' changed to ${flags.pk} / ${flags.sk}`,
+                        `Deploy to create ${migration.target}; ${migration.source} is kept with its items`,
+                        `Then copy the items: ${migration.command}`,
+                        ...(consumers.length > 0 ? [`Update the stream handlers of ${consumers.join(', ')} to the new keys`] : []),
+                    ],
+                };
+            },
+        },
+        options: {
+            description: 'Show the billing mode, capacity, TTL, point-in-time recovery, encryption, class and policies of a table',
+            flags: { name: null },
+            required: ['name'],
+            usage: '--name <table>',
+            run: async (state, flags) => ({
+                changes: [],
+                summary: [`Options of table '${flags.name}'`, ...operations.describeTableOptions(state, flags.name)],
+            }),
+        },
+        'add-index': {
+            description: 'Add a global secondary index to a table and its query helper to src/utils/<table>Handler.ts',
+            flags: { name: null, index: 'indexName', pk: 'keys', sk: 'keys', projection: 'projection', include: null },
+            required: ['name', 'index', 'pk', 'sk'],
+            usage: '--name <table> --index <index> --pk <key#key> --sk <key#key> [--projection <ALL|KEYS_ONLY|INCLUDE>] [--include <attribute,...>]',
+            run: async (state, flags) => ({
+                changes: await operations.addTableIndex(state, {
+                    table: flags.name,
+                    index: {
+                        name: flags.index,
+                        type: 'global',
+                        partitionKey: flags.pk,
+                        sortKey: flags.sk,
+                        ...(flags.projection !== undefined && { projection: flags.projection }),
+                        nonKeyAttributes: splitList(flags.include),
+                    },
+                }),
+                summary: [`Index '${flags.index}' added to table '${flags.name}'`],
+            }),
+        },
+        'remove-index': {
+            description: 'Remove a global secondary index of a table and its query helper',
+            flags: { name: null, index: null },
+            required: ['name', 'index'],
+            usage: '--name <table> --index <index>',
+            run: async (state, flags) => ({
+                changes: await operations.removeTableIndex(state, { table: flags.name, name: flags.index }),
+                summary: [`Index '${flags.index}' removed from table '${flags.name}'`],
+            }),
+        },
+        indexes: {
+            description: 'List the secondary indexes of a table',
+            flags: { name: null },
+            required: ['name'],
+            usage: '--name <table>',
+            run: async (state, flags) => {
+                const indexes = operations.listTableIndexes(state, flags.name);
+                return {
+                    changes: [],
+                    summary: [
+                        indexes.length > 0 ? `Indexes of table '${flags.name}'` : `Table '${flags.name}' has no secondary index`,
+                        ...indexes.map(index => operations.describeIndex(index)),
+                    ],
+                };
+            },
+        },
+        'enable-stream': {
+            description: 'Enable the stream of a table, or change its view type when no Lambda reads it',
+            flags: { name: null, viewType: 'viewType' },
+            required: ['name', 'viewType'],
+            usage: '--name <table> --view-type <NEW_AND_OLD_IMAGES|NEW_IMAGE|OLD_IMAGE|KEYS_ONLY>',
+            run: async (state, flags) => ({
+                changes: await operations.enableTableStream(state, { name: flags.name, viewType: flags.viewType }),
+                summary: [`Stream of table '${flags.name}' enabled (${flags.viewType})`],
+            }),
+        },
+        'disable-stream': {
+            description: 'Remove the stream of a table that no Lambda reads',
+            flags: { name: null },
+            required: ['name'],
+            usage: '--name <table>',
+            run: async (state, flags) => ({
+                changes: await operations.disableTableStream(state, { name: flags.name }),
+                summary: [`Stream of table '${flags.name}' disabled`],
+            }),
+        },
+        'attach-stream': {
+            description: 'Make a Lambda read the stream of a table (DynamoDB event)',
+            flags: { name: null, lambda: null, ...STREAM_SOURCE_FLAGS },
+            booleans: ['bisectOnError'],
+            required: ['name', 'lambda'],
+            usage: '--name <table> --lambda <lambda> [--starting-position <position>] [--batch-size <n>] [--bisect-on-error] [--retry-attempts <n>] [--on-failure <queue|topic>]',
+            run: async (state, flags) => {
+                const functionName = resolveLambda(state, flags.lambda);
+                return {
+                    changes: await operations.attachTableStream(state, { functionName, stream: toStreamSource(flags.name, flags) }),
+                    summary: [`Stream of table '${flags.name}' attached to '${functionName}'`],
+                };
+            },
+        },
+        'detach-stream': {
+            description: 'Remove the DynamoDB events of a Lambda reading the stream of a table',
+            flags: { name: null, lambda: null },
+            required: ['name', 'lambda'],
+            usage: '--name <table> --lambda <lambda>',
+            run: async (state, flags) => {
+                const functionName = resolveLambda(state, flags.lambda);
+                return {
+                    changes: await operations.detachTableStream(state, { functionName, table: flags.name }),
+                    summary: [`Stream of table '${flags.name}' detached from '${functionName}'`],
+                };
+            },
+        },
+    },
+    queue: {
+        create: {
+            description: 'Create an SQS queue, with a <name>DLQ dead-letter queue unless --no-dlq',
+            flags: { name: 'name', maxReceiveCount: 'maxReceiveCount', visibilityTimeout: 'visibilityTimeout', noDlq: null },
+            booleans: ['noDlq'],
+            required: ['name'],
+            usage: '--name <name> [--max-receive-count <n>] [--visibility-timeout <seconds>] [--no-dlq]',
+            run: async (state, flags) => ({
+                changes: await operations.createQueue(state, {
+                    name: flags.name,
+                    deadLetterQueue: !flags.noDlq,
+                    ...(flags.maxReceiveCount !== undefined && { maxReceiveCount: Number(flags.maxReceiveCount) }),
+                    ...(flags.visibilityTimeout !== undefined && { visibilityTimeout: Number(flags.visibilityTimeout) }),
+                }),
+                summary: [`Queue '${flags.name}' created`, ...(flags.noDlq ? [] : [`Dead-letter queue '${flags.name}DLQ'`])],
+            }),
+        },
+        delete: {
+            description: 'Delete an SQS queue that no Lambda uses, and its dead-letter queue',
+            flags: { name: null },
+            required: ['name'],
+            usage: '--name <queue>',
+            run: async (state, flags) => ({
+                changes: await operations.deleteQueue(state, { name: flags.name }),
+                summary: [`Queue '${flags.name}' deleted`],
+            }),
+        },
+        attach: {
+            description: 'Make a Lambda consume a queue (SQS event and SQSPollerPolicy)',
+            flags: { name: null, lambda: null, ...QUEUE_SOURCE_FLAGS },
+            booleans: ['noReportFailures'],
+            required: ['name', 'lambda'],
+            usage: '--name <queue> --lambda <lambda> [--batch-size <n>] [--batching-window <seconds>] [--no-report-failures]',
+            run: async (state, flags) => {
+                const functionName = resolveLambda(state, flags.lambda);
+                return {
+                    changes: await operations.attachQueue(state, { functionName, queue: toQueueSource(flags.name, flags) }),
+                    summary: [`Queue '${flags.name}' attached to '${functionName}'`],
+                };
+            },
+        },
+        'allow-send': {
+            description: 'Allow a Lambda to send messages to a queue (SQSSendMessagePolicy)',
+            flags: { name: null, lambda: null },
+            required: ['name', 'lambda'],
+            usage: '--name <queue> --lambda <lambda>',
+            run: async (state, flags) => {
+                const functionName = resolveLambda(state, flags.lambda);
+                return {
+                    changes: await operations.allowQueueSend(state, { functionName, queue: flags.name }),
+                    summary: [`'${functionName}' allowed to send to queue '${flags.name}'`],
+                };
+            },
+        },
+        detach: {
+            description: 'Remove the SQS events and queue policies of a Lambda for a queue',
+            flags: { name: null, lambda: null },
+            required: ['name', 'lambda'],
+            usage: '--name <queue> --lambda <lambda>',
+            run: async (state, flags) => {
+                const functionName = resolveLambda(state, flags.lambda);
+                return {
+                    changes: await operations.detachQueue(state, { functionName, queue: flags.name }),
+                    summary: [`Queue '${flags.name}' detached from '${functionName}'`],
+                };
+            },
+        },
+    },
+    bucket: {
+        create: {
+            description: 'Create an encrypted S3 bucket blocking public access, and its read and write policies',
+            flags: {
+                name: 'name', encryption: 'encryption', public: null, corsOrigins: null,
+                expireDays: 'expirationDays', iaDays: 'infrequentAccessDays', lifecyclePrefix: 'prefix',
+            },
+            booleans: ['public'],
+            required: ['name'],
+            usage: '--name <name> [--encryption <AES256|aws:kms>] [--public] [--cors-origins <origin,...>] [--expire-days <days>] [--ia-days <days>] [--lifecycle-prefix <prefix>]',
+            run: async (state, flags) => {
+                const hasLifecycle = flags.expireDays !== undefined || flags.iaDays !== undefined;
+                return {
+                    changes: await operations.createBucket(state, {
+                        name: flags.name,
+                        ...(flags.encryption !== undefined && { encryption: flags.encryption }),
+                        blockPublicAccess: !flags.public,
+                        corsOrigins: splitList(flags.corsOrigins),
+                        lifecycleRules: hasLifecycle ? [{
+                            prefix: flags.lifecyclePrefix,
+                            expirationDays: flags.expireDays === undefined ? undefined : Number(flags.expireDays),
+                            infrequentAccessDays: flags.iaDays === undefined ? undefined : Number(flags.iaDays),
+                        }] : [],
+                    }),
+                    summary: [`Bucket '${flags.name}' created with policies '${flags.name}ReadPolicy' and '${flags.name}WritePolicy'`],
+                };
+            },
+        },
+        delete: {
+            description: 'Delete an S3 bucket that no Lambda uses from the template (the bucket is retained in AWS)',
+            flags: { name: null },
+            required: ['name'],
+            usage: '--name <bucket>',
+            run: async (state, flags) => ({
+                changes: await operations.deleteBucket(state, { name: flags.name }),
+                summary: [`Bucket '${flags.name}' deleted`],
+            }),
+        },
+        attach: {
+            description: 'Give a Lambda read and/or write access to a bucket and its name in an environment variable',
+            flags: { name: null, lambda: null, access: 'bucketAccess' },
+            required: ['name', 'lambda'],
+            usage: '--name <bucket> --lambda <lambda> [--access <read|write|read-write>]',
+            run: async (state, flags) => {
+                const functionName = resolveLambda(state, flags.lambda);
+                const access = flags.access ?? 'read';
+                return {
+                    changes: await operations.attachBucket(state, { functionName, bucket: flags.name, access }),
+                    summary: [`Bucket '${flags.name}' attached to '${functionName}' (${access})`, `${operations.getBucketVariable(flags.name)} environment variable`],
+                };
+            },
+        },
+        trigger: {
+            description: 'Run a Lambda when objects are created in a bucket (S3 event)',
+            flags: { name: null, lambda: null, ...BUCKET_TRIGGER_FLAGS },
+            required: ['name', 'lambda'],
+            usage: '--name <bucket> --lambda <lambda> [--prefix <prefix>] [--suffix <suffix>]',
+            run: async (state, flags) => {
+                const functionName = resolveLambda(state, flags.lambda);
+                return {
+                    changes: await operations.addBucketTrigger(state, { functionName, trigger: toBucketTrigger(flags.name, flags) }),
+                    summary: [`'${functionName}' runs on new objects of '${flags.name}'`],
+                };
+            },
+        },
+        detach: {
+            description: 'Remove the S3 events, policies and environment variable of a Lambda for a bucket',
+            flags: { name: null, lambda: null },
+            required: ['name', 'lambda'],
+            usage: '--name <bucket> --lambda <lambda>',
+            run: async (state, flags) => {
+                const functionName = resolveLambda(state, flags.lambda);
+                return {
+                    changes: await operations.detachBucket(state, { functionName, bucket: flags.name }),
+                    summary: [`Bucket '${flags.name}' detached from '${functionName}'`],
+                };
+            },
+        },
+        'upload-endpoint': {
+            description: 'Add a POST endpoint and Lambda returning presigned upload URLs for a bucket',
+            flags: { name: null, api: null, lambdaName: 'name', path: 'path', prefix: 'prefix', expiresIn: 'expiresIn' },
+            required: ['name', 'api'],
+            usage: '--name <bucket> --api <api> [--lambda-name <name>] [--path <path>] [--prefix <prefix>] [--expires-in <seconds>]',
+            run: async (state, flags) => {
+                const name = flags.lambdaName ?? 'createUpload';
+                const endpointPath = flags.path ?? '/uploads';
+                return {
+                    changes: await operations.createUploadEndpoint(state, {
+                        bucket: flags.name,
+                        api: flags.api,
+                        name,
+                        path: endpointPath,
+                        ...(flags.prefix !== undefined && { prefix: flags.prefix }),
+                        ...(flags.expiresIn !== undefined && { expiresIn: Number(flags.expiresIn) }),
+                    }),
+                    summary: [`Endpoint POST ${endpointPath} → ${name}Function added to '${operations.toApiName(flags.api)}'`, `src/${name}/handler.ts`],
+                };
+            },
+        },
+    },
+    topic: {
+        create: {
+            description: 'Create an SNS topic',
+            flags: { name: 'name' },
+            required: ['name'],
+            usage: '--name <name>',
+            run: async (state, flags) => ({
+                changes: await operations.createTopic(state, { name: flags.name }),
+                summary: [`Topic '${flags.name}' created`],
+            }),
+        },
+        delete: {
+            description: 'Delete an SNS topic that no Lambda uses, and its publisher helper',
+            flags: { name: null },
+            required: ['name'],
+            usage: '--name <topic>',
+            run: async (state, flags) => ({
+                changes: await operations.deleteTopic(state, { name: flags.name }),
+                summary: [`Topic '${flags.name}' deleted`],
+            }),
+        },
+        subscribe: {
+            description: 'Subscribe a Lambda to a topic (SNS event), optionally with a filter policy',
+            flags: { name: null, lambda: null, ...SUBSCRIPTION_FLAGS },
+            required: ['name', 'lambda'],
+            usage: '--name <topic> --lambda <lambda> [--filter-policy <json>] [--filter-scope <MessageAttributes|MessageBody>]',
+            run: async (state, flags) => {
+                const functionName = resolveLambda(state, flags.lambda);
+                return {
+                    changes: await operations.subscribeToTopic(state, { functionName, subscription: toSubscription(flags.name, flags) }),
+                    summary: [`'${functionName}' subscribed to topic '${flags.name}'`],
+                };
+            },
+        },
+        'allow-publish': {
+            description: 'Allow a Lambda to publish to a topic (SNSPublishMessagePolicy) and generate src/utils/<topic>Publisher.ts',
+            flags: { name: null, lambda: null },
+            required: ['name', 'lambda'],
+            usage: '--name <topic> --lambda <lambda>',
+            run: async (state, flags) => {
+                const functionName = resolveLambda(state, flags.lambda);
+                return {
+                    changes: await operations.allowPublish(state, { functionName, target: flags.name }),
+                    summary: [`'${functionName}' allowed to publish to topic '${flags.name}'`, `src/utils/${flags.name}Publisher.ts`],
+                };
+            },
+        },
+        detach: {
+            description: 'Remove the SNS events, publish policy and environment variable of a Lambda for a topic',
+            flags: { name: null, lambda: null },
+            required: ['name', 'lambda'],
+            usage: '--name <topic> --lambda <lambda>',
+            run: async (state, flags) => {
+                const functionName = resolveLambda(state, flags.lambda);
+                return {
+                    changes: await operations.detachTopic(state, { functionName, topic: flags.name }),
+                    summary: [`Topic '${flags.name}' detached from '${functionName}'`],
+                };
+            },
+        },
+    },
+    bus: {
+        create: {
+            description: 'Create a custom EventBridge event bus',
+            flags: { name: 'name' },
+            required: ['name'],
+            usage: '--name <name>',
+            run: async (state, flags) => ({
+                changes: await operations.createEventBus(state, { name: flags.name }),
+                summary: [`Event bus '${flags.name}' created`],
+            }),
+        },
+        delete: {
+            description: 'Delete an event bus that no Lambda or rule uses, and its publisher helper',
+            flags: { name: null },
+            required: ['name'],
+            usage: '--name <bus>',
+            run: async (state, flags) => ({
+                changes: await operations.deleteEventBus(state, { name: flags.name }),
+                summary: [`Event bus '${flags.name}' deleted`],
+            }),
+        },
+        'allow-publish': {
+            description: 'Allow a Lambda to put events on a bus (EventBridgePutEventsPolicy) and generate src/utils/<bus>Publisher.ts',
+            flags: { name: null, lambda: null },
+            required: ['name', 'lambda'],
+            usage: '--name <bus> --lambda <lambda>',
+            run: async (state, flags) => {
+                const functionName = resolveLambda(state, flags.lambda);
+                return {
+                    changes: await operations.allowPublish(state, { functionName, target: flags.name }),
+                    summary: [`'${functionName}' allowed to publish to event bus '${flags.name}'`, `src/utils/${flags.name}Publisher.ts`],
+                };
+            },
+        },
+        detach: {
+            description: 'Remove the rules, publish policy and environment variable of a Lambda for an event bus',
+            flags: { name: null, lambda: null },
+            required: ['name', 'lambda'],
+            usage: '--name <bus> --lambda <lambda>',
+            run: async (state, flags) => {
+                const functionName = resolveLambda(state, flags.lambda);
+                return {
+                    changes: await operations.detachEventBus(state, { functionName, bus: flags.name }),
+                    summary: [`Event bus '${flags.name}' detached from '${functionName}'`],
+                };
+            },
+        },
+    },
+    rule: {
+        add: {
+            description: 'Send the events matching a pattern to a Lambda or a queue (default event bus unless --bus)',
+            flags: { pattern: 'eventPattern', bus: null, lambda: null, queue: null },
+            required: ['pattern'],
+            oneOf: ['lambda', 'queue'],
+            usage: '--pattern <json> (--lambda <lambda> | --queue <queue>) [--bus <bus>]',
+            run: async (state, flags) => {
+                const functionName = flags.lambda === undefined ? undefined : resolveLambda(state, flags.lambda);
+                return {
+                    changes: await operations.addEventRule(state, {
+                        rule: { bus: flags.bus, pattern: flags.pattern },
+                        functionName,
+                        queue: flags.queue,
+                    }),
+                    summary: [`Rule on ${flags.bus ? `event bus '${flags.bus}'` : 'the default event bus'} added to '${functionName ?? flags.queue}'`],
+                };
+            },
+        },
+        remove: {
+            description: 'Remove the rule event of a Lambda (--lambda --event) or a rule sending to a queue (--name)',
+            flags: { lambda: null, event: null, name: null },
+            required: [],
+            together: ['lambda', 'event'],
+            oneOf: ['lambda', 'name'],
+            usage: '(--lambda <lambda> --event <event> | --name <rule>)',
+            run: async (state, flags) => {
+                if (flags.name !== undefined) {
+                    return {
+                        changes: await operations.removeEventRule(state, { rule: flags.name }),
+                        summary: [`Rule '${flags.name}' removed`],
+                    };
+                }
+                const functionName = resolveLambda(state, flags.lambda);
+                return {
+                    changes: await operations.removeEventRule(state, { functionName, event: flags.event }),
+                    summary: [`Rule ${flags.event} removed from '${functionName}'`],
+                };
+            },
+        },
+    },
+    env: {
+        sync: {
+            description: 'Sync the template Parameters and the samconfig.toml environments with the .env files',
+            flags: { noAdd: null, noRemove: null, noUpdate: null },
+            booleans: ['noAdd', 'noRemove', 'noUpdate'],
+            required: [],
+            usage: '[--no-add] [--no-remove] [--no-update]',
+            run: async (state, flags) => ({
+                changes: await operations.syncEnvironmentVariables(state, {
+                    ...(flags.noAdd && { add: [], addSecrets: [], addLambdaVars: [] }),
+                    ...(flags.noRemove && { remove: [], removeSecrets: [], removeLambdaVars: [] }),
+                    ...(flags.noUpdate && { update: [], updateSecrets: [], updateLambdaVars: [] }),
+                }),
+                summary: ['Environment variables synced with the .env files'],
+            }),
+        },
+    },
+};
+
+/**
+ * Run a subcommand (`sam-smith <resource> <action> [flags]`) against the project
+ * in the current directory
+ * @param {string[]} args - Arguments, starting with the resource
+ * With `--dry-run` the diff of the changes is printed and nothing is written
+ * @returns {Promise<number>} Exit code: 0 on success, 1 when the operation fails, 2 on usage errors
+ */
+export async function runCommand(args) {
+    const [resource, action, ...rest] = args;
+    const actions = COMMANDS[resource];
+    const command = Object.hasOwn(actions, action) ? actions[action] : null;
+
+    if (!command) {
+        if (['--help', '-h'].includes(action)) {
+            printCommandsUsage(resource);
+            return 0;
+        }
+        console.error(chalk.red(action
+            ? `✗ Error: Unknown command '${resource} ${action}'.`
+            : `✗ Error: Missing action for '${resource}'.`));
+        printCommandsUsage(resource);
+        return 2;
+    }
+
+    const { flags: { dryRun, ...flags }, positionals, errors } = parseFlags(rest, {
+        booleans: ['help', 'dryRun', ...(command.booleans || [])],
+        aliases: { h: 'help' },
+    });
+    if (flags.help) {
+        printCommandsUsage(resource, action);
+        return 0;
+    }
+
+    errors.push(...positionals.map(value => `Unexpected argument '${value}'.`));
+    for (const [name, value] of Object.entries(flags)) {
+        if (!(name in command.flags)) {
+            errors.push(`Unknown option ${toFlag(name)}.`);
+        } else if (command.flags[name] && typeof value === 'string') {
+            const result = validators[command.flags[name]](value);
+            if (result !== true) {
+                errors.push(`${toFlag(name)}: ${result}`);
+            }
+        }
+    }
+    for (const name of command.required) {
+        if (flags[name] === undefined) {
+            errors.push(`${toFlag(name)} is required.`);
+        }
+    }
+    const together = command.together || [];
+    const given = together.filter(name => flags[name] !== undefined);
+    if (given.length > 0 && given.length < together.length) {
+        errors.push(`${together.map(toFlag).join(', ')} must be given together.`);
+    }
+    const oneOf = command.oneOf || [];
+    if (oneOf.length > 0 && oneOf.filter(name => flags[name] !== undefined).length !== 1) {
+        errors.push(`Exactly one of ${oneOf.map(toFlag).join(', ')} is required.`);
+    }
+    if (errors.length > 0) {
+        return usageErrors(errors, resource, action);
+    }
+
+    const projectPath = process.cwd();
+    if (!await fs.pathExists(path.join(projectPath, 'template.yaml'))) {
+        console.error(chalk.red('✗ Error: template.yaml file not found. Run sam-smith from the project directory.'));
+        return 1;
+    }
+
+    try {
+        const state = await loadProject(projectPath);
+        const { changes, summary: [summary, ...details] } = await command.run(state, flags);
+        if (dryRun) {
+            console.log(await previewChanges(projectPath, changes));
+            console.log(chalk.yellow('Dry run: no file was written.'));
+            return 0;
+        }
+        await applyTransaction(projectPath, changes, summary);
+        console.log(chalk.green(`✓ ${summary}`));
+        details.forEach(line => console.log(chalk.gray(`  ${line}`)));
+        return 0;
+    } catch (error) {
+        console.error(chalk.red(`✗ Error: ${error.message}`));
+        return 1;
+    }
+}
+
+/**
+ * History commands (`sam-smith undo|redo|history`), run against the project in the current directory
+ */
+export const HISTORY_COMMANDS = ['undo', 'redo', 'history'];
+
+/**
+ * Run a history command: undo or redo the last operation, or list the operations
+ * @param {string[]} args - Arguments, starting with the command
+ * @returns {Promise<number>} Exit code: 0 on success, 1 when there is nothing to undo/redo
+ * or the files changed since, 2 on usage errors
+ */
+export async function runHistoryCommand(args) {
+    const [command, ...rest] = args;
+    const { flags, positionals, errors } = parseFlags(rest, {
+        booleans: ['help', 'force'],
+        aliases: { h: 'help', f: 'force' },
+    });
+    if (flags.help) {
+        printHistoryUsage();
+        return 0;
+    }
+
+    errors.push(...positionals.map(value => `Unexpected argument '${value}'.`));
+    for (const name of Object.keys(flags)) {
+        if (name !== 'force' || command === 'history') {
+            errors.push(`Unknown option ${toFlag(name)}.`);
+        }
+    }
+    if (errors.length > 0) {
+        errors.forEach(message => console.error(chalk.red(`✗ Error: ${message}`)));
+        console.error(chalk.gray(`Run sam-smith ${command} --help to see the available options.`));
+        return 2;
+    }
+
+    const projectPath = process.cwd();
+    try {
+        if (command === 'history') {
+            printHistory(await getHistory(projectPath));
+            return 0;
+        }
+
+        const transaction = command === 'undo'
+            ? await undo(projectPath, { force: flags.force })
+            : await redo(projectPath, { force: flags.force });
+        console.log(chalk.green(`✓ ${command === 'undo' ? 'Undone' : 'Redone'}: ${transaction.description}`));
+        transaction.files.forEach(file => console.log(chalk.gray(`  ${file.path}`)));
+        return 0;
+    } catch (error) {
+        console.error(chalk.red(`✗ Error: ${error.message}`));
+        return 1;
+    }
+}
+
+/**
+ * Load the seed files into the tables, in AWS or at an endpoint such as the local DynamoDB
+ * @param {string[]} args - Arguments, starting with `seed`
+ * @returns {Promise<number>} Exit code: 0 on success, 1 when the seeds are invalid or cannot
+ * be written, 2 on usage errors
+ */
+export async function runSeedCommand(args) {
+    const { flags, positionals, errors } = parseFlags(args.slice(1), {
+        booleans: ['help', 'local', 'dryRun'],
+        aliases: { h: 'help' },
+    });
+    if (flags.help) {
+        printSeedUsage();
+        return 0;
+    }
+
+    errors.push(...positionals.map(value => `Unexpected argument '${value}'.`));
+    for (const name of Object.keys(flags)) {
+        if (!['table', 'local', 'endpoint', 'dryRun'].includes(name)) {
+            errors.push(`Unknown option ${toFlag(name)}.`);
+        }
+    }
+    if (flags.local && flags.endpoint !== undefined) {
+        errors.push('Use either --local or --endpoint.');
+    }
+    if (flags.endpoint !== undefined && !/^https?:\/\/[^\s/]+/.test(flags.endpoint)) {
+        errors.push(`Invalid endpoint '${flags.endpoint}'. Expected a URL such as http://localhost:${LOCAL_DYNAMO_PORT}.`);
+    }
+    if (errors.length > 0) {
+        errors.forEach(message => console.error(chalk.red(`✗ Error: ${message}`)));
+        console.error(chalk.gray('Run sam-smith seed --help to see the available options.'));
+        return 2;
+    }
+
+    try {
+        await seedProject(process.cwd(), {
+            ...(flags.table !== undefined && { tables: splitList(flags.table) }),
+            endpoint: flags.local ? `http://localhost:${LOCAL_DYNAMO_PORT}` : flags.endpoint,
+            dryRun: Boolean(flags.dryRun),
+        });
+        return 0;
+    } catch (error) {
+        console.error(chalk.red(`✗ Error: ${error.message}`));
+        return 1;
+    }
+}
+
+function printSeedUsage() {
+    console.log('Seeds (run from the project directory):');
+    console.log('  sam-smith seed [--table <name>,...] [--local | --endpoint <url>] [--dry-run]');
+    console.log(chalk.gray('      Write the items of seeds/<table>.json|yaml to the tables of the stack, or to the local DynamoDB'));
+}
+
+/**
+ * Push the secret variables of .env to SSM or Secrets Manager
+ * @param {string[]} args - Arguments, starting with `secrets`
+ * @returns {Promise<number>} Exit code: 0 on success, 1 when the secrets cannot be read or
+ * pushed, 2 on usage errors
+ */
+export async function runSecretsCommand(args) {
+    const [, action, ...rest] = args;
+    const { flags, positionals, errors } = parseFlags(rest, {
+        booleans: ['help', 'dryRun'],
+        aliases: { h: 'help' },
+    });
+    if (flags.help || ['--help', '-h'].includes(action)) {
+        printSecretsUsage();
+        return 0;
+    }
+
+    if (action !== 'push') {
+        errors.unshift(action ? `Unknown command 'secrets ${action}'.` : 'Missing action for \'secrets\'.');
+    }
+    errors.push(...positionals.map(value => `Unexpected argument '${value}'.`));
+    for (const name of Object.keys(flags)) {
+        if (!['name', 'env', 'dryRun'].includes(name)) {
+            errors.push(`Unknown option ${toFlag(name)}.`);
+        }
+    }
+    if (errors.length > 0) {
+        errors.forEach(message => console.error(chalk.red(`✗ Error: ${message}`)));
+        console.error(chalk.gray('Run sam-smith secrets --help to see the available options.'));
+        return 2;
+    }
+
+    try {
+        await pushSecrets(process.cwd(), {
+            ...(flags.name !== undefined && { names: splitList(flags.name) }),
+            environment: flags.env,
+            dryRun: Boolean(flags.dryRun),
+        });
+        return 0;
+    } catch (error) {
+        console.error(chalk.red(`✗ Error: ${error.message}`));
+        return 1;
+    }
+}
+
+function printSecretsUsage() {
+    console.log('Secrets (run from the project directory):');
+    console.log('  sam-smith secrets push [--name <NAME>,...] [--env <environment>] [--dry-run]');
+    console.log(chalk.gray('      Store the variables marked \'# @secret\' in .env and .env.<environment> as SSM SecureString parameters or Secrets Manager secrets'));
+}
+
+/**
+ * Run `sam-smith check-env` against the project in the current directory
+ * @param {string[]} args - Arguments, starting with check-env
+ * @returns {Promise<number>} Exit code: 0 when every variable read is declared and set,
+ * 1 when problems are found or the check fails, 2 on usage errors
+ */
+export async function runCheckEnvCommand(args) {
+    const { flags, positionals, errors } = parseFlags(args.slice(1), {
+        booleans: ['help'],
+        aliases: { h: 'help' },
+    });
+    if (flags.help) {
+        printCheckEnvUsage();
+        return 0;
+    }
+
+    errors.push(...positionals.map(value => `Unexpected argument '${value}'.`));
+    for (const name of Object.keys(flags)) {
+        errors.push(`Unknown option ${toFlag(name)}.`);
+    }
+    if (errors.length > 0) {
+        errors.forEach(message => console.error(chalk.red(`✗ Error: ${message}`)));
+        console.error(chalk.gray('Run sam-smith check-env --help to see the available options.'));
+        return 2;
+    }
+
+    try {
+        return await checkEnvUsage(process.cwd()) > 0 ? 1 : 0;
+    } catch (error) {
+        console.error(chalk.red(`✗ Error: ${error.message}`));
+        return 1;
+    }
+}
+
+function printCheckEnvUsage() {
+    console.log('Environment variables check (run from the project directory):');
+    console.log('  sam-smith check-env');
+    console.log(chalk.gray('      Report the variables the code of each Lambda reads but template.yaml does not give it, those it is given but never reads, and those missing from the .env files'));
+}
+
+/**
+ * Print the subcommands of a resource, or of every resource
+ * @param {string} [resource] - Resource name
+ * @param {string} [action] - Action name, to print a single subcommand
+ * @returns {void}
+ */
+export function printCommandsUsage(resource, action) {
+    const resources = resource ? [resource] : Object.keys(COMMANDS);
+    console.log('Commands (run from the project directory, add --dry-run to preview the changes):');
+    for (const name of resources) {
+        for (const [actionName, command] of Object.entries(COMMANDS[name])) {
+            if (action && action !== actionName) {
+                continue;
+            }
+            console.log(`  sam-smith ${name} ${actionName} ${command.usage}`);
+            console.log(chalk.gray(`      ${command.description}`));
+        }
+    }
+}
+
+function usageErrors(messages, resource, action) {
+    messages.forEach(message => console.error(chalk.red(`✗ Error: ${message}`)));
+    console.error(chalk.gray(`Run sam-smith ${resource} ${action} --help to see the available options.`));
+    return 2;
+}
+
+function splitList(value) {
+    return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Find a Lambda by its name (`orders`) or logical id (`ordersFunction`)
+ * @param {import('./project.js').ProjectState} state - Project state
+ * @param {string} name - Lambda name or logical id
+ * @returns {string} Logical id of the Lambda
+ */
+function resolveLambda(state, name) {
+    const functionNames = getFunctionNames(state.template);
+    const functionName = [`${name}Function`, name].find(candidate =>
+        candidate.endsWith('Function') && functionNames.includes(candidate)
+    );
+    if (!functionName) {
+        throw new Error(`Lambda '${name}' not found. Available: ${functionNames.join(', ') || 'none'}.`);
+    }
+    return functionName;
+}
+
+/**
+ * Queue source of operations.createLambda/attachQueue from the subcommand flags
+ * @param {string} name - Queue name
+ * @param {Object} flags - Parsed flags
+ * @returns {import('./operations.js').QueueSource}
+ */
+function toQueueSource(name, flags) {
+    return {
+        name,
+        ...(flags.batchSize !== undefined && { batchSize: Number(flags.batchSize) }),
+        ...(flags.batchingWindow !== undefined && { batchingWindow: Number(flags.batchingWindow) }),
+        reportBatchItemFailures: !flags.noReportFailures,
+    };
+}
+
+/**
+ * Stream source of operations.createLambda/attachTableStream from the subcommand flags
+ * @param {string} table - Table name
+ * @param {Object} flags - Parsed flags
+ * @returns {import('./operations.js').StreamSource}
+ */
+function toStreamSource(table, flags) {
+    return {
+        table,
+        ...(flags.startingPosition !== undefined && { startingPosition: flags.startingPosition }),
+        ...(flags.batchSize !== undefined && { batchSize: Number(flags.batchSize) }),
+        bisectBatchOnFunctionError: Boolean(flags.bisectOnError),
+        ...(flags.retryAttempts !== undefined && { maximumRetryAttempts: Number(flags.retryAttempts) }),
+        ...(flags.onFailure !== undefined && { onFailure: flags.onFailure }),
+    };
+}
+
+/**
+ * Options of operations.updateTable from the subcommand flags
+ * @param {Object} flags - Parsed flags
+ * @returns {import('./operations.js').TableOptions}
+ */
+function toTableOptions(flags) {
+    for (const [flag, opposite] of [['autoscale', 'noAutoscale'], ['ttl', 'noTtl'], ['pitr', 'noPitr']]) {
+        if (flags[flag] !== undefined && flags[opposite]) {
+            throw new Error(`${toFlag(flag)} and ${toFlag(opposite)} cannot be given together.`);
+        }
+    }
+    if (flags.target !== undefined && flags.autoscale === undefined) {
+        throw new Error(`${toFlag('target')} is only used with ${toFlag('autoscale')}.`);
+    }
+    const [minCapacity, maxCapacity] = (flags.autoscale ?? '').split('-').map(Number);
+    let pointInTimeRecovery;
+    if (flags.pitr || flags.noPitr) {
+        pointInTimeRecovery = Boolean(flags.pitr);
+    }
+    return {
+        billingMode: flags.billing,
+        readCapacity: flags.read === undefined ? undefined : Number(flags.read),
+        writeCapacity: flags.write === undefined ? undefined : Number(flags.write),
+        autoscaling: flags.noAutoscale ? null : (flags.autoscale === undefined ? undefined : {
+            minCapacity,
+            maxCapacity,
+            targetUtilization: flags.target === undefined ? 70 : Number(flags.target),
+        }),
+        ttlAttribute: flags.noTtl ? null : flags.ttl,
+        pointInTimeRecovery,
+        encryption: flags.encryption,
+        kmsKeyId: flags.kmsKey,
+        tableClass: flags.tableClass,
+        deletionPolicy: flags.deletionPolicy,
+        updateReplacePolicy: flags.updateReplacePolicy,
+    };
+}
+
+/**
+ * Schedule of operations.createLambda/updateLambda from the subcommand flags
+ * @param {Object} flags - Parsed flags
+ * @returns {import('./operations.js').Schedule}
+ */
+function toSchedule(flags) {
+    return {
+        expression: flags.schedule,
+        ...(flags.input !== undefined && { input: flags.input }),
+        enabled: !flags.disabled,
+    };
+}
+
+/**
+ * Bucket trigger of operations.createLambda/addBucketTrigger from the subcommand flags
+ * @param {string} bucket - Bucket name
+ * @param {Object} flags - Parsed flags
+ * @returns {import('./operations.js').BucketTrigger}
+ */
+function toBucketTrigger(bucket, flags) {
+    return {
+        bucket,
+        ...(flags.prefix !== undefined && { prefix: flags.prefix }),
+        ...(flags.suffix !== undefined && { suffix: flags.suffix }),
+    };
+}
+
+/**
+ * Topic subscription of operations.createLambda/subscribeToTopic from the subcommand flags
+ * @param {string} topic - Topic name
+ * @param {Object} flags - Parsed flags
+ * @returns {import('./operations.js').TopicSubscription}
+ */
+function toSubscription(topic, flags) {
+    return {
+        topic,
+        ...(flags.filterPolicy !== undefined && { filterPolicy: flags.filterPolicy }),
+        ...(flags.filterScope !== undefined && { filterPolicyScope: flags.filterScope }),
+    };
+}
+
+function printHistoryUsage() {
+    console.log('History (run from the project directory):');
+    console.log('  sam-smith undo [--force]');
+    console.log(chalk.gray('      Restore the files touched by the last operation'));
+    console.log('  sam-smith redo [--force]');
+    console.log(chalk.gray('      Apply again the last undone operation'));
+    console.log('  sam-smith history');
+    console.log(chalk.gray('      List the recorded operations, newest first'));
+}
+
+function printHistory({ position, transactions }) {
+    if (transactions.length === 0) {
+        console.log(chalk.yellow('No operations recorded yet.'));
+        return;
+    }
+    console.log(chalk.blue('History (newest first):'));
+    transactions.map((transaction, index) => ({ ...transaction, applied: index < position }))
+        .reverse()
+        .forEach(({ id, description, timestamp, applied }) => {
+            const line = `  #${id}  ${new Date(timestamp).toLocaleString()}  ${description}`;
+            console.log(applied ? line : chalk.gray(`${line} (undone)`));
+        });
+}
@@ -0,0 +1,69 @@
+import { spawn } from 'child_process';
+import chalk from 'chalk';
+import { loadProject, getStackName } from './project.js';
+import { getSamconfigEnvironments } from './samconfig.js';
+import { getStaleEnvironments } from './operations.js';
+
+/**
+ * `sam deploy` command of an environment: its samconfig.toml config env, whose
+ * parameter_overrides must match the .env files
+ * @param {import('./project.js').ProjectState} state - Project state, read for the environment
+ * @param {string[]} [args] - Extra arguments of `sam deploy`
+ * @returns {{command: string, args: string[], stackName: string}}
+ */
+export function getDeployCommand(state, args = []) {
+    const environment = state.environment;
+    if (state.samconfig === null || !getSamconfigEnvironments(state.samconfig).includes(environment)) {
+        throw new Error(`samconfig.toml has no [${environment}.deploy.parameters] section. Run npm run sam-smith:update to sync the environments.`);
+    }
+    if (getStaleEnvironments(state).includes(environment)) {
+        throw new Error(`The parameter_overrides of ${environment} in samconfig.toml do not match the .env files. Run npm run sam-smith:update to sync the environment variables.`);
+    }
+
+    return {
+        command: 'sam',
+        args: ['deploy', '--config-env', environment, '--capabilities', 'CAPABILITY_NAMED_IAM', '--no-confirm-changeset', '--no-fail-on-empty-changeset', ...args],
+        stackName: getStackName(state),
+    };
+}
+
+/**
+ * Deploy an environment with `sam deploy`, then print the API Gateway URLs of its stack
+ * @param {string} projectPath - Absolute path to the project
+ * @param {Object} [options]
+ * @param {string} [options.environment] - Environment (default: ENVIRONMENT of .env)
+ * @param {string[]} [options.args] - Extra arguments of `sam deploy`
+ * @returns {Promise<void>}
+ */
+export async function deployProject(projectPath, options = {}) {
+    const { environment, args = [] } = options;
+    const state = await loadProject(projectPath, { environment });
+    const deploy = getDeployCommand(state, args);
+
+    console.log(chalk.blue(`Deploying ${state.environment} (${deploy.stackName})...\n`));
+    await run(deploy.command, deploy.args, projectPath);
+
+    const outputs = await run('aws', [
+        'cloudformation', 'describe-stacks',
+        '--stack-name', deploy.stackName,
+        '--query', 'Stacks[0].Outputs[?contains(OutputKey, \'Url\')].OutputValue',
+        '--output', 'text',
+    ], projectPath, { capture: true });
+    console.log(chalk.cyan('\nAPI Gateway URLs:'));
+    outputs.split(/\s+/).filter(Boolean).forEach(url => console.log(url));
+}
+
+// Run a command in the project, its output shown (or returned with capture)
+function run(command, args, cwd, { capture = false } = {}) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(command, args, { cwd, stdio: capture ? ['inherit', 'pipe', 'inherit'] : 'inherit' });
+        let output = '';
+        if (capture) {
+            child.stdout.on('data', data => {
+                output += data;
+            });
+        }
+        child.on('error', error => reject(new Error(`${command} could not be started: ${error.message}`)));
+        child.on('close', code => (code === 0 ? resolve(output) : reject(new Error(`${command} ${args[0]} failed with exit code ${code}`))));
+    });
+}
@@ -0,0 +1,302 @@
+import fs from 'fs-extra';
+import path from 'path';
+import chalk from 'chalk';
+import swaggerJsdoc from 'swagger-jsdoc';
+import { isMap, isSeq } from 'yaml';
+import { readTemplate, getApiGateways, getFunctionNames, getHandler, getOutputs, getApiAuth, scalarValue } from './template.js';
+import { getSamconfigEnvironments, getSamconfigValue } from './samconfig.js';
+
+const HTTP_METHODS = ['get', 'post', 'put', 'delete', 'patch', 'options', 'head'];
+
+// Region of the servers when samconfig.toml has none
+const DEFAULT_REGION = 'us-east-1';
+
+/**
+ * Generate one OpenAPI 3 document per API Gateway found in template.yaml.
+ * Paths and methods come from the Api events of every Lambda, security schemes from
+ * the gateway Auth section and servers from the `<Gateway>Url` Outputs. JSDoc
+ * `@openapi` annotations found in the handlers of each gateway are merged on top.
+ * @param {string} projectPath - Absolute path to the project
+ * @param {Object} [options]
+ * @param {string} [options.outputDir] - Directory for the generated files (default: docs)
+ * @returns {Promise<string[]>} Paths of the generated documents
+ */
+export async function generateSwagger(projectPath = process.cwd(), options = {}) {
+    const templatePath = path.join(projectPath, 'template.yaml');
+    const outputDir = path.resolve(projectPath, options.outputDir || 'docs');
+
+    if (!await fs.pathExists(templatePath)) {
+        throw new Error('template.yaml file not found.');
+    }
+
+    const doc = await readTemplate(templatePath);
+
+    const apiGateways = getApiGateways(doc);
+    const gatewayNames = Object.keys(apiGateways);
+
+    if (gatewayNames.length === 0) {
+        console.log(chalk.yellow('No API Gateways found in template.yaml'));
+        return [];
+    }
+
+    const handlers = getHandlerFiles(doc, projectPath);
+    const outputs = getUrlOutputs(doc);
+    const version = await getProjectVersion(projectPath);
+    const region = await getProjectRegion(projectPath);
+
+    await fs.ensureDir(outputDir);
+    const generatedFiles = [];
+
+    for (const gatewayName of gatewayNames) {
+        const gateway = apiGateways[gatewayName];
+        const auth = getGatewayAuth(doc, gatewayName);
+
+        const definition = {
+            openapi: '3.0.3',
+            info: {
+                title: gatewayName,
+                version,
+            },
+            servers: buildServers(outputs[gatewayName], gatewayName, region),
+            paths: {},
+            components: {},
+        };
+
+        if (Object.keys(auth.schemes).length > 0) {
+            definition.components.securitySchemes = auth.schemes;
+        }
+        if (auth.defaultAuthorizer) {
+            definition.security = [{ [auth.defaultAuthorizer]: [] }];
+        }
+
+        const operations = new Set();
+        const operationIds = getOperationIds(gateway);
+        for (const [lambdaName, events] of Object.entries(gateway)) {
+            for (const event of events) {
+                for (const details of Object.values(event)) {
+                    const method = details.method.toLowerCase();
+                    const pathParameters = [...details.path.matchAll(/\{([^}+]+)\+?\}/g)].map(m => m[1]);
+
+                    if (!definition.paths[details.path]) {
+                        definition.paths[details.path] = {};
+                    }
+                    definition.paths[details.path][method] = {
+                        operationId: operationIds.get(`${lambdaName} ${method} ${details.path}`),
+                        tags: [lambdaName],
+                        ...(pathParameters.length > 0 && {
+                            parameters: pathParameters.map(name => ({
+                                name,
+                                in: 'path',
+                                required: true,
+                                schema: { type: 'string' },
+                            })),
+                        }),
+                        responses: {
+                            200: { description: 'Successful response' },
+                        },
+                    };
+                    operations.add(`${method} ${details.path}`);
+                }
+            }
+        }
+
+        // Merge JSDoc annotations from the handlers wired to this gateway
+        const apis = Object.keys(gateway)
+            .map(lambdaName => handlers[lambdaName])
+            .filter(Boolean);
+        const spec = swaggerJsdoc({ definition, apis, failOnErrors: true });
+
+        // Annotations may describe routes of other gateways; keep only this gateway's operations
+        for (const [routePath, pathItem] of Object.entries(spec.paths)) {
+            for (const method of Object.keys(pathItem)) {
+                if (HTTP_METHODS.includes(method) && !operations.has(`${method} ${routePath}`)) {
+                    delete pathItem[method];
+                }
+            }
+            if (!Object.keys(pathItem).some(key => HTTP_METHODS.includes(key))) {
+                delete spec.paths[routePath];
+            }
+        }
+        if (Object.keys(spec.components).length === 0) {
+            delete spec.components;
+        }
+        if (spec.tags && spec.tags.length === 0) {
+            delete spec.tags;
+        }
+
+        const outputFile = path.join(outputDir, `${gatewayName}.openapi.json`);
+        await fs.writeJson(outputFile, spec, { spaces: 2 });
+        generatedFiles.push(outputFile);
+
+        console.log(chalk.green(`✓ Generated ${path.relative(projectPath, outputFile)}`));
+        console.log(chalk.gray(`  - ${operations.size} operation(s)`));
+    }
+
+    return generatedFiles;
+}
+
+/**
+ * Operation ids of the routes of a gateway, keyed by `<lambda> <method> <path>`. An id is
+ * the Lambda and the method (helloFunctionGet); when the Lambda serves the method on
+ * several paths, the path is appended (helloFunctionGetItemsId), as ids must be unique
+ */
+function getOperationIds(gateway) {
+    const routes = Object.entries(gateway).flatMap(([lambdaName, events]) => events
+        .flatMap(event => Object.values(event))
+        .map(details => ({ lambdaName, method: details.method.toLowerCase(), path: details.path })));
+
+    const ids = new Map();
+    const used = new Set();
+    for (const { lambdaName, method, path: routePath } of routes) {
+        let id = `${lambdaName}${capitalize(method)}`;
+        if (routes.filter(route => route.lambdaName === lambdaName && route.method === method).length > 1) {
+            id += routePath.split(/[^a-zA-Z0-9]+/).filter(Boolean).map(capitalize).join('') || 'Root';
+        }
+        // Paths differing only by punctuation (/items-id and /items/{id}) get a numeric suffix
+        let unique = id;
+        for (let suffix = 2; used.has(unique); suffix++) {
+            unique = `${id}${suffix}`;
+        }
+        used.add(unique);
+        ids.set(`${lambdaName} ${method} ${routePath}`, unique);
+    }
+    return ids;
+}
+
+function capitalize(str) {
+    return str.charAt(0).toUpperCase() + str.slice(1);
+}
+
+function getHandlerFiles(doc, projectPath) {
+    const handlers = {};
+
+    for (const functionName of getFunctionNames(doc)) {
+        const handler = getHandler(doc, functionName);
+        if (!handler) {
+            continue;
+        }
+        // "orders/handler.orders" -> src/orders/handler.ts
+        const modulePath = handler.split('.')[0];
+        const handlerFile = path.join(projectPath, 'src', `${modulePath}.ts`);
+        if (fs.existsSync(handlerFile)) {
+            handlers[functionName] = handlerFile;
+        }
+    }
+
+    return handlers;
+}
+
+function getUrlOutputs(doc) {
+    const outputs = {};
+
+    for (const [name, value] of Object.entries(getOutputs(doc))) {
+        const match = name.match(/^([a-zA-Z0-9]+)Url$/);
+        if (match && value) {
+            outputs[match[1]] = value;
+        }
+    }
+
+    return outputs;
+}
+
+function buildServers(outputUrl, gatewayName, region) {
+    if (!outputUrl) {
+        return [];
+    }
+
+    // !Sub "https://${Api}.execute-api.${AWS::Region}.amazonaws.com/default"
+    // becomes a server URL with restApiId and region variables
+    const url = outputUrl
+        .replace(`\${${gatewayName}}`, '{restApiId}')
+        .replace('${AWS::Region}', '{region}');
+
+    const variables = {};
+    if (url.includes('{restApiId}')) {
+        variables.restApiId = {
+            default: gatewayName,
+            description: `Id of the deployed ${gatewayName} REST API (see the ${gatewayName}Url stack output)`,
+        };
+    }
+    if (url.includes('{region}')) {
+        variables.region = { default: region };
+    }
+
+    return [{
+        url,
+        description: `${gatewayName}Url stack output`,
+        ...(Object.keys(variables).length > 0 && { variables }),
+    }];
+}
+
+// Region of the first environment of samconfig.toml, so that the documents do not depend
+// on the shell they are generated from
+async function getProjectRegion(projectPath) {
+    const samconfigPath = path.join(projectPath, 'samconfig.toml');
+    if (!await fs.pathExists(samconfigPath)) {
+        return DEFAULT_REGION;
+    }
+    const content = await fs.readFile(samconfigPath, 'utf8');
+    const regions = getSamconfigEnvironments(content)
+        .map(environment => getSamconfigValue(content, environment, 'region'))
+        .filter(Boolean);
+    return regions.length > 0 ? regions[0] : DEFAULT_REGION;
+}
+
+function getGatewayAuth(doc, gatewayName) {
+    const auth = { defaultAuthorizer: null, schemes: {} };
+
+    const gatewayAuth = getApiAuth(doc, gatewayName);
+    if (!gatewayAuth) {
+        return auth;
+    }
+
+    auth.defaultAuthorizer = scalarValue(gatewayAuth.get('DefaultAuthorizer', true));
+
+    const authorizers = gatewayAuth.get('Authorizers');
+    if (!isMap(authorizers)) {
+        return auth;
+    }
+
+    for (const { key, value: authorizer } of authorizers.items) {
+        const name = String(key.value ?? key);
+        auth.schemes[name] = {
+            type: 'apiKey',
+            in: 'header',
+            name: 'Authorization',
+        };
+        if (!isMap(authorizer)) {
+            continue;
+        }
+
+        if (authorizer.has('UserPoolArn')) {
+            auth.schemes[name] = {
+                type: 'http',
+                scheme: 'bearer',
+                bearerFormat: 'JWT',
+                description: 'Cognito User Pool ID token',
+            };
+        }
+        const headers = authorizer.getIn(['Identity', 'Headers']);
+        if (isSeq(headers) && headers.items.length > 0) {
+            auth.schemes[name] = {
+                type: 'apiKey',
+                in: 'header',
+                name: scalarValue(headers.items[0]),
+                description: 'Validated by the Lambda authorizer',
+            };
+        }
+    }
+
+    return auth;
+}
+
+async function getProjectVersion(projectPath) {
+    const packageJsonPath = path.join(projectPath, 'package.json');
+    if (await fs.pathExists(packageJsonPath)) {
+        const packageJson = await fs.readJson(packageJsonPath);
+        if (packageJson.version) {
+            return packageJson.version;
+        }
+    }
+    return '1.0.0';
+}
@@ -0,0 +1,1181 @@
+import http from 'http';
+import { randomUUID } from 'crypto';
+import chalk from 'chalk';
+import { loadProject, getStackName } from './project.js';
+import { getResourceNames, getTableKeys, getTableAttributeTypes, getTableIndexes, getTableName, getPreviousTable } from './template.js';
+import { readSeeds, writeSeeds, localSeedWriter } from './seed.js';
+
+/**
+ * Port of the local DynamoDB served by `sam-smith dynamo-local`. The table repositories
+ * running in `sam local` reach it on the Docker host
+ */
+export const LOCAL_DYNAMO_PORT = 8000;
+
+// Target prefix of the requests of the DynamoDB JSON protocol (X-Amz-Target header)
+const TARGET_PREFIX = 'DynamoDB_20120810.';
+
+// Items per request of the batch operations and the transactions
+const MAX_BATCH_GET = 100;
+const MAX_BATCH_WRITE = 25;
+const MAX_TRANSACT_ITEMS = 100;
+
+// ---------------------------------------------------------------------------
+// Tables
+// ---------------------------------------------------------------------------
+
+/**
+ * Definition of a table of the local DynamoDB
+ * @typedef {Object} LocalTableDefinition
+ * @property {string} name - Table name, as in the stack (sam-smith-<project>-<env>-<table>)
+ * @property {string} partitionKey - Partition key attribute
+ * @property {string|null} sortKey - Sort key attribute
+ * @property {{name: string, type: 'global'|'local', partitionKey: string, sortKey: string|null, projection: string, nonKeyAttributes: string[]}[]} indexes - Secondary indexes
+ * @property {Object<string, 'S'|'N'|'B'>} [attributeTypes] - Types of the key attributes of the table and its
+ * indexes, from its AttributeDefinitions; an attribute without type takes any of them
+ */
+
+/**
+ * Tables of template.yaml with their keys and indexes, named as in the stack of the project,
+ * and the previous tables of the tables whose keys changed, for their migration scripts
+ * @param {import('./project.js').ProjectState} state - Project state
+ * @returns {LocalTableDefinition[]}
+ */
+export function getLocalTables(state) {
+    const stackName = getStackName(state);
+    return getResourceNames(state.template, 'AWS::DynamoDB::Table').flatMap(table => {
+        const { partitionKey, sortKey } = getTableKeys(state.template, table);
+        const previous = getPreviousTable(state.template, table, stackName);
+        return [{
+            name: getTableName(state.template, table, stackName),
+            partitionKey,
+            sortKey,
+            attributeTypes: getTableAttributeTypes(state.template, table),
+            indexes: getTableIndexes(state.template, table).map(({ name, type, partitionKey: indexPartitionKey, sortKey: indexSortKey, projection, nonKeyAttributes }) => ({
+                name,
+                type,
+                partitionKey: indexPartitionKey ?? partitionKey,
+                sortKey: indexSortKey,
+                projection,
+                nonKeyAttributes,
+            })),
+        }, ...(previous ? [{
+            name: previous.tableName,
+            partitionKey: previous.partitionKey,
+            sortKey: previous.sortKey,
+            // The keys of the tables are strings
+            attributeTypes: { [previous.partitionKey]: 'S', [previous.sortKey]: 'S' },
+            indexes: [],
+        }] : [])];
+    });
+}
+
+/**
+ * In-memory DynamoDB holding the given tables. Requests and responses use the DynamoDB JSON
+ * protocol (typed attribute values), as sent by the AWS SDK and dynamo-query-builder
+ * @param {LocalTableDefinition[]} [tables] - Tables created empty
+ * @returns {{tables: Map<string, Object>, execute: (operation: string, input: Object) => Object}}
+ * execute throws errors whose `type` is the DynamoDB exception name
+ */
+export function createLocalDynamo(tables = []) {
+    const store = new Map();
+    tables.forEach(definition => addTable(store, definition));
+
+    const operations = {
+        CreateTable: input => createTable(store, input),
+        DeleteTable: input => {
+            const table = requireTable(store, input.TableName);
+            store.delete(table.name);
+            return { TableDescription: describeTable(table) };
+        },
+        DescribeTable: input => ({ Table: describeTable(requireTable(store, input.TableName)) }),
+        ListTables: () => ({ TableNames: [...store.keys()].sort() }),
+        GetItem: input => getItem(store, input),
+        PutItem: input => writeItem(store, preparePut(store, input), input.ReturnValues),
+        UpdateItem: input => writeItem(store, prepareUpdate(store, input), input.ReturnValues),
+        DeleteItem: input => writeItem(store, prepareDelete(store, input), input.ReturnValues),
+        Query: input => query(store, input),
+        Scan: input => scan(store, input),
+        BatchGetItem: input => batchGetItem(store, input),
+        BatchWriteItem: input => batchWriteItem(store, input),
+        TransactGetItems: input => transactGetItems(store, input),
+        TransactWriteItems: input => transactWriteItems(store, input),
+    };
+
+    return {
+        tables: store,
+        execute(operation, input) {
+            if (!Object.hasOwn(operations, operation)) {
+                throw dynamoError('UnknownOperationException', `Operation ${operation} is not supported by the local DynamoDB.`);
+            }
+            return operations[operation](input || {});
+        },
+    };
+}
+
+function addTable(store, { name, partitionKey, sortKey = null, indexes = [], attributeTypes = {} }) {
+    store.set(name, { name, partitionKey, sortKey, indexes, attributeTypes, items: new Map() });
+}
+
+function createTable(store, input) {
+    const { TableName: name, KeySchema: keySchema = [] } = input;
+    if (!name) {
+        throw validation('TableName is required.');
+    }
+    if (store.has(name)) {
+        throw dynamoError('ResourceInUseException', `Table already exists: ${name}`);
+    }
+    const keyOfType = (schema, type) => {
+        const key = (schema || []).find(item => item.KeyType === type);
+        return key ? key.AttributeName : null;
+    };
+    const partitionKey = keyOfType(keySchema, 'HASH');
+    if (!partitionKey) {
+        throw validation('One or more parameter values were invalid: the KeySchema has no HASH key.');
+    }
+    const indexes = [
+        ...(input.GlobalSecondaryIndexes || []).map(index => ({ ...index, type: 'global' })),
+        ...(input.LocalSecondaryIndexes || []).map(index => ({ ...index, type: 'local' })),
+    ].map(index => ({
+        name: index.IndexName,
+        type: index.type,
+        partitionKey: keyOfType(index.KeySchema, 'HASH') || partitionKey,
+        sortKey: keyOfType(index.KeySchema, 'RANGE'),
+        projection: (index.Projection && index.Projection.ProjectionType) || 'ALL',
+        nonKeyAttributes: (index.Projection && index.Projection.NonKeyAttributes) || [],
+    }));
+    const attributeTypes = Object.fromEntries((input.AttributeDefinitions || []).map(item => [item.AttributeName, item.AttributeType]));
+    addTable(store, { name, partitionKey, sortKey: keyOfType(keySchema, 'RANGE'), indexes, attributeTypes });
+    return { TableDescription: describeTable(store.get(name)) };
+}
+
+function describeTable(table) {
+    const keySchema = (partitionKey, sortKey) => [
+        { AttributeName: partitionKey, KeyType: 'HASH' },
+        ...(sortKey ? [{ AttributeName: sortKey, KeyType: 'RANGE' }] : []),
+    ];
+    return {
+        TableName: table.name,
+        TableStatus: 'ACTIVE',
+        TableArn: `arn:aws:dynamodb:local:000000000000:table/${table.name}`,
+        KeySchema: keySchema(table.partitionKey, table.sortKey),
+        ItemCount: table.items.size,
+        ...(table.indexes.length > 0 && {
+            GlobalSecondaryIndexes: table.indexes.map(index => ({
+                IndexName: index.name,
+                KeySchema: keySchema(index.partitionKey, index.sortKey),
+                Projection: { ProjectionType: index.projection },
+                IndexStatus: 'ACTIVE',
+            })),
+        }),
+    };
+}
+
+function requireTable(store, name) {
+    if (!store.has(name)) {
+        throw dynamoError('ResourceNotFoundException', `Requested resource not found: Table: ${name} not found`);
+    }
+    return store.get(name);
+}
+
+/**
+ * Keys and projection read by a query or scan: the table or one of its indexes
+ */
+function readSource(table, indexName) {
+    if (!indexName) {
+        return { partitionKey: table.partitionKey, sortKey: table.sortKey, projection: 'ALL', nonKeyAttributes: [] };
+    }
+    const index = table.indexes.find(item => item.name === indexName);
+    if (!index) {
+        throw validation(`The table does not have the specified index: ${indexName}`);
+    }
+    return index;
+}
+
+/**
+ * Refuse a Select that the source cannot answer: a global index holds only its projected
+ * attributes, while a local index reads the others from the table
+ */
+function checkSelect(source, input) {
+    if (input.Select === 'ALL_ATTRIBUTES' && source.type === 'global' && source.projection !== 'ALL') {
+        throw validation(`One or more parameter values were invalid: Select type ALL_ATTRIBUTES is not supported for global secondary index ${source.name} because its projection type is not ALL`);
+    }
+}
+
+// ---------------------------------------------------------------------------
+// Attribute values
+// ---------------------------------------------------------------------------
+
+function dynamoError(type, message) {
+    const error = new Error(message);
+    error.type = type;
+    return error;
+}
+
+function validation(message) {
+    return dynamoError('ValidationException', message);
+}
+
+function valueType(value) {
+    return value ? Object.keys(value)[0] : undefined;
+}
+
+function comparable(a, b) {
+    return a !== undefined && b !== undefined && valueType(a) === valueType(b) && ['S', 'N', 'B'].includes(valueType(a));
+}
+
+// Numbers are ordered by value, strings and binaries by their bytes
+function compareValues(a, b) {
+    const type = valueType(a);
+    if (type === 'N') {
+        return Math.sign(Number(a.N) - Number(b.N));
+    }
+    const bytes = value => (type === 'B' ? Buffer.from(value.B, 'base64') : Buffer.from(value.S, 'utf8'));
+    return Buffer.compare(bytes(a), bytes(b));
+}
+
+function equalValues(a, b) {
+    const type = valueType(a);
+    if (a === undefined || b === undefined || type !== valueType(b)) {
+        return false;
+    }
+    switch (type) {
+        case 'N':
+            return Number(a.N) === Number(b.N);
+        case 'NS':
+            return a.NS.length === b.NS.length && a.NS.every(value => b.NS.some(other => Number(other) === Number(value)));
+        case 'SS':
+        case 'BS':
+            return a[type].length === b[type].length && a[type].every(value => b[type].includes(value));
+        case 'L':
+            return a.L.length === b.L.length && a.L.every((value, i) => equalValues(value, b.L[i]));
+        case 'M':
+            return Object.keys(a.M).length === Object.keys(b.M).length
+                && Object.keys(a.M).every(key => equalValues(a.M[key], b.M[key]));
+        default:
+            return a[type] === b[type];
+    }
+}
+
+/**
+ * Key attributes of an item or of a Key parameter, checked against the key schema
+ */
+function keyOf(table, item) {
+    const key = {};
+    for (const attribute of [table.partitionKey, table.sortKey].filter(Boolean)) {
+        const value = item[attribute];
+        if (value === undefined) {
+            throw validation(`One or more parameter values were invalid: Missing the key ${attribute} in the item`);
+        }
+        const expected = table.attributeTypes[attribute];
+        if (!['S', 'N', 'B'].includes(valueType(value)) || (expected && valueType(value) !== expected)) {
+            throw validation(`One or more parameter values were invalid: Type mismatch for key ${attribute} expected: ${expected || 'S, N or B'} actual: ${valueType(value)}`);
+        }
+        if (valueType(value) !== 'N' && value[valueType(value)] === '') {
+            throw validation(`One or more parameter values are not valid. The AttributeValue for a key attribute cannot contain an empty string value. Key: ${attribute}`);
+        }
+        key[attribute] = value;
+    }
+    return key;
+}
+
+/**
+ * Key attributes of the indexes in an item written, checked against their definitions. An
+ * item without them is left out of the index
+ */
+function checkIndexKeys(table, item) {
+    for (const index of table.indexes) {
+        for (const attribute of [index.partitionKey, index.sortKey].filter(Boolean)) {
+            const value = item[attribute];
+            const expected = table.attributeTypes[attribute];
+            if (value !== undefined && (!['S', 'N', 'B'].includes(valueType(value)) || (expected && valueType(value) !== expected))) {
+                throw validation(`One or more parameter values were invalid: Type mismatch for Index Key ${attribute} Expected: ${expected || 'S, N or B'} Actual: ${valueType(value)} IndexName: ${index.name}`);
+            }
+        }
+    }
+}
+
+function requireKey(table, key) {
+    const attributes = [table.partitionKey, table.sortKey].filter(Boolean);
+    if (!key || Object.keys(key).length !== attributes.length || !attributes.every(attribute => key[attribute] !== undefined)) {
+        throw validation('The provided key element does not match the schema');
+    }
+    return keyOf(table, key);
+}
+
+function keyString(table, key) {
+    const normalize = value => (valueType(value) === 'N' ? { N: String(Number(value.N)) } : value);
+    return JSON.stringify([table.partitionKey, table.sortKey].filter(Boolean).map(attribute => normalize(key[attribute])));
+}
+
+function pickAttributes(item, attributes) {
+    return Object.fromEntries(attributes.filter(attribute => item[attribute] !== undefined).map(attribute => [attribute, item[attribute]]));
+}
+
+// ---------------------------------------------------------------------------
+// Expressions
+// ---------------------------------------------------------------------------
+
+const TOKEN_PATTERN = /\s*(#\w+|:\w+|[A-Za-z_]\w*|\d+|<>|<=|>=|[=<>(),.[\]+-])/y;
+
+function tokenize(expression) {
+    const source = expression.trimEnd();
+    const tokens = [];
+    let index = 0;
+    while (index < source.length) {
+        TOKEN_PATTERN.lastIndex = index;
+        const match = TOKEN_PATTERN.exec(source);
+        if (!match) {
+            throw validation(`Invalid expression: Syntax error; token: "${source.slice(index).trim()}", near: "${expression}"`);
+        }
+        tokens.push(match[1]);
+        index = TOKEN_PATTERN.lastIndex;
+    }
+    return tokens;
+}
+
+/**
+ * Refuse the ExpressionAttributeValues that none of the expressions of a request uses
+ * @param {Object} input - Request
+ * @param {(string|undefined)[]} expressions - Expressions of the request
+ */
+function checkValuesUsed(input, expressions) {
+    const used = new Set(expressions.filter(Boolean).flatMap(tokenize).filter(token => token.startsWith(':')));
+    const unused = Object.keys(input.ExpressionAttributeValues || {}).filter(value => !used.has(value));
+    if (unused.length > 0) {
+        throw validation(`Value provided in ExpressionAttributeValues unused in expressions: keys: {${unused.join(', ')}}`);
+    }
+}
+
+/**
+ * Token reader of an expression, resolving the #names and :values placeholders
+ */
+function expressionReader(expression, names = {}, values = {}) {
+    const tokens = tokenize(expression);
+    let position = 0;
+
+    const reader = {
+        peek: (offset = 0) => tokens[position + offset],
+        isKeyword: (keyword, offset = 0) => String(tokens[position + offset]).toUpperCase() === keyword,
+        isFunction: (name) => String(tokens[position]).toLowerCase() === name && tokens[position + 1] === '(',
+        done: () => position >= tokens.length,
+        next: () => {
+            if (position >= tokens.length) {
+                throw validation(`Invalid expression: Syntax error; token: <EOF>, near: "${expression}"`);
+            }
+            return tokens[position++];
+        },
+        expect: (token) => {
+            const actual = reader.next();
+            if (actual.toUpperCase() !== token) {
+                throw validation(`Invalid expression: Syntax error; token: "${actual}", expected: "${token}", near: "${expression}"`);
+            }
+        },
+        // Document path: name or #name, followed by .name and [index]
+        path: () => {
+            const segments = [reader.name()];
+            while (reader.peek() === '.' || reader.peek() === '[') {
+                if (reader.next() === '.') {
+                    segments.push(reader.name());
+                } else {
+                    const index = reader.next();
+                    if (!/^\d+$/.test(index)) {
+                        throw validation(`Invalid expression: a list index must be a number, near: "${expression}"`);
+                    }
+                    reader.expect(']');
+                    segments.push(Number(index));
+                }
+            }
+            return segments;
+        },
+        name: () => {
+            const token = reader.next();
+            if (token.startsWith('#')) {
+                if (!Object.hasOwn(names, token)) {
+                    throw validation(`Invalid expression: An expression attribute name used in the document path is not defined; attribute name: ${token}`);
+                }
+                return names[token];
+            }
+            if (!/^[A-Za-z_]/.test(token)) {
+                throw validation(`Invalid expression: Syntax error; token: "${token}", near: "${expression}"`);
+            }
+            return token;
+        },
+        value: () => {
+            const token = reader.next();
+            if (!Object.hasOwn(values, token)) {
+                throw validation(`Invalid expression: An expression attribute value used in expression is not defined; attribute value: ${token}`);
+            }
+            return values[token];
+        },
+        end: () => {
+            if (!reader.done()) {
+                throw validation(`Invalid expression: Syntax error; token: "${reader.peek()}", near: "${expression}"`);
+            }
+        },
+    };
+    return reader;
+}
+
+function getPath(item, segments) {
+    let value = { M: item };
+    for (const segment of segments) {
+        const container = typeof segment === 'number' ? value.L : value.M;
+        value = container ? container[segment] : undefined;
+        if (value === undefined) {
+            return undefined;
+        }
+    }
+    return value;
+}
+
+function parentOf(item, segments) {
+    let parent = { M: item };
+    for (const segment of segments.slice(0, -1)) {
+        const container = typeof segment === 'number' ? parent.L : parent.M;
+        parent = container ? container[segment] : undefined;
+        if (parent === undefined) {
+            throw validation('The document path provided in the update expression is invalid for update');
+        }
+    }
+    const last = segments[segments.length - 1];
+    if (typeof last === 'number' ? !parent.L : !parent.M) {
+        throw validation('The document path provided in the update expression is invalid for update');
+    }
+    return { parent, last };
+}
+
+function setPath(item, segments, value) {
+    const { parent, last } = parentOf(item, segments);
+    if (typeof last === 'number' && last >= parent.L.length) {
+        parent.L.push(value);
+    } else {
+        (typeof last === 'number' ? parent.L : parent.M)[last] = value;
+    }
+}
+
+function removePath(item, segments) {
+    const { parent, last } = parentOf(item, segments);
+    if (typeof last === 'number') {
+        parent.L.splice(last, 1);
+    } else {
+        delete parent.M[last];
+    }
+}
+
+const COMPARATORS = {
+    '=': (a, b) => equalValues(a, b),
+    '<>': (a, b) => !equalValues(a, b),
+    '<': (a, b) => comparable(a, b) && compareValues(a, b) < 0,
+    '<=': (a, b) => comparable(a, b) && compareValues(a, b) <= 0,
+    '>': (a, b) => comparable(a, b) && compareValues(a, b) > 0,
+    '>=': (a, b) => comparable(a, b) && compareValues(a, b) >= 0,
+};
+
+/**
+ * Compile a key condition, condition or filter expression into a predicate on items
+ * @returns {(item: Object) => boolean}
+ */
+function compileCondition(expression, names, values) {
+    const reader = expressionReader(expression, names, values);
+    const condition = parseOr(reader);
+    reader.end();
+    return condition;
+}
+
+function parseOr(reader) {
+    let condition = parseAnd(reader);
+    while (reader.isKeyword('OR')) {
+        reader.next();
+        const left = condition;
+        const right = parseAnd(reader);
+        condition = item => left(item) || right(item);
+    }
+    return condition;
+}
+
+function parseAnd(reader) {
+    let condition = parseNot(reader);
+    while (reader.isKeyword('AND')) {
+        reader.next();
+        const left = condition;
+        const right = parseNot(reader);
+        condition = item => left(item) && right(item);
+    }
+    return condition;
+}
+
+function parseNot(reader) {
+    if (reader.isKeyword('NOT')) {
+        reader.next();
+        const condition = parseNot(reader);
+        return item => !condition(item);
+    }
+    return parsePredicate(reader);
+}
+
+function parsePredicate(reader) {
+    if (reader.peek() === '(') {
+        reader.next();
+        const condition = parseOr(reader);
+        reader.expect(')');
+        return condition;
+    }
+
+    for (const name of ['attribute_exists', 'attribute_not_exists', 'attribute_type', 'begins_with', 'contains']) {
+        if (reader.isFunction(name)) {
+            reader.next();
+            reader.next();
+            const path = reader.path();
+            let argument = null;
+            if (name !== 'attribute_exists' && name !== 'attribute_not_exists') {
+                reader.expect(',');
+                argument = parseOperand(reader);
+            }
+            reader.expect(')');
+            return item => evaluateFunction(name, getPath(item, path), argument && argument(item));
+        }
+    }
+
+    const left = parseOperand(reader);
+    if (reader.isKeyword('BETWEEN')) {
+        reader.next();
+        const low = parseOperand(reader);
+        reader.expect('AND');
+        const high = parseOperand(reader);
+        return item => {
+            const value = left(item);
+            return comparable(value, low(item)) && comparable(value, high(item))
+                && compareValues(value, low(item)) >= 0 && compareValues(value, high(item)) <= 0;
+        };
+    }
+    if (reader.isKeyword('IN')) {
+        reader.next();
+        reader.expect('(');
+        const candidates = [parseOperand(reader)];
+        while (reader.peek() === ',') {
+            reader.next();
+            candidates.push(parseOperand(reader));
+        }
+        reader.expect(')');
+        return item => candidates.some(candidate => equalValues(left(item), candidate(item)));
+    }
+    const operator = reader.next();
+    if (!Object.hasOwn(COMPARATORS, operator)) {
+        throw validation(`Invalid expression: Syntax error; token: "${operator}", expected a comparator`);
+    }
+    const right = parseOperand(reader);
+    return item => COMPARATORS[operator](left(item), right(item));
+}
+
+function evaluateFunction(name, value, argument) {
+    switch (name) {
+        case 'attribute_exists':
+            return value !== undefined;
+        case 'attribute_not_exists':
+            return value === undefined;
+        case 'attribute_type':
+            return valueType(value) === argument.S;
+        case 'begins_with':
+            return comparable(value, argument) && valueType(value) !== 'N'
+                && (valueType(value) === 'S'
+                    ? value.S.startsWith(argument.S)
+                    : Buffer.from(value.B, 'base64').subarray(0, Buffer.from(argument.B, 'base64').length).equals(Buffer.from(argument.B, 'base64')));
+        default: {
+            const type = valueType(value);
+            if (type === 'S' && valueType(argument) === 'S') {
+                return value.S.includes(argument.S);
+            }
+            if (['SS', 'NS', 'BS'].includes(type)) {
+                return value[type].some(member => equalValues({ [type.charAt(0)]: member }, argument));
+            }
+            return type === 'L' && value.L.some(member => equalValues(member, argument));
+        }
+    }
+}
+
+// Operand of a condition: :value, size(path) or path
+function parseOperand(reader) {
+    if (String(reader.peek()).startsWith(':')) {
+        const value = reader.value();
+        return () => value;
+    }
+    if (reader.isFunction('size')) {
+        reader.next();
+        reader.next();
+        const path = reader.path();
+        reader.expect(')');
+        return item => sizeOf(getPath(item, path));
+    }
+    const path = reader.path();
+    return item => getPath(item, path);
+}
+
+function sizeOf(value) {
+    const type = valueType(value);
+    const size = {
+        S: () => Buffer.byteLength(value.S, 'utf8'),
+        B: () => Buffer.from(value.B, 'base64').length,
+        SS: () => value.SS.length,
+        NS: () => value.NS.length,
+        BS: () => value.BS.length,
+        L: () => value.L.length,
+        M: () => Object.keys(value.M).length,
+    }[type];
+    return size ? { N: String(size()) } : undefined;
+}
+
+/**
+ * Compile an update expression into a function applying it to a copy of an item.
+ * The operands are read from the item before the update, as DynamoDB does
+ * @returns {{paths: (string|number)[][], apply: (item: Object) => Object}}
+ */
+function compileUpdate(expression, names, values) {
+    const reader = expressionReader(expression, names, values);
+    const actions = [];
+    const clauses = new Set();
+    while (!reader.done()) {
+        const clause = reader.next().toUpperCase();
+        if (!['SET', 'REMOVE', 'ADD', 'DELETE'].includes(clause)) {
+            throw validation(`Invalid UpdateExpression: Syntax error; token: "${clause}", near: "${expression}"`);
+        }
+        if (clauses.has(clause)) {
+            throw validation(`Invalid UpdateExpression: The "${clause}" section can only be used once in an update expression`);
+        }
+        clauses.add(clause);
+        for (;;) {
+            actions.push(parseUpdateAction(reader, clause));
+            if (reader.peek() !== ',') {
+                break;
+            }
+            reader.next();
+        }
+    }
+    if (actions.length === 0) {
+        throw validation('Invalid UpdateExpression: The expression can not be empty');
+    }
+
+    return {
+        paths: actions.map(action => action.path),
+        apply: (item) => {
+            const updates = actions.map(action => action.compute(item));
+            const updated = structuredClone(item);
+            actions.forEach((action, i) => action.write(updated, updates[i]));
+            return updated;
+        },
+    };
+}
+
+function parseUpdateAction(reader, clause) {
+    const path = reader.path();
+    if (clause === 'REMOVE') {
+        return { path, compute: () => null, write: item => removePath(item, path) };
+    }
+    if (clause === 'SET') {
+        reader.expect('=');
+        const value = parseSetValue(reader);
+        return { path, compute: value, write: (item, update) => setPath(item, path, update) };
+    }
+
+    const argument = reader.value();
+    return {
+        path,
+        compute: item => (clause === 'ADD' ? addValues(getPath(item, path), argument) : deleteValues(getPath(item, path), argument)),
+        write: (item, update) => (update === undefined ? removePath(item, path) : setPath(item, path, update)),
+    };
+}
+
+function parseSetValue(reader) {
+    const left = parseSetOperand(reader);
+    if (reader.peek() !== '+' && reader.peek() !== '-') {
+        return left;
+    }
+    const sign = reader.next() === '+' ? 1 : -1;
+    const right = parseSetOperand(reader);
+    return item => {
+        const [a, b] = [left(item), right(item)];
+        if (valueType(a) !== 'N' || valueType(b) !== 'N') {
+            throw validation('An operand in the update expression has an incorrect data type');
+        }
+        return { N: String(Number(a.N) + sign * Number(b.N)) };
+    };
+}
+
+function parseSetOperand(reader) {
+    if (reader.isFunction('if_not_exists')) {
+        reader.next();
+        reader.next();
+        const path = reader.path();
+        reader.expect(',');
+        const fallback = parseSetValue(reader);
+        reader.expect(')');
+        return item => getPath(item, path) ?? fallback(item);
+    }
+    if (reader.isFunction('list_append')) {
+        reader.next();
+        reader.next();
+        const first = parseSetValue(reader);
+        reader.expect(',');
+        const second = parseSetValue(reader);
+        reader.expect(')');
+        return item => {
+            const [a, b] = [first(item), second(item)];
+            if (valueType(a) !== 'L' || valueType(b) !== 'L') {
+                throw validation('An operand in the update expression has an incorrect data type');
+            }
+            return { L: [...a.L, ...b.L] };
+        };
+    }
+    if (String(reader.peek()).startsWith(':')) {
+        const value = reader.value();
+        return () => value;
+    }
+    const path = reader.path();
+    return item => {
+        const value = getPath(item, path);
+        if (value === undefined) {
+            throw validation('The provided expression refers to an attribute that does not exist in the item');
+        }
+        return value;
+    };
+}
+
+// ADD: sums numbers and adds set members; a missing attribute is set to the value
+function addValues(current, value) {
+    const type = valueType(value);
+    if (current === undefined) {
+        return value;
+    }
+    if (type !== valueType(current) || !['N', 'SS', 'NS', 'BS'].includes(type)) {
+        throw validation('An operand in the update expression has an incorrect data type');
+    }
+    if (type === 'N') {
+        return { N: String(Number(current.N) + Number(value.N)) };
+    }
+    return { [type]: [...current[type], ...value[type].filter(member => !current[type].includes(member))] };
+}
+
+// DELETE: removes set members; an emptied set is removed
+function deleteValues(current, value) {
+    const type = valueType(value);
+    if (current === undefined) {
+        return undefined;
+    }
+    if (type !== valueType(current) || !['SS', 'NS', 'BS'].includes(type)) {
+        throw validation('An operand in the update expression has an incorrect data type');
+    }
+    const members = current[type].filter(member => !value[type].includes(member));
+    return members.length > 0 ? { [type]: members } : undefined;
+}
+
+// Top-level attributes of a projection expression; nested paths return their whole attribute
+function projectionAttributes(expression, names) {
+    const reader = expressionReader(expression, names);
+    const attributes = [reader.path()[0]];
+    while (reader.peek() === ',') {
+        reader.next();
+        attributes.push(reader.path()[0]);
+    }
+    reader.end();
+    return attributes;
+}
+
+function projectItem(item, input) {
+    if (input.ProjectionExpression) {
+        return pickAttributes(item, projectionAttributes(input.ProjectionExpression, input.ExpressionAttributeNames));
+    }
+    return input.AttributesToGet ? pickAttributes(item, input.AttributesToGet) : item;
+}
+
+// ---------------------------------------------------------------------------
+// Operations
+// ---------------------------------------------------------------------------
+
+function checkCondition(input, item) {
+    // Every write goes through here; an update also reads values in its update expression
+    checkValuesUsed(input, [input.ConditionExpression, input.UpdateExpression]);
+    if (!input.ConditionExpression) {
+        return;
+    }
+    const condition = compileCondition(input.ConditionExpression, input.ExpressionAttributeNames, input.ExpressionAttributeValues);
+    if (!condition(item || {})) {
+        throw dynamoError('ConditionalCheckFailedException', 'The conditional request failed');
+    }
+}
+
+function getItem(store, input) {
+    const table = requireTable(store, input.TableName);
+    const item = table.items.get(keyString(table, requireKey(table, input.Key)));
+    return item ? { Item: structuredClone(projectItem(item, input)) } : {};
+}
+
+/**
+ * A write of an item, checked and ready to be applied
+ * @typedef {Object} PreparedWrite
+ * @property {Object} table - Table written
+ * @property {string} key - Key string of the item
+ * @property {Object|undefined} before - Item before the write
+ * @property {Object|undefined} after - Item after the write, undefined when deleted
+ * @property {string[]} [updated] - Top-level attributes set by an update
+ */
+
+function preparePut(store, input) {
+    const table = requireTable(store, input.TableName);
+    if (!input.Item) {
+        throw validation('Item is required.');
+    }
+    const key = keyString(table, keyOf(table, input.Item));
+    const before = table.items.get(key);
+    checkIndexKeys(table, input.Item);
+    checkCondition(input, before);
+    return { table, key, before, after: structuredClone(input.Item) };
+}
+
+function prepareDelete(store, input) {
+    const table = requireTable(store, input.TableName);
+    const key = keyString(table, requireKey(table, input.Key));
+    const before = table.items.get(key);
+    checkCondition(input, before);
+    return { table, key, before, after: undefined };
+}
+
+function prepareUpdate(store, input) {
+    const table = requireTable(store, input.TableName);
+    const itemKey = requireKey(table, input.Key);
+    const key = keyString(table, itemKey);
+    const before = table.items.get(key);
+    checkCondition(input, before);
+    if (!input.UpdateExpression) {
+        return { table, key, before, after: before || structuredClone(itemKey), updated: [] };
+    }
+
+    const update = compileUpdate(input.UpdateExpression, input.ExpressionAttributeNames, input.ExpressionAttributeValues);
+    const keyAttribute = update.paths.map(path => path[0]).find(attribute => [table.partitionKey, table.sortKey].includes(attribute));
+    if (keyAttribute) {
+        throw validation(`One or more parameter values were invalid: Cannot update attribute ${keyAttribute}. This attribute is part of the key`);
+    }
+    const after = update.apply(before || structuredClone(itemKey));
+    checkIndexKeys(table, after);
+    return {
+        table,
+        key,
+        before,
+        after,
+        updated: [...new Set(update.paths.map(path => path[0]))],
+    };
+}
+
+function commitWrite({ table, key, after }) {
+    if (after === undefined) {
+        table.items.delete(key);
+    } else {
+        table.items.set(key, after);
+    }
+}
+
+function writeItem(store, write, returnValues = 'NONE') {
+    commitWrite(write);
+    const { before, after, updated = [] } = write;
+    const attributes = {
+        ALL_OLD: before,
+        ALL_NEW: after,
+        UPDATED_OLD: before && pickAttributes(before, updated),
+        UPDATED_NEW: after && pickAttributes(after, updated),
+    }[returnValues];
+    return attributes ? { Attributes: structuredClone(attributes) } : {};
+}
+
+/**
+ * Read a page of a query or scan. Items are read in the order of the given attributes: the
+ * sort key of the source, then the keys of the table so that the pages of an index are stable
+ */
+function readPage(table, source, candidates, input, orderAttributes, forward = true) {
+    const order = (a, b) => {
+        for (const attribute of orderAttributes) {
+            if (comparable(a[attribute], b[attribute]) && compareValues(a[attribute], b[attribute]) !== 0) {
+                return compareValues(a[attribute], b[attribute]);
+            }
+        }
+        return 0;
+    };
+    const items = candidates.sort(order);
+    if (!forward) {
+        items.reverse();
+    }
+    if (input.Limit !== undefined && !(Number.isInteger(input.Limit) && input.Limit >= 1)) {
+        throw validation('1 validation error detected: Value at \'limit\' failed to satisfy constraint: Member must have value greater than or equal to 1');
+    }
+
+    // The page starts after the item of the start key, even if it was deleted since
+    const startKey = input.ExclusiveStartKey;
+    if (startKey && orderAttributes.some(attribute => startKey[attribute] !== undefined
+        && (!['S', 'N', 'B'].includes(valueType(startKey[attribute])) || (table.attributeTypes[attribute] && valueType(startKey[attribute]) !== table.attributeTypes[attribute])))) {
+        throw validation('The provided starting key is invalid: The provided key element does not match the schema');
+    }
+    const direction = forward ? 1 : -1;
+    const start = input.ExclusiveStartKey
+        ? items.findIndex(item => order(item, input.ExclusiveStartKey) * direction > 0)
+        : 0;
+    const remaining = start === -1 ? [] : items.slice(start);
+    const evaluated = remaining.slice(0, input.Limit ?? remaining.length);
+    const filter = input.FilterExpression
+        ? compileCondition(input.FilterExpression, input.ExpressionAttributeNames, input.ExpressionAttributeValues)
+        : null;
+    const matched = filter ? evaluated.filter(filter) : evaluated;
+
+    const keyAttributes = [...new Set([table.partitionKey, table.sortKey, source.partitionKey, source.sortKey].filter(Boolean))];
+    const projected = ['KEYS_ONLY', 'INCLUDE'].includes(source.projection) && input.Select !== 'ALL_ATTRIBUTES'
+        ? item => pickAttributes(item, [...keyAttributes, ...(source.projection === 'INCLUDE' ? source.nonKeyAttributes : [])])
+        : item => item;
+
+    return {
+        ...(input.Select !== 'COUNT' && { Items: matched.map(item => structuredClone(projectItem(projected(item), input))) }),
+        Count: matched.length,
+        ScannedCount: evaluated.length,
+        ...(evaluated.length < remaining.length && { LastEvaluatedKey: structuredClone(pickAttributes(evaluated[evaluated.length - 1], keyAttributes)) }),
+    };
+}
+
+function query(store, input) {
+    const table = requireTable(store, input.TableName);
+    const source = readSource(table, input.IndexName);
+    if (!input.KeyConditionExpression) {
+        throw validation('Either the KeyConditions or KeyConditionExpression parameter must be specified in the request.');
+    }
+    checkSelect(source, input);
+    checkValuesUsed(input, [input.KeyConditionExpression, input.FilterExpression, input.ProjectionExpression]);
+    const keyCondition = compileCondition(input.KeyConditionExpression, input.ExpressionAttributeNames, input.ExpressionAttributeValues);
+    const candidates = [...table.items.values()]
+        .filter(item => item[source.partitionKey] !== undefined && (!source.sortKey || item[source.sortKey] !== undefined))
+        .filter(keyCondition);
+    const orderAttributes = [source.sortKey, table.partitionKey, table.sortKey].filter(Boolean);
+    return readPage(table, source, candidates, input, orderAttributes, input.ScanIndexForward !== false);
+}
+
+function scan(store, input) {
+    const table = requireTable(store, input.TableName);
+    const source = readSource(table, input.IndexName);
+    checkSelect(source, input);
+    checkValuesUsed(input, [input.FilterExpression, input.ProjectionExpression]);
+    const candidates = [...table.items.values()]
+        .filter(item => item[source.partitionKey] !== undefined && (!source.sortKey || item[source.sortKey] !== undefined));
+    const orderAttributes = [source.partitionKey, source.sortKey, table.partitionKey, table.sortKey].filter(Boolean);
+    return readPage(table, source, candidates, input, orderAttributes);
+}
+
+function batchGetItem(store, input) {
+    const requests = Object.entries(input.RequestItems || {});
+    const count = requests.reduce((total, [, request]) => total + (request.Keys || []).length, 0);
+    if (count === 0 || count > MAX_BATCH_GET) {
+        throw validation(`Too many items requested for the BatchGetItem call: ${count} keys, 1 to ${MAX_BATCH_GET} expected`);
+    }
+    const responses = {};
+    for (const [tableName, request] of requests) {
+        const table = requireTable(store, tableName);
+        const keys = request.Keys.map(key => keyString(table, requireKey(table, key)));
+        if (new Set(keys).size !== keys.length) {
+            throw validation('Provided list of item keys contains duplicates');
+        }
+        responses[tableName] = keys
+            .map(key => table.items.get(key))
+            .filter(Boolean)
+            .map(item => structuredClone(projectItem(item, request)));
+    }
+    return { Responses: responses, UnprocessedKeys: {} };
+}
+
+function batchWriteItem(store, input) {
+    const requests = Object.entries(input.RequestItems || {})
+        .flatMap(([TableName, tableRequests]) => tableRequests.map(request => ({ TableName, request })));
+    if (requests.length === 0 || requests.length > MAX_BATCH_WRITE) {
+        throw validation(`Too many items requested for the BatchWriteItem call: ${requests.length} requests, 1 to ${MAX_BATCH_WRITE} expected`);
+    }
+    const writes = requests.map(({ TableName, request }) => (request.PutRequest
+        ? preparePut(store, { TableName, Item: request.PutRequest.Item })
+        : prepareDelete(store, { TableName, Key: request.DeleteRequest && request.DeleteRequest.Key })));
+    const keys = writes.map(write => `${write.table.name} ${write.key}`);
+    if (new Set(keys).size !== keys.length) {
+        throw validation('Provided list of item keys contains duplicates');
+    }
+    writes.forEach(commitWrite);
+    return { UnprocessedItems: {} };
+}
+
+function transactGetItems(store, input) {
+    const items = input.TransactItems || [];
+    if (items.length === 0 || items.length > MAX_TRANSACT_ITEMS) {
+        throw validation(`TransactItems must have 1 to ${MAX_TRANSACT_ITEMS} items`);
+    }
+    return { Responses: items.map(({ Get }) => getItem(store, Get)) };
+}
+
+function transactWriteItems(store, input) {
+    const items = input.TransactItems || [];
+    if (items.length === 0 || items.length > MAX_TRANSACT_ITEMS) {
+        throw validation(`TransactItems must have 1 to ${MAX_TRANSACT_ITEMS} items`);
+    }
+
+    // Every condition is checked before anything is written
+    const reasons = [];
+    const writes = items.map(({ ConditionCheck, Put, Update, Delete }) => {
+        try {
+            let write;
+            if (ConditionCheck) {
+                const table = requireTable(store, ConditionCheck.TableName);
+                const key = keyString(table, requireKey(table, ConditionCheck.Key));
+                checkCondition(ConditionCheck, table.items.get(key));
+                write = { table, key, check: true };
+            } else if (Put) {
+                write = preparePut(store, Put);
+            } else if (Update) {
+                write = prepareUpdate(store, Update);
+            } else if (Delete) {
+                write = prepareDelete(store, Delete);
+            } else {
+                throw validation('Each TransactItem needs one of ConditionCheck, Put, Update or Delete');
+            }
+            reasons.push({ Code: 'None' });
+            return write;
+        } catch (error) {
+            if (error.type !== 'ConditionalCheckFailedException') {
+                throw error;
+            }
+            reasons.push({ Code: 'ConditionalCheckFailed', Message: error.message });
+            return null;
+        }
+    });
+
+    const keys = writes.filter(Boolean).map(write => `${write.table.name} ${write.key}`);
+    if (new Set(keys).size !== keys.length) {
+        throw validation('Transaction request cannot include multiple operations on one item');
+    }
+    if (reasons.some(reason => reason.Code !== 'None')) {
+        const error = dynamoError('TransactionCanceledException',
+            `Transaction cancelled, please refer cancellation reasons for specific reasons [${reasons.map(reason => reason.Code).join(', ')}]`);
+        error.reasons = reasons;
+        throw error;
+    }
+    writes.filter(write => !write.check).forEach(commitWrite);
+    return {};
+}
+
+// ---------------------------------------------------------------------------
+// Server
+// ---------------------------------------------------------------------------
+
+/**
+ * Answer a request of the DynamoDB JSON protocol
+ * @param {ReturnType<typeof createLocalDynamo>} dynamo - Local DynamoDB
+ * @param {(operation: string, input: Object, error?: Error) => void} [onRequest] - Called after each request
+ */
+async function handleRequest(dynamo, request, response, onRequest) {
+    const chunks = [];
+    for await (const chunk of request) {
+        chunks.push(chunk);
+    }
+
+    const target = String(request.headers['x-amz-target'] || '');
+    const operation = target.startsWith(TARGET_PREFIX) ? target.slice(TARGET_PREFIX.length) : target;
+    let input = {};
+    let status = 200;
+    let body;
+    try {
+        input = JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}');
+        body = dynamo.execute(operation, input);
+        if (onRequest) {
+            onRequest(operation, input);
+        }
+    } catch (error) {
+        status = error.type ? 400 : 500;
+        body = {
+            __type: `com.amazonaws.dynamodb.v20120810#${error.type || 'InternalServerError'}`,
+            message: error.message,
+            ...(error.reasons && { CancellationReasons: error.reasons }),
+        };
+        if (onRequest) {
+            onRequest(operation, input, error);
+        }
+    }
+
+    const content = JSON.stringify(body);
+    response.writeHead(status, {
+        'Content-Type': 'application/x-amz-json-1.0',
+        'Content-Length': Buffer.byteLength(content),
+        'x-amzn-RequestId': randomUUID(),
+    });
+    response.end(content);
+}
+
+/**
+ * Start the local DynamoDB of a project, with the tables of its template.yaml
+ * @param {string} projectPath - Absolute path to the project
+ * @param {Object} [options]
+ * @param {number} [options.port] - Port; 0 picks a free one (default: 8000)
+ * @param {string} [options.host] - Interface listened on (default: 127.0.0.1)
+ * @param {boolean} [options.seed] - Load the items of the seed files (see seed.js)
+ * @param {(operation: string, input: Object, error?: Error) => void} [options.onRequest] - Called after each request
+ * @returns {Promise<{dynamo: ReturnType<typeof createLocalDynamo>, seeds: import('./seed.js').TableSeed[], endpoint: string, close: () => Promise<void>}>}
+ */
+export async function startLocalDynamo(projectPath, options = {}) {
+    const { port = LOCAL_DYNAMO_PORT, host = '127.0.0.1', seed = false, onRequest } = options;
+    const state = await loadProject(projectPath);
+    const dynamo = createLocalDynamo(getLocalTables(state));
+    const seeds = seed ? await readSeeds(state) : [];
+    await writeSeeds(seeds, localSeedWriter(dynamo));
+    const server = http.createServer((request, response) => handleRequest(dynamo, request, response, onRequest));
+
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, resolve);
+    });
+
+    return {
+        dynamo,
+        seeds,
+        endpoint: `http://${host === '0.0.0.0' ? '127.0.0.1' : host}:${server.address().port}`,
+        close: () => new Promise(resolve => {
+            server.closeAllConnections();
+            server.close(() => resolve());
+        }),
+    };
+}
+
+/**
+ * Serve the local DynamoDB of a project until Ctrl+C (`sam-smith dynamo-local`).
+ * It listens on every interface so that the Lambdas of `sam local` reach it from Docker
+ * @param {string} projectPath - Absolute path to the project
+ * @param {Object} [options]
+ * @param {number} [options.port] - Port (default: 8000)
+ * @param {boolean} [options.seed] - Load the items of the seed files
+ * @returns {Promise<void>}
+ */
+export async function serveLocalDynamo(projectPath, options = {}) {
+    const { port = LOCAL_DYNAMO_PORT, seed = false } = options;
+    if (!Number.isInteger(port) || port < 1 || port > 65535) {
+        throw new Error('The port must be a number from 1 to 65535.');
+    }
+
+    const { dynamo, seeds, endpoint, close } = await startLocalDynamo(projectPath, {
+        port,
+        host: '0.0.0.0',
+        seed,
+        onRequest: (operation, input, error) => {
+            const line = `${operation}${input.TableName ? ` ${input.TableName}` : ''}`;
+            console.log(error ? chalk.red(`✗ ${line}: ${error.message}`) : chalk.gray(`  ${line}`));
+        },
+    });
+
+    console.log(chalk.green(`✓ Local DynamoDB listening on ${endpoint}`));
+    for (const table of dynamo.tables.values()) {
+        console.log(chalk.gray(`  ${table.name}${table.indexes.length > 0 ? ` (${table.indexes.map(index => index.name).join(', ')})` : ''}`));
+    }
+    seeds.forEach(({ tableName, file, items }) => console.log(chalk.green(`✓ Seeded ${tableName} with ${items.length} item${items.length === 1 ? '' : 's'} from ${file}`)));
+    console.log(chalk.gray(`\nTests set DYNAMODB_ENDPOINT themselves; Lambdas run by sam local use http://host.docker.internal:${port}.`));
+    console.log(chalk.gray('Items are kept in memory until the server stops (Ctrl+C).'));
+
+    await new Promise(resolve => {
+        process.once('SIGINT', resolve);
+        process.once('SIGTERM', resolve);
+    });
+    await close();
+    console.log(chalk.gray('\nLocal DynamoDB stopped.'));
+}
@@ -4,11 +4,33 @@ import chalk from 'chalk';
 import inquirer from 'inquirer';
 import { fileURLToPath } from 'url';
 import { addBasicAuthProgrammatically, addCognitoAuthProgrammatically } from './test-utils.js';
+import { DEFAULT_ENVIRONMENTS } from './project.js';
+import { createSamconfig } from './samconfig.js';
+import { validators } from './cli.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-export async function generateProject(projectName, functionName, apiName, timeout, envVars = [], templateName = 'basic', architecture = 'x86_64', environment = 'dev') {
+// Ignored by git in a new project: the packages, the output of sam build and npm run build, and
+// the staging, history and migration progress of sam-smith:update
+const GITIGNORE_ENTRIES = ['node_modules/', '.aws-sam/', '.build/', '.sam-smith/'];
+
+/**
+ * Generate a new SAM project in the current directory
+ * @param {string} projectName - Name of the project directory
+ * @param {string} functionName - Name of the Lambda function
+ * @param {string} apiName - Name of the API Gateway
+ * @param {number} timeout - Lambda timeout in seconds
+ * @param {string[]} [envVars] - Environment variables (unused, kept for compatibility)
+ * @param {string} [templateName] - Template to use (basic, basic-auth, cognito-auth)
+ * @param {string} [architecture] - Architecture (arm64 or x86_64)
+ * @param {string} [environment] - Environment name (dev, staging, prod)
+ * @param {Object} [options]
+ * @param {string} [options.poolName] - Cognito User Pool name for cognito-auth; asked when missing
+ * @param {string} [options.region] - Region of the stacks in samconfig.toml (default: AWS_REGION, or us-east-1)
+ * @returns {Promise<void>}
+ */
+export async function generateProject(projectName, functionName, apiName, timeout, envVars = [], templateName = 'basic', architecture = 'x86_64', environment = 'dev', options = {}) {
     const projectPath = path.join(process.cwd(), projectName);
     const templatePath = path.join(__dirname, '../templates');
 
@@ -49,23 +71,20 @@ export async function generateProject(projectName, functionName, apiName, timeou
 
         await fs.writeFile(path.join(projectPath, 'template.yaml'), String(templateContent));
 
-        // Create .env file in the generated project
-        const envFileContent = `ENVIRONMENT=${environment}\n`;
-        await fs.writeFile(path.join(projectPath, '.env'), envFileContent);
+        // .env holds the variables shared by every environment and the environment read by
+        // default; .env.<environment> the variables of one environment
+        await fs.writeFile(path.join(projectPath, '.env'), `ENVIRONMENT=${environment}\n`);
+        const environments = [...new Set([environment, ...DEFAULT_ENVIRONMENTS])];
+        for (const name of environments) {
+            await fs.writeFile(
+                path.join(projectPath, `.env.${name}`),
+                `# Variables of the ${name} environment, overriding those of .env\n`
+            );
+        }
 
         // Read and customize package.json
         const packageJson = await fs.readJson(path.join(templatePath, 'package.json'));
 
-        // Add output printing to sam-smith:deploy script - show ALL API Gateway URLs
-        const stackName = `sam-smith-${projectName}-${environment}`;
-        // Command to get all Outputs whose key contains 'Url' - using text format for reliability
-        const printUrlCmd = `aws cloudformation describe-stacks --stack-name ${stackName} --query "Stacks[0].Outputs[?contains(OutputKey, 'Url')].OutputValue" --output text | tr '\\t' '\\n'`;
-
-        // Append the command to sam-smith:deploy
-        if (packageJson.scripts && packageJson.scripts['sam-smith:deploy']) {
-            packageJson.scripts['sam-smith:deploy'] += ` && echo "" && echo "API Gateway URLs:" && ${printUrlCmd}`;
-        }
-
         await fs.writeJson(path.join(projectPath, 'package.json'), packageJson, { spaces: 4 });
         await fs.copyFile(
             path.join(templatePath, 'tsconfig.json'),
@@ -75,6 +94,7 @@ export async function generateProject(projectName, functionName, apiName, timeou
             path.join(templatePath, 'jest.config.js'),
             path.join(projectPath, 'jest.config.js')
         );
+        await fs.writeFile(path.join(projectPath, '.gitignore'), `${GITIGNORE_ENTRIES.join('\n')}\n`);
 
         // Copy node_modules from root to project root
         if (!process.env.SKIP_NODE_MODULES) {
@@ -89,16 +109,34 @@ export async function generateProject(projectName, functionName, apiName, timeou
         await fs.ensureDir(path.join(projectPath, 'bin'));
         await fs.ensureDir(path.join(projectPath, 'lib'));
 
-        await fs.copyFile(
-            path.join(__dirname, '../bin/update.js'),
-            path.join(projectPath, 'bin/update.js')
-        );
+        for (const file of ['update.js', 'deploy.js', 'dynamo-local.js', 'seed.js', 'secrets.js', 'check-env.js']) {
+            await fs.copyFile(
+                path.join(__dirname, '../bin', file),
+                path.join(projectPath, 'bin', file)
+            );
+        }
 
         await fs.copyFile(
             path.join(__dirname, '../lib/update.js'),
             path.join(projectPath, 'lib/update.js')
         );
 
+        // The local DynamoDB, its seeds and the Jest hooks starting it run the tests of the tables
+        for (const file of ['template.js', 'project.js', 'operations.js', 'samconfig.js', 'deploy.js', 'preview.js', 'history.js', 'dynamo-local.js', 'seed.js', 'secrets.js', 'check-env.js', 'jest-global-setup.js', 'jest-global-teardown.js']) {
+            await fs.copyFile(
+                path.join(__dirname, '../lib', file),
+                path.join(projectPath, 'lib', file)
+            );
+        }
+
+        // Templates used by the update operations (authorizer, layers)
+        for (const dir of ['src/authorizer', 'src/layers/BoilerPlateLayer']) {
+            await fs.copy(
+                path.join(templatePath, dir),
+                path.join(projectPath, 'lib/templates', dir)
+            );
+        }
+
         // Copy BoilerPlateFunction directory to src/{functionName}/
         const boilerPlateFunctionDir = path.join(templatePath, 'src/BoilerPlateFunction');
         const handlerDir = path.join(projectPath, 'src', functionName);
@@ -149,24 +187,11 @@ export async function generateProject(projectName, functionName, apiName, timeou
         // It will be used for basic-auth and cognito templates in the future
 
 
-        // Generate samconfig.toml
-        const samConfigContent = `version = 0.1
-[default]
-[default.deploy]
-[default.deploy.parameters]
-stack_name = "sam-smith-${projectName}-${environment}"
-s3_prefix = "sam-smith-${projectName}-${environment}"
-region = "${process.env.AWS_REGION || 'us-east-1'}"
-confirm_changeset = true
-capabilities = "CAPABILITY_IAM"
-disable_rollback = false
-image_repositories = []
-resolve_s3 = true
-`;
-
+        // samconfig.toml has a config env per environment: npm run sam-smith:deploy -- --env prod
+        const region = options.region || process.env.AWS_REGION || 'us-east-1';
         await fs.writeFile(
             path.join(projectPath, 'samconfig.toml'),
-            samConfigContent
+            createSamconfig(Object.fromEntries(environments.map(name => [name, { stackName: `sam-smith-${projectName}-${name}`, region }])))
         );
 
         console.log(chalk.green('✓ Project created successfully!\n'));
@@ -180,6 +205,8 @@ resolve_s3 = true
             } catch (error) {
                 console.error(chalk.red('✗ Error adding basic auth:'), error.message);
                 console.log(chalk.yellow('You can add it manually later using: npm run sam-smith:update\n'));
+                // The project is there, but not the one that was asked for
+                process.exitCode = 1;
             }
         }
 
@@ -187,19 +214,14 @@ resolve_s3 = true
         if (templateName === 'cognito-auth') {
             console.log(chalk.blue('Adding Cognito authentication...'));
             try {
-                // Ask for pool name
+                // Ask for pool name unless it was given as an option
                 const { poolName } = await inquirer.prompt([{
                     type: 'input',
                     name: 'poolName',
                     message: 'Enter name for Cognito User Pool:',
                     default: 'main',
-                    validate: (value) => {
-                        if (!value.length) {
-                            return 'Please enter a valid name.';
-                        }
-                        return true;
-                    },
-                }]);
+                    validate: validators.poolName,
+                }], { poolName: options.poolName });
 
                 await addCognitoAuthProgrammatically(projectPath, safeApiName, poolName);
                 console.log(chalk.green('✓ Cognito auth added successfully!'));
@@ -209,13 +231,15 @@ resolve_s3 = true
             } catch (error) {
                 console.error(chalk.red('✗ Error adding Cognito auth:'), error.message);
                 console.log(chalk.yellow('You can add it manually later using: npm run sam-smith:update\n'));
+                // The project is there, but not the one that was asked for
+                process.exitCode = 1;
             }
         }
 
         console.log(chalk.cyan('Next steps:'));
         console.log(chalk.gray(`  cd ${projectName}`));
         console.log(chalk.gray(`  sam build`));
-        console.log(chalk.gray(`  sam deploy --guided\n`));
+        console.log(chalk.gray(`  npm run sam-smith:deploy -- --env ${environment}\n`));
 
     } catch (err) {
         console.error(chalk.red('✗ Error creating project:'), err.message);
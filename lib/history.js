@@ -0,0 +1,172 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { applyChanges, writeChange, deleteChange, removeEmptyDirs } from './project.js';
+import { resolveChanges } from './preview.js';
+
+/**
+ * Directory of the history, relative to the project
+ */
+export const HISTORY_DIR = '.sam-smith/history';
+
+/**
+ * Oldest transactions are dropped past this number
+ */
+const MAX_TRANSACTIONS = 50;
+
+/**
+ * An applied operation with the content of every file it touched
+ * @typedef {Object} Transaction
+ * @property {number} id - Sequential id
+ * @property {string} description - What the operation did
+ * @property {string} timestamp - ISO date of the operation
+ * @property {{path: string, before: string|null, after: string|null}[]} files - Contents before and after; null when the file does not exist
+ */
+
+/**
+ * Apply the changes of an operation and record them as a transaction that can be undone.
+ * Nothing is recorded when the changes leave every file as it was
+ * @param {string} projectPath - Absolute path to the project
+ * @param {import('./project.js').Change[]} changes - Changes returned by an operation
+ * @param {string} description - What the operation does, shown by `sam-smith history`
+ * @returns {Promise<import('./project.js').Change[]>} The applied changes
+ */
+export async function applyTransaction(projectPath, changes, description) {
+    const files = await resolveChanges(projectPath, changes);
+    await applyChanges(projectPath, changes);
+    if (files.length > 0) {
+        await recordTransaction(projectPath, description, files);
+    }
+    return changes;
+}
+
+/**
+ * Transactions of a project, oldest first. The first `position` ones are applied,
+ * the others were undone and can be redone
+ * @param {string} projectPath - Absolute path to the project
+ * @returns {Promise<{position: number, transactions: {id: number, description: string, timestamp: string}[]}>}
+ */
+export async function getHistory(projectPath) {
+    const { position, transactions } = await readIndex(projectPath);
+    return { position, transactions };
+}
+
+/**
+ * Restore the files of the last applied transaction to their content before it
+ * @param {string} projectPath - Absolute path to the project
+ * @param {Object} [options]
+ * @param {boolean} [options.force] - Undo even if the files were changed since the transaction
+ * @returns {Promise<Transaction>} The undone transaction
+ */
+export async function undo(projectPath, options = {}) {
+    const index = await readIndex(projectPath);
+    if (index.position === 0) {
+        throw new Error('Nothing to undo.');
+    }
+
+    const transaction = await readTransaction(projectPath, index.transactions[index.position - 1].id);
+    await restore(projectPath, transaction, 'after', 'before', options);
+
+    index.position--;
+    await writeIndex(projectPath, index);
+    return transaction;
+}
+
+/**
+ * Apply again the last undone transaction
+ * @param {string} projectPath - Absolute path to the project
+ * @param {Object} [options]
+ * @param {boolean} [options.force] - Redo even if the files were changed since the undo
+ * @returns {Promise<Transaction>} The redone transaction
+ */
+export async function redo(projectPath, options = {}) {
+    const index = await readIndex(projectPath);
+    if (index.position === index.transactions.length) {
+        throw new Error('Nothing to redo.');
+    }
+
+    const transaction = await readTransaction(projectPath, index.transactions[index.position].id);
+    await restore(projectPath, transaction, 'before', 'after', options);
+
+    index.position++;
+    await writeIndex(projectPath, index);
+    return transaction;
+}
+
+async function recordTransaction(projectPath, description, files) {
+    const index = await readIndex(projectPath);
+
+    // A new transaction replaces the ones that were undone
+    const dropped = index.transactions.splice(index.position);
+    while (index.transactions.length >= MAX_TRANSACTIONS) {
+        dropped.push(index.transactions.shift());
+    }
+    for (const { id } of dropped) {
+        await fs.remove(transactionPath(projectPath, id));
+    }
+
+    const transaction = {
+        id: index.nextId++,
+        description,
+        timestamp: new Date().toISOString(),
+        files,
+    };
+    await fs.outputJson(transactionPath(projectPath, transaction.id), transaction, { spaces: 2 });
+
+    index.transactions.push({ id: transaction.id, description, timestamp: transaction.timestamp });
+    index.position = index.transactions.length;
+    await writeIndex(projectPath, index);
+}
+
+/**
+ * Write the `to` content of every file of a transaction, after checking that the
+ * files still have their `from` content
+ */
+async function restore(projectPath, transaction, from, to, { force = false }) {
+    if (!force) {
+        const changed = [];
+        for (const file of transaction.files) {
+            if (await readFileOrNull(path.join(projectPath, file.path)) !== file[from]) {
+                changed.push(file.path);
+            }
+        }
+        if (changed.length > 0) {
+            throw new Error(`Files changed since '${transaction.description}': ${changed.join(', ')}. Use --force to overwrite them.`);
+        }
+    }
+
+    await applyChanges(projectPath, transaction.files.map(file => file[to] === null
+        ? deleteChange(file.path)
+        : writeChange(file.path, file[to])));
+    for (const file of transaction.files) {
+        if (file[to] === null) {
+            await removeEmptyDirs(projectPath, path.dirname(path.join(projectPath, file.path)));
+        }
+    }
+}
+
+async function readFileOrNull(filePath) {
+    return await fs.pathExists(filePath) ? fs.readFile(filePath, 'utf8') : null;
+}
+
+function transactionPath(projectPath, id) {
+    return path.join(projectPath, HISTORY_DIR, `${id}.json`);
+}
+
+async function readIndex(projectPath) {
+    const indexPath = path.join(projectPath, HISTORY_DIR, 'index.json');
+    return await fs.pathExists(indexPath)
+        ? fs.readJson(indexPath)
+        : { nextId: 1, position: 0, transactions: [] };
+}
+
+async function writeIndex(projectPath, index) {
+    await fs.outputJson(path.join(projectPath, HISTORY_DIR, 'index.json'), index, { spaces: 2 });
+}
+
+async function readTransaction(projectPath, id) {
+    const filePath = transactionPath(projectPath, id);
+    if (!await fs.pathExists(filePath)) {
+        throw new Error(`Transaction #${id} not found in ${HISTORY_DIR}.`);
+    }
+    return fs.readJson(filePath);
+}
@@ -0,0 +1,18 @@
+import { startLocalDynamo } from './dynamo-local.js';
+
+/**
+ * Jest global setup: starts the local DynamoDB with the tables of template.yaml and the items
+ * of the seed files on a free port, so that the tests read and write real items through the
+ * table repositories
+ * @param {{rootDir: string}} globalConfig - Jest global configuration
+ */
+export default async function globalSetup(globalConfig) {
+    const localDynamo = await startLocalDynamo(globalConfig.rootDir, { port: 0, seed: true });
+    globalThis.__LOCAL_DYNAMO__ = localDynamo;
+
+    // Read by the repositories in src/utils; the credentials are never checked locally
+    process.env.DYNAMODB_ENDPOINT = localDynamo.endpoint;
+    process.env.AWS_REGION ??= 'us-east-1';
+    process.env.AWS_ACCESS_KEY_ID ??= 'local';
+    process.env.AWS_SECRET_ACCESS_KEY ??= 'local';
+}
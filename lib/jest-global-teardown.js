@@ -0,0 +1,8 @@
+/**
+ * Jest global teardown: stops the local DynamoDB started by jest-global-setup.js
+ */
+export default async function globalTeardown() {
+    if (globalThis.__LOCAL_DYNAMO__) {
+        await globalThis.__LOCAL_DYNAMO__.close();
+    }
+}
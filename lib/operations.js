@@ -0,0 +1,5060 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { isDeepStrictEqual } from 'util';
+import { fileURLToPath } from 'url';
+import {
+    ref,
+    sub,
+    scalarValue,
+    referencesResource,
+    getResource,
+    hasResource,
+    getResourceType,
+    getResourceNames,
+    removeResource,
+    setProperty,
+    setResourceAttribute,
+    getFunctionNames,
+    getHandler,
+    getArchitecture,
+    getRefList,
+    addRefs,
+    removeRefs,
+    getEnvironmentVariables,
+    setEnvironmentVariables,
+    addFunction,
+    removeFunction,
+    getApiEvents,
+    addApiEvent,
+    findApiEvent,
+    updateApiEvent,
+    removeEvents,
+    addApiGateway,
+    removeApiGateway,
+    getApiAuth,
+    addBasicAuth,
+    addCognitoAuth,
+    removeAuth as removeApiAuth,
+    addUserPool,
+    getUserPoolResources,
+    addUserPoolGroup,
+    addLayer,
+    addTable,
+    removeTable,
+    getFunctionsReferencing,
+    getTableKeys,
+    getTablePolicies,
+    getTableIndexes,
+    getTableOptions,
+    setTableOptions,
+    addTableIndex as addIndexToTable,
+    removeTableIndex as removeIndexFromTable,
+    getTableName,
+    setTableKeys,
+    setPreviousTable,
+    getPreviousTable,
+    getTableStream,
+    setTableStream,
+    getDynamoDbEvents,
+    addDynamoDbEvent,
+    addQueue,
+    removeQueue,
+    getQueueNames,
+    addSqsEvent,
+    getSqsEvents,
+    addQueuePolicy,
+    removeQueueFromFunction,
+    getScheduleEvents,
+    addScheduleEvent,
+    setScheduleEnabled,
+    setEnvironmentVariable,
+    removeEnvironmentVariable,
+    addBucket,
+    removeBucket,
+    getBucketName,
+    getS3Events,
+    addS3Event,
+    addTopic,
+    addEventBus,
+    getSnsEvents,
+    addSnsEvent,
+    getEventBridgeRuleEvents,
+    addEventBridgeRuleEvent,
+    getQueueRules,
+    addQueueRule,
+    removeQueueRule,
+    addPublishPolicy,
+    removePublishPolicy,
+    getEnvironmentParameters,
+    addEnvironmentParameters,
+    setEnvironmentParameter,
+    removeEnvironmentParameter,
+    getDeclaredVariables,
+    getSecretParameters,
+    addSecretParameters,
+    setSecretParameter,
+    removeSecretParameter,
+    getSecretLocation,
+    getParameterNames,
+    useEnvironmentParameter,
+    getLambdaParameters,
+    addLambdaParameter,
+    setLambdaParameter,
+    removeLambdaParameter,
+    setSsmParameters,
+} from './template.js';
+import { writeChange, deleteChange, templateChange, copyChanges, getStackName } from './project.js';
+import { getSamconfigEnvironments, getSamconfigValue, getParameterOverrides, setSamconfigEnvironment } from './samconfig.js';
+import { LOCAL_DYNAMO_PORT } from './dynamo-local.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// templates/ is next to lib/ in the package. Generated projects have no templates/:
+// the generator copies the files the operations need to lib/templates
+const TEMPLATES_PATHS = [path.join(__dirname, 'templates'), path.join(__dirname, '../templates')];
+
+export const HTTP_METHODS = ['get', 'post', 'put', 'delete', 'patch', 'options', 'head'];
+
+// ---------------------------------------------------------------------------
+// Operations take the state returned by loadProject() and return the changes
+// to apply. They read the project but never write to it: the template is
+// edited on a copy and every file mutation is returned as a Change.
+// ---------------------------------------------------------------------------
+
+// ---------------------------------------------------------------------------
+// Environment variables
+// ---------------------------------------------------------------------------
+
+/**
+ * Differences between the variables of the .env files and the `Env<NAME>`, `Secret<NAME>`
+ * and `<function>Env<NAME>` parameters of the template. The variables of every environment
+ * are compared, with the values of the environment read. Variables marked `# @secret` are
+ * compared with the secret parameters only: a variable turning into a secret is both a
+ * removed variable and a new secret, and the other way round. Variables marked `# @lambda`
+ * are compared with the parameters of their Lambdas
+ * @param {import('./project.js').ProjectState} state - Project state
+ * @returns {{
+ *   newVars: string[],
+ *   removedVars: {name: string, usedIn: string[]}[],
+ *   changedVars: {name: string, oldValue: string, newValue: string}[],
+ *   newSecrets: string[],
+ *   removedSecrets: {name: string, usedIn: string[]}[],
+ *   changedSecrets: {name: string, oldStore: string, newStore: string}[],
+ *   newLambdaVars: {functionName: string, name: string}[],
+ *   removedLambdaVars: {functionName: string, name: string}[],
+ *   changedLambdaVars: {functionName: string, name: string, oldValue: string, newValue: string}[],
+ *   unknownLambdas: string[],
+ *   missingVars: {name: string, environments: string[]}[],
+ *   staleEnvironments: string[],
+ * }}
+ */
+export function getEnvironmentChanges(state) {
+    const doc = state.template;
+    const { env, secrets } = getProjectVariables(state);
+    const templateVars = getEnvironmentParameters(doc);
+    const templateSecrets = getSecretParameters(doc);
+    const templateLambdas = getLambdaParameters(doc);
+    const plainVars = Object.keys(env).filter(name => !Object.hasOwn(secrets, name));
+    // Functions with a value of their own keep it when the shared variable is removed
+    const usedIn = name => getFunctionNames(doc).filter(functionName =>
+        getDeclaredVariables(doc, functionName).includes(name) && (templateLambdas[functionName] ?? {})[name] === undefined);
+
+    const newVars = plainVars.filter(name => templateVars[name] === undefined);
+    const removedVars = Object.keys(templateVars)
+        .filter(name => !plainVars.includes(name))
+        .map(name => ({ name, usedIn: usedIn(name) }));
+    const changedVars = plainVars
+        .filter(name => templateVars[name] !== undefined && templateVars[name] !== env[name])
+        .map(name => ({ name, oldValue: templateVars[name], newValue: env[name] }));
+
+    const newSecrets = Object.keys(secrets).filter(name => !templateSecrets[name]);
+    const removedSecrets = Object.keys(templateSecrets)
+        .filter(name => !Object.hasOwn(secrets, name))
+        .map(name => ({ name, usedIn: usedIn(name) }));
+    const changedSecrets = Object.keys(secrets)
+        .filter(name => templateSecrets[name] && templateSecrets[name].store !== secrets[name])
+        .map(name => ({ name, oldStore: templateSecrets[name].store, newStore: secrets[name] }));
+
+    const { lambdas, unknownLambdas } = getLambdaVariables(state);
+    const lambdaVars = Object.entries(lambdas).flatMap(([functionName, variables]) =>
+        Object.entries(variables).map(([name, value]) => ({ functionName, name, value, oldValue: (templateLambdas[functionName] ?? {})[name] })));
+    const newLambdaVars = lambdaVars
+        .filter(({ oldValue }) => oldValue === undefined)
+        .map(({ functionName, name }) => ({ functionName, name }));
+    const removedLambdaVars = Object.entries(templateLambdas)
+        .flatMap(([functionName, variables]) => Object.keys(variables).map(name => ({ functionName, name })))
+        .filter(({ functionName, name }) => (lambdas[functionName] ?? {})[name] === undefined);
+    const changedLambdaVars = lambdaVars
+        .filter(({ value, oldValue }) => oldValue !== undefined && oldValue !== value)
+        .map(({ functionName, name, value, oldValue }) => ({ functionName, name, oldValue, newValue: value }));
+
+    const missingVars = Object.keys(env)
+        .map(name => ({ name, environments: Object.keys(state.environments).filter(environment => !Object.hasOwn(state.environments[environment].env, name)) }))
+        .filter(({ environments }) => environments.length > 0);
+
+    return {
+        newVars,
+        removedVars,
+        changedVars,
+        newSecrets,
+        removedSecrets,
+        changedSecrets,
+        newLambdaVars,
+        removedLambdaVars,
+        changedLambdaVars,
+        unknownLambdas,
+        missingVars,
+        staleEnvironments: getStaleEnvironments(state),
+    };
+}
+
+/**
+ * Variables of every environment: the value in the environment read, or else in the first
+ * environment having the variable, and the store of the variables marked `# @secret` in
+ * any environment
+ * @param {import('./project.js').ProjectState} state - Project state
+ * @returns {{env: Object<string, string>, secrets: Object<string, import('./project.js').SecretStore>}}
+ */
+export function getProjectVariables(state) {
+    const environments = Object.values(state.environments).reverse();
+    return {
+        env: Object.assign({}, ...environments.map(({ env }) => env), state.env),
+        secrets: Object.assign({}, ...environments.map(({ secrets }) => secrets), state.secrets),
+    };
+}
+
+/**
+ * Values of their own of the Lambdas (`# @lambda` in the .env files), by logical id. A value
+ * is the one of the environment read, or else the shared value of the environment read, or
+ * else the one of the first environment having it. Lambdas of `# @lambda` missing from the
+ * template are listed apart
+ * @param {import('./project.js').ProjectState} state - Project state
+ * @param {import('yaml').Document} [doc] - Template document (default: the template of the state)
+ * @returns {{lambdas: Object<string, Object<string, string>>, unknownLambdas: string[]}}
+ */
+export function getLambdaVariables(state, doc = state.template) {
+    const own = getFunctionValues(doc, state.lambdas).values;
+    const lambdas = {};
+    const unknownLambdas = [];
+
+    for (const environment of Object.values(state.environments)) {
+        const { values, unknown } = getFunctionValues(doc, environment.lambdas);
+        unknownLambdas.push(...unknown.filter(name => !unknownLambdas.includes(name)));
+        for (const [functionName, variables] of Object.entries(values)) {
+            for (const [name, value] of Object.entries(variables)) {
+                const current = (lambdas[functionName] ?? {})[name];
+                lambdas[functionName] = {
+                    ...lambdas[functionName],
+                    [name]: (own[functionName] ?? {})[name] ?? state.env[name] ?? current ?? value,
+                };
+            }
+        }
+    }
+    return { lambdas, unknownLambdas };
+}
+
+/**
+ * Which Lambdas read which variables, from the template: `shared` for the value shared by
+ * the Lambdas, `own` for a value of its own (`<function>Env<NAME>`), null when the Lambda
+ * does not read the variable
+ * @param {import('./project.js').ProjectState} state - Project state
+ * @returns {{
+ *   functionNames: string[],
+ *   variables: {name: string, secret: boolean, lambdas: Object<string, 'shared'|'own'|null>}[],
+ * }}
+ */
+export function getVariableMatrix(state) {
+    const doc = state.template;
+    const functionNames = getFunctionNames(doc);
+    const secrets = getSecretParameters(doc);
+    const own = getLambdaParameters(doc);
+    const declared = Object.fromEntries(functionNames.map(functionName => [functionName, getDeclaredVariables(doc, functionName)]));
+    const names = [...new Set([
+        ...Object.keys(getEnvironmentParameters(doc)),
+        ...Object.keys(secrets),
+        ...Object.values(own).flatMap(variables => Object.keys(variables)),
+    ])];
+
+    const variables = names.map(name => ({
+        name,
+        secret: Boolean(secrets[name]),
+        lambdas: Object.fromEntries(functionNames.map(functionName => {
+            if (!declared[functionName].includes(name)) {
+                return [functionName, null];
+            }
+            return [functionName, (own[functionName] ?? {})[name] !== undefined ? 'own' : 'shared'];
+        })),
+    }));
+    return { functionNames, variables };
+}
+
+// Values of `# @lambda` by logical id, the Lambda being named by its logical id, its name
+// (`orders` for ordersFunction) or its folder; Lambdas not found are listed apart
+function getFunctionValues(doc, lambdas) {
+    const functionNames = getFunctionNames(doc);
+    const values = {};
+    const unknown = [];
+    for (const [lambda, variables] of Object.entries(lambdas)) {
+        const functionName = [`${lambda}Function`, lambda].find(name => functionNames.includes(name))
+            ?? functionNames.find(name => getLambdaFolder(doc, name) === lambda);
+        if (functionName) {
+            values[functionName] = { ...values[functionName], ...variables };
+        } else {
+            unknown.push(lambda);
+        }
+    }
+    return { values, unknown };
+}
+
+/**
+ * Sync the `Env<NAME>`, `Secret<NAME>` and `<function>Env<NAME>` parameters of the template
+ * with the .env files, the SSM parameters of the Lambdas, and the parameter_overrides of
+ * every environment in samconfig.toml. The Lambdas reading a variable that turns into a
+ * secret (or back) read it the new way, src/utils/secrets.ts is generated once a
+ * Lambda reads a secret, and src/utils/config.ts is rewritten
+ * @param {import('./project.js').ProjectState} state - Project state
+ * @param {Object} [options] - Variables to sync (default: every difference found)
+ * @param {string[]} [options.add] - New variables to add
+ * @param {string[]} [options.remove] - Removed variables to delete, with their usage in functions
+ * @param {string[]} [options.update] - Changed variables to update
+ * @param {string[]} [options.addSecrets] - New secrets to add
+ * @param {string[]} [options.removeSecrets] - Removed secrets to delete, with their usage in functions
+ * @param {string[]} [options.updateSecrets] - Secrets to move to the store given in .env
+ * @param {{functionName: string, name: string}[]} [options.addLambdaVars] - New values of Lambdas to add
+ * @param {{functionName: string, name: string}[]} [options.removeLambdaVars] - Removed values of Lambdas to delete
+ * @param {{functionName: string, name: string}[]} [options.updateLambdaVars] - Changed values of Lambdas to update
+ * @returns {Promise<import('./project.js').Change[]>}
+ */
+export async function syncEnvironmentVariables(state, options = {}) {
+    if (!state.hasEnvFile) {
+        throw new Error('.env not found');
+    }
+
+    const {
+        newVars,
+        removedVars,
+        changedVars,
+        newSecrets,
+        removedSecrets,
+        changedSecrets,
+        newLambdaVars,
+        removedLambdaVars,
+        changedLambdaVars,
+    } = getEnvironmentChanges(state);
+    const {
+        add = newVars,
+        remove = removedVars.map(v => v.name),
+        update = changedVars.map(v => v.name),
+        addSecrets = newSecrets,
+        removeSecrets = removedSecrets.map(v => v.name),
+        updateSecrets = changedSecrets.map(v => v.name),
+        addLambdaVars = newLambdaVars,
+        removeLambdaVars = removedLambdaVars,
+        updateLambdaVars = changedLambdaVars.map(({ functionName, name }) => ({ functionName, name })),
+    } = options;
+
+    const doc = state.template.clone();
+    const { env, secrets: projectSecrets } = getProjectVariables(state);
+    const context = { environment: state.environment, projectName: state.name };
+    const { lambdas } = getLambdaVariables(state);
+    const usage = Object.fromEntries(getFunctionNames(doc).map(functionName => [functionName, getDeclaredVariables(doc, functionName)]));
+
+    const values = Object.fromEntries(add.map(name => [name, env[name]]));
+    addEnvironmentParameters(doc, values, context);
+    addSecretParameters(doc, Object.fromEntries(addSecrets.map(name => [name, projectSecrets[name]])), context);
+    addLambdaVars.forEach(({ functionName, name }) => addLambdaParameter(doc, functionName, name, lambdas[functionName][name], context));
+
+    remove.forEach(name => removeEnvironmentParameter(doc, name));
+    removeSecrets.forEach(name => removeSecretParameter(doc, name));
+    removeLambdaVars.forEach(({ functionName, name }) => removeLambdaParameter(doc, functionName, name));
+    update.forEach(name => setEnvironmentParameter(doc, name, env[name]));
+    updateSecrets.forEach(name => setSecretParameter(doc, name, projectSecrets[name], context));
+    updateLambdaVars.forEach(({ functionName, name }) => setLambdaParameter(doc, functionName, name, lambdas[functionName][name]));
+
+    // A variable turning into a secret (or back) stays in the Lambdas reading it, in its new
+    // form, and so do the variables of a Lambda having a value of its own
+    const plainVars = getEnvironmentParameters(doc);
+    const secrets = getSecretParameters(doc);
+    const own = getLambdaParameters(doc);
+    for (const [functionName, declared] of Object.entries(usage)) {
+        const names = [...new Set([...declared, ...getDeclaredVariables(doc, functionName)])];
+        const kept = names.filter(name => plainVars[name] !== undefined || secrets[name] || (own[functionName] ?? {})[name] !== undefined);
+        const variables = getEnvironmentVariables(doc, functionName);
+        if (kept.some(name => !variables.includes(secrets[name] ? `${name}_SECRET` : name))) {
+            setEnvironmentVariables(doc, functionName, kept);
+        }
+    }
+
+    // Projects created with a single environment name it in their SSM parameters and policies
+    if (Object.keys(plainVars).length > 0 || Object.keys(secrets).length > 0) {
+        useEnvironmentParameter(doc, state.environment);
+    }
+    setSsmParameters(doc, context);
+
+    return [
+        templateChange(doc),
+        ...await secretsHelperChanges(state, doc),
+        ...await getConfigChanges(state, doc),
+        ...samconfigChanges(state, doc),
+    ];
+}
+
+/**
+ * Environments whose samconfig.toml section is missing, or whose parameter_overrides do not
+ * match their .env files and the parameters of the template
+ * @param {import('./project.js').ProjectState} state - Project state
+ * @returns {string[]}
+ */
+export function getStaleEnvironments(state) {
+    return Object.keys(state.environments).filter(environment => {
+        const overrides = state.samconfig === null ? null : getParameterOverrides(state.samconfig, environment);
+        return overrides === null || !isDeepStrictEqual(overrides, getEnvironmentOverrides(state, state.template, environment));
+    });
+}
+
+/**
+ * parameter_overrides of an environment: its name, the values of its .env files (those of
+ * `# @lambda` for the `<function>Env<NAME>` parameters, or else the shared ones) and the
+ * location of its secrets. Variables missing from the environment keep the template default
+ * @param {import('./project.js').ProjectState} state - Project state
+ * @param {import('yaml').Document} doc - Template document
+ * @param {string} environment - Environment
+ * @returns {Object<string, string>}
+ */
+export function getEnvironmentOverrides(state, doc, environment) {
+    const { env, secrets, lambdas } = state.environments[environment];
+    const templateSecrets = getSecretParameters(doc);
+    const own = getFunctionValues(doc, lambdas).values;
+    const lambdaParameters = Object.fromEntries(Object.entries(getLambdaParameters(doc))
+        .flatMap(([functionName, variables]) => Object.keys(variables).map(name => [`${functionName}Env${name}`, { functionName, name }])));
+    const overrides = {};
+
+    for (const parameter of getParameterNames(doc)) {
+        const [, kind, name] = parameter.match(/^(Env|Secret)(\w+)$/) ?? [];
+        if (lambdaParameters[parameter]) {
+            const { functionName, name: variable } = lambdaParameters[parameter];
+            const value = (own[functionName] ?? {})[variable] ?? env[variable];
+            if (value !== undefined) {
+                overrides[parameter] = value;
+            }
+        } else if (parameter === 'Environment') {
+            overrides[parameter] = environment;
+        } else if (kind === 'Env' && Object.hasOwn(env, name)) {
+            overrides[parameter] = env[name];
+        } else if (kind === 'Secret' && templateSecrets[name]) {
+            const { store, id } = getSecretLocation(secrets[name] ?? templateSecrets[name].store, name, { environment, projectName: state.name });
+            overrides[parameter] = `${store}:${id}`;
+        }
+    }
+    return overrides;
+}
+
+/**
+ * Change writing samconfig.toml with a section per environment and their
+ * parameter_overrides, when they changed. Sections of other config envs are kept
+ */
+function samconfigChanges(state, doc) {
+    let content = state.samconfig ?? 'version = 0.1\n';
+    const configured = getSamconfigEnvironments(content);
+    const region = (configured.length > 0 && getSamconfigValue(content, configured[0], 'region')) || process.env.AWS_REGION || 'us-east-1';
+
+    for (const environment of Object.keys(state.environments)) {
+        content = setSamconfigEnvironment(content, environment, {
+            stackName: getStackName(state, environment),
+            region,
+            overrides: getEnvironmentOverrides(state, doc, environment),
+        });
+    }
+    return content === state.samconfig ? [] : [writeChange('samconfig.toml', content)];
+}
+
+/**
+ * Declare the variables of a Lambda: `Env<NAME>` parameters with their value, and
+ * `Secret<NAME>` parameters for the variables marked as secrets in .env
+ */
+function declareVariables(state, doc, names, values) {
+    const secrets = getSecretParameters(doc);
+    const projectSecrets = getProjectVariables(state).secrets;
+    const plain = names.filter(name => !secrets[name] && !Object.hasOwn(projectSecrets, name));
+    const context = { environment: state.environment, projectName: state.name };
+
+    addEnvironmentParameters(doc, Object.fromEntries(plain.map(v => [v, values[v] || ''])), context);
+    addSecretParameters(doc, Object.fromEntries(names
+        .filter(name => !secrets[name] && Object.hasOwn(projectSecrets, name))
+        .map(name => [name, projectSecrets[name]])), context);
+}
+
+/**
+ * Changes generating src/utils/secrets.ts and its test, when a Lambda reads a secret
+ * and they do not exist
+ */
+async function secretsHelperChanges(state, doc) {
+    const secrets = Object.keys(getSecretParameters(doc));
+    const readsSecrets = getFunctionNames(doc)
+        .some(functionName => getDeclaredVariables(doc, functionName).some(name => secrets.includes(name)));
+    if (!readsSecrets || await fs.pathExists(path.join(state.path, 'src/utils/secrets.ts'))) {
+        return [];
+    }
+    const { helper, test } = secretsFiles();
+    return [writeChange('src/utils/secrets.ts', helper), writeChange('src/utils/secrets.test.ts', test)];
+}
+
+/**
+ * Changes writing src/utils/config.ts and its test when they no longer match the variables
+ * the Lambdas read, or deleting them once no Lambda reads a variable
+ * @param {import('./project.js').ProjectState} state - Project state
+ * @param {import('yaml').Document} [doc] - Template document (default: the template of the state)
+ * @returns {Promise<import('./project.js').Change[]>}
+ */
+export async function getConfigChanges(state, doc = state.template) {
+    const lambdas = getLambdaConfigs(state, doc);
+    const files = lambdas.length > 0 ? configFiles(lambdas) : null;
+    const changes = [];
+    for (const [file, content] of [['src/utils/config.ts', files && files.config], ['src/utils/config.test.ts', files && files.test]]) {
+        const exists = await fs.pathExists(path.join(state.path, file));
+        if (content === null) {
+            if (exists) {
+                changes.push(deleteChange(file));
+            }
+        } else if (!exists || await fs.readFile(path.join(state.path, file), 'utf8') !== content) {
+            changes.push(writeChange(file, content));
+        }
+    }
+    return changes;
+}
+
+// Environment.Variables of each Lambda reading some, typed from the values of every
+// environment: a number or a boolean when all of them are, a string otherwise. Secrets are
+// read with getSecret(), the variables set from resources (a bucket name...) are strings
+function getLambdaConfigs(state, doc) {
+    const secrets = getSecretParameters(doc);
+    const shared = getEnvironmentParameters(doc);
+    const own = getLambdaParameters(doc);
+    const overrides = Object.keys(state.environments).map(environment => getEnvironmentOverrides(state, doc, environment));
+
+    return getFunctionNames(doc)
+        .filter(functionName => getEnvironmentVariables(doc, functionName).length > 0)
+        .map(functionName => {
+            const declared = getDeclaredVariables(doc, functionName);
+            const ownValues = own[functionName] ?? {};
+            const variables = getEnvironmentVariables(doc, functionName).map(key => {
+                const base = key.endsWith('_SECRET') ? key.slice(0, -'_SECRET'.length) : null;
+                if (base && secrets[base] && declared.includes(base)) {
+                    return { name: base, type: 'secret' };
+                }
+                if (!declared.includes(key)) {
+                    return { name: key, type: 'string' };
+                }
+                const parameter = ownValues[key] !== undefined ? `${functionName}Env${key}` : `Env${key}`;
+                const values = [ownValues[key] ?? shared[key], ...overrides.map(values => values[parameter])]
+                    .filter(value => value !== undefined);
+                return { name: key, type: getValueType(values), example: values[0] };
+            });
+            const folder = getLambdaFolder(doc, functionName) ?? functionName.replace(/Function$/, '');
+            return { functionName, folder, type: `${capitalize(folder.replace(/[^A-Za-z0-9]/g, ''))}Config`, variables };
+        });
+}
+
+function getValueType(values) {
+    if (values.length > 0 && values.every(value => /^-?\d+(\.\d+)?$/.test(value))) {
+        return 'number';
+    }
+    if (values.length > 0 && values.every(value => value === 'true' || value === 'false')) {
+        return 'boolean';
+    }
+    return 'string';
+}
+
+// LOG_LEVEL -> logLevel; names already in camel case are kept
+function toPropertyName(name) {
+    if (!name.includes('_') && name !== name.toUpperCase()) {
+        return name;
+    }
+    return name.toLowerCase().replace(/_+([a-z0-9])/g, (_, char) => char.toUpperCase());
+}
+
+/**
+ * src/utils/config.ts and its test: a typed config per Lambda, loaded at the top of its
+ * handler so that a missing or invalid variable fails the cold start
+ */
+function configFiles(lambdas) {
+    const types = new Set(lambdas.flatMap(({ variables }) => variables.map(({ type }) => type)));
+    const readers = {
+        number: `
+function number(env: Env, name: string): number {
+    const value = Number(required(env, name));
+    if (Number.isNaN(value)) {
+        throw new Error(\`Environment variable \${name} is not a number\`);
+    }
+    return value;
+}
+`,
+        boolean: `
+function boolean(env: Env, name: string): boolean {
+    const value = required(env, name);
+    if (value !== 'true' && value !== 'false') {
+        throw new Error(\`Environment variable \${name} is not true or false\`);
+    }
+    return value === 'true';
+}
+`,
+        secret: `
+// The secret itself is read on demand, once per container
+function secret(env: Env, name: string): () => Promise<string> {
+    if (!env[name] && !env[\`\${name}_SECRET\`]) {
+        throw new Error(\`Secret \${name} is not set: neither \${name} nor \${name}_SECRET\`);
+    }
+    return () => getSecret(name);
+}
+`,
+    };
+    const reader = type => (type === 'string' ? 'required' : type);
+    const tsType = type => (type === 'secret' ? '() => Promise<string>' : type);
+    const description = ({ name, type }) => (type === 'secret' ? `${name}, read with getSecret()` : name);
+
+    const config = `// Generated by sam-smith from the Environment.Variables of template.yaml, and rewritten
+// when they change: do not edit. Load the config of a Lambda at the top of its handler,
+// so that a missing variable fails the cold start:
+//   const config = load${lambdas[0].type}();
+${types.has('secret') ? "import { getSecret } from './secrets';\n" : ''}
+type Env = Record<string, string | undefined>;
+
+function required(env: Env, name: string): string {
+    const value = env[name];
+    if (value === undefined || value === '') {
+        throw new Error(\`Environment variable \${name} is not set\`);
+    }
+    return value;
+}
+${['number', 'boolean', 'secret'].filter(type => types.has(type)).map(type => readers[type]).join('')}${lambdas.map(({ functionName, folder, type, variables }) => `
+/** Variables of ${functionName} (src/${folder}) */
+export interface ${type} {
+${variables.map(variable => `    /** ${description(variable)} */
+    readonly ${toPropertyName(variable.name)}: ${tsType(variable.type)};`).join('\n')}
+}
+
+export function load${type}(env: Env = process.env): ${type} {
+    return Object.freeze({
+${variables.map(({ name, type: variableType }) => `        ${toPropertyName(name)}: ${reader(variableType)}(env, '${name}'),`).join('\n')}
+    });
+}
+`).join('')}`;
+
+    const example = ({ type, example: value }) => {
+        if (type === 'number' || type === 'boolean') {
+            return value;
+        }
+        return value || 'value';
+    };
+    const expected = ({ name, type, ...variable }) => {
+        if (type === 'secret') {
+            return 'expect.any(Function)';
+        }
+        const value = example({ type, ...variable });
+        return type === 'string' ? `'${value.replace(/[\\']/g, '\\$&')}'` : value;
+    };
+    const test = `import { ${lambdas.map(({ type }) => `load${type}`).join(', ')} } from './config';
+${lambdas.map(({ folder, type, variables }) => `
+describe('load${type}', function () {
+    const env = {
+${variables.map(variable => (variable.type === 'secret'
+        ? `        ${variable.name}_SECRET: 'ssm:/sam-smith/test/${variable.name}',`
+        : `        ${variable.name}: '${String(example(variable)).replace(/[\\']/g, '\\$&')}',`)).join('\n')}
+    };
+
+    it('reads the variables of ${folder}', () => {
+        expect(load${type}(env)).toEqual({
+${variables.map(variable => `            ${toPropertyName(variable.name)}: ${expected(variable)},`).join('\n')}
+        });
+    });
+
+    it('fails when a variable is missing', () => {
+        expect(() => load${type}({ ...env, ${variables[0].type === 'secret' ? `${variables[0].name}_SECRET` : variables[0].name}: undefined })).toThrow('${variables[0].name}');
+    });
+});
+`).join('')}`;
+    return { config, test };
+}
+
+/**
+ * src/utils/secrets.ts and its test: getSecret() resolves the `<NAME>_SECRET` location of a
+ * secret variable once per container, or returns `<NAME>` when it is set (tests, sam local)
+ */
+function secretsFiles() {
+    return {
+        helper: `import { GetParameterCommand, SSMClient } from '@aws-sdk/client-ssm';
+import { GetSecretValueCommand, SecretsManagerClient } from '@aws-sdk/client-secrets-manager';
+
+// Values read by this container, by location (\`ssm:<name>\` or \`secretsmanager:<name>\`)
+const cache = new Map<string, Promise<string>>();
+
+let ssm: SSMClient | undefined;
+let secretsManager: SecretsManagerClient | undefined;
+
+/**
+ * Value of a variable marked \`# @secret\` in .env. The Lambda only receives
+ * \`<NAME>_SECRET\`, the location of the secret, read once per container.
+ * \`<NAME>\` is returned instead when it is set, e.g. in the tests
+ */
+export async function getSecret(name: string): Promise<string> {
+    const value = process.env[name];
+    if (value !== undefined) {
+        return value;
+    }
+
+    const location = process.env[\`\${name}_SECRET\`];
+    if (!location) {
+        throw new Error(\`Secret \${name} is not available: neither \${name} nor \${name}_SECRET is set\`);
+    }
+
+    let pending = cache.get(location);
+    if (!pending) {
+        pending = readSecret(location);
+        cache.set(location, pending);
+    }
+    try {
+        return await pending;
+    } catch (error) {
+        // Read again on the next call
+        cache.delete(location);
+        throw error;
+    }
+}
+
+async function readSecret(location: string): Promise<string> {
+    const separator = location.indexOf(':');
+    const store = location.slice(0, separator);
+    const id = location.slice(separator + 1);
+
+    if (store === 'ssm') {
+        ssm ??= new SSMClient({});
+        const result = await ssm.send(new GetParameterCommand({ Name: id, WithDecryption: true }));
+        return result.Parameter?.Value ?? '';
+    }
+    if (store === 'secretsmanager') {
+        secretsManager ??= new SecretsManagerClient({});
+        const result = await secretsManager.send(new GetSecretValueCommand({ SecretId: id }));
+        return result.SecretString ?? '';
+    }
+    throw new Error(\`Unknown secret store '\${store}' in \${location}\`);
+}
+`,
+        test: `import { getSecret } from './secrets';
+
+const mockSsmSend = jest.fn();
+const mockSecretsManagerSend = jest.fn();
+
+jest.mock('@aws-sdk/client-ssm', () => ({
+    SSMClient: jest.fn().mockImplementation(() => ({ send: mockSsmSend })),
+    GetParameterCommand: jest.fn().mockImplementation((input) => ({ input })),
+}));
+
+jest.mock('@aws-sdk/client-secrets-manager', () => ({
+    SecretsManagerClient: jest.fn().mockImplementation(() => ({ send: mockSecretsManagerSend })),
+    GetSecretValueCommand: jest.fn().mockImplementation((input) => ({ input })),
+}));
+
+describe('getSecret', function () {
+    afterEach(() => {
+        delete process.env.TEST_SECRET_VALUE;
+        delete process.env.TEST_SECRET_VALUE_SECRET;
+    });
+
+    it('returns the variable when it is set', async () => {
+        process.env.TEST_SECRET_VALUE = 'local';
+
+        await expect(getSecret('TEST_SECRET_VALUE')).resolves.toEqual('local');
+        expect(mockSsmSend).not.toHaveBeenCalled();
+    });
+
+    it('reads an SSM parameter once', async () => {
+        process.env.TEST_SECRET_VALUE_SECRET = 'ssm:/sam-smith/test/ssm';
+        mockSsmSend.mockResolvedValue({ Parameter: { Value: 'from-ssm' } });
+
+        await expect(getSecret('TEST_SECRET_VALUE')).resolves.toEqual('from-ssm');
+        await expect(getSecret('TEST_SECRET_VALUE')).resolves.toEqual('from-ssm');
+        expect(mockSsmSend).toHaveBeenCalledTimes(1);
+        expect(mockSsmSend).toHaveBeenCalledWith({ input: { Name: '/sam-smith/test/ssm', WithDecryption: true } });
+    });
+
+    it('reads a Secrets Manager secret', async () => {
+        process.env.TEST_SECRET_VALUE_SECRET = 'secretsmanager:sam-smith/test/manager';
+        mockSecretsManagerSend.mockResolvedValue({ SecretString: 'from-manager' });
+
+        await expect(getSecret('TEST_SECRET_VALUE')).resolves.toEqual('from-manager');
+        expect(mockSecretsManagerSend).toHaveBeenCalledWith({ input: { SecretId: 'sam-smith/test/manager' } });
+    });
+
+    it('throws when the secret has no location', async () => {
+        await expect(getSecret('TEST_SECRET_VALUE')).rejects.toThrow('TEST_SECRET_VALUE_SECRET');
+    });
+});
+`,
+    };
+}
+
+// ---------------------------------------------------------------------------
+// Lambdas
+// ---------------------------------------------------------------------------
+
+/**
+ * Create a Lambda function, its LogGroup and src/<name>/handler.ts with its test.
+ * Parameters are added for environment variables not declared yet, src/utils/secrets.ts
+ * when the Lambda is the first to read a secret, and the config of the Lambda to
+ * src/utils/config.ts
+ * @param {import('./project.js').ProjectState} state - Project state
+ * @param {Object} options
+ * @param {string} options.name - Lambda name; the resource is `<name>Function`
+ * @param {number} [options.timeout] - Timeout in seconds (default: 60)
+ * @param {string[]} [options.envVars] - Environment variables of the Lambda
+ * @param {Object<string, string>} [options.envValues] - Values of new parameters (default: values of the .env files)
+ * @param {QueueSource} [options.queue] - Queue consumed by the Lambda; its handler is then an SQSEvent handler
+ * @param {Schedule} [options.schedule] - Schedule running the Lambda; its handler is then a ScheduledEvent handler
+ * @param {BucketTrigger} [options.bucketTrigger] - Bucket whose new objects run the Lambda; its handler is then an S3Event handler
+ * @param {TopicSubscription} [options.subscription] - Topic the Lambda subscribes to; its handler is then an SNSEvent handler
+ * @param {EventRule} [options.eventRule] - Rule whose events run the Lambda; its handler is then an EventBridgeEvent handler
+ * @param {StreamSource} [options.stream] - Table stream read by the Lambda; its handler then unmarshalls DynamoDBStreamEvent records
+ * @returns {Promise<import('./project.js').Change[]>}
+ */
+export async function createLambda(state, options) {
+    const { name, timeout = 60, envVars = [], envValues = getProjectVariables(state).env, queue, schedule, bucketTrigger, subscription, eventRule, stream } = options;
+    const doc = state.template.clone();
+
+    if (!name) {
+        throw new Error('Please enter a valid function name.');
+    }
+    assertValid(validateInteger(timeout, 'Timeout', 1, 900));
+    if (hasResource(doc, `${name}Function`) || getLambdaFolders(doc).includes(name)) {
+        throw new Error(`Lambda '${name}' already exists.`);
+    }
+    if ([queue, schedule, bucketTrigger, subscription, eventRule, stream].filter(Boolean).length > 1) {
+        throw new Error('A new Lambda has a single trigger: a queue, a schedule, a bucket, a topic, an event rule or a table stream.');
+    }
+
+    if (envVars.length > 0) {
+        declareVariables(state, doc, envVars, envValues);
+    }
+
+    // New lambdas are not connected to API Gateway by default
+    const functionName = addFunction(doc, name, {
+        timeout: Number(timeout),
+        architecture: getArchitecture(doc),
+        envVars,
+    });
+    setSsmParameters(doc, { projectName: state.name });
+    // Computed once the trigger is connected: a bucket trigger adds the variable of the bucket
+    const helpers = async () => [
+        ...await secretsHelperChanges(state, doc),
+        ...await getConfigChanges(state, doc),
+        ...samconfigChanges(state, doc),
+    ];
+
+    if (queue) {
+        connectQueue(doc, functionName, queue);
+        const { handler, test } = sqsHandlerFiles(name, queue.reportBatchItemFailures !== false);
+        return [
+            templateChange(doc),
+            ...await helpers(),
+            writeChange(`src/${name}/handler.ts`, handler),
+            writeChange(`src/${name}/handler.test.ts`, test),
+        ];
+    }
+
+    if (schedule) {
+        connectSchedule(doc, functionName, schedule);
+        const { handler, test } = scheduleHandlerFiles(name, schedule.input);
+        return [
+            templateChange(doc),
+            ...await helpers(),
+            writeChange(`src/${name}/handler.ts`, handler),
+            writeChange(`src/${name}/handler.test.ts`, test),
+        ];
+    }
+
+    if (bucketTrigger) {
+        connectBucketTrigger(doc, functionName, bucketTrigger);
+        const { handler, test } = s3HandlerFiles(name);
+        return [
+            templateChange(doc),
+            ...await helpers(),
+            writeChange(`src/${name}/handler.ts`, handler),
+            writeChange(`src/${name}/handler.test.ts`, test),
+        ];
+    }
+
+    if (subscription) {
+        connectTopic(doc, functionName, subscription);
+        const { handler, test } = snsHandlerFiles(name);
+        return [
+            templateChange(doc),
+            ...await helpers(),
+            writeChange(`src/${name}/handler.ts`, handler),
+            writeChange(`src/${name}/handler.test.ts`, test),
+        ];
+    }
+
+    if (eventRule) {
+        connectEventRule(doc, functionName, eventRule);
+        const { handler, test } = eventBridgeHandlerFiles(name, parsePattern(eventRule.pattern));
+        return [
+            templateChange(doc),
+            ...await helpers(),
+            writeChange(`src/${name}/handler.ts`, handler),
+            writeChange(`src/${name}/handler.test.ts`, test),
+        ];
+    }
+
+    if (stream) {
+        connectTableStream(doc, functionName, stream);
+        const repository = await hasTableRepository(state, stream.table);
+        const { handler, test } = streamHandlerFiles(name, stream.table, getTableKeys(doc, stream.table), getTableStream(doc, stream.table), repository);
+        return [
+            templateChange(doc),
+            ...await helpers(),
+            writeChange(`src/${name}/handler.ts`, handler),
+            writeChange(`src/${name}/handler.test.ts`, test),
+        ];
+    }
+
+    const handlerTs = `import { APIGatewayProxyEvent, APIGatewayProxyResult } from 'aws-lambda';
+
+export const ${name} = async (event: APIGatewayProxyEvent): Promise<APIGatewayProxyResult> => {
+    return {
+        statusCode: 200,
+        body: JSON.stringify({
+            message: "hello from ${name}",
+        }),
+    };
+};
+`;
+
+    const handlerTestTs = `import { ${name} } from './handler';
+import { APIGatewayProxyEvent } from 'aws-lambda';
+
+describe('Unit test for ${name} handler', function () {
+    it('verifies successful response', async () => {
+        const event: APIGatewayProxyEvent = {} as any;
+        const result = await ${name}(event);
+
+        expect(result.statusCode).toEqual(200);
+        expect(result.body).toEqual(
+            JSON.stringify({
+                message: 'hello from ${name}',
+            })
+        );
+    });
+});
+`;
+
+    return [
+        templateChange(doc),
+        ...await helpers(),
+        writeChange(`src/${name}/handler.ts`, handlerTs),
+        writeChange(`src/${name}/handler.test.ts`, handlerTestTs),
+    ];
+}
+
+/**
+ * Update a Lambda function. Only the given options are changed
+ * @param {import('./project.js').ProjectState} state - Project state
+ * @param {Object} options
+ * @param {string} options.functionName - Logical id of the Lambda
+ * @param {number} [options.timeout] - New timeout in seconds
+ * @param {string[]} [options.envVars] - New environment variables (replace the current ones); src/utils/secrets.ts
+ * is generated when they include the first secret read by a Lambda, and src/utils/config.ts is rewritten
+ * @param {Object<string, string>} [options.envValues] - Values of new parameters (default: values of the .env files)
+ * @param {string[]} [options.addLayers] - Layers to add
+ * @param {string[]} [options.removeLayers] - Layers to remove
+ * @param {(string|TableAttachment)[]} [options.attachTables] - Tables whose policies and name variable are added, their
+ * handler is imported. A table name gives read-write access; the access of a table already attached is replaced
+ * @param {string[]} [options.detachTables] - Tables whose policies, name variable and import are removed
+ * @param {Schedule[]} [options.addSchedules] - Schedules to add
+ * @param {string[]} [options.removeSchedules] - Schedule events to remove
+ * @param {string[]} [options.enableSchedules] - Schedule events to enable
+ * @param {string[]} [options.disableSchedules] - Schedule events to disable
+ * @returns {Promise<import('./project.js').Change[]>}
+ */
+export async function updateLambda(state, options) {
+    const {
+        functionName,
+        timeout,
+        envVars,
+        envValues = getProjectVariables(state).env,
+        addLayers = [],
+        removeLayers = [],
+        attachTables = [],
+        detachTables = [],
+        addSchedules = [],
+        removeSchedules = [],
+        enableSchedules = [],
+        disableSchedules = [],
+    } = options;
+    const doc = state.template.clone();
+
+    requireLambda(doc, functionName);
+
+    if (timeout !== undefined) {
+        assertValid(validateInteger(timeout, 'Timeout', 1, 900));
+        setProperty(doc, functionName, 'Timeout', Number(timeout));
+        // The queues consumed by the Lambda still have to hide a message for longer than it runs
+        getSqsEvents(doc, functionName)
+            .filter(({ queue }) => queue)
+            .forEach(({ queue }) => assertVisibilityTimeout(doc, functionName, queue));
+    }
+
+    if (envVars !== undefined) {
+        // Variables with a value of its own (`# @lambda` in .env) are always read by the Lambda
+        const own = Object.keys(getLambdaParameters(doc)[functionName] ?? {});
+        declareVariables(state, doc, envVars.filter(name => !own.includes(name)), envValues);
+
+        // The Environment block is removed when no variable is left
+        setEnvironmentVariables(doc, functionName, [...new Set([...envVars, ...own])]);
+        setSsmParameters(doc, { projectName: state.name });
+    }
+
+    addLayers.forEach(layer => requireResource(doc, layer, 'AWS::Serverless::LayerVersion', 'Layer'));
+    addRefs(doc, functionName, 'Layers', addLayers);
+    removeRefs(doc, functionName, 'Layers', removeLayers);
+
+    // Tables are attached through their read and write managed policies and their name variable
+    const attachedTables = attachTables.map(item => (typeof item === 'string' ? { table: item, access: 'read-write' } : item));
+    attachedTables.forEach(({ table, access }) => grantTable(doc, functionName, table, access));
+    removeRefs(doc, functionName, 'Policies', detachTables.flatMap(table => getTablePolicies(doc, table)));
+    detachTables.forEach(table => removeEnvironmentVariable(doc, functionName, getTableVariable(table)));
+
+    addSchedules.forEach(schedule => connectSchedule(doc, functionName, schedule));
+    enableSchedules.forEach(eventName => setScheduleEnabled(doc, functionName, eventName, true));
+    disableSchedules.forEach(eventName => setScheduleEnabled(doc, functionName, eventName, false));
+    removeSchedules.forEach(eventName => requireSchedule(doc, functionName, eventName));
+    removeEvents(doc, functionName, removeSchedules);
+
+    const changes = [
+        templateChange(doc),
+        ...await secretsHelperChanges(state, doc),
+        ...(envVars !== undefined || attachTables.length > 0 || detachTables.length > 0 ? await getConfigChanges(state, doc) : []),
+        ...samconfigChanges(state, doc),
+    ];
+
+    const handlerPath = await getHandlerPath(state, doc, functionName);
+    if (handlerPath && (attachTables.length > 0 || detachTables.length > 0)) {
+        const content = await fs.readFile(path.join(state.path, handlerPath), 'utf8');
+        const updated = removeTableImports(addTableImports(content, attachedTables.map(({ table }) => table)), detachTables);
+        if (updated !== content) {
+            changes.push(writeChange(handlerPath, updated));
+        }
+    }
+
+    return changes;
+}
+
+/**
+ * Delete a Lambda function, its LogGroup and its src folder, and its config from
+ * src/utils/config.ts
+ * @param {import('./project.js').ProjectState} state - Project state
+ * @param {Object} options
+ * @param {string} options.functionName - Logical id of the Lambda
+ * @returns {Promise<import('./project.js').Change[]>}
+ */
+export async function deleteLambda(state, options) {
+    const { functionName } = options;
+    const doc = state.template.clone();
+
+    requireLambda(doc, functionName);
+    if (getFunctionNames(doc).length === 1) {
+        throw new Error('Cannot delete the only Lambda function in the project.');
+    }
+
+    // Folder name comes from the handler ("orders/handler.orders" -> orders)
+    const folder = getLambdaFolder(doc, functionName);
+
+    removeFunction(doc, functionName);
+
+    const changes = [templateChange(doc), ...await getConfigChanges(state, doc), ...samconfigChanges(state, doc)];
+    if (folder && await fs.pathExists(path.join(state.path, 'src', folder))) {
+        changes.push(deleteChange(`src/${folder}`));
+    }
+    return changes;
+}
+
+// ---------------------------------------------------------------------------
+// API Gateways and endpoints
+// ---------------------------------------------------------------------------
+
+/**
+ * Create an API Gateway and its `<name>Url` output, optionally with a first endpoint
+ * @param {import('./project.js').ProjectState} state - Project state
+ * @param {Object} options
+ * @param {string} options.name - API Gateway name; characters other than letters and numbers are removed
+ * @param {Object} [options.endpoint] - First endpoint
+ * @param {string} options.endpoint.method - HTTP method
+ * @param {string} options.endpoint.path - Path
+ * @param {string} options.endpoint.functionName - Logical id of the Lambda
+ * @returns {Promise<import('./project.js').Change[]>}
+ */
+export async function createApiGateway(state, options) {
+    const { name, endpoint } = options;
+    const doc = state.template.clone();
+    const apiName = toApiName(name);
+
+    if (!apiName) {
+        throw new Error('Please enter a valid name.');
+    }
+    if (hasResource(doc, apiName)) {
+        throw new Error(`API Gateway '${apiName}' already exists.`);
+    }
+
+    addApiGateway(doc, apiName);
+
+    if (endpoint) {
+        validateEndpoint(endpoint);
+        requireLambda(doc, endpoint.functionName);
+        addApiEvent(doc, endpoint.functionName, {
+            api: apiName,
+            path: endpoint.path,
+            method: endpoint.method,
+        });
+    }
+
+    return [templateChange(doc)];
+}
+
+/**
+ * Delete an API Gateway, the events of every Lambda pointing to it and its outputs
+ * @param {import('./project.js').ProjectState} state - Project state
+ * @param {Object} options
+ * @param {string} options.name - API Gateway name
+ * @returns {Promise<import('./project.js').Change[]>}
+ */
+export async function deleteApiGateway(state, options) {
+    const doc = state.template.clone();
+    const apiName = requireApi(doc, options.name);
+
+    removeApiGateway(doc, apiName);
+
+    return [templateChange(doc)];
+}
+
+/**
+ * Endpoints of an API Gateway
+ * @param {import('yaml').Document} doc - Template document
+ * @param {string} apiName - Logical id of the API Gateway
+ * @returns {{functionName: string, eventName: string, method: string, path: string}[]}
+ */
+export function getEndpoints(doc, apiName) {
+    return getFunctionNames(doc).flatMap(functionName => getApiEvents(doc, functionName)
+        .filter(event => event.api === apiName)
+        .map(event => ({ functionName, eventName: event.name, method: event.method || '', path: event.path })));
+}
+
+/**
+ * Add an endpoint to an API Gateway
+ * @param {import('./project.js').ProjectState} state - Project state
+ * @param {Object} options
+ * @param {string} options.api - API Gateway name
+ * @param {string} options.method - HTTP method
+ * @param {string} options.path - Path
+ * @param {string} options.functionName - Logical id of the Lambda
+ * @returns {Promise<import('./project.js').Change[]>}
+ */
+export async function addEndpoint(state, options) {
+    const { method, path: endpointPath, functionName } = options;
+    const doc = state.template.clone();
+    const apiName = requireApi(doc, options.api);
+
+    validateEndpoint(options);
+    requireLambda(doc, functionName);
+    if (findApiEvent(doc, functionName, { api: apiName, path: endpointPath, method })) {
+        throw new Error(`An endpoint with ${method.toUpperCase()} ${endpointPath} → ${functionName} already exists.`);
+    }
+
+    addApiEvent(doc, functionName, { api: apiName, path: endpointPath, method });
+
+    return [templateChange(doc)];
+}
+
+/**
+ * Change the method, path or Lambda of an endpoint. The event is updated in place,
+ * or moved when the Lambda changes
+ * @param {import('./project.js').ProjectState} state - Project state
+ * @param {Object} options
+ * @param {string} options.api - API Gateway name
+ * @param {string} options.functionName - Logical id of the Lambda of the endpoint
+ * @param {string} options.method - Current HTTP method
+ * @param {string} options.path - Current path
+ * @param {string} [options.newMethod] - New HTTP method (default: current)
+ * @param {string} [options.newPath] - New path (default: current)
+ * @param {string} [options.newFunctionName] - New Lambda (default: current)
+ * @returns {Promise<import('./project.js').Change[]>}
+ */
+export async function updateEndpoint(state, options) {
+    const {
+        functionName,
+        method,
+        path: endpointPath,
+        newMethod = method,
+        newPath = endpointPath,
+        newFunctionName = functionName,
+    } = options;
+    const doc = state.template.clone();
+    const apiName = requireApi(doc, options.api);
+
+    requireLambda(doc, functionName);
+    requireLambda(doc, newFunctionName);
+    validateEndpoint({ method: newMethod, path: newPath });
+
+    const eventName = findApiEvent(doc, functionName, { api: apiName, path: endpointPath, method });
+    if (!eventName) {
+        throw new Error(`Endpoint not found: ${method} ${endpointPath}`);
+    }
+
+    const duplicate = findApiEvent(doc, newFunctionName, { api: apiName, path: newPath, method: newMethod });
+    if (duplicate && !(duplicate === eventName && newFunctionName === functionName)) {
+        throw new Error(`An endpoint with ${newMethod.toUpperCase()} ${newPath} → ${newFunctionName} already exists.`);
+    }
+
+    if (newFunctionName !== functionName) {
+        // Events is dropped from the old lambda when it becomes empty
+        removeEvents(doc, functionName, [eventName]);
+        addApiEvent(doc, newFunctionName, { api: apiName, path: newPath, method: newMethod });
+    } else {
+        updateApiEvent(doc, functionName, eventName, { path: newPath, method: newMethod });
+    }
+
+    return [templateChange(doc)];
+}
+
+/**
+ * Delete endpoints from an API Gateway
+ * @param {import('./project.js').ProjectState} state - Project state
+ * @param {Object} options
+ * @param {string} options.api - API Gateway name
+ * @param {{functionName: string, method: string, path: string}[]} options.endpoints - Endpoints to delete
+ * @returns {Promise<import('./project.js').Change[]>}
+ */
+export async function deleteEndpoints(state, options) {
+    const doc = state.template.clone();
+    const apiName = requireApi(doc, options.api);
+
+    for (const { functionName, method, path: endpointPath } of options.endpoints) {
+        requireLambda(doc, functionName);
+        const eventName = findApiEvent(doc, functionName, { api: apiName, path: endpointPath, method });
+        if (!eventName) {
+            throw new Error(`Endpoint not found: ${method} ${endpointPath}`);
+        }
+        // Events is dropped when it becomes empty
+        removeEvents(doc, functionName, [eventName]);
+    }
+
+    return [templateChange(doc)];
+}
+
+// ---------------------------------------------------------------------------
+// Auth
+// ---------------------------------------------------------------------------
+
+/**
+ * Protect an API Gateway with basic auth or a Cognito User Pool.
+ * Basic auth adds BasicAuthorizerFunction and src/authorizer when missing;
+ * Cognito auth creates `<poolName>UserPool` and its client unless the pool exists
+ * @param {import('./project.js').ProjectState} state - Project state
+ * @param {Object} options
+ * @param {string} options.api - API Gateway name
+ * @param {'basic'|'cognito'} options.type - Auth type
+ * @param {string} [options.poolName] - Cognito pool name (required for cognito)
+ * @returns {Promise<import('./project.js').Change[]>}
+ */
+export async function addAuth(state, options) {
+    const { type, poolName } = options;
+    const doc = state.template.clone();
+    const apiName = requireApi(doc, options.api);
+
+    if (getApiAuth(doc, apiName)) {
+        throw new Error(`${apiName} already has auth configured.`);
+    }
+
+    if (type === 'cognito') {
+        if (!poolName) {
+            throw new Error('Please enter a valid name.');
+        }
+        const userPoolName = `${poolName}UserPool`;
+        if (hasResource(doc, userPoolName)
+            && getUserPoolResources(doc, userPoolName, 'AWS::Cognito::UserPoolClient').length === 0) {
+            throw new Error(`Could not find UserPoolClient for ${userPoolName}`);
+        }
+
+        addCognitoAuth(doc, apiName, userPoolName);
+        if (!hasResource(doc, userPoolName)) {
+            addUserPool(doc, poolName);
+        }
+        return [templateChange(doc)];
+    }
+
+    if (type !== 'basic') {
+        throw new Error(`Invalid auth type '${type}'. Expected one of: basic, cognito.`);
+    }
+
+    addBasicAuth(doc, apiName);
+
+    const changes = [templateChange(doc)];
+    if (!await fs.pathExists(path.join(state.path, 'src', 'authorizer'))) {
+        changes.push(...await copyChanges(await getTemplatePath('src/authorizer'), 'src/authorizer'));
+    }
+    return changes;
+}
+
+/**
+ * Remove the auth of an API Gateway. BasicAuthorizerFunction and src/authorizer are
+ * removed when no other API Gateway uses them
+ * @param {import('./project.js').ProjectState} state - Project state
+ * @param {Object} options
+ * @param {string} options.api - API Gateway name
+ * @returns {Promise<import('./project.js').Change[]>}
+ */
+export async function removeAuth(state, options) {
+    const doc = state.template.clone();
+    const apiName = requireApi(doc, options.api);
+
+    if (!getApiAuth(doc, apiName)) {
+        throw new Error(`${apiName} does not have auth configured.`);
+    }
+
+    const { removedAuthorizerFunction } = removeApiAuth(doc, apiName);
+
+    const changes = [templateChange(doc)];
+    if (removedAuthorizerFunction && await fs.pathExists(path.join(state.path, 'src', 'authorizer'))) {
+        changes.push(deleteChange('src/authorizer'));
+    }
+    return changes;
+}
+
+// ---------------------------------------------------------------------------
+// User pools
+// ---------------------------------------------------------------------------
+
+/**
+ * Create a group in a Cognito User Pool, with the next free precedence
+ * @param {import('./project.js').ProjectState} state - Project state
+ * @param {Object} options
+ * @param {string} options.userPool - Logical id of the user pool
+ * @param {string} options.name - Group name; the resource is `<name>UserPoolGroup`
+ * @param {string} options.description - Group description
+ * @returns {Promise<import('./project.js').Change[]>}
+ */
+export async function createUserGroup(state, options) {
+    const { userPool, name, description } = options;
+    const doc = state.template.clone();
+
+    requireResource(doc, userPool, 'AWS::Cognito::UserPool', 'User Pool');
+    if (!name) {
+        throw new Error('Please enter a valid group name.');
+    }
+    if (!description) {
+        throw new Error('Description is required.');
+    }
+    if (hasResource(doc, `${name}UserPoolGroup`)) {
+        throw new Error(`Group '${name}' already exists.`);
+    }
+
+    addUserPoolGroup(doc, userPool, { name, description, precedence: getNextPrecedence(doc) });
+
+    return [templateChange(doc)];
+}
+
+/**
+ * Precedence given to the next user group: one more than the highest one
+ * @param {import('yaml').Document} doc - Template document
+ * @returns {number}
+ */
+export function getNextPrecedence(doc) {
+    return getResourceNames(doc, 'AWS::Cognito::UserPoolGroup')
+        .map(name => parseInt(scalarValue(doc.getIn(['Resources', name, 'Properties', 'Precedence'], true))))
+        .filter(precedence => !isNaN(precedence))
+        .reduce((max, precedence) => Math.max(max, precedence), 0) + 1;
+}
+
+/**
+ * Groups of a Cognito User Pool
+ * @param {import('yaml').Document} doc - Template document
+ * @param {string} userPool - Logical id of the user pool
+ * @returns {{resourceName: string, groupName: string}[]}
+ */
+export function getUserGroups(doc, userPool) {
+    return getUserPoolResources(doc, userPool, 'AWS::Cognito::UserPoolGroup')
+        .map(resourceName => ({
+            resourceName,
+            groupName: scalarValue(doc.getIn(['Resources', resourceName, 'Properties', 'GroupName'], true)),
+        }))
+        .filter(group => group.groupName);
+}
+
+/**
+ * Delete a group of a Cognito User Pool
+ * @param {import('./project.js').ProjectState} state - Project state
+ * @param {Object} options
+ * @param {string} options.userPool - Logical id of the user pool
+ * @param {string} options.name - Group name (GroupName of the resource)
+ * @returns {Promise<import('./project.js').Change[]>}
+ */
+export async function deleteUserGroup(state, options) {
+    const { userPool, name } = options;
+    const doc = state.template.clone();
+
+    const group = getUserGroups(doc, userPool).find(g => g.groupName === name);
+    if (!group) {
+        throw new Error(`User group '${name}' not found in ${userPool}.`);
+    }
+    removeResource(doc, group.resourceName);
+
+    return [templateChange(doc)];
+}
+
+// ---------------------------------------------------------------------------
+// Layers
+// ---------------------------------------------------------------------------
+
+/**
+ * Create a layer and src/layers/<name> from the BoilerPlateLayer template
+ * @param {import('./project.js').ProjectState} state - Project state
+ * @param {Object} options
+ * @param {string} options.name - Layer name
+ * @returns {Promise<import('./project.js').Change[]>}
+ */
+export async function createLayer(state, options) {
+    const { name } = options;
+    const doc = state.template.clone();
+
+    if (!name) {
+        throw new Error('Please enter a valid layer name.');
+    }
+    if (hasResource(doc, name)) {
+        throw new Error(`Layer '${name}' already exists in template.yaml`);
+    }
+
+    addLayer(doc, name);
+
+    const templateLayerPath = await getTemplatePath('src/layers/BoilerPlateLayer');
+    const customize = async (file) => (await fs.readFile(path.join(templateLayerPath, file), 'utf8'))
+        .replace(/boilerPlateLayer/g, name);
+
+    return [
+        templateChange(doc),
+        writeChange(`src/layers/${name}/${name}Functions.ts`, await customize('boilerPlateLayerFunctions.ts')),
+        writeChange(`src/layers/${name}/${name}Functions.test.ts`, await customize('boilerPlateLayerFunctions.test.ts')),
+    ];
+}
+
+/**
+ * Delete a layer that no Lambda uses and src/layers/<name>. src/layers is
+ * removed with its last layer
+ * @param {import('./project.js').ProjectState} state - Project state
+ * @param {Object} options
+ * @param {string} options.name - Layer name
+ * @returns {Promise<import('./project.js').Change[]>}
+ */
+export async function deleteLayer(state, options) {
+    const { name } = options;
+    const doc = state.template.clone();
+
+    requireResource(doc, name, 'AWS::Serverless::LayerVersion', 'Layer');
+    const usedBy = getFunctionsReferencing(doc, 'Layers', name);
+    if (usedBy.length > 0) {
+        throw new Error(`Cannot delete layer '${name}' because it is being used by: ${usedBy.join(', ')}`);
+    }
+
+    removeResource(doc, name);
+
+    const changes = [templateChange(doc)];
+    const layersDir = path.join(state.path, 'src', 'layers');
+    if (await fs.pathExists(layersDir)) {
+        const otherLayers = (await fs.readdir(layersDir)).filter(entry => entry !== name);
+        if (otherLayers.length === 0) {
+            changes.push(deleteChange('src/layers'));
+        } else if (await fs.pathExists(path.join(layersDir, name))) {
+            changes.push(deleteChange(`src/layers/${name}`));
+        }
+    }
+    return changes;
+}
+
+// ---------------------------------------------------------------------------
+// DynamoDB tables
+// ---------------------------------------------------------------------------
+
+/**
+ * Validate a dynamo-query-builder key (`key1#key2`)
+ * @param {string} value - Key with # separators
+ * @param {string} label - Key name used in the messages
+ * @returns {true|string} True or an error message
+ */
+export function validateTableKey(value, label = 'Primary key') {
+    if (!value || !value.length) {
+        return `Please enter a valid ${label.toLowerCase()}.`;
+    }
+    const keys = value.split('#');
+    if (keys.some(key => !key.length)) {
+        return `${label} '${value}' has an empty key. Use # separators (e.g., k1#k2).`;
+    }
+    if (new Set(keys).size !== keys.length) {
+        return `${label} contains duplicate keys. Each key must be unique (e.g., k1#k2, not k1#k1).`;
+    }
+    return true;
+}
+
+/**
+ * An attribute of the data of the items of a table, typed in its repository
+ * @typedef {Object} TableAttribute
+ * @property {string} name - Attribute name
+ * @property {string} type - One of TABLE_ATTRIBUTE_TYPES
+ * @property {boolean} [optional] - Items can omit it
+ */
+
+export const TABLE_ATTRIBUTE_TYPES = ['string', 'number', 'boolean', 'string[]', 'number[]', 'object'];
+
+// Data of the items when none is declared: the single string of the first table handlers
+const DEFAULT_TABLE_DATA = [{ name: 'data', type: 'string' }];
+
+/**
+ * Parse the data of the items of a table (`total:number,note?:string`)
+ * @param {string} value - Attributes as name:type, separated by commas; `name?` marks an optional one
+ * @returns {TableAttribute[]}
+ * @throws {Error} When an attribute is invalid or repeated
+ */
+export function parseTableData(value) {
+    const attributes = (value || '').split(',').map(item => item.trim()).filter(Boolean).map(item => {
+        const match = /^([A-Za-z_][A-Za-z0-9_]*)(\?)?:(.+)$/.exec(item);
+        if (!match) {
+            throw new Error(`Invalid attribute '${item}'. Use <name>:<type> or <name>?:<type> (e.g., total:number).`);
+        }
+        const [, name, optional, type] = match;
+        if (!TABLE_ATTRIBUTE_TYPES.includes(type.trim())) {
+            throw new Error(`Invalid type '${type.trim()}' of attribute '${name}'. Expected one of: ${TABLE_ATTRIBUTE_TYPES.join(', ')}.`);
+        }
+        return { name, type: type.trim(), ...(optional && { optional: true }) };
+    });
+    if (attributes.length === 0) {
+        throw new Error('Please enter at least one attribute (e.g., total:number).');
+    }
+    const repeated = attributes.find((attribute, i) => attributes.findIndex(other => other.name === attribute.name) !== i);
+    if (repeated) {
+        throw new Error(`Attribute '${repeated.name}' is declared twice.`);
+    }
+    return attributes;
+}
+
+/**
+ * Validate the data of the items of a table (`total:number,note?:string`)
+ * @param {string} value - Attributes as name:type, separated by commas
+ * @returns {true|string} True or an error message
+ */
+export function validateTableData(value) {
+    try {
+        parseTableData(value);
+        return true;
+    } catch (error) {
+        return error.message;
+    }
+}
+
+/**
+ * A secondary index of a table. Its keys follow the # convention of the table keys
+ * @typedef {Object} TableIndex
+ * @property {string} name - Index name
+ * @property {'global'|'local'} type - Global or local secondary index
+ * @property {string} [partitionKey] - Partition key with # separators; local indexes use the one of the table
+ * @property {string} sortKey - Sort key with # separators
+ * @property {'ALL'|'KEYS_ONLY'|'INCLUDE'} [projection] - Attributes copied to the index (default: ALL)
+ * @property {string[]} [nonKeyAttributes] - Attributes copied with the INCLUDE projection
+ */
+
+export const INDEX_TYPES = ['global', 'local'];
+export const INDEX_PROJECTIONS = ['ALL', 'KEYS_ONLY', 'INCLUDE'];
+
+// Indexes a table can have, by type
+const MAX_INDEXES = { global: 20, local: 5 };
+
+/**
+ * Validate the name of a secondary index
+ * @param {string} value - Index name
+ * @returns {true|string} True or an error message
+ */
+export function validateIndexName(value) {
+    if (!/^[a-zA-Z0-9]{3,255}$/.test(value || '')) {
+        return `Invalid index name '${value}'. Use at least 3 letters and numbers.`;
+    }
+    return true;
+}
+
+/**
+ * Create a DynamoDB table with dynamo-query-builder keys, its read and write IAM policies and
+ * its typed repository src/utils/<name>Handler.ts with its test
+ * @param {import('./project.js').ProjectState} state - Project state
+ * @param {Object} options
+ * @param {string} options.name - Table name
+ * @param {string} options.partitionKey - Partition key with # separators (e.g. pk1#pk2)
+ * @param {string} options.sortKey - Sort key with # separators (e.g. sk1#sk2)
+ * @param {TableIndex[]} [options.indexes] - Secondary indexes; local ones can only be created with the table
+ * @param {TableAttribute[]} [options.data] - Data of the items besides their keys (default: data:string)
+ * @param {boolean} [options.batch] - Allow the batch actions (BatchGetItem, BatchWriteItem) and generate the batch functions
+ * @param {boolean} [options.transactions] - Allow the condition checks of transactions (ConditionCheckItem)
+ * @returns {Promise<import('./project.js').Change[]>}
+ */
+export async function createTable(state, options) {
+    const { name, partitionKey, sortKey, indexes = [], data = DEFAULT_TABLE_DATA, batch = false, transactions = false } = options;
+    const doc = state.template.clone();
+
+    if (!name) {
+        throw new Error('Please enter a valid table name.');
+    }
+    if (hasResource(doc, name)) {
+        throw new Error(`Table '${name}' already exists in template.yaml`);
+    }
+    for (const [value, label] of [[partitionKey, 'Primary key'], [sortKey, 'Secondary key']]) {
+        const valid = validateTableKey(value, label);
+        if (valid !== true) {
+            throw new Error(valid);
+        }
+    }
+    const keyAttributes = [partitionKey, sortKey, ...partitionKey.split('#'), ...sortKey.split('#')];
+    const keyAttribute = data.find(attribute => keyAttributes.includes(attribute.name));
+    if (keyAttribute) {
+        throw new Error(`'${keyAttribute.name}' is a key attribute. Declare only the data of the items.`);
+    }
+
+    addTable(doc, name, partitionKey, sortKey, { batch, transactions });
+    for (const index of indexes) {
+        addIndexToTable(doc, name, checkTableIndex(doc, name, index, data));
+    }
+
+    const files = tableRepositoryFiles(name, getTableName(doc, name, getStackName(state)), { partitionKey, sortKey }, data, { batch });
+    const tableIndexes = getTableIndexes(doc, name);
+
+    return [
+        templateChange(doc),
+        writeChange(`src/utils/${name}Handler.ts`, withIndexHelpers(files.repository, name, tableIndexes, { partitionKey, sortKey })),
+        writeChange(`src/utils/${name}Handler.spec.ts`, withIndexTests(files.test, name, tableIndexes, { partitionKey, sortKey }, data)),
+    ];
+}
+
+// TypeScript type, sample value and updated sample value of each table attribute type, used by the generated repositories and tests
+const ATTRIBUTE_TYPES = {
+    'string': ['string', "'Hello!'", "'Updated!'"],
+    'number': ['number', '1', '2'],
+    'boolean': ['boolean', 'true', 'false'],
+    'string[]': ['string[]', "['Hello!']", "['Updated!']"],
+    'number[]': ['number[]', '[1]', '[2]'],
+    'object': ['Record<string, unknown>', "{ hello: 'world' }", '{ updated: true }'],
+};
+
+/**
+ * src/utils/<table>Handler.ts and its test: a repository of the table typed with the
+ * dynamo-query-builder keys and the declared data. get, put and delete go through the
+ * dynamo-query-builder table; updates, sort key conditions, cursors and batches through
+ * the DynamoDB document client, with the key attributes composed as the key schema does.
+ * Both clients use the local DynamoDB when DYNAMODB_ENDPOINT is set, as in the tests, or
+ * when the Lambda runs in `sam local`; the test reads and writes real items there
+ */
+function tableRepositoryFiles(table, fullTableName, { partitionKey, sortKey }, data, { batch }) {
+    const T = capitalize(table);
+    const pkKeys = partitionKey.split('#');
+    const skKeys = sortKey.split('#');
+    const allKeys = [...new Set([...pkKeys, ...skKeys])];
+    const typeLines = lines => lines.map(line => `    ${line};`).join('\n');
+    const quotedList = keys => keys.map(key => `'${key}'`).join(', ');
+    const keySchema = (key, trailingComma) => `{
+        name: '${key}',
+        keys: [${quotedList(key.split('#'))}],
+        separator: '#'${trailingComma ? ',' : ''}
+    }`;
+    const commands = ['DynamoDBDocumentClient', 'PutCommand', 'QueryCommand', 'UpdateCommand', ...(batch ? ['BatchGetCommand', 'BatchGetCommandOutput', 'BatchWriteCommand', 'BatchWriteCommandInput', 'BatchWriteCommandOutput'] : [])].sort();
+    const functions = [`get${T}Item`, `put${T}Item`, `update${T}Item`, `delete${T}Item`, `query${T}`,
+        ...(batch ? [`batchGet${T}Items`, `batchPut${T}Items`, `batchDelete${T}Items`] : [])];
+
+    const batchFunctions = !batch ? '' : `
+// BatchGetItem reads up to 100 keys per request and BatchWriteItem writes up to 25 items.
+// Unprocessed keys and items are sent again after a growing delay, up to MAX_ATTEMPTS requests
+const BATCH_GET_SIZE = 100;
+const BATCH_WRITE_SIZE = 25;
+const MAX_ATTEMPTS = 8;
+
+type WriteRequests = NonNullable<BatchWriteCommandInput['RequestItems']>[string];
+
+function chunks<T>(values: T[], size: number): T[][] {
+    const result: T[][] = [];
+    for (let i = 0; i < values.length; i += size) {
+        result.push(values.slice(i, i + size));
+    }
+    return result;
+}
+
+// Exponential backoff before sending unprocessed keys or items again, as DynamoDB throttles them
+function backoff(attempt: number): Promise<void> {
+    return new Promise(resolve => setTimeout(resolve, 50 * 2 ** attempt));
+}
+
+/**
+ * Items of ${table} by their keys, in no particular order; missing items are left out.
+ * Unprocessed keys are requested again; throws when some are still unprocessed after MAX_ATTEMPTS requests
+ */
+export async function batchGet${T}Items(keys: ${T}Keys[]): Promise<${T}Item[]> {
+    const items: ${T}Item[] = [];
+    for (const chunk of chunks(keys, BATCH_GET_SIZE)) {
+        let pending: Record<string, unknown>[] = chunk.map(key => toKey(key));
+        for (let attempt = 1; pending.length > 0; attempt++) {
+            if (attempt > MAX_ATTEMPTS) {
+                throw new Error(\`Keys of \${tableName} still unprocessed after \${MAX_ATTEMPTS} attempts: \${JSON.stringify(pending)}\`);
+            }
+            if (attempt > 1) {
+                await backoff(attempt);
+            }
+            // Typed, as pending is read by the request and assigned from its result
+            const result: BatchGetCommandOutput = await documentClient.send(new BatchGetCommand({
+                RequestItems: { [tableName]: { Keys: pending } },
+            }));
+            items.push(...(result.Responses?.[tableName] ?? []).map(fromItem));
+            pending = result.UnprocessedKeys?.[tableName]?.Keys ?? [];
+        }
+    }
+    return items;
+}
+
+// Key attributes of a put or delete request
+function requestKey({ PutRequest, DeleteRequest }: WriteRequests[number]): Record<string, unknown> {
+    const attributes = DeleteRequest?.Key ?? PutRequest?.Item ?? {};
+    return { '${partitionKey}': attributes['${partitionKey}'], '${sortKey}': attributes['${sortKey}'] };
+}
+
+async function batchWrite(requests: WriteRequests): Promise<void> {
+    for (const chunk of chunks(requests, BATCH_WRITE_SIZE)) {
+        let pending: WriteRequests = chunk;
+        for (let attempt = 1; pending.length > 0; attempt++) {
+            if (attempt > MAX_ATTEMPTS) {
+                throw new Error(\`Items of \${tableName} still unprocessed after \${MAX_ATTEMPTS} attempts: \${JSON.stringify(pending.map(requestKey))}\`);
+            }
+            if (attempt > 1) {
+                await backoff(attempt);
+            }
+            const result: BatchWriteCommandOutput = await documentClient.send(new BatchWriteCommand({
+                RequestItems: { [tableName]: pending },
+            }));
+            pending = result.UnprocessedItems?.[tableName] ?? [];
+        }
+    }
+}
+
+/**
+ * Create or replace items of ${table}; unprocessed items are written again
+ */
+export async function batchPut${T}Items(items: ${T}Item[]): Promise<void> {
+    await batchWrite(items.map(item => ({ PutRequest: { Item: { ...item, ...toKey(item), ...toIndexAttributes(item) } } })));
+}
+
+/**
+ * Delete items of ${table} by their keys; unprocessed keys are deleted again
+ */
+export async function batchDelete${T}Items(keys: ${T}Keys[]): Promise<void> {
+    await batchWrite(keys.map(key => ({ DeleteRequest: { Key: toKey(key) } })));
+}
+`;
+
+    const repository = `import { DynamoClient, KeySchema, Table } from 'dynamo-query-builder';
+import { DynamoDBClient } from '@aws-sdk/client-dynamodb';
+import { ${commands.join(', ')} } from '@aws-sdk/lib-dynamodb';
+
+// Table of the stack, set by template.yaml in the Lambdas using it. The local DynamoDB of the
+// tests and of sam local, where !Ref gives the logical id, names it as the default environment does
+const tableName = (process.env.AWS_SAM_LOCAL !== 'true' && process.env.${getTableVariable(table)}) || "${fullTableName}";
+
+// Local DynamoDB of sam-smith: started by the tests, or by sam-smith:dynamo-local for sam local
+const endpoint = process.env.DYNAMODB_ENDPOINT
+    ?? (process.env.AWS_SAM_LOCAL === 'true' ? 'http://host.docker.internal:${LOCAL_DYNAMO_PORT}' : undefined);
+const clientConfig = endpoint ? { endpoint } : {};
+
+const client = new DynamoClient(clientConfig);
+const documentClient = DynamoDBDocumentClient.from(new DynamoDBClient(clientConfig), {
+    marshallOptions: { removeUndefinedValues: true },
+});
+
+export type ${T}Pk = {
+${typeLines(pkKeys.map(key => `${key}: string`))}
+};
+
+export type ${T}Sk = {
+${typeLines(skKeys.map(key => `${key}: string`))}
+};
+
+export type ${T}Data = {
+${typeLines(data.map(({ name, type, optional }) => `${name}${optional ? '?' : ''}: ${ATTRIBUTE_TYPES[type][0]}`))}
+};
+
+// Attributes the secondary indexes are keyed on, besides the keys and the data. An item
+// without them is left out of the index
+export type ${T}IndexKeys = Record<never, never>;
+
+export type ${T}Keys = ${T}Pk & ${T}Sk;
+export type ${T}Item = ${T}Pk & ${T}Sk & ${T}Data & ${T}IndexKeys;
+
+/**
+ * Condition on the sort key of a query. The keys are compared joined in the order of the
+ * key schema; beginsWith accepts the first keys only
+ */
+export type ${T}SortKeyCondition =
+    | { equals: ${T}Sk }
+    | { lessThan: ${T}Sk }
+    | { lessThanOrEqual: ${T}Sk }
+    | { greaterThan: ${T}Sk }
+    | { greaterThanOrEqual: ${T}Sk }
+    | { between: [${T}Sk, ${T}Sk] }
+    | { beginsWith: Partial<${T}Sk> };
+
+export interface ${T}QueryOptions {
+    // Items per page
+    limit?: number;
+    // Cursor of the previous page
+    cursor?: string;
+    // Sort key order, ascending by default
+    descending?: boolean;
+}
+
+export interface ${T}Page {
+    items: ${T}Item[];
+    // Cursor of the next page, undefined on the last one
+    cursor?: string;
+}
+
+export const ${table}KeySchema: KeySchema = {
+    pk: ${keySchema(partitionKey, false)},
+    sk: ${keySchema(sortKey, true)},
+};
+
+const ${table}Table: Table<${T}Pk, ${T}Sk, ${T}Data> = client.table<${T}Pk, ${T}Sk, ${T}Data>(tableName, ${table}KeySchema);
+
+// Index keys joined from several attributes, as dynamo-query-builder reads them: written with the items
+const indexAttributes: Record<string, readonly string[]> = {};
+
+const SORT_KEY_OPERATORS = {
+    equals: '=',
+    lessThan: '<',
+    lessThanOrEqual: '<=',
+    greaterThan: '>',
+    greaterThanOrEqual: '>=',
+} as const;
+
+function sortKeyValue(sk: ${T}Sk): string {
+    return [${skKeys.map(key => `sk.${key}`).join(', ')}].join('#');
+}
+
+// First keys of a sort key; a partial prefix ends with the separator, so 'a' does not match 'ab#c'
+function sortKeyPrefix(sk: Partial<${T}Sk>): string {
+    const values: string[] = [];
+    for (const key of [${quotedList(skKeys)}] as const) {
+        const value = sk[key];
+        if (value === undefined) {
+            break;
+        }
+        values.push(value);
+    }
+    return values.length === ${skKeys.length} ? values.join('#') : values.map(value => \`\${value}#\`).join('');
+}
+
+function sortKeyCondition(condition: ${T}SortKeyCondition, values: Record<string, unknown>): string {
+    if ('beginsWith' in condition) {
+        values[':sk'] = sortKeyPrefix(condition.beginsWith);
+        return 'begins_with(#sk, :sk)';
+    }
+    if ('between' in condition) {
+        values[':sk'] = sortKeyValue(condition.between[0]);
+        values[':skEnd'] = sortKeyValue(condition.between[1]);
+        return '#sk BETWEEN :sk AND :skEnd';
+    }
+    const [name, sk] = Object.entries(condition)[0] as [keyof typeof SORT_KEY_OPERATORS, ${T}Sk];
+    values[':sk'] = sortKeyValue(sk);
+    return \`#sk \${SORT_KEY_OPERATORS[name]} :sk\`;
+}
+
+// Key attributes of an item, as dynamo-query-builder stores them
+function toKey(keys: ${T}Keys): Record<string, string> {
+    return {
+        '${partitionKey}': [${pkKeys.map(key => `keys.${key}`).join(', ')}].join('#'),
+        '${sortKey}': sortKeyValue(keys),
+    };
+}
+
+// Index keys of an item joined from several attributes, for the indexes it has every attribute of
+function toIndexAttributes(item: Record<string, unknown>): Record<string, string> {
+    return Object.fromEntries(Object.entries(indexAttributes)
+        .filter(([, parts]) => parts.every(part => item[part] !== undefined))
+        .map(([name, parts]) => [name, parts.map(part => String(item[part])).join('#')]));
+}
+
+// Item read by the document client, with its keys split from the key attributes
+function fromItem(item: Record<string, unknown>): ${T}Item {
+    const { '${partitionKey}': pkValue, '${sortKey}': skValue, ...attributes } = item;
+    for (const name of Object.keys(indexAttributes)) {
+        delete attributes[name];
+    }
+    const pk = String(pkValue).split('#');
+    const sk = String(skValue).split('#');
+    return {
+        ...attributes,
+${allKeys.map(key => `        ${key}: ${pkKeys.includes(key) ? `pk[${pkKeys.indexOf(key)}]` : `sk[${skKeys.indexOf(key)}]`},`).join('\n')}
+    } as ${T}Item;
+}
+
+function encodeCursor(key?: Record<string, unknown>): string | undefined {
+    return key && Buffer.from(JSON.stringify(key)).toString('base64url');
+}
+
+function decodeCursor(cursor?: string): Record<string, unknown> | undefined {
+    return cursor ? JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8')) : undefined;
+}
+
+/**
+ * Item of ${table} by its keys, undefined when it does not exist
+ */
+export async function get${T}Item(pk: ${T}Pk, sk: ${T}Sk): Promise<${T}Item | undefined> {
+    const item = await ${table}Table.getOne(pk, sk);
+    return (item ?? undefined) as ${T}Item | undefined;
+}
+
+/**
+ * Create or replace an item of ${table}
+ */
+export async function put${T}Item(item: ${T}Item): Promise<void> {
+    await documentClient.send(new PutCommand({
+        TableName: tableName,
+        Item: { ...item, ...toKey(item), ...toIndexAttributes(item) },
+    }));
+}
+
+/**
+ * Set attributes of an existing item of ${table} and return the updated item.
+ * Fails when the item does not exist
+ */
+export async function update${T}Item(pk: ${T}Pk, sk: ${T}Sk, changes: Partial<${T}Data & ${T}IndexKeys>): Promise<${T}Item> {
+    const fields: [string, unknown][] = Object.entries(changes).filter(([, value]) => value !== undefined);
+    if (fields.length === 0) {
+        throw new Error('Nothing to update');
+    }
+    // An index key joined from several attributes is written again when one of them changes
+    const composed = toIndexAttributes({ ...pk, ...sk, ...Object.fromEntries(fields) });
+    for (const [name, parts] of Object.entries(indexAttributes)) {
+        if (!fields.some(([field]) => parts.includes(field))) {
+            continue;
+        }
+        if (!(name in composed)) {
+            throw new Error(\`Update \${parts.join(', ')} together: they make up the \${name} key of an index\`);
+        }
+        fields.push([name, composed[name]]);
+    }
+    const result = await documentClient.send(new UpdateCommand({
+        TableName: tableName,
+        Key: toKey({ ...pk, ...sk }),
+        UpdateExpression: \`SET \${fields.map((_, i) => \`#f\${i} = :f\${i}\`).join(', ')}\`,
+        ConditionExpression: 'attribute_exists(#pk)',
+        ExpressionAttributeNames: {
+            '#pk': '${partitionKey}',
+            ...Object.fromEntries(fields.map(([field], i) => [\`#f\${i}\`, field])),
+        },
+        ExpressionAttributeValues: Object.fromEntries(fields.map(([, value], i) => [\`:f\${i}\`, value])),
+        ReturnValues: 'ALL_NEW',
+    }));
+    return fromItem(result.Attributes ?? {});
+}
+
+/**
+ * Delete an item of ${table} by its keys
+ */
+export async function delete${T}Item(pk: ${T}Pk, sk: ${T}Sk): Promise<void> {
+    await ${table}Table.delete(pk, sk);
+}
+
+/**
+ * A page of the items of a partition of ${table}, optionally filtered on the sort key.
+ * Pass the returned cursor back in the options to read the next page
+ */
+export async function query${T}(pk: ${T}Pk, condition?: ${T}SortKeyCondition, options: ${T}QueryOptions = {}): Promise<${T}Page> {
+    const values: Record<string, unknown> = { ':pk': [${pkKeys.map(key => `pk.${key}`).join(', ')}].join('#') };
+    const expressions = ['#pk = :pk'];
+    if (condition) {
+        expressions.push(sortKeyCondition(condition, values));
+    }
+    const result = await documentClient.send(new QueryCommand({
+        TableName: tableName,
+        KeyConditionExpression: expressions.join(' AND '),
+        ExpressionAttributeNames: { '#pk': '${partitionKey}', ...(condition && { '#sk': '${sortKey}' }) },
+        ExpressionAttributeValues: values,
+        Limit: options.limit,
+        ScanIndexForward: !options.descending,
+        ExclusiveStartKey: decodeCursor(options.cursor),
+    }));
+    return {
+        items: (result.Items ?? []).map(fromItem),
+        cursor: encodeCursor(result.LastEvaluatedKey),
+    };
+}
+${batchFunctions}`;
+
+    // Sample keys: each test writes to its own partition, named after the test
+    const sharedKeys = skKeys.filter(key => pkKeys.includes(key));
+    const values = (keys, value) => keys.map(key => `${key}: \`${key}-${value}\``).join(', ');
+    const sampleData = data.map(({ name, type }) => `${name}: ${ATTRIBUTE_TYPES[type][1]}`).join(', ');
+    const [firstData] = data;
+    const updatedValue = ATTRIBUTE_TYPES[firstData.type][2];
+
+    const batchTests = !batch ? '' : `
+    it('puts, gets and deletes items in batches', async () => {
+        const pk = pkOf('batch');
+        const sks = [1, 2, 3].map(n => skOf('batch', n));
+        const items = sks.map(sk => itemOf(pk, sk));
+        const keys = sks.map(sk => ({ ...pk, ...sk }));
+
+        await batchPut${T}Items(items);
+        const found = await batchGet${T}Items(keys);
+        await batchDelete${T}Items(keys);
+
+        expect(found).toHaveLength(3);
+        expect(found).toEqual(expect.arrayContaining(items.map(item => expect.objectContaining(item))));
+        await expect(batchGet${T}Items(keys)).resolves.toEqual([]);
+    });
+`;
+
+    const test = `import { ${functions.join(', ')} } from './${table}Handler';
+import type { ${T}Pk, ${T}Sk, ${T}Item } from './${table}Handler';
+
+// The tests run against the local DynamoDB started by lib/jest-global-setup.js
+const pkOf = (test: string): ${T}Pk => ({ ${values(pkKeys, '${test}')} });
+const skOf = (test: string, n: number): ${T}Sk => ({ ${skKeys.map(key => `${key}: \`${key}-${sharedKeys.includes(key) ? '${test}' : '${n}'}\``).join(', ')} });
+const itemOf = (pk: ${T}Pk, sk: ${T}Sk): ${T}Item => ({ ...pk, ...sk, ${sampleData} });
+
+async function putItems(items: ${T}Item[]): Promise<void> {
+    for (const item of items) {
+        await put${T}Item(item);
+    }
+}
+
+describe('${table}Handler', () => {
+    it('puts and gets an item', async () => {
+        const [pk, sk] = [pkOf('put'), skOf('put', 1)];
+
+        await put${T}Item(itemOf(pk, sk));
+
+        await expect(get${T}Item(pk, sk)).resolves.toMatchObject(itemOf(pk, sk));
+    });
+
+    it('gets undefined for a missing item', async () => {
+        await expect(get${T}Item(pkOf('missing'), skOf('missing', 1))).resolves.toBeUndefined();
+    });
+
+    it('updates the attributes of an item', async () => {
+        const [pk, sk] = [pkOf('update'), skOf('update', 1)];
+        await put${T}Item(itemOf(pk, sk));
+
+        await expect(update${T}Item(pk, sk, { ${firstData.name}: ${updatedValue} })).resolves.toMatchObject({ ...pk, ...sk, ${firstData.name}: ${updatedValue} });
+        await expect(get${T}Item(pk, sk)).resolves.toMatchObject({ ${firstData.name}: ${updatedValue} });
+    });
+
+    it('refuses to update a missing item', async () => {
+        await expect(update${T}Item(pkOf('update-missing'), skOf('update-missing', 1), { ${firstData.name}: ${updatedValue} })).rejects.toThrow();
+    });
+
+    it('refuses an update without changes', async () => {
+        await expect(update${T}Item(pkOf('update-empty'), skOf('update-empty', 1), {})).rejects.toThrow('Nothing to update');
+    });
+
+    it('deletes an item by its keys', async () => {
+        const [pk, sk] = [pkOf('delete'), skOf('delete', 1)];
+        await put${T}Item(itemOf(pk, sk));
+
+        await delete${T}Item(pk, sk);
+
+        await expect(get${T}Item(pk, sk)).resolves.toBeUndefined();
+    });
+
+    it('queries a partition with a sort key condition', async () => {
+        const pk = pkOf('query');
+        const items = [1, 2, 3].map(n => itemOf(pk, skOf('query', n)));
+        await putItems(items);
+
+        await expect(query${T}(pk, { greaterThanOrEqual: skOf('query', 2) })).resolves.toMatchObject({ items: [items[1], items[2]], cursor: undefined });
+        await expect(query${T}(pk, undefined, { descending: true })).resolves.toMatchObject({ items: [items[2], items[1], items[0]] });
+    });
+
+    it('queries the sort keys beginning with the first keys', async () => {
+        const pk = pkOf('begins');
+        const items = [1, 2].map(n => itemOf(pk, skOf('begins', n)));
+        await putItems(items);
+
+        await expect(query${T}(pk, { beginsWith: { ${skKeys[0]}: items[1].${skKeys[0]} } })).resolves.toMatchObject({ items: [items[1]] });
+    });
+
+    it('reads the next page with the cursor', async () => {
+        const pk = pkOf('pages');
+        const items = [1, 2, 3].map(n => itemOf(pk, skOf('pages', n)));
+        await putItems(items);
+
+        const page = await query${T}(pk, undefined, { limit: 2 });
+        const next = await query${T}(pk, undefined, { limit: 2, cursor: page.cursor });
+
+        expect(page).toMatchObject({ items: [items[0], items[1]] });
+        expect(page.cursor).toBeDefined();
+        expect(next).toMatchObject({ items: [items[2]], cursor: undefined });
+    });
+${batchTests}});
+`;
+
+    return { repository, test };
+}
+
+/**
+ * Migration of a table to new keys
+ * @typedef {Object} TableMigration
+ * @property {number} version - Version of the new table, 2 for the first change of keys
+ * @property {string} environment - Environment of the project state, whose stack holds source and target
+ * @property {string} source - Name of the current table in the stack, kept with its items
+ * @property {string} target - Name of the new table in the stack
+ * @property {string} script - Script copying the items to the new table, relative to the project
+ * @property {string} command - Command running the script for the environment
+ */
+
+/**
+ * Migration changing the keys of a table: the new table gets the next `-v<N>` name, since
+ * CloudFormation creates it before releasing the current one
+ * @param {import('./project.js').ProjectState} state - Project state
+ * @param {string} table - Table name
+ * @returns {TableMigration}
+ */
+export function getTableMigration(state, table) {
+    requireResource(state.template, table, 'AWS::DynamoDB::Table', 'Table');
+    const { version, next } = tableNameVersions(state.template, table);
+    const stackName = getStackName(state);
+    const name = `migrate${capitalize(table)}V${version}`;
+    return {
+        version,
+        environment: state.environment,
+        source: getTableName(state.template, table, stackName),
+        target: next.replaceAll('${AWS::StackName}', stackName),
+        script: `src/migrations/${name}.ts`,
+        command: migrationCommand(name, state.environment),
+    };
+}
+
+function migrationCommand(name, environment) {
+    return `npm run build && node .build/migrations/${name}.js --env ${environment}`;
+}
+
+// Progress of the migration script in an environment, relative to the project
+function migrationProgressFile(name, environment) {
+    return `.sam-smith/migrations/${name}.${environment}.json`;
+}
+
+/**
+ * Migration of the previous change of keys of a table not run to its end yet in the environment
+ * of the state: its progress in .sam-smith/migrations is missing or not done, so its items are
+ * only in the previous table
+ * @param {import('./project.js').ProjectState} state - Project state
+ * @param {string} table - Table name
+ * @returns {Promise<{source: string, script: string, command: string}|null>}
+ */
+export async function getPendingMigration(state, table) {
+    const previous = getPreviousTable(state.template, table, getStackName(state));
+    if (!previous) {
+        return null;
+    }
+    const name = path.basename(previous.migration, '.ts');
+    const progressPath = path.join(state.path, migrationProgressFile(name, state.environment));
+    const progress = await fs.pathExists(progressPath) ? await fs.readJson(progressPath) : null;
+    if (progress && progress.done) {
+        return null;
+    }
+    return { source: previous.tableName, script: previous.migration, command: migrationCommand(name, state.environment) };
+}
+
+// Current and next TableName of a table, with their ${AWS::StackName}: orders, then orders-v2, orders-v3...
+function tableNameVersions(doc, table) {
+    const current = scalarValue(doc.getIn(['Resources', table, 'Properties', 'TableName'], true)) ?? `\${AWS::StackName}-${table}`;
+    const [, base, version] = /^(.*?)(?:-v(\d+))?$/.exec(current);
+    const next = version ? Number(version) + 1 : 2;
+    return { current, next: `${base}-v${next}`, version: next };
+}
+
+/**
+ * Change the keys of a table. DynamoDB cannot change the keys of a table in place, so the
+ * table gets a new name and CloudFormation creates it on deploy, next to the current one:
+ * its Retain UpdateReplacePolicy keeps the current table and its items, and the Metadata of
+ * the table records it. The typed repository and its test are generated again with the new
+ * keys, keeping the data of the items, and src/migrations/migrate<Table>V<N>.ts copies the
+ * items of the current table to the new one
+ * @param {import('./project.js').ProjectState} state - Project state
+ * @param {Object} options
+ * @param {string} options.name - Table name
+ * @param {string} options.partitionKey - New partition key with # separators (e.g. pk1#pk2)
+ * @param {string} options.sortKey - New sort key with # separators (e.g. sk1#sk2)
+ * @returns {Promise<import('./project.js').Change[]>}
+ */
+export async function alterTableKeys(state, options) {
+    const { name, partitionKey, sortKey } = options;
+    const doc = state.template.clone();
+
+    requireResource(doc, name, 'AWS::DynamoDB::Table', 'Table');
+    // A new change would replace the previous table recorded before its items are copied
+    const pending = await getPendingMigration(state, name);
+    if (pending) {
+        throw new Error(`The items of ${pending.source} are not copied yet: run ${pending.script} (${pending.command}) before changing the keys of table '${name}' again.`);
+    }
+    assertValid(validateTableKey(partitionKey, 'Primary key'));
+    assertValid(validateTableKey(sortKey, 'Secondary key'));
+    if (partitionKey === sortKey) {
+        throw new Error('The partition and sort keys are the same.');
+    }
+    const current = getTableKeys(doc, name);
+    if (current.partitionKey === partitionKey && current.sortKey === sortKey) {
+        throw new Error(`Table '${name}' already has the keys ${partitionKey} / ${sortKey}.`);
+    }
+    const localIndex = getTableIndexes(doc, name).find(index => index.type === 'local' && [partitionKey, sortKey].includes(index.sortKey));
+    if (localIndex) {
+        throw new Error(`'${localIndex.sortKey}' is the sort key of local index '${localIndex.name}': it cannot be a key of table '${name}'.`);
+    }
+    const { ttlAttribute } = getTableOptions(doc, name);
+    if ([partitionKey, sortKey].includes(ttlAttribute)) {
+        throw new Error(`'${ttlAttribute}' is the TTL attribute of table '${name}': it holds a number, not a key.`);
+    }
+
+    // The parts of the current keys stay in the migrated items, as data
+    const { data, batch } = await readTableRepository(state, name);
+    const keyAttributes = [partitionKey, sortKey, ...partitionKey.split('#'), ...sortKey.split('#')];
+    const currentParts = [current.partitionKey, current.sortKey].filter(Boolean).flatMap(key => key.split('#'));
+    const kept = [
+        ...data.filter(attribute => !keyAttributes.includes(attribute.name)),
+        ...[...new Set(currentParts)]
+            .filter(part => !keyAttributes.includes(part) && !data.some(attribute => attribute.name === part))
+            .map(part => ({ name: part, type: 'string' })),
+    ];
+
+    const migration = getTableMigration(state, name);
+    const { current: currentName, next } = tableNameVersions(doc, name);
+    setTableKeys(doc, name, partitionKey, sortKey);
+    setProperty(doc, name, 'TableName', sub(next));
+    setResourceAttribute(doc, name, 'UpdateReplacePolicy', 'Retain');
+    setPreviousTable(doc, name, { tableName: currentName, partitionKey: current.partitionKey, sortKey: current.sortKey, migration: migration.script });
+
+    const indexKeys = getTableIndexes(doc, name).flatMap(index => [index.partitionKey, index.sortKey]);
+    const files = tableRepositoryFiles(name, migration.target, { partitionKey, sortKey }, kept.length > 0 ? kept : DEFAULT_TABLE_DATA, { batch });
+    const indexes = getTableIndexes(doc, name);
+
+    return [
+        templateChange(doc),
+        writeChange(`src/utils/${name}Handler.ts`, withIndexHelpers(files.repository, name, indexes, { partitionKey, sortKey })),
+        writeChange(`src/utils/${name}Handler.spec.ts`, withIndexTests(files.test, name, indexes, { partitionKey, sortKey }, kept)),
+        writeChange(migration.script, tableMigrationFile(name, migration, {
+            source: currentName,
+            target: next,
+            from: current,
+            to: { partitionKey, sortKey },
+            dropped: [current.partitionKey, current.sortKey]
+                .filter(key => key && key.includes('#') && ![partitionKey, sortKey, ...indexKeys].includes(key)),
+        })),
+    ];
+}
+
+/**
+ * Data of the items and batch functions of the typed repository src/utils/<table>Handler.ts,
+ * to generate it again. Attributes of a type edited by hand are left out
+ */
+async function readTableRepository(state, table) {
+    const filePath = path.join(state.path, `src/utils/${table}Handler.ts`);
+    const content = await fs.pathExists(filePath) ? await fs.readFile(filePath, 'utf8') : '';
+    return { data: readRepositoryData(content, table), batch: content.includes(`export async function batchGet${capitalize(table)}Items(`) };
+}
+
+// Attributes of the <Table>Data type of a repository, with their type
+function readRepositoryData(content, table) {
+    const declared = new RegExp(`^export type ${capitalize(table)}Data = \\{\\n([^}]*)\\};`, 'm').exec(content);
+    const types = Object.fromEntries(Object.entries(ATTRIBUTE_TYPES).map(([type, [tsType]]) => [tsType, type]));
+    return (declared ? declared[1].split('\n') : [])
+        .map(line => /^\s*(\w+)(\?)?: (.+);$/.exec(line))
+        .filter(match => match && types[match[3]])
+        .map(([, name, optional, tsType]) => ({ name, type: types[tsType], ...(optional && { optional: true }) }));
+}
+
+/**
+ * src/migrations/migrate<Table>V<N>.ts: scans the previous table and writes its items to the
+ * new one with the new composite keys, in batches. The tables are those of the stack of the
+ * --env environment in samconfig.toml (default: the environment of the migration). The progress
+ * is saved after each page in .sam-smith/migrations, per environment, so an interrupted run
+ * resumes from the last page written
+ */
+function tableMigrationFile(table, { script, environment }, { source, target, from, to, dropped }) {
+    const name = path.basename(script, '.ts');
+    const quotedList = keys => keys.map(key => `'${key}'`).join(', ');
+    const sourceKeys = [from.partitionKey, from.sortKey].filter(Boolean);
+    const targetKeys = [to.partitionKey, to.sortKey];
+
+    return `import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+import { dirname } from 'path';
+import { DynamoDBClient } from '@aws-sdk/client-dynamodb';
+import { BatchWriteCommand, BatchWriteCommandInput, DynamoDBDocumentClient, ScanCommand } from '@aws-sdk/lib-dynamodb';
+
+/**
+ * Copy the items of table ${table} to its new keys:
+ *   ${sourceKeys.join(' / ')} -> ${targetKeys.join(' / ')}
+ *
+ * Deploy first: CloudFormation creates the new table and keeps the previous one. Then run
+ *   npm run build && node .build/migrations/${name}.js [--env <environment>] [--endpoint <url>] [--dry-run] [--resume]
+ *
+ * --env copies the tables of the stack of an environment, as named in samconfig.toml
+ * (default: ${environment}), --endpoint reads and writes a local DynamoDB such as the one of
+ * sam-smith:dynamo-local, --dry-run checks the items without writing them, and --resume
+ * continues an interrupted run of the environment from the last page written. The previous
+ * table is only read: delete it once its items are copied
+ */
+const DEFAULT_ENVIRONMENT = '${environment}';
+
+// Names of the previous and the new table, in the stack of the environment
+const SOURCE_TABLE_NAME = '${source}';
+const TARGET_TABLE_NAME = '${target}';
+
+// Keys of the previous table, split into their parts, and keys of the new table, joined from them
+const SOURCE_KEYS = [${quotedList(sourceKeys)}];
+const TARGET_KEYS = [${quotedList(targetKeys)}];
+
+// Composite keys of the previous table that no key of the new table uses
+const DROPPED_ATTRIBUTES: string[] = [${quotedList(dropped)}];
+
+const PROGRESS_DIR = '.sam-smith/migrations';
+
+// Items read per page, items per BatchWriteItem request, and requests sent again for the unprocessed items
+const PAGE_SIZE = 100;
+const BATCH_SIZE = 25;
+const MAX_ATTEMPTS = 8;
+
+type Item = Record<string, unknown>;
+type WriteRequests = NonNullable<BatchWriteCommandInput['RequestItems']>[string];
+
+interface Options {
+    environment: string;
+    endpoint?: string;
+    dryRun: boolean;
+    resume: boolean;
+}
+
+interface Progress {
+    // Key of the last item read, undefined before the first page
+    lastKey?: Item;
+    copied: number;
+    // New keys written, so that two items of the previous table cannot get the same ones across runs
+    written: string[];
+    // Keys of the items left in the previous table, with the reason
+    failed: { key: Item; reason: string }[];
+    done: boolean;
+}
+
+interface Tables {
+    source: string;
+    target: string;
+    progressFile: string;
+}
+
+function parseOptions(args: string[]): Options {
+    const options: Options = { environment: DEFAULT_ENVIRONMENT, endpoint: process.env.DYNAMODB_ENDPOINT, dryRun: false, resume: false };
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--env' && args[i + 1]) {
+            options.environment = args[++i];
+        } else if (args[i] === '--endpoint' && args[i + 1]) {
+            options.endpoint = args[++i];
+        } else if (args[i] === '--dry-run') {
+            options.dryRun = true;
+        } else if (args[i] === '--resume') {
+            options.resume = true;
+        } else {
+            throw new Error(\`Unknown option '\${args[i]}'. Usage: [--env <environment>] [--endpoint <url>] [--dry-run] [--resume]\`);
+        }
+    }
+    return options;
+}
+
+// Tables of the stack deployed by \`sam deploy --config-env <environment>\`, and the progress of the environment
+function getTables(environment: string): Tables {
+    const samconfig = existsSync('samconfig.toml') ? readFileSync('samconfig.toml', 'utf8').split('\\n') : [];
+    const start = samconfig.findIndex(line => line.trim() === \`[\${environment}.deploy.parameters]\`);
+    const end = samconfig.findIndex((line, i) => i > start && line.startsWith('['));
+    const stackName = start === -1
+        ? undefined
+        : samconfig.slice(start + 1, end === -1 ? undefined : end)
+            .map(line => /^stack_name = "(.*)"/.exec(line))
+            .find(Boolean)?.[1];
+    if (!stackName) {
+        throw new Error(\`samconfig.toml has no stack_name for the environment '\${environment}'.\`);
+    }
+    return {
+        source: SOURCE_TABLE_NAME.replace('\${AWS::StackName}', stackName),
+        target: TARGET_TABLE_NAME.replace('\${AWS::StackName}', stackName),
+        progressFile: \`\${PROGRESS_DIR}/${name}.\${environment}.json\`,
+    };
+}
+
+function createClient(endpoint?: string): DynamoDBDocumentClient {
+    // A local endpoint needs a region and credentials, but never checks them
+    const local = endpoint !== undefined && ['localhost', '127.0.0.1', 'host.docker.internal'].includes(new URL(endpoint).hostname);
+    const client = new DynamoDBClient({
+        ...(endpoint ? { endpoint } : {}),
+        ...(local ? { region: process.env.AWS_REGION ?? 'us-east-1', credentials: { accessKeyId: 'local', secretAccessKey: 'local' } } : {}),
+    });
+    return DynamoDBDocumentClient.from(client, { marshallOptions: { removeUndefinedValues: true } });
+}
+
+function readProgress({ resume, dryRun }: Options, { progressFile }: Tables): Progress {
+    const saved = existsSync(progressFile);
+    if (resume && !saved) {
+        throw new Error(\`Nothing to resume: \${progressFile} not found.\`);
+    }
+    if (!resume && saved && !dryRun) {
+        throw new Error(\`\${progressFile} holds the progress of a previous run. Pass --resume to continue it, or delete it to start again.\`);
+    }
+    return resume ? JSON.parse(readFileSync(progressFile, 'utf8')) as Progress : { copied: 0, written: [], failed: [], done: false };
+}
+
+function saveProgress(progress: Progress, { progressFile }: Tables): void {
+    mkdirSync(dirname(progressFile), { recursive: true });
+    writeFileSync(progressFile, \`\${JSON.stringify(progress, null, 4)}\\n\`);
+}
+
+// Item with the keys of the new table: the composite keys of the previous table are split
+// into their parts, then the keys of the new table are joined from them
+function migrateItem(item: Item): Item {
+    const migrated: Item = { ...item };
+    for (const key of SOURCE_KEYS.filter(key => key.includes('#'))) {
+        const parts = key.split('#');
+        const values = String(item[key]).split('#');
+        if (values.length !== parts.length) {
+            throw new Error(\`'\${key}' is '\${item[key]}', which does not split into \${parts.join(', ')}\`);
+        }
+        parts.forEach((part, i) => {
+            migrated[part] ??= values[i];
+        });
+    }
+    for (const attribute of DROPPED_ATTRIBUTES) {
+        delete migrated[attribute];
+    }
+    for (const key of TARGET_KEYS) {
+        migrated[key] = key.split('#').map(part => {
+            const value = migrated[part];
+            if (typeof value !== 'string' || value === '') {
+                throw new Error(\`'\${part}' of the key '\${key}' is missing or not a string\`);
+            }
+            if (key.includes('#') && value.includes('#')) {
+                throw new Error(\`'\${part}' of the key '\${key}' contains the separator '#'\`);
+            }
+            return value;
+        }).join('#');
+    }
+    return migrated;
+}
+
+function sourceKey(item: Item): Item {
+    return Object.fromEntries(SOURCE_KEYS.map(key => [key, item[key]]));
+}
+
+async function writeItems(client: DynamoDBDocumentClient, table: string, items: Item[]): Promise<void> {
+    for (let i = 0; i < items.length; i += BATCH_SIZE) {
+        let pending: WriteRequests = items.slice(i, i + BATCH_SIZE).map(item => ({ PutRequest: { Item: item } }));
+        for (let attempt = 1; pending.length > 0; attempt++) {
+            if (attempt > MAX_ATTEMPTS) {
+                throw new Error(\`Items of \${table} are still unprocessed after \${MAX_ATTEMPTS} attempts. Run again with --resume.\`);
+            }
+            if (attempt > 1) {
+                await new Promise(resolve => setTimeout(resolve, 50 * 2 ** attempt));
+            }
+            const result = await client.send(new BatchWriteCommand({ RequestItems: { [table]: pending } }));
+            pending = result.UnprocessedItems?.[table] ?? [];
+        }
+    }
+}
+
+async function main(): Promise<void> {
+    const options = parseOptions(process.argv.slice(2));
+    const tables = getTables(options.environment);
+    const progress = readProgress(options, tables);
+    if (progress.done) {
+        console.log(\`\${tables.source} is already copied to \${tables.target}: \${progress.copied} items, \${progress.failed.length} failed.\`);
+        return;
+    }
+    const client = createClient(options.endpoint);
+    // New keys written by this run and the runs it resumes
+    const written = new Set<string>(progress.written);
+
+    do {
+        const page = await client.send(new ScanCommand({
+            TableName: tables.source,
+            Limit: PAGE_SIZE,
+            ExclusiveStartKey: progress.lastKey,
+            ConsistentRead: true,
+        }));
+        const items: Item[] = [];
+        for (const item of page.Items ?? []) {
+            try {
+                const migrated = migrateItem(item);
+                const id = JSON.stringify(TARGET_KEYS.map(key => migrated[key]));
+                if (written.has(id)) {
+                    throw new Error('another item has the same new keys');
+                }
+                written.add(id);
+                items.push(migrated);
+            } catch (error) {
+                progress.failed.push({ key: sourceKey(item), reason: (error as Error).message });
+            }
+        }
+
+        if (!options.dryRun) {
+            await writeItems(client, tables.target, items);
+        }
+        progress.copied += items.length;
+        progress.written = [...written];
+        progress.lastKey = page.LastEvaluatedKey;
+        progress.done = page.LastEvaluatedKey === undefined;
+        if (!options.dryRun) {
+            saveProgress(progress, tables);
+        }
+        console.log(\`\${progress.copied} items \${options.dryRun ? 'checked' : 'copied'}, \${progress.failed.length} failed\`);
+    } while (!progress.done);
+
+    for (const { key, reason } of progress.failed) {
+        console.log(\`Not copied \${JSON.stringify(key)}: \${reason}\`);
+    }
+    console.log(options.dryRun ? 'Dry run: nothing was written.' : \`Done. Check \${tables.target}, then delete \${tables.source}.\`);
+}
+
+main().catch((error: Error) => {
+    console.error(error.message);
+    process.exitCode = 1;
+});
+`;
+}
+
+/**
+ * Delete a DynamoDB table that no Lambda uses, its policy and its handler files
+ * @param {import('./project.js').ProjectState} state - Project state
+ * @param {Object} options
+ * @param {string} options.name - Table name
+ * @returns {Promise<import('./project.js').Change[]>}
+ */
+export async function deleteTable(state, options) {
+    const { name } = options;
+    const doc = state.template.clone();
+
+    requireResource(doc, name, 'AWS::DynamoDB::Table', 'Table');
+    const usedBy = getTableUsers(doc, name);
+    if (usedBy.length > 0) {
+        throw new Error(`Cannot delete table '${name}'. Policy is being used by: ${usedBy.join(', ')}`);
+    }
+    const consumers = getStreamConsumers(doc, name);
+    if (consumers.length > 0) {
+        throw new Error(`Cannot delete table '${name}'. Its stream is read by: ${consumers.join(', ')}`);
+    }
+    if (getTablePolicies(doc, name).length === 0) {
+        throw new Error('Could not find table or policy in template');
+    }
+
+    removeTable(doc, name);
+
+    const changes = [templateChange(doc)];
+    for (const file of [`src/utils/${name}Handler.ts`, `src/utils/${name}Handler.spec.ts`]) {
+        if (await fs.pathExists(path.join(state.path, file))) {
+            changes.push(deleteChange(file));
+        }
+    }
+    return changes;
+}
+
+/**
+ * Options of a table. Each one is left unchanged when undefined
+ * @typedef {Object} TableOptions
+ * @property {'PAY_PER_REQUEST'|'PROVISIONED'} [billingMode] - On-demand or provisioned capacity
+ * @property {number} [readCapacity] - Read capacity units of the table and its global indexes
+ * @property {number} [writeCapacity] - Write capacity units of the table and its global indexes
+ * @property {{minCapacity: number, maxCapacity: number, targetUtilization: number}|null} [autoscaling] - Scaling of the table capacity; null removes it
+ * @property {string|null} [ttlAttribute] - Number attribute holding the expiry epoch (seconds) of the items; null disables TTL
+ * @property {boolean} [pointInTimeRecovery] - Continuous backups restorable to any second of the last 35 days
+ * @property {'AWS_OWNED'|'AWS_MANAGED'|'CUSTOMER_MANAGED'} [encryption] - Key encrypting the table
+ * @property {string} [kmsKeyId] - Id, ARN or alias of the customer managed key
+ * @property {'STANDARD'|'STANDARD_INFREQUENT_ACCESS'} [tableClass] - Table class
+ * @property {'Retain'|'RetainExceptOnCreate'|'Delete'} [deletionPolicy] - What happens to the table when it leaves the stack
+ * @property {'Retain'|'Delete'} [updateReplacePolicy] - What happens to the table when an update replaces it
+ */
+
+export const BILLING_MODES = ['PAY_PER_REQUEST', 'PROVISIONED'];
+export const TABLE_ENCRYPTIONS = ['AWS_OWNED', 'AWS_MANAGED', 'CUSTOMER_MANAGED'];
+export const TABLE_CLASSES = ['STANDARD', 'STANDARD_INFREQUENT_ACCESS'];
+export const DELETION_POLICIES = ['Retain', 'RetainExceptOnCreate', 'Delete'];
+export const UPDATE_REPLACE_POLICIES = ['Retain', 'Delete'];
+
+// Capacity units a provisioned table can have without a quota increase
+const MAX_CAPACITY = 40000;
+
+/**
+ * Validate the read or write capacity of a provisioned table
+ * @param {string|number} value - Capacity units
+ * @param {string} label - Capacity name used in the message
+ * @returns {true|string} True or an error message
+ */
+export function validateCapacity(value, label = 'Capacity') {
+    return validateInteger(value, label, 1, MAX_CAPACITY);
+}
+
+/**
+ * Validate the name of the TTL attribute of a table
+ * @param {string} value - Attribute name
+ * @returns {true|string} True or an error message
+ */
+export function validateTtlAttribute(value) {
+    if (!/^[a-zA-Z0-9_.-]{1,255}$/.test(value || '')) {
+        return `Invalid TTL attribute '${value}'. Use letters, numbers, _, - and . only.`;
+    }
+    return true;
+}
+
+/**
+ * Validate the id, ARN or alias of a KMS key
+ * @param {string} value - Key id, key ARN, alias/<name> or alias ARN
+ * @returns {true|string} True or an error message
+ */
+export function validateKmsKey(value) {
+    if (!/^(arn:aws[a-z-]*:kms:[a-z0-9-]+:\d{12}:(key|alias)\/[\w/-]+|alias\/[\w/-]+|[0-9a-f]{8}(-[0-9a-f]{4}){3}-[0-9a-f]{12}|mrk-[0-9a-f]{32})$/.test(value || '')) {
+        return `Invalid KMS key '${value}'. Use a key id, a key ARN or alias/<name>.`;
+    }
+    return true;
+}
+
+/**
+ * Change the billing mode, capacity, TTL, backups, encryption, class or policies of a table.
+ * Switching to on-demand billing removes the autoscaling of the table
+ * @param {import('./project.js').ProjectState} state - Project state
+ * @param {Object} options
+ * @param {string} options.name - Table name
+ * @param {TableOptions} options.options - Options to change
+ * @returns {Promise<import('./project.js').Change[]>}
+ */
+export async function updateTable(state, options) {
+    const { name } = options;
+    const changed = Object.fromEntries(Object.entries(options.options).filter(([, value]) => value !== undefined));
+    const doc = state.template.clone();
+
+    requireResource(doc, name, 'AWS::DynamoDB::Table', 'Table');
+    if (Object.keys(changed).length === 0) {
+        throw new Error(`Nothing to update in table '${name}'.`);
+    }
+    const current = getTableOptions(doc, name);
+    const next = { ...current, ...changed };
+
+    if (!BILLING_MODES.includes(next.billingMode)) {
+        throw new Error(`Invalid billing mode '${next.billingMode}'. Expected one of: ${BILLING_MODES.join(', ')}.`);
+    }
+    if (next.billingMode === 'PROVISIONED') {
+        if (next.readCapacity === null || next.writeCapacity === null) {
+            throw new Error(`Provisioned table '${name}' needs a read and a write capacity.`);
+        }
+        assertValid(validateCapacity(next.readCapacity, 'Read capacity'));
+        assertValid(validateCapacity(next.writeCapacity, 'Write capacity'));
+    } else {
+        if (changed.readCapacity !== undefined || changed.writeCapacity !== undefined) {
+            throw new Error('Read and write capacity only apply to provisioned tables.');
+        }
+        if (changed.autoscaling) {
+            throw new Error('Autoscaling only applies to provisioned tables.');
+        }
+        if (current.autoscaling) {
+            changed.autoscaling = null;
+        }
+    }
+    if (changed.autoscaling) {
+        const { minCapacity, maxCapacity, targetUtilization } = changed.autoscaling;
+        assertValid(validateCapacity(minCapacity, 'Minimum capacity'));
+        assertValid(validateInteger(maxCapacity, 'Maximum capacity', Number(minCapacity), MAX_CAPACITY));
+        assertValid(validateInteger(targetUtilization, 'Target utilization', 20, 90));
+    }
+
+    if (changed.ttlAttribute) {
+        assertValid(validateTtlAttribute(changed.ttlAttribute));
+        const { partitionKey, sortKey } = getTableKeys(doc, name);
+        const keyAttributes = [partitionKey, sortKey, ...getTableIndexes(doc, name).flatMap(index => [index.partitionKey, index.sortKey])];
+        if (keyAttributes.includes(changed.ttlAttribute)) {
+            throw new Error(`'${changed.ttlAttribute}' is a string key attribute: the TTL attribute holds a number.`);
+        }
+    }
+
+    if (!TABLE_ENCRYPTIONS.includes(next.encryption)) {
+        throw new Error(`Invalid encryption '${next.encryption}'. Expected one of: ${TABLE_ENCRYPTIONS.join(', ')}.`);
+    }
+    if (changed.kmsKeyId !== undefined && next.encryption !== 'CUSTOMER_MANAGED') {
+        throw new Error('A KMS key only applies to the CUSTOMER_MANAGED encryption.');
+    }
+    if (next.encryption === 'CUSTOMER_MANAGED' && (changed.encryption !== undefined || changed.kmsKeyId !== undefined)) {
+        if (!next.kmsKeyId) {
+            throw new Error('The CUSTOMER_MANAGED encryption needs a KMS key.');
+        }
+        assertValid(validateKmsKey(next.kmsKeyId));
+        Object.assign(changed, { encryption: next.encryption, kmsKeyId: next.kmsKeyId });
+    }
+
+    if (!TABLE_CLASSES.includes(next.tableClass)) {
+        throw new Error(`Invalid table class '${next.tableClass}'. Expected one of: ${TABLE_CLASSES.join(', ')}.`);
+    }
+    if (!DELETION_POLICIES.includes(next.deletionPolicy)) {
+        throw new Error(`Invalid deletion policy '${next.deletionPolicy}'. Expected one of: ${DELETION_POLICIES.join(', ')}.`);
+    }
+    if (!UPDATE_REPLACE_POLICIES.includes(next.updateReplacePolicy)) {
+        throw new Error(`Invalid update replace policy '${next.updateReplacePolicy}'. Expected one of: ${UPDATE_REPLACE_POLICIES.join(', ')}.`);
+    }
+
+    setTableOptions(doc, name, changed);
+    return [templateChange(doc)];
+}
+
+/**
+ * One line per option of a table: `Billing: PROVISIONED (5 read / 5 write), autoscaling 5-50 at 70%`
+ * @param {import('./project.js').ProjectState} state - Project state
+ * @param {string} table - Table name
+ * @returns {string[]}
+ */
+export function describeTableOptions(state, table) {
+    requireResource(state.template, table, 'AWS::DynamoDB::Table', 'Table');
+    const options = getTableOptions(state.template, table);
+    const { autoscaling } = options;
+    let billing = options.billingMode;
+    if (billing === 'PROVISIONED') {
+        billing += ` (${options.readCapacity} read / ${options.writeCapacity} write)`;
+    }
+    if (autoscaling) {
+        billing += `, autoscaling ${autoscaling.minCapacity}-${autoscaling.maxCapacity} at ${autoscaling.targetUtilization}%`;
+    }
+    return [
+        `Billing: ${billing}`,
+        `TTL: ${options.ttlAttribute ?? 'disabled'}`,
+        `Point-in-time recovery: ${options.pointInTimeRecovery ? 'enabled' : 'disabled'}`,
+        `Encryption: ${options.encryption}${options.kmsKeyId ? ` (${options.kmsKeyId})` : ''}`,
+        `Table class: ${options.tableClass}`,
+        `Deletion policy: ${options.deletionPolicy}, update replace policy: ${options.updateReplacePolicy}`,
+    ];
+}
+
+/**
+ * Add a global secondary index to a table and its query helper to src/utils/<table>Handler.ts.
+ * Local indexes can only be created with the table: CloudFormation would replace it
+ * @param {import('./project.js').ProjectState} state - Project state
+ * @param {Object} options
+ * @param {string} options.table - Table name
+ * @param {TableIndex} options.index - Index to add
+ * @returns {Promise<import('./project.js').Change[]>}
+ */
+export async function addTableIndex(state, options) {
+    const { table, index } = options;
+    const doc = state.template.clone();
+
+    requireResource(doc, table, 'AWS::DynamoDB::Table', 'Table');
+    if (index.type === 'local') {
+        throw new Error(`Local secondary indexes are created with their table. Adding '${index.name}' would replace table '${table}' and its data.`);
+    }
+    const { data } = await readTableRepository(state, table);
+    addIndexToTable(doc, table, checkTableIndex(doc, table, index, data));
+    return [templateChange(doc), ...await tableHandlerChanges(state, doc, table)];
+}
+
+/**
+ * Remove a global secondary index of a table and its query helper
+ * @param {import('./project.js').ProjectState} state - Project state
+ * @param {Object} options
+ * @param {string} options.table - Table name
+ * @param {string} options.name - Index name
+ * @returns {Promise<import('./project.js').Change[]>}
+ */
+export async function removeTableIndex(state, options) {
+    const { table, name } = options;
+    const doc = state.template.clone();
+
+    requireResource(doc, table, 'AWS::DynamoDB::Table', 'Table');
+    const index = getTableIndexes(doc, table).find(existing => existing.name === name);
+    if (!index) {
+        throw new Error(`Index '${name}' not found in table '${table}'.`);
+    }
+    if (index.type === 'local') {
+        throw new Error(`Local secondary indexes are removed with their table. Removing '${name}' would replace table '${table}' and its data.`);
+    }
+    removeIndexFromTable(doc, table, name);
+    return [templateChange(doc), ...await tableHandlerChanges(state, doc, table)];
+}
+
+/**
+ * Secondary indexes of a table
+ * @param {import('./project.js').ProjectState} state - Project state
+ * @param {string} table - Table name
+ * @returns {TableIndex[]}
+ */
+export function listTableIndexes(state, table) {
+    requireResource(state.template, table, 'AWS::DynamoDB::Table', 'Table');
+    return getTableIndexes(state.template, table);
+}
+
+/**
+ * One-line description of an index: `byStatus (global): status / createdAt, ALL projection`
+ * @param {TableIndex} index - Index
+ * @returns {string}
+ */
+export function describeIndex({ name, type, partitionKey, sortKey, projection, nonKeyAttributes = [] }) {
+    const included = projection === 'INCLUDE' ? ` of ${nonKeyAttributes.join(', ')}` : '';
+    return `${name} (${type}): ${partitionKey} / ${sortKey}, ${projection} projection${included}`;
+}
+
+/**
+ * Check an index against the table, its other indexes and the data of the items. Returns the
+ * index with its defaults, the DynamoDB type of its keys and, for local indexes, the
+ * partition key of the table
+ */
+function checkTableIndex(doc, table, index, data = []) {
+    const { name, type, sortKey, projection = 'ALL', nonKeyAttributes = [] } = index;
+    const keys = getTableKeys(doc, table);
+    const indexes = getTableIndexes(doc, table);
+
+    assertValid(validateIndexName(name));
+    if (!INDEX_TYPES.includes(type)) {
+        throw new Error(`Invalid index type '${type}'. Expected one of: ${INDEX_TYPES.join(', ')}.`);
+    }
+    if (indexes.some(existing => existing.name === name)) {
+        throw new Error(`Index '${name}' already exists in table '${table}'.`);
+    }
+    if (indexes.filter(existing => existing.type === type).length >= MAX_INDEXES[type]) {
+        throw new Error(`Table '${table}' already has ${MAX_INDEXES[type]} ${type} secondary indexes.`);
+    }
+
+    const partitionKey = type === 'local' ? keys.partitionKey : index.partitionKey;
+    assertValid(validateTableKey(partitionKey, 'Index partition key'));
+    assertValid(validateTableKey(sortKey, 'Index sort key'));
+    if (partitionKey === sortKey) {
+        throw new Error(`The partition and sort keys of index '${name}' are the same.`);
+    }
+    if (type === 'local' && sortKey === keys.sortKey) {
+        throw new Error(`Local index '${name}' has the sort key of table '${table}'.`);
+    }
+
+    if (!INDEX_PROJECTIONS.includes(projection)) {
+        throw new Error(`Invalid projection '${projection}'. Expected one of: ${INDEX_PROJECTIONS.join(', ')}.`);
+    }
+    if (projection === 'INCLUDE' && nonKeyAttributes.length === 0) {
+        throw new Error(`Index '${name}' has the INCLUDE projection but no attribute to include.`);
+    }
+    const keyAttributes = [keys.partitionKey, keys.sortKey, partitionKey, sortKey];
+    const included = projection === 'INCLUDE' ? nonKeyAttributes : [];
+    const keyAttribute = included.find(attribute => keyAttributes.includes(attribute));
+    if (keyAttribute) {
+        throw new Error(`'${keyAttribute}' is a key attribute: it is always copied to index '${name}'.`);
+    }
+
+    // A number attribute is a number key; a key joined from several attributes is a string
+    const attributeTypes = {};
+    for (const key of [partitionKey, sortKey]) {
+        for (const part of key.split('#')) {
+            const attribute = data.find(other => other.name === part);
+            if (attribute && !['string', 'number'].includes(attribute.type)) {
+                throw new Error(`'${part}' is a ${attribute.type}: the keys of index '${name}' are made of strings and numbers.`);
+            }
+        }
+        const attribute = data.find(other => other.name === key);
+        attributeTypes[key] = attribute && attribute.type === 'number' ? 'N' : 'S';
+    }
+
+    return { name, type, partitionKey, sortKey, projection, nonKeyAttributes: included, attributeTypes };
+}
+
+/**
+ * Changes regenerating the index helpers of src/utils/<table>Handler.ts and its test, when they exist
+ */
+async function tableHandlerChanges(state, doc, table) {
+    const indexes = getTableIndexes(doc, table);
+    const keys = getTableKeys(doc, table);
+    const { data } = await readTableRepository(state, table);
+    const files = [
+        [`src/utils/${table}Handler.ts`, content => withIndexHelpers(content, table, indexes, keys)],
+        [`src/utils/${table}Handler.spec.ts`, content => withIndexTests(content, table, indexes, keys, data)],
+    ];
+    const changes = [];
+    for (const [file, update] of files) {
+        const filePath = path.join(state.path, file);
+        if (await fs.pathExists(filePath)) {
+            changes.push(writeChange(file, update(await fs.readFile(filePath, 'utf8'))));
+        }
+    }
+    return changes;
+}
+
+// First line of the generated index section of the table handlers and their tests
+const INDEX_SECTION = '// Secondary indexes';
+
+/**
+ * Replace the index section at the end of a table handler or test; without section it is removed
+ */
+function replaceIndexSection(content, section) {
+    const start = content.indexOf(`\n\n${INDEX_SECTION}\n`);
+    const base = (start === -1 ? content : content.slice(0, start)).replace(/\n*$/, '');
+    return section ? `${base}\n\n${INDEX_SECTION}\n${section}` : `${base}\n`;
+}
+
+/**
+ * Table handler with a typed query helper per index, and the attributes the indexes are keyed
+ * on in the items: typed from the data of the items, and joined when an index key is made of
+ * several. The repositories reading the local DynamoDB query the indexes with the document
+ * client, so that number keys stay numbers; the earlier ones through dynamo-query-builder
+ */
+function withIndexHelpers(content, table, indexes, keys) {
+    const T = capitalize(table);
+    const tableData = `${T}Data`;
+    const data = readRepositoryData(content, table);
+    const tableParts = [keys.partitionKey, keys.sortKey].filter(Boolean).flatMap(key => key.split('#'));
+    const tsType = part => {
+        const attribute = !tableParts.includes(part) && data.find(other => other.name === part);
+        return attribute ? ATTRIBUTE_TYPES[attribute.type][0] : 'string';
+    };
+    const typeLines = parts => parts.map(part => `    ${part}: ${tsType(part)};`).join('\n');
+    const quotedList = parts => parts.map(part => `'${part}'`).join(', ');
+    const keySchema = (key, trailingComma) => `{
+        name: '${key}',
+        keys: [${quotedList(key.split('#'))}],
+        separator: '#'${trailingComma ? ',' : ''}
+    }`;
+    const keyValue = (key, from) => (key.includes('#')
+        ? `[${key.split('#').map(part => `${from}.${part}`).join(', ')}].join('#')`
+        : `${from}.${key}`);
+    const documentQueries = content.includes('process.env.DYNAMODB_ENDPOINT');
+
+    // Index attributes besides the keys and the data, and the index keys joined from several
+    const indexKeys = [...new Set(indexes.flatMap(index => [index.partitionKey, index.sortKey]))];
+    const indexParts = [...new Set(indexKeys.flatMap(key => key.split('#')))]
+        .filter(part => !tableParts.includes(part) && !data.some(attribute => attribute.name === part));
+    const joined = indexKeys.filter(key => key.includes('#') && key !== keys.partitionKey && key !== keys.sortKey);
+    const updated = content
+        .replace(new RegExp(`^export type ${T}IndexKeys = (?:Record<never, never>|\\{\\n[^}]*\\});$`, 'm'), `export type ${T}IndexKeys = ${indexParts.length > 0
+            ? `{\n${indexParts.map(part => `    ${part}?: string;`).join('\n')}\n}`
+            : 'Record<never, never>'};`)
+        .replace(/^const indexAttributes: Record<string, readonly string\[\]> = \{[^;]*\};$/m, `const indexAttributes: Record<string, readonly string[]> = ${joined.length > 0
+            ? `{\n${joined.map(key => `    '${key}': [${quotedList(key.split('#'))}],`).join('\n')}\n}`
+            : '{}'};`);
+
+    const section = indexes.map(index => {
+        const { name, type, partitionKey, sortKey, projection, nonKeyAttributes } = index;
+        const indexData = {
+            ALL: content.includes(`export type ${tableData} =`)
+                ? `type ${name}Data = ${tableData};`
+                : `type ${name}Data = {\n    data: string;\n};`,
+            KEYS_ONLY: `type ${name}Data = Record<${documentQueries ? 'never' : 'string'}, never>;`,
+            INCLUDE: `type ${name}Data = {\n${typeLines(nonKeyAttributes)}\n};`,
+        }[projection];
+        const types = `${name}Pk, ${name}Sk, ${name}Data`;
+        const keyTypes = `// ${name}: ${type} secondary index, ${projection} projection
+type ${name}Pk = {
+${typeLines(partitionKey.split('#'))}
+};
+
+type ${name}Sk = {
+${typeLines(sortKey.split('#'))}
+};
+
+${indexData}
+`;
+        if (documentQueries) {
+            return `${keyTypes}
+type ${name}Item = ${T}Keys & ${name}Pk & ${name}Sk & ${name}Data;
+
+/**
+ * Items of the ${name} index of ${table}; without sort key every item of the partition is returned
+ */
+export async function ${getIndexQueryName(table, name)}(pk: ${name}Pk, sk?: ${name}Sk): Promise<${name}Item[]> {
+    const items: Record<string, unknown>[] = [];
+    let cursor: Record<string, unknown> | undefined;
+    do {
+        const result = await documentClient.send(new QueryCommand({
+            TableName: tableName,
+            IndexName: '${name}',
+            KeyConditionExpression: sk ? '#pk = :pk AND #sk = :sk' : '#pk = :pk',
+            ExpressionAttributeNames: { '#pk': '${partitionKey}', ...(sk && { '#sk': '${sortKey}' }) },
+            ExpressionAttributeValues: { ':pk': ${keyValue(partitionKey, 'pk')}, ...(sk && { ':sk': ${keyValue(sortKey, 'sk')} }) },
+            ExclusiveStartKey: cursor,
+        }));
+        items.push(...(result.Items ?? []));
+        cursor = result.LastEvaluatedKey;
+    } while (cursor);
+    return items.map(item => fromItem(item) as ${name}Item);
+}
+`;
+        }
+        return `${keyTypes}
+const ${name}KeySchema: KeySchema = {
+    pk: ${keySchema(partitionKey, false)},
+    sk: ${keySchema(sortKey, true)},
+};
+
+const ${name}Index: Table<${types}> = client.table<${types}>(tableName, ${name}KeySchema, { indexName: '${name}' });
+
+/**
+ * Query the ${name} index of ${table}; without sort key every item of the partition is returned
+ */
+export async function ${getIndexQueryName(table, name)}(pk: ${name}Pk, sk?: ${name}Sk) {
+    return ${name}Index.query(pk, sk);
+}
+`;
+    }).join('\n');
+    return replaceIndexSection(updated, section);
+}
+
+/**
+ * Table handler test with a test per index helper, writing an item keyed on the index and
+ * reading it back. The tests generated before the local DynamoDB mock dynamo-query-builder,
+ * so they get the query mock too
+ */
+function withIndexTests(content, table, indexes, keys, data = []) {
+    const T = capitalize(table);
+    const helpers = indexes.map(index => getIndexQueryName(table, index.name));
+    const values = key => key.split('#').map(k => `${k}: '${k}'`).join(', ');
+    const mocked = content.includes("jest.mock('dynamo-query-builder'");
+    const itemTests = !mocked && content.includes('const itemOf = ');
+    const tableParts = [keys.partitionKey, keys.sortKey].filter(Boolean).flatMap(key => key.split('#'));
+    const sample = part => {
+        const attribute = data.find(other => other.name === part);
+        return attribute ? ATTRIBUTE_TYPES[attribute.type][1] : `'${part}'`;
+    };
+    const indexValues = key => key.split('#').map(part => `${part}: ${tableParts.includes(part) ? `item.${part}` : sample(part)}`).join(', ');
+    const indexAttributes = index => [...new Set([index.partitionKey, index.sortKey].flatMap(key => key.split('#')))]
+        .filter(part => !tableParts.includes(part));
+
+    const helperPrefix = getIndexQueryName(table, '');
+
+    let updated = content.replace(/^import \{ ([^}]*) \} from '(\.\/\w+)';/m, (line, names, from) => {
+        const imports = names.split(', ').filter(name => !(name.startsWith(helperPrefix) && name.length > helperPrefix.length));
+        return `import { ${[...imports, ...helpers].join(', ')} } from '${from}';`;
+    });
+    updated = updated.replace(/\n\s*query: jest\.fn\(\)[^\n]*/, '');
+    if (mocked && indexes.length > 0) {
+        updated = updated.replace(/(\n(\s*)delete: jest\.fn\(\)[^\n]*)/, `$1\n$2query: jest.fn().mockResolvedValue([{ data: 'Hello!' }]),`);
+    }
+
+    const indexTest = (index, i) => {
+        if (!itemTests) {
+            return `    it('queries the ${index.name} index', async () => {
+        const result = await ${helpers[i]}({ ${values(index.partitionKey)} }, { ${values(index.sortKey)} });
+
+        ${mocked ? "expect(result).toEqual([{ data: 'Hello!' }]);" : 'expect(result).toBeDefined();'}
+    });`;
+        }
+        const attributes = indexAttributes(index).map(part => `, ${part}: ${sample(part)}`).join('');
+        return `    it('queries the ${index.name} index', async () => {
+        const item: ${T}Item = { ...itemOf(pkOf('${index.name}'), skOf('${index.name}', 1))${attributes} };
+        await put${T}Item(item);
+
+        const result = await ${helpers[i]}({ ${indexValues(index.partitionKey)} }, { ${indexValues(index.sortKey)} });
+
+        expect(result).toContainEqual(expect.objectContaining({ ${[...new Set(tableParts)].map(part => `${part}: item.${part}`).join(', ')} }));
+    });`;
+    };
+
+    const section = indexes.length === 0 ? '' : `describe('${table}Handler indexes', () => {
+${indexes.map(indexTest).join('\n\n')}
+});
+`;
+    return replaceIndexSection(updated, section);
+}
+
+/**
+ * Name of the query helper of an index in src/utils/<table>Handler.ts
+ * @param {string} table - Table name
+ * @param {string} indexName - Index name
+ * @returns {string}
+ */
+export function getIndexQueryName(table, indexName) {
+    return `query${capitalize(table)}${capitalize(indexName)}`;
+}
+
+/**
+ * Access a Lambda has to a table, through its managed policies
+ * @typedef {Object} TableAttachment
+ * @property {string} table - Table name
+ * @property {'read'|'read-write'} access - Read-only or read-write access
+ */
+
+export const TABLE_ACCESS = ['read', 'read-write'];
+
+/**
+ * Environment variable holding the name of a table in the Lambdas using it (orderItems -> ORDER_ITEMS_TABLE_NAME)
+ * @param {string} table - Logical id of the table
+ * @returns {string}
+ */
+export function getTableVariable(table) {
+    return `${toConstantCase(table)}_TABLE_NAME`;
+}
+
+/**
+ * Tables a Lambda can use through their `<table>ReadPolicy` and `<table>WritePolicy`, or the
+ * read-write `<table>Policy` of the tables created before the split
+ * @param {import('yaml').Document} doc - Template document
+ * @param {string} functionName - Logical id of the Lambda
+ * @returns {{table: string, access: 'read'|'write'|'read-write'}[]}
+ */
+export function getAttachedTables(doc, functionName) {
+    const policies = getRefList(doc, functionName, 'Policies');
+    return getResourceNames(doc, 'AWS::DynamoDB::Table')
+        .map(table => {
+            const legacy = policies.includes(`${table}Policy`);
+            const access = [
+                (legacy || policies.includes(`${table}ReadPolicy`)) && 'read',
+                (legacy || policies.includes(`${table}WritePolicy`)) && 'write',
+            ].filter(Boolean);
+            return { table, access: access.join('-') };
+        })
+        .filter(attached => attached.access);
+}
+
+/**
+ * Lambdas having one of the policies of a table
+ * @param {import('yaml').Document} doc - Template document
+ * @param {string} table - Table name
+ * @returns {string[]}
+ */
+export function getTableUsers(doc, table) {
+    const policies = getTablePolicies(doc, table);
+    return getFunctionNames(doc).filter(functionName => getRefList(doc, functionName, 'Policies').some(policy => policies.includes(policy)));
+}
+
+/**
+ * Replace the policies of a table a function has with the ones of the access given, and set
+ * its `<NAME>_TABLE_NAME` variable. The single policy of the tables created before the split
+ * only gives read-write access
+ */
+function grantTable(doc, functionName, table, access) {
+    requireResource(doc, table, 'AWS::DynamoDB::Table', 'Table');
+    if (!TABLE_ACCESS.includes(access)) {
+        throw new Error(`Invalid access '${access}'. Expected one of: ${TABLE_ACCESS.join(', ')}.`);
+    }
+    let policies = access === 'read' ? [`${table}ReadPolicy`] : [`${table}ReadPolicy`, `${table}WritePolicy`];
+    if (!hasResource(doc, `${table}ReadPolicy`) && hasResource(doc, `${table}Policy`)) {
+        if (access === 'read') {
+            throw new Error(`Table '${table}' has a single read-write policy: it cannot be attached read-only.`);
+        }
+        policies = [`${table}Policy`];
+    }
+    removeRefs(doc, functionName, 'Policies', getTablePolicies(doc, table).filter(policy => !policies.includes(policy)));
+    addRefs(doc, functionName, 'Policies', policies);
+    setEnvironmentVariable(doc, functionName, getTableVariable(table), ref(table));
+}
+
+// ---------------------------------------------------------------------------
+// DynamoDB streams
+// ---------------------------------------------------------------------------
+
+/**
+ * How a Lambda reads the stream of a table
+ * @typedef {Object} StreamSource
+ * @property {string} table - Logical id of the table
+ * @property {string} [startingPosition] - LATEST or TRIM_HORIZON (default: LATEST)
+ * @property {number} [batchSize] - Records per invocation, 1 to 10000 (default: 100)
+ * @property {boolean} [bisectBatchOnFunctionError] - Split a failing batch in two and retry each half (default: false)
+ * @property {number} [maximumRetryAttempts] - Retries of a failing batch, -1 to 10000 (default: until the records expire)
+ * @property {string} [onFailure] - Queue or topic receiving the batches that kept failing
+ */
+
+export const STREAM_VIEW_TYPES = ['NEW_AND_OLD_IMAGES', 'NEW_IMAGE', 'OLD_IMAGE', 'KEYS_ONLY'];
+export const STARTING_POSITIONS = ['LATEST', 'TRIM_HORIZON'];
+
+/**
+ * Enable the stream of a table, or change its view type when no Lambda reads it
+ * @param {import('./project.js').ProjectState} state - Project state
+ * @param {Object} options
+ * @param {string} options.name - Table name
+ * @param {string} options.viewType - NEW_AND_OLD_IMAGES, NEW_IMAGE, OLD_IMAGE or KEYS_ONLY
+ * @returns {Promise<import('./project.js').Change[]>}
+ */
+export async function enableTableStream(state, options) {
+    const { name, viewType } = options;
+    const doc = state.template.clone();
+
+    requireResource(doc, name, 'AWS::DynamoDB::Table', 'Table');
+    if (!STREAM_VIEW_TYPES.includes(viewType)) {
+        throw new Error(`Invalid stream view type '${viewType}'. Expected one of: ${STREAM_VIEW_TYPES.join(', ')}.`);
+    }
+    const current = getTableStream(doc, name);
+    if (current === viewType) {
+        throw new Error(`The stream of table '${name}' already has the ${viewType} view type.`);
+    }
+    const consumers = getStreamConsumers(doc, name);
+    if (current && consumers.length > 0) {
+        throw new Error(`Cannot change the view type of the stream of table '${name}'. It is read by: ${consumers.join(', ')}`);
+    }
+
+    setTableStream(doc, name, viewType);
+    return [templateChange(doc)];
+}
+
+/**
+ * Remove the stream of a table that no Lambda reads
+ * @param {import('./project.js').ProjectState} state - Project state
+ * @param {Object} options
+ * @param {string} options.name - Table name
+ * @returns {Promise<import('./project.js').Change[]>}
+ */
+export async function disableTableStream(state, options) {
+    const { name } = options;
+    const doc = state.template.clone();
+
+    requireTableStream(doc, name);
+    const consumers = getStreamConsumers(doc, name);
+    if (consumers.length > 0) {
+        throw new Error(`Cannot disable the stream of table '${name}'. It is read by: ${consumers.join(', ')}`);
+    }
+
+    setTableStream(doc, name, null);
+    return [templateChange(doc)];
+}
+
+/**
+ * Logical ids of the Lambdas reading the stream of a table
+ * @param {import('yaml').Document} doc - Template document
+ * @param {string} table - Logical id of the table
+ * @returns {string[]}
+ */
+export function getStreamConsumers(doc, table) {
+    return getFunctionNames(doc)
+        .filter(functionName => getDynamoDbEvents(doc, functionName).some(event => event.table === table));
+}
+
+/**
+ * Make a Lambda read the stream of a table: a DynamoDB event is added to it
+ * @param {import('./project.js').ProjectState} state - Project state
+ * @param {Object} options
+ * @param {string} options.functionName - Logical id of the Lambda
+ * @param {StreamSource} options.stream - Stream to read
+ * @returns {Promise<import('./project.js').Change[]>}
+ */
+export async function attachTableStream(state, options) {
+    const { functionName, stream } = options;
+    const doc = state.template.clone();
+
+    requireLambda(doc, functionName);
+    connectTableStream(doc, functionName, stream);
+    return [templateChange(doc)];
+}
+
+/**
+ * Remove the DynamoDB events of a Lambda reading the stream of a table
+ * @param {import('./project.js').ProjectState} state - Project state
+ * @param {Object} options
+ * @param {string} options.functionName - Logical id of the Lambda
+ * @param {string} options.table - Logical id of the table
+ * @returns {Promise<import('./project.js').Change[]>}
+ */
+export async function detachTableStream(state, options) {
+    const { functionName, table } = options;
+    const doc = state.template.clone();
+
+    requireLambda(doc, functionName);
+    const events = getDynamoDbEvents(doc, functionName).filter(event => event.table === table);
+    if (events.length === 0) {
+        throw new Error(`${functionName} does not read the stream of table '${table}'.`);
+    }
+    removeEvents(doc, functionName, events.map(event => event.name));
+    return [templateChange(doc)];
+}
+
+/**
+ * Add the DynamoDB event of a table stream to a function, after checking the table has
+ * a stream, the batch settings and the on-failure destination
+ */
+function connectTableStream(doc, functionName, stream) {
+    const { table, startingPosition = 'LATEST', batchSize = 100, bisectBatchOnFunctionError = false, maximumRetryAttempts, onFailure } = stream;
+
+    requireTableStream(doc, table);
+    if (getDynamoDbEvents(doc, functionName).some(event => event.table === table)) {
+        throw new Error(`${functionName} already reads the stream of table '${table}'.`);
+    }
+    if (!STARTING_POSITIONS.includes(startingPosition)) {
+        throw new Error(`Invalid starting position '${startingPosition}'. Expected one of: ${STARTING_POSITIONS.join(', ')}.`);
+    }
+    assertValid(validateInteger(batchSize, 'Batch size', 1, 10000));
+    if (maximumRetryAttempts !== undefined) {
+        assertValid(validateInteger(maximumRetryAttempts, 'Retry attempts', -1, 10000));
+    }
+    if (onFailure && !['AWS::SQS::Queue', 'AWS::SNS::Topic'].includes(getResourceType(doc, onFailure))) {
+        throw new Error(`On-failure destination '${onFailure}' must be a queue or a topic of the template.`);
+    }
+
+    addDynamoDbEvent(doc, functionName, {
+        table,
+        startingPosition,
+        batchSize: Number(batchSize),
+        bisectBatchOnFunctionError,
+        ...(maximumRetryAttempts !== undefined && { maximumRetryAttempts: Number(maximumRetryAttempts) }),
+        onFailure,
+    });
+}
+
+function requireTableStream(doc, table) {
+    requireResource(doc, table, 'AWS::DynamoDB::Table', 'Table');
+    if (!getTableStream(doc, table)) {
+        throw new Error(`Table '${table}' has no stream. Enable it first.`);
+    }
+}
+
+/**
+ * Whether src/utils/<table>Handler.ts is a typed repository exporting the types of the items
+ * @returns {Promise<boolean>}
+ */
+async function hasTableRepository(state, table) {
+    const filePath = path.join(state.path, `src/utils/${table}Handler.ts`);
+    return await fs.pathExists(filePath)
+        && (await fs.readFile(filePath, 'utf8')).includes(`export type ${capitalize(table)}Item =`);
+}
+
+/**
+ * handler.ts and handler.test.ts of a Lambda reading the stream of a table. Records are
+ * unmarshalled into the pk/sk/data types of src/utils/<table>Handler.ts, imported from
+ * its typed repository or declared as in the first table handlers; the images present
+ * depend on the view type of the stream
+ */
+function streamHandlerFiles(name, table, { partitionKey, sortKey }, viewType, repository = false) {
+    const typeName = capitalize(table);
+    const pkKeys = partitionKey.split('#');
+    const skKeys = sortKey.split('#');
+    const allKeys = [...new Set([...pkKeys, ...skKeys])];
+    const images = [
+        ...(['NEW_IMAGE', 'NEW_AND_OLD_IMAGES'].includes(viewType) ? [['newImage', 'NewImage']] : []),
+        ...(['OLD_IMAGE', 'NEW_AND_OLD_IMAGES'].includes(viewType) ? [['oldImage', 'OldImage']] : []),
+    ];
+    const keyType = keys => keys.map(key => `    ${key}: string;`).join('\n');
+    const attribute = (key, value) => `${/^[A-Za-z_$][\w$]*$/.test(key) ? key : `'${key}'`}: { S: '${value}' }`;
+    const imageAttributes = [...allKeys.map(key => attribute(key, key)), "data: { S: 'Hello!' }"].join(', ');
+    const item = [...allKeys.map(key => `${key}: '${key}'`), "data: 'Hello!'"].join(', ');
+    const eventName = images.length === 1 && images[0][0] === 'oldImage' ? 'REMOVE' : 'INSERT';
+
+    const types = repository
+        ? `import type { ${typeName}Pk as pk, ${typeName}Sk as sk, ${typeName}Data as data } from '../utils/${table}Handler';
+`
+        : `
+// Keys and data of the ${table} table, as declared in src/utils/${table}Handler.ts
+type pk = {
+${keyType(pkKeys)}
+};
+
+type sk = {
+${keyType(skKeys)}
+};
+
+type data = {
+    data: string;
+};
+`;
+    const handler = `import { DynamoDBRecord, DynamoDBStreamEvent } from 'aws-lambda';
+import { unmarshall } from '@aws-sdk/util-dynamodb';
+${types}
+export type ${typeName}Keys = pk & sk;
+export type ${typeName}Item = pk & sk & data;
+
+export interface ${typeName}Change {
+    eventName: DynamoDBRecord['eventName'];
+    keys: ${typeName}Keys;
+${images.map(([field]) => `    ${field}?: ${typeName}Item;`).join('\n')}${images.length > 0 ? '\n' : ''}}
+
+type Image = Parameters<typeof unmarshall>[0];
+
+// Split a key1#key2 key attribute into its keys
+function splitKey(value: unknown, keys: string[]): Record<string, string> {
+    const parts = String(value).split('#');
+    return Object.fromEntries(keys.map((key, i) => [key, parts[i]]));
+}
+
+/**
+ * Keys and images of a record of the ${table} stream (${viewType})
+ */
+export function to${typeName}Change(record: DynamoDBRecord): ${typeName}Change {
+    const stream = record.dynamodb ?? {};
+    const keys = unmarshall(stream.Keys as Image);
+    return {
+        eventName: record.eventName,
+        keys: {
+            ...splitKey(keys['${partitionKey}'], [${pkKeys.map(key => `'${key}'`).join(', ')}]),
+            ...splitKey(keys['${sortKey}'], [${skKeys.map(key => `'${key}'`).join(', ')}]),
+        } as ${typeName}Keys,
+${images.map(([field, key]) => `        ...(stream.${key} && { ${field}: unmarshall(stream.${key} as Image) as ${typeName}Item }),`).join('\n')}${images.length > 0 ? '\n' : ''}    };
+}
+
+export const ${name} = async (event: DynamoDBStreamEvent): Promise<void> => {
+    for (const record of event.Records) {
+        const change = to${typeName}Change(record);
+        console.log(\`\${change.eventName} \${JSON.stringify(change.keys)}\`);
+    }
+};
+`;
+
+    const test = `import { ${name}, to${typeName}Change } from './handler';
+import { DynamoDBRecord, DynamoDBStreamEvent } from 'aws-lambda';
+
+const record = {
+    eventName: '${eventName}',
+    dynamodb: {
+        Keys: { ${attribute(partitionKey, partitionKey)}, ${attribute(sortKey, sortKey)} },
+${images.map(([, key]) => `        ${key}: { ${imageAttributes} },`).join('\n')}${images.length > 0 ? '\n' : ''}    },
+} as DynamoDBRecord;
+
+describe('Unit test for ${name} handler', function () {
+    it('unmarshalls the record', () => {
+        expect(to${typeName}Change(record)).toEqual({
+            eventName: '${eventName}',
+            keys: { ${allKeys.map(key => `${key}: '${key}'`).join(', ')} },
+${images.map(([field]) => `            ${field}: { ${item} },`).join('\n')}${images.length > 0 ? '\n' : ''}        });
+    });
+
+    it('processes the records', async () => {
+        await expect(${name}({ Records: [record] } as DynamoDBStreamEvent)).resolves.toBeUndefined();
+    });
+});
+`;
+
+    return { handler, test };
+}
+
+// ---------------------------------------------------------------------------
+// SQS queues
+// ---------------------------------------------------------------------------
+
+/**
+ * How a Lambda consumes a queue
+ * @typedef {Object} QueueSource
+ * @property {string} name - Logical id of the queue
+ * @property {number} [batchSize] - Messages per invocation, 1 to 10000 (default: 10)
+ * @property {number} [batchingWindow] - Seconds to wait for a full batch, 0 to 300 (default: 0). Required above 10 messages
+ * @property {boolean} [reportBatchItemFailures] - Retry the failed messages only (default: true)
+ */
+
+/**
+ * Validate an integer setting
+ * @param {string|number} value - Value to check
+ * @param {string} label - Setting name used in the messages
+ * @param {number} min - Lowest accepted value
+ * @param {number} max - Highest accepted value
+ * @returns {true|string} True or an error message
+ */
+export function validateInteger(value, label, min, max) {
+    const number = Number(value);
+    if (String(value).trim() === '' || !Number.isInteger(number) || number < min || number > max) {
+        return `${label} must be a whole number between ${min} and ${max}.`;
+    }
+    return true;
+}
+
+/**
+ * Create an SQS queue, by default with a `<name>DLQ` dead-letter queue and its redrive policy
+ * @param {import('./project.js').ProjectState} state - Project state
+ * @param {Object} options
+ * @param {string} options.name - Queue name
+ * @param {boolean} [options.deadLetterQueue] - Whether failed messages go to a dead-letter queue (default: true)
+ * @param {number} [options.maxReceiveCount] - Receives before a message goes to the dead-letter queue (default: 5)
+ * @param {number} [options.visibilityTimeout] - Visibility timeout in seconds, at least the timeout of the consumers (default: 360)
+ * @returns {Promise<import('./project.js').Change[]>}
+ */
+export async function createQueue(state, options) {
+    const { name, deadLetterQueue = true, maxReceiveCount = 5, visibilityTimeout = 360 } = options;
+    const doc = state.template.clone();
+
+    if (!name) {
+        throw new Error('Please enter a valid queue name.');
+    }
+    for (const existing of [name, ...(deadLetterQueue ? [`${name}DLQ`] : [])]) {
+        if (hasResource(doc, existing)) {
+            throw new Error(`Resource '${existing}' already exists in template.yaml`);
+        }
+    }
+    assertValid(validateInteger(visibilityTimeout, 'Visibility timeout', 0, 43200));
+    if (deadLetterQueue) {
+        assertValid(validateInteger(maxReceiveCount, 'Max receive count', 1, 1000));
+    }
+
+    addQueue(doc, name, {
+        visibilityTimeout: Number(visibilityTimeout),
+        maxReceiveCount: deadLetterQueue ? Number(maxReceiveCount) : null,
+    });
+    return [templateChange(doc)];
+}
+
+/**
+ * Delete an SQS queue that no Lambda uses, and its dead-letter queue
+ * @param {import('./project.js').ProjectState} state - Project state
+ * @param {Object} options
+ * @param {string} options.name - Queue name
+ * @returns {Promise<import('./project.js').Change[]>}
+ */
+export async function deleteQueue(state, options) {
+    const { name } = options;
+    const doc = state.template.clone();
+
+    requireQueue(doc, name);
+    const usedBy = [
+        ...getFunctionNames(doc).filter(functionName => referencesResource(getResource(doc, functionName), name)),
+        ...getQueueRules(doc).filter(rule => rule.queue === name).map(rule => rule.name),
+    ];
+    if (usedBy.length > 0) {
+        throw new Error(`Cannot delete queue '${name}'. It is used by: ${usedBy.join(', ')}`);
+    }
+
+    removeQueue(doc, name);
+    return [templateChange(doc)];
+}
+
+/**
+ * Make a Lambda consume a queue: an SQS event and the SQSPollerPolicy are added to it
+ * @param {import('./project.js').ProjectState} state - Project state
+ * @param {Object} options
+ * @param {string} options.functionName - Logical id of the Lambda
+ * @param {QueueSource} options.queue - Queue to consume
+ * @returns {Promise<import('./project.js').Change[]>}
+ */
+export async function attachQueue(state, options) {
+    const { functionName, queue } = options;
+    const doc = state.template.clone();
+
+    requireLambda(doc, functionName);
+    connectQueue(doc, functionName, queue);
+    return [templateChange(doc)];
+}
+
+/**
+ * Give a Lambda the SQSSendMessagePolicy of a queue
+ * @param {import('./project.js').ProjectState} state - Project state
+ * @param {Object} options
+ * @param {string} options.functionName - Logical id of the Lambda
+ * @param {string} options.queue - Logical id of the queue
+ * @returns {Promise<import('./project.js').Change[]>}
+ */
+export async function allowQueueSend(state, options) {
+    const { functionName, queue } = options;
+    const doc = state.template.clone();
+
+    requireLambda(doc, functionName);
+    requireQueue(doc, queue);
+    addQueuePolicy(doc, functionName, 'SQSSendMessagePolicy', queue);
+    return [templateChange(doc)];
+}
+
+/**
+ * Remove the SQS events and queue policies of a Lambda for a queue
+ * @param {import('./project.js').ProjectState} state - Project state
+ * @param {Object} options
+ * @param {string} options.functionName - Logical id of the Lambda
+ * @param {string} options.queue - Logical id of the queue
+ * @returns {Promise<import('./project.js').Change[]>}
+ */
+export async function detachQueue(state, options) {
+    const { functionName, queue } = options;
+    const doc = state.template.clone();
+
+    requireLambda(doc, functionName);
+    requireQueue(doc, queue);
+    removeQueueFromFunction(doc, functionName, queue);
+    return [templateChange(doc)];
+}
+
+/**
+ * Add the SQS event and the SQSPollerPolicy of a queue to a function, after checking
+ * the batch settings and that the queue hides a message for longer than the function runs
+ */
+function connectQueue(doc, functionName, queue) {
+    const { name, batchSize = 10, batchingWindow = 0, reportBatchItemFailures = true } = queue;
+
+    requireQueue(doc, name);
+    assertValid(validateInteger(batchSize, 'Batch size', 1, 10000));
+    assertValid(validateInteger(batchingWindow, 'Batching window', 0, 300));
+    if (Number(batchSize) > 10 && Number(batchingWindow) === 0) {
+        throw new Error('A batch size over 10 needs a batching window of at least 1 second.');
+    }
+
+    assertVisibilityTimeout(doc, functionName, name);
+
+    addSqsEvent(doc, functionName, {
+        queue: name,
+        batchSize: Number(batchSize),
+        batchingWindow: Number(batchingWindow),
+        reportBatchItemFailures,
+    });
+    addQueuePolicy(doc, functionName, 'SQSPollerPolicy', name);
+}
+
+/**
+ * Check that a queue hides a message for at least as long as a function consuming it runs,
+ * as CloudFormation refuses the event source mapping otherwise
+ */
+function assertVisibilityTimeout(doc, functionName, queue) {
+    const visibilityTimeout = Number(scalarValue(doc.getIn(['Resources', queue, 'Properties', 'VisibilityTimeout'], true)) || 30);
+    const timeout = Number(scalarValue(doc.getIn(['Resources', functionName, 'Properties', 'Timeout'], true)) || 3);
+    if (visibilityTimeout < timeout) {
+        throw new Error(`The visibility timeout of queue '${queue}' (${visibilityTimeout}s) is lower than the timeout of ${functionName} (${timeout}s).`);
+    }
+}
+
+/**
+ * handler.ts and handler.test.ts of a Lambda consuming a queue. With
+ * reportBatchItemFailures only the messages that threw are retried
+ */
+function sqsHandlerFiles(name, reportBatchItemFailures) {
+    if (!reportBatchItemFailures) {
+        return {
+            handler: `import { SQSEvent } from 'aws-lambda';
+
+export const ${name} = async (event: SQSEvent): Promise<void> => {
+    // Throwing retries the whole batch
+    for (const record of event.Records) {
+        const message = JSON.parse(record.body);
+        console.log(\`Processing message \${record.messageId}\`, message);
+    }
+};
+`,
+            test: `import { ${name} } from './handler';
+import { SQSEvent, SQSRecord } from 'aws-lambda';
+
+const record = (messageId: string, body: string): SQSRecord => ({ messageId, body } as SQSRecord);
+
+describe('Unit test for ${name} handler', function () {
+    it('processes every message', async () => {
+        const event: SQSEvent = { Records: [record('1', JSON.stringify({ id: 1 }))] };
+
+        await expect(${name}(event)).resolves.toBeUndefined();
+    });
+
+    it('fails the batch when a message cannot be processed', async () => {
+        const event: SQSEvent = { Records: [record('1', 'not json')] };
+
+        await expect(${name}(event)).rejects.toThrow();
+    });
+});
+`,
+        };
+    }
+
+    return {
+        handler: `import { SQSBatchItemFailure, SQSBatchResponse, SQSEvent } from 'aws-lambda';
+
+export const ${name} = async (event: SQSEvent): Promise<SQSBatchResponse> => {
+    const batchItemFailures: SQSBatchItemFailure[] = [];
+
+    for (const record of event.Records) {
+        try {
+            const message = JSON.parse(record.body);
+            console.log(\`Processing message \${record.messageId}\`, message);
+        } catch (error) {
+            // Only the failed messages are retried
+            batchItemFailures.push({ itemIdentifier: record.messageId });
+        }
+    }
+
+    return { batchItemFailures };
+};
+`,
+        test: `import { ${name} } from './handler';
+import { SQSEvent, SQSRecord } from 'aws-lambda';
+
+const record = (messageId: string, body: string): SQSRecord => ({ messageId, body } as SQSRecord);
+
+describe('Unit test for ${name} handler', function () {
+    it('processes every message', async () => {
+        const event: SQSEvent = { Records: [record('1', JSON.stringify({ id: 1 }))] };
+        const result = await ${name}(event);
+
+        expect(result.batchItemFailures).toEqual([]);
+    });
+
+    it('reports the messages that cannot be processed', async () => {
+        const event: SQSEvent = {
+            Records: [record('1', JSON.stringify({ id: 1 })), record('2', 'not json')],
+        };
+        const result = await ${name}(event);
+
+        expect(result.batchItemFailures).toEqual([{ itemIdentifier: '2' }]);
+    });
+});
+`,
+    };
+}
+
+// ---------------------------------------------------------------------------
+// S3 buckets
+// ---------------------------------------------------------------------------
+
+/**
+ * Bucket whose new objects run a Lambda
+ * @typedef {Object} BucketTrigger
+ * @property {string} bucket - Logical id of the bucket
+ * @property {string} [prefix] - Key prefix of the objects (e.g. incoming/)
+ * @property {string} [suffix] - Key suffix of the objects (e.g. .jpg)
+ */
+
+/**
+ * Expiration or move to STANDARD_IA of the objects of a bucket
+ * @typedef {Object} LifecycleRule
+ * @property {string} [prefix] - Key prefix of the objects (default: every object)
+ * @property {number} [expirationDays] - Days before the objects are deleted
+ * @property {number} [infrequentAccessDays] - Days before the objects move to STANDARD_IA, at least 30
+ */
+
+export const BUCKET_ENCRYPTIONS = ['AES256', 'aws:kms'];
+export const BUCKET_ACCESS = ['read', 'write', 'read-write'];
+
+/**
+ * Environment variable holding the name of a bucket in the Lambdas using it (userFiles -> USER_FILES_BUCKET)
+ * @param {string} bucket - Logical id of the bucket
+ * @returns {string}
+ */
+export function getBucketVariable(bucket) {
+    return `${toConstantCase(bucket)}_BUCKET`;
+}
+
+/**
+ * Validate a key prefix or suffix of a bucket
+ * @param {string} value - Prefix or suffix
+ * @param {string} label - Name used in the messages
+ * @returns {true|string} True or an error message
+ */
+export function validateKeyFilter(value, label) {
+    return /^[a-zA-Z0-9!_.*()\/-]*$/.test(value)
+        || `${label} may only contain letters, numbers and !-_.*()/ characters.`;
+}
+
+/**
+ * Validate a lifecycle rule
+ * @param {LifecycleRule} rule - Rule to check
+ * @returns {true|string} True or an error message
+ */
+export function validateLifecycleRule({ expirationDays, infrequentAccessDays }) {
+    if (!expirationDays && !infrequentAccessDays) {
+        return 'A lifecycle rule needs expiration days or infrequent access days.';
+    }
+    if (expirationDays) {
+        const result = validateInteger(expirationDays, 'Expiration days', 1, 36500);
+        if (result !== true) return result;
+    }
+    if (infrequentAccessDays) {
+        const result = validateInteger(infrequentAccessDays, 'Infrequent access days', 30, 36500);
+        if (result !== true) return result;
+    }
+    if (expirationDays && infrequentAccessDays && Number(expirationDays) <= Number(infrequentAccessDays)) {
+        return 'Objects must expire after they move to infrequent access.';
+    }
+    return true;
+}
+
+/**
+ * Create an S3 bucket named `sam-smith-<project>-<environment>-<name>-<account id>`,
+ * encrypted and private by default, with its read and write managed policies. The
+ * environment is the `Environment` parameter, set for each environment in samconfig.toml
+ * @param {import('./project.js').ProjectState} state - Project state
+ * @param {Object} options
+ * @param {string} options.name - Bucket name in the template
+ * @param {'AES256'|'aws:kms'} [options.encryption] - Server-side encryption (default: AES256)
+ * @param {boolean} [options.blockPublicAccess] - Whether every public access is blocked (default: true)
+ * @param {LifecycleRule[]} [options.lifecycleRules] - Lifecycle rules
+ * @param {string[]} [options.corsOrigins] - Origins allowed to GET and PUT objects from a browser
+ * @returns {Promise<import('./project.js').Change[]>}
+ */
+export async function createBucket(state, options) {
+    const { name, encryption = 'AES256', blockPublicAccess = true, lifecycleRules = [], corsOrigins = [] } = options;
+    const doc = state.template.clone();
+
+    if (!name) {
+        throw new Error('Please enter a valid bucket name.');
+    }
+    for (const existing of [name, `${name}ReadPolicy`, `${name}WritePolicy`]) {
+        if (hasResource(doc, existing)) {
+            throw new Error(`Resource '${existing}' already exists in template.yaml`);
+        }
+    }
+    if (!BUCKET_ENCRYPTIONS.includes(encryption)) {
+        throw new Error(`Invalid encryption '${encryption}'. Expected one of: ${BUCKET_ENCRYPTIONS.join(', ')}.`);
+    }
+    lifecycleRules.forEach(rule => {
+        assertValid(validateLifecycleRule(rule));
+        assertValid(validateKeyFilter(rule.prefix || '', 'Prefix'));
+    });
+
+    // S3 names are lowercase; the account id (12 digits) keeps them globally unique. Every
+    // environment gets its bucket: the name is checked with the longest environment
+    const safeName = value => value.toLowerCase().replace(/[^a-z0-9-]/g, '-');
+    const longest = Object.keys(state.environments).reduce((a, b) => (b.length > a.length ? b : a), state.environment);
+    const prefix = `sam-smith-${safeName(state.name)}-${safeName(longest)}-${safeName(name)}`;
+    if (prefix.length + 13 > 63) {
+        throw new Error(`Bucket name '${prefix}-<account id>' is longer than 63 characters. Use a shorter name.`);
+    }
+
+    useEnvironmentParameter(doc, state.environment);
+    addBucket(doc, name, {
+        bucketName: `sam-smith-${safeName(state.name)}-\${Environment}-${safeName(name)}-\${AWS::AccountId}`,
+        encryption,
+        blockPublicAccess,
+        lifecycleRules,
+        corsOrigins,
+    });
+    return [templateChange(doc), ...samconfigChanges(state, doc)];
+}
+
+/**
+ * Delete an S3 bucket that no Lambda uses, and its policies. The bucket itself is
+ * retained by CloudFormation (DeletionPolicy: Retain)
+ * @param {import('./project.js').ProjectState} state - Project state
+ * @param {Object} options
+ * @param {string} options.name - Bucket name in the template
+ * @returns {Promise<import('./project.js').Change[]>}
+ */
+export async function deleteBucket(state, options) {
+    const { name } = options;
+    const doc = state.template.clone();
+
+    requireResource(doc, name, 'AWS::S3::Bucket', 'Bucket');
+    const usedBy = getBucketUsers(doc, name);
+    if (usedBy.length > 0) {
+        throw new Error(`Cannot delete bucket '${name}'. It is used by: ${usedBy.join(', ')}`);
+    }
+
+    removeBucket(doc, name);
+    return [templateChange(doc)];
+}
+
+/**
+ * Lambdas using a bucket through an S3 event, its policies or its environment variable
+ * @param {import('yaml').Document} doc - Template document
+ * @param {string} bucket - Logical id of the bucket
+ * @returns {string[]}
+ */
+export function getBucketUsers(doc, bucket) {
+    return getFunctionNames(doc).filter(functionName =>
+        referencesResource(getResource(doc, functionName), bucket) ||
+        getAttachedBuckets(doc, functionName).some(attached => attached.bucket === bucket)
+    );
+}
+
+/**
+ * Buckets a Lambda can use through their `<bucket>ReadPolicy` and `<bucket>WritePolicy`
+ * @param {import('yaml').Document} doc - Template document
+ * @param {string} functionName - Logical id of the Lambda
+ * @returns {{bucket: string, access: 'read'|'write'|'read-write'}[]}
+ */
+export function getAttachedBuckets(doc, functionName) {
+    const policies = getRefList(doc, functionName, 'Policies');
+    return getResourceNames(doc, 'AWS::S3::Bucket')
+        .map(bucket => {
+            const access = [
+                policies.includes(`${bucket}ReadPolicy`) && 'read',
+                policies.includes(`${bucket}WritePolicy`) && 'write',
+            ].filter(Boolean);
+            return { bucket, access: access.join('-') };
+        })
+        .filter(attached => attached.access);
+}
+
+/**
+ * Give a Lambda read and/or write access to a bucket: its policies and the
+ * `<NAME>_BUCKET` environment variable are added, and the variable to src/utils/config.ts
+ * @param {import('./project.js').ProjectState} state - Project state
+ * @param {Object} options
+ * @param {string} options.functionName - Logical id of the Lambda
+ * @param {string} options.bucket - Logical id of the bucket
+ * @param {'read'|'write'|'read-write'} [options.access] - Access given (default: read)
+ * @returns {Promise<import('./project.js').Change[]>}
+ */
+export async function attachBucket(state, options) {
+    const { functionName, bucket, access = 'read' } = options;
+    const doc = state.template.clone();
+
+    requireLambda(doc, functionName);
+    requireResource(doc, bucket, 'AWS::S3::Bucket', 'Bucket');
+    if (!BUCKET_ACCESS.includes(access)) {
+        throw new Error(`Invalid access '${access}'. Expected one of: ${BUCKET_ACCESS.join(', ')}.`);
+    }
+
+    grantBucket(doc, functionName, bucket, access);
+    return [templateChange(doc), ...await getConfigChanges(state, doc)];
+}
+
+/**
+ * Run a Lambda when objects are created in a bucket. The Lambda gets an S3 event
+ * with the key filters, the read policy and the environment variable of the bucket
+ * @param {import('./project.js').ProjectState} state - Project state
+ * @param {Object} options
+ * @param {string} options.functionName - Logical id of the Lambda
+ * @param {BucketTrigger} options.trigger - Bucket and key filters
+ * @returns {Promise<import('./project.js').Change[]>}
+ */
+export async function addBucketTrigger(state, options) {
+    const { functionName, trigger } = options;
+    const doc = state.template.clone();
+
+    requireLambda(doc, functionName);
+    connectBucketTrigger(doc, functionName, trigger);
+    return [templateChange(doc), ...await getConfigChanges(state, doc)];
+}
+
+/**
+ * Remove the S3 events, policies and environment variable of a Lambda for a bucket, and the
+ * variable from src/utils/config.ts
+ * @param {import('./project.js').ProjectState} state - Project state
+ * @param {Object} options
+ * @param {string} options.functionName - Logical id of the Lambda
+ * @param {string} options.bucket - Logical id of the bucket
+ * @returns {Promise<import('./project.js').Change[]>}
+ */
+export async function detachBucket(state, options) {
+    const { functionName, bucket } = options;
+    const doc = state.template.clone();
+
+    requireLambda(doc, functionName);
+    requireResource(doc, bucket, 'AWS::S3::Bucket', 'Bucket');
+
+    removeEvents(doc, functionName, getS3Events(doc, functionName)
+        .filter(event => event.bucket === bucket)
+        .map(event => event.name));
+    removeRefs(doc, functionName, 'Policies', [`${bucket}ReadPolicy`, `${bucket}WritePolicy`]);
+    removeEnvironmentVariable(doc, functionName, getBucketVariable(bucket));
+    return [templateChange(doc), ...await getConfigChanges(state, doc)];
+}
+
+/**
+ * Create a Lambda behind `POST <path>` returning a presigned PUT URL to upload one
+ * object to a bucket, with the write policy of the bucket and its config in src/utils/config.ts
+ * @param {import('./project.js').ProjectState} state - Project state
+ * @param {Object} options
+ * @param {string} options.bucket - Logical id of the bucket
+ * @param {string} options.api - API Gateway name
+ * @param {string} [options.name] - Lambda name (default: createUpload)
+ * @param {string} [options.path] - Path of the endpoint (default: /uploads)
+ * @param {string} [options.prefix] - Key prefix of the uploaded objects (default: uploads/)
+ * @param {number} [options.expiresIn] - Seconds the URL stays valid, 1 to 604800 (default: 300)
+ * @returns {Promise<import('./project.js').Change[]>}
+ */
+export async function createUploadEndpoint(state, options) {
+    const { bucket, name = 'createUpload', path: endpointPath = '/uploads', prefix = 'uploads/', expiresIn = 300 } = options;
+    const doc = state.template.clone();
+    const apiName = requireApi(doc, options.api);
+
+    requireResource(doc, bucket, 'AWS::S3::Bucket', 'Bucket');
+    if (hasResource(doc, `${name}Function`) || getLambdaFolders(doc).includes(name)) {
+        throw new Error(`Lambda '${name}' already exists.`);
+    }
+    validateEndpoint({ method: 'post', path: endpointPath });
+    if (getEndpoints(doc, apiName).some(endpoint => endpoint.method.toLowerCase() === 'post' && endpoint.path === endpointPath)) {
+        throw new Error(`An endpoint with POST ${endpointPath} already exists in '${apiName}'.`);
+    }
+    assertValid(validateKeyFilter(prefix, 'Prefix'));
+    assertValid(validateInteger(expiresIn, 'URL expiration', 1, 604800));
+
+    const functionName = addFunction(doc, name, { timeout: 10, architecture: getArchitecture(doc) });
+    grantBucket(doc, functionName, bucket, 'write');
+    addApiEvent(doc, functionName, { api: apiName, path: endpointPath, method: 'post' });
+
+    const { handler, test } = uploadHandlerFiles(name, {
+        variable: getBucketVariable(bucket),
+        prefix,
+        expiresIn: Number(expiresIn),
+    });
+    return [
+        templateChange(doc),
+        ...await getConfigChanges(state, doc),
+        writeChange(`src/${name}/handler.ts`, handler),
+        writeChange(`src/${name}/handler.test.ts`, test),
+    ];
+}
+
+/**
+ * Add the policies of a bucket and its `<NAME>_BUCKET` variable to a function
+ */
+function grantBucket(doc, functionName, bucket, access) {
+    const policies = {
+        read: [`${bucket}ReadPolicy`],
+        write: [`${bucket}WritePolicy`],
+        'read-write': [`${bucket}ReadPolicy`, `${bucket}WritePolicy`],
+    }[access];
+    addRefs(doc, functionName, 'Policies', policies);
+    setEnvironmentVariable(doc, functionName, getBucketVariable(bucket), sub(getBucketName(doc, bucket), 'single'));
+}
+
+/**
+ * Add an S3 event and read access to a function. S3 rejects two notifications of a
+ * bucket whose filters can match the same key, so overlapping triggers are refused
+ */
+function connectBucketTrigger(doc, functionName, trigger) {
+    const { bucket, prefix = '', suffix = '' } = trigger;
+
+    requireResource(doc, bucket, 'AWS::S3::Bucket', 'Bucket');
+    assertValid(validateKeyFilter(prefix, 'Prefix'));
+    assertValid(validateKeyFilter(suffix, 'Suffix'));
+    for (const other of getFunctionNames(doc)) {
+        const overlapping = getS3Events(doc, other).find(event => event.bucket === bucket &&
+            (prefix.startsWith(event.prefix || '') || (event.prefix || '').startsWith(prefix)) &&
+            (suffix.endsWith(event.suffix || '') || (event.suffix || '').endsWith(suffix)));
+        if (overlapping) {
+            throw new Error(`The trigger overlaps with ${other} (${overlapping.name}) on bucket '${bucket}'. Use a different prefix or suffix.`);
+        }
+    }
+
+    addS3Event(doc, functionName, { bucket, prefix, suffix });
+    grantBucket(doc, functionName, bucket, 'read');
+}
+
+/**
+ * handler.ts and handler.test.ts of a Lambda run on the objects created in a bucket
+ */
+function s3HandlerFiles(name) {
+    return {
+        handler: `import { S3Event } from 'aws-lambda';
+
+export const ${name} = async (event: S3Event): Promise<void> => {
+    for (const record of event.Records) {
+        // Keys are URL-encoded, with + for spaces
+        const key = decodeURIComponent(record.s3.object.key.replace(/\\+/g, ' '));
+        console.log(\`New object \${key} in \${record.s3.bucket.name} (\${record.s3.object.size} bytes)\`);
+    }
+};
+`,
+        test: `import { ${name} } from './handler';
+import { S3Event, S3EventRecord } from 'aws-lambda';
+
+const record = (key: string): S3EventRecord => ({
+    s3: { bucket: { name: 'bucket' }, object: { key, size: 3 } },
+} as S3EventRecord);
+
+describe('Unit test for ${name} handler', function () {
+    it('processes every new object', async () => {
+        const event: S3Event = { Records: [record('incoming/my+file.jpg')] };
+
+        await expect(${name}(event)).resolves.toBeUndefined();
+    });
+});
+`,
+    };
+}
+
+/**
+ * handler.ts and handler.test.ts of the Lambda returning presigned upload URLs
+ */
+function uploadHandlerFiles(name, { variable, prefix, expiresIn }) {
+    return {
+        handler: `import { APIGatewayProxyEvent, APIGatewayProxyResult } from 'aws-lambda';
+import { PutObjectCommand, S3Client } from '@aws-sdk/client-s3';
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
+import { randomUUID } from 'crypto';
+
+const s3 = new S3Client({});
+const bucketName = process.env.${variable} as string;
+
+// Seconds the upload URL stays valid
+const expiresIn = ${expiresIn};
+
+export const ${name} = async (event: APIGatewayProxyEvent): Promise<APIGatewayProxyResult> => {
+    let contentType = 'application/octet-stream';
+    try {
+        contentType = JSON.parse(event.body || '{}').contentType || contentType;
+    } catch (error) {
+        return { statusCode: 400, body: JSON.stringify({ message: 'Body must be JSON' }) };
+    }
+
+    // The client PUTs the file to url with the same Content-Type
+    const key = \`${prefix}\${randomUUID()}\`;
+    const command = new PutObjectCommand({ Bucket: bucketName, Key: key, ContentType: contentType });
+    const url = await getSignedUrl(s3, command, { expiresIn });
+
+    return {
+        statusCode: 200,
+        body: JSON.stringify({ url, key, expiresIn }),
+    };
+};
+`,
+        test: `import { ${name} } from './handler';
+import { APIGatewayProxyEvent } from 'aws-lambda';
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
+
+jest.mock('@aws-sdk/s3-request-presigner', () => ({
+    getSignedUrl: jest.fn().mockResolvedValue('https://bucket.s3.amazonaws.com/signed'),
+}));
+
+describe('Unit test for ${name} handler', function () {
+    it('returns a presigned upload URL', async () => {
+        const event = { body: JSON.stringify({ contentType: 'image/png' }) } as APIGatewayProxyEvent;
+        const result = await ${name}(event);
+        const body = JSON.parse(result.body);
+
+        expect(result.statusCode).toEqual(200);
+        expect(body.url).toEqual('https://bucket.s3.amazonaws.com/signed');
+        expect(body.key.startsWith('${prefix}')).toBe(true);
+        expect(getSignedUrl).toHaveBeenCalled();
+    });
+
+    it('rejects a body that is not JSON', async () => {
+        const event = { body: 'not json' } as APIGatewayProxyEvent;
+        const result = await ${name}(event);
+
+        expect(result.statusCode).toEqual(400);
+    });
+});
+`,
+    };
+}
+
+// ---------------------------------------------------------------------------
+// Schedules
+// ---------------------------------------------------------------------------
+
+/**
+ * EventBridge schedule running a Lambda
+ * @typedef {Object} Schedule
+ * @property {string} expression - `rate(<value> <unit>)` or `cron(<minutes> <hours> <day-of-month> <month> <day-of-week> <year>)`
+ * @property {string} [input] - JSON object passed to the Lambda instead of the ScheduledEvent
+ * @property {boolean} [enabled] - Whether the schedule runs (default: true)
+ */
+
+const RATE_UNITS = ['minute', 'hour', 'day'];
+const MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+const DAYS = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+
+// Fields of a cron expression, in order. `special` matches the L, W and # forms of the
+// day fields, capturing the day they apply to
+const CRON_FIELDS = [
+    { label: 'Minutes', min: 0, max: 59 },
+    { label: 'Hours', min: 0, max: 23 },
+    { label: 'Day-of-month', min: 1, max: 31, special: /^(?:L|LW|(\d{1,2})W)$/ },
+    { label: 'Month', min: 1, max: 12, names: MONTHS },
+    { label: 'Day-of-week', min: 1, max: 7, names: DAYS, special: /^(?:L|([1-7]|[A-Z]{3})(?:L|#[1-5]))$/ },
+    { label: 'Year', min: 1970, max: 2199 },
+];
+
+/**
+ * Validate an EventBridge schedule expression
+ * @param {string} value - `rate(...)` or `cron(...)` expression
+ * @returns {true|string} True or an error message
+ */
+export function validateScheduleExpression(value) {
+    const expression = String(value).trim();
+
+    const rate = expression.match(/^rate\((\d+) ([a-z]+)\)$/);
+    if (rate) {
+        const amount = Number(rate[1]);
+        if (amount < 1) {
+            return 'A rate must be at least 1.';
+        }
+        const units = RATE_UNITS.map(unit => (amount === 1 ? unit : `${unit}s`));
+        if (!units.includes(rate[2])) {
+            return `Invalid rate unit '${rate[2]}'. Expected one of: ${units.join(', ')}.`;
+        }
+        return true;
+    }
+
+    const cron = expression.match(/^cron\((.*)\)$/);
+    if (cron) {
+        const fields = cron[1].trim().split(/\s+/);
+        if (fields.length !== CRON_FIELDS.length) {
+            return 'A cron expression has 6 fields: minutes hours day-of-month month day-of-week year.';
+        }
+        if ((fields[2] === '?') === (fields[4] === '?')) {
+            return 'Use ? in exactly one of day-of-month and day-of-week.';
+        }
+        for (const [index, field] of fields.entries()) {
+            if (field === '?' && (index === 2 || index === 4)) {
+                continue;
+            }
+            const result = validateCronField(field.toUpperCase(), CRON_FIELDS[index]);
+            if (result !== true) {
+                return result;
+            }
+        }
+        return true;
+    }
+
+    return `Invalid schedule '${value}'. Use rate(<value> <unit>) or cron(<minutes> <hours> <day-of-month> <month> <day-of-week> <year>).`;
+}
+
+/**
+ * Validate the input of a schedule
+ * @param {string} value - JSON text
+ * @returns {true|string} True or an error message
+ */
+export function validateScheduleInput(value) {
+    let input;
+    try {
+        input = JSON.parse(value);
+    } catch (error) {
+        return `Input is not valid JSON: ${error.message}`;
+    }
+    if (input === null || typeof input !== 'object' || Array.isArray(input)) {
+        return 'Input must be a JSON object, e.g. {"report": "daily"}.';
+    }
+    return true;
+}
+
+/**
+ * Validate one field of a cron expression: `*`, values, ranges and steps separated by commas
+ */
+function validateCronField(field, { label, min, max, names = [], special }) {
+    const isValue = (part) => {
+        const index = names.indexOf(part);
+        const number = index === -1 ? Number(part) : index + 1;
+        return /^(\d+|[A-Z]{3})$/.test(part) && Number.isInteger(number) && number >= min && number <= max;
+    };
+
+    for (const part of field.split(',')) {
+        const match = special ? part.match(special) : null;
+        if (match && (!match[1] || isValue(match[1]))) {
+            continue;
+        }
+
+        const [range, step, ...rest] = part.split('/');
+        const bounds = range.split('-');
+        const validRange = range === '*' || (bounds.length <= 2 && bounds.every(isValue));
+        const validStep = step === undefined || (/^\d+$/.test(step) && Number(step) >= 1);
+        if (rest.length > 0 || !validRange || !validStep) {
+            return `${label} field '${part}' is invalid. Expected values between ${min} and ${max}${names.length > 0 ? ` or ${names[0]}-${names[names.length - 1]}` : ''}.`;
+        }
+    }
+    return true;
+}
+
+/**
+ * Add a Schedule event to a function after checking its expression and input
+ */
+function connectSchedule(doc, functionName, schedule) {
+    const { expression, input, enabled = true } = schedule;
+
+    assertValid(validateScheduleExpression(expression || ''));
+    if (input !== undefined && input !== null && input !== '') {
+        assertValid(validateScheduleInput(input));
+    }
+
+    addScheduleEvent(doc, functionName, {
+        expression: expression.trim(),
+        input: input ? JSON.stringify(JSON.parse(input)) : undefined,
+        enabled,
+    });
+}
+
+function requireSchedule(doc, functionName, eventName) {
+    if (!getScheduleEvents(doc, functionName).some(event => event.name === eventName)) {
+        throw new Error(`Schedule ${eventName} not found in ${functionName}`);
+    }
+}
+
+/**
+ * handler.ts and handler.test.ts of a Lambda run on a schedule. With an input the
+ * Lambda receives that JSON instead of the ScheduledEvent, typed from its top-level keys
+ */
+function scheduleHandlerFiles(name, input) {
+    if (!input) {
+        return {
+            handler: `import { ScheduledEvent } from 'aws-lambda';
+
+export const ${name} = async (event: ScheduledEvent): Promise<void> => {
+    console.log(\`Running ${name} scheduled at \${event.time}\`);
+};
+`,
+            test: `import { ${name} } from './handler';
+import { ScheduledEvent } from 'aws-lambda';
+
+describe('Unit test for ${name} handler', function () {
+    it('runs on schedule', async () => {
+        const event = {
+            'detail-type': 'Scheduled Event',
+            source: 'aws.events',
+            time: '2024-01-01T00:00:00Z',
+            detail: {},
+        } as ScheduledEvent;
+
+        await expect(${name}(event)).resolves.toBeUndefined();
+    });
+});
+`,
+        };
+    }
+
+    const payload = JSON.parse(input);
+    const inputType = `${capitalize(name)}Input`;
+    const fields = Object.entries(payload).map(([key, value]) => {
+        const property = /^[A-Za-z_$][\w$]*$/.test(key) ? key : JSON.stringify(key);
+        return `    ${property}: ${tsType(value)};`;
+    });
+
+    return {
+        handler: `// The schedule passes its input instead of a ScheduledEvent
+export interface ${inputType} {
+${fields.join('\n')}
+}
+
+export const ${name} = async (event: ${inputType}): Promise<void> => {
+    console.log('Running ${name} with', event);
+};
+`,
+        test: `import { ${name}, ${inputType} } from './handler';
+
+describe('Unit test for ${name} handler', function () {
+    it('runs with the schedule input', async () => {
+        const event: ${inputType} = ${JSON.stringify(payload)};
+
+        await expect(${name}(event)).resolves.toBeUndefined();
+    });
+});
+`,
+    };
+}
+
+function tsType(value) {
+    if (Array.isArray(value)) return 'unknown[]';
+    if (['string', 'number', 'boolean'].includes(typeof value)) return typeof value;
+    return 'unknown';
+}
+
+// ---------------------------------------------------------------------------
+// SNS topics and EventBridge buses
+// ---------------------------------------------------------------------------
+
+/**
+ * Topic a Lambda subscribes to
+ * @typedef {Object} TopicSubscription
+ * @property {string} topic - Logical id of the topic
+ * @property {string|Object} [filterPolicy] - Filter policy (JSON object); every message is received without it
+ * @property {'MessageAttributes'|'MessageBody'} [filterPolicyScope] - What the filter policy applies to (default: MessageAttributes)
+ */
+
+/**
+ * EventBridge rule sending the matching events of a bus to a Lambda or a queue
+ * @typedef {Object} EventRule
+ * @property {string} [bus] - Logical id of the event bus (default: the default event bus)
+ * @property {string|Object} pattern - Event pattern (JSON object), e.g. {"detail-type": ["OrderPlaced"]}
+ */
+
+export const FILTER_POLICY_SCOPES = ['MessageAttributes', 'MessageBody'];
+
+/**
+ * Validate an EventBridge event pattern: a JSON object whose fields are arrays of
+ * values or nested patterns
+ * @param {string|Object} value - Pattern, as JSON or object
+ * @returns {true|string} True or an error message
+ */
+export function validateEventPattern(value) {
+    return validatePattern(value, 'Event pattern', true);
+}
+
+/**
+ * Validate the filter policy of a topic subscription. Filter policies on the message
+ * attributes are flat; filter policies on the message body may be nested
+ * @param {string|Object} value - Filter policy, as JSON or object
+ * @param {'MessageAttributes'|'MessageBody'} [scope] - What the filter policy applies to (default: MessageAttributes)
+ * @returns {true|string} True or an error message
+ */
+export function validateFilterPolicy(value, scope = 'MessageAttributes') {
+    if (!FILTER_POLICY_SCOPES.includes(scope)) {
+        return `Invalid filter policy scope '${scope}'. Expected one of: ${FILTER_POLICY_SCOPES.join(', ')}.`;
+    }
+    return validatePattern(value, 'Filter policy', scope === 'MessageBody');
+}
+
+/**
+ * Environment variable holding the ARN of a topic or the name of an event bus in the
+ * Lambdas publishing to it (orders -> ORDERS_TOPIC_ARN, appEvents -> APP_EVENTS_BUS_NAME)
+ * @param {import('yaml').Document} doc - Template document
+ * @param {string} target - Logical id of the topic or event bus
+ * @returns {string}
+ */
+export function getPublisherVariable(doc, target) {
+    const suffix = getResourceType(doc, target) === 'AWS::SNS::Topic' ? 'TOPIC_ARN' : 'BUS_NAME';
+    return `${toConstantCase(target)}_${suffix}`;
+}
+
+/**
+ * Create an SNS topic
+ * @param {import('./project.js').ProjectState} state - Project state
+ * @param {Object} options
+ * @param {string} options.name - Topic name
+ * @returns {Promise<import('./project.js').Change[]>}
+ */
+export async function createTopic(state, options) {
+    const { name } = options;
+    const doc = state.template.clone();
+
+    if (!name) {
+        throw new Error('Please enter a valid topic name.');
+    }
+    if (hasResource(doc, name)) {
+        throw new Error(`Resource '${name}' already exists in template.yaml`);
+    }
+
+    addTopic(doc, name);
+    return [templateChange(doc)];
+}
+
+/**
+ * Delete an SNS topic that no Lambda uses, and its publisher helper
+ * @param {import('./project.js').ProjectState} state - Project state
+ * @param {Object} options
+ * @param {string} options.name - Topic name
+ * @returns {Promise<import('./project.js').Change[]>}
+ */
+export async function deleteTopic(state, options) {
+    const { name } = options;
+    const doc = state.template.clone();
+
+    requireResource(doc, name, 'AWS::SNS::Topic', 'Topic');
+    const usedBy = getFunctionNames(doc).filter(functionName => referencesResource(getResource(doc, functionName), name));
+    if (usedBy.length > 0) {
+        throw new Error(`Cannot delete topic '${name}'. It is used by: ${usedBy.join(', ')}`);
+    }
+
+    removeResource(doc, name);
+    return [templateChange(doc), ...await deletePublisherChanges(state, name)];
+}
+
+/**
+ * Create a custom EventBridge event bus
+ * @param {import('./project.js').ProjectState} state - Project state
+ * @param {Object} options
+ * @param {string} options.name - Event bus name
+ * @returns {Promise<import('./project.js').Change[]>}
+ */
+export async function createEventBus(state, options) {
+    const { name } = options;
+    const doc = state.template.clone();
+
+    if (!name) {
+        throw new Error('Please enter a valid event bus name.');
+    }
+    if (name === 'default') {
+        throw new Error(`'default' is the name of the default event bus.`);
+    }
+    if (hasResource(doc, name)) {
+        throw new Error(`Resource '${name}' already exists in template.yaml`);
+    }
+
+    addEventBus(doc, name);
+    return [templateChange(doc)];
+}
+
+/**
+ * Delete an event bus that no Lambda or rule uses, and its publisher helper
+ * @param {import('./project.js').ProjectState} state - Project state
+ * @param {Object} options
+ * @param {string} options.name - Event bus name
+ * @returns {Promise<import('./project.js').Change[]>}
+ */
+export async function deleteEventBus(state, options) {
+    const { name } = options;
+    const doc = state.template.clone();
+
+    requireResource(doc, name, 'AWS::Events::EventBus', 'Event bus');
+    const usedBy = [
+        ...getFunctionNames(doc).filter(functionName => referencesResource(getResource(doc, functionName), name)),
+        ...getQueueRules(doc).filter(rule => rule.bus === name).map(rule => rule.name),
+    ];
+    if (usedBy.length > 0) {
+        throw new Error(`Cannot delete event bus '${name}'. It is used by: ${usedBy.join(', ')}`);
+    }
+
+    removeResource(doc, name);
+    return [templateChange(doc), ...await deletePublisherChanges(state, name)];
+}
+
+/**
+ * Subscribe a Lambda to a topic: an SNS event is added to it, with the filter policy
+ * @param {import('./project.js').ProjectState} state - Project state
+ * @param {Object} options
+ * @param {string} options.functionName - Logical id of the Lambda
+ * @param {TopicSubscription} options.subscription - Topic and filter policy
+ * @returns {Promise<import('./project.js').Change[]>}
+ */
+export async function subscribeToTopic(state, options) {
+    const { functionName, subscription } = options;
+    const doc = state.template.clone();
+
+    requireLambda(doc, functionName);
+    connectTopic(doc, functionName, subscription);
+    return [templateChange(doc)];
+}
+
+/**
+ * Rules of the template: EventBridgeRule events of the Lambdas and rules sending to queues
+ * @param {import('yaml').Document} doc - Template document
+ * @returns {{bus: string|null, pattern: Object|null, functionName?: string, event?: string, queue?: string, rule?: string}[]}
+ */
+export function getEventRules(doc) {
+    return [
+        ...getFunctionNames(doc).flatMap(functionName => getEventBridgeRuleEvents(doc, functionName)
+            .map(event => ({ bus: event.bus, pattern: event.pattern, functionName, event: event.name }))),
+        ...getQueueRules(doc).map(rule => ({ bus: rule.bus, pattern: rule.pattern, queue: rule.queue, rule: rule.name })),
+    ];
+}
+
+/**
+ * Add an EventBridge rule sending the matching events to a Lambda (EventBridgeRule
+ * event) or to a queue (`<queue>Rule<n>` rule allowed by the `<queue>EventsPolicy`)
+ * @param {import('./project.js').ProjectState} state - Project state
+ * @param {Object} options
+ * @param {EventRule} options.rule - Event bus and pattern
+ * @param {string} [options.functionName] - Logical id of the Lambda receiving the events
+ * @param {string} [options.queue] - Logical id of the queue receiving the events
+ * @returns {Promise<import('./project.js').Change[]>}
+ */
+export async function addEventRule(state, options) {
+    const { rule, functionName, queue } = options;
+    const doc = state.template.clone();
+
+    if (Boolean(functionName) === Boolean(queue)) {
+        throw new Error('A rule targets either a Lambda or a queue.');
+    }
+
+    if (functionName) {
+        requireLambda(doc, functionName);
+        connectEventRule(doc, functionName, rule);
+        return [templateChange(doc)];
+    }
+
+    requireQueue(doc, queue);
+    const bus = requireEventBus(doc, rule.bus);
+    assertValid(validateEventPattern(rule.pattern));
+
+    let count = 1;
+    while (hasResource(doc, `${queue}Rule${count}`)) {
+        count++;
+    }
+    addQueueRule(doc, `${queue}Rule${count}`, { bus, pattern: parsePattern(rule.pattern), queue });
+    return [templateChange(doc)];
+}
+
+/**
+ * Remove an EventBridge rule: the EventBridgeRule event of a Lambda, or a rule sending to a queue
+ * @param {import('./project.js').ProjectState} state - Project state
+ * @param {Object} options
+ * @param {string} [options.functionName] - Logical id of the Lambda receiving the events
+ * @param {string} [options.event] - Event name, with functionName
+ * @param {string} [options.rule] - Logical id of a rule sending to a queue
+ * @returns {Promise<import('./project.js').Change[]>}
+ */
+export async function removeEventRule(state, options) {
+    const { functionName, event, rule } = options;
+    const doc = state.template.clone();
+
+    if (rule) {
+        if (!getQueueRules(doc).some(entry => entry.name === rule)) {
+            throw new Error(`Rule ${rule} not found`);
+        }
+        removeQueueRule(doc, rule);
+        return [templateChange(doc)];
+    }
+
+    requireLambda(doc, functionName);
+    if (!getEventBridgeRuleEvents(doc, functionName).some(entry => entry.name === event)) {
+        throw new Error(`Rule ${event} not found in ${functionName}`);
+    }
+    removeEvents(doc, functionName, [event]);
+    return [templateChange(doc)];
+}
+
+/**
+ * Allow a Lambda to publish to a topic or an event bus: the publish policy template and
+ * the environment variable of the target are added, the variable to src/utils/config.ts,
+ * and src/utils/<target>Publisher.ts is generated with its test unless it exists
+ * @param {import('./project.js').ProjectState} state - Project state
+ * @param {Object} options
+ * @param {string} options.functionName - Logical id of the Lambda
+ * @param {string} options.target - Logical id of the topic or event bus
+ * @returns {Promise<import('./project.js').Change[]>}
+ */
+export async function allowPublish(state, options) {
+    const { functionName, target } = options;
+    const doc = state.template.clone();
+
+    requireLambda(doc, functionName);
+    if (!['AWS::SNS::Topic', 'AWS::Events::EventBus'].includes(getResourceType(doc, target))) {
+        throw new Error(`Topic or event bus ${target} not found`);
+    }
+
+    addPublishPolicy(doc, functionName, target);
+    setEnvironmentVariable(doc, functionName, getPublisherVariable(doc, target), ref(target));
+
+    const changes = [templateChange(doc), ...await getConfigChanges(state, doc)];
+    const helperPath = `src/utils/${target}Publisher.ts`;
+    if (!await fs.pathExists(path.join(state.path, helperPath))) {
+        const { helper, test } = publisherFiles(doc, target, state.name);
+        changes.push(writeChange(helperPath, helper));
+        changes.push(writeChange(`src/utils/${target}Publisher.test.ts`, test));
+    }
+    return changes;
+}
+
+/**
+ * Remove the SNS events, publish policy and environment variable of a Lambda for a topic,
+ * and the variable from src/utils/config.ts
+ * @param {import('./project.js').ProjectState} state - Project state
+ * @param {Object} options
+ * @param {string} options.functionName - Logical id of the Lambda
+ * @param {string} options.topic - Logical id of the topic
+ * @returns {Promise<import('./project.js').Change[]>}
+ */
+export async function detachTopic(state, options) {
+    const { functionName, topic } = options;
+    const doc = state.template.clone();
+
+    requireLambda(doc, functionName);
+    requireResource(doc, topic, 'AWS::SNS::Topic', 'Topic');
+
+    removeEvents(doc, functionName, getSnsEvents(doc, functionName)
+        .filter(event => event.topic === topic)
+        .map(event => event.name));
+    removePublishPolicy(doc, functionName, topic);
+    removeEnvironmentVariable(doc, functionName, getPublisherVariable(doc, topic));
+    return [templateChange(doc), ...await getConfigChanges(state, doc)];
+}
+
+/**
+ * Remove the EventBridgeRule events, publish policy and environment variable of a
+ * Lambda for an event bus, and the variable from src/utils/config.ts
+ * @param {import('./project.js').ProjectState} state - Project state
+ * @param {Object} options
+ * @param {string} options.functionName - Logical id of the Lambda
+ * @param {string} options.bus - Logical id of the event bus
+ * @returns {Promise<import('./project.js').Change[]>}
+ */
+export async function detachEventBus(state, options) {
+    const { functionName, bus } = options;
+    const doc = state.template.clone();
+
+    requireLambda(doc, functionName);
+    requireResource(doc, bus, 'AWS::Events::EventBus', 'Event bus');
+
+    removeEvents(doc, functionName, getEventBridgeRuleEvents(doc, functionName)
+        .filter(event => event.bus === bus)
+        .map(event => event.name));
+    removePublishPolicy(doc, functionName, bus);
+    removeEnvironmentVariable(doc, functionName, getPublisherVariable(doc, bus));
+    return [templateChange(doc), ...await getConfigChanges(state, doc)];
+}
+
+/**
+ * Add an SNS event to a function after checking the filter policy. A second
+ * subscription of the same function to a topic would deliver every message twice
+ */
+function connectTopic(doc, functionName, subscription) {
+    const { topic, filterPolicy, filterPolicyScope = 'MessageAttributes' } = subscription;
+
+    requireResource(doc, topic, 'AWS::SNS::Topic', 'Topic');
+    if (getSnsEvents(doc, functionName).some(event => event.topic === topic)) {
+        throw new Error(`${functionName} already subscribes to topic '${topic}'.`);
+    }
+    const hasFilter = filterPolicy !== undefined && filterPolicy !== null && filterPolicy !== '';
+    if (hasFilter) {
+        assertValid(validateFilterPolicy(filterPolicy, filterPolicyScope));
+    }
+
+    addSnsEvent(doc, functionName, {
+        topic,
+        filterPolicy: hasFilter ? parsePattern(filterPolicy) : undefined,
+        filterPolicyScope,
+    });
+}
+
+/**
+ * Add an EventBridgeRule event to a function after checking the bus and the pattern
+ */
+function connectEventRule(doc, functionName, rule) {
+    const bus = requireEventBus(doc, rule.bus);
+    assertValid(validateEventPattern(rule.pattern));
+    addEventBridgeRuleEvent(doc, functionName, { bus, pattern: parsePattern(rule.pattern) });
+}
+
+/**
+ * Logical id of a custom event bus, or null for the default event bus
+ */
+function requireEventBus(doc, bus) {
+    if (!bus || bus === 'default') {
+        return null;
+    }
+    requireResource(doc, bus, 'AWS::Events::EventBus', 'Event bus');
+    return bus;
+}
+
+function parsePattern(value) {
+    return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+function validatePattern(value, label, nested) {
+    let pattern = value;
+    if (typeof value === 'string') {
+        try {
+            pattern = JSON.parse(value);
+        } catch (error) {
+            return `${label} is not valid JSON: ${error.message}`;
+        }
+    }
+    if (!isObject(pattern) || Object.keys(pattern).length === 0) {
+        return `${label} must be a JSON object, e.g. {"detail-type": ["OrderPlaced"]}.`;
+    }
+    const invalid = findInvalidPatternField(pattern, nested, '');
+    if (invalid !== null) {
+        return `${label} field '${invalid}' must be a non-empty array of values${nested ? ' or a nested pattern' : ''}.`;
+    }
+    return true;
+}
+
+/**
+ * First field of a pattern that is neither a non-empty array nor, when nested
+ * patterns are allowed, a valid nested pattern
+ */
+function findInvalidPatternField(pattern, nested, parent) {
+    for (const [key, value] of Object.entries(pattern)) {
+        const field = `${parent}${key}`;
+        if (Array.isArray(value) && value.length > 0) {
+            continue;
+        }
+        if (!nested || !isObject(value) || Object.keys(value).length === 0) {
+            return field;
+        }
+        const invalid = findInvalidPatternField(value, nested, `${field}.`);
+        if (invalid !== null) {
+            return invalid;
+        }
+    }
+    return null;
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Delete changes of the publisher helper of a topic or event bus, when it exists
+ */
+async function deletePublisherChanges(state, target) {
+    const changes = [];
+    for (const file of [`src/utils/${target}Publisher.ts`, `src/utils/${target}Publisher.test.ts`]) {
+        if (await fs.pathExists(path.join(state.path, file))) {
+            changes.push(deleteChange(file));
+        }
+    }
+    return changes;
+}
+
+/**
+ * handler.ts and handler.test.ts of a Lambda subscribed to a topic
+ */
+function snsHandlerFiles(name) {
+    return {
+        handler: `import { SNSEvent } from 'aws-lambda';
+
+export const ${name} = async (event: SNSEvent): Promise<void> => {
+    for (const record of event.Records) {
+        const message = JSON.parse(record.Sns.Message);
+        console.log(\`Processing message \${record.Sns.MessageId}\`, message);
+    }
+};
+`,
+        test: `import { ${name} } from './handler';
+import { SNSEvent, SNSEventRecord } from 'aws-lambda';
+
+const record = (MessageId: string, Message: string): SNSEventRecord => ({ Sns: { MessageId, Message } } as SNSEventRecord);
+
+describe('Unit test for ${name} handler', function () {
+    it('processes every message', async () => {
+        const event: SNSEvent = { Records: [record('1', JSON.stringify({ id: 1 }))] };
+
+        await expect(${name}(event)).resolves.toBeUndefined();
+    });
+});
+`,
+    };
+}
+
+/**
+ * handler.ts and handler.test.ts of a Lambda run by an EventBridge rule. The
+ * detail-type of the event is typed from the detail-type values of the pattern
+ */
+function eventBridgeHandlerFiles(name, pattern) {
+    const detailTypes = (Array.isArray(pattern['detail-type']) ? pattern['detail-type'] : [])
+        .filter(value => typeof value === 'string')
+        .map(value => `'${value.replace(/[\\']/g, '\\$&')}'`);
+    const detailTypeName = `${capitalize(name)}DetailType`;
+
+    return {
+        handler: `import { EventBridgeEvent } from 'aws-lambda';
+
+export type ${detailTypeName} = ${detailTypes.length > 0 ? detailTypes.join(' | ') : 'string'};
+
+export const ${name} = async (event: EventBridgeEvent<${detailTypeName}, Record<string, unknown>>): Promise<void> => {
+    console.log(\`Processing \${event['detail-type']} from \${event.source}\`, event.detail);
+};
+`,
+        test: `import { ${name}, ${detailTypeName} } from './handler';
+import { EventBridgeEvent } from 'aws-lambda';
+
+describe('Unit test for ${name} handler', function () {
+    it('processes the event', async () => {
+        const event: EventBridgeEvent<${detailTypeName}, Record<string, unknown>> = {
+            id: 'c5b9a5d4-3d6c-4e2b-9f5d-8e7f5c2b1a00',
+            version: '0',
+            account: '123456789012',
+            time: '2024-01-01T00:00:00Z',
+            region: 'us-east-1',
+            resources: [],
+            'detail-type': ${detailTypes.length > 0 ? detailTypes[0] : "'Event'"},
+            source: 'test',
+            detail: { id: 1 },
+        };
+
+        await expect(${name}(event)).resolves.toBeUndefined();
+    });
+});
+`,
+    };
+}
+
+/**
+ * src/utils/<target>Publisher.ts and its test: a typed function publishing messages to
+ * a topic (with attributes for the filter policies) or events to an event bus
+ */
+function publisherFiles(doc, target, projectName) {
+    const variable = getPublisherVariable(doc, target);
+    const typeName = capitalize(target);
+
+    if (getResourceType(doc, target) === 'AWS::SNS::Topic') {
+        return {
+            helper: `import { PublishCommand, SNSClient } from '@aws-sdk/client-sns';
+
+const client = new SNSClient({});
+const topicArn = process.env.${variable} as string;
+
+// Shape of the messages published to the ${target} topic
+export interface ${typeName}Message {
+    [key: string]: unknown;
+}
+
+/**
+ * Publish a message to the ${target} topic. Subscriptions filter on the attributes
+ */
+export async function publish${typeName}Message(message: ${typeName}Message, attributes: Record<string, string> = {}): Promise<string> {
+    const result = await client.send(new PublishCommand({
+        TopicArn: topicArn,
+        Message: JSON.stringify(message),
+        MessageAttributes: Object.fromEntries(
+            Object.entries(attributes).map(([name, value]) => [name, { DataType: 'String', StringValue: value }])
+        ),
+    }));
+    return result.MessageId as string;
+}
+`,
+            test: `import { publish${typeName}Message } from './${target}Publisher';
+
+const mockSend = jest.fn();
+
+// jest.mock is hoisted above mockSend, and the publisher creates its client when it is imported:
+// the client reads mockSend when it sends, once it is initialized
+jest.mock('@aws-sdk/client-sns', () => ({
+    SNSClient: jest.fn().mockImplementation(() => ({ send: (...args: unknown[]) => mockSend(...args) })),
+    PublishCommand: jest.fn().mockImplementation((input) => ({ input })),
+}));
+
+describe('publish${typeName}Message', function () {
+    it('publishes the message with its attributes', async () => {
+        mockSend.mockResolvedValue({ MessageId: '1' });
+
+        const messageId = await publish${typeName}Message({ id: 1 }, { type: 'created' });
+
+        expect(messageId).toEqual('1');
+        expect(mockSend).toHaveBeenCalledWith({
+            input: expect.objectContaining({
+                Message: JSON.stringify({ id: 1 }),
+                MessageAttributes: { type: { DataType: 'String', StringValue: 'created' } },
+            }),
+        });
+    });
+});
+`,
+        };
+    }
+
+    return {
+        helper: `import { EventBridgeClient, PutEventsCommand } from '@aws-sdk/client-eventbridge';
+
+const client = new EventBridgeClient({});
+const eventBusName = process.env.${variable} as string;
+
+// Source of the events, matched by the \`source\` of the rule patterns
+export const source = '${projectName}';
+
+// Detail of each detail-type published to the ${target} bus
+export interface ${typeName}EventDetails {
+    [detailType: string]: Record<string, unknown>;
+}
+
+/**
+ * Publish an event to the ${target} bus
+ */
+export async function publish${typeName}Event<T extends keyof ${typeName}EventDetails & string>(detailType: T, detail: ${typeName}EventDetails[T]): Promise<void> {
+    const result = await client.send(new PutEventsCommand({
+        Entries: [{ EventBusName: eventBusName, Source: source, DetailType: detailType, Detail: JSON.stringify(detail) }],
+    }));
+    if (result.FailedEntryCount) {
+        throw new Error(\`\${detailType} was not published: \${result.Entries?.[0]?.ErrorMessage}\`);
+    }
+}
+`,
+        test: `import { publish${typeName}Event, source } from './${target}Publisher';
+
+const mockSend = jest.fn();
+
+// jest.mock is hoisted above mockSend, and the publisher creates its client when it is imported:
+// the client reads mockSend when it sends, once it is initialized
+jest.mock('@aws-sdk/client-eventbridge', () => ({
+    EventBridgeClient: jest.fn().mockImplementation(() => ({ send: (...args: unknown[]) => mockSend(...args) })),
+    PutEventsCommand: jest.fn().mockImplementation((input) => ({ input })),
+}));
+
+describe('publish${typeName}Event', function () {
+    it('puts the event on the bus', async () => {
+        mockSend.mockResolvedValue({ FailedEntryCount: 0, Entries: [{ EventId: '1' }] });
+
+        await publish${typeName}Event('Created', { id: 1 });
+
+        expect(mockSend).toHaveBeenCalledWith({
+            input: {
+                Entries: [expect.objectContaining({ Source: source, DetailType: 'Created', Detail: JSON.stringify({ id: 1 }) })],
+            },
+        });
+    });
+
+    it('throws when the event is rejected', async () => {
+        mockSend.mockResolvedValue({ FailedEntryCount: 1, Entries: [{ ErrorMessage: 'denied' }] });
+
+        await expect(publish${typeName}Event('Created', { id: 1 })).rejects.toThrow('denied');
+    });
+});
+`,
+    };
+}
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Logical id of an API Gateway from the name given by the user
+ * @param {string} name - API Gateway name
+ * @returns {string}
+ */
+export function toApiName(name) {
+    return (name || '').replace(/[^a-zA-Z0-9]/g, '');
+}
+
+/**
+ * Folder under src/ of a Lambda, from its handler ("orders/handler.orders" -> orders)
+ * @param {import('yaml').Document} doc - Template document
+ * @param {string} functionName - Logical id of the Lambda
+ * @returns {string|null}
+ */
+export function getLambdaFolder(doc, functionName) {
+    const match = (getHandler(doc, functionName) || '').match(/^(\w+)\/handler\./);
+    return match ? match[1] : null;
+}
+
+function getLambdaFolders(doc) {
+    return getFunctionNames(doc).map(name => getLambdaFolder(doc, name)).filter(Boolean);
+}
+
+function requireLambda(doc, functionName) {
+    if (!getFunctionNames(doc).includes(functionName)) {
+        throw new Error(`Lambda ${functionName} not found`);
+    }
+}
+
+function requireApi(doc, name) {
+    const apiName = toApiName(name);
+    requireResource(doc, apiName, 'AWS::Serverless::Api', 'API Gateway');
+    return apiName;
+}
+
+function requireResource(doc, name, type, label) {
+    if (getResourceType(doc, name) !== type) {
+        throw new Error(`${label} ${name} not found`);
+    }
+}
+
+function requireQueue(doc, name) {
+    if (!getQueueNames(doc).includes(name)) {
+        throw new Error(`Queue ${name} not found`);
+    }
+}
+
+function assertValid(result) {
+    if (result !== true) {
+        throw new Error(result);
+    }
+}
+
+function validateEndpoint({ method, path: endpointPath }) {
+    if (!method || !HTTP_METHODS.includes(method.toLowerCase())) {
+        throw new Error(`Please enter a valid HTTP method (${HTTP_METHODS.join(', ')})`);
+    }
+    if (!endpointPath || !endpointPath.startsWith('/')) {
+        throw new Error('Path must start with /');
+    }
+}
+
+function capitalize(str) {
+    return str.charAt(0).toUpperCase() + str.slice(1);
+}
+
+function toConstantCase(str) {
+    return str.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase();
+}
+
+/**
+ * Absolute path of a file or directory of the templates ("src/authorizer")
+ * @returns {Promise<string>}
+ */
+async function getTemplatePath(relativePath) {
+    for (const templatesPath of TEMPLATES_PATHS) {
+        const templatePath = path.join(templatesPath, relativePath);
+        if (await fs.pathExists(templatePath)) {
+            return templatePath;
+        }
+    }
+    throw new Error(`Template '${relativePath}' not found in ${TEMPLATES_PATHS.join(' or ')}`);
+}
+
+/**
+ * Handler file of a Lambda relative to the project ("test2/handler.test2" -> src/test2/handler.ts)
+ * @returns {Promise<string|null>} Null when the Lambda has no handler file
+ */
+async function getHandlerPath(state, doc, functionName) {
+    const handlerParts = (getHandler(doc, functionName) || '').split('.');
+    if (handlerParts.length < 2) {
+        return null;
+    }
+    const handlerPath = `src/${handlerParts[0]}.ts`;
+    return await fs.pathExists(path.join(state.path, handlerPath)) ? handlerPath : null;
+}
+
+function addTableImports(content, tableNames) {
+    const lines = content.split('\n');
+
+    // Imports are added after the existing ones
+    let lastImportLine = -1;
+    for (let i = 0; i < lines.length; i++) {
+        if (lines[i].startsWith('import ')) {
+            lastImportLine = i;
+        } else if (lastImportLine !== -1 && lines[i].trim() !== '') {
+            break;
+        }
+    }
+
+    const newImports = tableNames
+        .filter(tableName => !lines.some(line => line.includes(`from '../utils/${tableName}Handler'`)))
+        .map(tableName => `import * as ${tableName}Repository from '../utils/${tableName}Handler';`);
+
+    lines.splice(lastImportLine + 1, 0, ...newImports);
+    return lines.join('\n');
+}
+
+function removeTableImports(content, tableNames) {
+    return content.split('\n')
+        .filter(line => !tableNames.some(tableName => line.includes(`from '../utils/${tableName}Handler'`)))
+        .join('\n');
+}
@@ -0,0 +1,253 @@
+import fs from 'fs-extra';
+import path from 'path';
+import chalk from 'chalk';
+
+const CONTEXT_LINES = 3;
+
+/**
+ * Files touched by a list of changes, with their content before and after the changes.
+ * Deleted directories are expanded into their files
+ * @param {string} projectPath - Absolute path to the project
+ * @param {import('./project.js').Change[]} changes - Changes returned by an operation
+ * @returns {Promise<{path: string, before: string|null, after: string|null}[]>} Files sorted by path; null when the file does not exist
+ */
+export async function resolveChanges(projectPath, changes) {
+    const files = new Map();
+
+    const track = async (filePath) => {
+        if (!files.has(filePath)) {
+            const absolutePath = path.join(projectPath, filePath);
+            const exists = await fs.pathExists(absolutePath) && (await fs.stat(absolutePath)).isFile();
+            const before = exists ? await fs.readFile(absolutePath, 'utf8') : null;
+            files.set(filePath, { path: filePath, before, after: before });
+        }
+        return files.get(filePath);
+    };
+
+    for (const change of changes) {
+        if (change.type === 'write') {
+            (await track(change.path)).after = change.content;
+        } else if (change.type === 'delete') {
+            for (const filePath of await listFiles(projectPath, change.path)) {
+                await track(filePath);
+            }
+            for (const file of files.values()) {
+                if (file.path === change.path || file.path.startsWith(`${change.path}/`)) {
+                    file.after = null;
+                }
+            }
+        } else {
+            throw new Error(`Unknown change type '${change.type}' for ${change.path}`);
+        }
+    }
+
+    return [...files.values()]
+        .filter(file => file.before !== file.after)
+        .sort((a, b) => a.path.localeCompare(b.path));
+}
+
+/**
+ * Unified diff between two versions of a file
+ * @param {string|null} before - Content before, null when the file is created
+ * @param {string|null} after - Content after, null when the file is deleted
+ * @param {string} filePath - Path shown in the headers
+ * @returns {string[]} Lines of the diff, without colours
+ */
+export function unifiedDiff(before, after, filePath) {
+    const oldLines = splitLines(before);
+    const newLines = splitLines(after);
+    const lines = [
+        `--- ${before === null ? '/dev/null' : `a/${filePath}`}`,
+        `+++ ${after === null ? '/dev/null' : `b/${filePath}`}`,
+    ];
+
+    for (const hunk of getHunks(diffLines(oldLines, newLines))) {
+        lines.push(`@@ -${formatRange(hunk.oldStart, hunk.oldCount)} +${formatRange(hunk.newStart, hunk.newCount)} @@`);
+        lines.push(...hunk.lines);
+    }
+    return lines;
+}
+
+/**
+ * Coloured unified diff of every file an operation would write or delete
+ * @param {string} projectPath - Absolute path to the project
+ * @param {import('./project.js').Change[]} changes - Changes returned by an operation
+ * @returns {Promise<string>} The diff, or a message when nothing changes
+ */
+export async function previewChanges(projectPath, changes) {
+    const files = await resolveChanges(projectPath, changes);
+    if (files.length === 0) {
+        return chalk.gray('No file changes.');
+    }
+
+    const output = [];
+    for (const file of files) {
+        const status = file.before === null ? 'new file' : file.after === null ? 'deleted' : 'modified';
+        output.push(chalk.bold(`${status}: ${file.path}`));
+        for (const line of unifiedDiff(file.before, file.after, file.path)) {
+            output.push(colorLine(line));
+        }
+        output.push('');
+    }
+
+    const created = files.filter(file => file.before === null).length;
+    const deleted = files.filter(file => file.after === null).length;
+    output.push(chalk.bold(`${files.length} file(s): ${created} created, ${files.length - created - deleted} modified, ${deleted} deleted`));
+    return output.join('\n');
+}
+
+/**
+ * Files under a path, relative to the project. A file path returns itself
+ * @returns {Promise<string[]>}
+ */
+async function listFiles(projectPath, relativePath) {
+    const absolutePath = path.join(projectPath, relativePath);
+    if (!await fs.pathExists(absolutePath)) {
+        return [];
+    }
+    if (!(await fs.stat(absolutePath)).isDirectory()) {
+        return [relativePath];
+    }
+    const files = [];
+    for (const entry of await fs.readdir(absolutePath)) {
+        files.push(...await listFiles(projectPath, `${relativePath}/${entry}`));
+    }
+    return files;
+}
+
+function splitLines(content) {
+    if (content === null || content === '') {
+        return [];
+    }
+    const lines = content.split('\n');
+    // A trailing newline does not start a new line
+    if (lines[lines.length - 1] === '') {
+        lines.pop();
+    }
+    return lines;
+}
+
+/**
+ * Line diff from the longest common subsequence. The common head and tail are
+ * skipped first, so the table only covers the edited region
+ * @returns {{type: ' '|'-'|'+', line: string}[]}
+ */
+function diffLines(oldLines, newLines) {
+    let head = 0;
+    while (head < oldLines.length && head < newLines.length && oldLines[head] === newLines[head]) {
+        head++;
+    }
+    let tail = 0;
+    while (tail < oldLines.length - head && tail < newLines.length - head
+        && oldLines[oldLines.length - 1 - tail] === newLines[newLines.length - 1 - tail]) {
+        tail++;
+    }
+
+    const a = oldLines.slice(head, oldLines.length - tail);
+    const b = newLines.slice(head, newLines.length - tail);
+
+    // lengths[i][j]: longest common subsequence of a[i..] and b[j..]
+    const lengths = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lengths[i][j] = a[i] === b[j]
+                ? lengths[i + 1][j + 1] + 1
+                : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+
+    const middle = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+        if (i < a.length && j < b.length && a[i] === b[j]) {
+            middle.push({ type: ' ', line: a[i++] });
+            j++;
+        } else if (i < a.length && (j === b.length || lengths[i + 1][j] >= lengths[i][j + 1])) {
+            // Removed lines come before added ones, as in diff -u
+            middle.push({ type: '-', line: a[i++] });
+        } else {
+            middle.push({ type: '+', line: b[j++] });
+        }
+    }
+
+    return [
+        ...oldLines.slice(0, head).map(line => ({ type: ' ', line })),
+        ...middle,
+        ...oldLines.slice(oldLines.length - tail).map(line => ({ type: ' ', line })),
+    ];
+}
+
+/**
+ * Group a line diff into hunks with CONTEXT_LINES lines of context
+ */
+function getHunks(diff) {
+    const hunks = [];
+    let oldLine = 1;
+    let newLine = 1;
+    let hunk = null;
+    let lastChange = -Infinity;
+
+    // nextChanges[i]: index of the first changed line at or after i
+    const nextChanges = new Array(diff.length);
+    for (let i = diff.length - 1, next = Infinity; i >= 0; i--) {
+        if (diff[i].type !== ' ') {
+            next = i;
+        }
+        nextChanges[i] = next;
+    }
+
+    diff.forEach((entry, index) => {
+        const nearChange = index - lastChange <= CONTEXT_LINES
+            || nextChanges[index] - index <= CONTEXT_LINES;
+
+        if (nearChange) {
+            if (!hunk) {
+                hunk = { oldStart: oldLine, newStart: newLine, oldCount: 0, newCount: 0, lines: [] };
+                hunks.push(hunk);
+            }
+            hunk.lines.push(`${entry.type}${entry.line}`);
+            if (entry.type !== '+') {
+                hunk.oldCount++;
+            }
+            if (entry.type !== '-') {
+                hunk.newCount++;
+            }
+        } else {
+            hunk = null;
+        }
+
+        if (entry.type !== ' ') {
+            lastChange = index;
+        }
+        if (entry.type !== '+') {
+            oldLine++;
+        }
+        if (entry.type !== '-') {
+            newLine++;
+        }
+    });
+
+    return hunks;
+}
+
+function formatRange(start, count) {
+    // An empty range starts on the line before it, as in diff -u
+    return `${count === 0 ? start - 1 : start},${count}`;
+}
+
+function colorLine(line) {
+    if (line.startsWith('+++') || line.startsWith('---')) {
+        return chalk.bold(line);
+    }
+    if (line.startsWith('@@')) {
+        return chalk.cyan(line);
+    }
+    if (line.startsWith('+')) {
+        return chalk.green(line);
+    }
+    if (line.startsWith('-')) {
+        return chalk.red(line);
+    }
+    return line;
+}
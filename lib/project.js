@@ -0,0 +1,384 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { createRequire } from 'module';
+import { parseTemplate, stringifyTemplate } from './template.js';
+
+/**
+ * Directory where applyChanges() stages files, relative to the project
+ */
+export const STAGING_DIR = '.sam-smith/staging';
+
+/**
+ * State of a project read by the operations in operations.js
+ * @typedef {Object} ProjectState
+ * @property {string} path - Absolute path to the project
+ * @property {string} name - Project name (name of the project directory)
+ * @property {string} environment - Environment read: the one asked for, or ENVIRONMENT of .env (default: dev)
+ * @property {Object<string, string>} env - Variables of the environment, without ENVIRONMENT (secrets included)
+ * @property {Object<string, SecretStore>} secrets - Store of each variable of the environment marked `# @secret`
+ * @property {Object<string, Object<string, string>>} lambdas - Variables of the environment marked `# @lambda`, by Lambda
+ * @property {Object<string, EnvironmentFiles>} environments - Variables of every environment, the one read included
+ * @property {boolean} hasEnvFile - Whether the project has a .env or .env.<environment> file
+ * @property {string|null} samconfig - Content of samconfig.toml, null when it does not exist
+ * @property {import('yaml').Document} template - Parsed template.yaml
+ */
+
+/**
+ * Variables of an environment: those of .env overridden by those of .env.<environment>
+ * @typedef {Object} EnvironmentFiles
+ * @property {Object<string, string>} env - Variables, without ENVIRONMENT (secrets included)
+ * @property {Object<string, SecretStore>} secrets - Store of each variable marked `# @secret`
+ * @property {Object<string, Object<string, string>>} lambdas - Variables marked `# @lambda`, by Lambda
+ * @property {string[]} files - Files read, relative to the project
+ */
+
+/**
+ * Environments of a new project, each with its .env.<environment> file and its
+ * samconfig.toml section
+ */
+export const DEFAULT_ENVIRONMENTS = ['dev', 'staging', 'prod'];
+
+/**
+ * Where a secret variable is kept: an SSM SecureString parameter or a Secrets Manager secret
+ * @typedef {'ssm'|'secretsmanager'} SecretStore
+ */
+
+/**
+ * Stores accepted after `# @secret` in .env; the first one is the default
+ * @type {SecretStore[]}
+ */
+export const SECRET_STORES = ['ssm', 'secretsmanager'];
+
+/**
+ * A file mutation returned by an operation. Paths are relative to the project
+ * @typedef {{type: 'write', path: string, content: string} | {type: 'delete', path: string}} Change
+ */
+
+/**
+ * Read the state of a project. Variables shared by every environment go in .env, along with
+ * ENVIRONMENT, the environment read by default; .env.<environment> files add or override
+ * variables for one environment
+ * @param {string} projectPath - Absolute path to the project
+ * @param {Object} [options]
+ * @param {string} [options.environment] - Environment to read (default: ENVIRONMENT of .env)
+ * @returns {Promise<ProjectState>}
+ */
+export async function loadProject(projectPath, options = {}) {
+    const templatePath = path.join(projectPath, 'template.yaml');
+    const envPath = path.join(projectPath, '.env');
+    const samconfigPath = path.join(projectPath, 'samconfig.toml');
+
+    if (!await fs.pathExists(templatePath)) {
+        throw new Error('template.yaml not found');
+    }
+
+    const hasSharedFile = await fs.pathExists(envPath);
+    const shared = hasSharedFile
+        ? parseEnvFile(await fs.readFile(envPath, 'utf8'))
+        : { environment: null, variables: {}, secrets: {}, lambdas: {} };
+    const envFiles = await listEnvironmentFiles(projectPath);
+    const environment = options.environment || shared.environment || (envFiles.length > 0 ? envFiles[0] : 'dev');
+
+    if (options.environment && !envFiles.includes(options.environment) && options.environment !== shared.environment) {
+        throw new Error(`.env.${options.environment} not found. Environments: ${envFiles.join(', ') || 'none'}.`);
+    }
+
+    const environments = {};
+    for (const name of [...new Set([environment, ...envFiles])]) {
+        const own = envFiles.includes(name)
+            ? parseEnvFile(await fs.readFile(path.join(projectPath, `.env.${name}`), 'utf8'), `.env.${name}`)
+            : { variables: {}, secrets: {}, lambdas: {} };
+        const lambdas = { ...shared.lambdas };
+        for (const [lambda, variables] of Object.entries(own.lambdas)) {
+            lambdas[lambda] = { ...lambdas[lambda], ...variables };
+        }
+        environments[name] = {
+            env: { ...shared.variables, ...own.variables },
+            secrets: { ...shared.secrets, ...own.secrets },
+            lambdas,
+            files: [...(hasSharedFile ? ['.env'] : []), ...(envFiles.includes(name) ? [`.env.${name}`] : [])],
+        };
+    }
+
+    return {
+        path: projectPath,
+        name: path.basename(projectPath),
+        environment,
+        env: environments[environment].env,
+        secrets: environments[environment].secrets,
+        lambdas: environments[environment].lambdas,
+        environments,
+        hasEnvFile: hasSharedFile || envFiles.length > 0,
+        samconfig: await fs.pathExists(samconfigPath) ? await fs.readFile(samconfigPath, 'utf8') : null,
+        template: parseTemplate(await fs.readFile(templatePath, 'utf8')),
+    };
+}
+
+/**
+ * Environments having a .env.<environment> file, the default environments first
+ * @param {string} projectPath - Absolute path to the project
+ * @returns {Promise<string[]>}
+ */
+export async function listEnvironmentFiles(projectPath) {
+    const names = (await fs.readdir(projectPath))
+        .map(file => file.match(/^\.env\.([A-Za-z0-9_-]+)$/))
+        .filter(Boolean)
+        .map(match => match[1]);
+    const rank = name => (DEFAULT_ENVIRONMENTS.includes(name) ? DEFAULT_ENVIRONMENTS.indexOf(name) : DEFAULT_ENVIRONMENTS.length);
+    return names.sort((a, b) => rank(a) - rank(b) || a.localeCompare(b));
+}
+
+/**
+ * Load a package from the node_modules of a project, such as the AWS SDK clients that the
+ * project depends on and sam-smith does not
+ * @param {string} projectPath - Absolute path to the project
+ * @param {string} name - Package name
+ * @returns {Object} The exports of the package
+ */
+export function requireFromProject(projectPath, name) {
+    const require = createRequire(path.join(projectPath, 'package.json'));
+    try {
+        return require(name);
+    } catch (error) {
+        if (error.code !== 'MODULE_NOT_FOUND') {
+            throw error;
+        }
+        throw new Error(`${name} is not installed in ${projectPath}. Run npm install ${name} there first.`);
+    }
+}
+
+/**
+ * Name of the stack of an environment, as in its samconfig.toml section
+ * @param {ProjectState} state - Project state
+ * @param {string} [environment] - Environment (default: the environment read)
+ * @returns {string}
+ */
+export function getStackName(state, environment = state.environment) {
+    return `sam-smith-${state.name}-${environment}`;
+}
+
+/**
+ * Parse the content of a .env file. Values are kept as written (no quote handling).
+ * Comments right above a variable annotate it:
+ * - `# @secret` marks it as a secret, kept in SSM (`# @secret ssm`, the default) or in
+ *   Secrets Manager (`# @secret secretsmanager`)
+ * - `# @lambda orders` gives its value to the given Lambdas only (`# @lambda orders payments`):
+ *   the variable is read by them alone, or overrides the shared variable of the same name
+ * @param {string} content - Content of the .env file
+ * @param {string} [file] - Name of the file, for the errors (default: .env)
+ * @returns {{environment: string|null, variables: Object<string, string>, secrets: Object<string, SecretStore>, lambdas: Object<string, Object<string, string>>}}
+ */
+export function parseEnvFile(content, file = '.env') {
+    let environment = null;
+    const variables = {};
+    const secrets = {};
+    const lambdas = {};
+    let secretStore = null;
+    let lambdaNames = [];
+
+    content.split('\n').forEach((line, index) => {
+        line = line.trim();
+        const annotation = line.match(/^#\s*@secret\b\s*(\S*)/);
+        if (annotation) {
+            secretStore = annotation[1] || SECRET_STORES[0];
+            if (!SECRET_STORES.includes(secretStore)) {
+                throw new Error(`${file} line ${index + 1}: unknown secret store '${secretStore}'. Use ${SECRET_STORES.join(' or ')}.`);
+            }
+            return;
+        }
+        const lambdaAnnotation = line.match(/^#\s*@lambda\b(.*)$/);
+        if (lambdaAnnotation) {
+            lambdaNames = lambdaAnnotation[1].split(/[\s,]+/).filter(Boolean);
+            if (lambdaNames.length === 0) {
+                throw new Error(`${file} line ${index + 1}: @lambda needs the name of a Lambda.`);
+            }
+            return;
+        }
+        if (line && !line.startsWith('#')) {
+            const [key, ...valueParts] = line.split('=');
+            const value = valueParts.join('=').trim();
+            if (lambdaNames.length > 0 && secretStore) {
+                throw new Error(`${file} line ${index + 1}: ${key.trim()} cannot be both a secret and the variable of a Lambda.`);
+            }
+            if (key.trim() === 'ENVIRONMENT') {
+                environment = value;
+            } else if (key.trim() && lambdaNames.length > 0) {
+                lambdaNames.forEach(lambda => {
+                    lambdas[lambda] = { ...lambdas[lambda], [key.trim()]: value };
+                });
+            } else if (key.trim()) {
+                variables[key.trim()] = value;
+                if (secretStore) {
+                    secrets[key.trim()] = secretStore;
+                }
+            }
+        }
+        // The annotations apply to the line right below them
+        secretStore = null;
+        lambdaNames = [];
+    });
+
+    return { environment, variables, secrets, lambdas };
+}
+
+/**
+ * Change writing a file
+ * @param {string} filePath - Path relative to the project
+ * @param {string} content - File content
+ * @returns {Change}
+ */
+export function writeChange(filePath, content) {
+    return { type: 'write', path: toProjectPath(filePath), content };
+}
+
+/**
+ * Change deleting a file or a directory
+ * @param {string} filePath - Path relative to the project
+ * @returns {Change}
+ */
+export function deleteChange(filePath) {
+    return { type: 'delete', path: toProjectPath(filePath) };
+}
+
+/**
+ * Change writing template.yaml
+ * @param {import('yaml').Document} doc - Template document
+ * @returns {Change}
+ */
+export function templateChange(doc) {
+    return writeChange('template.yaml', stringifyTemplate(doc));
+}
+
+/**
+ * Changes copying a directory, one write per file
+ * @param {string} sourceDir - Absolute path to the directory to copy
+ * @param {string} destination - Destination relative to the project
+ * @param {(content: string) => string} [transform] - Applied to the content of every file
+ * @returns {Promise<Change[]>}
+ */
+export async function copyChanges(sourceDir, destination, transform = content => content) {
+    const changes = [];
+    for (const entry of await fs.readdir(sourceDir, { withFileTypes: true })) {
+        const sourcePath = path.join(sourceDir, entry.name);
+        const destinationPath = path.join(destination, entry.name);
+        if (entry.isDirectory()) {
+            changes.push(...await copyChanges(sourcePath, destinationPath, transform));
+        } else {
+            changes.push(writeChange(destinationPath, transform(await fs.readFile(sourcePath, 'utf8'))));
+        }
+    }
+    return changes;
+}
+
+/**
+ * Write the changes of an operation to disk, all or nothing. Every file is first staged
+ * in STAGING_DIR, then moved in place; the files replaced or deleted are kept aside
+ * until the end, so that any failure puts the project back as it was. When the project
+ * cannot be put back, the staging directory holding the original files is kept
+ * @param {string} projectPath - Absolute path to the project
+ * @param {Change[]} changes - Changes returned by an operation
+ * @returns {Promise<void>}
+ */
+export async function applyChanges(projectPath, changes) {
+    const stagingPath = path.join(projectPath, STAGING_DIR, String(process.pid));
+    const undoSteps = [];
+    let stagingKept = false;
+
+    try {
+        // Stage: nothing in the project is touched if a file cannot be written
+        for (const [index, change] of changes.entries()) {
+            if (change.type === 'write') {
+                await fs.outputFile(path.join(stagingPath, 'files', String(index)), change.content);
+            } else if (change.type !== 'delete') {
+                throw new Error(`Unknown change type '${change.type}' for ${change.path}`);
+            }
+        }
+
+        // Commit
+        for (const [index, change] of changes.entries()) {
+            const target = path.join(projectPath, change.path);
+
+            if (await fs.pathExists(target)) {
+                const backup = path.join(stagingPath, 'backup', String(index));
+                await fs.move(target, backup);
+                undoSteps.push(() => fs.move(backup, target));
+            }
+
+            if (change.type === 'write') {
+                const createdDir = await firstMissingDir(projectPath, path.dirname(target));
+                await fs.ensureDir(path.dirname(target));
+                if (createdDir) {
+                    undoSteps.push(() => fs.remove(createdDir));
+                }
+                await fs.move(path.join(stagingPath, 'files', String(index)), target);
+                undoSteps.push(() => fs.remove(target));
+            }
+        }
+    } catch (error) {
+        // Every step is tried: one that fails must not leave the others undone
+        let undone = true;
+        for (const undoStep of undoSteps.reverse()) {
+            try {
+                await undoStep();
+            } catch {
+                undone = false;
+            }
+        }
+        if (!undone) {
+            // The staging directory holds the backups of the files that could not be put back
+            stagingKept = true;
+            throw new Error(`${error.message}. The project could not be fully restored: the original files are kept in ${stagingPath}`, { cause: error });
+        }
+        throw error;
+    } finally {
+        if (!stagingKept) {
+            await fs.remove(stagingPath);
+            await removeEmptyDirs(projectPath, path.dirname(stagingPath));
+        }
+    }
+}
+
+/**
+ * Remove a directory and its parents while they are empty, up to the project directory
+ * @param {string} projectPath - Absolute path to the project
+ * @param {string} dirPath - Absolute path to the directory
+ * @returns {Promise<void>}
+ */
+export async function removeEmptyDirs(projectPath, dirPath) {
+    while (dirPath.startsWith(projectPath + path.sep)
+        && await fs.pathExists(dirPath)
+        && (await fs.readdir(dirPath)).length === 0) {
+        await fs.remove(dirPath);
+        dirPath = path.dirname(dirPath);
+    }
+}
+
+/**
+ * Load a project, run an operation on it and write its changes
+ * @param {string} projectPath - Absolute path to the project
+ * @param {(state: ProjectState, options: Object) => Promise<Change[]>} operation - Operation from operations.js
+ * @param {Object} [options] - Options of the operation
+ * @returns {Promise<Change[]>} The applied changes
+ */
+export async function runOperation(projectPath, operation, options = {}) {
+    const state = await loadProject(projectPath);
+    const changes = await operation(state, options);
+    await applyChanges(projectPath, changes);
+    return changes;
+}
+
+/**
+ * Highest directory of dirPath that does not exist yet, null when dirPath exists
+ */
+async function firstMissingDir(projectPath, dirPath) {
+    let missing = null;
+    while (dirPath.startsWith(projectPath + path.sep) && !await fs.pathExists(dirPath)) {
+        missing = dirPath;
+        dirPath = path.dirname(dirPath);
+    }
+    return missing;
+}
+
+function toProjectPath(filePath) {
+    return filePath.split(path.sep).join('/');
+}
@@ -0,0 +1,149 @@
+// ---------------------------------------------------------------------------
+// samconfig.toml has one config env per environment: `sam deploy --config-env prod`
+// reads [prod.deploy.parameters]. Only the lines sam-smith owns are edited, the
+// rest of the file is kept as written.
+// ---------------------------------------------------------------------------
+
+/**
+ * Deploy parameters of an environment
+ * @typedef {Object} SamconfigEnvironment
+ * @property {string} stackName - Stack name
+ * @property {string} region - AWS region
+ * @property {Object<string, string>} [overrides] - Template parameters, as parameter_overrides
+ */
+
+/**
+ * Content of a samconfig.toml with a section per environment
+ * @param {Object<string, SamconfigEnvironment>} environments - { environment: parameters }
+ * @returns {string}
+ */
+export function createSamconfig(environments) {
+    return Object.entries(environments)
+        .reduce((content, [environment, parameters]) => setSamconfigEnvironment(content, environment, parameters), 'version = 0.1\n');
+}
+
+/**
+ * Environments having a `[<environment>.deploy.parameters]` section
+ * @param {string} content - Content of samconfig.toml
+ * @returns {string[]}
+ */
+export function getSamconfigEnvironments(content) {
+    return [...content.matchAll(/^\[([A-Za-z0-9_-]+)\.deploy\.parameters\]\s*$/gm)].map(match => match[1]);
+}
+
+/**
+ * Value of a key of the deploy parameters of an environment, or null
+ * @param {string} content - Content of samconfig.toml
+ * @param {string} environment - Environment
+ * @param {string} key - Key (stack_name, region...)
+ * @returns {string|null}
+ */
+export function getSamconfigValue(content, environment, key) {
+    const { lines, start, end } = findSection(content, environment);
+    if (start === -1) {
+        return null;
+    }
+    const line = lines.slice(start + 1, end).find(other => other.startsWith(`${key} =`));
+    return line ? parseTomlString(line.slice(key.length + 2).trim()) : null;
+}
+
+/**
+ * parameter_overrides of an environment as { Parameter: value } ({} when there are none),
+ * or null when samconfig.toml has no section for the environment
+ * @param {string} content - Content of samconfig.toml
+ * @param {string} environment - Environment
+ * @returns {Object<string, string>|null}
+ */
+export function getParameterOverrides(content, environment) {
+    if (findSection(content, environment).start === -1) {
+        return null;
+    }
+    const value = getSamconfigValue(content, environment, 'parameter_overrides');
+    const overrides = {};
+    for (const match of (value ?? '').matchAll(/(\w+)="((?:[^"\\]|\\.)*)"/g)) {
+        overrides[match[1]] = match[2].replace(/\\(.)/g, '$1');
+    }
+    return overrides;
+}
+
+/**
+ * Add the section of an environment when it is missing, and set its parameter_overrides.
+ * The stack name and region of an existing section are kept
+ * @param {string} content - Content of samconfig.toml
+ * @param {string} environment - Environment
+ * @param {SamconfigEnvironment} parameters - Deploy parameters
+ * @returns {string} New content
+ */
+export function setSamconfigEnvironment(content, environment, { stackName, region, overrides = {} }) {
+    let { lines, start, end } = findSection(content, environment);
+    if (start === -1) {
+        const section = [
+            `[${environment}]`,
+            `[${environment}.deploy]`,
+            `[${environment}.deploy.parameters]`,
+            `stack_name = ${tomlString(stackName)}`,
+            `s3_prefix = ${tomlString(stackName)}`,
+            `region = ${tomlString(region)}`,
+            'confirm_changeset = true',
+            'capabilities = "CAPABILITY_IAM"',
+            'disable_rollback = false',
+            'image_repositories = []',
+            'resolve_s3 = true',
+        ];
+        while (lines.length > 0 && lines[lines.length - 1] === '') {
+            lines.pop();
+        }
+        lines = [...lines, '', ...section];
+        start = lines.length - section.length + 2;
+        end = lines.length;
+    }
+
+    const index = lines.findIndex((line, i) => i > start && i < end && line.startsWith('parameter_overrides ='));
+    const line = `parameter_overrides = ${tomlString(formatParameterOverrides(overrides))}`;
+    if (Object.keys(overrides).length === 0) {
+        if (index !== -1) {
+            lines.splice(index, 1);
+        }
+    } else if (index !== -1) {
+        lines[index] = line;
+    } else {
+        let last = end;
+        while (last > start + 1 && lines[last - 1] === '') {
+            last--;
+        }
+        lines.splice(last, 0, line);
+    }
+    return `${lines.join('\n').replace(/\n+$/, '')}\n`;
+}
+
+/**
+ * parameter_overrides string of the SAM CLI: `Name="value" Other="value"`
+ * @param {Object<string, string>} overrides - { Parameter: value }
+ * @returns {string}
+ */
+export function formatParameterOverrides(overrides) {
+    return Object.entries(overrides)
+        .map(([name, value]) => `${name}="${String(value).replace(/[\\"]/g, '\\$&')}"`)
+        .join(' ');
+}
+
+// Lines of the file, and the lines of the deploy parameters of an environment: from its
+// header (start, -1 when missing) to the next section (end)
+function findSection(content, environment) {
+    const lines = content.split('\n');
+    const start = lines.findIndex(line => line.trim() === `[${environment}.deploy.parameters]`);
+    if (start === -1) {
+        return { lines, start, end: -1 };
+    }
+    const next = lines.findIndex((line, index) => index > start && line.startsWith('['));
+    return { lines, start, end: next === -1 ? lines.length : next };
+}
+
+function tomlString(value) {
+    return `"${value.replace(/[\\"]/g, '\\$&')}"`;
+}
+
+function parseTomlString(value) {
+    const match = value.match(/^"((?:[^"\\]|\\.)*)"/);
+    return match ? match[1].replace(/\\(.)/g, '$1') : value;
+}
@@ -0,0 +1,118 @@
+import chalk from 'chalk';
+import { loadProject, requireFromProject } from './project.js';
+import { getSecretLocation, getSecretParameters } from './template.js';
+
+/**
+ * Secret variable of .env and where it is kept in AWS
+ * @typedef {Object} ProjectSecret
+ * @property {string} name - Variable name
+ * @property {import('./project.js').SecretStore} store - Secret store
+ * @property {string} id - SSM parameter name or Secrets Manager secret name
+ * @property {string} value - Value of .env
+ * @property {boolean} declared - Whether template.yaml has its `Secret<NAME>` parameter in this store
+ */
+
+/**
+ * Read the secret variables of the environment read, the variables marked `# @secret` in
+ * .env or .env.<environment>
+ * @param {import('./project.js').ProjectState} state - Project state
+ * @param {Object} [options]
+ * @param {string[]} [options.names] - Secrets to read (default: every secret of .env)
+ * @returns {ProjectSecret[]}
+ */
+export function readSecrets(state, options = {}) {
+    const { names } = options;
+    if (!state.hasEnvFile) {
+        throw new Error('.env not found');
+    }
+
+    const secretNames = Object.keys(state.secrets);
+    for (const name of names ?? []) {
+        if (!secretNames.includes(name)) {
+            throw new Error(Object.hasOwn(state.env, name)
+                ? `${name} is not a secret. Add '# @secret' on the line above it in .env.`
+                : `${name} not found in .env. Secrets: ${secretNames.join(', ') || 'none'}.`);
+        }
+    }
+
+    const declared = getSecretParameters(state.template);
+    const context = { environment: state.environment, projectName: state.name };
+    return secretNames
+        .filter(name => !names || names.includes(name))
+        .map(name => {
+            if (state.env[name] === '') {
+                throw new Error(`Secret ${name} has no value in .env.`);
+            }
+            const { store, id } = getSecretLocation(state.secrets[name], name, context);
+            return {
+                name,
+                store,
+                id,
+                value: state.env[name],
+                declared: Boolean(declared[name]) && declared[name].store === store,
+            };
+        });
+}
+
+/**
+ * Writer of the AWS SDK: SecureString parameters are put in SSM, overwriting the previous
+ * value; Secrets Manager secrets get a new version, and are created the first time
+ * @param {string} projectPath - Absolute path to the project, whose AWS SDK clients are used
+ * @returns {Promise<(secret: ProjectSecret) => Promise<void>>}
+ */
+export async function sdkSecretWriter(projectPath) {
+    const ssmSdk = requireFromProject(projectPath, '@aws-sdk/client-ssm');
+    const secretsManagerSdk = requireFromProject(projectPath, '@aws-sdk/client-secrets-manager');
+
+    const ssm = new ssmSdk.SSMClient({});
+    const secretsManager = new secretsManagerSdk.SecretsManagerClient({});
+    return async ({ store, id, value }) => {
+        if (store === 'ssm') {
+            await ssm.send(new ssmSdk.PutParameterCommand({ Name: id, Value: value, Type: 'SecureString', Overwrite: true }));
+            return;
+        }
+        try {
+            await secretsManager.send(new secretsManagerSdk.PutSecretValueCommand({ SecretId: id, SecretString: value }));
+        } catch (error) {
+            if (error.name !== 'ResourceNotFoundException') {
+                throw error;
+            }
+            await secretsManager.send(new secretsManagerSdk.CreateSecretCommand({ Name: id, SecretString: value }));
+        }
+    };
+}
+
+/**
+ * Push the secret variables of an environment to SSM or Secrets Manager
+ * (`sam-smith secrets push`). Values are never printed
+ * @param {string} projectPath - Absolute path to the project
+ * @param {Object} [options]
+ * @param {string[]} [options.names] - Secrets to push (default: every secret of the environment)
+ * @param {string} [options.environment] - Environment (default: ENVIRONMENT of .env)
+ * @param {boolean} [options.dryRun] - List the secrets without pushing them
+ * @returns {Promise<ProjectSecret[]>} The secrets
+ */
+export async function pushSecrets(projectPath, options = {}) {
+    const { names, environment, dryRun = false } = options;
+    const secrets = readSecrets(await loadProject(projectPath, { environment }), { names });
+    if (secrets.length === 0) {
+        throw new Error('No secrets found in .env. Mark a variable with \'# @secret\' on the line above it.');
+    }
+
+    if (dryRun) {
+        secrets.forEach(({ name, store, id }) => console.log(chalk.cyan(`${name} -> ${store}:${id}`)));
+        console.log(chalk.gray('\nDry run: nothing was pushed.'));
+    } else {
+        const writer = await sdkSecretWriter(projectPath);
+        for (const secret of secrets) {
+            await writer(secret);
+            console.log(chalk.green(`✓ Pushed ${secret.name} to ${secret.store}:${secret.id}`));
+        }
+    }
+
+    const undeclared = secrets.filter(secret => !secret.declared).map(secret => secret.name);
+    if (undeclared.length > 0) {
+        console.log(chalk.yellow(`template.yaml does not read ${undeclared.join(', ')} from there yet. Run npm run sam-smith:update to sync the environment variables.`));
+    }
+    return secrets;
+}
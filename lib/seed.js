@@ -0,0 +1,283 @@
+import fs from 'fs-extra';
+import path from 'path';
+import YAML from 'yaml';
+import chalk from 'chalk';
+import { loadProject, getStackName, requireFromProject } from './project.js';
+import { getResourceNames, getTableKeys, getTableIndexes, getTableName } from './template.js';
+
+/**
+ * Directory of the seed files, relative to the project: one `<table>.json`, `<table>.yaml`
+ * or `<table>.yml` per table, holding a list of items
+ */
+export const SEEDS_DIR = 'seeds';
+
+const SEED_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+// Items per BatchWriteItem request, and requests sent again for the unprocessed items
+const BATCH_SIZE = 25;
+const MAX_ATTEMPTS = 8;
+
+/**
+ * Seed items of a table, checked against its keys
+ * @typedef {Object} TableSeed
+ * @property {string} table - Logical id of the table
+ * @property {string} tableName - Table name, as in the stack (sam-smith-<project>-<env>-<table>)
+ * @property {string} file - Seed file, relative to the project
+ * @property {Object[]} items - Items with their composite key attributes computed
+ */
+
+/**
+ * Read and check the seed files of a project
+ * @param {import('./project.js').ProjectState} state - Project state
+ * @param {Object} [options]
+ * @param {string[]} [options.tables] - Tables to seed, each needing a seed file (default: every table with one)
+ * @returns {Promise<TableSeed[]>}
+ */
+export async function readSeeds(state, options = {}) {
+    const { tables } = options;
+    const seedsPath = path.join(state.path, SEEDS_DIR);
+    const files = await fs.pathExists(seedsPath)
+        ? (await fs.readdir(seedsPath)).filter(file => SEED_EXTENSIONS.includes(path.extname(file))).sort()
+        : [];
+
+    const tableNames = getResourceNames(state.template, 'AWS::DynamoDB::Table');
+    const filesByTable = new Map();
+    for (const file of files) {
+        const table = path.basename(file, path.extname(file));
+        if (!tableNames.includes(table)) {
+            throw new Error(`${SEEDS_DIR}/${file}: table '${table}' not found in template.yaml. Available: ${tableNames.join(', ') || 'none'}.`);
+        }
+        if (filesByTable.has(table)) {
+            throw new Error(`Table '${table}' has two seed files: ${SEEDS_DIR}/${filesByTable.get(table)} and ${SEEDS_DIR}/${file}. Keep one.`);
+        }
+        filesByTable.set(table, file);
+    }
+
+    for (const table of tables ?? []) {
+        if (!tableNames.includes(table)) {
+            throw new Error(`Table '${table}' not found. Available: ${tableNames.join(', ') || 'none'}.`);
+        }
+        if (!filesByTable.has(table)) {
+            throw new Error(`Table '${table}' has no seed file. Add ${SEEDS_DIR}/${table}.json or ${SEEDS_DIR}/${table}.yaml.`);
+        }
+    }
+
+    const seeds = [];
+    for (const [table, file] of filesByTable) {
+        if (tables && !tables.includes(table)) {
+            continue;
+        }
+        const relativePath = `${SEEDS_DIR}/${file}`;
+        let items;
+        try {
+            items = YAML.parse(await fs.readFile(path.join(seedsPath, file), 'utf8'));
+        } catch (error) {
+            throw new Error(`${relativePath} is not valid ${path.extname(file) === '.json' ? 'JSON' : 'YAML'}: ${error.message}`);
+        }
+        seeds.push({
+            table,
+            tableName: getTableName(state.template, table, getStackName(state)),
+            file: relativePath,
+            items: buildSeedItems(state.template, table, items, relativePath),
+        });
+    }
+    return seeds;
+}
+
+/**
+ * Check seed items against the keys of a table and compute their composite key attributes:
+ * `userId#region` is the `userId` and `region` of the item joined by '#', as the table
+ * repositories store it. The composite keys of the indexes are computed when the item has
+ * all their parts, since items without an index key are left out of the index
+ * @param {import('yaml').Document} doc - Template document
+ * @param {string} table - Logical id of the table
+ * @param {unknown} items - Parsed content of the seed file
+ * @param {string} file - Seed file, for the error messages
+ * @returns {Object[]} Items with their key attributes
+ */
+export function buildSeedItems(doc, table, items, file) {
+    if (!Array.isArray(items)) {
+        throw new Error(`${file} must hold a list of items.`);
+    }
+
+    const { partitionKey, sortKey } = getTableKeys(doc, table);
+    const tableKeys = [partitionKey, sortKey].filter(Boolean);
+    // An index key of a single attribute is that attribute: only those joined from several are built
+    const indexKeys = getTableIndexes(doc, table)
+        .flatMap(index => [index.partitionKey, index.sortKey])
+        .filter(key => key && key.includes('#') && !tableKeys.includes(key));
+    const seen = new Map();
+
+    return items.map((item, i) => {
+        const where = `${file} item ${i + 1}`;
+        if (item === null || typeof item !== 'object' || Array.isArray(item)) {
+            throw new Error(`${where} is not an object.`);
+        }
+
+        const built = { ...item };
+        for (const key of tableKeys) {
+            const missing = key.split('#').filter(part => built[part] === undefined);
+            if (missing.length > 0) {
+                const label = key === partitionKey ? 'partition' : 'sort';
+                throw new Error(`${where}: missing ${missing.map(part => `'${part}'`).join(', ')} of the ${label} key '${key}'.`);
+            }
+            built[key] = keyValue(built, key, where);
+        }
+        for (const key of [...new Set(indexKeys)]) {
+            if (key.split('#').every(part => built[part] !== undefined)) {
+                built[key] = keyValue(built, key, where, { numbers: true });
+            }
+        }
+
+        const id = JSON.stringify(tableKeys.map(key => built[key]));
+        if (seen.has(id)) {
+            throw new Error(`${where} has the keys of item ${seen.get(id)}: ${tableKeys.map(key => `${key} = '${built[key]}'`).join(', ')}.`);
+        }
+        seen.set(id, i + 1);
+        return built;
+    });
+}
+
+// Value of a key attribute: its parts are non-empty strings (or numbers, for the index keys
+// the repositories join), and a composite attribute given in the item must match them
+function keyValue(item, key, where, { numbers = false } = {}) {
+    const parts = key.split('#').map(part => {
+        const value = numbers && typeof item[part] === 'number' ? String(item[part]) : item[part];
+        if (typeof value !== 'string' || value === '') {
+            throw new Error(`${where}: key '${part}' must be a non-empty string${numbers ? ' or a number' : ''}.`);
+        }
+        if (key.includes('#') && value.includes('#')) {
+            throw new Error(`${where}: key '${part}' cannot contain '#', the separator of '${key}'.`);
+        }
+        return value;
+    });
+    const value = parts.join('#');
+    if (key.includes('#') && item[key] !== undefined && item[key] !== value) {
+        throw new Error(`${where}: '${key}' is '${item[key]}' but its keys make '${value}'. Leave it out, it is computed.`);
+    }
+    return value;
+}
+
+/**
+ * Item in the DynamoDB JSON format
+ * @param {Object} item - Plain item
+ * @returns {Object<string, Object>} Attribute values
+ */
+export function marshallItem(item) {
+    return Object.fromEntries(Object.entries(item).map(([name, value]) => [name, marshallValue(value, name)]));
+}
+
+function marshallValue(value, name) {
+    if (typeof value === 'string') {
+        return { S: value };
+    }
+    if (typeof value === 'number') {
+        if (!Number.isFinite(value)) {
+            throw new Error(`Attribute '${name}' is not a finite number.`);
+        }
+        return { N: String(value) };
+    }
+    if (typeof value === 'boolean') {
+        return { BOOL: value };
+    }
+    if (value === null) {
+        return { NULL: true };
+    }
+    if (Array.isArray(value)) {
+        return { L: value.map(member => marshallValue(member, name)) };
+    }
+    if (typeof value === 'object') {
+        return { M: marshallItem(value) };
+    }
+    throw new Error(`Attribute '${name}' has an unsupported value.`);
+}
+
+/**
+ * Write the seeds with BatchWriteItem requests of up to 25 items. The unprocessed items
+ * are sent again, waiting longer each time
+ * @param {TableSeed[]} seeds - Seeds to write
+ * @param {(requestItems: Object) => Promise<Object>} writeBatch - Sends a BatchWriteItem request and returns its UnprocessedItems
+ * @returns {Promise<void>}
+ */
+export async function writeSeeds(seeds, writeBatch) {
+    for (const { tableName, items } of seeds) {
+        for (let i = 0; i < items.length; i += BATCH_SIZE) {
+            let pending = { [tableName]: items.slice(i, i + BATCH_SIZE).map(item => ({ PutRequest: { Item: marshallItem(item) } })) };
+            for (let attempt = 1; Object.keys(pending).length > 0; attempt++) {
+                if (attempt > MAX_ATTEMPTS) {
+                    throw new Error(`Items of ${tableName} are still unprocessed after ${MAX_ATTEMPTS} attempts. Try again later.`);
+                }
+                if (attempt > 1) {
+                    await new Promise(resolve => setTimeout(resolve, 50 * 2 ** attempt));
+                }
+                pending = (await writeBatch(pending)) ?? {};
+            }
+        }
+    }
+}
+
+/**
+ * Batch writer of the in-process local DynamoDB
+ * @param {{execute: (operation: string, input: Object) => Object}} dynamo - Local DynamoDB (see dynamo-local.js)
+ * @returns {(requestItems: Object) => Promise<Object>}
+ */
+export function localSeedWriter(dynamo) {
+    return async (requestItems) => dynamo.execute('BatchWriteItem', { RequestItems: requestItems }).UnprocessedItems;
+}
+
+/**
+ * Batch writer of the AWS SDK, for the tables in AWS or at an endpoint such as the local
+ * DynamoDB served by `sam-smith dynamo-local`
+ * @param {string} projectPath - Absolute path to the project, whose @aws-sdk/client-dynamodb is used
+ * @param {string} [endpoint] - Endpoint URL overriding the one of the region
+ * @returns {Promise<(requestItems: Object) => Promise<Object>>}
+ */
+export async function sdkSeedWriter(projectPath, endpoint) {
+    const sdk = requireFromProject(projectPath, '@aws-sdk/client-dynamodb');
+
+    // A local endpoint needs a region and credentials, but never checks them
+    const local = endpoint && ['localhost', '127.0.0.1', 'host.docker.internal'].includes(new URL(endpoint).hostname);
+    const client = new sdk.DynamoDBClient({
+        ...(endpoint && { endpoint }),
+        ...(local && {
+            region: process.env.AWS_REGION ?? 'us-east-1',
+            credentials: { accessKeyId: 'local', secretAccessKey: 'local' },
+        }),
+    });
+    return async (requestItems) => {
+        const result = await client.send(new sdk.BatchWriteItemCommand({ RequestItems: requestItems }));
+        return result.UnprocessedItems;
+    };
+}
+
+/**
+ * Load the seed files of a project into its tables (`sam-smith seed`)
+ * @param {string} projectPath - Absolute path to the project
+ * @param {Object} [options]
+ * @param {string[]} [options.tables] - Tables to seed (default: every table with a seed file)
+ * @param {string} [options.endpoint] - DynamoDB endpoint, e.g. the local DynamoDB; the tables in AWS otherwise
+ * @param {boolean} [options.dryRun] - Check and list the seeds without writing them
+ * @returns {Promise<TableSeed[]>} The seeds
+ */
+export async function seedProject(projectPath, options = {}) {
+    const { tables, endpoint, dryRun = false } = options;
+    const seeds = await readSeeds(await loadProject(projectPath), { tables });
+    if (seeds.length === 0) {
+        throw new Error(`No seed files found. Add ${SEEDS_DIR}/<table>.json or ${SEEDS_DIR}/<table>.yaml with a list of items.`);
+    }
+
+    const target = endpoint ? ` at ${endpoint}` : '';
+    if (dryRun) {
+        for (const { tableName, file, items } of seeds) {
+            console.log(chalk.cyan(`${file}: ${items.length} item${items.length === 1 ? '' : 's'} for ${tableName}${target}`));
+        }
+        console.log(chalk.gray('\nDry run: nothing was written.'));
+        return seeds;
+    }
+
+    await writeSeeds(seeds, await sdkSeedWriter(projectPath, endpoint));
+    for (const { tableName, file, items } of seeds) {
+        console.log(chalk.green(`✓ Seeded ${tableName}${target} with ${items.length} item${items.length === 1 ? '' : 's'} from ${file}`));
+    }
+    return seeds;
+}
@@ -0,0 +1,3014 @@
+import fs from 'fs-extra';
+import { parseDocument, isMap, isSeq, isScalar, Scalar } from 'yaml';
+
+// CloudFormation short-form intrinsic functions (!Ref, !Sub, !GetAtt...)
+const INTRINSIC_FUNCTIONS = [
+    'Ref', 'Sub', 'GetAtt', 'If', 'Join', 'Select', 'Split', 'FindInMap', 'GetAZs',
+    'ImportValue', 'Base64', 'Cidr', 'Equals', 'Not', 'And', 'Or', 'Condition', 'Transform',
+];
+
+// Tagged nodes are kept as plain scalars / collections carrying their tag, so they
+// are written back exactly as they were read
+const customTags = INTRINSIC_FUNCTIONS.flatMap(name => [
+    { tag: `!${name}`, resolve: value => value },
+    { tag: `!${name}`, collection: 'seq', resolve: value => value },
+    { tag: `!${name}`, collection: 'map', resolve: value => value },
+]);
+
+// Canonical order of the Properties of an AWS::Serverless::Function
+const FUNCTION_PROPERTY_ORDER = [
+    'FunctionName', 'CodeUri', 'Handler', 'Runtime', 'Timeout', 'Architectures',
+    'Environment', 'Layers', 'Policies', 'Events',
+];
+
+// Canonical order of the Properties of an AWS::DynamoDB::Table
+const TABLE_PROPERTY_ORDER = [
+    'TableName', 'AttributeDefinitions', 'KeySchema', 'BillingMode', 'ProvisionedThroughput', 'TableClass',
+    'LocalSecondaryIndexes', 'GlobalSecondaryIndexes', 'StreamSpecification', 'TimeToLiveSpecification',
+    'PointInTimeRecoverySpecification', 'SSESpecification',
+];
+
+// Canonical order of the attributes of a resource
+const RESOURCE_ATTRIBUTE_ORDER = ['Type', 'Condition', 'DependsOn', 'DeletionPolicy', 'UpdateReplacePolicy', 'Metadata', 'Properties'];
+
+// SAM policy templates giving access to a queue, keyed by the property naming the queue
+const QUEUE_POLICIES = { SQSPollerPolicy: 'QueueName', SQSSendMessagePolicy: 'QueueName' };
+
+// SAM policy templates allowing to publish to a topic or an event bus
+const PUBLISH_POLICIES = { SNSPublishMessagePolicy: 'TopicName', EventBridgePutEventsPolicy: 'EventBusName' };
+
+// SAM policy templates reading a secret, by secret store
+const SECRET_POLICIES = { ssm: 'SSMParameterReadPolicy', secretsmanager: 'AWSSecretsManagerGetSecretValuePolicy' };
+
+// Environment segment of the SSM parameter names and secret names: /sam-smith/<environment>/...
+const ENVIRONMENT_SEGMENT = /^(\/?sam-smith\/)[^/]+\//;
+
+const CORS = {
+    AllowOrigin: "'*'",
+    AllowHeaders: "'Content-Type,Authorization'",
+    AllowMethods: "'GET,POST,PUT,DELETE,OPTIONS'",
+};
+
+/**
+ * Parse the content of a template.yaml into a YAML document.
+ * Comments, key order and quoting are kept so the document can be written back untouched
+ * @param {string} content - Content of template.yaml
+ * @returns {import('yaml').Document}
+ */
+export function parseTemplate(content) {
+    const doc = parseDocument(content, { customTags });
+    if (doc.errors.length > 0) {
+        throw new Error(`Invalid template.yaml: ${doc.errors[0].message}`);
+    }
+    if (!isMap(doc.contents)) {
+        throw new Error('Invalid template.yaml: expected a mapping at the top level');
+    }
+    return doc;
+}
+
+/**
+ * Serialize a template document back to YAML
+ * @param {import('yaml').Document} doc - Template document
+ * @returns {string}
+ */
+export function stringifyTemplate(doc) {
+    return doc.toString({ lineWidth: 0 });
+}
+
+/**
+ * Read and parse a template.yaml file
+ * @param {string} templatePath - Absolute path to template.yaml
+ * @returns {Promise<import('yaml').Document>}
+ */
+export async function readTemplate(templatePath) {
+    const content = await fs.readFile(templatePath, 'utf8');
+    return parseTemplate(content);
+}
+
+/**
+ * Write a template document to disk
+ * @param {string} templatePath - Absolute path to template.yaml
+ * @param {import('yaml').Document} doc - Template document
+ * @returns {Promise<void>}
+ */
+export async function writeTemplate(templatePath, doc) {
+    await fs.writeFile(templatePath, stringifyTemplate(doc));
+}
+
+// ---------------------------------------------------------------------------
+// Node helpers
+// ---------------------------------------------------------------------------
+
+function tagged(tag, value, type) {
+    const node = new Scalar(value);
+    node.tag = `!${tag}`;
+    if (type) {
+        node.type = type;
+    }
+    return node;
+}
+
+/**
+ * `!Ref name`
+ * @param {string} name - Logical id or parameter name
+ * @returns {Scalar}
+ */
+export function ref(name) {
+    return tagged('Ref', name);
+}
+
+/**
+ * `!Sub value`, optionally quoted
+ * @param {string} value - Substitution string
+ * @param {'single'|'double'} [quote] - Quote style
+ * @returns {Scalar}
+ */
+export function sub(value, quote) {
+    return tagged('Sub', value, quoteType(quote));
+}
+
+/**
+ * `!GetAtt value`
+ * @param {string} value - `Resource.Attribute`
+ * @returns {Scalar}
+ */
+export function getAtt(value) {
+    return tagged('GetAtt', value);
+}
+
+/**
+ * A quoted string scalar
+ * @param {string} value - String value
+ * @param {'single'|'double'} [quote] - Quote style (default: single)
+ * @returns {Scalar}
+ */
+export function quoted(value, quote = 'single') {
+    const node = new Scalar(String(value));
+    node.type = quoteType(quote);
+    return node;
+}
+
+function quoteType(quote) {
+    if (quote === 'single') return Scalar.QUOTE_SINGLE;
+    if (quote === 'double') return Scalar.QUOTE_DOUBLE;
+    return undefined;
+}
+
+/**
+ * Name referenced by a `!Ref` node, or null
+ * @param {*} node - YAML node
+ * @returns {string|null}
+ */
+export function getRefName(node) {
+    if (isScalar(node) && node.tag === '!Ref') {
+        return String(node.value);
+    }
+    return null;
+}
+
+/**
+ * String value of a scalar node (tags are ignored), or null
+ * @param {*} node - YAML node
+ * @returns {string|null}
+ */
+export function scalarValue(node) {
+    if (isScalar(node) && node.value !== null && node.value !== undefined) {
+        return String(node.value);
+    }
+    return null;
+}
+
+function getAttName(node) {
+    if (isScalar(node) && node.tag === '!GetAtt') {
+        return String(node.value).split('.')[0];
+    }
+    return null;
+}
+
+function keyOf(pair) {
+    return isScalar(pair.key) ? String(pair.key.value) : String(pair.key);
+}
+
+function insertOrdered(doc, map, key, value, order) {
+    if (map.has(key)) {
+        map.set(key, doc.createNode(value));
+        return;
+    }
+    const rank = order.indexOf(key);
+    const index = rank === -1 ? -1 : map.items.findIndex(item => order.indexOf(keyOf(item)) > rank);
+    const pair = doc.createPair(key, value);
+    if (index === -1) {
+        map.items.push(pair);
+    } else {
+        map.items.splice(index, 0, pair);
+    }
+}
+
+function templatePair(doc, key, value) {
+    const pair = doc.createPair(key, value);
+    pair.key.spaceBefore = true;
+    return pair;
+}
+
+function findRefs(node, names) {
+    const found = getRefName(node);
+    if (found) {
+        names.add(found);
+    }
+    if (isScalar(node) && node.tag === '!GetAtt') {
+        names.add(String(node.value).split('.')[0]);
+    }
+    if (isScalar(node) && node.tag === '!Sub') {
+        for (const match of String(node.value).matchAll(/\$\{([a-zA-Z0-9]+)(?:\.[^}]*)?\}/g)) {
+            names.add(match[1]);
+        }
+    }
+    if (isMap(node)) {
+        for (const item of node.items) {
+            findRefs(item.value, names);
+        }
+    }
+    if (isSeq(node)) {
+        for (const item of node.items) {
+            findRefs(item, names);
+        }
+    }
+    return names;
+}
+
+/**
+ * Whether a node references a logical id through !Ref, !GetAtt or !Sub
+ * @param {*} node - YAML node
+ * @param {string} name - Logical id
+ * @returns {boolean}
+ */
+export function referencesResource(node, name) {
+    return findRefs(node, new Set()).has(name);
+}
+
+// ---------------------------------------------------------------------------
+// Resources
+// ---------------------------------------------------------------------------
+
+/**
+ * The Resources mapping of the template
+ * @param {import('yaml').Document} doc - Template document
+ * @returns {import('yaml').YAMLMap}
+ */
+export function getResources(doc) {
+    const resources = doc.get('Resources');
+    if (!isMap(resources)) {
+        throw new Error('Resources section not found in template.yaml');
+    }
+    return resources;
+}
+
+/**
+ * A resource mapping by logical id
+ * @param {import('yaml').Document} doc - Template document
+ * @param {string} name - Logical id
+ * @returns {import('yaml').YAMLMap|undefined}
+ */
+export function getResource(doc, name) {
+    const resource = getResources(doc).get(name);
+    return isMap(resource) ? resource : undefined;
+}
+
+/**
+ * Whether a resource exists
+ * @param {import('yaml').Document} doc - Template document
+ * @param {string} name - Logical id
+ * @returns {boolean}
+ */
+export function hasResource(doc, name) {
+    return getResource(doc, name) !== undefined;
+}
+
+/**
+ * Type of a resource, or null
+ * @param {import('yaml').Document} doc - Template document
+ * @param {string} name - Logical id
+ * @returns {string|null}
+ */
+export function getResourceType(doc, name) {
+    const resource = getResource(doc, name);
+    return resource ? scalarValue(resource.get('Type', true)) : null;
+}
+
+/**
+ * Logical ids of the resources, optionally filtered by type
+ * @param {import('yaml').Document} doc - Template document
+ * @param {string} [type] - Resource type (e.g. AWS::Serverless::Function)
+ * @returns {string[]}
+ */
+export function getResourceNames(doc, type) {
+    return getResources(doc).items
+        .map(keyOf)
+        .filter(name => !type || getResourceType(doc, name) === type);
+}
+
+/**
+ * Append a resource at the end of Resources, separated by a blank line
+ * @param {import('yaml').Document} doc - Template document
+ * @param {string} name - Logical id
+ * @param {Object} resource - Resource definition (plain values and/or YAML nodes)
+ * @param {Object} [options]
+ * @param {number} [options.index] - Position in Resources (default: last)
+ * @returns {void}
+ */
+export function addResource(doc, name, resource, options = {}) {
+    const resources = getResources(doc);
+    if (resources.has(name)) {
+        throw new Error(`Resource ${name} already exists in template.yaml`);
+    }
+    const pair = templatePair(doc, name, resource);
+    const index = options.index === undefined ? resources.items.length : options.index;
+
+    // The blank line after `Resources:` belongs to the mapping, not to its first key
+    if (index === 0 && resources.spaceBefore && resources.items.length > 0) {
+        pair.key.spaceBefore = false;
+        resources.items[0].key.spaceBefore = true;
+    }
+    resources.items.splice(index, 0, pair);
+}
+
+/**
+ * Remove a resource
+ * @param {import('yaml').Document} doc - Template document
+ * @param {string} name - Logical id
+ * @returns {boolean} Whether the resource existed
+ */
+export function removeResource(doc, name) {
+    const resources = getResources(doc);
+    const removed = resources.delete(name);
+    if (removed && resources.spaceBefore && resources.items.length > 0) {
+        resources.items[0].key.spaceBefore = false;
+    }
+    return removed;
+}
+
+/**
+ * Properties mapping of a resource, created if missing
+ * @param {import('yaml').Document} doc - Template document
+ * @param {string} name - Logical id
+ * @returns {import('yaml').YAMLMap}
+ */
+export function getProperties(doc, name) {
+    const resource = getResource(doc, name);
+    if (!resource) {
+        throw new Error(`Resource ${name} not found in template.yaml`);
+    }
+    let properties = resource.get('Properties');
+    if (!isMap(properties)) {
+        resource.set('Properties', doc.createNode({}));
+        properties = resource.get('Properties');
+    }
+    return properties;
+}
+
+/**
+ * Set a property of a resource. Function and table properties are kept in the canonical
+ * order used by the generated templates, other keys are appended
+ * @param {import('yaml').Document} doc - Template document
+ * @param {string} name - Logical id
+ * @param {string} key - Property name
+ * @param {*} value - Plain value or YAML node
+ * @returns {void}
+ */
+export function setProperty(doc, name, key, value) {
+    const orders = { 'AWS::Serverless::Function': FUNCTION_PROPERTY_ORDER, 'AWS::DynamoDB::Table': TABLE_PROPERTY_ORDER };
+    insertOrdered(doc, getProperties(doc, name), key, value, orders[getResourceType(doc, name)] ?? []);
+}
+
+/**
+ * Set an attribute of a resource (DeletionPolicy, UpdateReplacePolicy...), in the canonical order
+ * @param {import('yaml').Document} doc - Template document
+ * @param {string} name - Logical id
+ * @param {string} key - Attribute name
+ * @param {*} value - Plain value or YAML node
+ * @returns {void}
+ */
+export function setResourceAttribute(doc, name, key, value) {
+    const resource = getResource(doc, name);
+    if (!resource) {
+        throw new Error(`Resource ${name} not found in template.yaml`);
+    }
+    insertOrdered(doc, resource, key, value, RESOURCE_ATTRIBUTE_ORDER);
+}
+
+// ---------------------------------------------------------------------------
+// Functions
+// ---------------------------------------------------------------------------
+
+/**
+ * Logical ids of the AWS::Serverless::Function resources
+ * @param {import('yaml').Document} doc - Template document
+ * @returns {string[]}
+ */
+export function getFunctionNames(doc) {
+    return getResourceNames(doc, 'AWS::Serverless::Function');
+}
+
+/**
+ * Handler of a function (e.g. "orders/handler.orders"), or null
+ * @param {import('yaml').Document} doc - Template document
+ * @param {string} functionName - Logical id of the function
+ * @returns {string|null}
+ */
+export function getHandler(doc, functionName) {
+    return scalarValue(doc.getIn(['Resources', functionName, 'Properties', 'Handler'], true));
+}
+
+/**
+ * Architecture of the first function of the template
+ * @param {import('yaml').Document} doc - Template document
+ * @param {string} [fallback] - Value used when no function declares one
+ * @returns {string}
+ */
+export function getArchitecture(doc, fallback = 'arm64') {
+    for (const name of getFunctionNames(doc)) {
+        const architectures = doc.getIn(['Resources', name, 'Properties', 'Architectures']);
+        if (isSeq(architectures) && architectures.items.length > 0) {
+            return scalarValue(architectures.items[0]) || fallback;
+        }
+    }
+    return fallback;
+}
+
+/**
+ * Names referenced with `- !Ref` in a list property of a function (Layers, Policies)
+ * @param {import('yaml').Document} doc - Template document
+ * @param {string} functionName - Logical id of the function
+ * @param {string} key - Property name
+ * @returns {string[]}
+ */
+export function getRefList(doc, functionName, key) {
+    const list = doc.getIn(['Resources', functionName, 'Properties', key]);
+    if (!isSeq(list)) {
+        return [];
+    }
+    return list.items.map(getRefName).filter(Boolean);
+}
+
+/**
+ * Add `- !Ref name` entries to a list property of a function, creating it if needed
+ * @param {import('yaml').Document} doc - Template document
+ * @param {string} functionName - Logical id of the function
+ * @param {string} key - Property name (Layers, Policies)
+ * @param {string[]} names - Referenced names
+ * @returns {void}
+ */
+export function addRefs(doc, functionName, key, names) {
+    const list = doc.getIn(['Resources', functionName, 'Properties', key]);
+    const current = getRefList(doc, functionName, key);
+    const added = names.filter(name => !current.includes(name));
+    if (isSeq(list)) {
+        added.forEach(name => list.items.push(ref(name)));
+    } else if (added.length > 0) {
+        setProperty(doc, functionName, key, added.map(ref));
+    }
+}
+
+/**
+ * Remove `- !Ref name` entries from a list property of a function.
+ * The property is removed when it becomes empty
+ * @param {import('yaml').Document} doc - Template document
+ * @param {string} functionName - Logical id of the function
+ * @param {string} key - Property name (Layers, Policies)
+ * @param {string[]} names - Referenced names
+ * @returns {void}
+ */
+export function removeRefs(doc, functionName, key, names) {
+    const properties = getProperties(doc, functionName);
+    const list = properties.get(key);
+    if (!isSeq(list)) {
+        return;
+    }
+    list.items = list.items.filter(item => !names.includes(getRefName(item)));
+    if (list.items.length === 0) {
+        properties.delete(key);
+    }
+}
+
+/**
+ * Names of the environment variables of a function
+ * @param {import('yaml').Document} doc - Template document
+ * @param {string} functionName - Logical id of the function
+ * @returns {string[]}
+ */
+export function getEnvironmentVariables(doc, functionName) {
+    const variables = doc.getIn(['Resources', functionName, 'Properties', 'Environment', 'Variables']);
+    return isMap(variables) ? variables.items.map(keyOf) : [];
+}
+
+/**
+ * Offsets of the environment variables of a function in the source of the template, as
+ * { NAME: offset }. Variables added since the template was read have none
+ * @param {import('yaml').Document} doc - Template document
+ * @param {string} functionName - Logical id of the function
+ * @returns {Object<string, number>}
+ */
+export function getEnvironmentVariableOffsets(doc, functionName) {
+    const variables = doc.getIn(['Resources', functionName, 'Properties', 'Environment', 'Variables']);
+    if (!isMap(variables)) {
+        return {};
+    }
+    return Object.fromEntries(variables.items
+        .filter(item => item.key && item.key.range)
+        .map(item => [keyOf(item), item.key.range[0]]));
+}
+
+/**
+ * Names of the .env variables a function reads, through their `Env<NAME>` parameter, its own
+ * `<function>Env<NAME>` parameter or, for secrets, the `<NAME>_SECRET` location of their
+ * `Secret<NAME>` parameter
+ * @param {import('yaml').Document} doc - Template document
+ * @param {string} functionName - Logical id of the function
+ * @returns {string[]}
+ */
+export function getDeclaredVariables(doc, functionName) {
+    const variables = doc.getIn(['Resources', functionName, 'Properties', 'Environment', 'Variables']);
+    return isMap(variables) ? variables.items.map(item => declaredVariableOf(item, functionName)).filter(Boolean) : [];
+}
+
+// Name of the .env variable behind an environment variable entry of a function, or null
+function declaredVariableOf(item, functionName) {
+    const key = keyOf(item);
+    const refName = getRefName(item.value);
+    if (refName === `Env${key}` || refName === `${functionName}Env${key}`) {
+        return key;
+    }
+    return key.endsWith('_SECRET') && refName === `Secret${key.slice(0, -'_SECRET'.length)}`
+        ? key.slice(0, -'_SECRET'.length)
+        : null;
+}
+
+/**
+ * Replace the environment variables of a function with `NAME: !Ref EnvNAME` entries,
+ * `NAME: !Ref <function>EnvNAME` for the variables with a value of their own for the function,
+ * or `NAME_SECRET: !Ref SecretNAME` for the variables declared as secrets, whose read
+ * policies are added (and removed for the secrets no longer read). Variables set from
+ * resources (a bucket name...) are kept after them. The Environment block is removed
+ * when no variable is left
+ * @param {import('yaml').Document} doc - Template document
+ * @param {string} functionName - Logical id of the function
+ * @param {string[]} names - Variable names
+ * @returns {void}
+ */
+export function setEnvironmentVariables(doc, functionName, names) {
+    const properties = getProperties(doc, functionName);
+    const current = doc.getIn(['Resources', functionName, 'Properties', 'Environment', 'Variables']);
+    const secrets = getSecretParameters(doc);
+    const own = getLambdaParameters(doc)[functionName] ?? {};
+    const kept = isMap(current)
+        ? current.items.filter(item => !declaredVariableOf(item, functionName) && !names.includes(keyOf(item)))
+        : [];
+
+    properties.delete('Environment');
+    if (names.length > 0 || kept.length > 0) {
+        const variables = Object.fromEntries([
+            ...names.map(name => {
+                if (secrets[name]) {
+                    return [`${name}_SECRET`, ref(`Secret${name}`)];
+                }
+                return [name, ref(own[name] !== undefined ? `${functionName}Env${name}` : `Env${name}`)];
+            }),
+            ...kept.map(item => [keyOf(item), item.value]),
+        ]);
+        setProperty(doc, functionName, 'Environment', { Variables: variables });
+    }
+
+    setSecretPolicies(doc, functionName, names.filter(name => secrets[name]).map(name => secrets[name]));
+}
+
+/**
+ * Set one environment variable of a function to a value of the template
+ * (e.g. `!Sub` of a bucket name), creating the Environment block if needed
+ * @param {import('yaml').Document} doc - Template document
+ * @param {string} functionName - Logical id of the function
+ * @param {string} name - Variable name
+ * @param {*} value - Value (plain value or YAML node)
+ * @returns {void}
+ */
+export function setEnvironmentVariable(doc, functionName, name, value) {
+    const variables = doc.getIn(['Resources', functionName, 'Properties', 'Environment', 'Variables']);
+    if (isMap(variables)) {
+        variables.set(name, value);
+    } else {
+        setProperty(doc, functionName, 'Environment', { Variables: { [name]: value } });
+    }
+}
+
+/**
+ * Remove one environment variable of a function. The Environment block is removed
+ * when no variable is left
+ * @param {import('yaml').Document} doc - Template document
+ * @param {string} functionName - Logical id of the function
+ * @param {string} name - Variable name
+ * @returns {void}
+ */
+export function removeEnvironmentVariable(doc, functionName, name) {
+    const variables = doc.getIn(['Resources', functionName, 'Properties', 'Environment', 'Variables']);
+    if (!isMap(variables)) {
+        return;
+    }
+    variables.delete(name);
+    if (variables.items.length === 0) {
+        getProperties(doc, functionName).delete('Environment');
+    }
+}
+
+/**
+ * Add a function and its log group
+ * @param {import('yaml').Document} doc - Template document
+ * @param {string} lambdaName - Lambda name; the resource is `<lambdaName>Function`
+ * @param {Object} [options]
+ * @param {number|string} [options.timeout] - Timeout in seconds (default: 60)
+ * @param {string} [options.architecture] - Architecture (default: architecture of the template)
+ * @param {string[]} [options.envVars] - Environment variables referencing `Env<NAME>` parameters
+ * @returns {string} Logical id of the function
+ */
+export function addFunction(doc, lambdaName, options = {}) {
+    const { timeout = 60, architecture = getArchitecture(doc), envVars = [] } = options;
+    const functionName = `${lambdaName}Function`;
+
+    addResource(doc, functionName, {
+        Type: 'AWS::Serverless::Function',
+        Properties: {
+            FunctionName: sub(`\${AWS::StackName}-${functionName}`),
+            CodeUri: 'src/',
+            Handler: `${lambdaName}/handler.${lambdaName}`,
+            Runtime: 'nodejs20.x',
+            Timeout: Number(timeout),
+            Architectures: [architecture],
+        },
+        Metadata: buildMetadata(`${lambdaName}/handler.ts`),
+    });
+    setEnvironmentVariables(doc, functionName, envVars);
+    addLogGroup(doc, functionName);
+
+    return functionName;
+}
+
+function buildMetadata(entryPoint) {
+    return {
+        BuildMethod: 'esbuild',
+        BuildProperties: {
+            Minify: false,
+            Target: 'es2020',
+            Sourcemap: true,
+            EntryPoints: [entryPoint],
+            External: ['aws-sdk'],
+        },
+    };
+}
+
+function addLogGroup(doc, functionName) {
+    addResource(doc, `${functionName}LogGroup`, {
+        Type: 'AWS::Logs::LogGroup',
+        Properties: {
+            LogGroupName: sub(`/aws/lambda/\${${functionName}}`, 'single'),
+            RetentionInDays: 7,
+        },
+    });
+}
+
+/**
+ * Remove a function and its log group
+ * @param {import('yaml').Document} doc - Template document
+ * @param {string} functionName - Logical id of the function
+ * @returns {void}
+ */
+export function removeFunction(doc, functionName) {
+    getDeclaredVariables(doc, functionName).forEach(name => removeResource(doc, `${functionName}Param${name}`));
+    Object.keys(getLambdaParameters(doc)[functionName] ?? {}).forEach(name => deleteParameter(doc, `${functionName}Env${name}`));
+    removeResource(doc, functionName);
+    removeResource(doc, `${functionName}LogGroup`);
+}
+
+// ---------------------------------------------------------------------------
+// API Gateways and events
+// ---------------------------------------------------------------------------
+
+/**
+ * Api events of a function
+ * @param {import('yaml').Document} doc - Template document
+ * @param {string} functionName - Logical id of the function
+ * @returns {{name: string, api: string|null, path: string|null, method: string|null}[]}
+ */
+export function getApiEvents(doc, functionName) {
+    return getEventsOfType(doc, functionName, 'Api').map(([name, properties]) => {
+        const get = key => (isMap(properties) ? properties.get(key, true) : undefined);
+        return {
+            name,
+            api: getRefName(get('RestApiId')),
+            path: scalarValue(get('Path')),
+            method: scalarValue(get('Method')),
+        };
+    });
+}
+
+/**
+ * Build the API Gateway structure of a template:
+ * { apiName: { lambdaName: [{ eventName: { path, method } }] } }
+ * @param {import('yaml').Document} doc - Template document
+ * @returns {Object}
+ */
+export function getApiGateways(doc) {
+    const apiGateways = {};
+    for (const name of getResourceNames(doc, 'AWS::Serverless::Api')) {
+        apiGateways[name] = {};
+    }
+
+    for (const functionName of getFunctionNames(doc)) {
+        for (const event of getApiEvents(doc, functionName)) {
+            if (!event.api || !apiGateways[event.api]) {
+                continue;
+            }
+            if (!apiGateways[event.api][functionName]) {
+                apiGateways[event.api][functionName] = [];
+            }
+            apiGateways[event.api][functionName].push({
+                [event.name]: { path: event.path, method: event.method },
+            });
+        }
+    }
+
+    return apiGateways;
+}
+
+/**
+ * Add an Api event to a function. The event is placed first in Events and named
+ * `event<n>` with the first free number after the current event count
+ * @param {import('yaml').Document} doc - Template document
+ * @param {string} functionName - Logical id of the function
+ * @param {Object} endpoint
+ * @param {string} endpoint.api - Logical id of the API Gateway
+ * @param {string} endpoint.path - Path
+ * @param {string} endpoint.method - HTTP method
+ * @returns {string} Name of the new event
+ */
+export function addApiEvent(doc, functionName, { api, path, method }) {
+    return addEvent(doc, functionName, {
+        Type: 'Api',
+        Properties: {
+            RestApiId: ref(api),
+            Path: path,
+            Method: method.toLowerCase(),
+        },
+    });
+}
+
+/**
+ * Add an event first in the Events of a function, named `event<n>` with the first
+ * free number after the current event count
+ */
+function addEvent(doc, functionName, event) {
+    if (getResourceType(doc, functionName) !== 'AWS::Serverless::Function') {
+        throw new Error(`Lambda ${functionName} not found`);
+    }
+    const properties = getProperties(doc, functionName);
+    let events = properties.get('Events');
+    const names = isMap(events) ? events.items.map(keyOf) : [];
+
+    let count = names.length + 1;
+    while (names.includes(`event${count}`)) {
+        count++;
+    }
+    const eventName = `event${count}`;
+    const pair = doc.createPair(eventName, event);
+
+    if (isMap(events)) {
+        events.items.unshift(pair);
+    } else {
+        setProperty(doc, functionName, 'Events', {});
+        properties.get('Events').items.push(pair);
+    }
+
+    return eventName;
+}
+
+/**
+ * Events of a function of a given type, as [name, Properties mapping] entries
+ */
+function getEventsOfType(doc, functionName, type) {
+    const events = doc.getIn(['Resources', functionName, 'Properties', 'Events']);
+    if (!isMap(events)) {
+        return [];
+    }
+    return events.items
+        .filter(item => isMap(item.value) && scalarValue(item.value.get('Type', true)) === type)
+        .map(item => [keyOf(item), item.value.get('Properties')]);
+}
+
+/**
+ * Find the Api event of a function matching a gateway, path and method
+ * @param {import('yaml').Document} doc - Template document
+ * @param {string} functionName - Logical id of the function
+ * @param {Object} endpoint
+ * @param {string} endpoint.api - Logical id of the API Gateway
+ * @param {string} endpoint.path - Path
+ * @param {string} endpoint.method - HTTP method
+ * @returns {string|null} Name of the event
+ */
+export function findApiEvent(doc, functionName, { api, path, method }) {
+    const event = getApiEvents(doc, functionName).find(e =>
+        e.api === api &&
+        e.path === path &&
+        (e.method || '').toLowerCase() === method.toLowerCase()
+    );
+    return event ? event.name : null;
+}
+
+/**
+ * Update the path and method of an event
+ * @param {import('yaml').Document} doc - Template document
+ * @param {string} functionName - Logical id of the function
+ * @param {string} eventName - Event name
+ * @param {Object} endpoint
+ * @param {string} endpoint.path - New path
+ * @param {string} endpoint.method - New HTTP method
+ * @returns {void}
+ */
+export function updateApiEvent(doc, functionName, eventName, { path, method }) {
+    const properties = doc.getIn(['Resources', functionName, 'Properties', 'Events', eventName, 'Properties']);
+    if (!isMap(properties)) {
+        throw new Error(`Event ${eventName} not found in ${functionName}`);
+    }
+    properties.set('Path', path);
+    properties.set('Method', method.toLowerCase());
+}
+
+/**
+ * Remove events from a function. Events is removed when it becomes empty
+ * @param {import('yaml').Document} doc - Template document
+ * @param {string} functionName - Logical id of the function
+ * @param {string[]} eventNames - Event names
+ * @returns {void}
+ */
+export function removeEvents(doc, functionName, eventNames) {
+    const properties = getProperties(doc, functionName);
+    const events = properties.get('Events');
+    if (!isMap(events)) {
+        return;
+    }
+    eventNames.forEach(name => events.delete(name));
+    if (events.items.length === 0) {
+        properties.delete('Events');
+    }
+}
+
+/**
+ * Add an API Gateway and its `<name>Url` output
+ * @param {import('yaml').Document} doc - Template document
+ * @param {string} apiName - Logical id of the API Gateway
+ * @returns {void}
+ */
+export function addApiGateway(doc, apiName) {
+    addResource(doc, apiName, {
+        Type: 'AWS::Serverless::Api',
+        Properties: {
+            Name: sub(`\${AWS::StackName}-${apiName}`),
+            StageName: 'default',
+            Cors: Object.fromEntries(Object.entries(CORS).map(([key, value]) => [key, quoted(value, 'double')])),
+        },
+    });
+    addOutput(doc, `${apiName}Url`, {
+        Description: quoted('API Gateway endpoint URL', 'double'),
+        Value: sub(`https://\${${apiName}}.execute-api.\${AWS::Region}.amazonaws.com/default`, 'double'),
+    }, { first: true });
+}
+
+/**
+ * Remove an API Gateway, the events of every function pointing to it and the
+ * outputs referencing it
+ * @param {import('yaml').Document} doc - Template document
+ * @param {string} apiName - Logical id of the API Gateway
+ * @returns {{events: {functionName: string, eventName: string}[], outputs: string[]}} Removed events and outputs
+ */
+export function removeApiGateway(doc, apiName) {
+    const events = [];
+    for (const functionName of getFunctionNames(doc)) {
+        const eventNames = getApiEvents(doc, functionName)
+            .filter(event => event.api === apiName)
+            .map(event => event.name);
+        if (eventNames.length > 0) {
+            removeEvents(doc, functionName, eventNames);
+            eventNames.forEach(eventName => events.push({ functionName, eventName }));
+        }
+    }
+    removeResource(doc, apiName);
+    const outputs = removeOutputsReferencing(doc, apiName);
+    return { events, outputs };
+}
+
+/**
+ * Auth section of an API Gateway, or undefined
+ * @param {import('yaml').Document} doc - Template document
+ * @param {string} apiName - Logical id of the API Gateway
+ * @returns {import('yaml').YAMLMap|undefined}
+ */
+export function getApiAuth(doc, apiName) {
+    const auth = doc.getIn(['Resources', apiName, 'Properties', 'Auth']);
+    return isMap(auth) ? auth : undefined;
+}
+
+/**
+ * Add a Lambda authorizer reading the `Key` header to an API Gateway.
+ * BasicAuthorizerFunction and its log group are created when missing
+ * @param {import('yaml').Document} doc - Template document
+ * @param {string} apiName - Logical id of the API Gateway
+ * @returns {void}
+ */
+export function addBasicAuth(doc, apiName) {
+    if (getResourceType(doc, apiName) !== 'AWS::Serverless::Api') {
+        throw new Error(`API Gateway ${apiName} not found`);
+    }
+    if (getApiAuth(doc, apiName)) {
+        throw new Error(`API Gateway ${apiName} already has auth configured`);
+    }
+
+    if (!hasResource(doc, 'BasicAuthorizerFunction')) {
+        addResource(doc, 'BasicAuthorizerFunction', {
+            Type: 'AWS::Serverless::Function',
+            Properties: {
+                FunctionName: sub('${AWS::StackName}-BasicAuthorizerFunction'),
+                CodeUri: 'src/',
+                Handler: 'authorizer/authorizer.basicAuthorizer',
+                Runtime: 'nodejs20.x',
+                Timeout: 60,
+                Architectures: [getArchitecture(doc)],
+            },
+            Metadata: buildMetadata('authorizer/authorizer.ts'),
+        });
+        addLogGroup(doc, 'BasicAuthorizerFunction');
+    }
+
+    const properties = getProperties(doc, apiName);
+    const pair = doc.createPair('Auth', {
+        DefaultAuthorizer: 'BasicAuthorizer',
+        Authorizers: {
+            BasicAuthorizer: {
+                FunctionPayloadType: 'REQUEST',
+                FunctionArn: getAtt('BasicAuthorizerFunction.Arn'),
+                Identity: {
+                    Headers: ['Key'],
+                    ReauthorizeEvery: 0,
+                },
+            },
+        },
+    });
+    const stageIndex = properties.items.findIndex(item => keyOf(item) === 'StageName');
+    if (stageIndex === -1) {
+        throw new Error('Could not find StageName in API Gateway');
+    }
+    properties.items.splice(stageIndex + 1, 0, pair);
+}
+
+/**
+ * Add a Cognito authorizer to an API Gateway
+ * @param {import('yaml').Document} doc - Template document
+ * @param {string} apiName - Logical id of the API Gateway
+ * @param {string} userPoolName - Logical id of the user pool (e.g. mainUserPool)
+ * @returns {void}
+ */
+export function addCognitoAuth(doc, apiName, userPoolName) {
+    if (getResourceType(doc, apiName) !== 'AWS::Serverless::Api') {
+        throw new Error(`API Gateway ${apiName} not found`);
+    }
+    if (getApiAuth(doc, apiName)) {
+        throw new Error(`API Gateway ${apiName} already has auth configured`);
+    }
+    const properties = getProperties(doc, apiName);
+    properties.items.unshift(doc.createPair('Auth', {
+        DefaultAuthorizer: 'CognitoAuthorizer',
+        Authorizers: {
+            CognitoAuthorizer: {
+                UserPoolArn: getAtt(`${userPoolName}.Arn`),
+            },
+        },
+    }));
+}
+
+/**
+ * Remove the Auth section of an API Gateway. BasicAuthorizerFunction and its log group
+ * are removed as well when no other API Gateway uses them
+ * @param {import('yaml').Document} doc - Template document
+ * @param {string} apiName - Logical id of the API Gateway
+ * @returns {{removedAuthorizerFunction: boolean}}
+ */
+export function removeAuth(doc, apiName) {
+    getProperties(doc, apiName).delete('Auth');
+
+    const stillUsed = getResourceNames(doc, 'AWS::Serverless::Api')
+        .some(name => referencesResource(getResource(doc, name), 'BasicAuthorizerFunction'));
+
+    if (!stillUsed && hasResource(doc, 'BasicAuthorizerFunction')) {
+        removeFunction(doc, 'BasicAuthorizerFunction');
+        return { removedAuthorizerFunction: true };
+    }
+    return { removedAuthorizerFunction: false };
+}
+
+// ---------------------------------------------------------------------------
+// Cognito
+// ---------------------------------------------------------------------------
+
+/**
+ * Add a user pool, its client and their outputs
+ * @param {import('yaml').Document} doc - Template document
+ * @param {string} poolName - Pool name; resources are `<poolName>UserPool` and `<poolName>UserPoolClient`
+ * @returns {void}
+ */
+export function addUserPool(doc, poolName) {
+    const userPoolName = `${poolName}UserPool`;
+    const userPoolClientName = `${poolName}UserPoolClient`;
+
+    addResource(doc, userPoolName, {
+        Type: 'AWS::Cognito::UserPool',
+        Properties: {
+            UserPoolName: sub(`\${AWS::StackName}-${userPoolName}`),
+            AutoVerifiedAttributes: ['email'],
+            Policies: {
+                PasswordPolicy: {
+                    MinimumLength: 8,
+                    RequireLowercase: true,
+                    RequireNumbers: true,
+                    RequireSymbols: true,
+                    RequireUppercase: true,
+                },
+            },
+        },
+    });
+    addResource(doc, userPoolClientName, {
+        Type: 'AWS::Cognito::UserPoolClient',
+        Properties: {
+            ClientName: sub(`\${AWS::StackName}-${userPoolClientName}`),
+            UserPoolId: ref(userPoolName),
+            GenerateSecret: false,
+            ExplicitAuthFlows: ['ALLOW_USER_PASSWORD_AUTH', 'ALLOW_REFRESH_TOKEN_AUTH', 'ALLOW_USER_SRP_AUTH'],
+        },
+    });
+
+    addOutput(doc, `${userPoolName}Id`, {
+        Description: quoted('Cognito User Pool ID', 'double'),
+        Value: ref(userPoolName),
+    });
+    addOutput(doc, `${userPoolClientName}Id`, {
+        Description: quoted('Cognito User Pool Client ID', 'double'),
+        Value: ref(userPoolClientName),
+    });
+}
+
+/**
+ * Logical ids of the resources of a type whose UserPoolId is `!Ref <userPoolName>`
+ * @param {import('yaml').Document} doc - Template document
+ * @param {string} userPoolName - Logical id of the user pool
+ * @param {string} type - Resource type (e.g. AWS::Cognito::UserPoolGroup)
+ * @returns {string[]}
+ */
+export function getUserPoolResources(doc, userPoolName, type) {
+    return getResourceNames(doc, type).filter(name =>
+        getRefName(doc.getIn(['Resources', name, 'Properties', 'UserPoolId'], true)) === userPoolName
+    );
+}
+
+/**
+ * Add a group to a user pool
+ * @param {import('yaml').Document} doc - Template document
+ * @param {string} userPoolName - Logical id of the user pool
+ * @param {Object} group
+ * @param {string} group.name - Group name; the resource is `<name>UserPoolGroup`
+ * @param {string} group.description - Group description
+ * @param {number} group.precedence - Group precedence
+ * @returns {string} Logical id of the group
+ */
+export function addUserPoolGroup(doc, userPoolName, { name, description, precedence }) {
+    const groupName = `${name}UserPoolGroup`;
+    addResource(doc, groupName, {
+        Type: 'AWS::Cognito::UserPoolGroup',
+        Properties: {
+            GroupName: name,
+            Description: quoted(description, 'double'),
+            UserPoolId: ref(userPoolName),
+            Precedence: precedence,
+        },
+    });
+    return groupName;
+}
+
+// ---------------------------------------------------------------------------
+// Layers and tables
+// ---------------------------------------------------------------------------
+
+/**
+ * Add a layer built from `src/layers/<layerName>`
+ * @param {import('yaml').Document} doc - Template document
+ * @param {string} layerName - Logical id of the layer
+ * @returns {void}
+ */
+export function addLayer(doc, layerName) {
+    addResource(doc, layerName, {
+        Type: quoted('AWS::Serverless::LayerVersion'),
+        Properties: {
+            ContentUri: `./src/layers/${layerName}`,
+            CompatibleRuntimes: ['nodejs20.x'],
+        },
+    });
+}
+
+/**
+ * Folder a layer is built from (`./src/layers/<layerName>`), or null
+ * @param {import('yaml').Document} doc - Template document
+ * @param {string} layerName - Logical id of the layer
+ * @returns {string|null}
+ */
+export function getLayerPath(doc, layerName) {
+    return scalarValue(doc.getIn(['Resources', layerName, 'Properties', 'ContentUri'], true));
+}
+
+/**
+ * Add a DynamoDB table with its `<tableName>ReadPolicy` and `<tableName>WritePolicy` managed policies.
+ * Transactions are authorized by the actions on their items, plus ConditionCheckItem for their conditions
+ * @param {import('yaml').Document} doc - Template document
+ * @param {string} tableName - Logical id of the table
+ * @param {string} partitionKey - Partition key attribute
+ * @param {string} sortKey - Sort key attribute
+ * @param {Object} [options]
+ * @param {boolean} [options.batch] - Allow BatchGetItem and BatchWriteItem
+ * @param {boolean} [options.transactions] - Allow ConditionCheckItem, used by TransactWriteItems
+ * @returns {void}
+ */
+export function addTable(doc, tableName, partitionKey, sortKey, options = {}) {
+    const { batch = false, transactions = false } = options;
+    addResource(doc, tableName, {
+        Type: quoted('AWS::DynamoDB::Table'),
+        DeletionPolicy: 'Retain',
+        UpdateReplacePolicy: 'Retain',
+        Properties: {
+            TableName: sub(`\${AWS::StackName}-${tableName}`),
+            AttributeDefinitions: [
+                { AttributeName: partitionKey, AttributeType: quoted('S') },
+                { AttributeName: sortKey, AttributeType: quoted('S') },
+            ],
+            KeySchema: [
+                { AttributeName: partitionKey, KeyType: quoted('HASH') },
+                { AttributeName: sortKey, KeyType: quoted('RANGE') },
+            ],
+            BillingMode: 'PAY_PER_REQUEST',
+        },
+    });
+    addResource(doc, `${tableName}ReadPolicy`, tablePolicy(tableName, 'ReadPolicy', [
+        'dynamodb:Query',
+        'dynamodb:Scan',
+        'dynamodb:GetItem',
+        ...(batch ? ['dynamodb:BatchGetItem'] : []),
+    ]));
+    addResource(doc, `${tableName}WritePolicy`, tablePolicy(tableName, 'WritePolicy', [
+        'dynamodb:PutItem',
+        'dynamodb:UpdateItem',
+        'dynamodb:DeleteItem',
+        ...(batch ? ['dynamodb:BatchWriteItem'] : []),
+        ...(transactions ? ['dynamodb:ConditionCheckItem'] : []),
+    ]));
+}
+
+function tablePolicy(tableName, suffix, actions) {
+    return {
+        Type: 'AWS::IAM::ManagedPolicy',
+        Properties: {
+            ManagedPolicyName: sub(`\${AWS::StackName}-${tableName}${suffix}`),
+            PolicyDocument: {
+                Version: quoted('2012-10-17'),
+                Statement: [{
+                    Effect: 'Allow',
+                    Action: actions,
+                    Resource: getAtt(`${tableName}.Arn`),
+                }],
+            },
+        },
+    };
+}
+
+// Managed policies of a table. Tables created before the read/write split have a
+// single `<table>Policy` granting read and write access
+const TABLE_POLICY_SUFFIXES = ['ReadPolicy', 'WritePolicy', 'Policy'];
+
+/**
+ * Logical ids of the managed policies of a table present in the template
+ * @param {import('yaml').Document} doc - Template document
+ * @param {string} tableName - Logical id of the table
+ * @returns {string[]}
+ */
+export function getTablePolicies(doc, tableName) {
+    return TABLE_POLICY_SUFFIXES.map(suffix => `${tableName}${suffix}`).filter(name => hasResource(doc, name));
+}
+
+/**
+ * Remove a DynamoDB table, its managed policies and its autoscaling resources
+ * @param {import('yaml').Document} doc - Template document
+ * @param {string} tableName - Logical id of the table
+ * @returns {void}
+ */
+export function removeTable(doc, tableName) {
+    setTableAutoscaling(doc, tableName, null);
+    getTablePolicies(doc, tableName).forEach(policy => removeResource(doc, policy));
+    removeResource(doc, tableName);
+}
+
+/**
+ * Logical ids of the functions listing `!Ref name` in a list property
+ * @param {import('yaml').Document} doc - Template document
+ * @param {string} key - Property name (Layers, Policies)
+ * @param {string} name - Referenced name
+ * @returns {string[]}
+ */
+export function getFunctionsReferencing(doc, key, name) {
+    return getFunctionNames(doc).filter(functionName => getRefList(doc, functionName, key).includes(name));
+}
+
+/**
+ * Partition and sort key attributes of a table, from its KeySchema
+ * @param {import('yaml').Document} doc - Template document
+ * @param {string} tableName - Logical id of the table
+ * @returns {{partitionKey: string|null, sortKey: string|null}}
+ */
+export function getTableKeys(doc, tableName) {
+    const keySchema = doc.getIn(['Resources', tableName, 'Properties', 'KeySchema']);
+    const keyOfType = (type) => {
+        const item = isSeq(keySchema)
+            ? keySchema.items.find(key => isMap(key) && scalarValue(key.get('KeyType', true)) === type)
+            : null;
+        return item ? scalarValue(item.get('AttributeName', true)) : null;
+    };
+    return { partitionKey: keyOfType('HASH'), sortKey: keyOfType('RANGE') };
+}
+
+/**
+ * DynamoDB types of the key attributes of a table and its indexes, from its AttributeDefinitions
+ * @param {import('yaml').Document} doc - Template document
+ * @param {string} tableName - Logical id of the table
+ * @returns {Object<string, 'S'|'N'|'B'>}
+ */
+export function getTableAttributeTypes(doc, tableName) {
+    const definitions = doc.getIn(['Resources', tableName, 'Properties', 'AttributeDefinitions']);
+    return Object.fromEntries((isSeq(definitions) ? definitions.items.filter(isMap) : [])
+        .map(item => [scalarValue(item.get('AttributeName', true)), scalarValue(item.get('AttributeType', true))]));
+}
+
+// Template properties listing the secondary indexes of a table, by index type
+const INDEX_PROPERTIES = { global: 'GlobalSecondaryIndexes', local: 'LocalSecondaryIndexes' };
+
+/**
+ * Global and local secondary indexes of a table
+ * @param {import('yaml').Document} doc - Template document
+ * @param {string} tableName - Logical id of the table
+ * @returns {{name: string, type: 'global'|'local', partitionKey: string|null, sortKey: string|null, projection: string, nonKeyAttributes: string[]}[]}
+ */
+export function getTableIndexes(doc, tableName) {
+    return Object.entries(INDEX_PROPERTIES).flatMap(([type, property]) => {
+        const indexes = doc.getIn(['Resources', tableName, 'Properties', property]);
+        if (!isSeq(indexes)) {
+            return [];
+        }
+        return indexes.items.filter(isMap).map(index => {
+            const keySchema = index.get('KeySchema');
+            const keyOfType = (keyType) => {
+                const item = isSeq(keySchema)
+                    ? keySchema.items.find(key => isMap(key) && scalarValue(key.get('KeyType', true)) === keyType)
+                    : null;
+                return item ? scalarValue(item.get('AttributeName', true)) : null;
+            };
+            const nonKeyAttributes = index.getIn(['Projection', 'NonKeyAttributes']);
+            return {
+                name: scalarValue(index.get('IndexName', true)),
+                type,
+                partitionKey: keyOfType('HASH'),
+                sortKey: keyOfType('RANGE'),
+                projection: scalarValue(index.getIn(['Projection', 'ProjectionType'], true)) ?? 'ALL',
+                nonKeyAttributes: isSeq(nonKeyAttributes) ? nonKeyAttributes.items.map(scalarValue) : [],
+            };
+        });
+    });
+}
+
+/**
+ * Add a secondary index to a table, with the definitions of its key attributes.
+ * The table policy then also grants access to the indexes (`<table>.Arn/index/*`)
+ * @param {import('yaml').Document} doc - Template document
+ * @param {string} tableName - Logical id of the table
+ * @param {Object} index
+ * @param {string} index.name - Index name
+ * @param {'global'|'local'} index.type - Global or local secondary index
+ * @param {string} index.partitionKey - Partition key attribute; the one of the table for local indexes
+ * @param {string} index.sortKey - Sort key attribute
+ * @param {'ALL'|'KEYS_ONLY'|'INCLUDE'} [index.projection] - Attributes copied to the index (default: ALL)
+ * @param {string[]} [index.nonKeyAttributes] - Attributes copied with the INCLUDE projection
+ * @param {Object<string, 'S'|'N'>} [index.attributeTypes] - DynamoDB type of the key attributes (default: S)
+ * @returns {void}
+ */
+export function addTableIndex(doc, tableName, { name, type, partitionKey, sortKey, projection = 'ALL', nonKeyAttributes = [], attributeTypes = {} }) {
+    const properties = getProperties(doc, tableName);
+    let definitions = properties.get('AttributeDefinitions');
+    if (!isSeq(definitions)) {
+        setProperty(doc, tableName, 'AttributeDefinitions', []);
+        definitions = properties.get('AttributeDefinitions');
+    }
+    const defined = definitions.items.filter(isMap).map(item => scalarValue(item.get('AttributeName', true)));
+    for (const attribute of [partitionKey, sortKey]) {
+        if (!defined.includes(attribute)) {
+            definitions.items.push(doc.createNode({ AttributeName: attribute, AttributeType: quoted(attributeTypes[attribute] ?? 'S') }));
+            defined.push(attribute);
+        }
+    }
+
+    const property = INDEX_PROPERTIES[type];
+    if (!isSeq(properties.get(property))) {
+        setProperty(doc, tableName, property, []);
+    }
+    // The global indexes of a provisioned table need their own capacity: they get the one of the table
+    const throughput = type === 'global' && scalarValue(properties.get('BillingMode', true)) === 'PROVISIONED'
+        ? properties.get('ProvisionedThroughput')
+        : null;
+    properties.get(property).items.push(doc.createNode({
+        IndexName: name,
+        KeySchema: [
+            { AttributeName: partitionKey, KeyType: quoted('HASH') },
+            { AttributeName: sortKey, KeyType: quoted('RANGE') },
+        ],
+        Projection: {
+            ProjectionType: projection,
+            ...(projection === 'INCLUDE' && { NonKeyAttributes: nonKeyAttributes }),
+        },
+        ...(isMap(throughput) && { ProvisionedThroughput: throughput.toJSON() }),
+    }));
+    setTablePolicyResources(doc, tableName);
+    // A global index of an autoscaled table is scaled like the table
+    const autoscaling = getTableAutoscaling(doc, tableName);
+    if (type === 'global' && autoscaling) {
+        setTableAutoscaling(doc, tableName, autoscaling);
+    }
+}
+
+/**
+ * Remove a secondary index of a table, and the definitions of the attributes no key uses anymore
+ * @param {import('yaml').Document} doc - Template document
+ * @param {string} tableName - Logical id of the table
+ * @param {string} indexName - Index name
+ * @returns {void}
+ */
+export function removeTableIndex(doc, tableName, indexName) {
+    const properties = getProperties(doc, tableName);
+    for (const property of Object.values(INDEX_PROPERTIES)) {
+        const indexes = properties.get(property);
+        if (!isSeq(indexes)) {
+            continue;
+        }
+        indexes.items = indexes.items.filter(index => !isMap(index) || scalarValue(index.get('IndexName', true)) !== indexName);
+        if (indexes.items.length === 0) {
+            properties.delete(property);
+        }
+    }
+
+    const { partitionKey, sortKey } = getTableKeys(doc, tableName);
+    const used = new Set([partitionKey, sortKey, ...getTableIndexes(doc, tableName).flatMap(index => [index.partitionKey, index.sortKey])]);
+    const definitions = properties.get('AttributeDefinitions');
+    if (isSeq(definitions)) {
+        definitions.items = definitions.items.filter(item => !isMap(item) || used.has(scalarValue(item.get('AttributeName', true))));
+    }
+    setTablePolicyResources(doc, tableName);
+    const autoscaling = getTableAutoscaling(doc, tableName);
+    if (autoscaling) {
+        setTableAutoscaling(doc, tableName, autoscaling);
+    }
+}
+
+/**
+ * Point the statement of the policies reading a table at the table, and at its indexes when it has some.
+ * Writes only target the table
+ */
+function setTablePolicyResources(doc, tableName) {
+    for (const policy of [`${tableName}ReadPolicy`, `${tableName}Policy`]) {
+        const statement = doc.getIn(['Resources', policy, 'Properties', 'PolicyDocument', 'Statement', 0]);
+        if (!isMap(statement)) {
+            continue;
+        }
+        const table = getAtt(`${tableName}.Arn`);
+        statement.set('Resource', getTableIndexes(doc, tableName).length > 0
+            ? doc.createNode([table, sub(`\${${tableName}.Arn}/index/*`, 'single')])
+            : table);
+    }
+}
+
+/**
+ * Name of a table in a stack, from its `!Sub ${AWS::StackName}-<table>` TableName
+ * @param {import('yaml').Document} doc - Template document
+ * @param {string} tableName - Logical id of the table
+ * @param {string} stackName - Name of the stack
+ * @returns {string}
+ */
+export function getTableName(doc, tableName, stackName) {
+    const name = scalarValue(doc.getIn(['Resources', tableName, 'Properties', 'TableName'], true));
+    return resolveStackName(name ?? `\${AWS::StackName}-${tableName}`, stackName);
+}
+
+function resolveStackName(value, stackName) {
+    return value.replaceAll('${AWS::StackName}', stackName);
+}
+
+/**
+ * Change the keys of a table: its KeySchema, the partition key of its local indexes and the
+ * definitions of the key attributes. CloudFormation replaces the table on deploy
+ * @param {import('yaml').Document} doc - Template document
+ * @param {string} tableName - Logical id of the table
+ * @param {string} partitionKey - Partition key attribute
+ * @param {string} sortKey - Sort key attribute
+ * @returns {void}
+ */
+export function setTableKeys(doc, tableName, partitionKey, sortKey) {
+    const properties = getProperties(doc, tableName);
+    setProperty(doc, tableName, 'KeySchema', [
+        { AttributeName: partitionKey, KeyType: quoted('HASH') },
+        { AttributeName: sortKey, KeyType: quoted('RANGE') },
+    ]);
+    const localIndexes = properties.get(INDEX_PROPERTIES.local);
+    for (const index of isSeq(localIndexes) ? localIndexes.items.filter(isMap) : []) {
+        const hash = index.get('KeySchema').items.find(key => isMap(key) && scalarValue(key.get('KeyType', true)) === 'HASH');
+        hash.set('AttributeName', partitionKey);
+    }
+
+    // The keys of the table are strings; the index keys keep their type
+    const types = getTableAttributeTypes(doc, tableName);
+    const used = [...new Set([partitionKey, sortKey, ...getTableIndexes(doc, tableName).flatMap(index => [index.partitionKey, index.sortKey])])];
+    setProperty(doc, tableName, 'AttributeDefinitions', used.map(attribute => ({
+        AttributeName: attribute,
+        AttributeType: quoted([partitionKey, sortKey].includes(attribute) ? 'S' : types[attribute] ?? 'S'),
+    })));
+}
+
+/**
+ * Table replaced by a change of keys, kept by its UpdateReplacePolicy until its items are
+ * migrated. Recorded in the Metadata of the table, so the local DynamoDB creates it too
+ * @param {import('yaml').Document} doc - Template document
+ * @param {string} tableName - Logical id of the table
+ * @param {string} stackName - Name of the stack
+ * @returns {{tableName: string, partitionKey: string, sortKey: string, migration: string}|null}
+ */
+export function getPreviousTable(doc, tableName, stackName) {
+    const previous = doc.getIn(['Resources', tableName, 'Metadata', 'PreviousTable']);
+    if (!isMap(previous)) {
+        return null;
+    }
+    return {
+        tableName: resolveStackName(scalarValue(previous.get('TableName', true)), stackName),
+        partitionKey: scalarValue(previous.get('PartitionKey', true)),
+        sortKey: scalarValue(previous.get('SortKey', true)),
+        migration: scalarValue(previous.get('Migration', true)),
+    };
+}
+
+/**
+ * Record the table replaced by a change of keys (see getPreviousTable)
+ * @param {import('yaml').Document} doc - Template document
+ * @param {string} tableName - Logical id of the table
+ * @param {Object} previous
+ * @param {string} previous.tableName - `${AWS::StackName}-<table>` name of the previous table
+ * @param {string} previous.partitionKey - Its partition key attribute
+ * @param {string} previous.sortKey - Its sort key attribute
+ * @param {string} previous.migration - Script copying its items, relative to the project
+ * @returns {void}
+ */
+export function setPreviousTable(doc, tableName, { tableName: name, partitionKey, sortKey, migration }) {
+    const previous = { TableName: sub(name), PartitionKey: partitionKey, SortKey: sortKey, Migration: migration };
+    const metadata = doc.getIn(['Resources', tableName, 'Metadata']);
+    if (isMap(metadata)) {
+        metadata.set('PreviousTable', doc.createNode(previous));
+    } else {
+        setResourceAttribute(doc, tableName, 'Metadata', { PreviousTable: previous });
+    }
+}
+
+// ---------------------------------------------------------------------------
+// Table options
+// ---------------------------------------------------------------------------
+
+// Capacity dimensions scaled by the autoscaling resources of a table, keyed by logical id suffix
+const SCALED_CAPACITIES = {
+    Read: { dimension: 'dynamodb:table:ReadCapacityUnits', metric: 'DynamoDBReadCapacityUtilization' },
+    Write: { dimension: 'dynamodb:table:WriteCapacityUnits', metric: 'DynamoDBWriteCapacityUtilization' },
+};
+
+/**
+ * Billing, TTL, backups, encryption, class and policies of a table, with the defaults of
+ * DynamoDB and CloudFormation for the missing properties
+ * @param {import('yaml').Document} doc - Template document
+ * @param {string} tableName - Logical id of the table
+ * @returns {{billingMode: string, readCapacity: number|null, writeCapacity: number|null, autoscaling: {minCapacity: number, maxCapacity: number, targetUtilization: number}|null, ttlAttribute: string|null, pointInTimeRecovery: boolean, encryption: 'AWS_OWNED'|'AWS_MANAGED'|'CUSTOMER_MANAGED', kmsKeyId: string|null, tableClass: string, deletionPolicy: string, updateReplacePolicy: string}}
+ */
+export function getTableOptions(doc, tableName) {
+    const get = (...keys) => scalarValue(doc.getIn(['Resources', tableName, ...keys], true));
+    const capacity = (key) => {
+        const value = get('Properties', 'ProvisionedThroughput', key);
+        return value === null ? null : Number(value);
+    };
+    const ttlEnabled = get('Properties', 'TimeToLiveSpecification', 'Enabled');
+    const kmsKeyId = get('Properties', 'SSESpecification', 'KMSMasterKeyId');
+    let encryption = 'AWS_OWNED';
+    if (kmsKeyId !== null) {
+        encryption = 'CUSTOMER_MANAGED';
+    } else if (get('Properties', 'SSESpecification', 'SSEEnabled') === 'true') {
+        encryption = 'AWS_MANAGED';
+    }
+    return {
+        billingMode: get('Properties', 'BillingMode') ?? 'PROVISIONED',
+        readCapacity: capacity('ReadCapacityUnits'),
+        writeCapacity: capacity('WriteCapacityUnits'),
+        autoscaling: getTableAutoscaling(doc, tableName),
+        ttlAttribute: ttlEnabled === 'false' ? null : get('Properties', 'TimeToLiveSpecification', 'AttributeName'),
+        pointInTimeRecovery: get('Properties', 'PointInTimeRecoverySpecification', 'PointInTimeRecoveryEnabled') === 'true',
+        encryption,
+        kmsKeyId,
+        tableClass: get('Properties', 'TableClass') ?? 'STANDARD',
+        deletionPolicy: get('DeletionPolicy') ?? 'Delete',
+        updateReplacePolicy: get('UpdateReplacePolicy') ?? 'Delete',
+    };
+}
+
+/**
+ * Change the options of a table. Only the given options are changed
+ * @param {import('yaml').Document} doc - Template document
+ * @param {string} tableName - Logical id of the table
+ * @param {Object} options
+ * @param {'PAY_PER_REQUEST'|'PROVISIONED'} [options.billingMode] - On-demand or provisioned capacity
+ * @param {number} [options.readCapacity] - Read capacity units of the table and its global indexes (provisioned)
+ * @param {number} [options.writeCapacity] - Write capacity units of the table and its global indexes (provisioned)
+ * @param {{minCapacity: number, maxCapacity: number, targetUtilization: number}|null} [options.autoscaling] - Capacity scaling of the table; null removes it
+ * @param {string|null} [options.ttlAttribute] - Attribute holding the expiry epoch of the items; null disables TTL
+ * @param {boolean} [options.pointInTimeRecovery] - Continuous backups
+ * @param {'AWS_OWNED'|'AWS_MANAGED'|'CUSTOMER_MANAGED'} [options.encryption] - Key encrypting the table
+ * @param {string} [options.kmsKeyId] - Id, ARN or alias of the customer managed key
+ * @param {'STANDARD'|'STANDARD_INFREQUENT_ACCESS'} [options.tableClass] - Table class
+ * @param {string} [options.deletionPolicy] - DeletionPolicy of the table
+ * @param {string} [options.updateReplacePolicy] - UpdateReplacePolicy of the table
+ * @returns {void}
+ */
+export function setTableOptions(doc, tableName, options) {
+    const { billingMode, readCapacity, writeCapacity, autoscaling, ttlAttribute, pointInTimeRecovery, encryption, kmsKeyId, tableClass, deletionPolicy, updateReplacePolicy } = options;
+    const properties = getProperties(doc, tableName);
+
+    if (billingMode !== undefined || readCapacity !== undefined || writeCapacity !== undefined) {
+        const current = getTableOptions(doc, tableName);
+        const mode = billingMode ?? current.billingMode;
+        setProperty(doc, tableName, 'BillingMode', mode);
+        const throughput = mode === 'PROVISIONED'
+            ? { ReadCapacityUnits: Number(readCapacity ?? current.readCapacity), WriteCapacityUnits: Number(writeCapacity ?? current.writeCapacity) }
+            : null;
+        if (throughput) {
+            setProperty(doc, tableName, 'ProvisionedThroughput', throughput);
+        } else {
+            properties.delete('ProvisionedThroughput');
+        }
+        const indexes = properties.get(INDEX_PROPERTIES.global);
+        for (const index of isSeq(indexes) ? indexes.items.filter(isMap) : []) {
+            if (throughput) {
+                index.set('ProvisionedThroughput', doc.createNode(throughput));
+            } else {
+                index.delete('ProvisionedThroughput');
+            }
+        }
+    }
+    if (autoscaling !== undefined) {
+        setTableAutoscaling(doc, tableName, autoscaling);
+    }
+    if (ttlAttribute !== undefined) {
+        if (ttlAttribute) {
+            setProperty(doc, tableName, 'TimeToLiveSpecification', { AttributeName: ttlAttribute, Enabled: true });
+        } else {
+            properties.delete('TimeToLiveSpecification');
+        }
+    }
+    if (pointInTimeRecovery !== undefined) {
+        if (pointInTimeRecovery) {
+            setProperty(doc, tableName, 'PointInTimeRecoverySpecification', { PointInTimeRecoveryEnabled: true });
+        } else {
+            properties.delete('PointInTimeRecoverySpecification');
+        }
+    }
+    if (encryption !== undefined) {
+        if (encryption === 'AWS_OWNED') {
+            properties.delete('SSESpecification');
+        } else {
+            setProperty(doc, tableName, 'SSESpecification', {
+                SSEEnabled: true,
+                ...(encryption === 'CUSTOMER_MANAGED' && { SSEType: 'KMS', KMSMasterKeyId: kmsKeyId }),
+            });
+        }
+    }
+    // STANDARD is the default class: it is only written to switch back from another class
+    if (tableClass !== undefined && (tableClass !== 'STANDARD' || properties.has('TableClass'))) {
+        setProperty(doc, tableName, 'TableClass', tableClass);
+    }
+    if (deletionPolicy !== undefined) {
+        setResourceAttribute(doc, tableName, 'DeletionPolicy', deletionPolicy);
+    }
+    if (updateReplacePolicy !== undefined) {
+        setResourceAttribute(doc, tableName, 'UpdateReplacePolicy', updateReplacePolicy);
+    }
+}
+
+/**
+ * Capacity scaling of a table, from its `<table>ReadScalableTarget` and `<table>ReadScalingPolicy`
+ */
+function getTableAutoscaling(doc, tableName) {
+    const target = doc.getIn(['Resources', `${tableName}ReadScalableTarget`, 'Properties']);
+    if (!isMap(target)) {
+        return null;
+    }
+    const targetValue = doc.getIn(['Resources', `${tableName}ReadScalingPolicy`, 'Properties', 'TargetTrackingScalingPolicyConfiguration', 'TargetValue'], true);
+    return {
+        minCapacity: Number(scalarValue(target.get('MinCapacity', true))),
+        maxCapacity: Number(scalarValue(target.get('MaxCapacity', true))),
+        targetUtilization: Number(scalarValue(targetValue)),
+    };
+}
+
+/**
+ * Replace the scalable targets and target tracking policies scaling the read and write
+ * capacity of a table and of each of its global indexes, which have their own capacity
+ * (`<table><Index>ReadScalableTarget`...), placed after its policies. Application Auto
+ * Scaling uses its service-linked role
+ */
+function setTableAutoscaling(doc, tableName, autoscaling) {
+    const targets = getResourceNames(doc, 'AWS::ApplicationAutoScaling::ScalableTarget')
+        .filter(target => referencesResource(doc.getIn(['Resources', target, 'Properties', 'ResourceId'], true), tableName));
+    const policies = getResourceNames(doc, 'AWS::ApplicationAutoScaling::ScalingPolicy')
+        .filter(policy => targets.some(target => referencesResource(doc.getIn(['Resources', policy, 'Properties', 'ScalingTargetId'], true), target)));
+    [...policies, ...targets].forEach(name => removeResource(doc, name));
+    if (!autoscaling) {
+        return;
+    }
+    const anchor = getTablePolicies(doc, tableName).pop() ?? tableName;
+    let index = getResources(doc).items.findIndex(pair => keyOf(pair) === anchor) + 1;
+    const scaled = [
+        { name: tableName, resourceId: `table/\${${tableName}}`, type: 'table' },
+        ...getTableIndexes(doc, tableName).filter(({ type }) => type === 'global').map(({ name }) => ({
+            name: `${tableName}${name[0].toUpperCase()}${name.slice(1)}`,
+            resourceId: `table/\${${tableName}}/index/${name}`,
+            type: 'index',
+        })),
+    ];
+    for (const { name, resourceId, type } of scaled) {
+        for (const [capacity, { dimension, metric }] of Object.entries(SCALED_CAPACITIES)) {
+            const target = `${name}${capacity}ScalableTarget`;
+            addResource(doc, target, {
+                Type: 'AWS::ApplicationAutoScaling::ScalableTarget',
+                Properties: {
+                    ServiceNamespace: 'dynamodb',
+                    ResourceId: sub(resourceId, 'single'),
+                    ScalableDimension: dimension.replace('dynamodb:table:', `dynamodb:${type}:`),
+                    MinCapacity: Number(autoscaling.minCapacity),
+                    MaxCapacity: Number(autoscaling.maxCapacity),
+                },
+            }, { index: index++ });
+            addResource(doc, `${name}${capacity}ScalingPolicy`, {
+                Type: 'AWS::ApplicationAutoScaling::ScalingPolicy',
+                Properties: {
+                    PolicyName: sub(`\${AWS::StackName}-${name}${capacity}Scaling`),
+                    PolicyType: 'TargetTrackingScaling',
+                    ScalingTargetId: ref(target),
+                    TargetTrackingScalingPolicyConfiguration: {
+                        TargetValue: Number(autoscaling.targetUtilization),
+                        PredefinedMetricSpecification: { PredefinedMetricType: metric },
+                    },
+                },
+            }, { index: index++ });
+        }
+    }
+}
+
+// ---------------------------------------------------------------------------
+// Table streams
+// ---------------------------------------------------------------------------
+
+/**
+ * View type of the stream of a table, null when it has no stream
+ * @param {import('yaml').Document} doc - Template document
+ * @param {string} tableName - Logical id of the table
+ * @returns {string|null}
+ */
+export function getTableStream(doc, tableName) {
+    return scalarValue(doc.getIn(['Resources', tableName, 'Properties', 'StreamSpecification', 'StreamViewType'], true));
+}
+
+/**
+ * Enable the stream of a table, change its view type, or remove it
+ * @param {import('yaml').Document} doc - Template document
+ * @param {string} tableName - Logical id of the table
+ * @param {string|null} viewType - NEW_IMAGE, OLD_IMAGE, NEW_AND_OLD_IMAGES or KEYS_ONLY; null removes the stream
+ * @returns {void}
+ */
+export function setTableStream(doc, tableName, viewType) {
+    if (viewType) {
+        setProperty(doc, tableName, 'StreamSpecification', { StreamViewType: viewType });
+    } else {
+        getProperties(doc, tableName).delete('StreamSpecification');
+    }
+}
+
+/**
+ * DynamoDB events of a function. The on-failure destination is the logical id of a queue or a topic
+ * @param {import('yaml').Document} doc - Template document
+ * @param {string} functionName - Logical id of the function
+ * @returns {{name: string, table: string|null, startingPosition: string|null, batchSize: number|null, onFailure: string|null}[]}
+ */
+export function getDynamoDbEvents(doc, functionName) {
+    return getEventsOfType(doc, functionName, 'DynamoDB').map(([name, properties]) => {
+        const get = key => (isMap(properties) ? properties.get(key, true) : undefined);
+        const batchSize = scalarValue(get('BatchSize'));
+        const destination = isMap(properties) ? properties.getIn(['DestinationConfig', 'OnFailure', 'Destination'], true) : undefined;
+        return {
+            name,
+            table: getAttName(get('Stream')),
+            startingPosition: scalarValue(get('StartingPosition')),
+            batchSize: batchSize === null ? null : Number(batchSize),
+            onFailure: getAttName(destination) ?? getRefName(destination),
+        };
+    });
+}
+
+/**
+ * Add a DynamoDB event reading the stream of a table to a function, named like the Api events.
+ * SAM grants the function the stream read and on-failure destination permissions
+ * @param {import('yaml').Document} doc - Template document
+ * @param {string} functionName - Logical id of the function
+ * @param {Object} source
+ * @param {string} source.table - Logical id of the table
+ * @param {string} source.startingPosition - LATEST or TRIM_HORIZON
+ * @param {number} source.batchSize - Records per invocation
+ * @param {boolean} [source.bisectBatchOnFunctionError] - Split a failing batch in two and retry each half
+ * @param {number} [source.maximumRetryAttempts] - Retries of a failing batch (default: until the records expire)
+ * @param {string} [source.onFailure] - Logical id of the queue or topic receiving the batches that kept failing
+ * @returns {string} Name of the new event
+ */
+export function addDynamoDbEvent(doc, functionName, { table, startingPosition, batchSize, bisectBatchOnFunctionError = false, maximumRetryAttempts, onFailure }) {
+    const topic = onFailure && getResourceType(doc, onFailure) === 'AWS::SNS::Topic';
+    return addEvent(doc, functionName, {
+        Type: 'DynamoDB',
+        Properties: {
+            Stream: getAtt(`${table}.StreamArn`),
+            StartingPosition: startingPosition,
+            BatchSize: Number(batchSize),
+            ...(bisectBatchOnFunctionError && { BisectBatchOnFunctionError: true }),
+            ...(maximumRetryAttempts !== undefined && { MaximumRetryAttempts: Number(maximumRetryAttempts) }),
+            ...(onFailure && {
+                DestinationConfig: {
+                    OnFailure: {
+                        Type: topic ? 'SNS' : 'SQS',
+                        Destination: topic ? ref(onFailure) : getAtt(`${onFailure}.Arn`),
+                    },
+                },
+            }),
+        },
+    });
+}
+
+// ---------------------------------------------------------------------------
+// Schedules
+// ---------------------------------------------------------------------------
+
+/**
+ * Schedule events of a function
+ * @param {import('yaml').Document} doc - Template document
+ * @param {string} functionName - Logical id of the function
+ * @returns {{name: string, schedule: string|null, input: string|null, enabled: boolean}[]}
+ */
+export function getScheduleEvents(doc, functionName) {
+    return getEventsOfType(doc, functionName, 'Schedule').map(([name, properties]) => {
+        const get = key => (isMap(properties) ? properties.get(key, true) : undefined);
+        return {
+            name,
+            schedule: scalarValue(get('Schedule')),
+            input: scalarValue(get('Input')),
+            enabled: scalarValue(get('Enabled')) !== 'false',
+        };
+    });
+}
+
+/**
+ * Add a Schedule event to a function, named like the Api events
+ * @param {import('yaml').Document} doc - Template document
+ * @param {string} functionName - Logical id of the function
+ * @param {Object} schedule
+ * @param {string} schedule.expression - `cron(...)` or `rate(...)` expression
+ * @param {string} [schedule.input] - JSON passed to the function instead of the ScheduledEvent
+ * @param {boolean} [schedule.enabled] - Whether the rule runs (default: true)
+ * @returns {string} Name of the new event
+ */
+export function addScheduleEvent(doc, functionName, { expression, input, enabled = true }) {
+    return addEvent(doc, functionName, {
+        Type: 'Schedule',
+        Properties: {
+            Schedule: quoted(expression),
+            ...(input && { Input: quoted(input) }),
+            Enabled: enabled,
+        },
+    });
+}
+
+/**
+ * Enable or disable a Schedule event
+ * @param {import('yaml').Document} doc - Template document
+ * @param {string} functionName - Logical id of the function
+ * @param {string} eventName - Event name
+ * @param {boolean} enabled - Whether the rule runs
+ * @returns {void}
+ */
+export function setScheduleEnabled(doc, functionName, eventName, enabled) {
+    if (!getScheduleEvents(doc, functionName).some(event => event.name === eventName)) {
+        throw new Error(`Schedule ${eventName} not found in ${functionName}`);
+    }
+    const properties = doc.getIn(['Resources', functionName, 'Properties', 'Events', eventName, 'Properties']);
+    properties.set('Enabled', enabled);
+}
+
+// ---------------------------------------------------------------------------
+// Queues
+// ---------------------------------------------------------------------------
+
+/**
+ * Add an SQS queue, optionally with a `<queueName>DLQ` dead-letter queue receiving the
+ * messages that failed maxReceiveCount times
+ * @param {import('yaml').Document} doc - Template document
+ * @param {string} queueName - Logical id of the queue
+ * @param {Object} [options]
+ * @param {number} [options.visibilityTimeout] - Visibility timeout in seconds (default: 360)
+ * @param {number|null} [options.maxReceiveCount] - Receives before a message goes to the dead-letter queue; null for no dead-letter queue
+ * @returns {void}
+ */
+export function addQueue(doc, queueName, options = {}) {
+    const { visibilityTimeout = 360, maxReceiveCount = null } = options;
+    const deadLetterQueueName = `${queueName}DLQ`;
+
+    if (maxReceiveCount !== null) {
+        addResource(doc, deadLetterQueueName, {
+            Type: 'AWS::SQS::Queue',
+            Properties: {
+                QueueName: sub(`\${AWS::StackName}-${deadLetterQueueName}`),
+                MessageRetentionPeriod: 1209600,
+            },
+        });
+    }
+    addResource(doc, queueName, {
+        Type: 'AWS::SQS::Queue',
+        Properties: {
+            QueueName: sub(`\${AWS::StackName}-${queueName}`),
+            VisibilityTimeout: Number(visibilityTimeout),
+            ...(maxReceiveCount !== null && {
+                RedrivePolicy: {
+                    deadLetterTargetArn: getAtt(`${deadLetterQueueName}.Arn`),
+                    maxReceiveCount: Number(maxReceiveCount),
+                },
+            }),
+        },
+    });
+}
+
+/**
+ * Remove an SQS queue and its dead-letter queue
+ * @param {import('yaml').Document} doc - Template document
+ * @param {string} queueName - Logical id of the queue
+ * @returns {{deadLetterQueue: string|null}} Removed dead-letter queue
+ */
+export function removeQueue(doc, queueName) {
+    const deadLetterQueue = getDeadLetterQueue(doc, queueName);
+    removeResource(doc, queueName);
+    if (deadLetterQueue) {
+        removeResource(doc, deadLetterQueue);
+    }
+    return { deadLetterQueue };
+}
+
+/**
+ * Dead-letter queue of a queue, from its RedrivePolicy, or null
+ * @param {import('yaml').Document} doc - Template document
+ * @param {string} queueName - Logical id of the queue
+ * @returns {string|null}
+ */
+export function getDeadLetterQueue(doc, queueName) {
+    return getAttName(doc.getIn(['Resources', queueName, 'Properties', 'RedrivePolicy', 'deadLetterTargetArn'], true));
+}
+
+/**
+ * Logical ids of the SQS queues, without the dead-letter queues of other queues
+ * @param {import('yaml').Document} doc - Template document
+ * @returns {string[]}
+ */
+export function getQueueNames(doc) {
+    const queues = getResourceNames(doc, 'AWS::SQS::Queue');
+    const deadLetterQueues = queues.map(name => getDeadLetterQueue(doc, name)).filter(Boolean);
+    return queues.filter(name => !deadLetterQueues.includes(name));
+}
+
+/**
+ * SQS events of a function
+ * @param {import('yaml').Document} doc - Template document
+ * @param {string} functionName - Logical id of the function
+ * @returns {{name: string, queue: string|null, batchSize: number|null}[]}
+ */
+export function getSqsEvents(doc, functionName) {
+    return getEventsOfType(doc, functionName, 'SQS').map(([name, properties]) => {
+        const get = key => (isMap(properties) ? properties.get(key, true) : undefined);
+        const batchSize = scalarValue(get('BatchSize'));
+        return {
+            name,
+            queue: getAttName(get('Queue')),
+            batchSize: batchSize === null ? null : Number(batchSize),
+        };
+    });
+}
+
+/**
+ * Add an SQS event to a function, named like the Api events
+ * @param {import('yaml').Document} doc - Template document
+ * @param {string} functionName - Logical id of the function
+ * @param {Object} source
+ * @param {string} source.queue - Logical id of the queue
+ * @param {number} source.batchSize - Messages per invocation
+ * @param {number} [source.batchingWindow] - Seconds to wait for a full batch (default: 0)
+ * @param {boolean} [source.reportBatchItemFailures] - Whether the handler returns the failed messages only
+ * @returns {string} Name of the new event
+ */
+export function addSqsEvent(doc, functionName, { queue, batchSize, batchingWindow = 0, reportBatchItemFailures = false }) {
+    return addEvent(doc, functionName, {
+        Type: 'SQS',
+        Properties: {
+            Queue: getAtt(`${queue}.Arn`),
+            BatchSize: Number(batchSize),
+            ...(batchingWindow > 0 && { MaximumBatchingWindowInSeconds: Number(batchingWindow) }),
+            ...(reportBatchItemFailures && { FunctionResponseTypes: ['ReportBatchItemFailures'] }),
+        },
+    });
+}
+
+/**
+ * Queues a function may use through the SQSPollerPolicy (receive) and
+ * SQSSendMessagePolicy (send) policy templates
+ * @param {import('yaml').Document} doc - Template document
+ * @param {string} functionName - Logical id of the function
+ * @returns {{policy: string, queue: string}[]}
+ */
+export function getQueuePolicies(doc, functionName) {
+    return getPolicyTemplates(doc, functionName, QUEUE_POLICIES)
+        .map(({ policy, resource }) => ({ policy, queue: resource }));
+}
+
+/**
+ * `{policy, resource}` of the `- SQSPollerPolicy: {QueueName: !GetAtt <queue>.QueueName}`
+ * entries of a function, for the given policy templates
+ */
+function getPolicyTemplates(doc, functionName, templates) {
+    const policies = doc.getIn(['Resources', functionName, 'Properties', 'Policies']);
+    if (!isSeq(policies)) {
+        return [];
+    }
+    return policies.items.map(item => policyTemplateOf(item, templates)).filter(Boolean);
+}
+
+function policyTemplateOf(item, templates) {
+    if (!isMap(item) || item.items.length !== 1 || !Object.hasOwn(templates, keyOf(item.items[0]))) {
+        return null;
+    }
+    const policy = keyOf(item.items[0]);
+    const properties = item.items[0].value;
+    const resource = getAttName(isMap(properties) ? properties.get(templates[policy], true) : null);
+    return resource ? { policy, resource } : null;
+}
+
+/**
+ * Add a policy template entry to a function, creating Policies if needed
+ */
+function addPolicyTemplate(doc, functionName, entry) {
+    const policies = doc.getIn(['Resources', functionName, 'Properties', 'Policies']);
+    if (isSeq(policies)) {
+        policies.items.push(doc.createNode(entry));
+    } else {
+        setProperty(doc, functionName, 'Policies', [entry]);
+    }
+}
+
+/**
+ * Remove the entries of the given policy templates naming a resource. Policies is
+ * removed when it becomes empty
+ */
+function removePolicyTemplates(doc, functionName, templates, resource) {
+    const properties = getProperties(doc, functionName);
+    const policies = properties.get('Policies');
+    if (!isSeq(policies)) {
+        return;
+    }
+    policies.items = policies.items.filter(item => {
+        const entry = policyTemplateOf(item, templates);
+        return !entry || entry.resource !== resource;
+    });
+    if (policies.items.length === 0) {
+        properties.delete('Policies');
+    }
+}
+
+/**
+ * Add a queue policy template to a function, creating Policies if needed
+ * @param {import('yaml').Document} doc - Template document
+ * @param {string} functionName - Logical id of the function
+ * @param {'SQSPollerPolicy'|'SQSSendMessagePolicy'} policy - Policy template
+ * @param {string} queueName - Logical id of the queue
+ * @returns {void}
+ */
+export function addQueuePolicy(doc, functionName, policy, queueName) {
+    if (getQueuePolicies(doc, functionName).some(entry => entry.policy === policy && entry.queue === queueName)) {
+        return;
+    }
+    addPolicyTemplate(doc, functionName, { [policy]: { QueueName: getAtt(`${queueName}.QueueName`) } });
+}
+
+/**
+ * Remove the SQS events and queue policy templates of a function using a queue.
+ * Events and Policies are removed when they become empty
+ * @param {import('yaml').Document} doc - Template document
+ * @param {string} functionName - Logical id of the function
+ * @param {string} queueName - Logical id of the queue
+ * @returns {void}
+ */
+export function removeQueueFromFunction(doc, functionName, queueName) {
+    removeEvents(doc, functionName, getSqsEvents(doc, functionName)
+        .filter(event => event.queue === queueName)
+        .map(event => event.name));
+    removePolicyTemplates(doc, functionName, QUEUE_POLICIES, queueName);
+}
+
+// ---------------------------------------------------------------------------
+// Buckets
+// ---------------------------------------------------------------------------
+
+/**
+ * Add an S3 bucket with its `<name>ReadPolicy` and `<name>WritePolicy` managed policies.
+ * The policies build the bucket ARN from its name instead of referencing the bucket, so a
+ * function triggered by the bucket can use them without a circular dependency
+ * @param {import('yaml').Document} doc - Template document
+ * @param {string} name - Logical id of the bucket
+ * @param {Object} options
+ * @param {string} options.bucketName - `!Sub` string of the bucket name
+ * @param {'AES256'|'aws:kms'} [options.encryption] - Server-side encryption (default: AES256)
+ * @param {boolean} [options.blockPublicAccess] - Whether every public access is blocked (default: true)
+ * @param {{prefix?: string, expirationDays?: number, infrequentAccessDays?: number}[]} [options.lifecycleRules] - Lifecycle rules
+ * @param {string[]} [options.corsOrigins] - Origins allowed to GET and PUT objects from a browser
+ * @returns {void}
+ */
+export function addBucket(doc, name, options) {
+    const { bucketName, encryption = 'AES256', blockPublicAccess = true, lifecycleRules = [], corsOrigins = [] } = options;
+
+    addResource(doc, name, {
+        Type: 'AWS::S3::Bucket',
+        DeletionPolicy: 'Retain',
+        Properties: {
+            BucketName: sub(bucketName, 'single'),
+            BucketEncryption: {
+                ServerSideEncryptionConfiguration: [
+                    { ServerSideEncryptionByDefault: { SSEAlgorithm: encryption } },
+                ],
+            },
+            ...(blockPublicAccess && {
+                PublicAccessBlockConfiguration: {
+                    BlockPublicAcls: true,
+                    BlockPublicPolicy: true,
+                    IgnorePublicAcls: true,
+                    RestrictPublicBuckets: true,
+                },
+            }),
+            ...(lifecycleRules.length > 0 && {
+                LifecycleConfiguration: {
+                    Rules: lifecycleRules.map((rule, index) => ({
+                        Id: `rule${index + 1}`,
+                        Status: 'Enabled',
+                        ...(rule.prefix && { Prefix: rule.prefix }),
+                        ...(rule.infrequentAccessDays && {
+                            Transitions: [{ StorageClass: 'STANDARD_IA', TransitionInDays: Number(rule.infrequentAccessDays) }],
+                        }),
+                        ...(rule.expirationDays && { ExpirationInDays: Number(rule.expirationDays) }),
+                    })),
+                },
+            }),
+            ...(corsOrigins.length > 0 && {
+                CorsConfiguration: {
+                    CorsRules: [{
+                        AllowedHeaders: [quoted('*')],
+                        AllowedMethods: ['GET', 'PUT'],
+                        AllowedOrigins: corsOrigins.map(origin => quoted(origin)),
+                        MaxAge: 3000,
+                    }],
+                },
+            }),
+        },
+    });
+
+    const arn = `arn:\${AWS::Partition}:s3:::${bucketName}`;
+    addResource(doc, `${name}ReadPolicy`, bucketPolicy(`${name}ReadPolicy`, [
+        { Effect: 'Allow', Action: ['s3:GetObject'], Resource: sub(`${arn}/*`, 'single') },
+        { Effect: 'Allow', Action: ['s3:ListBucket'], Resource: sub(arn, 'single') },
+    ]));
+    addResource(doc, `${name}WritePolicy`, bucketPolicy(`${name}WritePolicy`, [
+        { Effect: 'Allow', Action: ['s3:PutObject', 's3:DeleteObject'], Resource: sub(`${arn}/*`, 'single') },
+    ]));
+}
+
+function bucketPolicy(policyName, statements) {
+    return {
+        Type: 'AWS::IAM::ManagedPolicy',
+        Properties: {
+            ManagedPolicyName: sub(`\${AWS::StackName}-${policyName}`),
+            PolicyDocument: {
+                Version: quoted('2012-10-17'),
+                Statement: statements,
+            },
+        },
+    };
+}
+
+/**
+ * Remove an S3 bucket and its managed policies
+ * @param {import('yaml').Document} doc - Template document
+ * @param {string} name - Logical id of the bucket
+ * @returns {void}
+ */
+export function removeBucket(doc, name) {
+    removeResource(doc, name);
+    removeResource(doc, `${name}ReadPolicy`);
+    removeResource(doc, `${name}WritePolicy`);
+}
+
+/**
+ * `!Sub` string of the name of a bucket, or null
+ * @param {import('yaml').Document} doc - Template document
+ * @param {string} name - Logical id of the bucket
+ * @returns {string|null}
+ */
+export function getBucketName(doc, name) {
+    return scalarValue(doc.getIn(['Resources', name, 'Properties', 'BucketName'], true));
+}
+
+/**
+ * S3 events of a function
+ * @param {import('yaml').Document} doc - Template document
+ * @param {string} functionName - Logical id of the function
+ * @returns {{name: string, bucket: string|null, prefix: string|null, suffix: string|null}[]}
+ */
+export function getS3Events(doc, functionName) {
+    return getEventsOfType(doc, functionName, 'S3').map(([name, properties]) => {
+        const get = key => (isMap(properties) ? properties.get(key, true) : undefined);
+        const rules = doc.getIn(['Resources', functionName, 'Properties', 'Events', name, 'Properties', 'Filter', 'S3Key', 'Rules']);
+        const rule = (ruleName) => {
+            const found = isSeq(rules) ? rules.items.find(item => isMap(item) && scalarValue(item.get('Name', true)) === ruleName) : null;
+            return found ? scalarValue(found.get('Value', true)) : null;
+        };
+        return {
+            name,
+            bucket: getRefName(get('Bucket')),
+            prefix: rule('prefix'),
+            suffix: rule('suffix'),
+        };
+    });
+}
+
+/**
+ * Add an S3 event on created objects to a function, named like the Api events
+ * @param {import('yaml').Document} doc - Template document
+ * @param {string} functionName - Logical id of the function
+ * @param {Object} trigger
+ * @param {string} trigger.bucket - Logical id of the bucket
+ * @param {string} [trigger.prefix] - Key prefix of the objects (e.g. incoming/)
+ * @param {string} [trigger.suffix] - Key suffix of the objects (e.g. .jpg)
+ * @returns {string} Name of the new event
+ */
+export function addS3Event(doc, functionName, { bucket, prefix, suffix }) {
+    const rules = [
+        ...(prefix ? [{ Name: 'prefix', Value: quoted(prefix) }] : []),
+        ...(suffix ? [{ Name: 'suffix', Value: quoted(suffix) }] : []),
+    ];
+    return addEvent(doc, functionName, {
+        Type: 'S3',
+        Properties: {
+            Bucket: ref(bucket),
+            Events: quoted('s3:ObjectCreated:*'),
+            ...(rules.length > 0 && { Filter: { S3Key: { Rules: rules } } }),
+        },
+    });
+}
+
+// ---------------------------------------------------------------------------
+// Topics and event buses
+// ---------------------------------------------------------------------------
+
+/**
+ * Add an SNS topic
+ * @param {import('yaml').Document} doc - Template document
+ * @param {string} topicName - Logical id of the topic
+ * @returns {void}
+ */
+export function addTopic(doc, topicName) {
+    addResource(doc, topicName, {
+        Type: 'AWS::SNS::Topic',
+        Properties: {
+            TopicName: sub(`\${AWS::StackName}-${topicName}`),
+        },
+    });
+}
+
+/**
+ * Add a custom EventBridge event bus
+ * @param {import('yaml').Document} doc - Template document
+ * @param {string} busName - Logical id of the event bus
+ * @returns {void}
+ */
+export function addEventBus(doc, busName) {
+    addResource(doc, busName, {
+        Type: 'AWS::Events::EventBus',
+        Properties: {
+            Name: sub(`\${AWS::StackName}-${busName}`),
+        },
+    });
+}
+
+/**
+ * SNS events of a function
+ * @param {import('yaml').Document} doc - Template document
+ * @param {string} functionName - Logical id of the function
+ * @returns {{name: string, topic: string|null, filterPolicy: Object|null, filterPolicyScope: string|null}[]}
+ */
+export function getSnsEvents(doc, functionName) {
+    return getEventsOfType(doc, functionName, 'SNS').map(([name, properties]) => {
+        const get = key => (isMap(properties) ? properties.get(key, true) : undefined);
+        const filterPolicy = get('FilterPolicy');
+        return {
+            name,
+            topic: getRefName(get('Topic')),
+            filterPolicy: isMap(filterPolicy) ? filterPolicy.toJSON() : null,
+            filterPolicyScope: scalarValue(get('FilterPolicyScope')),
+        };
+    });
+}
+
+/**
+ * Add an SNS event to a function, named like the Api events
+ * @param {import('yaml').Document} doc - Template document
+ * @param {string} functionName - Logical id of the function
+ * @param {Object} subscription
+ * @param {string} subscription.topic - Logical id of the topic
+ * @param {Object} [subscription.filterPolicy] - Filter policy of the subscription
+ * @param {'MessageAttributes'|'MessageBody'} [subscription.filterPolicyScope] - What the filter policy applies to (default: MessageAttributes)
+ * @returns {string} Name of the new event
+ */
+export function addSnsEvent(doc, functionName, { topic, filterPolicy, filterPolicyScope = 'MessageAttributes' }) {
+    return addEvent(doc, functionName, {
+        Type: 'SNS',
+        Properties: {
+            Topic: ref(topic),
+            ...(filterPolicy && { FilterPolicy: filterPolicy }),
+            ...(filterPolicy && filterPolicyScope !== 'MessageAttributes' && { FilterPolicyScope: filterPolicyScope }),
+        },
+    });
+}
+
+/**
+ * EventBridgeRule events of a function. The bus is null for the default event bus
+ * @param {import('yaml').Document} doc - Template document
+ * @param {string} functionName - Logical id of the function
+ * @returns {{name: string, bus: string|null, pattern: Object|null}[]}
+ */
+export function getEventBridgeRuleEvents(doc, functionName) {
+    return getEventsOfType(doc, functionName, 'EventBridgeRule').map(([name, properties]) => {
+        const get = key => (isMap(properties) ? properties.get(key, true) : undefined);
+        const pattern = get('Pattern');
+        return {
+            name,
+            bus: getAttName(get('EventBusName')),
+            pattern: isMap(pattern) ? pattern.toJSON() : null,
+        };
+    });
+}
+
+/**
+ * Add an EventBridgeRule event to a function, named like the Api events
+ * @param {import('yaml').Document} doc - Template document
+ * @param {string} functionName - Logical id of the function
+ * @param {Object} rule
+ * @param {string|null} [rule.bus] - Logical id of the event bus (default: the default event bus)
+ * @param {Object} rule.pattern - Event pattern
+ * @returns {string} Name of the new event
+ */
+export function addEventBridgeRuleEvent(doc, functionName, { bus, pattern }) {
+    return addEvent(doc, functionName, {
+        Type: 'EventBridgeRule',
+        Properties: {
+            ...(bus && { EventBusName: getAtt(`${bus}.Name`) }),
+            Pattern: pattern,
+        },
+    });
+}
+
+/**
+ * Rules sending events to an SQS queue
+ * @param {import('yaml').Document} doc - Template document
+ * @returns {{name: string, bus: string|null, queue: string|null, pattern: Object|null}[]}
+ */
+export function getQueueRules(doc) {
+    return getResourceNames(doc, 'AWS::Events::Rule').map(name => {
+        const pattern = doc.getIn(['Resources', name, 'Properties', 'EventPattern']);
+        return {
+            name,
+            bus: getAttName(doc.getIn(['Resources', name, 'Properties', 'EventBusName'], true)),
+            queue: getAttName(doc.getIn(['Resources', name, 'Properties', 'Targets', 0, 'Arn'], true)),
+            pattern: isMap(pattern) ? pattern.toJSON() : null,
+        };
+    });
+}
+
+/**
+ * Add a rule sending the matching events to a queue. The `<queue>EventsPolicy` queue
+ * policy lets EventBridge send to the queue from the rules listed in its condition
+ * @param {import('yaml').Document} doc - Template document
+ * @param {string} ruleName - Logical id of the rule
+ * @param {Object} rule
+ * @param {string|null} [rule.bus] - Logical id of the event bus (default: the default event bus)
+ * @param {Object} rule.pattern - Event pattern
+ * @param {string} rule.queue - Logical id of the queue
+ * @returns {void}
+ */
+export function addQueueRule(doc, ruleName, { bus, pattern, queue }) {
+    addResource(doc, ruleName, {
+        Type: 'AWS::Events::Rule',
+        Properties: {
+            ...(bus && { EventBusName: getAtt(`${bus}.Name`) }),
+            EventPattern: pattern,
+            State: 'ENABLED',
+            Targets: [{ Id: queue, Arn: getAtt(`${queue}.Arn`) }],
+        },
+    });
+
+    const policyName = `${queue}EventsPolicy`;
+    const sources = doc.getIn(['Resources', policyName, 'Properties', 'PolicyDocument', 'Statement', 0, 'Condition', 'ArnEquals', 'aws:SourceArn']);
+    if (isSeq(sources)) {
+        sources.items.push(getAtt(`${ruleName}.Arn`));
+        return;
+    }
+    addResource(doc, policyName, {
+        Type: 'AWS::SQS::QueuePolicy',
+        Properties: {
+            Queues: [ref(queue)],
+            PolicyDocument: {
+                Version: quoted('2012-10-17'),
+                Statement: [{
+                    Effect: 'Allow',
+                    Principal: { Service: 'events.amazonaws.com' },
+                    Action: 'sqs:SendMessage',
+                    Resource: getAtt(`${queue}.Arn`),
+                    Condition: { ArnEquals: { 'aws:SourceArn': [getAtt(`${ruleName}.Arn`)] } },
+                }],
+            },
+        },
+    });
+}
+
+/**
+ * Remove a rule sending events to a queue. The queue policy is removed with its last rule
+ * @param {import('yaml').Document} doc - Template document
+ * @param {string} ruleName - Logical id of the rule
+ * @returns {void}
+ */
+export function removeQueueRule(doc, ruleName) {
+    const rule = getQueueRules(doc).find(entry => entry.name === ruleName);
+    removeResource(doc, ruleName);
+    if (!rule || !rule.queue) {
+        return;
+    }
+    const policyName = `${rule.queue}EventsPolicy`;
+    const sources = doc.getIn(['Resources', policyName, 'Properties', 'PolicyDocument', 'Statement', 0, 'Condition', 'ArnEquals', 'aws:SourceArn']);
+    if (!isSeq(sources)) {
+        return;
+    }
+    sources.items = sources.items.filter(item => getAttName(item) !== ruleName);
+    if (sources.items.length === 0) {
+        removeResource(doc, policyName);
+    }
+}
+
+/**
+ * Topics and event buses a function may publish to through the SNSPublishMessagePolicy
+ * and EventBridgePutEventsPolicy policy templates
+ * @param {import('yaml').Document} doc - Template document
+ * @param {string} functionName - Logical id of the function
+ * @returns {{policy: string, target: string}[]}
+ */
+export function getPublishPolicies(doc, functionName) {
+    return getPolicyTemplates(doc, functionName, PUBLISH_POLICIES)
+        .map(({ policy, resource }) => ({ policy, target: resource }));
+}
+
+/**
+ * Allow a function to publish to a topic or an event bus, creating Policies if needed
+ * @param {import('yaml').Document} doc - Template document
+ * @param {string} functionName - Logical id of the function
+ * @param {string} target - Logical id of the topic or event bus
+ * @returns {void}
+ */
+export function addPublishPolicy(doc, functionName, target) {
+    if (getPublishPolicies(doc, functionName).some(entry => entry.target === target)) {
+        return;
+    }
+    const entry = getResourceType(doc, target) === 'AWS::SNS::Topic'
+        ? { SNSPublishMessagePolicy: { TopicName: getAtt(`${target}.TopicName`) } }
+        : { EventBridgePutEventsPolicy: { EventBusName: getAtt(`${target}.Name`) } };
+    addPolicyTemplate(doc, functionName, entry);
+}
+
+/**
+ * Remove the publish policy template of a function for a topic or an event bus
+ * @param {import('yaml').Document} doc - Template document
+ * @param {string} functionName - Logical id of the function
+ * @param {string} target - Logical id of the topic or event bus
+ * @returns {void}
+ */
+export function removePublishPolicy(doc, functionName, target) {
+    removePolicyTemplates(doc, functionName, PUBLISH_POLICIES, target);
+}
+
+// ---------------------------------------------------------------------------
+// Outputs
+// ---------------------------------------------------------------------------
+
+/**
+ * Add an output, creating the Outputs section if needed
+ * @param {import('yaml').Document} doc - Template document
+ * @param {string} name - Output name
+ * @param {Object} output - Output definition
+ * @param {Object} [options]
+ * @param {boolean} [options.first] - Insert at the top of Outputs instead of the bottom
+ * @returns {void}
+ */
+export function addOutput(doc, name, output, options = {}) {
+    let outputs = doc.get('Outputs');
+    if (!isMap(outputs)) {
+        doc.contents.items.push(templatePair(doc, 'Outputs', {}));
+        outputs = doc.get('Outputs');
+    }
+    const pair = doc.createPair(name, output);
+    if (options.first) {
+        outputs.items.unshift(pair);
+    } else {
+        outputs.items.push(pair);
+    }
+}
+
+/**
+ * Outputs of the template as { name: value } where value is the raw string of the
+ * Value node (e.g. the !Sub string)
+ * @param {import('yaml').Document} doc - Template document
+ * @returns {Object<string, string>}
+ */
+export function getOutputs(doc) {
+    const outputs = doc.get('Outputs');
+    if (!isMap(outputs)) {
+        return {};
+    }
+    return Object.fromEntries(outputs.items
+        .filter(item => isMap(item.value))
+        .map(item => [keyOf(item), scalarValue(item.value.get('Value', true))]));
+}
+
+/**
+ * Remove the outputs referencing a resource. Outputs is removed when it becomes empty
+ * @param {import('yaml').Document} doc - Template document
+ * @param {string} name - Logical id of the resource
+ * @returns {string[]} Names of the removed outputs
+ */
+export function removeOutputsReferencing(doc, name) {
+    const outputs = doc.get('Outputs');
+    if (!isMap(outputs)) {
+        return [];
+    }
+    const removed = outputs.items.filter(item => referencesResource(item.value, name)).map(keyOf);
+    outputs.items = outputs.items.filter(item => !removed.includes(keyOf(item)));
+    if (outputs.items.length === 0) {
+        doc.delete('Outputs');
+    }
+    return removed;
+}
+
+// ---------------------------------------------------------------------------
+// Environment parameters
+// ---------------------------------------------------------------------------
+
+/**
+ * Names of the parameters of the template
+ * @param {import('yaml').Document} doc - Template document
+ * @returns {string[]}
+ */
+export function getParameterNames(doc) {
+    const parameters = doc.get('Parameters');
+    return isMap(parameters) ? parameters.items.map(keyOf) : [];
+}
+
+/**
+ * Add the `Environment` parameter, the environment deployed, set for each environment in
+ * samconfig.toml. The SSM parameter names and secret read policies of projects created
+ * with a single environment are changed to read it
+ * @param {import('yaml').Document} doc - Template document
+ * @param {string} environment - Default environment
+ * @returns {void}
+ */
+export function useEnvironmentParameter(doc, environment) {
+    const parameters = getParameters(doc);
+    if (!parameters.has('Environment')) {
+        parameters.items.unshift(doc.createPair('Environment', {
+            Type: 'String',
+            Description: quoted('Environment deployed, set for each environment in samconfig.toml'),
+            Default: environment,
+        }));
+    }
+
+    for (const name of Object.keys(getEnvironmentParameters(doc))) {
+        const value = scalarValue(doc.getIn(['Resources', `Param${name}`, 'Properties', 'Name'], true));
+        if (value && !value.includes('${Environment}') && ENVIRONMENT_SEGMENT.test(value)) {
+            setProperty(doc, `Param${name}`, 'Name', sub(value.replace(ENVIRONMENT_SEGMENT, '$1${Environment}/'), 'single'));
+        }
+    }
+
+    const declared = Object.values(getSecretParameters(doc)).map(({ id }) => secretKey(secretPath(id)));
+    for (const functionName of getFunctionNames(doc)) {
+        const policies = doc.getIn(['Resources', functionName, 'Properties', 'Policies']);
+        if (!isSeq(policies)) {
+            continue;
+        }
+        policies.items = policies.items.map(item => {
+            const policy = secretPolicyOf(item);
+            return policy && declared.includes(secretKey(policy.path)) && !policy.path.includes('${Environment}')
+                ? doc.createNode(secretPolicy(policy.store, policy.path.replace(ENVIRONMENT_SEGMENT, '$1${Environment}/')))
+                : item;
+        });
+    }
+}
+
+/**
+ * Environment parameters (`Env<NAME>`) of the template as { NAME: default }
+ * @param {import('yaml').Document} doc - Template document
+ * @returns {Object<string, string>}
+ */
+export function getEnvironmentParameters(doc) {
+    const parameters = doc.get('Parameters');
+    if (!isMap(parameters)) {
+        return {};
+    }
+    const result = {};
+    for (const item of parameters.items) {
+        // Environment is the environment deployed, not the variable `ironment`
+        const match = keyOf(item) !== 'Environment' && keyOf(item).match(/^Env(\w+)$/);
+        if (match && isMap(item.value)) {
+            result[match[1]] = scalarValue(item.value.get('Default', true)) ?? '';
+        }
+    }
+    return result;
+}
+
+/**
+ * Add `Env<NAME>` parameters holding the values shared by the functions, the `Environment`
+ * parameter being added when missing. Their SSM parameters are kept by setSsmParameters().
+ * Variables already declared are skipped
+ * @param {import('yaml').Document} doc - Template document
+ * @param {Object<string, string>} variables - { NAME: value }
+ * @param {Object} context
+ * @param {string} context.environment - Environment name (dev, staging, prod)
+ * @returns {string[]} Names of the added variables
+ */
+export function addEnvironmentParameters(doc, variables, { environment }) {
+    const existing = getEnvironmentParameters(doc);
+    const names = Object.keys(variables).filter(name => existing[name] === undefined);
+    if (names.length === 0) {
+        return [];
+    }
+
+    useEnvironmentParameter(doc, environment);
+    const parameters = getParameters(doc);
+    for (const name of names) {
+        parameters.items.push(doc.createPair(`Env${name}`, {
+            Type: 'String',
+            Default: quoted(variables[name] ?? ''),
+        }));
+    }
+
+    return names;
+}
+
+// Parameters section of the template, added before Resources when missing
+function getParameters(doc) {
+    if (!isMap(doc.get('Parameters'))) {
+        const resourcesIndex = doc.contents.items.findIndex(item => keyOf(item) === 'Resources');
+        const pair = templatePair(doc, 'Parameters', {});
+        doc.contents.items.splice(resourcesIndex === -1 ? doc.contents.items.length : resourcesIndex, 0, pair);
+    }
+    return doc.get('Parameters');
+}
+
+/**
+ * Change the default value of an `Env<NAME>` parameter
+ * @param {import('yaml').Document} doc - Template document
+ * @param {string} name - Variable name
+ * @param {string} value - New value
+ * @returns {void}
+ */
+export function setEnvironmentParameter(doc, name, value) {
+    const parameter = doc.getIn(['Parameters', `Env${name}`]);
+    if (!isMap(parameter)) {
+        throw new Error(`Parameter Env${name} not found in template.yaml`);
+    }
+    parameter.set('Default', quoted(value));
+}
+
+/**
+ * Remove an `Env<NAME>` parameter and every function environment variable reading it.
+ * Functions with a value of their own keep reading it. Empty Environment and Parameters
+ * sections are removed
+ * @param {import('yaml').Document} doc - Template document
+ * @param {string} name - Variable name
+ * @returns {void}
+ */
+export function removeEnvironmentParameter(doc, name) {
+    deleteParameter(doc, `Env${name}`);
+    removeResource(doc, `Param${name}`);
+
+    for (const functionName of getFunctionNames(doc)) {
+        const variables = doc.getIn(['Resources', functionName, 'Properties', 'Environment', 'Variables']);
+        if (!isMap(variables)) {
+            continue;
+        }
+        variables.items = variables.items.filter(item => getRefName(item.value) !== `Env${name}`);
+        if (variables.items.length === 0) {
+            getProperties(doc, functionName).delete('Environment');
+        }
+    }
+}
+
+// Delete a parameter, and the Parameters section when it is left empty
+function deleteParameter(doc, key) {
+    const parameters = doc.get('Parameters');
+    if (isMap(parameters)) {
+        parameters.delete(key);
+        if (parameters.items.length === 0) {
+            doc.delete('Parameters');
+        }
+    }
+}
+
+// ---------------------------------------------------------------------------
+// Lambda parameters
+// ---------------------------------------------------------------------------
+
+/**
+ * Values of their own of the functions (`<function>Env<NAME>` parameters), as
+ * { function: { NAME: default } }. They either override the `Env<NAME>` value for the
+ * function, or declare a variable only the function reads
+ * @param {import('yaml').Document} doc - Template document
+ * @returns {Object<string, Object<string, string>>}
+ */
+export function getLambdaParameters(doc) {
+    const parameters = doc.get('Parameters');
+    if (!isMap(parameters)) {
+        return {};
+    }
+    // The longest logical id wins, should one start with another
+    const functionNames = getFunctionNames(doc).sort((a, b) => b.length - a.length);
+    const result = {};
+    for (const item of parameters.items) {
+        const key = keyOf(item);
+        const functionName = functionNames.find(name => key.startsWith(`${name}Env`) && key.length > `${name}Env`.length);
+        if (functionName && isMap(item.value)) {
+            result[functionName] = {
+                ...result[functionName],
+                [key.slice(`${functionName}Env`.length)]: scalarValue(item.value.get('Default', true)) ?? '',
+            };
+        }
+    }
+    return result;
+}
+
+/**
+ * Give a function a value of its own for a variable: a `<function>Env<NAME>` parameter,
+ * read by the function instead of `Env<NAME>`
+ * @param {import('yaml').Document} doc - Template document
+ * @param {string} functionName - Logical id of the function
+ * @param {string} name - Variable name
+ * @param {string} value - Value
+ * @param {Object} context
+ * @param {string} context.environment - Environment name (dev, staging, prod)
+ * @returns {void}
+ */
+export function addLambdaParameter(doc, functionName, name, value, { environment }) {
+    useEnvironmentParameter(doc, environment);
+    getParameters(doc).set(`${functionName}Env${name}`, doc.createNode({
+        Type: 'String',
+        Description: quoted(`Value of ${name} for ${functionName}`),
+        Default: quoted(value ?? ''),
+    }));
+
+    const names = getDeclaredVariables(doc, functionName);
+    setEnvironmentVariables(doc, functionName, names.includes(name) ? names : [...names, name]);
+}
+
+/**
+ * Change the default value of a `<function>Env<NAME>` parameter
+ * @param {import('yaml').Document} doc - Template document
+ * @param {string} functionName - Logical id of the function
+ * @param {string} name - Variable name
+ * @param {string} value - New value
+ * @returns {void}
+ */
+export function setLambdaParameter(doc, functionName, name, value) {
+    const parameter = doc.getIn(['Parameters', `${functionName}Env${name}`]);
+    if (!isMap(parameter)) {
+        throw new Error(`Parameter ${functionName}Env${name} not found in template.yaml`);
+    }
+    parameter.set('Default', quoted(value));
+}
+
+/**
+ * Remove the value of its own of a function. The function reads the `Env<NAME>` value
+ * instead, or stops reading the variable when there is none
+ * @param {import('yaml').Document} doc - Template document
+ * @param {string} functionName - Logical id of the function
+ * @param {string} name - Variable name
+ * @returns {void}
+ */
+export function removeLambdaParameter(doc, functionName, name) {
+    const names = getDeclaredVariables(doc, functionName);
+    deleteParameter(doc, `${functionName}Env${name}`);
+    if (names.includes(name)) {
+        const shared = getEnvironmentParameters(doc)[name] !== undefined || Boolean(getSecretParameters(doc)[name]);
+        setEnvironmentVariables(doc, functionName, shared ? names : names.filter(other => other !== name));
+    }
+}
+
+/**
+ * Keep the SSM parameters storing the variables: a `Param<NAME>` per shared `Env<NAME>`
+ * parameter under `/sam-smith/${Environment}/<projectName>/<NAME>`, and next to them a
+ * `<function>Param<NAME>` per value of its own a function has (`<function>Env<NAME>`) under
+ * `/sam-smith/${Environment}/<projectName>/<function>/<NAME>`. The SSM parameters of
+ * variables no longer declared are removed
+ * @param {import('yaml').Document} doc - Template document
+ * @param {Object} context
+ * @param {string} context.projectName - Project name
+ * @returns {void}
+ */
+export function setSsmParameters(doc, { projectName }) {
+    const wanted = new Map();
+    for (const name of Object.keys(getEnvironmentParameters(doc))) {
+        wanted.set(`Param${name}`, { path: `/sam-smith/\${Environment}/${projectName}/${name}`, value: `Env${name}` });
+    }
+    for (const [functionName, values] of Object.entries(getLambdaParameters(doc))) {
+        for (const name of Object.keys(values)) {
+            wanted.set(`${functionName}Param${name}`, {
+                path: `/sam-smith/\${Environment}/${projectName}/${functionName}/${name}`,
+                value: `${functionName}Env${name}`,
+            });
+        }
+    }
+
+    for (const name of getResourceNames(doc, 'AWS::SSM::Parameter')) {
+        const path = scalarValue(doc.getIn(['Resources', name, 'Properties', 'Name'], true)) ?? '';
+        if (path.startsWith('/sam-smith/') && !wanted.has(name)) {
+            removeResource(doc, name);
+        }
+    }
+
+    // SSM parameters are grouped at the top of Resources
+    const resources = getResources(doc);
+    for (const [name, { path, value }] of wanted) {
+        if (hasResource(doc, name)) {
+            if (getRefName(doc.getIn(['Resources', name, 'Properties', 'Value'], true)) !== value) {
+                setProperty(doc, name, 'Value', ref(value));
+            }
+            continue;
+        }
+        const ssmNames = getResourceNames(doc, 'AWS::SSM::Parameter');
+        const index = ssmNames.length > 0
+            ? resources.items.findIndex(item => keyOf(item) === ssmNames[ssmNames.length - 1]) + 1
+            : 0;
+        addResource(doc, name, {
+            Type: 'AWS::SSM::Parameter',
+            Properties: {
+                Name: sub(path, 'single'),
+                Type: 'String',
+                Value: ref(value),
+            },
+        }, { index });
+    }
+}
+
+// ---------------------------------------------------------------------------
+// Secret parameters
+// ---------------------------------------------------------------------------
+
+/**
+ * Where a secret variable is kept in AWS: the SSM parameter
+ * `/sam-smith/<environment>/<projectName>/<NAME>` or the Secrets Manager secret
+ * `sam-smith/<environment>/<projectName>/<NAME>`
+ * @param {import('./project.js').SecretStore} store - Secret store
+ * @param {string} name - Variable name
+ * @param {Object} context
+ * @param {string} context.environment - Environment name (dev, staging, prod)
+ * @param {string} context.projectName - Project name
+ * @returns {{store: import('./project.js').SecretStore, id: string}}
+ */
+export function getSecretLocation(store, name, { environment, projectName }) {
+    const id = `sam-smith/${environment}/${projectName}/${name}`;
+    return { store, id: store === 'ssm' ? `/${id}` : id };
+}
+
+/**
+ * Secret parameters (`Secret<NAME>`) of the template as { NAME: location }. Their default
+ * is the location of the secret, `<store>:<id>`; the value itself is never in the template
+ * @param {import('yaml').Document} doc - Template document
+ * @returns {Object<string, {store: import('./project.js').SecretStore, id: string}>}
+ */
+export function getSecretParameters(doc) {
+    const parameters = doc.get('Parameters');
+    if (!isMap(parameters)) {
+        return {};
+    }
+    const result = {};
+    for (const item of parameters.items) {
+        const match = keyOf(item).match(/^Secret(\w+)$/);
+        const location = match && isMap(item.value) ? scalarValue(item.value.get('Default', true)) : null;
+        const [, store, id] = (location ?? '').match(/^(ssm|secretsmanager):(.+)$/) ?? [];
+        if (store) {
+            result[match[1]] = { store, id };
+        }
+    }
+    return result;
+}
+
+/**
+ * Add `Secret<NAME>` parameters holding the location of secret variables. Unlike the
+ * `Env<NAME>` parameters, no SSM parameter is added: the value is pushed by
+ * `sam-smith secrets push`. Their default is the location in the given environment, the
+ * other environments override it in samconfig.toml. Variables already declared are skipped
+ * @param {import('yaml').Document} doc - Template document
+ * @param {Object<string, import('./project.js').SecretStore>} secrets - { NAME: store }
+ * @param {Object} context
+ * @param {string} context.environment - Environment name (dev, staging, prod)
+ * @param {string} context.projectName - Project name
+ * @returns {string[]} Names of the added secrets
+ */
+export function addSecretParameters(doc, secrets, context) {
+    const existing = getSecretParameters(doc);
+    const names = Object.keys(secrets).filter(name => !existing[name]);
+    if (names.length === 0) {
+        return [];
+    }
+
+    useEnvironmentParameter(doc, context.environment);
+    const parameters = getParameters(doc);
+
+    for (const name of names) {
+        const { store, id } = getSecretLocation(secrets[name], name, context);
+        parameters.items.push(doc.createPair(`Secret${name}`, {
+            Type: 'String',
+            Description: quoted(`Location of the ${name} secret, read at runtime`),
+            Default: quoted(`${store}:${id}`),
+        }));
+    }
+
+    return names;
+}
+
+/**
+ * Move a secret to another store: its parameter and the read policies of the functions
+ * reading it are updated
+ * @param {import('yaml').Document} doc - Template document
+ * @param {string} name - Variable name
+ * @param {import('./project.js').SecretStore} store - New store
+ * @param {Object} context
+ * @param {string} context.environment - Environment name (dev, staging, prod)
+ * @param {string} context.projectName - Project name
+ * @returns {void}
+ */
+export function setSecretParameter(doc, name, store, context) {
+    const parameter = doc.getIn(['Parameters', `Secret${name}`]);
+    if (!isMap(parameter)) {
+        throw new Error(`Parameter Secret${name} not found in template.yaml`);
+    }
+    const { id } = getSecretLocation(store, name, context);
+    parameter.set('Default', quoted(`${store}:${id}`));
+
+    for (const functionName of getFunctionNames(doc)) {
+        const names = getDeclaredVariables(doc, functionName);
+        if (names.includes(name)) {
+            setEnvironmentVariables(doc, functionName, names);
+        }
+    }
+}
+
+/**
+ * Remove a `Secret<NAME>` parameter, and the `<NAME>_SECRET` variable and read policy of
+ * every function using it. Empty Environment, Policies and Parameters sections are removed
+ * @param {import('yaml').Document} doc - Template document
+ * @param {string} name - Variable name
+ * @returns {void}
+ */
+export function removeSecretParameter(doc, name) {
+    for (const functionName of getFunctionNames(doc)) {
+        const names = getDeclaredVariables(doc, functionName);
+        if (names.includes(name)) {
+            setEnvironmentVariables(doc, functionName, names.filter(other => other !== name));
+        }
+    }
+
+    const parameters = doc.get('Parameters');
+    if (isMap(parameters)) {
+        parameters.delete(`Secret${name}`);
+        if (parameters.items.length === 0) {
+            doc.delete('Parameters');
+        }
+    }
+}
+
+/**
+ * Keep exactly the read policies of the given secrets among the secret policies of a
+ * function; policies naming other resources are left as they are
+ */
+function setSecretPolicies(doc, functionName, locations) {
+    const declared = Object.values(getSecretParameters(doc)).map(({ id }) => secretKey(secretPath(id)));
+    const properties = getProperties(doc, functionName);
+    const policies = properties.get('Policies');
+    const present = [];
+
+    if (isSeq(policies)) {
+        policies.items = policies.items.filter(item => {
+            const policy = secretPolicyOf(item);
+            if (!policy || !declared.includes(secretKey(policy.path))) {
+                return true;
+            }
+            const wanted = locations.some(({ store, id }) => store === policy.store && secretPolicyPath(id) === policy.path);
+            if (wanted) {
+                present.push(policy);
+            }
+            return wanted;
+        });
+        if (policies.items.length === 0) {
+            properties.delete('Policies');
+        }
+    }
+
+    for (const { store, id } of locations) {
+        const path = secretPolicyPath(id);
+        if (!present.some(policy => policy.store === store && policy.path === path)) {
+            addPolicyTemplate(doc, functionName, secretPolicy(store, path));
+            present.push({ store, path });
+        }
+    }
+}
+
+function secretPolicy(store, path) {
+    return store === 'ssm'
+        ? { [SECRET_POLICIES.ssm]: { ParameterName: sub(path, 'single') } }
+        : { [SECRET_POLICIES.secretsmanager]: { SecretArn: sub(`arn:aws:secretsmanager:\${AWS::Region}:\${AWS::AccountId}:secret:${path}-*`, 'single') } };
+}
+
+// The policy templates take SSM parameter names without their leading '/'
+function secretPath(id) {
+    return id.replace(/^\//, '');
+}
+
+// Path of a secret in the read policies, for the environment deployed
+function secretPolicyPath(id) {
+    return secretPath(id).replace(ENVIRONMENT_SEGMENT, '$1${Environment}/');
+}
+
+// Path of a secret without its environment, to match the policies of every environment
+function secretKey(path) {
+    return path.replace(ENVIRONMENT_SEGMENT, '$1');
+}
+
+// `{store, path}` of a secret read policy, or null
+function secretPolicyOf(item) {
+    if (!isMap(item) || item.items.length !== 1 || !isMap(item.items[0].value)) {
+        return null;
+    }
+    const policy = keyOf(item.items[0]);
+    const properties = item.items[0].value;
+    if (policy === SECRET_POLICIES.ssm) {
+        const path = scalarValue(properties.get('ParameterName', true));
+        return path ? { store: 'ssm', path } : null;
+    }
+    if (policy === SECRET_POLICIES.secretsmanager) {
+        const match = (scalarValue(properties.get('SecretArn', true)) ?? '').match(/:secret:(.+)-\*$/);
+        return match ? { store: 'secretsmanager', path: match[1] } : null;
+    }
+    return null;
+}
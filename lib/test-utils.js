@@ -2,11 +2,24 @@
 
 import fs from 'fs-extra';
 import path from 'path';
-import { fileURLToPath } from 'url';
+import { spawnSync } from 'child_process';
 import { generateProject } from './generator.js';
+import {
+    readTemplate,
+    writeTemplate,
+    getFunctionNames,
+    setEnvironmentVariables,
+    addEnvironmentParameters,
+    setSsmParameters,
+} from './template.js';
+import { loadProject, runOperation } from './project.js';
+import * as operations from './operations.js';
+import { startLocalDynamo } from './dynamo-local.js';
+import { readSeeds, seedProject } from './seed.js';
+import { readSecrets } from './secrets.js';
+import { analyzeEnvUsage } from './check-env.js';
+import { getDeployCommand } from './deploy.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
 
 
 /**
@@ -21,6 +34,8 @@ const __dirname = path.dirname(__filename);
  * @param {string} config.architecture - Architecture (arm64 or x86_64)
  * @param {string} config.environment - Environment name (dev, staging, prod)
  * @param {Object} config.envVarsWithValues - Environment variables with their values {A1: 'a1', A2: 'a2'}
+ * @param {string} [config.region] - Region of samconfig.toml (default: us-east-1, that of the expected files,
+ * whatever the region of the shell running the tests)
  * @returns {Promise<void>}
  */
 export async function generateProjectProgrammatically(config) {
@@ -33,7 +48,8 @@ export async function generateProjectProgrammatically(config) {
         templateName = 'basic',
         architecture = 'arm64',
         environment = 'dev',
-        envVarsWithValues = {}
+        envVarsWithValues = {},
+        region = 'us-east-1'
     } = config;
 
     // Save original working directory
@@ -54,7 +70,8 @@ export async function generateProjectProgrammatically(config) {
             envVars,
             templateName,
             architecture,
-            environment
+            environment,
+            { region }
         );
 
         // Create .env file in the generated project with the environment variables
@@ -69,76 +86,19 @@ export async function generateProjectProgrammatically(config) {
 
         await fs.writeFile(envFilePath, envContent);
 
-        // Add Parameters and SSM resources to template.yaml if envVarsWithValues has values
+        // Add Parameters and SSM resources for the env vars and reference them from the Lambda
         const envVarNames = Object.keys(envVarsWithValues);
-        if (envVarNames.length > 0) {
+        if (envVarNames.length > 0 || envVars.length > 0) {
             const templatePath = path.join(projectDir, 'template.yaml');
-            let templateContent = await fs.readFile(templatePath, 'utf8');
-            let lines = templateContent.split('\n');
-
-            // Build Parameters YAML
-            let paramsYaml = 'Parameters:\n';
-            for (const varName of envVarNames) {
-                const value = envVarsWithValues[varName];
-                paramsYaml += `  Env${varName}:\n    Type: String\n    Default: '${value}'\n`;
-            }
-
-            // Build SSM Resources YAML
-            let ssmYaml = '';
-            for (const varName of envVarNames) {
-                ssmYaml += `  Param${varName}:\n    Type: AWS::SSM::Parameter\n    Properties:\n      Name: !Sub '/sam-smith/${environment}/${projectName}/${varName}'\n      Type: String\n      Value: !Ref Env${varName}\n\n`;
-            }
-
-            // Find Resources: line and insert Parameters before it
-            const resourcesIndex = lines.findIndex(line => line.match(/^Resources:/));
-            if (resourcesIndex !== -1) {
-                lines.splice(resourcesIndex, 0, paramsYaml);
-            }
-
-            // Re-parse lines after first insertion
-            templateContent = lines.join('\n');
-            lines = templateContent.split('\n');
-
-            // Find the blank line after Resources: and insert SSM resources
-            const newResourcesIndex = lines.findIndex(line => line.match(/^Resources:/));
-            if (newResourcesIndex !== -1) {
-                // Find where to insert SSM resources (after Resources: blank line)
-                let insertIndex = newResourcesIndex + 1;
-                while (insertIndex < lines.length && lines[insertIndex].trim() === '') {
-                    insertIndex++;
-                }
-                lines.splice(insertIndex, 0, ssmYaml.trimEnd() + '\n');
-            }
+            const doc = await readTemplate(templatePath);
 
-            await fs.writeFile(templatePath, lines.join('\n'));
-        }
-
-        // Add Environment Variables to the Lambda if envVars is provided
-        if (envVars.length > 0) {
-            const templatePath = path.join(projectDir, 'template.yaml');
-            let templateContent = await fs.readFile(templatePath, 'utf8');
-            let lines = templateContent.split('\n');
-
-            // Find the Lambda function (look for Architectures: and insert after it)
-            for (let i = 0; i < lines.length; i++) {
-                if (lines[i].match(/^\s+Architectures:/)) {
-                    // Find the array item (next line with "- arch")
-                    for (let j = i + 1; j < lines.length; j++) {
-                        if (lines[j].match(/^\s+- (arm64|x86_64)/)) {
-                            // Insert Environment block after architecture
-                            const envBlock = ['      Environment:', '        Variables:'];
-                            envVars.forEach(v => {
-                                envBlock.push(`          ${v}: !Ref Env${v}`);
-                            });
-                            lines.splice(j + 1, 0, ...envBlock);
-                            break;
-                        }
-                    }
-                    break;
-                }
+            addEnvironmentParameters(doc, envVarsWithValues, { environment });
+            if (envVars.length > 0) {
+                setEnvironmentVariables(doc, getFunctionNames(doc)[0], envVars);
             }
+            setSsmParameters(doc, { projectName });
 
-            await fs.writeFile(templatePath, lines.join('\n'));
+            await writeTemplate(templatePath, doc);
         }
     } finally {
         // Always restore original working directory
@@ -276,6 +236,25 @@ export async function compareDirectories(dir1Path, dir2Path, options = {}) {
     };
 }
 
+/**
+ * Run the Jest suite of a generated project, with the jest of its node_modules. The comparisons
+ * of the generated files only read them: this runs the generated tests
+ * @param {string} projectPath - Absolute path to the project
+ * @returns {{passed: boolean, output: string}} Whether every suite passed, and the output of Jest
+ */
+export function runProjectTestsProgrammatically(projectPath) {
+    const jestPath = path.join(projectPath, 'node_modules', 'jest', 'bin', 'jest.js');
+    if (!fs.existsSync(jestPath)) {
+        throw new Error(`jest is not installed in ${projectPath}: run npm install at the root of sam-smith first.`);
+    }
+    const result = spawnSync(process.execPath, [jestPath, '--ci', '--runInBand'], {
+        cwd: projectPath,
+        encoding: 'utf8',
+        env: { ...process.env, CI: '1' },
+    });
+    return { passed: result.status === 0, output: `${result.stdout}${result.stderr}` };
+}
+
 /**
  * Safely delete a test project directory
  * @param {string} projectPath - Absolute path to project directory
@@ -302,165 +281,12 @@ export async function updateProjectProgrammatically(projectPath, options = {}) {
         updateChanged = true
     } = options;
 
-    const templatePath = path.join(projectPath, 'template.yaml');
-    const envPath = path.join(projectPath, '.env');
-
-    if (!await fs.pathExists(templatePath)) {
-        throw new Error('template.yaml not found');
-    }
-    if (!await fs.pathExists(envPath)) {
-        throw new Error('.env not found');
-    }
-
-    // Read .env file
-    const envContent = await fs.readFile(envPath, 'utf8');
-    const envVars = {};
-    envContent.split('\n').forEach(line => {
-        line = line.trim();
-        if (line && !line.startsWith('#')) {
-            const [key, ...valueParts] = line.split('=');
-            if (key && key.trim() !== 'ENVIRONMENT') {
-                envVars[key.trim()] = valueParts.join('=').trim();
-            }
-        }
+    // Skipped groups are passed as empty lists, the others default to every difference
+    await runOperation(projectPath, operations.syncEnvironmentVariables, {
+        ...(!addNew && { add: [], addLambdaVars: [] }),
+        ...(!removeOld && { remove: [], removeLambdaVars: [] }),
+        ...(!updateChanged && { update: [], updateLambdaVars: [] }),
     });
-
-    // Read template.yaml
-    let templateContent = await fs.readFile(templatePath, 'utf8');
-
-    // Extract existing parameters from template
-    const paramRegex = /  Env([a-zA-Z0-9_]+):\s+Type:\s+String\s+Default:\s*'([^']*)'/g;
-    const templateVars = {};
-    let match;
-    while ((match = paramRegex.exec(templateContent)) !== null) {
-        templateVars[match[1]] = match[2];
-    }
-
-    // Find new, removed, and changed vars
-    const newVars = Object.keys(envVars).filter(k => !templateVars[k]);
-    const removedVars = Object.keys(templateVars).filter(k => !envVars[k]);
-    const changedVars = Object.keys(envVars).filter(k =>
-        templateVars[k] !== undefined && templateVars[k] !== envVars[k]
-    ).map(k => ({ name: k, oldValue: templateVars[k], newValue: envVars[k] }));
-
-    // Add new variables
-    if (addNew && newVars.length > 0) {
-        const environment = process.env.ENVIRONMENT || 'dev';
-        const projectName = path.basename(projectPath);
-
-        // Create Parameters YAML
-        const newParamsYaml = newVars.map(varName => {
-            const value = envVars[varName];
-            return `  Env${varName}:\n    Type: String\n    Default: '${value}'`;
-        }).join('\n') + '\n';
-
-        // Create SSM Resources YAML
-        const newResourcesYaml = newVars.map(varName => {
-            return `  Param${varName}:\n    Type: AWS::SSM::Parameter\n    Properties:\n      Name: !Sub '/sam-smith/${environment}/${projectName}/${varName}'\n      Type: String\n      Value: !Ref Env${varName}\n`;
-        }).join('\n');
-
-        // Insert Parameters
-        const parametersIndex = templateContent.indexOf('Parameters:');
-        const resourcesIndex = templateContent.indexOf('Resources:');
-
-        if (parametersIndex !== -1 && resourcesIndex !== -1) {
-            // Find last parameter
-            const parametersSection = templateContent.slice(parametersIndex, resourcesIndex);
-            const lastParamMatch = parametersSection.match(/  Env[a-zA-Z0-9_]+:/g);
-
-            if (lastParamMatch) {
-                const lastParam = lastParamMatch[lastParamMatch.length - 1];
-                const lastParamIndexInSection = parametersSection.lastIndexOf(lastParam);
-                const lastParamIndex = parametersIndex + lastParamIndexInSection;
-                const afterParam = templateContent.slice(lastParamIndex);
-                const defaultLineMatch = afterParam.match(/Default: '[^']*'\n/);
-
-                if (defaultLineMatch) {
-                    const insertPos = lastParamIndex + defaultLineMatch.index + defaultLineMatch[0].length;
-                    const before = templateContent.slice(0, insertPos);
-                    const after = templateContent.slice(insertPos);
-                    templateContent = before + newParamsYaml + after;
-                }
-            } else {
-                templateContent = templateContent.replace(
-                    /Parameters:\s*\n/,
-                    `Parameters:\n${newParamsYaml}`
-                );
-            }
-        } else if (resourcesIndex !== -1) {
-            templateContent = templateContent.replace(
-                /(Resources:)/,
-                `Parameters:\n${newParamsYaml}\n$1`
-            );
-        }
-
-        // Insert SSM Resources
-        const ssmType = 'Type: AWS::SSM::Parameter';
-        const lastSsmIndex = templateContent.lastIndexOf(ssmType);
-
-        if (lastSsmIndex !== -1) {
-            const remaining = templateContent.slice(lastSsmIndex);
-            const doubleNewline = remaining.indexOf('\n\n');
-
-            if (doubleNewline !== -1) {
-                const insertPos = lastSsmIndex + doubleNewline;
-                const before = templateContent.slice(0, insertPos);
-                const after = templateContent.slice(insertPos);
-                templateContent = before + `\n\n${newResourcesYaml.trimEnd()}` + after;
-            }
-        } else {
-            templateContent = templateContent.replace(
-                /(Resources:\s*\n)/,
-                `$1${newResourcesYaml}`
-            );
-        }
-    }
-
-    // Remove old variables
-    if (removeOld && removedVars.length > 0) {
-        for (const v of removedVars) {
-            // Remove Parameter
-            const paramRegex = new RegExp(`  Env${v}:\\n( {4,}.*\\n)*\\n?`, 'g');
-            templateContent = templateContent.replace(paramRegex, '');
-
-            // Remove SSM Resource
-            const resourceRegex = new RegExp(`  Param${v}:\\n( {4,}.*\\n)*\\n?`, 'g');
-            templateContent = templateContent.replace(resourceRegex, '');
-
-            // Remove from Lambda Environment
-            const usageRegex = new RegExp(`^\\s+${v}: !Ref Env${v}.*\\n?`, 'gm');
-            templateContent = templateContent.replace(usageRegex, '');
-        }
-
-        // Cleanup empty Environment blocks
-        const emptyEnvRegex = /( {6}Environment:\n {8}Variables:\n)(?![ ]{10})/g;
-        templateContent = templateContent.replace(emptyEnvRegex, '');
-
-        // Remove empty Parameters section
-        const emptyParamsRegex = /Parameters:\s*\n(?=[a-zA-Z0-9])/;
-        if (emptyParamsRegex.test(templateContent)) {
-            templateContent = templateContent.replace(emptyParamsRegex, '');
-        }
-
-        // Ensure blank line before Resources
-        templateContent = templateContent.replace(/Default: '[^']*'\nResources:/, (match) => {
-            return match.replace('\nResources:', '\n\nResources:');
-        });
-
-        // Collapse multiple blank lines
-        templateContent = templateContent.replace(/\n{3,}/g, '\n\n');
-    }
-
-    // Update changed variables
-    if (updateChanged && changedVars.length > 0) {
-        for (const v of changedVars) {
-            const paramRegex = new RegExp(`(  Env${v.name}:\\s+Type:\\s+String\\s+Default:\\s*')([^']*)(')`, 'g');
-            templateContent = templateContent.replace(paramRegex, (match, p1, p2, p3) => p1 + v.newValue + p3);
-        }
-    }
-
-    // Write updated template
-    await fs.writeFile(templatePath, templateContent);
 }
 
 /**
@@ -471,226 +297,29 @@ export async function updateProjectProgrammatically(projectPath, options = {}) {
  * @param {number} options.timeout - Timeout in seconds
  * @param {string[]} options.envVars - Environment variables to include
  * @param {Object} options.envVarsWithValues - Environment variables with their values {A1: 'a1'}
+ * @param {Object} [options.queue] - Queue consumed by the lambda (see operations.createLambda)
+ * @param {Object} [options.schedule] - Schedule running the lambda (see operations.createLambda)
+ * @param {Object} [options.bucketTrigger] - Bucket whose new objects run the lambda (see operations.createLambda)
+ * @param {Object} [options.subscription] - Topic the lambda subscribes to (see operations.createLambda)
+ * @param {Object} [options.eventRule] - Rule whose events run the lambda (see operations.createLambda)
+ * @param {Object} [options.stream] - Table stream read by the lambda (see operations.createLambda)
  * @returns {Promise<void>}
  */
 export async function addLambdaProgrammatically(projectPath, options) {
-    const { lambdaName, timeout = 60, envVars = [], envVarsWithValues = {} } = options;
-    const templatePath = path.join(projectPath, 'template.yaml');
-    const srcPath = path.join(projectPath, 'src');
-    const envPath = path.join(projectPath, '.env');
-
-    if (!await fs.pathExists(templatePath)) {
-        throw new Error('template.yaml not found');
-    }
-
-    let templateContent = await fs.readFile(templatePath, 'utf8');
-    let lines = templateContent.split('\n');
-
-    // Detect architecture from existing lambda
-    let architecture = 'arm64';
-    for (let i = 0; i < lines.length; i++) {
-        const archMatch = lines[i].match(/^\s+- (arm64|x86_64)$/);
-        if (archMatch) {
-            architecture = archMatch[1];
-            break;
-        }
-    }
-
-    // Get project name from path
-    const projectName = path.basename(projectPath);
-
-    // Read environment from .env file
-    let environment = 'dev';
-    if (await fs.pathExists(envPath)) {
-        const envContent = await fs.readFile(envPath, 'utf8');
-        const envMatch = envContent.match(/ENVIRONMENT=(\w+)/);
-        if (envMatch) {
-            environment = envMatch[1];
-        }
-    }
-
-    // Add Parameters and SSM resources for new environment variables
-    if (envVars.length > 0) {
-        // Check which env vars need to be added (not already in template)
-        const existingParams = [];
-        for (const line of lines) {
-            const paramMatch = line.match(/^\s{2}Env(\w+):$/);
-            if (paramMatch) {
-                existingParams.push(paramMatch[1]);
-            }
-        }
-
-        const newEnvVars = envVars.filter(v => !existingParams.includes(v));
-
-        if (newEnvVars.length > 0) {
-            // Build Parameters YAML
-            let paramsYaml = '';
-            for (const varName of newEnvVars) {
-                const value = envVarsWithValues[varName] || '';
-                paramsYaml += `  Env${varName}:\n    Type: String\n    Default: '${value}'\n`;
-            }
-
-            // Build SSM Resources YAML
-            let ssmYaml = '';
-            for (const varName of newEnvVars) {
-                ssmYaml += `  Param${varName}:\n    Type: AWS::SSM::Parameter\n    Properties:\n      Name: !Sub '/sam-smith/${environment}/${projectName}/${varName}'\n      Type: String\n      Value: !Ref Env${varName}\n\n`;
-            }
-
-            // Check if Parameters section exists
-            const hasParameters = lines.some(line => line.match(/^Parameters:/));
-            const resourcesIndex = lines.findIndex(line => line.match(/^Resources:/));
-
-            if (hasParameters) {
-                // Find last parameter and add after it
-                let lastParamLine = -1;
-                for (let i = 0; i < resourcesIndex; i++) {
-                    if (lines[i].match(/^\s{2}Env\w+:$/)) {
-                        // Find the Default line for this param
-                        for (let j = i; j < resourcesIndex; j++) {
-                            if (lines[j].match(/^\s{4}Default:/)) {
-                                lastParamLine = j;
-                                break;
-                            }
-                        }
-                    }
-                }
-                if (lastParamLine !== -1) {
-                    lines.splice(lastParamLine + 1, 0, paramsYaml.trimEnd());
-                }
-            } else if (resourcesIndex !== -1) {
-                // Insert Parameters section before Resources
-                lines.splice(resourcesIndex, 0, `Parameters:\n${paramsYaml}`);
-            }
-
-            // Insert SSM resources after the blank line following Resources:
-            templateContent = lines.join('\n');
-            lines = templateContent.split('\n');
-
-            // Find last SSM Parameter or insert after Resources blank line
-            let insertSsmLine = -1;
-            for (let i = 0; i < lines.length; i++) {
-                if (lines[i].match(/^\s{2}Param\w+:$/)) {
-                    // Find the end of this SSM block
-                    for (let j = i + 1; j < lines.length; j++) {
-                        if (lines[j].match(/^\s{2}\w+:/) || lines[j].match(/^[A-Z]/)) {
-                            insertSsmLine = j;
-                            break;
-                        }
-                    }
-                }
-            }
-
-            if (insertSsmLine === -1) {
-                // No existing SSM params, insert after Resources:
-                const newResourcesIndex = lines.findIndex(line => line.match(/^Resources:/));
-                if (newResourcesIndex !== -1) {
-                    // Insert after the blank line following Resources:
-                    let blankAfterResources = newResourcesIndex + 1;
-                    while (blankAfterResources < lines.length && lines[blankAfterResources].trim() === '') {
-                        blankAfterResources++;
-                    }
-                    lines.splice(blankAfterResources, 0, ssmYaml.trimEnd() + '\n');
-                }
-            } else {
-                lines.splice(insertSsmLine, 0, ssmYaml.trimEnd() + '\n');
-            }
-        }
-    }
-
-    // Build Lambda YAML
-    const functionName = `${lambdaName}Function`;
-    let lambdaYaml = `  ${functionName}:
-    Type: AWS::Serverless::Function
-    Properties:
-      FunctionName: !Sub \${AWS::StackName}-${functionName}
-      CodeUri: src/
-      Handler: ${lambdaName}/handler.${lambdaName}
-      Runtime: nodejs20.x
-      Timeout: ${timeout}
-      Architectures:
-        - ${architecture}`;
-
-    if (envVars.length > 0) {
-        lambdaYaml += `
-      Environment:
-        Variables:`;
-        envVars.forEach(v => {
-            lambdaYaml += `
-          ${v}: !Ref Env${v}`;
-        });
-    }
-
-    lambdaYaml += `
-    Metadata:
-      BuildMethod: esbuild
-      BuildProperties:
-        Minify: false
-        Target: es2020
-        Sourcemap: true
-        EntryPoints:
-          - ${lambdaName}/handler.ts
-        External:
-          - aws-sdk
-
-  ${functionName}LogGroup:
-    Type: AWS::Logs::LogGroup
-    Properties:
-      LogGroupName: !Sub '/aws/lambda/\${${functionName}}'
-      RetentionInDays: 7
-`;
-
-    // Insert before Outputs
-    let insertLine = -1;
-    for (let i = 0; i < lines.length; i++) {
-        if (lines[i].match(/^Outputs:/)) {
-            insertLine = i;
-            break;
-        }
-    }
-
-    if (insertLine === -1) {
-        lines.push(lambdaYaml);
-    } else {
-        lines.splice(insertLine, 0, lambdaYaml);
-    }
-
-    await fs.writeFile(templatePath, lines.join('\n'));
-
-    // Create src files
-    const lambdaFolderPath = path.join(srcPath, lambdaName);
-    await fs.ensureDir(lambdaFolderPath);
-
-    const handlerTs = `import { APIGatewayProxyEvent, APIGatewayProxyResult } from 'aws-lambda';
-
-export const ${lambdaName} = async (event: APIGatewayProxyEvent): Promise<APIGatewayProxyResult> => {
-    return {
-        statusCode: 200,
-        body: JSON.stringify({
-            message: "hello from ${lambdaName}",
-        }),
-    };
-};
-`;
-    await fs.writeFile(path.join(lambdaFolderPath, 'handler.ts'), handlerTs);
-
-    const handlerTestTs = `import { ${lambdaName} } from './handler';
-import { APIGatewayProxyEvent } from 'aws-lambda';
-
-describe('Unit test for ${lambdaName} handler', function () {
-    it('verifies successful response', async () => {
-        const event: APIGatewayProxyEvent = {} as any;
-        const result = await ${lambdaName}(event);
-
-        expect(result.statusCode).toEqual(200);
-        expect(result.body).toEqual(
-            JSON.stringify({
-                message: 'hello from ${lambdaName}',
-            })
-        );
+    const { lambdaName, timeout = 60, envVars = [], envVarsWithValues = {}, queue, schedule, bucketTrigger, subscription, eventRule, stream } = options;
+
+    await runOperation(projectPath, operations.createLambda, {
+        name: lambdaName,
+        timeout,
+        envVars,
+        envValues: envVarsWithValues,
+        queue,
+        schedule,
+        bucketTrigger,
+        subscription,
+        eventRule,
+        stream
     });
-});
-`;
-    await fs.writeFile(path.join(lambdaFolderPath, 'handler.test.ts'), handlerTestTs);
 }
 
 /**
@@ -701,237 +330,25 @@ describe('Unit test for ${lambdaName} handler', function () {
  * @param {number} [options.timeout] - New timeout value
  * @param {string[]} [options.envVars] - New environment variables array
  * @param {Object} [options.envVarsWithValues] - Environment variables with their values {A1: 'a1'}
+ * @param {Object[]} [options.addSchedules] - Schedules to add (see operations.updateLambda)
+ * @param {string[]} [options.removeSchedules] - Schedule events to remove
+ * @param {string[]} [options.enableSchedules] - Schedule events to enable
+ * @param {string[]} [options.disableSchedules] - Schedule events to disable
  * @returns {Promise<void>}
  */
 export async function updateLambdaProgrammatically(projectPath, options) {
-    const { lambdaName, timeout, envVars, envVarsWithValues = {} } = options;
-    const templatePath = path.join(projectPath, 'template.yaml');
-    const envPath = path.join(projectPath, '.env');
-
-    let templateContent = await fs.readFile(templatePath, 'utf8');
-    let lines = templateContent.split('\n');
-
-    const functionName = `${lambdaName}Function`;
-    const projectName = path.basename(projectPath);
-
-    // Read environment from .env file
-    let environment = 'dev';
-    if (await fs.pathExists(envPath)) {
-        const envContent = await fs.readFile(envPath, 'utf8');
-        const envMatch = envContent.match(/ENVIRONMENT=(\w+)/);
-        if (envMatch) {
-            environment = envMatch[1];
-        }
-    }
-
-    // Find lambda block
-    let lambdaStartLine = -1;
-    let lambdaEndLine = -1;
-
-    for (let i = 0; i < lines.length; i++) {
-        const resMatch = lines[i].match(/^  ([a-zA-Z0-9]+):/);
-        if (resMatch) {
-            if (resMatch[1] === functionName) {
-                lambdaStartLine = i;
-            } else if (lambdaStartLine !== -1 && lambdaEndLine === -1) {
-                lambdaEndLine = i;
-                break;
-            }
-        }
-    }
-
-    if (lambdaStartLine === -1) {
-        throw new Error(`Lambda ${functionName} not found in template`);
-    }
-    if (lambdaEndLine === -1) {
-        lambdaEndLine = lines.length;
-    }
-
-    // Update timeout if provided
-    if (timeout !== undefined) {
-        for (let i = lambdaStartLine; i < lambdaEndLine; i++) {
-            if (lines[i].match(/^\s+Timeout:\s*\d+/)) {
-                lines[i] = lines[i].replace(/Timeout:\s*\d+/, `Timeout: ${timeout}`);
-                break;
-            }
-        }
-    }
-
-    // Update environment variables if provided
-    if (envVars !== undefined) {
-        // First, add any new Parameters and SSM resources for new env vars
-        const existingParams = [];
-        for (const line of lines) {
-            const paramMatch = line.match(/^\s{2}Env(\w+):$/);
-            if (paramMatch) {
-                existingParams.push(paramMatch[1]);
-            }
-        }
-
-        const newEnvVars = envVars.filter(v => !existingParams.includes(v));
-
-        if (newEnvVars.length > 0) {
-            // Build Parameters YAML
-            let paramsYaml = '';
-            for (const varName of newEnvVars) {
-                const value = envVarsWithValues[varName] || '';
-                paramsYaml += `  Env${varName}:\n    Type: String\n    Default: '${value}'\n`;
-            }
-
-            // Build SSM Resources YAML
-            let ssmYaml = '';
-            for (const varName of newEnvVars) {
-                ssmYaml += `  Param${varName}:\n    Type: AWS::SSM::Parameter\n    Properties:\n      Name: !Sub '/sam-smith/${environment}/${projectName}/${varName}'\n      Type: String\n      Value: !Ref Env${varName}\n\n`;
-            }
-
-            // Check if Parameters section exists
-            const hasParameters = lines.some(line => line.match(/^Parameters:/));
-            const resourcesIndex = lines.findIndex(line => line.match(/^Resources:/));
-
-            if (hasParameters) {
-                // Find last parameter and add after it
-                let lastParamLine = -1;
-                for (let i = 0; i < resourcesIndex; i++) {
-                    if (lines[i].match(/^\s{2}Env\w+:$/)) {
-                        // Find the Default line for this param
-                        for (let j = i; j < resourcesIndex; j++) {
-                            if (lines[j].match(/^\s{4}Default:/)) {
-                                lastParamLine = j;
-                                break;
-                            }
-                        }
-                    }
-                }
-                if (lastParamLine !== -1) {
-                    lines.splice(lastParamLine + 1, 0, paramsYaml.trimEnd());
-                }
-            } else if (resourcesIndex !== -1) {
-                // Insert Parameters section before Resources
-                lines.splice(resourcesIndex, 0, `Parameters:\n${paramsYaml}`);
-            }
-
-            // Insert SSM resources after existing SSM params or after Resources:
-            templateContent = lines.join('\n');
-            lines = templateContent.split('\n');
-
-            // Find last SSM Parameter or insert after Resources blank line
-            let insertSsmLine = -1;
-            for (let i = 0; i < lines.length; i++) {
-                if (lines[i].match(/^\s{2}Param\w+:$/)) {
-                    // Find the end of this SSM block
-                    for (let j = i + 1; j < lines.length; j++) {
-                        if (lines[j].match(/^\s{2}\w+:/) || lines[j].match(/^[A-Z]/)) {
-                            insertSsmLine = j;
-                            break;
-                        }
-                    }
-                }
-            }
-
-            if (insertSsmLine === -1) {
-                // No existing SSM params, insert after Resources:
-                const newResourcesIndex = lines.findIndex(line => line.match(/^Resources:/));
-                if (newResourcesIndex !== -1) {
-                    let blankAfterResources = newResourcesIndex + 1;
-                    while (blankAfterResources < lines.length && lines[blankAfterResources].trim() === '') {
-                        blankAfterResources++;
-                    }
-                    lines.splice(blankAfterResources, 0, ssmYaml.trimEnd() + '\n');
-                }
-            } else {
-                lines.splice(insertSsmLine, 0, ssmYaml.trimEnd() + '\n');
-            }
-
-            // Re-find lambda block since lines may have shifted
-            lambdaStartLine = -1;
-            lambdaEndLine = -1;
-            for (let i = 0; i < lines.length; i++) {
-                const resMatch = lines[i].match(/^  ([a-zA-Z0-9]+):/);
-                if (resMatch) {
-                    if (resMatch[1] === functionName) {
-                        lambdaStartLine = i;
-                    } else if (lambdaStartLine !== -1 && lambdaEndLine === -1) {
-                        lambdaEndLine = i;
-                        break;
-                    }
-                }
-            }
-            if (lambdaEndLine === -1) {
-                lambdaEndLine = lines.length;
-            }
-        }
-
-        // Remove existing Environment block
-        let envStartLine = -1;
-        let envEndLine = -1;
-
-        for (let i = lambdaStartLine; i < lambdaEndLine; i++) {
-            if (lines[i].match(/^\s+Environment:\s*$/)) {
-                envStartLine = i;
-            }
-            if (envStartLine !== -1 && envEndLine === -1) {
-                // Find where Environment block ends
-                if (i > envStartLine && lines[i].match(/^\s{6}\S/) && !lines[i].match(/^\s{8}/)) {
-                    envEndLine = i;
-                    break;
-                }
-            }
-        }
-
-        if (envStartLine !== -1 && envEndLine === -1) {
-            envEndLine = lambdaEndLine;
-        }
-
-        // Remove old Environment block if it exists
-        if (envStartLine !== -1) {
-            lines.splice(envStartLine, envEndLine - envStartLine);
-            lambdaEndLine -= (envEndLine - envStartLine);
-        }
-
-        // Add new Environment block if vars provided
-        if (envVars.length > 0) {
-            // Find where to insert (after Architectures and before Events/Metadata)
-            let insertLine = -1;
-
-            // First, try to find Architectures and insert right after its array item
-            for (let i = lambdaStartLine; i < lambdaEndLine; i++) {
-                if (lines[i].match(/^\s+Architectures:/)) {
-                    // Find the array item (next line with "- arch")
-                    for (let j = i + 1; j < lambdaEndLine; j++) {
-                        if (lines[j].match(/^\s+- (arm64|x86_64)/)) {
-                            insertLine = j + 1;
-                            break;
-                        }
-                    }
-                    break;
-                }
-            }
-
-            // If Architectures not found, insert before Metadata or Events
-            if (insertLine === -1) {
-                for (let i = lambdaStartLine; i < lambdaEndLine; i++) {
-                    if (lines[i].match(/^\s+Metadata:/) || lines[i].match(/^\s+Events:/)) {
-                        insertLine = i;
-                        break;
-                    }
-                }
-            }
-
-            // If still not found, insert at end of lambda properties
-            if (insertLine === -1) {
-                insertLine = lambdaEndLine;
-            }
-
-            const envBlock = ['      Environment:', '        Variables:'];
-            envVars.forEach(v => {
-                envBlock.push(`          ${v}: !Ref Env${v}`);
-            });
-
-            lines.splice(insertLine, 0, ...envBlock);
-        }
-    }
-
-    await fs.writeFile(templatePath, lines.join('\n'));
+    const { lambdaName, timeout, envVars, envVarsWithValues = {}, addSchedules, removeSchedules, enableSchedules, disableSchedules } = options;
+
+    await runOperation(projectPath, operations.updateLambda, {
+        functionName: `${lambdaName}Function`,
+        timeout,
+        envVars,
+        envValues: envVarsWithValues,
+        addSchedules,
+        removeSchedules,
+        enableSchedules,
+        disableSchedules
+    });
 }
 
 /**
@@ -941,60 +358,7 @@ export async function updateLambdaProgrammatically(projectPath, options) {
  * @returns {Promise<void>}
  */
 export async function deleteLambdaProgrammatically(projectPath, lambdaName) {
-    const templatePath = path.join(projectPath, 'template.yaml');
-    const srcPath = path.join(projectPath, 'src');
-
-    let templateContent = await fs.readFile(templatePath, 'utf8');
-    let lines = templateContent.split('\n');
-
-    const functionName = `${lambdaName}Function`;
-    const logGroupName = `${functionName}LogGroup`;
-
-    // Remove Lambda Resource
-    let start = -1;
-    let end = -1;
-
-    for (let i = 0; i < lines.length; i++) {
-        const match = lines[i].match(/^  ([a-zA-Z0-9]+):/);
-        if (match) {
-            if (match[1] === functionName) {
-                start = i;
-            } else if (start !== -1 && end === -1) {
-                end = i;
-                break;
-            }
-        }
-    }
-    if (start !== -1) {
-        if (end === -1) end = lines.length;
-        lines.splice(start, end - start);
-    }
-
-    // Remove LogGroup
-    start = -1;
-    end = -1;
-    for (let i = 0; i < lines.length; i++) {
-        const match = lines[i].match(/^  ([a-zA-Z0-9]+):/);
-        if (match) {
-            if (match[1] === logGroupName) {
-                start = i;
-            } else if (start !== -1 && end === -1) {
-                end = i;
-                break;
-            }
-        }
-    }
-    if (start !== -1) {
-        if (end === -1) end = lines.length;
-        lines.splice(start, end - start);
-    }
-
-    // Clean up newlines
-    const content = lines.join('\n').replace(/\n{3,}/g, '\n\n');
-    await fs.writeFile(templatePath, content);
-
-    // Remove source folder
-    await fs.remove(path.join(srcPath, lambdaName));
+    await runOperation(projectPath, operations.deleteLambda, { functionName: `${lambdaName}Function` });
 }
 
 /**
@@ -1010,135 +374,15 @@ export async function deleteLambdaProgrammatically(projectPath, lambdaName) {
  */
 export async function createApiGatewayProgrammatically(projectPath, options) {
     const { gatewayName, endpoint } = options;
-    const templatePath = path.join(projectPath, 'template.yaml');
-
-    let templateContent = await fs.readFile(templatePath, 'utf8');
-    let lines = templateContent.split('\n');
-
-    const resourceName = gatewayName.replace(/[^a-zA-Z0-9]/g, '');
-
-    // Build API Gateway YAML
-    const apiGatewayYaml = `  ${resourceName}:
-    Type: AWS::Serverless::Api
-    Properties:
-      Name: !Sub \${AWS::StackName}-${resourceName}
-      StageName: default
-      Cors:
-        AllowOrigin: "'*'"
-        AllowHeaders: "'Content-Type,Authorization'"
-        AllowMethods: "'GET,POST,PUT,DELETE,OPTIONS'"
-`;
-
-    // Find where to insert (before Outputs)
-    let insertLine = -1;
-    for (let i = 0; i < lines.length; i++) {
-        if (lines[i].match(/^Outputs:/)) {
-            insertLine = i;
-            break;
-        }
-    }
-
-    if (insertLine === -1) {
-        lines.push(apiGatewayYaml);
-    } else {
-        lines.splice(insertLine, 0, apiGatewayYaml);
-    }
-
-    // Add Output for the API Gateway URL
-    const outputYaml = `  ${resourceName}Url:
-    Description: "API Gateway endpoint URL"
-    Value: !Sub "https://\${${resourceName}}.execute-api.\${AWS::Region}.amazonaws.com/default/"`;
-
-    // Find Outputs section
-    let outputsLine = -1;
-    for (let i = 0; i < lines.length; i++) {
-        if (lines[i].match(/^Outputs:/)) {
-            outputsLine = i;
-            break;
-        }
-    }
-
-    if (outputsLine !== -1) {
-        lines.splice(outputsLine + 1, 0, outputYaml);
-    } else {
-        lines.push('');
-        lines.push('Outputs:');
-        lines.push(outputYaml);
-    }
-
-    await fs.writeFile(templatePath, lines.join('\n'));
-
-    // Add endpoint if specified
-    if (endpoint) {
-        templateContent = await fs.readFile(templatePath, 'utf8');
-        lines = templateContent.split('\n');
-
-        const { method, path: endpointPath, lambdaName } = endpoint;
-        const functionName = `${lambdaName}Function`;
-
-        // Find lambda
-        let lambdaStartLine = -1;
-        let lambdaEndLine = -1;
-
-        for (let i = 0; i < lines.length; i++) {
-            const resMatch = lines[i].match(/^  ([a-zA-Z0-9]+):/);
-            if (resMatch) {
-                if (resMatch[1] === functionName) {
-                    lambdaStartLine = i;
-                } else if (lambdaStartLine !== -1 && lambdaEndLine === -1) {
-                    lambdaEndLine = i;
-                    break;
-                }
-            }
-        }
-
-        if (lambdaStartLine === -1) {
-            throw new Error(`Lambda ${functionName} not found`);
-        }
-        if (lambdaEndLine === -1) lambdaEndLine = lines.length;
-
-        // Find Events section
-        let eventsLine = -1;
-        let metadataLine = -1;
-        let existingEventCount = 0;
-
-        for (let i = lambdaStartLine; i < lambdaEndLine; i++) {
-            if (lines[i].match(/^\s+Events:\s*$/)) {
-                eventsLine = i;
-            }
-            if (lines[i].match(/^\s+Metadata:/)) {
-                metadataLine = i;
-                break;
-            }
-            const eventMatch = lines[i].match(/^        ([a-zA-Z0-9]+):\s*$/);
-            if (eventMatch && !['Type', 'Properties'].includes(eventMatch[1])) {
-                existingEventCount++;
-            }
-        }
 
-        // Generate new event
-        const newEventName = `event${existingEventCount + 1}`;
-        const newEventBlock = [
-            `        ${newEventName}:`,
-            `          Type: Api`,
-            `          Properties:`,
-            `            RestApiId: !Ref ${resourceName}`,
-            `            Path: ${endpointPath}`,
-            `            Method: ${method.toLowerCase()}`
-        ];
-
-        if (eventsLine !== -1) {
-            lines.splice(eventsLine + 1, 0, ...newEventBlock);
-        } else if (metadataLine !== -1) {
-            const eventsSection = [
-                `      Events:`,
-                ...newEventBlock
-            ];
-            lines.splice(metadataLine, 0, ...eventsSection);
+    await runOperation(projectPath, operations.createApiGateway, {
+        name: gatewayName,
+        endpoint: endpoint && {
+            method: endpoint.method,
+            path: endpoint.path,
+            functionName: `${endpoint.lambdaName}Function`
         }
-
-        await fs.writeFile(templatePath, lines.join('\n'));
-    }
+    });
 }
 
 /**
@@ -1148,164 +392,7 @@ export async function createApiGatewayProgrammatically(projectPath, options) {
  * @returns {Promise<void>}
  */
 export async function deleteApiGatewayProgrammatically(projectPath, gatewayName) {
-    const templatePath = path.join(projectPath, 'template.yaml');
-
-    let templateContent = await fs.readFile(templatePath, 'utf8');
-    let lines = templateContent.split('\n');
-
-    const resourceName = gatewayName.replace(/[^a-zA-Z0-9]/g, '');
-
-    // 1. Delete events that reference this API Gateway from lambdas
-    // Find all lambdas and remove events referencing this gateway
-    let currentResource = null;
-    let lambdaBlocks = [];
-
-    for (let i = 0; i < lines.length; i++) {
-        const resMatch = lines[i].match(/^  ([a-zA-Z0-9]+):/);
-        if (resMatch) {
-            currentResource = resMatch[1];
-        }
-        if (currentResource && lines[i].includes('Type: AWS::Serverless::Function')) {
-            let lambdaEnd = lines.length;
-            for (let j = i + 1; j < lines.length; j++) {
-                if (/^  [a-zA-Z0-9]+:/.test(lines[j])) {
-                    lambdaEnd = j;
-                    break;
-                }
-            }
-            lambdaBlocks.push({ name: currentResource, start: i - 1, end: lambdaEnd });
-        }
-    }
-
-    // Process each lambda to remove events
-    for (const lambda of lambdaBlocks) {
-        lines = templateContent.split('\n');
-
-        let eventsLineIndex = -1;
-        let eventPositions = [];
-        let currentEventStart = -1;
-        let currentEventName = null;
-        let currentEventApiRef = null;
-        let inEventsSection = false;
-
-        for (let i = lambda.start; i < lambda.end; i++) {
-            if (lines[i].match(/^\s+Events:\s*$/)) {
-                eventsLineIndex = i;
-                inEventsSection = true;
-                continue;
-            }
-            if (inEventsSection && lines[i].match(/^\s+Metadata:/)) {
-                if (currentEventStart !== -1) {
-                    eventPositions.push({
-                        eventName: currentEventName,
-                        startLine: currentEventStart,
-                        endLine: i,
-                        apiRef: currentEventApiRef
-                    });
-                }
-                break;
-            }
-            if (inEventsSection) {
-                const eventMatch = lines[i].match(/^        ([a-zA-Z0-9]+):\s*$/);
-                if (eventMatch && !['Type', 'Properties'].includes(eventMatch[1])) {
-                    if (currentEventStart !== -1) {
-                        eventPositions.push({
-                            eventName: currentEventName,
-                            startLine: currentEventStart,
-                            endLine: i,
-                            apiRef: currentEventApiRef
-                        });
-                    }
-                    currentEventName = eventMatch[1];
-                    currentEventStart = i;
-                    currentEventApiRef = null;
-                }
-                const apiRefMatch = lines[i].match(/RestApiId:\s*!Ref\s+(\w+)/);
-                if (apiRefMatch) {
-                    currentEventApiRef = apiRefMatch[1];
-                }
-            }
-        }
-
-        const eventsToRemove = eventPositions.filter(ep => ep.apiRef === resourceName);
-        eventsToRemove.sort((a, b) => b.startLine - a.startLine);
-
-        for (const eventPos of eventsToRemove) {
-            lines.splice(eventPos.startLine, eventPos.endLine - eventPos.startLine);
-        }
-
-        // Remove Events: line if all events were deleted
-        if (eventsToRemove.length > 0 && eventPositions.length === eventsToRemove.length && eventsLineIndex !== -1) {
-            const adjustedEventsLine = eventsLineIndex;
-            if (lines[adjustedEventsLine] && lines[adjustedEventsLine].match(/^\s+Events:/)) {
-                lines.splice(adjustedEventsLine, 1);
-            }
-        }
-
-        templateContent = lines.join('\n');
-    }
-
-    // 2. Delete the API Gateway resource
-    lines = templateContent.split('\n');
-    let gatewayStartLine = -1;
-    let gatewayEndLine = -1;
-
-    for (let i = 0; i < lines.length; i++) {
-        const resMatch = lines[i].match(/^  ([a-zA-Z0-9]+):/);
-        if (resMatch) {
-            if (resMatch[1] === resourceName) {
-                gatewayStartLine = i;
-            } else if (gatewayStartLine !== -1 && gatewayEndLine === -1) {
-                gatewayEndLine = i;
-                break;
-            }
-        }
-    }
-
-    if (gatewayStartLine !== -1) {
-        if (gatewayEndLine === -1) {
-            // Find Outputs section
-            for (let i = gatewayStartLine; i < lines.length; i++) {
-                if (lines[i].match(/^Outputs:/)) {
-                    gatewayEndLine = i;
-                    break;
-                }
-            }
-            if (gatewayEndLine === -1) gatewayEndLine = lines.length;
-        }
-        lines.splice(gatewayStartLine, gatewayEndLine - gatewayStartLine);
-    }
-
-    // 3. Delete Outputs that reference this API Gateway
-    let outputsToDelete = [];
-    for (let i = 0; i < lines.length; i++) {
-        if (lines[i].includes(`\${${resourceName}}`) || lines[i].includes(`!Ref ${resourceName}`)) {
-            // Find the start of this output
-            for (let j = i; j >= 0; j--) {
-                if (lines[j].match(/^  [a-zA-Z0-9]+:/)) {
-                    let outputEnd = lines.length;
-                    for (let k = j + 1; k < lines.length; k++) {
-                        if (lines[k].match(/^  [a-zA-Z0-9]+:/) || lines[k].match(/^[a-zA-Z]/)) {
-                            outputEnd = k;
-                            break;
-                        }
-                    }
-                    outputsToDelete.push({ start: j, end: outputEnd });
-                    break;
-                }
-            }
-        }
-    }
-
-    // Delete outputs in reverse order
-    outputsToDelete.sort((a, b) => b.start - a.start);
-    for (const output of outputsToDelete) {
-        lines.splice(output.start, output.end - output.start);
-    }
-
-    // Clean up multiple blank lines
-    templateContent = lines.join('\n').replace(/\n{3,}/g, '\n\n').trimEnd() + '\n';
-    await fs.writeFile(templatePath, templateContent);
+    await runOperation(projectPath, operations.deleteApiGateway, { name: gatewayName });
 }
 
 /**
@@ -1320,76 +407,13 @@ export async function deleteApiGatewayProgrammatically(projectPath, gatewayName)
  */
 export async function addApiGatewayEndpointProgrammatically(projectPath, options) {
     const { gatewayName, method, path: endpointPath, lambdaName } = options;
-    const templatePath = path.join(projectPath, 'template.yaml');
-
-    let templateContent = await fs.readFile(templatePath, 'utf8');
-    let lines = templateContent.split('\n');
-
-    const resourceName = gatewayName.replace(/[^a-zA-Z0-9]/g, '');
-    const functionName = `${lambdaName}Function`;
-
-    // Find lambda
-    let lambdaStartLine = -1;
-    let lambdaEndLine = -1;
-
-    for (let i = 0; i < lines.length; i++) {
-        const resMatch = lines[i].match(/^  ([a-zA-Z0-9]+):/);
-        if (resMatch) {
-            if (resMatch[1] === functionName) {
-                lambdaStartLine = i;
-            } else if (lambdaStartLine !== -1 && lambdaEndLine === -1) {
-                lambdaEndLine = i;
-                break;
-            }
-        }
-    }
-
-    if (lambdaStartLine === -1) {
-        throw new Error(`Lambda ${functionName} not found`);
-    }
-    if (lambdaEndLine === -1) lambdaEndLine = lines.length;
-
-    // Find Events section
-    let eventsLine = -1;
-    let metadataLine = -1;
-    let existingEventCount = 0;
-
-    for (let i = lambdaStartLine; i < lambdaEndLine; i++) {
-        if (lines[i].match(/^\s+Events:\s*$/)) {
-            eventsLine = i;
-        }
-        if (lines[i].match(/^\s+Metadata:/)) {
-            metadataLine = i;
-            break;
-        }
-        const eventMatch = lines[i].match(/^        ([a-zA-Z0-9]+):\s*$/);
-        if (eventMatch && !['Type', 'Properties'].includes(eventMatch[1])) {
-            existingEventCount++;
-        }
-    }
-
-    // Generate new event
-    const newEventName = `event${existingEventCount + 1}`;
-    const newEventBlock = [
-        `        ${newEventName}:`,
-        `          Type: Api`,
-        `          Properties:`,
-        `            RestApiId: !Ref ${resourceName}`,
-        `            Path: ${endpointPath}`,
-        `            Method: ${method.toLowerCase()}`
-    ];
-
-    if (eventsLine !== -1) {
-        lines.splice(eventsLine + 1, 0, ...newEventBlock);
-    } else if (metadataLine !== -1) {
-        const eventsSection = [
-            `      Events:`,
-            ...newEventBlock
-        ];
-        lines.splice(metadataLine, 0, ...eventsSection);
-    }
 
-    await fs.writeFile(templatePath, lines.join('\n'));
+    await runOperation(projectPath, operations.addEndpoint, {
+        api: gatewayName,
+        method,
+        path: endpointPath,
+        functionName: `${lambdaName}Function`
+    });
 }
 
 /**
@@ -1416,134 +440,14 @@ export async function updateApiGatewayEndpointProgrammatically(projectPath, opti
         newLambdaName
     } = options;
 
-    const templatePath = path.join(projectPath, 'template.yaml');
-    let templateContent = await fs.readFile(templatePath, 'utf8');
-    let lines = templateContent.split('\n');
-
-    const resourceName = gatewayName.replace(/[^a-zA-Z0-9]/g, '');
-    const oldFunctionName = `${oldLambdaName}Function`;
-    const newFunctionName = `${newLambdaName}Function`;
-
-    // Find the old lambda and the event to update
-    let oldLambdaStart = -1;
-    let oldLambdaEnd = -1;
-
-    for (let i = 0; i < lines.length; i++) {
-        const resMatch = lines[i].match(/^  ([a-zA-Z0-9]+):/);
-        if (resMatch) {
-            if (resMatch[1] === oldFunctionName) {
-                oldLambdaStart = i;
-            } else if (oldLambdaStart !== -1 && oldLambdaEnd === -1) {
-                oldLambdaEnd = i;
-                break;
-            }
-        }
-    }
-
-    if (oldLambdaStart === -1) {
-        throw new Error(`Lambda ${oldFunctionName} not found`);
-    }
-    if (oldLambdaEnd === -1) oldLambdaEnd = lines.length;
-
-    // Find and delete the old event
-    let eventToDeleteStart = -1;
-    let eventToDeleteEnd = -1;
-    let eventsLineInOldLambda = -1;
-
-    for (let i = oldLambdaStart; i < oldLambdaEnd; i++) {
-        if (lines[i].match(/^\s+Events:\s*$/)) {
-            eventsLineInOldLambda = i;
-        }
-
-        const eventMatch = lines[i].match(/^        ([a-zA-Z0-9]+):\s*$/);
-        if (eventMatch && !['Type', 'Properties'].includes(eventMatch[1])) {
-            // Check if this event matches old method and path
-            let foundMethod = false;
-            let foundPath = false;
-            let foundRestApiId = false;
-
-            for (let j = i + 1; j < oldLambdaEnd && j < i + 10; j++) {
-                if (lines[j].includes(`Method: ${oldMethod.toLowerCase()}`)) {
-                    foundMethod = true;
-                }
-                if (lines[j].includes(`Path: ${oldPath}`)) {
-                    foundPath = true;
-                }
-                if (lines[j].includes(`RestApiId: !Ref ${resourceName}`)) {
-                    foundRestApiId = true;
-                }
-                if (lines[j].match(/^        [a-zA-Z0-9]+:\s*$/)) {
-                    break;
-                }
-            }
-
-            if (foundMethod && foundPath && foundRestApiId) {
-                eventToDeleteStart = i;
-                // Find end of this event
-                for (let j = i + 1; j < oldLambdaEnd; j++) {
-                    if (lines[j].match(/^        [a-zA-Z0-9]+:\s*$/) || lines[j].match(/^\s+Metadata:/)) {
-                        eventToDeleteEnd = j;
-                        break;
-                    }
-                }
-                if (eventToDeleteEnd === -1) eventToDeleteEnd = oldLambdaEnd;
-                break;
-            }
-        }
-    }
-
-    if (eventToDeleteStart === -1) {
-        throw new Error(`Event not found: ${oldMethod} ${oldPath}`);
-    }
-
-    // Delete the old event
-    lines.splice(eventToDeleteStart, eventToDeleteEnd - eventToDeleteStart);
-
-    // Check if Events section is now empty and remove it
-    templateContent = lines.join('\n');
-    lines = templateContent.split('\n');
-
-    // Re-find old lambda after deletion
-    oldLambdaStart = -1;
-    oldLambdaEnd = -1;
-    for (let i = 0; i < lines.length; i++) {
-        const resMatch = lines[i].match(/^  ([a-zA-Z0-9]+):/);
-        if (resMatch) {
-            if (resMatch[1] === oldFunctionName) {
-                oldLambdaStart = i;
-            } else if (oldLambdaStart !== -1 && oldLambdaEnd === -1) {
-                oldLambdaEnd = i;
-                break;
-            }
-        }
-    }
-    if (oldLambdaEnd === -1) oldLambdaEnd = lines.length;
-
-    let hasOtherEvents = false;
-    eventsLineInOldLambda = -1;
-    for (let i = oldLambdaStart; i < oldLambdaEnd; i++) {
-        if (lines[i].match(/^\s+Events:\s*$/)) {
-            eventsLineInOldLambda = i;
-        }
-        const eventMatch = lines[i].match(/^        ([a-zA-Z0-9]+):\s*$/);
-        if (eventMatch && !['Type', 'Properties'].includes(eventMatch[1])) {
-            hasOtherEvents = true;
-            break;
-        }
-    }
-
-    if (!hasOtherEvents && eventsLineInOldLambda !== -1) {
-        lines.splice(eventsLineInOldLambda, 1);
-    }
-
-    // Now add the event to the new lambda
-    await fs.writeFile(templatePath, lines.join('\n'));
-
-    await addApiGatewayEndpointProgrammatically(projectPath, {
-        gatewayName,
-        method: newMethod,
-        path: newPath,
-        lambdaName: newLambdaName
+    await runOperation(projectPath, operations.updateEndpoint, {
+        api: gatewayName,
+        functionName: `${oldLambdaName}Function`,
+        method: oldMethod,
+        path: oldPath,
+        newMethod,
+        newPath,
+        newFunctionName: `${newLambdaName}Function`
     });
 }
 
@@ -1559,127 +463,11 @@ export async function updateApiGatewayEndpointProgrammatically(projectPath, opti
  */
 export async function deleteApiGatewayEndpointProgrammatically(projectPath, options) {
     const { gatewayName, method, path: endpointPath, lambdaName } = options;
-    const templatePath = path.join(projectPath, 'template.yaml');
-
-    let templateContent = await fs.readFile(templatePath, 'utf8');
-    let lines = templateContent.split('\n');
-
-    const resourceName = gatewayName.replace(/[^a-zA-Z0-9]/g, '');
-    const functionName = `${lambdaName}Function`;
-
-    // Find the lambda
-    let lambdaStart = -1;
-    let lambdaEnd = -1;
-
-    for (let i = 0; i < lines.length; i++) {
-        const resMatch = lines[i].match(/^  ([a-zA-Z0-9]+):/);
-        if (resMatch) {
-            if (resMatch[1] === functionName) {
-                lambdaStart = i;
-            } else if (lambdaStart !== -1 && lambdaEnd === -1) {
-                lambdaEnd = i;
-                break;
-            }
-        }
-    }
-
-    if (lambdaStart === -1) {
-        throw new Error(`Lambda ${functionName} not found`);
-    }
-    if (lambdaEnd === -1) lambdaEnd = lines.length;
-
-    // Find and delete the endpoint
-    let eventToDeleteStart = -1;
-    let eventToDeleteEnd = -1;
-    let eventsLineInLambda = -1;
-
-    for (let i = lambdaStart; i < lambdaEnd; i++) {
-        if (lines[i].match(/^\s+Events:\s*$/)) {
-            eventsLineInLambda = i;
-        }
-
-        const eventMatch = lines[i].match(/^        ([a-zA-Z0-9]+):\s*$/);
-        if (eventMatch && !['Type', 'Properties'].includes(eventMatch[1])) {
-            // Check if this event matches method and path
-            let foundMethod = false;
-            let foundPath = false;
-            let foundRestApiId = false;
-
-            for (let j = i + 1; j < lambdaEnd && j < i + 10; j++) {
-                if (lines[j].includes(`Method: ${method.toLowerCase()}`)) {
-                    foundMethod = true;
-                }
-                if (lines[j].includes(`Path: ${endpointPath}`)) {
-                    foundPath = true;
-                }
-                if (lines[j].includes(`RestApiId: !Ref ${resourceName}`)) {
-                    foundRestApiId = true;
-                }
-                if (lines[j].match(/^        [a-zA-Z0-9]+:\s*$/)) {
-                    break;
-                }
-            }
-
-            if (foundMethod && foundPath && foundRestApiId) {
-                eventToDeleteStart = i;
-                // Find end of this event
-                for (let j = i + 1; j < lambdaEnd; j++) {
-                    if (lines[j].match(/^        [a-zA-Z0-9]+:\s*$/) || lines[j].match(/^\s+Metadata:/)) {
-                        eventToDeleteEnd = j;
-                        break;
-                    }
-                }
-                if (eventToDeleteEnd === -1) eventToDeleteEnd = lambdaEnd;
-                break;
-            }
-        }
-    }
 
-    if (eventToDeleteStart === -1) {
-        throw new Error(`Endpoint not found: ${method} ${endpointPath}`);
-    }
-
-    // Delete the event
-    lines.splice(eventToDeleteStart, eventToDeleteEnd - eventToDeleteStart);
-
-    // Check if Events section is now empty and remove it
-    templateContent = lines.join('\n');
-    lines = templateContent.split('\n');
-
-    // Re-find lambda after deletion
-    lambdaStart = -1;
-    lambdaEnd = -1;
-    for (let i = 0; i < lines.length; i++) {
-        const resMatch = lines[i].match(/^  ([a-zA-Z0-9]+):/);
-        if (resMatch) {
-            if (resMatch[1] === functionName) {
-                lambdaStart = i;
-            } else if (lambdaStart !== -1 && lambdaEnd === -1) {
-                lambdaEnd = i;
-                break;
-            }
-        }
-    }
-    if (lambdaEnd === -1) lambdaEnd = lines.length;
-
-    let hasOtherEvents = false;
-    eventsLineInLambda = -1;
-    for (let i = lambdaStart; i < lambdaEnd; i++) {
-        if (lines[i].match(/^\s+Events:\s*$/)) {
-            eventsLineInLambda = i;
-        }
-        const eventMatch = lines[i].match(/^        ([a-zA-Z0-9]+):\s*$/);
-        if (eventMatch && !['Type', 'Properties'].includes(eventMatch[1])) {
-            hasOtherEvents = true;
-            break;
-        }
-    }
-
-    if (!hasOtherEvents && eventsLineInLambda !== -1) {
-        lines.splice(eventsLineInLambda, 1);
-    }
-
-    await fs.writeFile(templatePath, lines.join('\n'));
+    await runOperation(projectPath, operations.deleteEndpoints, {
+        api: gatewayName,
+        endpoints: [{ functionName: `${lambdaName}Function`, method, path: endpointPath }]
+    });
 }
 
 /**
@@ -1689,165 +477,7 @@ export async function deleteApiGatewayEndpointProgrammatically(projectPath, opti
  * @returns {Promise<void>}
  */
 export async function addBasicAuthProgrammatically(projectPath, gatewayName) {
-    const templatePath = path.join(projectPath, 'template.yaml');
-    const srcPath = path.join(projectPath, 'src');
-
-    // 1. Copy authorizer code to src
-    const authorizerSourcePath = path.join(__dirname, '../templates/src/authorizer');
-    const authorizerDestPath = path.join(srcPath, 'authorizer');
-
-    if (!await fs.pathExists(authorizerDestPath)) {
-        await fs.copy(authorizerSourcePath, authorizerDestPath);
-    }
-
-    // 2. Update template.yaml
-    let templateContent = await fs.readFile(templatePath, 'utf8');
-    let lines = templateContent.split('\n');
-
-    // Check if BasicAuthorizerFunction already exists
-    const hasAuthorizer = lines.some(line => line.includes('BasicAuthorizerFunction:'));
-    if (!hasAuthorizer) {
-        // Get architecture from existing lambda
-        let architecture = 'arm64';
-        for (let i = 0; i < lines.length; i++) {
-            const archMatch = lines[i].match(/^\s+- (arm64|x86_64)$/);
-            if (archMatch) {
-                architecture = archMatch[1];
-                break;
-            }
-        }
-
-        // Add BasicAuthorizerFunction before Outputs or at end of Resources
-        const authorizerFunctionYaml = `  BasicAuthorizerFunction:
-    Type: AWS::Serverless::Function
-    Properties:
-      FunctionName: !Sub \${AWS::StackName}-BasicAuthorizerFunction
-      CodeUri: src/
-      Handler: authorizer/authorizer.basicAuthorizer
-      Runtime: nodejs20.x
-      Timeout: 60
-      Architectures:
-        - ${architecture}
-    Metadata:
-      BuildMethod: esbuild
-      BuildProperties:
-        Minify: false
-        Target: es2020
-        Sourcemap: true
-        EntryPoints:
-          - authorizer/authorizer.ts
-        External:
-          - aws-sdk
-
-  BasicAuthorizerFunctionLogGroup:
-    Type: AWS::Logs::LogGroup
-    Properties:
-      LogGroupName: !Sub '/aws/lambda/\${BasicAuthorizerFunction}'
-      RetentionInDays: 7
-`;
-
-        // Find where to insert (before Outputs)
-        let insertLine = -1;
-        for (let i = 0; i < lines.length; i++) {
-            if (lines[i].match(/^Outputs:/)) {
-                insertLine = i;
-                break;
-            }
-        }
-
-        if (insertLine === -1) {
-            lines.push('');
-            lines.push(authorizerFunctionYaml.trim());
-        } else {
-            lines.splice(insertLine, 0, authorizerFunctionYaml);
-        }
-    }
-
-    // 3. Add Auth section to the API Gateway
-    templateContent = lines.join('\n');
-    lines = templateContent.split('\n');
-
-    // Clean the gateway name
-    const resourceName = gatewayName.replace(/[^a-zA-Z0-9]/g, '');
-
-    // Find the API Gateway resource
-    let apiStartLine = -1;
-    let apiEndLine = -1;
-    let inResources = false;
-
-    for (let i = 0; i < lines.length; i++) {
-        if (lines[i].match(/^Resources:/)) {
-            inResources = true;
-            continue;
-        }
-        if (lines[i].match(/^Outputs:/)) {
-            if (apiStartLine !== -1 && apiEndLine === -1) {
-                apiEndLine = i;
-            }
-            break;
-        }
-        if (inResources) {
-            const resMatch = lines[i].match(/^  ([a-zA-Z0-9]+):/);
-            if (resMatch) {
-                if (apiStartLine !== -1 && apiEndLine === -1) {
-                    apiEndLine = i;
-                    break;
-                }
-                if (resMatch[1] === resourceName) {
-                    apiStartLine = i;
-                }
-            }
-        }
-    }
-
-    if (apiStartLine === -1) {
-        throw new Error(`API Gateway ${resourceName} not found`);
-    }
-
-    if (apiEndLine === -1) apiEndLine = lines.length;
-
-    // Check if Auth already exists
-    let hasAuth = false;
-    for (let i = apiStartLine; i < apiEndLine; i++) {
-        if (lines[i].match(/^\s+Auth:/)) {
-            hasAuth = true;
-            break;
-        }
-    }
-
-    if (!hasAuth) {
-        // Find where to insert Auth (after StageName)
-        let insertLine = -1;
-        for (let i = apiStartLine; i < apiEndLine; i++) {
-            if (lines[i].match(/^\s+StageName:/)) {
-                insertLine = i + 1;
-                break;
-            }
-        }
-
-        if (insertLine === -1) {
-            throw new Error('Could not find StageName in API Gateway');
-        }
-
-        const authBlock = [
-            `      Auth:`,
-            `        DefaultAuthorizer: BasicAuthorizer`,
-            `        Authorizers:`,
-            `          BasicAuthorizer:`,
-            `            FunctionPayloadType: REQUEST`,
-            `            FunctionArn: !GetAtt BasicAuthorizerFunction.Arn`,
-            `            Identity:`,
-            `              Headers:`,
-            `                - Key`,
-            `              ReauthorizeEvery: 0`
-        ];
-
-        lines.splice(insertLine, 0, ...authBlock);
-    }
-
-    // Write updated template
-    templateContent = lines.join('\n');
-    await fs.writeFile(templatePath, templateContent);
+    await runOperation(projectPath, operations.addAuth, { api: gatewayName, type: 'basic' });
 }
 
 /**
@@ -1858,154 +488,7 @@ export async function addBasicAuthProgrammatically(projectPath, gatewayName) {
  * @returns {Promise<void>}
  */
 export async function addCognitoAuthProgrammatically(projectPath, gatewayName, poolName) {
-    const templatePath = path.join(projectPath, 'template.yaml');
-
-    let templateContent = await fs.readFile(templatePath, 'utf8');
-    let lines = templateContent.split('\n');
-
-    const resourceName = gatewayName.replace(/[^a-zA-Z0-9]/g, '');
-    const userPoolName = `${poolName}UserPool`;
-    const userPoolClientName = `${poolName}UserPoolClient`;
-
-    // 1. Add Auth section to API Gateway
-    let apiStartLine = -1;
-    let apiPropertiesLine = -1;
-    let inResources = false;
-
-    for (let i = 0; i < lines.length; i++) {
-        if (lines[i].match(/^Resources:/)) {
-            inResources = true;
-            continue;
-        }
-        if (inResources) {
-            const resMatch = lines[i].match(/^  ([a-zA-Z0-9]+):/);
-            if (resMatch && resMatch[1] === resourceName) {
-                apiStartLine = i;
-            }
-            if (apiStartLine !== -1 && lines[i].match(/^    Properties:/)) {
-                apiPropertiesLine = i;
-                break;
-            }
-        }
-    }
-
-    if (apiPropertiesLine === -1) {
-        throw new Error(`API Gateway ${resourceName} not found`);
-    }
-
-    const authSection = [
-        '      Auth:',
-        '        DefaultAuthorizer: CognitoAuthorizer',
-        '        Authorizers:',
-        '          CognitoAuthorizer:',
-        `            UserPoolArn: !GetAtt ${userPoolName}.Arn`
-    ];
-
-    lines.splice(apiPropertiesLine + 1, 0, ...authSection);
-
-    // 2. Create UserPool, UserPoolClient resources
-    templateContent = lines.join('\n');
-    lines = templateContent.split('\n');
-
-    // Find where to insert resources (before Outputs)
-    let resourcesEndLine = -1;
-
-    for (let i = 0; i < lines.length; i++) {
-        if (lines[i].match(/^Outputs:/)) {
-            resourcesEndLine = i;
-            break;
-        }
-    }
-
-    if (resourcesEndLine === -1) {
-        resourcesEndLine = lines.length;
-    }
-
-    const baseName = userPoolName.replace(/UserPool$/, '');
-    const userPoolResource = [
-        `  ${userPoolName}:`,
-        `    Type: AWS::Cognito::UserPool`,
-        `    Properties:`,
-        `      UserPoolName: !Sub \${AWS::StackName}-${userPoolName}`,
-        `      AutoVerifiedAttributes:`,
-        `        - email`,
-        `      Policies:`,
-        `        PasswordPolicy:`,
-        `          MinimumLength: 8`,
-        `          RequireLowercase: true`,
-        `          RequireNumbers: true`,
-        `          RequireSymbols: true`,
-        `          RequireUppercase: true`,
-        '',
-        `  ${userPoolClientName}:`,
-        `    Type: AWS::Cognito::UserPoolClient`,
-        `    Properties:`,
-        `      ClientName: !Sub \${AWS::StackName}-${userPoolClientName}`,
-        `      UserPoolId: !Ref ${userPoolName}`,
-        `      GenerateSecret: false`,
-        `      ExplicitAuthFlows:`,
-        `        - ALLOW_USER_PASSWORD_AUTH`,
-        `        - ALLOW_REFRESH_TOKEN_AUTH`,
-        `        - ALLOW_USER_SRP_AUTH`,
-        ''
-    ];
-
-    lines.splice(resourcesEndLine, 0, ...userPoolResource);
-
-    // 3. Add Outputs
-    let currentOutputsStartLine = -1;
-    for (let i = 0; i < lines.length; i++) {
-        if (lines[i].match(/^Outputs:/)) {
-            currentOutputsStartLine = i;
-            break;
-        }
-    }
-
-    if (currentOutputsStartLine !== -1) {
-        // Find insertion point within Outputs
-        let insertPosition = currentOutputsStartLine + 1;
-
-        // Find the end of the last output
-        for (let i = currentOutputsStartLine + 1; i < lines.length; i++) {
-            if (lines[i].match(/^  [a-zA-Z0-9]+:/)) {
-                // Find the end of this output block
-                let j = i + 1;
-                while (j < lines.length && lines[j].match(/^    /)) {
-                    j++;
-                }
-                insertPosition = j;
-            }
-        }
-
-        const cognitoOutputs = [
-            `  ${userPoolName}Id:`,
-            `    Description: "Cognito User Pool ID"`,
-            `    Value: !Ref ${userPoolName}`,
-            `  ${userPoolClientName}Id:`,
-            `    Description: "Cognito User Pool Client ID"`,
-            `    Value: !Ref ${userPoolClientName}`
-        ];
-
-        lines.splice(insertPosition, 0, ...cognitoOutputs);
-    } else {
-        // Create Outputs section
-        const outputsSection = [
-            '',
-            'Outputs:',
-            `  ${userPoolName}Id:`,
-            `    Description: "Cognito User Pool ID"`,
-            `    Value: !Ref ${userPoolName}`,
-            `  ${userPoolClientName}Id:`,
-            `    Description: "Cognito User Pool Client ID"`,
-            `    Value: !Ref ${userPoolClientName}`
-        ];
-
-        lines.push(...outputsSection);
-    }
-
-    // Write updated template
-    templateContent = lines.join('\n');
-    await fs.writeFile(templatePath, templateContent);
+    await runOperation(projectPath, operations.addAuth, { api: gatewayName, type: 'cognito', poolName });
 }
 
 /**
@@ -2015,1066 +498,379 @@ export async function addCognitoAuthProgrammatically(projectPath, gatewayName, p
  * @returns {Promise<void>}
  */
 export async function removeBasicAuthProgrammatically(projectPath, gatewayName) {
-    const templatePath = path.join(projectPath, 'template.yaml');
-    const srcPath = path.join(projectPath, 'src');
-
-    let templateContent = await fs.readFile(templatePath, 'utf8');
-    let lines = templateContent.split('\n');
-
-    // Clean the gateway name
-    const resourceName = gatewayName.replace(/[^a-zA-Z0-9]/g, '');
-
-    // Find the API Gateway resource
-    let apiStartLine = -1;
-    let apiEndLine = -1;
-    let inResources = false;
-
-    for (let i = 0; i < lines.length; i++) {
-        if (lines[i].match(/^Resources:/)) {
-            inResources = true;
-            continue;
-        }
-        if (lines[i].match(/^Outputs:/)) {
-            if (apiStartLine !== -1 && apiEndLine === -1) {
-                apiEndLine = i;
-            }
-            break;
-        }
-        if (inResources) {
-            const resMatch = lines[i].match(/^  ([a-zA-Z0-9]+):/);
-            if (resMatch) {
-                if (apiStartLine !== -1 && apiEndLine === -1) {
-                    apiEndLine = i;
-                    break;
-                }
-                if (resMatch[1] === resourceName) {
-                    apiStartLine = i;
-                }
-            }
-        }
-    }
-
-    if (apiStartLine === -1) {
-        throw new Error(`API Gateway ${resourceName} not found`);
-    }
-
-    if (apiEndLine === -1) apiEndLine = lines.length;
-
-    // Find and remove Auth section
-    let authStartLine = -1;
-    let authEndLine = -1;
-    for (let i = apiStartLine; i < apiEndLine; i++) {
-        if (lines[i].match(/^\s+Auth:/)) {
-            authStartLine = i;
-            for (let j = i + 1; j < apiEndLine; j++) {
-                if (lines[j].match(/^\s{6}\S/) && !lines[j].match(/^\s{8}/)) {
-                    authEndLine = j;
-                    break;
-                }
-            }
-            if (authEndLine === -1) authEndLine = apiEndLine;
-            break;
-        }
-    }
-
-    if (authStartLine !== -1) {
-        lines.splice(authStartLine, authEndLine - authStartLine);
-    }
-
-    // Update template content
-    templateContent = lines.join('\n');
-    lines = templateContent.split('\n');
-
-    // Check if BasicAuthorizerFunction is referenced in other API Gateways
-    const otherApiGateways = [];
-    let currentResource = null;
-    inResources = false;
-
-    for (let i = 0; i < lines.length; i++) {
-        if (lines[i].match(/^Resources:/)) {
-            inResources = true;
-            continue;
-        }
-        if (lines[i].match(/^Outputs:/)) {
-            break;
-        }
-        if (inResources) {
-            const resMatch = lines[i].match(/^  ([a-zA-Z0-9]+):/);
-            if (resMatch) {
-                currentResource = resMatch[1];
-            }
-            if (currentResource && currentResource !== resourceName && lines[i].includes('Type: AWS::Serverless::Api')) {
-                otherApiGateways.push(currentResource);
-            }
-        }
-    }
-
-    // Check if any other API Gateway references BasicAuthorizerFunction
-    let isReferencedElsewhere = false;
-    for (const gateway of otherApiGateways) {
-        let gatewayStartLine = -1;
-        let gatewayEndLine = -1;
-
-        for (let i = 0; i < lines.length; i++) {
-            const resMatch = lines[i].match(/^  ([a-zA-Z0-9]+):/);
-            if (resMatch) {
-                if (gatewayStartLine !== -1 && gatewayEndLine === -1) {
-                    gatewayEndLine = i;
-                    break;
-                }
-                if (resMatch[1] === gateway) {
-                    gatewayStartLine = i;
-                }
-            }
-        }
-
-        if (gatewayStartLine !== -1) {
-            if (gatewayEndLine === -1) gatewayEndLine = lines.length;
-
-            for (let i = gatewayStartLine; i < gatewayEndLine; i++) {
-                if (lines[i].includes('BasicAuthorizerFunction')) {
-                    isReferencedElsewhere = true;
-                    break;
-                }
-            }
-        }
-
-        if (isReferencedElsewhere) break;
-    }
-
-    // If not referenced elsewhere, remove BasicAuthorizerFunction and LogGroup
-    if (!isReferencedElsewhere) {
-        // Remove BasicAuthorizerFunction
-        let authorizerStartLine = -1;
-        let authorizerEndLine = -1;
-
-        for (let i = 0; i < lines.length; i++) {
-            if (lines[i].match(/^  BasicAuthorizerFunction:/)) {
-                authorizerStartLine = i;
-                for (let j = i + 1; j < lines.length; j++) {
-                    if (lines[j].match(/^  [a-zA-Z0-9]+:/) || lines[j].match(/^Outputs:/)) {
-                        authorizerEndLine = j;
-                        break;
-                    }
-                }
-                if (authorizerEndLine === -1) authorizerEndLine = lines.length;
-                break;
-            }
-        }
-
-        if (authorizerStartLine !== -1) {
-            lines.splice(authorizerStartLine, authorizerEndLine - authorizerStartLine);
-        }
-
-        // Update template content
-        templateContent = lines.join('\n');
-        lines = templateContent.split('\n');
-
-        // Remove BasicAuthorizerFunctionLogGroup
-        let logGroupStartLine = -1;
-        let logGroupEndLine = -1;
-
-        for (let i = 0; i < lines.length; i++) {
-            if (lines[i].match(/^  BasicAuthorizerFunctionLogGroup:/)) {
-                logGroupStartLine = i;
-                for (let j = i + 1; j < lines.length; j++) {
-                    if (lines[j].match(/^  [a-zA-Z0-9]+:/) || lines[j].match(/^Outputs:/)) {
-                        logGroupEndLine = j;
-                        break;
-                    }
-                }
-                if (logGroupEndLine === -1) logGroupEndLine = lines.length;
-                break;
-            }
-        }
-
-        if (logGroupStartLine !== -1) {
-            lines.splice(logGroupStartLine, logGroupEndLine - logGroupStartLine);
-        }
-
-        // Delete authorizer source folder
-        const authorizerPath = path.join(srcPath, 'authorizer');
-        if (await fs.pathExists(authorizerPath)) {
-            await fs.remove(authorizerPath);
-        }
-    }
-
-    // Clean up and write
-    templateContent = lines.join('\n').replace(/\n{3,}/g, '\n\n').trimEnd() + '\n';
-    await fs.writeFile(templatePath, templateContent);
+    await runOperation(projectPath, operations.removeAuth, { api: gatewayName });
 }
 
 /**
  * Create a layer programmatically in a test project
  */
 export async function createLayerProgrammatically(projectPath, layerName) {
-    const templatePath = path.join(projectPath, 'template.yaml');
-    const srcPath = path.join(projectPath, 'src');
-
-    // Read template.yaml
-    let templateContent = await fs.readFile(templatePath, 'utf8');
-    const lines = templateContent.split('\n');
-
-    // Build the layer YAML
-    const layerYaml = `  ${layerName}:
-    Type: 'AWS::Serverless::LayerVersion'
-    Properties:
-      ContentUri: ./src/layers/${layerName}
-      CompatibleRuntimes:
-        - nodejs20.x
-`;
-
-    // Find where to insert (before Outputs section)
-    let insertLine = -1;
-    for (let i = 0; i < lines.length; i++) {
-        if (lines[i].match(/^Outputs:/)) {
-            insertLine = i;
-            break;
-        }
-    }
-
-    if (insertLine === -1) {
-        lines.push('');
-        lines.push(layerYaml.trim());
-    } else {
-        lines.splice(insertLine, 0, layerYaml);
-    }
-
-    // Write updated template
-    templateContent = lines.join('\n');
-    await fs.writeFile(templatePath, templateContent);
-
-    // Create layer directory structure
-    const layersDir = path.join(srcPath, 'layers');
-    const layerDir = path.join(layersDir, layerName);
-
-    await fs.ensureDir(layerDir);
-
-    // Copy template files from templates/src/layers/BoilerPlateLayer
-    const templateLayerPath = path.join(__dirname, '../templates/src/layers/BoilerPlateLayer');
-
-    // Copy and customize boilerPlateLayerFunctions.ts
-    const templateFunctionFile = path.join(templateLayerPath, 'boilerPlateLayerFunctions.ts');
-    let functionContent = await fs.readFile(templateFunctionFile, 'utf8');
-
-    functionContent = functionContent.replace(/boilerPlateLayer/g, layerName);
-
-    const layerFunctionFile = path.join(layerDir, `${layerName}Functions.ts`);
-    await fs.writeFile(layerFunctionFile, functionContent);
-
-    // Copy and customize boilerPlateLayerFunctions.test.ts
-    const templateTestFile = path.join(templateLayerPath, 'boilerPlateLayerFunctions.test.ts');
-    let testContent = await fs.readFile(templateTestFile, 'utf8');
-
-    testContent = testContent.replace(/boilerPlateLayer/g, layerName);
-
-    const layerTestFile = path.join(layerDir, `${layerName}Functions.test.ts`);
-    await fs.writeFile(layerTestFile, testContent);
+    await runOperation(projectPath, operations.createLayer, { name: layerName });
 }
 
 /**
  * Delete a layer programmatically in a test project
  */
 export async function deleteLayerProgrammatically(projectPath, layerName) {
-    const templatePath = path.join(projectPath, 'template.yaml');
-    const srcPath = path.join(projectPath, 'src');
-
-    // Read template.yaml and find the layer block
-    let templateContent = await fs.readFile(templatePath, 'utf8');
-    const lines = templateContent.split('\n');
-
-    let layerStartLine = -1;
-    let layerEndLine = -1;
-    let inResources = false;
-
-    for (let i = 0; i < lines.length; i++) {
-        if (lines[i].match(/^Resources:/)) {
-            inResources = true;
-            continue;
-        }
-        if (lines[i].match(/^Outputs:/)) {
-            if (layerStartLine !== -1 && layerEndLine === -1) {
-                layerEndLine = i;
-            }
-            break;
-        }
-        if (inResources) {
-            const resMatch = lines[i].match(/^  ([a-zA-Z0-9]+):/);
-            if (resMatch) {
-                if (layerStartLine !== -1 && layerEndLine === -1) {
-                    layerEndLine = i;
-                    break;
-                }
-                if (resMatch[1] === layerName) {
-                    layerStartLine = i;
-                }
-            }
-        }
-    }
-
-    if (layerStartLine !== -1) {
-        if (layerEndLine === -1) layerEndLine = lines.length;
-
-        lines.splice(layerStartLine, layerEndLine - layerStartLine);
-
-        templateContent = lines.join('\n');
-        await fs.writeFile(templatePath, templateContent);
-    }
-
-    // Delete the layer source directory
-    const layerDir = path.join(srcPath, 'layers', layerName);
-    if (await fs.pathExists(layerDir)) {
-        await fs.remove(layerDir);
-    }
-
-    // Check if layers directory is empty and delete it if so
-    const layersDir = path.join(srcPath, 'layers');
-    if (await fs.pathExists(layersDir)) {
-        const remainingLayers = await fs.readdir(layersDir);
-        if (remainingLayers.length === 0) {
-            await fs.remove(layersDir);
-        }
-    }
+    await runOperation(projectPath, operations.deleteLayer, { name: layerName });
 }
 
 /**
  * Add a layer to a lambda programmatically in a test project
  */
 export async function addLayerToLambdaProgrammatically(projectPath, lambdaName, layerName) {
-    const templatePath = path.join(projectPath, 'template.yaml');
-
-    let templateContent = await fs.readFile(templatePath, 'utf8');
-    let lines = templateContent.split('\n');
-
-    // Find the lambda function
-    let lambdaStartLine = -1;
-    let lambdaEndLine = -1;
-
-    for (let i = 0; i < lines.length; i++) {
-        const resMatch = lines[i].match(/^  ([a-zA-Z0-9]+):/);
-        if (resMatch && resMatch[1] === lambdaName) {
-            lambdaStartLine = i;
-            // Find end of this lambda
-            for (let j = i + 1; j < lines.length; j++) {
-                if (/^  [a-zA-Z0-9]+:/.test(lines[j])) {
-                    lambdaEndLine = j;
-                    break;
-                }
-            }
-            if (lambdaEndLine === -1) lambdaEndLine = lines.length;
-            break;
-        }
-    }
-
-    if (lambdaStartLine === -1) {
-        throw new Error(`Lambda ${lambdaName} not found`);
-    }
-
-    // Check if Layers section exists
-    let layersLineIndex = -1;
-    let insertLine = -1;
-
-    for (let i = lambdaStartLine; i < lambdaEndLine; i++) {
-        if (lines[i].match(/^\s+Layers:/)) {
-            layersLineIndex = i;
-            // Find the last layer line
-            for (let j = i + 1; j < lambdaEndLine; j++) {
-                if (lines[j].match(/^\s{6}\S/) && !lines[j].match(/^\s{8}/)) {
-                    insertLine = j;
-                    break;
-                }
-                if (lines[j].match(/- !Ref\s+/)) {
-                    insertLine = j + 1;
-                }
-            }
-            break;
-        }
-    }
-
-    if (layersLineIndex === -1) {
-        // Need to create Layers section
-        let insertPosition = -1;
-
-        for (let i = lambdaStartLine; i < lambdaEndLine; i++) {
-            if (lines[i].match(/^\s+Architectures:/)) {
-                for (let j = i + 1; j < lambdaEndLine; j++) {
-                    if (lines[j].match(/^\s+- (arm64|x86_64)/)) {
-                        insertPosition = j + 1;
-                        break;
-                    }
-                }
-                break;
-            }
-        }
-
-        if (insertPosition === -1) {
-            for (let i = lambdaStartLine; i < lambdaEndLine; i++) {
-                if (lines[i].match(/^\s+(Events|Metadata):/)) {
-                    insertPosition = i;
-                    break;
-                }
-            }
-        }
-
-        if (insertPosition === -1) {
-            insertPosition = lambdaEndLine;
-        }
-
-        const layersBlock = [
-            '      Layers:',
-            `        - !Ref ${layerName}`
-        ];
-
-        lines.splice(insertPosition, 0, ...layersBlock);
-    } else {
-        // Add to existing Layers section
-        lines.splice(insertLine, 0, `        - !Ref ${layerName}`);
-    }
-
-    templateContent = lines.join('\n');
-    await fs.writeFile(templatePath, templateContent);
+    await runOperation(projectPath, operations.updateLambda, { functionName: lambdaName, addLayers: [layerName] });
 }
 
 /**
  * Remove a layer from a lambda programmatically in a test project
  */
 export async function removeLayerFromLambdaProgrammatically(projectPath, lambdaName, layerName) {
-    const templatePath = path.join(projectPath, 'template.yaml');
-
-    let templateContent = await fs.readFile(templatePath, 'utf8');
-    let lines = templateContent.split('\n');
-
-    // Find the lambda function
-    let lambdaStartLine = -1;
-    let lambdaEndLine = -1;
-
-    for (let i = 0; i < lines.length; i++) {
-        const resMatch = lines[i].match(/^  ([a-zA-Z0-9]+):/);
-        if (resMatch && resMatch[1] === lambdaName) {
-            lambdaStartLine = i;
-            for (let j = i + 1; j < lines.length; j++) {
-                if (/^  [a-zA-Z0-9]+:/.test(lines[j])) {
-                    lambdaEndLine = j;
-                    break;
-                }
-            }
-            if (lambdaEndLine === -1) lambdaEndLine = lines.length;
-            break;
-        }
-    }
-
-    if (lambdaStartLine === -1) {
-        throw new Error(`Lambda ${lambdaName} not found`);
-    }
-
-    // Find current layers in the lambda
-    const currentLayers = [];
-    let layersStartLine = -1;
-    let inLayers = false;
-
-    for (let i = lambdaStartLine; i < lambdaEndLine; i++) {
-        if (lines[i].match(/^\s+Layers:/)) {
-            layersStartLine = i;
-            inLayers = true;
-            continue;
-        }
-        if (inLayers) {
-            if (lines[i].match(/^\s{6}\S/) && !lines[i].match(/^\s{8}/)) {
-                break;
-            }
-            const layerMatch = lines[i].match(/- !Ref\s+(\w+)/);
-            if (layerMatch) {
-                currentLayers.push({ name: layerMatch[1], line: i });
-            }
-        }
-    }
-
-    // Find and remove the layer line
-    const layerToRemove = currentLayers.find(l => l.name === layerName);
-    if (layerToRemove) {
-        lines.splice(layerToRemove.line, 1);
-
-        // If this was the last layer, remove the Layers: line too
-        if (currentLayers.length === 1) {
-            layersStartLine = layerToRemove.line > layersStartLine ? layersStartLine : layersStartLine - 1;
-            lines.splice(layersStartLine, 1);
-        }
-
-        templateContent = lines.join('\n');
-        await fs.writeFile(templatePath, templateContent);
-    }
+    await runOperation(projectPath, operations.updateLambda, { functionName: lambdaName, removeLayers: [layerName] });
 }
 
 /**
- * Create a DynamoDB table programmatically in a test project
- */
-export async function createTableProgrammatically(projectPath, tableName, primaryKeys, secondaryKeys) {
-    const templatePath = path.join(projectPath, 'template.yaml');
-    const utilsPath = path.join(projectPath, 'src', 'utils');
-
-    // Read template.yaml
-    let templateContent = await fs.readFile(templatePath, 'utf8');
-    const lines = templateContent.split('\n');
-
-    // Parse keys - only use first key for AttributeDefinitions
-    const pkKeys = primaryKeys.split('#');
-    const skKeys = secondaryKeys.split('#');
-
-    const pkAttr = `        - AttributeName: ${primaryKeys}\n          AttributeType: 'S'`;
-    const skAttr = `        - AttributeName: ${secondaryKeys}\n          AttributeType: 'S'`;
-
-    const pkKeySchema = `        - AttributeName: ${primaryKeys}\n          KeyType: 'HASH'`;
-    const skKeySchema = `        - AttributeName: ${secondaryKeys}\n          KeyType: 'RANGE'`;
-
-    const tableYaml = `  ${tableName}:
-    Type: 'AWS::DynamoDB::Table'
-    DeletionPolicy: Retain
-    Properties:
-      TableName: !Sub \${AWS::StackName}-${tableName}
-      AttributeDefinitions:
-${pkAttr}
-${skAttr}
-      KeySchema:
-${pkKeySchema}
-${skKeySchema}
-      BillingMode: PAY_PER_REQUEST
-
-  ${tableName}Policy:
-    Type: AWS::IAM::ManagedPolicy
-    Properties:
-      ManagedPolicyName: !Sub \${AWS::StackName}-${tableName}Policy
-      PolicyDocument:
-        Version: '2012-10-17'
-        Statement:
-          - Effect: Allow
-            Action:
-              - dynamodb:Query
-              - dynamodb:Scan
-              - dynamodb:GetItem
-              - dynamodb:PutItem
-              - dynamodb:UpdateItem
-              - dynamodb:DeleteItem
-            Resource: !GetAtt ${tableName}.Arn
-`;
-
-    // Find Outputs section
-    let insertLine = -1;
-    for (let i = 0; i < lines.length; i++) {
-        if (lines[i].match(/^Outputs:/)) {
-            insertLine = i;
-            break;
-        }
-    }
-
-    if (insertLine === -1) {
-        lines.push('');
-        lines.push(tableYaml.trim());
-    } else {
-        lines.splice(insertLine, 0, tableYaml);
-    }
-
-    // Write template
-    templateContent = lines.join('\n');
-    await fs.writeFile(templatePath, templateContent);
-
-    // Copy and customize boilerplate files
-    await fs.ensureDir(utilsPath);
-
-    const templateHandlerPath = path.join(__dirname, '../templates/.boilerplates/dynamoTableHandler.ts');
-    const templateTestPath = path.join(__dirname, '../templates/.boilerplates/dynamoTableHandler.spec.ts');
-
-    const capitalize = (str) => str.charAt(0).toUpperCase() + str.slice(1);
-    const projectName = path.basename(projectPath);
-    const env = 'dev';
-    const fullTableName = `sam-smith-${projectName}-${env}-${tableName}`;
-
-    // Handler file
-    let handlerContent = await fs.readFile(templateHandlerPath, 'utf8');
-    handlerContent = handlerContent.replace(/const tableName = ".*";/, `const tableName = "${fullTableName}";`);
-    handlerContent = handlerContent.replace(/export async function tryDynamoQuery/g, `export async function try${capitalize(tableName)}Query`);
-
-    // Replace PK type and keys
-    const pkType = pkKeys.map((key, i) => `        ${key}: string;`).join('\n');
-    handlerContent = handlerContent.replace(/type pk = \{[^}]+\};/s, `type pk = {\n${pkType}\n    };`);
-
-    // Replace SK type and keys
-    const skType = skKeys.map((key, i) => `        ${key}: string;`).join('\n');
-    handlerContent = handlerContent.replace(/type sk = \{[^}]+\};/s, `type sk = {\n${skType}\n    };`);
-
-    const pkKeysArray = pkKeys.map(k => `'${k}'`).join(', ');
-    const skKeysArray = skKeys.map(k => `'${k}'`).join(', ');
-
-    handlerContent = handlerContent.replace(
-        /pk: \{[^}]+\}/s,
-        `pk: {
-            name: '${primaryKeys}',
-            keys: [${pkKeysArray}],
-            separator: '#'
-        }`
-    );
-
-    handlerContent = handlerContent.replace(
-        /sk: \{[^}]+\}/s,
-        `sk: {
-            name: '${secondaryKeys}',
-            keys: [${skKeysArray}],
-            separator: '#',
-        }`
-    );
-
-    // Deduplicate keys for put/getOne/delete
-    const allKeys = [...new Set([...pkKeys, ...skKeys])];
-    const allProps = allKeys.map(key => `${key}: '${key}'`).join(',\n        ');
-    const pkProps = pkKeys.map(key => `${key}: '${key}'`).join(',\n        ');
-    const skProps = skKeys.map(key => `${key}: '${key}'`).join(',\n        ');
-
-    handlerContent = handlerContent.replace(
-        /await messageTable\.put\(\{[^}]+\}\);/s,
-        `await messageTable.put({\n        ${allProps},\n        data: 'Hello!',\n    });`
-    );
-
-    handlerContent = handlerContent.replace(
-        /await messageTable\.getOne\(\{[^}]+\},\s*\{[^}]+\}\);/s,
-        `await messageTable.getOne({\n        ${pkProps},\n    }, {\n        ${skProps},\n    });`
-    );
-
-    handlerContent = handlerContent.replace(
-        /await messageTable\.delete\(\{[^}]+\},\s*\{[^}]+\}\);/s,
-        `await messageTable.delete({\n        ${pkProps},\n    }, {\n        ${skProps},\n    });`
-    );
-
-    await fs.writeFile(path.join(utilsPath, `${tableName}Handler.ts`), handlerContent);
-
-    // Test file
-    let testContent = await fs.readFile(templateTestPath, 'utf8');
-    testContent = testContent.replace(/from '\.\/dynamoTableHandler'/g, `from './${tableName}Handler'`);
-    testContent = testContent.replace(/tryDynamoQuery/g, `try${capitalize(tableName)}Query`);
-    testContent = testContent.replace(/dynamoTableHandler/g, `${tableName}Handler`);
-
-    // For mockResolvedValue: 12 spaces
-    const mockResult = allKeys.map(key => `${key}: '${key}'`).join(',\n            ');
-    // For expect: 16 spaces
-    const expectedResult = allKeys.map(key => `${key}: '${key}'`).join(',\n                ');
-
-    testContent = testContent.replace(
-        /getOne: jest\.fn\(\)\.mockResolvedValue\(\{[^}]+\}\),/s,
-        `getOne: jest.fn().mockResolvedValue({\n            ${mockResult},\n            data: 'Hello!',\n        }),`
-    );
-
-    testContent = testContent.replace(
-        /expect\(result\)\.toEqual\(\{[^}]+\}\);/s,
-        `expect(result).toEqual({\n                ${expectedResult},\n                data: 'Hello!',\n            });`
-    );
-
-    await fs.writeFile(path.join(utilsPath, `${tableName}Handler.spec.ts`), testContent);
+ * Create a DynamoDB table programmatically in a test project, optionally allowing
+ * the batch and transaction actions in its policies and declaring the data of its items
+ * ({ batch, transactions, data: 'total:number,...' })
+ */
+export async function createTableProgrammatically(projectPath, tableName, primaryKeys, secondaryKeys, indexes = [], options = {}) {
+    const { data, ...actions } = options;
+    await runOperation(projectPath, operations.createTable, {
+        name: tableName,
+        partitionKey: primaryKeys,
+        sortKey: secondaryKeys,
+        indexes,
+        ...actions,
+        ...(data && { data: operations.parseTableData(data) })
+    });
 }
 
 /**
  * Delete a DynamoDB table programmatically in a test project
  */
 export async function deleteTableProgrammatically(projectPath, tableName) {
-    const templatePath = path.join(projectPath, 'template.yaml');
-    const utilsPath = path.join(projectPath, 'src', 'utils');
-
-    // Read template.yaml
-    let templateContent = await fs.readFile(templatePath, 'utf8');
-    const lines = templateContent.split('\n');
-
-    // Find and remove the table resource
-    let tableStartLine = -1;
-    let tableEndLine = -1;
-
-    for (let i = 0; i < lines.length; i++) {
-        if (lines[i].match(new RegExp(`^  ${tableName}:`))) {
-            tableStartLine = i;
-            // Find end of table resource
-            for (let j = i + 1; j < lines.length; j++) {
-                if (lines[j].match(/^  [a-zA-Z0-9]+:/) || lines[j].match(/^Outputs:/)) {
-                    tableEndLine = j - 1;
-                    break;
-                }
-            }
-            break;
-        }
-    }
-
-    // Find and remove the table policy
-    let policyStartLine = -1;
-    let policyEndLine = -1;
-
-    for (let i = 0; i < lines.length; i++) {
-        if (lines[i].match(new RegExp(`^  ${tableName}Policy:`))) {
-            policyStartLine = i;
-            // Find end of policy resource
-            for (let j = i + 1; j < lines.length; j++) {
-                if (lines[j].match(/^  [a-zA-Z0-9]+:/) || lines[j].match(/^Outputs:/)) {
-                    policyEndLine = j - 1;
-                    break;
-                }
-            }
-            break;
-        }
-    }
-
-    // Remove resources
-    if (policyStartLine !== -1 && policyStartLine > (tableStartLine || 0)) {
-        // Remove trailing blank lines
-        while (policyEndLine + 1 < lines.length && lines[policyEndLine + 1].trim() === '') {
-            policyEndLine++;
-        }
-        lines.splice(policyStartLine, policyEndLine - policyStartLine + 1);
-
-        if (tableStartLine !== -1) {
-            while (tableEndLine + 1 < lines.length && lines[tableEndLine + 1].trim() === '') {
-                tableEndLine++;
-            }
-            lines.splice(tableStartLine, tableEndLine - tableStartLine + 1);
-        }
-    } else if (tableStartLine !== -1) {
-        while (tableEndLine + 1 < lines.length && lines[tableEndLine + 1].trim() === '') {
-            tableEndLine++;
-        }
-        lines.splice(tableStartLine, tableEndLine - tableStartLine + 1);
-
-        if (policyStartLine !== -1) {
-            const removedLines = tableEndLine - tableStartLine + 1;
-            policyStartLine -= removedLines;
-            policyEndLine -= removedLines;
+    await runOperation(projectPath, operations.deleteTable, { name: tableName });
+}
 
-            while (policyEndLine + 1 < lines.length && lines[policyEndLine + 1].trim() === '') {
-                policyEndLine++;
-            }
-            lines.splice(policyStartLine, policyEndLine - policyStartLine + 1);
-        }
-    }
+/**
+ * Attach DynamoDB tables to a Lambda function programmatically, read-write by default
+ */
+export async function attachTablesToLambdaProgrammatically(projectPath, lambdaName, tableNames, access = 'read-write') {
+    await runOperation(projectPath, operations.updateLambda, {
+        functionName: lambdaName,
+        attachTables: tableNames.map(table => ({ table, access }))
+    });
+}
 
-    // Write updated template
-    templateContent = lines.join('\n');
-    await fs.writeFile(templatePath, templateContent);
+/**
+ * Tables a Lambda function can use and its access to them
+ */
+export async function getLambdaTablesProgrammatically(projectPath, lambdaName) {
+    const state = await loadProject(projectPath);
+    return operations.getAttachedTables(state.template, lambdaName);
+}
 
-    // Delete handler files
-    const handlerFile = path.join(utilsPath, `${tableName}Handler.ts`);
-    const testFile = path.join(utilsPath, `${tableName}Handler.spec.ts`);
+/**
+ * Remove DynamoDB tables from a Lambda function programmatically
+ */
+export async function removeTablesFromLambdaProgrammatically(projectPath, lambdaName, tableNames) {
+    await runOperation(projectPath, operations.updateLambda, { functionName: lambdaName, detachTables: tableNames });
+}
 
-    if (await fs.pathExists(handlerFile)) {
-        await fs.remove(handlerFile);
-    }
-    if (await fs.pathExists(testFile)) {
-        await fs.remove(testFile);
-    }
+/**
+ * Change the billing, TTL, backups, encryption, class or policies of a DynamoDB table programmatically
+ */
+export async function updateTableProgrammatically(projectPath, tableName, options) {
+    await runOperation(projectPath, operations.updateTable, { name: tableName, options });
 }
 
 /**
- * Attach DynamoDB tables to a Lambda function programmatically
+ * Add a secondary index to a DynamoDB table programmatically
  */
-export async function attachTablesToLambdaProgrammatically(projectPath, lambdaName, tableNames) {
-    const templatePath = path.join(projectPath, 'template.yaml');
-    let templateContent = await fs.readFile(templatePath, 'utf8');
-    let lines = templateContent.split('\n');
+export async function addTableIndexProgrammatically(projectPath, tableName, index) {
+    await runOperation(projectPath, operations.addTableIndex, { table: tableName, index });
+}
 
-    // Find the lambda
-    let lambdaStartLine = -1;
-    let lambdaEndLine = -1;
-    let inResources = false;
+/**
+ * Remove a secondary index of a DynamoDB table programmatically
+ */
+export async function removeTableIndexProgrammatically(projectPath, tableName, indexName) {
+    await runOperation(projectPath, operations.removeTableIndex, { table: tableName, name: indexName });
+}
 
-    for (let i = 0; i < lines.length; i++) {
-        if (lines[i].match(/^Resources:/)) {
-            inResources = true;
-            continue;
-        }
-        if (lines[i].match(/^Outputs:/)) {
-            if (lambdaStartLine !== -1 && lambdaEndLine === -1) {
-                lambdaEndLine = i;
-            }
-            break;
-        }
-        if (inResources) {
-            const resMatch = lines[i].match(/^  ([a-zA-Z0-9]+):/);
-            if (resMatch) {
-                if (lambdaStartLine !== -1 && lambdaEndLine === -1) {
-                    lambdaEndLine = i;
-                    break;
-                }
-                if (resMatch[1] === lambdaName) {
-                    lambdaStartLine = i;
-                }
-            }
-        }
-    }
+/**
+ * Change the keys of a DynamoDB table programmatically
+ */
+export async function alterTableKeysProgrammatically(projectPath, tableName, partitionKey, sortKey) {
+    await runOperation(projectPath, operations.alterTableKeys, { name: tableName, partitionKey, sortKey });
+}
 
-    if (lambdaStartLine !== -1 && lambdaEndLine === -1) {
-        lambdaEndLine = lines.length;
-    }
+/**
+ * Migration of the next change of keys of a DynamoDB table, and the pending migration of the
+ * previous one, in an environment of a project
+ * @returns {Promise<{migration: import('./operations.js').TableMigration, pending: Object|null}>}
+ */
+export async function getTableMigrationProgrammatically(projectPath, tableName, environment) {
+    const state = await loadProject(projectPath, { environment });
+    return {
+        migration: operations.getTableMigration(state, tableName),
+        pending: await operations.getPendingMigration(state, tableName),
+    };
+}
 
-    // Check if Policies section exists
-    let policiesLineIndex = -1;
-    let insertLine = -1;
-
-    for (let i = lambdaStartLine; i < lambdaEndLine; i++) {
-        if (lines[i].match(/^\s+Policies:/)) {
-            policiesLineIndex = i;
-            // Find the last policy line
-            for (let j = i + 1; j < lambdaEndLine; j++) {
-                if (lines[j].match(/^\s{6}\S/) && !lines[j].match(/^\s{8}/)) {
-                    break;
-                }
-                if (lines[j].match(/- !Ref\s+/)) {
-                    insertLine = j + 1;
-                }
-            }
-            break;
-        }
-    }
+/**
+ * Enable the stream of a DynamoDB table programmatically, or change its view type
+ */
+export async function enableTableStreamProgrammatically(projectPath, tableName, viewType) {
+    await runOperation(projectPath, operations.enableTableStream, { name: tableName, viewType });
+}
 
-    if (policiesLineIndex === -1) {
-        // Need to create Policies section
-        let insertPosition = -1;
-
-        // Insert after Layers or Architectures
-        for (let i = lambdaStartLine; i < lambdaEndLine; i++) {
-            if (lines[i].match(/^\s+Layers:/)) {
-                // Find end of Layers section
-                for (let j = i + 1; j < lambdaEndLine; j++) {
-                    if (lines[j].match(/^\s{6}\S/) && !lines[j].match(/^\s{8}/)) {
-                        insertPosition = j;
-                        break;
-                    }
-                }
-                if (insertPosition !== -1) break;
-            }
-        }
+/**
+ * Remove the stream of a DynamoDB table programmatically
+ */
+export async function disableTableStreamProgrammatically(projectPath, tableName) {
+    await runOperation(projectPath, operations.disableTableStream, { name: tableName });
+}
 
-        if (insertPosition === -1) {
-            for (let i = lambdaStartLine; i < lambdaEndLine; i++) {
-                if (lines[i].match(/^\s+Architectures:/)) {
-                    for (let j = i + 1; j < lambdaEndLine; j++) {
-                        if (lines[j].match(/^\s+- (arm64|x86_64)/)) {
-                            insertPosition = j + 1;
-                            break;
-                        }
-                    }
-                    break;
-                }
-            }
-        }
+/**
+ * Make a Lambda read the stream of a table programmatically
+ */
+export async function attachTableStreamProgrammatically(projectPath, lambdaName, stream) {
+    await runOperation(projectPath, operations.attachTableStream, { functionName: lambdaName, stream });
+}
 
-        if (insertPosition === -1) {
-            for (let i = lambdaStartLine; i < lambdaEndLine; i++) {
-                if (lines[i].match(/^\s+(Events|Metadata):/)) {
-                    insertPosition = i;
-                    break;
-                }
-            }
-        }
+/**
+ * Remove the DynamoDB events of a Lambda for a table programmatically
+ */
+export async function detachTableStreamProgrammatically(projectPath, lambdaName, tableName) {
+    await runOperation(projectPath, operations.detachTableStream, { functionName: lambdaName, table: tableName });
+}
 
-        if (insertPosition === -1) {
-            insertPosition = lambdaEndLine;
-        }
+/**
+ * Create an SQS queue programmatically in a test project
+ */
+export async function createQueueProgrammatically(projectPath, queueName, options = {}) {
+    await runOperation(projectPath, operations.createQueue, { name: queueName, ...options });
+}
 
-        const policiesBlock = ['      Policies:'];
-        tableNames.forEach(tableName => {
-            policiesBlock.push(`        - !Ref ${tableName}Policy`);
-        });
+/**
+ * Delete an SQS queue programmatically in a test project
+ */
+export async function deleteQueueProgrammatically(projectPath, queueName) {
+    await runOperation(projectPath, operations.deleteQueue, { name: queueName });
+}
 
-        lines.splice(insertPosition, 0, ...policiesBlock);
-    } else {
-        // Add to existing Policies section
-        tableNames.forEach(tableName => {
-            lines.splice(insertLine, 0, `        - !Ref ${tableName}Policy`);
-            insertLine++;
-        });
-    }
+/**
+ * Make a Lambda consume an SQS queue programmatically
+ */
+export async function attachQueueToLambdaProgrammatically(projectPath, lambdaName, queue) {
+    await runOperation(projectPath, operations.attachQueue, { functionName: lambdaName, queue });
+}
 
-    templateContent = lines.join('\n');
-    await fs.writeFile(templatePath, templateContent);
+/**
+ * Allow a Lambda to send messages to an SQS queue programmatically
+ */
+export async function allowQueueSendProgrammatically(projectPath, lambdaName, queueName) {
+    await runOperation(projectPath, operations.allowQueueSend, { functionName: lambdaName, queue: queueName });
+}
 
-    // Add imports to lambda handler
-    const handlerPath = await getHandlerPathForTest(lambdaName, lines, projectPath);
-    if (handlerPath) {
-        await addTableImportsForTest(handlerPath, tableNames);
-    }
+/**
+ * Remove the SQS events and queue policies of a Lambda programmatically
+ */
+export async function detachQueueFromLambdaProgrammatically(projectPath, lambdaName, queueName) {
+    await runOperation(projectPath, operations.detachQueue, { functionName: lambdaName, queue: queueName });
 }
 
 /**
- * Remove DynamoDB tables from a Lambda function programmatically
+ * Create an S3 bucket programmatically in a test project
  */
-export async function removeTablesFromLambdaProgrammatically(projectPath, lambdaName, tableNames) {
-    const templatePath = path.join(projectPath, 'template.yaml');
-    let templateContent = await fs.readFile(templatePath, 'utf8');
-    let lines = templateContent.split('\n');
-
-    // Find the lambda
-    let lambdaStartLine = -1;
-    let lambdaEndLine = -1;
-    let inResources = false;
-
-    for (let i = 0; i < lines.length; i++) {
-        if (lines[i].match(/^Resources:/)) {
-            inResources = true;
-            continue;
-        }
-        if (lines[i].match(/^Outputs:/)) {
-            if (lambdaStartLine !== -1 && lambdaEndLine === -1) {
-                lambdaEndLine = i;
-            }
-            break;
-        }
-        if (inResources) {
-            const resMatch = lines[i].match(/^  ([a-zA-Z0-9]+):/);
-            if (resMatch) {
-                if (lambdaStartLine !== -1 && lambdaEndLine === -1) {
-                    lambdaEndLine = i;
-                    break;
-                }
-                if (resMatch[1] === lambdaName) {
-                    lambdaStartLine = i;
-                }
-            }
-        }
-    }
+export async function createBucketProgrammatically(projectPath, bucketName, options = {}) {
+    await runOperation(projectPath, operations.createBucket, { name: bucketName, ...options });
+}
 
-    if (lambdaStartLine !== -1 && lambdaEndLine === -1) {
-        lambdaEndLine = lines.length;
-    }
+/**
+ * Delete an S3 bucket programmatically in a test project
+ */
+export async function deleteBucketProgrammatically(projectPath, bucketName) {
+    await runOperation(projectPath, operations.deleteBucket, { name: bucketName });
+}
 
-    // Find current tables in the lambda
-    const currentTables = [];
-    let policiesLineIndex = -1;
-    let inPolicies = false;
-    const policyLines = [];
-
-    for (let i = lambdaStartLine; i < lambdaEndLine; i++) {
-        if (lines[i].match(/^\s+Policies:/)) {
-            policiesLineIndex = i;
-            inPolicies = true;
-            continue;
-        }
-        if (inPolicies) {
-            if (lines[i].match(/^\s{6}\S/) && !lines[i].match(/^\s{8}/)) {
-                break;
-            }
-            const policyMatch = lines[i].match(/- !Ref\s+(\w+)Policy/);
-            if (policyMatch) {
-                currentTables.push(policyMatch[1]);
-                policyLines.push(i);
-            }
-        }
-    }
+/**
+ * Give a Lambda read, write or read-write access to a bucket programmatically
+ */
+export async function attachBucketToLambdaProgrammatically(projectPath, lambdaName, bucketName, access = 'read') {
+    await runOperation(projectPath, operations.attachBucket, { functionName: lambdaName, bucket: bucketName, access });
+}
 
-    // Remove policies from bottom to top to avoid index issues
-    for (let i = policyLines.length - 1; i >= 0; i--) {
-        const tableName = currentTables[i];
-        if (tableNames.includes(tableName)) {
-            lines.splice(policyLines[i], 1);
-        }
-    }
+/**
+ * Run a Lambda on the new objects of a bucket programmatically
+ */
+export async function addBucketTriggerProgrammatically(projectPath, lambdaName, trigger) {
+    await runOperation(projectPath, operations.addBucketTrigger, { functionName: lambdaName, trigger });
+}
 
-    // Check if Policies section is now empty
-    const remainingPolicies = currentTables.filter(t => !tableNames.includes(t));
-    if (remainingPolicies.length === 0 && policiesLineIndex !== -1) {
-        // Remove the entire Policies: line
-        lines.splice(policiesLineIndex, 1);
-    }
+/**
+ * Remove the S3 events, bucket policies and bucket variable of a Lambda programmatically
+ */
+export async function detachBucketFromLambdaProgrammatically(projectPath, lambdaName, bucketName) {
+    await runOperation(projectPath, operations.detachBucket, { functionName: lambdaName, bucket: bucketName });
+}
 
-    templateContent = lines.join('\n');
-    await fs.writeFile(templatePath, templateContent);
+/**
+ * Add an endpoint returning presigned upload URLs programmatically
+ */
+export async function createUploadEndpointProgrammatically(projectPath, bucketName, apiName, options = {}) {
+    await runOperation(projectPath, operations.createUploadEndpoint, { bucket: bucketName, api: apiName, ...options });
+}
 
-    // Remove imports from lambda handler
-    const handlerPath = await getHandlerPathForTest(lambdaName, lines, projectPath);
-    if (handlerPath) {
-        await removeTableImportsForTest(handlerPath, tableNames);
-    }
+/**
+ * Create an SNS topic programmatically in a test project
+ */
+export async function createTopicProgrammatically(projectPath, topicName) {
+    await runOperation(projectPath, operations.createTopic, { name: topicName });
 }
 
-// Helper functions for test
-async function getHandlerPathForTest(lambdaName, templateLines, projectPath) {
-    let inLambda = false;
-    let handlerValue = null;
+/**
+ * Delete an SNS topic programmatically in a test project
+ */
+export async function deleteTopicProgrammatically(projectPath, topicName) {
+    await runOperation(projectPath, operations.deleteTopic, { name: topicName });
+}
 
-    for (let i = 0; i < templateLines.length; i++) {
-        if (templateLines[i].includes(`${lambdaName}:`)) {
-            inLambda = true;
-            continue;
-        }
-        if (inLambda) {
-            if (templateLines[i].match(/^  [a-zA-Z0-9]+:/)) {
-                break;
-            }
-            const handlerMatch = templateLines[i].match(/Handler:\s+(.+)/);
-            if (handlerMatch) {
-                handlerValue = handlerMatch[1].trim();
-                break;
-            }
-        }
-    }
+/**
+ * Subscribe a Lambda to an SNS topic programmatically
+ */
+export async function subscribeToTopicProgrammatically(projectPath, lambdaName, subscription) {
+    await runOperation(projectPath, operations.subscribeToTopic, { functionName: lambdaName, subscription });
+}
 
-    if (!handlerValue) return null;
+/**
+ * Remove the SNS events, publish policy and topic variable of a Lambda programmatically
+ */
+export async function detachTopicFromLambdaProgrammatically(projectPath, lambdaName, topicName) {
+    await runOperation(projectPath, operations.detachTopic, { functionName: lambdaName, topic: topicName });
+}
 
-    const handlerParts = handlerValue.split('.');
-    if (handlerParts.length < 2) return null;
+/**
+ * Create an EventBridge event bus programmatically in a test project
+ */
+export async function createEventBusProgrammatically(projectPath, busName) {
+    await runOperation(projectPath, operations.createEventBus, { name: busName });
+}
 
-    const modulePath = handlerParts[0];
-    const handlerFilePath = path.join(projectPath, 'src', `${modulePath}.ts`);
+/**
+ * Delete an EventBridge event bus programmatically in a test project
+ */
+export async function deleteEventBusProgrammatically(projectPath, busName) {
+    await runOperation(projectPath, operations.deleteEventBus, { name: busName });
+}
 
-    if (!await fs.pathExists(handlerFilePath)) {
-        return null;
-    }
+/**
+ * Remove the rules, publish policy and bus variable of a Lambda programmatically
+ */
+export async function detachEventBusFromLambdaProgrammatically(projectPath, lambdaName, busName) {
+    await runOperation(projectPath, operations.detachEventBus, { functionName: lambdaName, bus: busName });
+}
 
-    return handlerFilePath;
+/**
+ * Add an EventBridge rule targeting a Lambda ({functionName}) or a queue ({queue}) programmatically
+ */
+export async function addEventRuleProgrammatically(projectPath, rule, target) {
+    await runOperation(projectPath, operations.addEventRule, { rule, ...target });
 }
 
-function capitalize(str) {
-    return str.charAt(0).toUpperCase() + str.slice(1);
+/**
+ * Remove an EventBridge rule programmatically ({functionName, event} or {rule})
+ */
+export async function removeEventRuleProgrammatically(projectPath, options) {
+    await runOperation(projectPath, operations.removeEventRule, options);
 }
 
-async function addTableImportsForTest(handlerPath, tableNames) {
-    let content = await fs.readFile(handlerPath, 'utf8');
-    const lines = content.split('\n');
+/**
+ * Allow a Lambda to publish to a topic or an event bus programmatically
+ */
+export async function allowPublishProgrammatically(projectPath, lambdaName, target) {
+    await runOperation(projectPath, operations.allowPublish, { functionName: lambdaName, target });
+}
 
-    let lastImportLine = -1;
-    for (let i = 0; i < lines.length; i++) {
-        if (lines[i].startsWith('import ')) {
-            lastImportLine = i;
-        } else if (lastImportLine !== -1 && lines[i].trim() !== '') {
-            break;
-        }
-    }
+/**
+ * Start the local DynamoDB of a project on a free port programmatically
+ * @param {string} projectPath - Absolute path to the project
+ * @param {Object} [options]
+ * @param {boolean} [options.seed] - Load the items of the seed files
+ * @returns {Promise<{endpoint: string, close: () => Promise<void>, request: (operation: string, input: Object) => Promise<{status: number, body: Object}>}>}
+ * request sends an operation of the DynamoDB JSON protocol, as the AWS SDK does
+ */
+export async function startLocalDynamoProgrammatically(projectPath, options = {}) {
+    const { endpoint, close } = await startLocalDynamo(projectPath, { port: 0, seed: Boolean(options.seed) });
+    const request = async (operation, input) => {
+        const response = await fetch(endpoint, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/x-amz-json-1.0',
+                'X-Amz-Target': `DynamoDB_20120810.${operation}`,
+            },
+            body: JSON.stringify(input),
+        });
+        return { status: response.status, body: await response.json() };
+    };
+    return { endpoint, close, request };
+}
 
-    const insertAt = lastImportLine + 1;
+/**
+ * Read and check the seed files of a project programmatically
+ * @returns {Promise<import('./seed.js').TableSeed[]>}
+ */
+export async function readSeedsProgrammatically(projectPath, tables) {
+    return readSeeds(await loadProject(projectPath), { ...(tables && { tables }) });
+}
 
-    const newImports = [];
-    for (const tableName of tableNames) {
-        const functionName = `try${capitalize(tableName)}Query`;
-        const importStatement = `import { ${functionName} } from '../utils/${tableName}Handler';`;
+/**
+ * Write the seed files of a project to a DynamoDB endpoint programmatically, through the
+ * AWS SDK of the project
+ * @returns {Promise<import('./seed.js').TableSeed[]>}
+ */
+export async function seedProjectProgrammatically(projectPath, endpoint) {
+    return seedProject(projectPath, { endpoint });
+}
 
-        const importExists = lines.some(line => line.includes(`from '../utils/${tableName}Handler'`));
-        if (!importExists) {
-            newImports.push(importStatement);
-        }
-    }
+/**
+ * Read the secret variables of the .env of a project programmatically
+ * @returns {Promise<import('./secrets.js').ProjectSecret[]>}
+ */
+export async function readSecretsProgrammatically(projectPath, names) {
+    return readSecrets(await loadProject(projectPath), { ...(names && { names }) });
+}
 
-    if (newImports.length > 0) {
-        lines.splice(insertAt, 0, ...newImports);
-        await fs.writeFile(handlerPath, lines.join('\n'));
-    }
+/**
+ * Differences between the .env files of a project and its template and samconfig.toml
+ * @returns {Promise<ReturnType<typeof operations.getEnvironmentChanges>>}
+ */
+export async function getEnvironmentChangesProgrammatically(projectPath) {
+    return operations.getEnvironmentChanges(await loadProject(projectPath));
 }
 
-async function removeTableImportsForTest(handlerPath, tableNames) {
-    let content = await fs.readFile(handlerPath, 'utf8');
-    const lines = content.split('\n');
+/**
+ * Which Lambdas of a project read which variables, and whether with a value of their own
+ * @returns {Promise<ReturnType<typeof operations.getVariableMatrix>>}
+ */
+export async function getVariableMatrixProgrammatically(projectPath) {
+    return operations.getVariableMatrix(await loadProject(projectPath));
+}
 
-    let removedCount = 0;
-    for (let i = lines.length - 1; i >= 0; i--) {
-        for (const tableName of tableNames) {
-            if (lines[i].includes(`from '../utils/${tableName}Handler'`)) {
-                lines.splice(i, 1);
-                removedCount++;
-                break;
-            }
-        }
-    }
+/**
+ * Variables read by the code of the Lambdas of a project, compared with its template and .env files
+ * @returns {Promise<import('./check-env.js').EnvUsageReport>}
+ */
+export async function analyzeEnvUsageProgrammatically(projectPath) {
+    return analyzeEnvUsage(await loadProject(projectPath));
+}
 
-    if (removedCount > 0) {
-        await fs.writeFile(handlerPath, lines.join('\n'));
-    }
+/**
+ * `sam deploy` command of an environment of a project, without running it
+ * @returns {Promise<{command: string, args: string[], stackName: string}>}
+ */
+export async function getDeployCommandProgrammatically(projectPath, environment) {
+    return getDeployCommand(await loadProject(projectPath, { environment }));
 }
@@ -1,23 +1,63 @@
 
 import inquirer from 'inquirer';
 import chalk from 'chalk';
-import fs from 'fs-extra';
-import path from 'path';
-import dotenv from 'dotenv';
-import { fileURLToPath } from 'url';
+import {
+    scalarValue,
+    referencesResource,
+    getResource,
+    hasResource,
+    getResourceNames,
+    getProperties,
+    getFunctionNames,
+    getRefList,
+    getDeclaredVariables,
+    getApiEvents,
+    getApiGateways,
+    getApiAuth,
+    getUserPoolResources,
+    getFunctionsReferencing,
+    getQueueNames,
+    getDeadLetterQueue,
+    getSqsEvents,
+    getQueuePolicies,
+    getScheduleEvents,
+    getS3Events,
+    getQueueRules,
+    getTableKeys,
+    getTableIndexes,
+    getTableOptions,
+    getTableStream,
+    getLambdaParameters,
+} from './template.js';
+import { loadProject } from './project.js';
+import { previewChanges } from './preview.js';
+import { applyTransaction } from './history.js';
+import * as operations from './operations.js';
+import { HTTP_METHODS } from './operations.js';
+
+// Set by updateProject() for the whole session
+let dryRun = false;
+
+/**
+ * Interactive update of the project in the current directory
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - Show the diff of every operation and ask before writing it
+ * @returns {Promise<void>}
+ */
+export async function updateProject(options = {}) {
+    dryRun = Boolean(options.dryRun);
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-export async function updateProject() {
     console.log(chalk.blue.bold('SAM Smith Update Tool'));
+    if (dryRun) {
+        console.log(chalk.gray('Dry run: every change is previewed before it is written.'));
+    }
 
     const questions = [
         {
             type: 'rawlist',
             name: 'actions',
             message: 'Select what you want to update:',
-            choices: ['Environment Variables', 'Lambdas', 'API Gateways', 'Layers', 'Tables', 'User Pools'],
+            choices: ['Environment Variables', 'Lambdas', 'API Gateways', 'Layers', 'Tables', 'Queues', 'Buckets', 'Topics', 'Event Buses', 'User Pools'],
         },
     ];
 
@@ -43,134 +83,31 @@ export async function updateProject() {
         await manageTables();
     }
 
-    if (answers.actions && answers.actions.includes('User Pools')) {
-        await manageUserPools();
+    if (answers.actions && answers.actions.includes('Queues')) {
+        await manageQueues();
     }
-}
-
-async function manageApiGateways() {
-    const cwd = process.cwd();
-    const templatePath = path.join(cwd, 'template.yaml');
 
-    if (!fs.existsSync(templatePath)) {
-        console.error(chalk.red('✗ Error: template.yaml file not found.'));
-        return;
+    if (answers.actions && answers.actions.includes('Buckets')) {
+        await manageBuckets();
     }
 
-    const templateContent = await fs.readFile(templatePath, 'utf8');
-    const lines = templateContent.split('\n');
-
-    // Build API Gateway structure: { apiName: { lambdaName: [{ eventName: { path, method } }] } }
-    const apiGateways = {};
-
-    // First, find all API Gateways
-    let currentResource = null;
-    for (let i = 0; i < lines.length; i++) {
-        const resMatch = lines[i].match(/^  ([a-zA-Z0-9]+):/);
-        if (resMatch) {
-            currentResource = resMatch[1];
-        }
-        if (currentResource && lines[i].includes('Type: AWS::Serverless::Api')) {
-            apiGateways[currentResource] = {};
-        }
+    if (answers.actions && answers.actions.includes('Topics')) {
+        await manageTopics();
     }
 
-    // Now find all Lambdas and their events referencing these API Gateways
-    currentResource = null;
-    let currentResourceStartLine = -1;
-
-    for (let i = 0; i < lines.length; i++) {
-        const resMatch = lines[i].match(/^  ([a-zA-Z0-9]+):/);
-        if (resMatch) {
-            currentResource = resMatch[1];
-            currentResourceStartLine = i;
-        }
-
-        if (currentResource && lines[i].includes('Type: AWS::Serverless::Function')) {
-            // Find the end of this lambda block
-            let lambdaEndLine = lines.length;
-            for (let j = currentResourceStartLine + 1; j < lines.length; j++) {
-                if (/^  [a-zA-Z0-9]+:/.test(lines[j])) {
-                    lambdaEndLine = j;
-                    break;
-                }
-            }
-
-            // Parse Events section
-            let inEvents = false;
-            let currentEventName = null;
-            let currentEventApiRef = null;
-            let currentEventPath = null;
-            let currentEventMethod = null;
-
-            for (let j = currentResourceStartLine; j < lambdaEndLine; j++) {
-                const line = lines[j];
-
-                if (line.match(/^\s+Events:\s*$/)) {
-                    inEvents = true;
-                    continue;
-                }
-
-                if (inEvents) {
-                    // Stop parsing events if we hit Metadata section
-                    if (line.match(/^\s+Metadata:/)) {
-                        break;
-                    }
-
-                    // Check for event name - must be exactly 8 spaces, and not a reserved keyword
-                    const eventNameMatch = line.match(/^        ([a-zA-Z0-9]+):\s*$/);
-                    if (eventNameMatch && !['Type', 'Properties'].includes(eventNameMatch[1])) {
-                        // Save previous event if exists
-                        if (currentEventName && currentEventApiRef && apiGateways[currentEventApiRef]) {
-                            if (!apiGateways[currentEventApiRef][currentResource]) {
-                                apiGateways[currentEventApiRef][currentResource] = [];
-                            }
-                            apiGateways[currentEventApiRef][currentResource].push({
-                                [currentEventName]: {
-                                    path: currentEventPath,
-                                    method: currentEventMethod
-                                }
-                            });
-                        }
-                        currentEventName = eventNameMatch[1];
-                        currentEventApiRef = null;
-                        currentEventPath = null;
-                        currentEventMethod = null;
-                        continue;
-                    }
-
-                    const apiRefMatch = line.match(/RestApiId:\s*!Ref\s+(\w+)/);
-                    if (apiRefMatch) {
-                        currentEventApiRef = apiRefMatch[1];
-                    }
+    if (answers.actions && answers.actions.includes('Event Buses')) {
+        await manageEventBuses();
+    }
 
-                    const pathMatch = line.match(/Path:\s*(.+)/);
-                    if (pathMatch) {
-                        currentEventPath = pathMatch[1].trim();
-                    }
+    if (answers.actions && answers.actions.includes('User Pools')) {
+        await manageUserPools();
+    }
+}
 
-                    // More specific match for Method (only lowercase http methods)
-                    const methodMatch = line.match(/^\s+Method:\s*(get|post|put|delete|patch|options|head)/i);
-                    if (methodMatch) {
-                        currentEventMethod = methodMatch[1].trim();
-                    }
-                }
-            }
+async function manageApiGateways() {
+    const state = await loadProject(process.cwd());
 
-            // Save last event
-            if (currentEventName && currentEventApiRef && apiGateways[currentEventApiRef]) {
-                if (!apiGateways[currentEventApiRef][currentResource]) {
-                    apiGateways[currentEventApiRef][currentResource] = [];
-                }
-                apiGateways[currentEventApiRef][currentResource].push({
-                    [currentEventName]: {
-                        path: currentEventPath,
-                        method: currentEventMethod
-                    }
-                });
-            }
-        }
-    }
+    const apiGateways = getApiGateways(state.template);
 
     const questions = [
         {
@@ -188,20 +125,17 @@ async function manageApiGateways() {
     const answers = await inquirer.prompt(questions);
 
     if (answers.action && answers.action.includes('update')) {
-        await updateApiGateway(apiGateways);
+        await updateApiGateway(state, apiGateways);
     }
     if (answers.action && answers.action.includes('create')) {
-        await createApiGateway(apiGateways);
+        await createApiGateway(state, apiGateways);
     }
     if (answers.action && answers.action.includes('delete')) {
-        await deleteApiGateway(apiGateways);
+        await deleteApiGateway(state, apiGateways);
     }
 }
 
-async function deleteApiGateway(apiGateways) {
-    const cwd = process.cwd();
-    const templatePath = path.join(cwd, 'template.yaml');
-
+async function deleteApiGateway(state, apiGateways) {
     const gatewayNames = Object.keys(apiGateways);
 
     if (gatewayNames.length === 0) {
@@ -214,16 +148,8 @@ async function deleteApiGateway(apiGateways) {
     const gatewayChoices = [];
 
     for (const gatewayName of gatewayNames) {
-        const gateway = apiGateways[gatewayName];
-        const endpoints = [];
-
-        for (const [lambdaName, events] of Object.entries(gateway)) {
-            for (const event of events) {
-                for (const [eventName, details] of Object.entries(event)) {
-                    endpoints.push(`${details.method.toUpperCase()} ${details.path} → ${lambdaName}`);
-                }
-            }
-        }
+        const endpoints = operations.getEndpoints(state.template, gatewayName)
+            .map(ep => `${ep.method.toUpperCase()} ${ep.path} → ${ep.functionName}`);
 
         console.log(chalk.cyan(`  ${gatewayName}:`));
         if (endpoints.length > 0) {
@@ -247,12 +173,7 @@ async function deleteApiGateway(apiGateways) {
         choices: gatewayChoices,
     }]);
 
-    // Count endpoints that will be deleted
-    const gateway = apiGateways[selectedGateway];
-    let endpointCount = 0;
-    for (const [lambdaName, events] of Object.entries(gateway)) {
-        endpointCount += events.length;
-    }
+    const endpointCount = operations.getEndpoints(state.template, selectedGateway).length;
 
     // Confirm deletion
     const { confirmDelete } = await inquirer.prompt([{
@@ -267,263 +188,16 @@ async function deleteApiGateway(apiGateways) {
         return;
     }
 
-    let templateContent = await fs.readFile(templatePath, 'utf8');
-    let lines = templateContent.split('\n');
-
-    // 1. Delete all events that reference this API Gateway
-    // We need to process lambdas that have events referencing this gateway
-    for (const [lambdaName, events] of Object.entries(gateway)) {
-        // Re-read lines after each modification
-        lines = templateContent.split('\n');
-
-        // Find lambda block
-        let lambdaStartLine = -1;
-        let lambdaEndLine = -1;
-        let inResources = false;
-
-        for (let i = 0; i < lines.length; i++) {
-            if (lines[i].match(/^Resources:/)) {
-                inResources = true;
-                continue;
-            }
-            if (lines[i].match(/^Outputs:/)) {
-                if (lambdaStartLine !== -1 && lambdaEndLine === -1) {
-                    lambdaEndLine = i;
-                }
-                break;
-            }
-            if (inResources) {
-                const resMatch = lines[i].match(/^  ([a-zA-Z0-9]+):/);
-                if (resMatch) {
-                    if (lambdaStartLine !== -1 && lambdaEndLine === -1) {
-                        lambdaEndLine = i;
-                        break;
-                    }
-                    if (resMatch[1] === lambdaName) {
-                        lambdaStartLine = i;
-                    }
-                }
-            }
-        }
-
-        if (lambdaStartLine === -1) continue;
-        if (lambdaEndLine === -1) lambdaEndLine = lines.length;
-
-        // Find events referencing this gateway and delete them
-        let eventsLineIndex = -1;
-        let totalEventsInLambda = 0;
-        let eventsToDeleteCount = 0;
-        const eventPositions = [];
-        let currentEventStart = -1;
-        let currentEventName = null;
-        let currentEventApiRef = null;
-        let inEventsSection = false;
-
-        for (let i = lambdaStartLine; i < lambdaEndLine; i++) {
-            if (lines[i].match(/^\s+Events:\s*$/)) {
-                eventsLineIndex = i;
-                inEventsSection = true;
-                continue;
-            }
-            if (inEventsSection && lines[i].match(/^\s+Metadata:/)) {
-                if (currentEventStart !== -1) {
-                    eventPositions.push({
-                        eventName: currentEventName,
-                        startLine: currentEventStart,
-                        endLine: i,
-                        apiRef: currentEventApiRef
-                    });
-                    totalEventsInLambda++;
-                }
-                break;
-            }
-            if (inEventsSection) {
-                const eventMatch = lines[i].match(/^        ([a-zA-Z0-9]+):\s*$/);
-                if (eventMatch && !['Type', 'Properties'].includes(eventMatch[1])) {
-                    if (currentEventStart !== -1) {
-                        eventPositions.push({
-                            eventName: currentEventName,
-                            startLine: currentEventStart,
-                            endLine: i,
-                            apiRef: currentEventApiRef
-                        });
-                        totalEventsInLambda++;
-                    }
-                    currentEventName = eventMatch[1];
-                    currentEventStart = i;
-                    currentEventApiRef = null;
-                }
-                const apiRefMatch = lines[i].match(/RestApiId:\s*!Ref\s+(\w+)/);
-                if (apiRefMatch) {
-                    currentEventApiRef = apiRefMatch[1];
-                }
-            }
-        }
-
-        // Filter events that reference this gateway and delete them (in reverse order)
-        const eventsToRemove = eventPositions.filter(ep => ep.apiRef === selectedGateway);
-        eventsToRemove.sort((a, b) => b.startLine - a.startLine);
-
-        for (const eventPos of eventsToRemove) {
-            lines.splice(eventPos.startLine, eventPos.endLine - eventPos.startLine);
-            eventsToDeleteCount++;
-        }
-
-        // If all events were deleted, remove Events: line too
-        const remainingEvents = totalEventsInLambda - eventsToRemove.length;
-        if (remainingEvents === 0 && eventsLineIndex !== -1) {
-            // Need to recalculate the adjusted line index
-            let linesRemoved = 0;
-            for (const eventPos of eventsToRemove) {
-                linesRemoved += eventPos.endLine - eventPos.startLine;
-            }
-
-            // Find and remove Events: line - search the adjusted lambda block
-            const adjustedLambdaEnd = lambdaEndLine - linesRemoved;
-            for (let i = lambdaStartLine; i < adjustedLambdaEnd; i++) {
-                if (lines[i] && lines[i].match(/^\s+Events:/)) {
-                    lines.splice(i, 1);
-                    console.log(chalk.gray(`    Removed empty Events section from ${lambdaName}`));
-                    break;
-                }
-            }
-        }
-
-        templateContent = lines.join('\n');
-    }
-
-    // 2. Delete the API Gateway resource itself
-    lines = templateContent.split('\n');
-    let gatewayStartLine = -1;
-    let gatewayEndLine = -1;
-    let inResources = false;
-
-    for (let i = 0; i < lines.length; i++) {
-        if (lines[i].match(/^Resources:/)) {
-            inResources = true;
-            continue;
-        }
-        if (lines[i].match(/^Outputs:/)) {
-            if (gatewayStartLine !== -1 && gatewayEndLine === -1) {
-                gatewayEndLine = i;
-            }
-            break;
-        }
-        if (inResources) {
-            const resMatch = lines[i].match(/^  ([a-zA-Z0-9]+):/);
-            if (resMatch) {
-                if (gatewayStartLine !== -1 && gatewayEndLine === -1) {
-                    gatewayEndLine = i;
-                    break;
-                }
-                if (resMatch[1] === selectedGateway) {
-                    gatewayStartLine = i;
-                }
-            }
-        }
-    }
-
-    if (gatewayStartLine !== -1) {
-        if (gatewayEndLine === -1) gatewayEndLine = lines.length;
-        lines.splice(gatewayStartLine, gatewayEndLine - gatewayStartLine);
-    }
-
-    // 3. Delete Outputs that reference this API Gateway
-    let inOutputs = false;
-    let outputsToDelete = [];
-    let currentOutputName = null;
-    let currentOutputStart = -1;
-
-    for (let i = 0; i < lines.length; i++) {
-        if (lines[i].match(/^Outputs:/)) {
-            inOutputs = true;
-            continue;
-        }
-        if (inOutputs) {
-            const outputMatch = lines[i].match(/^  ([a-zA-Z0-9]+):/);
-            if (outputMatch) {
-                // Save previous output if it referenced the gateway
-                if (currentOutputStart !== -1) {
-                    outputsToDelete.push({ name: currentOutputName, start: currentOutputStart, end: i });
-                    currentOutputStart = -1;
-                }
-                currentOutputName = outputMatch[1];
-            }
-            // Check if this output references the deleted gateway
-            if (lines[i].includes(`\${${selectedGateway}}`) || lines[i].includes(`!Ref ${selectedGateway}`) || lines[i].includes(`!GetAtt ${selectedGateway}`)) {
-                currentOutputStart = -1;
-                // Find the start of this output
-                for (let j = i; j >= 0; j--) {
-                    if (lines[j].match(/^  [a-zA-Z0-9]+:/)) {
-                        currentOutputStart = j;
-                        break;
-                    }
-                }
-            }
-        }
-    }
-    // Save last output if it referenced the gateway
-    if (currentOutputStart !== -1) {
-        outputsToDelete.push({ name: currentOutputName, start: currentOutputStart, end: lines.length });
-    }
-
-    // Delete outputs in reverse order
-    outputsToDelete.sort((a, b) => b.start - a.start);
-    for (const output of outputsToDelete) {
-        // Find the end of this output
-        let outputEnd = lines.length;
-        for (let i = output.start + 1; i < lines.length; i++) {
-            if (lines[i].match(/^  [a-zA-Z0-9]+:/) || lines[i].match(/^[a-zA-Z]/)) {
-                outputEnd = i;
-                break;
-            }
-        }
-        lines.splice(output.start, outputEnd - output.start);
-        console.log(chalk.gray(`    Removed output '${output.name}'`));
-    }
-
-    // Check if Outputs section is now empty and remove it
-    let outputsSectionStart = -1;
-    let outputsSectionHasContent = false;
-    for (let i = 0; i < lines.length; i++) {
-        if (lines[i].match(/^Outputs:\s*$/)) {
-            outputsSectionStart = i;
-            continue;
-        }
-        if (outputsSectionStart !== -1) {
-            // Check if there's any content (lines starting with 2 spaces)
-            if (lines[i].match(/^  [a-zA-Z0-9]+:/)) {
-                outputsSectionHasContent = true;
-                break;
-            }
-            // Stop if we hit another top-level section or end
-            if (lines[i].match(/^[a-zA-Z]/) || i === lines.length - 1) {
-                break;
-            }
-        }
-    }
-
-    if (outputsSectionStart !== -1 && !outputsSectionHasContent) {
-        // Remove the empty Outputs: line
-        lines.splice(outputsSectionStart, 1);
-        console.log(chalk.gray(`    Removed empty Outputs section`));
+    // Deletes the events referencing this API Gateway, the gateway itself and its outputs
+    if (!await applyOperation(state, operations.deleteApiGateway, { name: selectedGateway }, `API Gateway '${selectedGateway}' deleted`)) {
+        return;
     }
 
-    // Clean up multiple blank lines
-    templateContent = lines.join('\n').replace(/\n{3,}/g, '\n\n').trimEnd() + '\n';
-    await fs.writeFile(templatePath, templateContent);
-
     console.log(chalk.green(`✓ API Gateway '${selectedGateway}' deleted successfully!`));
     console.log(chalk.gray(`  - Removed ${endpointCount} endpoint(s)`));
 }
 
-async function createApiGateway(existingApiGateways) {
-    const cwd = process.cwd();
-    const templatePath = path.join(cwd, 'template.yaml');
-
-    let templateContent = await fs.readFile(templatePath, 'utf8');
-    const lines = templateContent.split('\n');
-
+async function createApiGateway(state, existingApiGateways) {
     // Get existing API Gateway names
     const existingNames = Object.keys(existingApiGateways);
 
@@ -537,7 +211,7 @@ async function createApiGateway(existingApiGateways) {
                 return 'Please enter a valid name.';
             }
             // Remove spaces and special chars for resource name
-            const resourceName = value.replace(/[^a-zA-Z0-9]/g, '');
+            const resourceName = operations.toApiName(value);
             if (existingNames.includes(resourceName)) {
                 return `API Gateway '${resourceName}' already exists.`;
             }
@@ -545,64 +219,7 @@ async function createApiGateway(existingApiGateways) {
         },
     }]);
 
-    // Clean the name for resource
-    const resourceName = gatewayName.replace(/[^a-zA-Z0-9]/g, '');
-
-    // Build API Gateway YAML
-    const apiGatewayYaml = `  ${resourceName}:
-    Type: AWS::Serverless::Api
-    Properties:
-      Name: !Sub \${AWS::StackName}-${resourceName}
-      StageName: default
-      Cors:
-        AllowOrigin: "'*'"
-        AllowHeaders: "'Content-Type,Authorization'"
-        AllowMethods: "'GET,POST,PUT,DELETE,OPTIONS'"
-`;
-
-    // Find where to insert (before Outputs or at end of Resources)
-    let insertLine = -1;
-    for (let i = 0; i < lines.length; i++) {
-        if (lines[i].match(/^Outputs:/)) {
-            insertLine = i;
-            break;
-        }
-    }
-
-    if (insertLine === -1) {
-        lines.push(apiGatewayYaml);
-    } else {
-        lines.splice(insertLine, 0, apiGatewayYaml);
-    }
-
-    // Add Output for the API Gateway URL
-    const outputYaml = `  ${resourceName}Url:
-    Description: "API Gateway endpoint URL"
-    Value: !Sub "https://\${${resourceName}}.execute-api.\${AWS::Region}.amazonaws.com/default"`;
-
-    // Find where to insert in Outputs section
-    let outputsLine = -1;
-    for (let i = 0; i < lines.length; i++) {
-        if (lines[i].match(/^Outputs:/)) {
-            outputsLine = i;
-            break;
-        }
-    }
-
-    if (outputsLine !== -1) {
-        // Insert after Outputs: line
-        lines.splice(outputsLine + 1, 0, outputYaml);
-    } else {
-        // Create Outputs section at the end
-        lines.push('');
-        lines.push('Outputs:');
-        lines.push(outputYaml);
-    }
-
-    templateContent = lines.join('\n');
-    await fs.writeFile(templatePath, templateContent);
-
-    console.log(chalk.green(`✓ API Gateway '${resourceName}' created successfully!`));
+    const resourceName = operations.toApiName(gatewayName);
 
     // Ask if want to add an endpoint
     const { addEndpoint } = await inquirer.prompt([{
@@ -612,40 +229,12 @@ async function createApiGateway(existingApiGateways) {
         default: true,
     }]);
 
-    if (addEndpoint) {
-        // Re-read template after changes
-        templateContent = await fs.readFile(templatePath, 'utf8');
-        const updatedLines = templateContent.split('\n');
-
-        // Get all lambdas
-        const allLambdas = [];
-        let currentResource = null;
-        let inResources = false;
-
-        for (let i = 0; i < updatedLines.length; i++) {
-            if (updatedLines[i].match(/^Resources:/)) {
-                inResources = true;
-                continue;
-            }
-            if (updatedLines[i].match(/^Outputs:/)) {
-                break;
-            }
-            if (inResources) {
-                const resMatch = updatedLines[i].match(/^  ([a-zA-Z0-9]+):/);
-                if (resMatch) {
-                    currentResource = resMatch[1];
-                }
-                if (currentResource && updatedLines[i].includes('Type: AWS::Serverless::Function')) {
-                    allLambdas.push(currentResource);
-                }
-            }
-        }
-
-        if (allLambdas.length === 0) {
-            console.log(chalk.yellow('No Lambda functions found to connect.'));
-            return;
-        }
+    let endpoint;
+    const allLambdas = getFunctionNames(state.template);
 
+    if (addEndpoint && allLambdas.length === 0) {
+        console.log(chalk.yellow('No Lambda functions found to connect.'));
+    } else if (addEndpoint) {
         // Ask for method
         const { method } = await inquirer.prompt([{
             type: 'input',
@@ -653,8 +242,7 @@ async function createApiGateway(existingApiGateways) {
             message: 'HTTP Method:',
             default: 'get',
             validate: (value) => {
-                const validMethods = ['get', 'post', 'put', 'delete', 'patch', 'options', 'head'];
-                if (validMethods.includes(value.toLowerCase())) {
+                if (HTTP_METHODS.includes(value.toLowerCase())) {
                     return true;
                 }
                 return 'Please enter a valid HTTP method';
@@ -684,137 +272,30 @@ async function createApiGateway(existingApiGateways) {
 
         // Validate that path + method doesn't already exist on ANY API Gateway
         const normalizedMethod = method.toLowerCase();
+        const duplicate = allLambdas
+            .flatMap(lambdaName => getApiEvents(state.template, lambdaName))
+            .find(event => event.path === endpointPath && (event.method || '').toLowerCase() === normalizedMethod);
 
-        // Scan all lambdas for existing events with this path + method
-        let duplicateFound = false;
-        let duplicateApiGateway = null;
-        let inEvents = false;
-        let currentEventApiRef = null;
-        let currentEventPath = null;
-        let currentEventMethod = null;
-
-        for (let i = 0; i < updatedLines.length; i++) {
-            const resMatch = updatedLines[i].match(/^  ([a-zA-Z0-9]+):/);
-            if (resMatch) {
-                inEvents = false;
-            }
-            if (updatedLines[i].match(/^\s+Events:\s*$/)) {
-                inEvents = true;
-                continue;
-            }
-            if (inEvents && updatedLines[i].match(/^\s+Metadata:/)) {
-                inEvents = false;
-            }
-            if (inEvents) {
-                const apiRefMatch = updatedLines[i].match(/RestApiId:\s*!Ref\s+(\w+)/);
-                if (apiRefMatch) {
-                    currentEventApiRef = apiRefMatch[1];
-                }
-                const pathMatch = updatedLines[i].match(/Path:\s*(.+)/);
-                if (pathMatch) {
-                    currentEventPath = pathMatch[1].trim();
-                }
-                const methodMatch = updatedLines[i].match(/^\s+Method:\s*(get|post|put|delete|patch|options|head)/i);
-                if (methodMatch) {
-                    currentEventMethod = methodMatch[1].trim().toLowerCase();
-                    // Check if path + method already exists
-                    if (currentEventPath === endpointPath &&
-                        currentEventMethod === normalizedMethod) {
-                        duplicateFound = true;
-                        duplicateApiGateway = currentEventApiRef;
-                        break;
-                    }
-                }
-            }
-        }
-
-        if (duplicateFound) {
-            console.error(chalk.red(`✗ Error: An endpoint with ${normalizedMethod.toUpperCase()} ${endpointPath} already exists on ${duplicateApiGateway}.`));
-            return;
-        }
-
-        // Find the lambda and add the event
-        let lambdaStartLine = -1;
-        let lambdaEndLine = -1;
-        inResources = false;
-
-        for (let i = 0; i < updatedLines.length; i++) {
-            if (updatedLines[i].match(/^Resources:/)) {
-                inResources = true;
-                continue;
-            }
-            if (updatedLines[i].match(/^Outputs:/)) {
-                if (lambdaStartLine !== -1 && lambdaEndLine === -1) {
-                    lambdaEndLine = i;
-                }
-                break;
-            }
-            if (inResources) {
-                const resMatch = updatedLines[i].match(/^  ([a-zA-Z0-9]+):/);
-                if (resMatch) {
-                    if (lambdaStartLine !== -1 && lambdaEndLine === -1) {
-                        lambdaEndLine = i;
-                        break;
-                    }
-                    if (resMatch[1] === selectedLambda) {
-                        lambdaStartLine = i;
-                    }
-                }
-            }
-        }
-
-        if (lambdaStartLine !== -1 && lambdaEndLine === -1) {
-            lambdaEndLine = updatedLines.length;
-        }
-
-        // Find Events section and count existing events
-        let eventsLine = -1;
-        let metadataLine = -1;
-        let existingEventCount = 0;
-
-        for (let i = lambdaStartLine; i < lambdaEndLine; i++) {
-            if (updatedLines[i].match(/^\s+Events:\s*$/)) {
-                eventsLine = i;
-            }
-            if (updatedLines[i].match(/^\s+Metadata:/)) {
-                metadataLine = i;
-                break;
-            }
-            const eventMatch = updatedLines[i].match(/^        ([a-zA-Z0-9]+):\s*$/);
-            if (eventMatch && !['Type', 'Properties'].includes(eventMatch[1])) {
-                existingEventCount++;
-            }
+        if (duplicate) {
+            throw new Error(`An endpoint with ${normalizedMethod.toUpperCase()} ${endpointPath} already exists on ${duplicate.api}.`);
         }
 
-        // Generate new event
-        const newEventName = `event${existingEventCount + 1}`;
-        const newEventBlock = [
-            `        ${newEventName}:`,
-            `          Type: Api`,
-            `          Properties:`,
-            `            RestApiId: !Ref ${resourceName}`,
-            `            Path: ${endpointPath}`,
-            `            Method: ${normalizedMethod}`
-        ];
-
-        if (eventsLine !== -1) {
-            updatedLines.splice(eventsLine + 1, 0, ...newEventBlock);
-        } else if (metadataLine !== -1) {
-            const eventsSection = [
-                `      Events:`,
-                ...newEventBlock
-            ];
-            updatedLines.splice(metadataLine, 0, ...eventsSection);
-        }
+        endpoint = { method: normalizedMethod, path: endpointPath, functionName: selectedLambda };
+    }
 
-        await fs.writeFile(templatePath, updatedLines.join('\n'));
+    // Adds the API Gateway resource, its URL output and the first endpoint
+    if (!await applyOperation(state, operations.createApiGateway, { name: gatewayName, endpoint }, `API Gateway '${resourceName}' created`)) {
+        return;
+    }
 
+    console.log(chalk.green(`✓ API Gateway '${resourceName}' created successfully!`));
+    if (endpoint) {
         console.log(chalk.green(`✓ Endpoint created successfully!`));
-        console.log(chalk.gray(`  ${normalizedMethod.toUpperCase()} ${endpointPath} → ${selectedLambda}`));
+        console.log(chalk.gray(`  ${endpoint.method.toUpperCase()} ${endpoint.path} → ${endpoint.functionName}`));
     }
 }
 
-async function updateApiGateway(apiGateways) {
+async function updateApiGateway(state, apiGateways) {
     const gatewayNames = Object.keys(apiGateways);
 
     if (gatewayNames.length === 0) {
@@ -830,23 +311,11 @@ async function updateApiGateway(apiGateways) {
         choices: gatewayNames,
     }]);
 
-    const gateway = apiGateways[selectedGateway];
-
     // Build list of endpoints: "METHOD path → lambda"
-    const endpoints = [];
-    for (const [lambdaName, events] of Object.entries(gateway)) {
-        for (const event of events) {
-            for (const [eventName, details] of Object.entries(event)) {
-                endpoints.push({
-                    display: `${details.method.toUpperCase()} ${details.path} → ${lambdaName}`,
-                    lambdaName,
-                    eventName,
-                    path: details.path,
-                    method: details.method
-                });
-            }
-        }
-    }
+    const endpoints = operations.getEndpoints(state.template, selectedGateway).map(ep => ({
+        ...ep,
+        display: `${ep.method.toUpperCase()} ${ep.path} → ${ep.functionName}`,
+    }));
 
     // Show current endpoints
     console.log(chalk.blue(`\nEndpoints in ${selectedGateway}:`));
@@ -869,23 +338,20 @@ async function updateApiGateway(apiGateways) {
     }]);
 
     if (endpointAction && endpointAction.includes('edit an endpoint')) {
-        await editEndpoint(selectedGateway, endpoints, apiGateways);
+        await editEndpoint(state, selectedGateway, endpoints);
     }
     if (endpointAction && endpointAction.includes('create new endpoint')) {
-        await createEndpoint(selectedGateway, endpoints, apiGateways);
+        await createEndpoint(state, selectedGateway);
     }
     if (endpointAction && endpointAction.includes('delete an endpoint')) {
-        await deleteEndpoints(selectedGateway, endpoints);
+        await deleteEndpoints(state, selectedGateway, endpoints);
     }
     if (endpointAction && endpointAction.includes('update auth')) {
-        await updateAuth(selectedGateway);
+        await updateAuth(state, selectedGateway);
     }
 }
 
-async function deleteEndpoints(selectedGateway, endpoints) {
-    const cwd = process.cwd();
-    const templatePath = path.join(cwd, 'template.yaml');
-
+async function deleteEndpoints(state, selectedGateway, endpoints) {
     if (endpoints.length === 0) {
         console.log(chalk.yellow('No endpoints to delete.'));
         return;
@@ -916,160 +382,19 @@ async function deleteEndpoints(selectedGateway, endpoints) {
         return;
     }
 
-    let templateContent = await fs.readFile(templatePath, 'utf8');
-    let lines = templateContent.split('\n');
-
-    // Process each endpoint to delete (from last to first to avoid index shifting issues)
+    // Events is removed from a lambda when its last event is deleted
     const endpointsToDelete = endpoints.filter(ep => selectedEndpoints.includes(ep.display));
-
-    // Group by lambda to handle multiple deletions from same lambda
-    const deletesByLambda = {};
-    for (const ep of endpointsToDelete) {
-        if (!deletesByLambda[ep.lambdaName]) {
-            deletesByLambda[ep.lambdaName] = [];
-        }
-        deletesByLambda[ep.lambdaName].push(ep);
-    }
-
-    let deletedCount = 0;
-
-    for (const [lambdaName, eventsToDelete] of Object.entries(deletesByLambda)) {
-        // Re-read lines after each lambda processing (content may have changed)
-        lines = templateContent.split('\n');
-
-        // Find lambda block
-        let lambdaStartLine = -1;
-        let lambdaEndLine = -1;
-        let inResources = false;
-
-        for (let i = 0; i < lines.length; i++) {
-            if (lines[i].match(/^Resources:/)) {
-                inResources = true;
-                continue;
-            }
-            if (lines[i].match(/^Outputs:/)) {
-                if (lambdaStartLine !== -1 && lambdaEndLine === -1) {
-                    lambdaEndLine = i;
-                }
-                break;
-            }
-            if (inResources) {
-                const resMatch = lines[i].match(/^  ([a-zA-Z0-9]+):/);
-                if (resMatch) {
-                    if (lambdaStartLine !== -1 && lambdaEndLine === -1) {
-                        lambdaEndLine = i;
-                        break;
-                    }
-                    if (resMatch[1] === lambdaName) {
-                        lambdaStartLine = i;
-                    }
-                }
-            }
-        }
-
-        if (lambdaStartLine !== -1 && lambdaEndLine === -1) {
-            lambdaEndLine = lines.length;
-        }
-
-        // Find and count all events in this lambda
-        let eventsLineIndex = -1;
-        let totalEventsInLambda = 0;
-        const eventPositions = []; // { eventName, startLine, endLine }
-        let currentEventStart = -1;
-        let currentEventName = null;
-        let inEventsSection = false;
-
-        for (let i = lambdaStartLine; i < lambdaEndLine; i++) {
-            if (lines[i].match(/^\s+Events:\s*$/)) {
-                eventsLineIndex = i;
-                inEventsSection = true;
-                continue;
-            }
-            if (inEventsSection && lines[i].match(/^\s+Metadata:/)) {
-                // Save last event
-                if (currentEventStart !== -1) {
-                    eventPositions.push({ eventName: currentEventName, startLine: currentEventStart, endLine: i });
-                }
-                break;
-            }
-            if (inEventsSection) {
-                const eventMatch = lines[i].match(/^        ([a-zA-Z0-9]+):\s*$/);
-                if (eventMatch && !['Type', 'Properties'].includes(eventMatch[1])) {
-                    // Save previous event
-                    if (currentEventStart !== -1) {
-                        eventPositions.push({ eventName: currentEventName, startLine: currentEventStart, endLine: i });
-                    }
-                    currentEventName = eventMatch[1];
-                    currentEventStart = i;
-                    totalEventsInLambda++;
-                }
-            }
-        }
-
-        // Delete events from this lambda (process in reverse order)
-        const eventsToDeleteNames = eventsToDelete.map(e => e.eventName);
-        const eventsToRemove = eventPositions.filter(ep => eventsToDeleteNames.includes(ep.eventName));
-        eventsToRemove.sort((a, b) => b.startLine - a.startLine); // Reverse order
-
-        for (const eventPos of eventsToRemove) {
-            lines.splice(eventPos.startLine, eventPos.endLine - eventPos.startLine);
-            deletedCount++;
-        }
-
-        // Check if all events were deleted from this lambda
-        const remainingEvents = totalEventsInLambda - eventsToRemove.length;
-        if (remainingEvents === 0 && eventsLineIndex !== -1) {
-            // Adjust eventsLineIndex based on deletions
-            let adjustment = 0;
-            for (const eventPos of eventsToRemove) {
-                if (eventPos.startLine > eventsLineIndex) {
-                    adjustment += eventPos.endLine - eventPos.startLine;
-                }
-            }
-            const adjustedEventsLine = eventsLineIndex;
-            if (lines[adjustedEventsLine] && lines[adjustedEventsLine].match(/^\s+Events:/)) {
-                lines.splice(adjustedEventsLine, 1);
-            }
-        }
-
-        templateContent = lines.join('\n');
+    if (!await applyOperation(state, operations.deleteEndpoints, { api: selectedGateway, endpoints: endpointsToDelete },
+        `${endpointsToDelete.length} endpoint(s) deleted from '${selectedGateway}'`)) {
+        return;
     }
 
-    await fs.writeFile(templatePath, templateContent);
-
-    console.log(chalk.green(`✓ Deleted ${deletedCount} endpoint(s) successfully!`));
+    console.log(chalk.green(`✓ Deleted ${endpointsToDelete.length} endpoint(s) successfully!`));
 }
 
-async function createEndpoint(selectedGateway, endpoints, apiGateways) {
-    const cwd = process.cwd();
-    const templatePath = path.join(cwd, 'template.yaml');
-
+async function createEndpoint(state, selectedGateway) {
     // Get all lambdas
-    const templateContent = await fs.readFile(templatePath, 'utf8');
-    const lines = templateContent.split('\n');
-
-    const allLambdas = [];
-    let currentResource = null;
-    let inResources = false;
-
-    for (let i = 0; i < lines.length; i++) {
-        if (lines[i].match(/^Resources:/)) {
-            inResources = true;
-            continue;
-        }
-        if (lines[i].match(/^Outputs:/)) {
-            break;
-        }
-        if (inResources) {
-            const resMatch = lines[i].match(/^  ([a-zA-Z0-9]+):/);
-            if (resMatch) {
-                currentResource = resMatch[1];
-            }
-            if (currentResource && lines[i].includes('Type: AWS::Serverless::Function')) {
-                allLambdas.push(currentResource);
-            }
-        }
-    }
+    const allLambdas = getFunctionNames(state.template);
 
     if (allLambdas.length === 0) {
         console.log(chalk.yellow('No Lambda functions found to connect.'));
@@ -1083,11 +408,10 @@ async function createEndpoint(selectedGateway, endpoints, apiGateways) {
         message: 'HTTP Method:',
         default: 'get',
         validate: (value) => {
-            const validMethods = ['get', 'post', 'put', 'delete', 'patch', 'options', 'head'];
-            if (validMethods.includes(value.toLowerCase())) {
+            if (HTTP_METHODS.includes(value.toLowerCase())) {
                 return true;
             }
-            return 'Please enter a valid HTTP method (get, post, put, delete, patch, options, head)';
+            return `Please enter a valid HTTP method (${HTTP_METHODS.join(', ')})`;
         },
     }]);
 
@@ -1112,106 +436,22 @@ async function createEndpoint(selectedGateway, endpoints, apiGateways) {
         choices: allLambdas,
     }]);
 
-    // Normalize
+    // Rejects an existing (method, path, lambda) triplet
     const normalizedMethod = method.toLowerCase();
-    const normalizedPath = endpointPath;
-
-    // Check if triplet already exists
-    for (const ep of endpoints) {
-        if (ep.path === normalizedPath &&
-            ep.method.toLowerCase() === normalizedMethod &&
-            ep.lambdaName === selectedLambda) {
-            console.error(chalk.red(`✗ Error: An endpoint with ${normalizedMethod.toUpperCase()} ${normalizedPath} → ${selectedLambda} already exists.`));
-            return;
-        }
-    }
-
-    // Find the lambda and add the event
-    let lambdaStartLine = -1;
-    let lambdaEndLine = -1;
-    inResources = false;
-
-    for (let i = 0; i < lines.length; i++) {
-        if (lines[i].match(/^Resources:/)) {
-            inResources = true;
-            continue;
-        }
-        if (lines[i].match(/^Outputs:/)) {
-            if (lambdaStartLine !== -1 && lambdaEndLine === -1) {
-                lambdaEndLine = i;
-            }
-            break;
-        }
-        if (inResources) {
-            const resMatch = lines[i].match(/^  ([a-zA-Z0-9]+):/);
-            if (resMatch) {
-                if (lambdaStartLine !== -1 && lambdaEndLine === -1) {
-                    lambdaEndLine = i;
-                    break;
-                }
-                if (resMatch[1] === selectedLambda) {
-                    lambdaStartLine = i;
-                }
-            }
-        }
-    }
-
-    if (lambdaStartLine !== -1 && lambdaEndLine === -1) {
-        lambdaEndLine = lines.length;
-    }
-
-    // Find Events section and count existing events
-    let eventsLine = -1;
-    let metadataLine = -1;
-    let existingEventCount = 0;
-
-    for (let i = lambdaStartLine; i < lambdaEndLine; i++) {
-        if (lines[i].match(/^\s+Events:\s*$/)) {
-            eventsLine = i;
-        }
-        if (lines[i].match(/^\s+Metadata:/)) {
-            metadataLine = i;
-            break;
-        }
-        const eventMatch = lines[i].match(/^        ([a-zA-Z0-9]+):\s*$/);
-        if (eventMatch && !['Type', 'Properties'].includes(eventMatch[1])) {
-            existingEventCount++;
-        }
-    }
-
-    // Generate new event name
-    const newEventName = `event${existingEventCount + 1}`;
-    const newEventBlock = [
-        `        ${newEventName}:`,
-        `          Type: Api`,
-        `          Properties:`,
-        `            RestApiId: !Ref ${selectedGateway}`,
-        `            Path: ${normalizedPath}`,
-        `            Method: ${normalizedMethod}`
-    ];
-
-    if (eventsLine !== -1) {
-        // Insert after existing Events: line
-        lines.splice(eventsLine + 1, 0, ...newEventBlock);
-    } else if (metadataLine !== -1) {
-        // Create Events section before Metadata
-        const eventsSection = [
-            `      Events:`,
-            ...newEventBlock
-        ];
-        lines.splice(metadataLine, 0, ...eventsSection);
+    if (!await applyOperation(state, operations.addEndpoint, {
+        api: selectedGateway,
+        method: normalizedMethod,
+        path: endpointPath,
+        functionName: selectedLambda,
+    }, `Endpoint ${normalizedMethod.toUpperCase()} ${endpointPath} → ${selectedLambda} added to '${selectedGateway}'`)) {
+        return;
     }
 
-    await fs.writeFile(templatePath, lines.join('\n'));
-
     console.log(chalk.green(`✓ Endpoint created successfully!`));
-    console.log(chalk.gray(`  ${normalizedMethod.toUpperCase()} ${normalizedPath} → ${selectedLambda}`));
+    console.log(chalk.gray(`  ${normalizedMethod.toUpperCase()} ${endpointPath} → ${selectedLambda}`));
 }
 
-async function editEndpoint(selectedGateway, endpoints, apiGateways) {
-    const cwd = process.cwd();
-    const templatePath = path.join(cwd, 'template.yaml');
-
+async function editEndpoint(state, selectedGateway, endpoints) {
     if (endpoints.length === 0) {
         console.log(chalk.yellow('No endpoints to edit.'));
         return;
@@ -1234,11 +474,10 @@ async function editEndpoint(selectedGateway, endpoints, apiGateways) {
         message: `Method (${endpoint.method}):`,
         default: endpoint.method,
         validate: (value) => {
-            const validMethods = ['get', 'post', 'put', 'delete', 'patch', 'options', 'head'];
-            if (validMethods.includes(value.toLowerCase())) {
+            if (HTTP_METHODS.includes(value.toLowerCase())) {
                 return true;
             }
-            return 'Please enter a valid HTTP method (get, post, put, delete, patch, options, head)';
+            return `Please enter a valid HTTP method (${HTTP_METHODS.join(', ')})`;
         },
     }]);
 
@@ -1257,7 +496,7 @@ async function editEndpoint(selectedGateway, endpoints, apiGateways) {
     }]);
 
     // Ask if want to change lambda
-    let newLambda = endpoint.lambdaName;
+    let newLambda = endpoint.functionName;
     const { changeLambda } = await inquirer.prompt([{
         type: 'confirm',
         name: 'changeLambda',
@@ -1266,288 +505,33 @@ async function editEndpoint(selectedGateway, endpoints, apiGateways) {
     }]);
 
     if (changeLambda) {
-        // Get all lambdas from apiGateways
-        const allLambdas = new Set();
-        for (const [gatewayName, lambdas] of Object.entries(apiGateways)) {
-            for (const lambdaName of Object.keys(lambdas)) {
-                allLambdas.add(lambdaName);
-            }
-        }
-
-        // Also read template for all lambdas
-        const templateContent = await fs.readFile(templatePath, 'utf8');
-        const lines = templateContent.split('\n');
-        let currentResource = null;
-        for (let i = 0; i < lines.length; i++) {
-            const resMatch = lines[i].match(/^  ([a-zA-Z0-9]+):/);
-            if (resMatch) {
-                currentResource = resMatch[1];
-            }
-            if (currentResource && lines[i].includes('Type: AWS::Serverless::Function')) {
-                allLambdas.add(currentResource);
-            }
-        }
-
         const { selectedLambda } = await inquirer.prompt([{
             type: 'rawlist',
             name: 'selectedLambda',
             message: 'Select the new Lambda:',
-            choices: Array.from(allLambdas),
+            choices: getFunctionNames(state.template),
         }]);
         newLambda = selectedLambda;
     }
 
-    // Check if the triplet (path, method, lambda) already exists
-    const normalizedNewMethod = newMethod.toLowerCase();
-    const normalizedNewPath = newPath;
-
-    // Check all endpoints for duplicates (excluding current one)
-    for (const ep of endpoints) {
-        if (ep === endpoint) continue; // Skip the one we're editing
-        if (ep.path === normalizedNewPath &&
-            ep.method.toLowerCase() === normalizedNewMethod &&
-            ep.lambdaName === newLambda) {
-            console.error(chalk.red(`✗ Error: An endpoint with ${normalizedNewMethod.toUpperCase()} ${normalizedNewPath} → ${newLambda} already exists.`));
-            return;
-        }
-    }
-
-    // Update the template.yaml
-    let templateContent = await fs.readFile(templatePath, 'utf8');
-    const lines = templateContent.split('\n');
-
-    // Find the lambda that has the event we're editing
-    let lambdaStartLine = -1;
-    let lambdaEndLine = -1;
-    let inResources = false;
-
-    for (let i = 0; i < lines.length; i++) {
-        // Track when we enter Resources section
-        if (lines[i].match(/^Resources:/)) {
-            inResources = true;
-            continue;
-        }
-        // Stop if we hit Outputs section
-        if (lines[i].match(/^Outputs:/)) {
-            if (lambdaStartLine !== -1 && lambdaEndLine === -1) {
-                lambdaEndLine = i;
-            }
-            break;
-        }
-
-        if (inResources) {
-            const resMatch = lines[i].match(/^  ([a-zA-Z0-9]+):/);
-            if (resMatch) {
-                if (lambdaStartLine !== -1 && lambdaEndLine === -1) {
-                    // We found the next resource, so end the lambda block
-                    lambdaEndLine = i;
-                    break;
-                }
-                if (resMatch[1] === endpoint.lambdaName) {
-                    lambdaStartLine = i;
-                }
-            }
-        }
-    }
-
-    // If we didn't find end, use total lines or Outputs position
-    if (lambdaStartLine !== -1 && lambdaEndLine === -1) {
-        lambdaEndLine = lines.length;
-    }
-
-    // Find the event within the lambda
-    let eventStartLine = -1;
-    let eventEndLine = -1;
-    let inEvents = false;
-
-    console.log(chalk.gray(`  Searching for event '${endpoint.eventName}' in lambda '${endpoint.lambdaName}'`));
-    console.log(chalk.gray(`  Lambda block: lines ${lambdaStartLine} to ${lambdaEndLine}`));
-
-    for (let i = lambdaStartLine; i < lambdaEndLine; i++) {
-        const line = lines[i];
-        if (line.match(/^\s+Events:\s*$/)) {
-            inEvents = true;
-            console.log(chalk.gray(`  Found Events section at line ${i}`));
-            continue;
-        }
-        if (inEvents && line.match(/^\s+Metadata:/)) {
-            if (eventStartLine !== -1 && eventEndLine === -1) {
-                eventEndLine = i;
-            }
-            break;
-        }
-        if (inEvents) {
-            // Match event name - exactly 8 spaces, exclude reserved keywords
-            const eventNameMatch = line.match(/^        ([a-zA-Z0-9]+):\s*$/);
-            if (eventNameMatch && !['Type', 'Properties'].includes(eventNameMatch[1])) {
-                console.log(chalk.gray(`  Found event '${eventNameMatch[1]}' at line ${i}`));
-                if (eventStartLine !== -1 && eventEndLine === -1) {
-                    eventEndLine = i;
-                }
-                if (eventNameMatch[1] === endpoint.eventName) {
-                    eventStartLine = i;
-                    eventEndLine = -1;
-                    console.log(chalk.green(`  ✓ Matched target event at line ${i}`));
-                }
-            }
-        }
-    }
-
-    if (eventStartLine === -1) {
-        console.error(chalk.red(`✗ Error: Could not find the event '${endpoint.eventName}' to edit.`));
-        console.log(chalk.yellow(`  Looking for: '${endpoint.eventName}'`));
+    // The event is updated in place, or moved when the Lambda changes
+    if (!await applyOperation(state, operations.updateEndpoint, {
+        api: selectedGateway,
+        functionName: endpoint.functionName,
+        method: endpoint.method,
+        path: endpoint.path,
+        newMethod: newMethod.toLowerCase(),
+        newPath,
+        newFunctionName: newLambda,
+    }, `Endpoint ${endpoint.display} updated`)) {
         return;
     }
-    if (eventEndLine === -1) {
-        // Find next section - look for next event at 8 spaces or Metadata
-        for (let i = eventStartLine + 1; i < lambdaEndLine; i++) {
-            if (lines[i].match(/^        [a-zA-Z0-9]+:\s*$/) || lines[i].match(/^\s+Metadata:/)) {
-                eventEndLine = i;
-                break;
-            }
-        }
-        if (eventEndLine === -1) eventEndLine = lambdaEndLine;
-    }
-
-    // If lambda is changing, we need to remove from old and add to new
-    if (newLambda !== endpoint.lambdaName) {
-        // Check if this is the only event in the old lambda
-        // Count events ONLY within the Events section (between Events: and Metadata:)
-        let eventsInOldLambda = 0;
-        let eventsLineIndex = -1;
-        let inEventsSection = false;
-
-        for (let i = lambdaStartLine; i < lambdaEndLine; i++) {
-            if (lines[i].match(/^\s+Events:\s*$/)) {
-                eventsLineIndex = i;
-                inEventsSection = true;
-                continue;
-            }
-            if (inEventsSection && lines[i].match(/^\s+Metadata:/)) {
-                break; // Stop counting at Metadata
-            }
-            if (inEventsSection) {
-                // Only count event names (exactly 8 spaces + name + colon)
-                const eventMatch = lines[i].match(/^        ([a-zA-Z0-9]+):\s*$/);
-                if (eventMatch && !['Type', 'Properties'].includes(eventMatch[1])) {
-                    eventsInOldLambda++;
-                }
-            }
-        }
-
-        console.log(chalk.gray(`  Events in old lambda: ${eventsInOldLambda}, Events line at: ${eventsLineIndex}`));
-
-        // Remove the event from old lambda
-        lines.splice(eventStartLine, eventEndLine - eventStartLine);
-
-        // If this was the only event, also remove the Events: line
-        if (eventsInOldLambda === 1 && eventsLineIndex !== -1) {
-            // Adjust eventsLineIndex since we just removed lines
-            const linesRemoved = eventEndLine - eventStartLine;
-            const adjustedEventsLine = eventsLineIndex < eventStartLine ? eventsLineIndex : eventsLineIndex - linesRemoved;
-
-            if (adjustedEventsLine >= 0 && lines[adjustedEventsLine] && lines[adjustedEventsLine].match(/^\s+Events:/)) {
-                lines.splice(adjustedEventsLine, 1);
-                console.log(chalk.gray(`  Removed empty Events section from old lambda`));
-            }
-        }
-
-        // Find new lambda's Events section and add the event there
-        let newLambdaStartLine = -1;
-        let newLambdaEndLine = -1;
-        let inResources = false;
-
-        for (let i = 0; i < lines.length; i++) {
-            if (lines[i].match(/^Resources:/)) {
-                inResources = true;
-                continue;
-            }
-            if (lines[i].match(/^Outputs:/)) {
-                if (newLambdaStartLine !== -1 && newLambdaEndLine === -1) {
-                    newLambdaEndLine = i;
-                }
-                break;
-            }
-            if (inResources) {
-                const resMatch = lines[i].match(/^  ([a-zA-Z0-9]+):/);
-                if (resMatch) {
-                    if (newLambdaStartLine !== -1 && newLambdaEndLine === -1) {
-                        newLambdaEndLine = i;
-                        break;
-                    }
-                    if (resMatch[1] === newLambda) {
-                        newLambdaStartLine = i;
-                    }
-                }
-            }
-        }
-
-        if (newLambdaStartLine !== -1 && newLambdaEndLine === -1) {
-            newLambdaEndLine = lines.length;
-        }
-
-        // Find Events section in new lambda and count existing events
-        let eventsLine = -1;
-        let metadataLine = -1;
-        let existingEventCount = 0;
-
-        for (let i = newLambdaStartLine; i < newLambdaEndLine; i++) {
-            if (lines[i].match(/^\s+Events:\s*$/)) {
-                eventsLine = i;
-            }
-            if (lines[i].match(/^\s+Metadata:/)) {
-                metadataLine = i;
-                break;
-            }
-            // Count events
-            const eventMatch = lines[i].match(/^        ([a-zA-Z0-9]+):\s*$/);
-            if (eventMatch && !['Type', 'Properties'].includes(eventMatch[1])) {
-                existingEventCount++;
-            }
-        }
-
-        // Generate new event name
-        const newEventName = `event${existingEventCount + 1}`;
-        const newEventBlock = [
-            `        ${newEventName}:`,
-            `          Type: Api`,
-            `          Properties:`,
-            `            RestApiId: !Ref ${selectedGateway}`,
-            `            Path: ${normalizedNewPath}`,
-            `            Method: ${normalizedNewMethod}`
-        ];
-
-        if (eventsLine !== -1) {
-            // Insert after Events: line
-            lines.splice(eventsLine + 1, 0, ...newEventBlock);
-        } else if (metadataLine !== -1) {
-            // Need to create Events section before Metadata
-            const eventsSection = [
-                `      Events:`,
-                ...newEventBlock
-            ];
-            lines.splice(metadataLine, 0, ...eventsSection);
-        }
-    } else {
-        // Just update the existing event in place
-        for (let i = eventStartLine; i < eventEndLine; i++) {
-            if (lines[i].match(/Path:/)) {
-                lines[i] = lines[i].replace(/Path:\s*.+/, `Path: ${normalizedNewPath}`);
-            }
-            if (lines[i].match(/^\s+Method:\s*(get|post|put|delete|patch|options|head)/i)) {
-                lines[i] = lines[i].replace(/Method:\s*.+/, `Method: ${normalizedNewMethod}`);
-            }
-        }
-    }
-
-    templateContent = lines.join('\n');
-    await fs.writeFile(templatePath, templateContent);
 
     console.log(chalk.green(`✓ Endpoint updated successfully!`));
     console.log(chalk.gray(`  ${newMethod.toUpperCase()} ${newPath} → ${newLambda}`));
 }
 
-async function updateAuth(selectedGateway) {
+async function updateAuth(state, selectedGateway) {
     // Ask what auth operation to perform
     const { authAction } = await inquirer.prompt([{
         type: 'rawlist',
@@ -1560,72 +544,20 @@ async function updateAuth(selectedGateway) {
     }]);
 
     if (authAction && authAction.includes('add auth')) {
-        await addAuth(selectedGateway);
+        await addAuth(state, selectedGateway);
     }
     if (authAction && authAction.includes('remove auth')) {
-        await removeAuth(selectedGateway);
+        await removeAuth(state, selectedGateway);
     }
 
 }
 
-async function addAuth(selectedGateway) {
-    const cwd = process.cwd();
-    const templatePath = path.join(cwd, 'template.yaml');
-    const srcPath = path.join(cwd, 'src');
+async function addAuth(state, selectedGateway) {
+    const doc = state.template;
 
     // First, check if the API Gateway already has auth configured
-    let templateContent = await fs.readFile(templatePath, 'utf8');
-    let lines = templateContent.split('\n');
-
-    // Find the API Gateway resource
-    let apiStartLine = -1;
-    let apiEndLine = -1;
-    let inResources = false;
-
-    for (let i = 0; i < lines.length; i++) {
-        if (lines[i].match(/^Resources:/)) {
-            inResources = true;
-            continue;
-        }
-        if (lines[i].match(/^Outputs:/)) {
-            if (apiStartLine !== -1 && apiEndLine === -1) {
-                apiEndLine = i;
-            }
-            break;
-        }
-        if (inResources) {
-            const resMatch = lines[i].match(/^  ([a-zA-Z0-9]+):/);
-            if (resMatch) {
-                if (apiStartLine !== -1 && apiEndLine === -1) {
-                    apiEndLine = i;
-                    break;
-                }
-                if (resMatch[1] === selectedGateway) {
-                    apiStartLine = i;
-                }
-            }
-        }
-    }
-
-    if (apiStartLine === -1) {
-        console.error(chalk.red(`  ✗ Error: API Gateway ${selectedGateway} not found`));
-        return;
-    }
-
-    if (apiEndLine === -1) apiEndLine = lines.length;
-
-    // Check if Auth already exists
-    let hasAuth = false;
-    for (let i = apiStartLine; i < apiEndLine; i++) {
-        if (lines[i].match(/^\s+Auth:/)) {
-            hasAuth = true;
-            break;
-        }
-    }
-
-    if (hasAuth) {
-        console.error(chalk.red(`✗ Error: ${selectedGateway} already has auth configured.`));
-        return;
+    if (getApiAuth(doc, selectedGateway)) {
+        throw new Error(`${selectedGateway} already has auth configured.`);
     }
 
     // Ask which auth type
@@ -1639,35 +571,11 @@ async function addAuth(selectedGateway) {
     if (authType === 'cognito auth') {
         console.log(chalk.blue('Adding Cognito authentication...'));
 
-        // Read template again (might have been modified)
-        templateContent = await fs.readFile(templatePath, 'utf8');
-        lines = templateContent.split('\n');
-
         // Detect existing UserPools to validate against duplicates
-        const existingUserPools = [];
-        let inResources = false;
-        let currentResource = null;
-
-        for (let i = 0; i < lines.length; i++) {
-            if (lines[i].match(/^Resources:/)) {
-                inResources = true;
-                continue;
-            }
-            if (lines[i].match(/^Outputs:/)) {
-                break;
-            }
-            if (inResources) {
-                const resMatch = lines[i].match(/^  ([a-zA-Z0-9]+):/);
-                if (resMatch) {
-                    currentResource = resMatch[1];
-                }
-                if (currentResource && lines[i].match(/Type:\s+AWS::Cognito::UserPool\s*$/)) {
-                    existingUserPools.push(currentResource);
-                }
-            }
-        }
+        const existingUserPools = getResourceNames(doc, 'AWS::Cognito::UserPool');
 
-        let userPoolName, userPoolClientName, shouldCreateResources;
+        let poolName;
+        let reuse = false;
 
         // If UserPools exist, ask if user wants to reuse or create new
         if (existingUserPools.length > 0) {
@@ -1680,77 +588,21 @@ async function addAuth(selectedGateway) {
                     'Create new UserPool'
                 ],
             }]);
+            reuse = reuseChoice === 'Use existing UserPool';
+        }
 
-            if (reuseChoice === 'Use existing UserPool') {
-                // Let user select which existing UserPool to use
-                const { selectedUserPool } = await inquirer.prompt([{
-                    type: 'rawlist',
-                    name: 'selectedUserPool',
-                    message: 'Select UserPool to use:',
-                    choices: existingUserPools,
-                }]);
-
-                userPoolName = selectedUserPool;
-                shouldCreateResources = false;
-
-                // Find corresponding UserPoolClient for this UserPool
-                userPoolClientName = null;
-                inResources = false;
-                let checkingClient = false;
-
-                for (let i = 0; i < lines.length; i++) {
-                    if (lines[i].match(/^Resources:/)) {
-                        inResources = true;
-                        continue;
-                    }
-                    if (lines[i].match(/^Outputs:/)) {
-                        break;
-                    }
-                    if (inResources) {
-                        const resMatch = lines[i].match(/^  ([a-zA-Z0-9]+):/);
-                        if (resMatch) {
-                            currentResource = resMatch[1];
-                            checkingClient = false;
-                        }
-                        if (lines[i].match(/Type:\s+AWS::Cognito::UserPoolClient\s*$/)) {
-                            checkingClient = true;
-                        }
-                        if (checkingClient && lines[i].match(new RegExp(`UserPoolId:\\s*!Ref\\s+${userPoolName}`))) {
-                            userPoolClientName = currentResource;
-                            break;
-                        }
-                    }
-                }
-
-                if (!userPoolClientName) {
-                    console.error(chalk.red(`✗ Error: Could not find UserPoolClient for ${userPoolName}`));
-                    return;
-                }
-            } else {
-                // Create new UserPool - ask for name without default
-                const { poolName } = await inquirer.prompt([{
-                    type: 'input',
-                    name: 'poolName',
-                    message: 'Enter name for new UserPool:',
-                    validate: (value) => {
-                        if (!value.length) {
-                            return 'Please enter a valid name.';
-                        }
-                        const poolResourceName = `${value}UserPool`;
-                        if (existingUserPools.includes(poolResourceName)) {
-                            return `UserPool '${value}' already exists. Please choose a different name.`;
-                        }
-                        return true;
-                    },
-                }]);
-
-                userPoolName = `${poolName}UserPool`;
-                userPoolClientName = `${poolName}UserPoolClient`;
-                shouldCreateResources = true;
-            }
+        if (reuse) {
+            // Let user select which existing UserPool to use
+            const { selectedUserPool } = await inquirer.prompt([{
+                type: 'rawlist',
+                name: 'selectedUserPool',
+                message: 'Select UserPool to use:',
+                choices: existingUserPools,
+            }]);
+            poolName = selectedUserPool.replace(/UserPool$/, '');
         } else {
-            // No existing UserPools - ask for name without default
-            const { poolName } = await inquirer.prompt([{
+            // Create new UserPool - ask for name without default
+            ({ poolName } = await inquirer.prompt([{
                 type: 'input',
                 name: 'poolName',
                 message: 'Enter name for new UserPool:',
@@ -1758,157 +610,33 @@ async function addAuth(selectedGateway) {
                     if (!value.length) {
                         return 'Please enter a valid name.';
                     }
+                    if (existingUserPools.includes(`${value}UserPool`)) {
+                        return `UserPool '${value}' already exists. Please choose a different name.`;
+                    }
                     return true;
                 },
-            }]);
-
-            userPoolName = `${poolName}UserPool`;
-            userPoolClientName = `${poolName}UserPoolClient`;
-            shouldCreateResources = true;
-        }
-
-        // 1. Add Auth section to API Gateway
-        // Find API Gateway again
-        let newApiStartLine = -1;
-        let newApiPropertiesLine = -1;
-
-        for (let i = 0; i < lines.length; i++) {
-            if (lines[i].match(new RegExp(`^  ${selectedGateway}:`))) {
-                newApiStartLine = i;
-            }
-            if (newApiStartLine !== -1 && lines[i].match(/^    Properties:/)) {
-                newApiPropertiesLine = i;
-                break;
-            }
+            }]));
         }
 
-        const authSection = [
-            '      Auth:',
-            '        DefaultAuthorizer: CognitoAuthorizer',
-            '        Authorizers:',
-            '          CognitoAuthorizer:',
-            `            UserPoolArn: !GetAtt ${userPoolName}.Arn`
-        ];
-
-        lines.splice(newApiPropertiesLine + 1, 0, ...authSection);
-
-        // 2. Create UserPool, UserPoolClient, and DynamoDB table only if needed
-        if (shouldCreateResources) {
-            // Re-read to get updated indices
-            templateContent = lines.join('\n');
-            lines = templateContent.split('\n');
-
-            // Find where to insert resources (before Outputs)
-            let resourcesEndLine = -1;
-
-            for (let i = 0; i < lines.length; i++) {
-                if (lines[i].match(/^Outputs:/)) {
-                    resourcesEndLine = i;
-                    break;
-                }
-            }
-
-            if (resourcesEndLine === -1) {
-                resourcesEndLine = lines.length;
-            }
-
-            const baseName = userPoolName.replace(/UserPool$/, '');
-            const userPoolResource = [
-                `  ${userPoolName}:`,
-                `    Type: AWS::Cognito::UserPool`,
-                `    Properties:`,
-                `      UserPoolName: !Sub \${AWS::StackName}-${userPoolName}`,
-                `      AutoVerifiedAttributes:`,
-                `        - email`,
-                `      Policies:`,
-                `        PasswordPolicy:`,
-                `          MinimumLength: 8`,
-                `          RequireLowercase: true`,
-                `          RequireNumbers: true`,
-                `          RequireSymbols: true`,
-                `          RequireUppercase: true`,
-                '',
-                `  ${userPoolClientName}:`,
-                `    Type: AWS::Cognito::UserPoolClient`,
-                `    Properties:`,
-                `      ClientName: !Sub \${AWS::StackName}-${userPoolClientName}`,
-                `      UserPoolId: !Ref ${userPoolName}`,
-                `      GenerateSecret: false`,
-                `      ExplicitAuthFlows:`,
-                `        - ALLOW_USER_PASSWORD_AUTH`,
-                `        - ALLOW_REFRESH_TOKEN_AUTH`,
-                `        - ALLOW_USER_SRP_AUTH`,
-                ''
-            ];
-
-            lines.splice(resourcesEndLine, 0, ...userPoolResource);
-
-            // 3. Add Outputs
-            // Re-find Outputs section
-            let currentOutputsStartLine = -1;
-            for (let i = 0; i < lines.length; i++) {
-                if (lines[i].match(/^Outputs:/)) {
-                    currentOutputsStartLine = i;
-                    break;
-                }
-            }
-
-            if (currentOutputsStartLine !== -1) {
-                // Find insertion point within Outputs
-                let insertPosition = currentOutputsStartLine + 1;
-
-                // Find the end of the last output
-                for (let i = currentOutputsStartLine + 1; i < lines.length; i++) {
-                    if (lines[i].match(/^  [a-zA-Z0-9]+:/)) {
-                        // Find the end of this output block (lines with 4+ spaces, but not empty lines)
-                        let j = i + 1;
-                        while (j < lines.length && lines[j].match(/^    /)) {
-                            j++;
-                        }
-                        insertPosition = j;
-                    }
-                }
-
-                const cognitoOutputs = [
-                    `  ${userPoolName}Id:`,
-                    `    Description: "Cognito User Pool ID"`,
-                    `    Value: !Ref ${userPoolName}`,
-                    `  ${userPoolClientName}Id:`,
-                    `    Description: "Cognito User Pool Client ID"`,
-                    `    Value: !Ref ${userPoolClientName}`
-                ];
+        const userPoolName = `${poolName}UserPool`;
 
-                lines.splice(insertPosition, 0, ...cognitoOutputs);
-            } else {
-                // Create Outputs section
-                const outputsSection = [
-                    '',
-                    'Outputs:',
-                    `  ${userPoolName}Id:`,
-                    `    Description: "Cognito User Pool ID"`,
-                    `    Value: !Ref ${userPoolName}`,
-                    `  ${userPoolClientName}Id:`,
-                    `    Description: "Cognito User Pool Client ID"`,
-                    `    Value: !Ref ${userPoolClientName}`
-                ];
-
-                lines.push(...outputsSection);
-            }
+        // Adds the Auth section, and the UserPool, its client and their Outputs when the pool is new
+        if (!await applyOperation(state, operations.addAuth, { api: selectedGateway, type: 'cognito', poolName },
+            `Cognito auth added to '${selectedGateway}'`)) {
+            return;
         }
 
-        // Write updated template
-        templateContent = lines.join('\n');
-        await fs.writeFile(templatePath, templateContent);
+        const [userPoolClientName] = reuse
+            ? getUserPoolResources(doc, userPoolName, 'AWS::Cognito::UserPoolClient')
+            : [`${poolName}UserPoolClient`];
 
         console.log(chalk.green(`  ✓ Added Cognito authentication to ${selectedGateway}`));
-        if (shouldCreateResources) {
-            const baseName = userPoolName.replace(/UserPool$/, '');
-            console.log(chalk.green(`    - Created ${userPoolName}`));
-            console.log(chalk.green(`    - Created ${userPoolClientName}`));
-
-        } else {
+        if (reuse) {
             console.log(chalk.green(`    - Using existing ${userPoolName}`));
             console.log(chalk.green(`    - Using existing ${userPoolClientName}`));
+        } else {
+            console.log(chalk.green(`    - Created ${userPoolName}`));
+            console.log(chalk.green(`    - Created ${userPoolClientName}`));
         }
         console.log(chalk.green(`    - Configured API Gateway with Cognito authorizer`));
         console.log(chalk.blue('\nNext steps:'));
@@ -1918,362 +646,57 @@ async function addAuth(selectedGateway) {
         return;
     }
 
-    // Implement basic auth
     console.log(chalk.blue('Adding basic auth...'));
 
-    // 1. Copy authorizer code to src
-    const authorizerSourcePath = path.join(__dirname, '../../templates/src/authorizer');
-    const authorizerDestPath = path.join(srcPath, 'authorizer');
+    // Adds BasicAuthorizerFunction and src/authorizer when missing, and the Auth section
+    const hasAuthorizer = hasResource(doc, 'BasicAuthorizerFunction');
+    const changes = await applyOperation(state, operations.addAuth, { api: selectedGateway, type: 'basic' },
+        `Basic auth added to '${selectedGateway}'`);
+    if (!changes) {
+        return;
+    }
 
-    if (await fs.pathExists(authorizerDestPath)) {
-        console.log(chalk.yellow('  Authorizer directory already exists, skipping copy.'));
-    } else {
-        await fs.copy(authorizerSourcePath, authorizerDestPath);
+    if (changes.some(change => change.path.startsWith('src/authorizer/'))) {
         console.log(chalk.green('  ✓ Copied authorizer code to src/authorizer'));
+    } else {
+        console.log(chalk.yellow('  Authorizer directory already exists, skipping copy.'));
     }
-
-    // 2. Update template.yaml
-    templateContent = await fs.readFile(templatePath, 'utf8');
-    lines = templateContent.split('\n');
-
-    // Check if BasicAuthorizerFunction already exists
-    const hasAuthorizer = lines.some(line => line.includes('BasicAuthorizerFunction:'));
     if (hasAuthorizer) {
         console.log(chalk.yellow('  BasicAuthorizerFunction already exists in template.'));
     } else {
-        // Get architecture from existing lambda
-        let architecture = 'arm64';
-        for (let i = 0; i < lines.length; i++) {
-            const archMatch = lines[i].match(/^\s+- (arm64|x86_64)$/);
-            if (archMatch) {
-                architecture = archMatch[1];
-                break;
-            }
-        }
-
-        // Add BasicAuthorizerFunction before Outputs or at end of Resources
-        const authorizerFunctionYaml = `  BasicAuthorizerFunction:
-    Type: AWS::Serverless::Function
-    Properties:
-      FunctionName: !Sub \${AWS::StackName}-BasicAuthorizerFunction
-      CodeUri: src/
-      Handler: authorizer/authorizer.basicAuthorizer
-      Runtime: nodejs20.x
-      Timeout: 60
-      Architectures:
-        - ${architecture}
-    Metadata:
-      BuildMethod: esbuild
-      BuildProperties:
-        Minify: false
-        Target: es2020
-        Sourcemap: true
-        EntryPoints:
-          - authorizer/authorizer.ts
-        External:
-          - aws-sdk
-
-  BasicAuthorizerFunctionLogGroup:
-    Type: AWS::Logs::LogGroup
-    Properties:
-      LogGroupName: !Sub '/aws/lambda/\${BasicAuthorizerFunction}'
-      RetentionInDays: 7
-`;
-
-        // Find where to insert (before Outputs)
-        let insertLine = -1;
-        for (let i = 0; i < lines.length; i++) {
-            if (lines[i].match(/^Outputs:/)) {
-                insertLine = i;
-                break;
-            }
-        }
-
-        if (insertLine === -1) {
-            lines.push('');
-            lines.push(authorizerFunctionYaml.trim());
-        } else {
-            lines.splice(insertLine, 0, authorizerFunctionYaml);
-        }
-
         console.log(chalk.green('  ✓ Added BasicAuthorizerFunction to template'));
     }
-
-    // 3. Add Auth section to the selected API Gateway
-    templateContent = lines.join('\n');
-    lines = templateContent.split('\n');
-
-    // Re-find the API Gateway resource (template has been modified)
-    apiStartLine = -1;
-    apiEndLine = -1;
-    inResources = false;
-
-    for (let i = 0; i < lines.length; i++) {
-        if (lines[i].match(/^Resources:/)) {
-            inResources = true;
-            continue;
-        }
-        if (lines[i].match(/^Outputs:/)) {
-            if (apiStartLine !== -1 && apiEndLine === -1) {
-                apiEndLine = i;
-            }
-            break;
-        }
-        if (inResources) {
-            const resMatch = lines[i].match(/^  ([a-zA-Z0-9]+):/);
-            if (resMatch) {
-                if (apiStartLine !== -1 && apiEndLine === -1) {
-                    apiEndLine = i;
-                    break;
-                }
-                if (resMatch[1] === selectedGateway) {
-                    apiStartLine = i;
-                }
-            }
-        }
-    }
-
-    if (apiEndLine === -1) apiEndLine = lines.length;
-
-    // Find where to insert Auth (after StageName and before Cors)
-    let insertLine = -1;
-    for (let i = apiStartLine; i < apiEndLine; i++) {
-        if (lines[i].match(/^\s+StageName:/)) {
-            insertLine = i + 1;
-            break;
-        }
-    }
-
-    if (insertLine === -1) {
-        console.error(chalk.red('  ✗ Error: Could not find StageName in API Gateway'));
-        return;
-    }
-
-    const authBlock = [
-        `      Auth:`,
-        `        DefaultAuthorizer: BasicAuthorizer`,
-        `        Authorizers:`,
-        `          BasicAuthorizer:`,
-        `            FunctionPayloadType: REQUEST`,
-        `            FunctionArn: !GetAtt BasicAuthorizerFunction.Arn`,
-        `            Identity:`,
-        `              Headers:`,
-        `                - Key`,
-        `              ReauthorizeEvery: 0`
-    ];
-
-    lines.splice(insertLine, 0, ...authBlock);
     console.log(chalk.green(`  ✓ Added Auth section to ${selectedGateway}`));
 
-    // Write updated template
-    templateContent = lines.join('\n');
-    await fs.writeFile(templatePath, templateContent);
-
     console.log(chalk.green('✓ Basic auth added successfully!'));
 }
 
-async function removeAuth(selectedGateway) {
-    const cwd = process.cwd();
-    const templatePath = path.join(cwd, 'template.yaml');
-    const srcPath = path.join(cwd, 'src');
-
-    let templateContent = await fs.readFile(templatePath, 'utf8');
-    let lines = templateContent.split('\n');
-
-    // Find the API Gateway resource
-    let apiStartLine = -1;
-    let apiEndLine = -1;
-    let inResources = false;
-
-    for (let i = 0; i < lines.length; i++) {
-        if (lines[i].match(/^Resources:/)) {
-            inResources = true;
-            continue;
-        }
-        if (lines[i].match(/^Outputs:/)) {
-            if (apiStartLine !== -1 && apiEndLine === -1) {
-                apiEndLine = i;
-            }
-            break;
-        }
-        if (inResources) {
-            const resMatch = lines[i].match(/^  ([a-zA-Z0-9]+):/);
-            if (resMatch) {
-                if (apiStartLine !== -1 && apiEndLine === -1) {
-                    apiEndLine = i;
-                    break;
-                }
-                if (resMatch[1] === selectedGateway) {
-                    apiStartLine = i;
-                }
-            }
-        }
-    }
-
-    if (apiStartLine === -1) {
-        console.error(chalk.red(`✗ Error: API Gateway ${selectedGateway} not found`));
-        return;
-    }
-
-    if (apiEndLine === -1) apiEndLine = lines.length;
+async function removeAuth(state, selectedGateway) {
+    console.log(chalk.blue('Removing auth...'));
 
-    // Check if Auth exists
-    let authStartLine = -1;
-    let authEndLine = -1;
-    for (let i = apiStartLine; i < apiEndLine; i++) {
-        if (lines[i].match(/^\s+Auth:/)) {
-            authStartLine = i;
-            // Find end of Auth block (next property at same or lower indentation)
-            for (let j = i + 1; j < apiEndLine; j++) {
-                if (lines[j].match(/^\s{6}\S/) && !lines[j].match(/^\s{8}/)) {
-                    authEndLine = j;
-                    break;
-                }
-            }
-            if (authEndLine === -1) authEndLine = apiEndLine;
-            break;
-        }
-    }
+    // Removes the Auth section, and BasicAuthorizerFunction when no other API Gateway uses it
+    const hadAuthorizer = hasResource(state.template, 'BasicAuthorizerFunction');
+    const removedAuthorizerFunction = hadAuthorizer && !getResourceNames(state.template, 'AWS::Serverless::Api')
+        .filter(name => name !== selectedGateway)
+        .some(name => referencesResource(getResource(state.template, name), 'BasicAuthorizerFunction'));
 
-    if (authStartLine === -1) {
-        console.error(chalk.red(`✗ Error: ${selectedGateway} does not have auth configured.`));
+    const changes = await applyOperation(state, operations.removeAuth, { api: selectedGateway },
+        `Auth removed from '${selectedGateway}'`);
+    if (!changes) {
         return;
     }
-
-    console.log(chalk.blue('Removing auth...'));
-
-    // Step 1: Remove Auth section from API Gateway
-    lines.splice(authStartLine, authEndLine - authStartLine);
     console.log(chalk.green(`  ✓ Removed Auth section from ${selectedGateway}`));
 
-    // Update template content
-    templateContent = lines.join('\n');
-    lines = templateContent.split('\n');
-
-    // Step 2: Check if BasicAuthorizerFunction is referenced in other API Gateways
-    const otherApiGateways = [];
-    let currentResource = null;
-    inResources = false;
-
-    for (let i = 0; i < lines.length; i++) {
-        if (lines[i].match(/^Resources:/)) {
-            inResources = true;
-            continue;
-        }
-        if (lines[i].match(/^Outputs:/)) {
-            break;
-        }
-        if (inResources) {
-            const resMatch = lines[i].match(/^  ([a-zA-Z0-9]+):/);
-            if (resMatch) {
-                currentResource = resMatch[1];
-            }
-            if (currentResource && currentResource !== selectedGateway && lines[i].includes('Type: AWS::Serverless::Api')) {
-                otherApiGateways.push(currentResource);
-            }
-        }
-    }
-
-    // Check if any other API Gateway references BasicAuthorizerFunction
-    let isReferencedElsewhere = false;
-    for (const gateway of otherApiGateways) {
-        let gatewayStartLine = -1;
-        let gatewayEndLine = -1;
-
-        for (let i = 0; i < lines.length; i++) {
-            const resMatch = lines[i].match(/^  ([a-zA-Z0-9]+):/);
-            if (resMatch) {
-                if (gatewayStartLine !== -1 && gatewayEndLine === -1) {
-                    gatewayEndLine = i;
-                    break;
-                }
-                if (resMatch[1] === gateway) {
-                    gatewayStartLine = i;
-                }
-            }
-        }
-
-        if (gatewayStartLine !== -1) {
-            if (gatewayEndLine === -1) gatewayEndLine = lines.length;
-
-            for (let i = gatewayStartLine; i < gatewayEndLine; i++) {
-                if (lines[i].includes('BasicAuthorizerFunction')) {
-                    isReferencedElsewhere = true;
-                    console.log(chalk.gray(`  BasicAuthorizerFunction is still referenced in ${gateway}`));
-                    break;
-                }
-            }
-        }
-
-        if (isReferencedElsewhere) break;
-    }
-
-    // Step 3: If not referenced elsewhere, remove BasicAuthorizerFunction and LogGroup
-    if (!isReferencedElsewhere) {
-        // Find and remove BasicAuthorizerFunction
-        let authorizerStartLine = -1;
-        let authorizerEndLine = -1;
-
-        for (let i = 0; i < lines.length; i++) {
-            if (lines[i].match(/^  BasicAuthorizerFunction:/)) {
-                authorizerStartLine = i;
-                // Find next resource or Outputs
-                for (let j = i + 1; j < lines.length; j++) {
-                    if (lines[j].match(/^  [a-zA-Z0-9]+:/) || lines[j].match(/^Outputs:/)) {
-                        authorizerEndLine = j;
-                        break;
-                    }
-                }
-                if (authorizerEndLine === -1) authorizerEndLine = lines.length;
-                break;
-            }
-        }
-
-        if (authorizerStartLine !== -1) {
-            lines.splice(authorizerStartLine, authorizerEndLine - authorizerStartLine);
-            console.log(chalk.green('  ✓ Removed BasicAuthorizerFunction'));
-        }
-
-        // Update template content
-        templateContent = lines.join('\n');
-        lines = templateContent.split('\n');
-
-        // Find and remove BasicAuthorizerFunctionLogGroup
-        let logGroupStartLine = -1;
-        let logGroupEndLine = -1;
-
-        for (let i = 0; i < lines.length; i++) {
-            if (lines[i].match(/^  BasicAuthorizerFunctionLogGroup:/)) {
-                logGroupStartLine = i;
-                // Find next resource or Outputs
-                for (let j = i + 1; j < lines.length; j++) {
-                    if (lines[j].match(/^  [a-zA-Z0-9]+:/) || lines[j].match(/^Outputs:/)) {
-                        logGroupEndLine = j;
-                        break;
-                    }
-                }
-                if (logGroupEndLine === -1) logGroupEndLine = lines.length;
-                break;
-            }
-        }
-
-        if (logGroupStartLine !== -1) {
-            lines.splice(logGroupStartLine, logGroupEndLine - logGroupStartLine);
-            console.log(chalk.green('  ✓ Removed BasicAuthorizerFunctionLogGroup'));
-        }
-
-        // Delete authorizer source folder
-        const authorizerPath = path.join(srcPath, 'authorizer');
-        if (await fs.pathExists(authorizerPath)) {
-            await fs.remove(authorizerPath);
+    if (removedAuthorizerFunction) {
+        console.log(chalk.green('  ✓ Removed BasicAuthorizerFunction'));
+        console.log(chalk.green('  ✓ Removed BasicAuthorizerFunctionLogGroup'));
+        if (changes.some(change => change.type === 'delete' && change.path === 'src/authorizer')) {
             console.log(chalk.green('  ✓ Removed src/authorizer'));
         }
+    } else if (hadAuthorizer) {
+        console.log(chalk.gray('  BasicAuthorizerFunction is still referenced by another API Gateway'));
     }
 
-    // Clean up multiple blank lines and write
-    templateContent = lines.join('\n').replace(/\n{3,}/g, '\n\n').trimEnd() + '\n';
-    await fs.writeFile(templatePath, templateContent);
-
     console.log(chalk.green('✓ Auth removed successfully!'));
     console.log(chalk.yellow('\n⚠️  Important:'));
     console.log(chalk.gray('Please consider removing associated resources if they are no longer in use:'));
@@ -2312,68 +735,23 @@ async function manageLambdas() {
 }
 
 async function deleteLambda() {
-    const cwd = process.cwd();
-    const templatePath = path.join(cwd, 'template.yaml');
-    const srcPath = path.join(cwd, 'src');
+    const state = await loadProject(process.cwd());
 
-    if (!fs.existsSync(templatePath)) {
-        console.error(chalk.red('✗ Error: template.yaml file not found.'));
-        return;
-    }
-
-    let templateContent = await fs.readFile(templatePath, 'utf8');
-    const lines = templateContent.split('\n');
-
-    // Find all Lambda functions in the template with their API Gateway references
-    const lambdas = [];
-    let currentResource = null;
-    let currentResourceStartLine = -1;
-
-    for (let i = 0; i < lines.length; i++) {
-        const line = lines[i];
-        const resMatch = line.match(/^  ([a-zA-Z0-9]+):/);
-        if (resMatch) {
-            currentResource = resMatch[1];
-            currentResourceStartLine = i;
-        }
-        if (currentResource && line.includes('Type: AWS::Serverless::Function')) {
-            // Find API Gateway reference for this lambda
-            let apiPath = null;
-            let apiMethod = null;
-            let apiGateway = null;
-
-            // Search within this lambda block for Events
-            for (let j = currentResourceStartLine; j < lines.length; j++) {
-                // Stop if we hit next resource
-                if (j > currentResourceStartLine && /^  [a-zA-Z0-9]+:/.test(lines[j])) {
-                    break;
-                }
-                const pathMatch = lines[j].match(/Path:\s*(.+)/);
-                if (pathMatch) {
-                    apiPath = pathMatch[1].trim();
-                }
-                const methodMatch = lines[j].match(/Method:\s*(.+)/);
-                if (methodMatch) {
-                    apiMethod = methodMatch[1].trim().toUpperCase();
-                }
-                const apiMatch = lines[j].match(/RestApiId:\s*!Ref\s+(\w+)/);
-                if (apiMatch) {
-                    apiGateway = apiMatch[1];
-                }
-            }
-
-            lambdas.push({
-                name: currentResource,
-                startLine: currentResourceStartLine,
-                apiPath,
-                apiMethod,
-                apiGateway
-            });
-        }
-    }
-
-    if (lambdas.length === 0) {
-        console.log(chalk.yellow('No Lambda functions found in template.yaml'));
+    const doc = state.template;
+
+    // Find all Lambda functions in the template with their API Gateway references
+    const lambdas = getFunctionNames(doc).map(name => {
+        const [event] = getApiEvents(doc, name);
+        return {
+            name,
+            apiPath: event ? event.path : null,
+            apiMethod: event && event.method ? event.method.toUpperCase() : null,
+            apiGateway: event ? event.api : null
+        };
+    });
+
+    if (lambdas.length === 0) {
+        console.log(chalk.yellow('No Lambda functions found in template.yaml'));
         return;
     }
 
@@ -2382,12 +760,16 @@ async function deleteLambda() {
         return;
     }
 
-    // Show lambdas with their API Gateway info
+    // Show lambdas with their API Gateway and schedules info
     console.log(chalk.blue('\nExisting Lambda functions:'));
     lambdas.forEach((l, index) => {
         const apiInfo = l.apiPath ? `${l.apiMethod} ${l.apiPath} → ${l.apiGateway}` : 'No API Gateway';
+        const schedules = describeSchedules(doc, l.name);
         console.log(chalk.cyan(`  ${index + 1}) ${l.name}`));
         console.log(chalk.gray(`     API: ${apiInfo}`));
+        if (schedules) {
+            console.log(chalk.gray(`     Schedules: ${schedules}`));
+        }
     });
     console.log('');
 
@@ -2415,90 +797,31 @@ async function deleteLambda() {
         return;
     }
 
-    // Find lambda block boundaries and folder name
-    const lambdaInfo = lambdas.find(l => l.name === selectedLambda);
-    let lambdaEndLine = lines.length;
-    let lambdaFolderName = null;
-
-    for (let i = lambdaInfo.startLine + 1; i < lines.length; i++) {
-        if (/^  [a-zA-Z0-9]+:/.test(lines[i])) {
-            lambdaEndLine = i;
-            break;
-        }
-        const handlerMatch = lines[i].match(/Handler:\s*(\w+)\/handler\./);
-        if (handlerMatch) {
-            lambdaFolderName = handlerMatch[1];
-        }
-    }
-
-    // Remove lambda from template
-    lines.splice(lambdaInfo.startLine, lambdaEndLine - lambdaInfo.startLine);
-
-    // Find and remove associated LogGroup
-    let logGroupStart = -1;
-    let logGroupEnd = -1;
-
-    for (let i = 0; i < lines.length; i++) {
-        if (lines[i].match(new RegExp(`^  ${selectedLambda}LogGroup:`)) ||
-            lines[i].match(new RegExp(`^  ${selectedLambda.replace('Function', '')}FunctionLogGroup:`))) {
-            logGroupStart = i;
-        }
-        if (logGroupStart !== -1 && logGroupEnd === -1 && i > logGroupStart) {
-            if (/^  [a-zA-Z0-9]+:/.test(lines[i]) || /^[a-zA-Z]/.test(lines[i])) {
-                logGroupEnd = i;
-                break;
-            }
-        }
-    }
-
-    if (logGroupStart !== -1) {
-        if (logGroupEnd === -1) logGroupEnd = lines.length;
-        lines.splice(logGroupStart, logGroupEnd - logGroupStart);
+    // Removes the lambda and its LogGroup from the template, and its src folder
+    const changes = await applyOperation(state, operations.deleteLambda, { functionName: selectedLambda },
+        `Lambda '${selectedLambda}' deleted`);
+    if (!changes) {
+        return;
     }
 
-    // Clean up multiple blank lines
-    templateContent = lines.join('\n').replace(/\n{3,}/g, '\n\n');
-    await fs.writeFile(templatePath, templateContent);
-
-    // Delete the source folder
-    if (lambdaFolderName) {
-        const lambdaFolderPath = path.join(srcPath, lambdaFolderName);
-        if (fs.existsSync(lambdaFolderPath)) {
-            await fs.remove(lambdaFolderPath);
-            console.log(chalk.green(`✓ Deleted src/${lambdaFolderName}/`));
-        }
-    }
+    changes.filter(change => change.type === 'delete')
+        .forEach(change => console.log(chalk.green(`✓ Deleted ${change.path}/`)));
 
     console.log(chalk.green(`✓ Lambda '${selectedLambda}' deleted successfully!`));
     console.log(chalk.gray(`  - Removed from template.yaml`));
     console.log(chalk.gray(`  - Removed LogGroup`));
-    if (lambdaInfo.apiPath) {
-        console.log(chalk.gray(`  - API endpoint ${lambdaInfo.apiPath} no longer available`));
+    if (lambdaToDelete.apiPath) {
+        console.log(chalk.gray(`  - API endpoint ${lambdaToDelete.apiPath} no longer available`));
     }
 }
 
 async function createLambda() {
-    const cwd = process.cwd();
-    const templatePath = path.join(cwd, 'template.yaml');
-    const envPath = path.join(cwd, './.env');
-    const srcPath = path.join(cwd, 'src');
-
-    if (!fs.existsSync(templatePath)) {
-        console.error(chalk.red('✗ Error: template.yaml file not found.'));
-        return;
-    }
-
-    let templateContent = await fs.readFile(templatePath, 'utf8');
-    const lines = templateContent.split('\n');
+    const state = await loadProject(process.cwd());
 
     // Get existing lambda names to check for duplicates
-    const existingLambdas = [];
-    for (let i = 0; i < lines.length; i++) {
-        const handlerMatch = lines[i].match(/Handler:\s*(\w+)\/handler\./);
-        if (handlerMatch) {
-            existingLambdas.push(handlerMatch[1]);
-        }
-    }
+    const existingLambdas = getFunctionNames(state.template)
+        .map(name => operations.getLambdaFolder(state.template, name))
+        .filter(Boolean);
 
     // Ask for lambda name
     const { lambdaName } = await inquirer.prompt([{
@@ -2523,27 +846,14 @@ async function createLambda() {
         message: 'What is the timeout in seconds?',
         default: '60',
         validate: (value) => {
-            const valid = !isNaN(parseFloat(value)) && parseFloat(value) > 0;
-            return valid || 'Please enter a valid number greater than 0';
+            const valid = value.trim() !== '' && Number.isInteger(Number(value)) && Number(value) >= 1 && Number(value) <= 900;
+            return valid || 'Please enter a whole number of seconds between 1 and 900';
         },
     }]);
 
     // Ask about environment variables
     let selectedEnvVars = [];
-    const availableEnvVars = [];
-
-    if (fs.existsSync(envPath)) {
-        const envContent = await fs.readFile(envPath, 'utf8');
-        envContent.split('\n').forEach(line => {
-            line = line.trim();
-            if (line && !line.startsWith('#')) {
-                const [key] = line.split('=');
-                if (key && key.trim() !== 'ENVIRONMENT') {
-                    availableEnvVars.push(key.trim());
-                }
-            }
-        });
-    }
+    const availableEnvVars = Object.keys(operations.getProjectVariables(state).env);
 
     if (availableEnvVars.length > 0) {
         const { needsEnvVars } = await inquirer.prompt([{
@@ -2558,158 +868,47 @@ async function createLambda() {
                 type: 'checkbox',
                 name: 'selectedVars',
                 message: 'Select environment variables to include:',
-                choices: availableEnvVars,
+                choices: availableEnvVars.map(v => ({ name: envVarLabel(state, v), value: v })),
             }]);
             selectedEnvVars = selectedVars;
         }
     }
-    // Find the architecture from existing lambda
-    let architecture = 'arm64';
-    for (let i = 0; i < lines.length; i++) {
-        const archMatch = lines[i].match(/^\s+- (arm64|x86_64)$/);
-        if (archMatch) {
-            architecture = archMatch[1];
-            break;
-        }
-    }
-
-    // Build the new Lambda function YAML
-    const functionName = `${lambdaName}Function`;
-    let lambdaYaml = `  ${functionName}:
-    Type: AWS::Serverless::Function
-    Properties:
-      FunctionName: !Sub \${AWS::StackName}-${functionName}
-      CodeUri: src/
-      Handler: ${lambdaName}/handler.${lambdaName}
-      Runtime: nodejs20.x
-      Timeout: ${timeout}
-      Architectures:
-        - ${architecture}`;
-
-    // Add environment variables if selected
-    if (selectedEnvVars.length > 0) {
-        lambdaYaml += `
-      Environment:
-        Variables:`;
-        selectedEnvVars.forEach(v => {
-            lambdaYaml += `
-          ${v}: !Ref Env${v}`;
-        });
-    }
-
-    // No Events - new lambdas are not connected to API Gateway by default
-    lambdaYaml += `
-    Metadata:
-      BuildMethod: esbuild
-      BuildProperties:
-        Minify: false
-        Target: es2020
-        Sourcemap: true
-        EntryPoints:
-          - ${lambdaName}/handler.ts
-        External:
-          - aws-sdk
-
-  ${functionName}LogGroup:
-    Type: AWS::Logs::LogGroup
-    Properties:
-      LogGroupName: !Sub '/aws/lambda/\${${functionName}}'
-      RetentionInDays: 7
-`;
-
-    // Find where to insert (before Outputs)
-    let insertLine = -1;
-    for (let i = 0; i < lines.length; i++) {
-        if (lines[i].match(/^Outputs:/)) {
-            insertLine = i;
-            break;
-        }
-    }
 
-    if (insertLine === -1) {
-        lines.push(lambdaYaml);
-    } else {
-        lines.splice(insertLine, 0, lambdaYaml);
+    // Ask about a schedule; the handler then receives a ScheduledEvent or the schedule input
+    const { wantsSchedule } = await inquirer.prompt([{
+        type: 'confirm',
+        name: 'wantsSchedule',
+        message: 'Do you want to attach a schedule to this Lambda?',
+        default: false,
+    }]);
+    const schedule = wantsSchedule ? await askSchedule() : undefined;
+
+    // New lambdas are not connected to API Gateway by default
+    if (!await applyOperation(state, operations.createLambda, {
+        name: lambdaName,
+        timeout,
+        envVars: selectedEnvVars,
+        schedule,
+    }, `Lambda '${lambdaName}Function' created`)) {
+        return;
     }
 
-    templateContent = lines.join('\n');
-    await fs.writeFile(templatePath, templateContent);
-
-    // Create the src folder for the new lambda
-    const lambdaFolderPath = path.join(srcPath, lambdaName);
-    await fs.ensureDir(lambdaFolderPath);
-
-    // Create handler.ts
-    const handlerTs = `import { APIGatewayProxyEvent, APIGatewayProxyResult } from 'aws-lambda';
-
-export const ${lambdaName} = async (event: APIGatewayProxyEvent): Promise<APIGatewayProxyResult> => {
-    return {
-        statusCode: 200,
-        body: JSON.stringify({
-            message: "hello from ${lambdaName}",
-        }),
-    };
-};
-`;
-    await fs.writeFile(path.join(lambdaFolderPath, 'handler.ts'), handlerTs);
-
-    // Create handler.test.ts
-    const handlerTestTs = `import { ${lambdaName} } from './handler';
-import { APIGatewayProxyEvent } from 'aws-lambda';
-
-describe('Unit test for ${lambdaName} handler', function () {
-    it('verifies successful response', async () => {
-        const event: APIGatewayProxyEvent = {} as any;
-        const result = await ${lambdaName}(event);
-
-        expect(result.statusCode).toEqual(200);
-        expect(result.body).toEqual(
-            JSON.stringify({
-                message: 'hello from ${lambdaName}',
-            })
-        );
-    });
-});
-`;
-    await fs.writeFile(path.join(lambdaFolderPath, 'handler.test.ts'), handlerTestTs);
-
     console.log(chalk.green(`✓ Lambda '${lambdaName}' created successfully!`));
     console.log(chalk.gray(`  - Added to template.yaml`));
+    if (schedule) {
+        console.log(chalk.gray(`  - Runs on ${schedule.expression}${schedule.enabled ? '' : ' (disabled)'}`));
+    }
     console.log(chalk.gray(`  - Created src/${lambdaName}/handler.ts`));
     console.log(chalk.gray(`  - Created src/${lambdaName}/handler.test.ts`));
 }
 
 async function updateLambda() {
-    const cwd = process.cwd();
-    const templatePath = path.join(cwd, 'template.yaml');
-    const envPath = path.join(cwd, './.env');
-
-    if (!fs.existsSync(templatePath)) {
-        console.error(chalk.red('✗ Error: template.yaml file not found.'));
-        return;
-    }
+    const state = await loadProject(process.cwd());
 
-    let templateContent = await fs.readFile(templatePath, 'utf8');
+    const doc = state.template;
 
     // Find all Lambda functions in the template
-    const lambdas = [];
-    let lines = templateContent.split('\n');
-    let currentResource = null;
-    let currentResourceStartLine = -1;
-
-    for (let i = 0; i < lines.length; i++) {
-        const line = lines[i];
-        // Check for resource start (2 spaces indent)
-        const resMatch = line.match(/^  ([a-zA-Z0-9]+):/);
-        if (resMatch) {
-            currentResource = resMatch[1];
-            currentResourceStartLine = i;
-        }
-        // Check if it's a Lambda function
-        if (currentResource && line.includes('Type: AWS::Serverless::Function')) {
-            lambdas.push({ name: currentResource, startLine: currentResourceStartLine });
-        }
-    }
+    const lambdas = getFunctionNames(doc);
 
     if (lambdas.length === 0) {
         console.log(chalk.yellow('No Lambda functions found in template.yaml'));
@@ -2721,28 +920,19 @@ async function updateLambda() {
         type: 'rawlist',
         name: 'selectedLambda',
         message: 'Which Lambda do you want to update?',
-        choices: lambdas.map(l => l.name),
+        choices: lambdas.map(name => {
+            const schedules = describeSchedules(doc, name);
+            return { name: schedules ? `${name} (${schedules})` : name, value: name };
+        }),
     }]);
 
+    // Every answer is collected first and applied with a single update
+    const update = { functionName: selectedLambda };
+    const messages = [];
+
     // Find current timeout for the selected lambda
-    const lambdaInfo = lambdas.find(l => l.name === selectedLambda);
-    let currentTimeout = '60'; // default
-    let timeoutLineIndex = -1;
-
-    // Find the timeout in the lambda block
-    for (let i = lambdaInfo.startLine; i < lines.length; i++) {
-        const line = lines[i];
-        // Stop if we hit another resource at the same indentation level
-        if (i > lambdaInfo.startLine && /^  [a-zA-Z0-9]+:/.test(line)) {
-            break;
-        }
-        const timeoutMatch = line.match(/^\s+Timeout:\s*(\d+)/);
-        if (timeoutMatch) {
-            currentTimeout = timeoutMatch[1];
-            timeoutLineIndex = i;
-            break;
-        }
-    }
+    const properties = getProperties(doc, selectedLambda);
+    const currentTimeout = String(scalarValue(properties.get('Timeout', true)) ?? '60');
 
     // Ask for new timeout
     const { newTimeout } = await inquirer.prompt([{
@@ -2751,15 +941,13 @@ async function updateLambda() {
         message: `Timeout (current: ${currentTimeout}):`,
         default: currentTimeout,
         validate: (value) => {
-            const valid = !isNaN(parseFloat(value)) && parseFloat(value) > 0;
-            return valid || 'Please enter a valid number greater than 0';
+            const valid = value.trim() !== '' && Number.isInteger(Number(value)) && Number(value) >= 1 && Number(value) <= 900;
+            return valid || 'Please enter a whole number of seconds between 1 and 900';
         },
     }]);
 
-    // Update timeout in template if changed
-    if (newTimeout !== currentTimeout && timeoutLineIndex !== -1) {
-        lines[timeoutLineIndex] = lines[timeoutLineIndex].replace(/Timeout:\s*\d+/, `Timeout: ${newTimeout}`);
-        templateContent = lines.join('\n');
+    if (newTimeout !== currentTimeout) {
+        update.timeout = newTimeout;
     }
 
     // Ask about environment variables
@@ -2771,58 +959,21 @@ async function updateLambda() {
     }]);
 
     if (wantsEnvVars) {
-        // Read available env vars from .env file
-        const availableEnvVars = [];
-        if (fs.existsSync(envPath)) {
-            const envContent = await fs.readFile(envPath, 'utf8');
-            envContent.split('\n').forEach(line => {
-                line = line.trim();
-                if (line && !line.startsWith('#')) {
-                    const [key] = line.split('=');
-                    if (key && key.trim() !== 'ENVIRONMENT') {
-                        availableEnvVars.push(key.trim());
-                    }
-                }
-            });
-        }
+        const availableEnvVars = Object.keys(operations.getProjectVariables(state).env);
 
         if (availableEnvVars.length === 0) {
-            console.log(chalk.yellow('No environment variables found in .env file'));
+            console.log(chalk.yellow('No environment variables found in the .env files'));
         } else {
-            // Find currently used env vars for this lambda
-            const currentEnvVars = [];
-            let inEnvironment = false;
-            let inVariables = false;
-
-            for (let i = lambdaInfo.startLine; i < lines.length; i++) {
-                const line = lines[i];
-                // Stop if we hit another resource
-                if (i > lambdaInfo.startLine && /^  [a-zA-Z0-9]+:/.test(line)) {
-                    break;
-                }
-                if (line.includes('Environment:')) {
-                    inEnvironment = true;
-                }
-                if (inEnvironment && line.includes('Variables:')) {
-                    inVariables = true;
-                    continue;
-                }
-                if (inVariables) {
-                    // Check for env var reference: VAR_NAME: !Ref EnvVAR_NAME
-                    const varMatch = line.match(/^\s+([A-Z0-9_]+):\s*!Ref\s+Env([A-Z0-9_]+)/);
-                    if (varMatch) {
-                        currentEnvVars.push(varMatch[1]);
-                    }
-                    // Stop if indentation decreases
-                    if (line.match(/^\s{6}\S/) && !line.match(/^\s{10}/)) {
-                        break;
-                    }
-                }
-            }
-
-            const choices = availableEnvVars.map(v => ({
-                name: v,
-                checked: currentEnvVars.includes(v),
+            // Find currently used env vars for this lambda, secrets included
+            const currentEnvVars = getDeclaredVariables(doc, selectedLambda);
+            // Values of its own (# @lambda in .env) are read as long as .env gives them
+            const own = Object.keys(getLambdaParameters(doc)[selectedLambda] ?? {});
+
+            const choices = [...new Set([...availableEnvVars, ...own])].map(v => ({
+                name: envVarLabel(state, v),
+                value: v,
+                checked: currentEnvVars.includes(v) || own.includes(v),
+                ...(own.includes(v) && { disabled: '(own value, # @lambda in .env)' }),
             }));
 
             const { selectedVars } = await inquirer.prompt([{
@@ -2832,90 +983,11 @@ async function updateLambda() {
                 choices: choices,
             }]);
 
-            // Update the template with new environment variables
-            // First, remove existing Environment block from the lambda
-            let lambdaEndLine = lines.length;
-            for (let i = lambdaInfo.startLine + 1; i < lines.length; i++) {
-                if (/^  [a-zA-Z0-9]+:/.test(lines[i])) {
-                    lambdaEndLine = i;
-                    break;
-                }
-            }
-
-            // Find and remove Environment block
-            let envStartLine = -1;
-            let envEndLine = -1;
-            for (let i = lambdaInfo.startLine; i < lambdaEndLine; i++) {
-                if (lines[i].match(/^\s+Environment:\s*$/)) {
-                    envStartLine = i;
-                }
-                if (envStartLine !== -1 && envEndLine === -1) {
-                    // Find where Environment block ends (next property at same or lower indentation)
-                    if (i > envStartLine && lines[i].match(/^\s{6}\S/) && !lines[i].match(/^\s{8}/)) {
-                        envEndLine = i;
-                        break;
-                    }
-                }
-            }
-            if (envStartLine !== -1 && envEndLine === -1) {
-                envEndLine = lambdaEndLine;
-            }
-
-            // Remove old Environment block if it exists
-            if (envStartLine !== -1) {
-                lines.splice(envStartLine, envEndLine - envStartLine);
-                lambdaEndLine -= (envEndLine - envStartLine);
-            }
-
-            // Add new Environment block if vars selected
-            if (selectedVars.length > 0) {
-                // Find where to insert (after Architectures and before Events/Metadata)
-                let insertLine = -1;
-
-                // First, try to find Architectures and insert right after its array item
-                for (let i = lambdaInfo.startLine; i < lambdaEndLine; i++) {
-                    if (lines[i].match(/^\s+Architectures:/)) {
-                        // Find the array item (next line with "- arch")
-                        for (let j = i + 1; j < lambdaEndLine; j++) {
-                            if (lines[j].match(/^\s+- (arm64|x86_64)/)) {
-                                insertLine = j + 1;
-                                break;
-                            }
-                        }
-                        break;
-                    }
-                }
-
-                // If Architectures not found, insert before Metadata or Events
-                if (insertLine === -1) {
-                    for (let i = lambdaInfo.startLine; i < lambdaEndLine; i++) {
-                        if (lines[i].match(/^\s+Metadata:/) || lines[i].match(/^\s+Events:/)) {
-                            insertLine = i;
-                            break;
-                        }
-                    }
-                }
-
-                // If still not found, insert at end of lambda properties (before lambda end)
-                if (insertLine === -1) {
-                    insertLine = lambdaEndLine;
-                }
-
-                const envBlock = ['      Environment:', '        Variables:'];
-                selectedVars.forEach(v => {
-                    envBlock.push(`          ${v}: !Ref Env${v}`);
-                });
-
-                lines.splice(insertLine, 0, ...envBlock);
-            }
-
-            templateContent = lines.join('\n');
+            // Replaces the Environment block of the lambda (removed when nothing is selected)
+            update.envVars = selectedVars;
         }
     }
 
-    // Ensure templateContent is updated from lines (in case timeout changed but env vars didn't)
-    templateContent = lines.join('\n');
-
     // Ask about layers
     const { wantsLayers } = await inquirer.prompt([{
         type: 'confirm',
@@ -2925,9 +997,6 @@ async function updateLambda() {
     }]);
 
     if (wantsLayers) {
-        // Re-read lines after environment changes
-        lines = templateContent.split('\n');
-
         const { layerAction } = await inquirer.prompt([{
             type: 'rawlist',
             name: 'layerAction',
@@ -2938,68 +1007,15 @@ async function updateLambda() {
             ],
         }]);
 
+        const currentLayers = getRefList(doc, selectedLambda, 'Layers');
+
         if (layerAction === 'add layer') {
             // Find all layers in template
-            const allLayers = [];
-            let inResources = false;
-
-            for (let i = 0; i < lines.length; i++) {
-                if (lines[i].match(/^Resources:/)) {
-                    inResources = true;
-                    continue;
-                }
-                if (lines[i].match(/^Outputs:/)) {
-                    break;
-                }
-                if (inResources) {
-                    const resMatch = lines[i].match(/^  ([a-zA-Z0-9]+):/);
-                    if (resMatch) {
-                        const resourceName = resMatch[1];
-                        // Check if it's a layer
-                        for (let j = i + 1; j < lines.length; j++) {
-                            if (lines[j].match(/^  [a-zA-Z0-9]+:/)) {
-                                break;
-                            }
-                            if (lines[j].includes('AWS::Serverless::LayerVersion')) {
-                                allLayers.push(resourceName);
-                                break;
-                            }
-                        }
-                    }
-                }
-            }
+            const allLayers = getResourceNames(doc, 'AWS::Serverless::LayerVersion');
 
             if (allLayers.length === 0) {
                 console.log(chalk.yellow('No layers available to add'));
             } else {
-                // Find current layers in the selected lambda
-                let lambdaEndLine = lines.length;
-                for (let i = lambdaInfo.startLine + 1; i < lines.length; i++) {
-                    if (/^  [a-zA-Z0-9]+:/.test(lines[i])) {
-                        lambdaEndLine = i;
-                        break;
-                    }
-                }
-
-                const currentLayers = [];
-                let inLayers = false;
-
-                for (let i = lambdaInfo.startLine; i < lambdaEndLine; i++) {
-                    if (lines[i].match(/^\s+Layers:/)) {
-                        inLayers = true;
-                        continue;
-                    }
-                    if (inLayers) {
-                        if (lines[i].match(/^\s{6}\S/) && !lines[i].match(/^\s{8}/)) {
-                            break;
-                        }
-                        const layerMatch = lines[i].match(/- !Ref\s+(\w+)/);
-                        if (layerMatch) {
-                            currentLayers.push(layerMatch[1]);
-                        }
-                    }
-                }
-
                 // Filter out layers already in the lambda
                 const availableLayers = allLayers.filter(layer => !currentLayers.includes(layer));
 
@@ -3014,103 +1030,11 @@ async function updateLambda() {
                         choices: availableLayers,
                     }]);
 
-                    // Find where to add the layer
-                    let layersLineIndex = -1;
-                    let insertLine = -1;
-
-                    for (let i = lambdaInfo.startLine; i < lambdaEndLine; i++) {
-                        if (lines[i].match(/^\s+Layers:/)) {
-                            layersLineIndex = i;
-                            // Find the last layer line
-                            for (let j = i + 1; j < lambdaEndLine; j++) {
-                                if (lines[j].match(/^\s{6}\S/) && !lines[j].match(/^\s{8}/)) {
-                                    insertLine = j;
-                                    break;
-                                }
-                                if (lines[j].match(/- !Ref\s+/)) {
-                                    insertLine = j + 1;
-                                }
-                            }
-                            break;
-                        }
-                    }
-
-                    if (layersLineIndex === -1) {
-                        // Need to create Layers section
-                        // Find where to insert (after Environment or Architectures, before Events/Metadata)
-                        let insertPosition = -1;
-
-                        for (let i = lambdaInfo.startLine; i < lambdaEndLine; i++) {
-                            if (lines[i].match(/^\s+Architectures:/)) {
-                                for (let j = i + 1; j < lambdaEndLine; j++) {
-                                    if (lines[j].match(/^\s+- (arm64|x86_64)/)) {
-                                        insertPosition = j + 1;
-                                        break;
-                                    }
-                                }
-                                break;
-                            }
-                        }
-
-                        if (insertPosition === -1) {
-                            for (let i = lambdaInfo.startLine; i < lambdaEndLine; i++) {
-                                if (lines[i].match(/^\s+(Events|Metadata):/)) {
-                                    insertPosition = i;
-                                    break;
-                                }
-                            }
-                        }
-
-                        if (insertPosition === -1) {
-                            insertPosition = lambdaEndLine;
-                        }
-
-                        const layersBlock = [
-                            '      Layers:',
-                            `        - !Ref ${selectedLayer}`
-                        ];
-
-                        lines.splice(insertPosition, 0, ...layersBlock);
-                    } else {
-                        // Add to existing Layers section
-                        lines.splice(insertLine, 0, `        - !Ref ${selectedLayer}`);
-                    }
-
-                    templateContent = lines.join('\n');
-                    console.log(chalk.green(`✓ Added layer '${selectedLayer}' to ${selectedLambda}`));
+                    update.addLayers = [selectedLayer];
+                    messages.push(`✓ Added layer '${selectedLayer}' to ${selectedLambda}`);
                 }
             }
         } else if (layerAction === 'remove layer') {
-            // Find current layers in the selected lambda
-            let lambdaEndLine = lines.length;
-            for (let i = lambdaInfo.startLine + 1; i < lines.length; i++) {
-                if (/^  [a-zA-Z0-9]+:/.test(lines[i])) {
-                    lambdaEndLine = i;
-                    break;
-                }
-            }
-
-            const currentLayers = [];
-            let layersStartLine = -1;
-            let inLayers = false;
-
-            for (let i = lambdaInfo.startLine; i < lambdaEndLine; i++) {
-                if (lines[i].match(/^\s+Layers:/)) {
-                    layersStartLine = i;
-                    inLayers = true;
-                    continue;
-                }
-                if (inLayers) {
-                    if (lines[i].match(/^\s{6}\S/) && !lines[i].match(/^\s{8}/)) {
-                        break;
-                    }
-                    const layerMatch = lines[i].match(/- !Ref\s+(\w+)/);
-                    if (layerMatch) {
-                        currentLayers.push({ name: layerMatch[1], line: i });
-                    }
-                }
-            }
-
             if (currentLayers.length === 0) {
                 console.log(chalk.yellow('This lambda has no layers to remove'));
             } else {
@@ -3119,25 +1043,15 @@ async function updateLambda() {
                     type: 'rawlist',
                     name: 'selectedLayer',
                     message: 'Which layer do you want to remove?',
-                    choices: currentLayers.map(l => l.name),
+                    choices: currentLayers,
                 }]);
 
-                // Find and remove the layer line
-                const layerToRemove = currentLayers.find(l => l.name === selectedLayer);
-                if (layerToRemove) {
-                    lines.splice(layerToRemove.line, 1);
-
-                    // If this was the last layer, remove the Layers: line too
-                    if (currentLayers.length === 1) {
-                        // Recalculate layersStartLine after the splice
-                        layersStartLine = layerToRemove.line > layersStartLine ? layersStartLine : layersStartLine - 1;
-                        lines.splice(layersStartLine, 1);
-                        console.log(chalk.green(`✓ Removed layer '${selectedLayer}' and Layers section from ${selectedLambda}`));
-                    } else {
-                        console.log(chalk.green(`✓ Removed layer '${selectedLayer}' from ${selectedLambda}`));
-                    }
-
-                    templateContent = lines.join('\n');
+                // The Layers section is removed together with its last layer
+                update.removeLayers = [selectedLayer];
+                if (currentLayers.length === 1) {
+                    messages.push(`✓ Removed layer '${selectedLayer}' and Layers section from ${selectedLambda}`);
+                } else {
+                    messages.push(`✓ Removed layer '${selectedLayer}' from ${selectedLambda}`);
                 }
             }
         }
@@ -3156,87 +1070,22 @@ async function updateLambda() {
             type: 'rawlist',
             name: 'tableAction',
             message: 'What do you want to do?',
-            choices: ['attach table', 'remove table'],
+            choices: ['attach table', 'change table access', 'remove table'],
         }]);
 
-        // Re-read lines after previous changes
-        lines = templateContent.split('\n');
-
-        // Find lambda end line
-        let lambdaEndLine = lines.length;
-        for (let i = lambdaInfo.startLine + 1; i < lines.length; i++) {
-            if (/^  [a-zA-Z0-9]+:/.test(lines[i])) {
-                lambdaEndLine = i;
-                break;
-            }
+        const attached = operations.getAttachedTables(doc, selectedLambda);
+        const currentTables = attached.map(({ table }) => table);
+        if (attached.length > 0) {
+            console.log(chalk.gray(`Tables of ${selectedLambda}: ${attached.map(({ table, access }) => `${table} (${access})`).join(', ')}`));
         }
 
         if (tableAction === 'attach table') {
-            // Re-read lines after previous changes
-            lines = templateContent.split('\n');
-
             // Find all DynamoDB tables in template
-            const allTables = [];
-            let inResources = false;
-
-            for (let i = 0; i < lines.length; i++) {
-                if (lines[i].match(/^Resources:/)) {
-                    inResources = true;
-                    continue;
-                }
-                if (lines[i].match(/^Outputs:/)) {
-                    break;
-                }
-                if (inResources) {
-                    const resMatch = lines[i].match(/^  ([a-zA-Z0-9]+):/);
-                    if (resMatch) {
-                        const resourceName = resMatch[1];
-                        // Check if it's a DynamoDB table
-                        for (let j = i + 1; j < lines.length; j++) {
-                            if (lines[j].match(/^  [a-zA-Z0-9]+:/)) {
-                                break;
-                            }
-                            if (lines[j].includes('AWS::DynamoDB::Table')) {
-                                allTables.push(resourceName);
-                                break;
-                            }
-                        }
-                    }
-                }
-            }
+            const allTables = getResourceNames(doc, 'AWS::DynamoDB::Table');
 
             if (allTables.length === 0) {
                 console.log(chalk.yellow('No DynamoDB tables available'));
             } else {
-                // Find lambda end line
-                let lambdaEndLine = lines.length;
-                for (let i = lambdaInfo.startLine + 1; i < lines.length; i++) {
-                    if (/^  [a-zA-Z0-9]+:/.test(lines[i])) {
-                        lambdaEndLine = i;
-                        break;
-                    }
-                }
-
-                // Find current tables in the lambda (via Policies)
-                const currentTables = [];
-                let inPolicies = false;
-
-                for (let i = lambdaInfo.startLine; i < lambdaEndLine; i++) {
-                    if (lines[i].match(/^\s+Policies:/)) {
-                        inPolicies = true;
-                        continue;
-                    }
-                    if (inPolicies) {
-                        if (lines[i].match(/^\s{6}\S/) && !lines[i].match(/^\s{8}/)) {
-                            break;
-                        }
-                        const policyMatch = lines[i].match(/- !Ref\s+(\w+)Policy/);
-                        if (policyMatch) {
-                            currentTables.push(policyMatch[1]);
-                        }
-                    }
-                }
-
                 // Filter out tables already in the lambda
                 const availableTables = allTables.filter(table => !currentTables.includes(table));
 
@@ -3244,129 +1093,59 @@ async function updateLambda() {
                     console.log(chalk.yellow('All tables are already attached to this lambda'));
                 } else {
                     // Ask which tables to add (checkbox for multiple selection)
-                    const { selectedTables } = await inquirer.prompt([{
-                        type: 'checkbox',
-                        name: 'selectedTables',
-                        message: 'Select tables to attach:',
-                        choices: availableTables,
-                    }]);
+                    const { selectedTables, access } = await inquirer.prompt([
+                        {
+                            type: 'checkbox',
+                            name: 'selectedTables',
+                            message: 'Select tables to attach:',
+                            choices: availableTables,
+                        },
+                        {
+                            type: 'rawlist',
+                            name: 'access',
+                            message: 'Access of the lambda to these tables:',
+                            choices: [
+                                { name: 'Read-only (Query, Scan, GetItem)', value: 'read' },
+                                { name: 'Read-write', value: 'read-write' },
+                            ],
+                            when: (answers) => answers.selectedTables.length > 0,
+                        },
+                    ]);
 
                     if (selectedTables.length > 0) {
-                        // Check if Policies section exists
-                        let policiesLineIndex = -1;
-                        let insertLine = -1;
-
-                        for (let i = lambdaInfo.startLine; i < lambdaEndLine; i++) {
-                            if (lines[i].match(/^\s+Policies:/)) {
-                                policiesLineIndex = i;
-                                // Find the last policy line
-                                for (let j = i + 1; j < lambdaEndLine; j++) {
-                                    if (lines[j].match(/^\s{6}\S/) && !lines[j].match(/^\s{8}/)) {
-                                        break;
-                                    }
-                                    if (lines[j].match(/- !Ref\s+/)) {
-                                        insertLine = j + 1;
-                                    }
-                                }
-                                break;
-                            }
-                        }
-
-                        if (policiesLineIndex === -1) {
-                            // Need to create Policies section
-                            let insertPosition = -1;
-
-                            // Insert after Layers or Architectures
-                            for (let i = lambdaInfo.startLine; i < lambdaEndLine; i++) {
-                                if (lines[i].match(/^\s+Layers:/)) {
-                                    // Find end of Layers section
-                                    for (let j = i + 1; j < lambdaEndLine; j++) {
-                                        if (lines[j].match(/^\s{6}\S/) && !lines[j].match(/^\s{8}/)) {
-                                            insertPosition = j;
-                                            break;
-                                        }
-                                    }
-                                    if (insertPosition !== -1) break;
-                                }
-                            }
-
-                            if (insertPosition === -1) {
-                                for (let i = lambdaInfo.startLine; i < lambdaEndLine; i++) {
-                                    if (lines[i].match(/^\s+Architectures:/)) {
-                                        for (let j = i + 1; j < lambdaEndLine; j++) {
-                                            if (lines[j].match(/^\s+- (arm64|x86_64)/)) {
-                                                insertPosition = j + 1;
-                                                break;
-                                            }
-                                        }
-                                        break;
-                                    }
-                                }
-                            }
-
-                            if (insertPosition === -1) {
-                                for (let i = lambdaInfo.startLine; i < lambdaEndLine; i++) {
-                                    if (lines[i].match(/^\s+(Events|Metadata):/)) {
-                                        insertPosition = i;
-                                        break;
-                                    }
-                                }
-                            }
-
-                            if (insertPosition === -1) {
-                                insertPosition = lambdaEndLine;
-                            }
-
-                            const policiesBlock = ['      Policies:'];
-                            selectedTables.forEach(tableName => {
-                                policiesBlock.push(`        - !Ref ${tableName}Policy`);
-                            });
-
-                            lines.splice(insertPosition, 0, ...policiesBlock);
-                        } else {
-                            // Add to existing Policies section
-                            selectedTables.forEach(tableName => {
-                                lines.splice(insertLine, 0, `        - !Ref ${tableName}Policy`);
-                                insertLine++;
-                            });
-                        }
-
-                        templateContent = lines.join('\n');
-                        console.log(chalk.green(`✓ Attached ${selectedTables.length} table(s) to ${selectedLambda}`));
-
-                        // Add imports to lambda handler
-                        const handlerPath = await getHandlerPath(lambdaInfo.name, lines);
-                        if (handlerPath) {
-                            await addTableImports(handlerPath, selectedTables);
-                        }
-                    }
-                }
-            }
-        } else if (tableAction === 'remove table') {
-            // Find current tables in the lambda
-            const currentTables = [];
-            let policiesLineIndex = -1;
-            let inPolicies = false;
-            const policyLines = [];
-
-            for (let i = lambdaInfo.startLine; i < lambdaEndLine; i++) {
-                if (lines[i].match(/^\s+Policies:/)) {
-                    policiesLineIndex = i;
-                    inPolicies = true;
-                    continue;
-                }
-                if (inPolicies) {
-                    if (lines[i].match(/^\s{6}\S/) && !lines[i].match(/^\s{8}/)) {
-                        break;
-                    }
-                    const policyMatch = lines[i].match(/- !Ref\s+(\w+)Policy/);
-                    if (policyMatch) {
-                        currentTables.push(policyMatch[1]);
-                        policyLines.push(i);
+                        // Adds the table policies and their imports to the lambda handler
+                        update.attachTables = selectedTables.map(table => ({ table, access }));
+                        messages.push(`✓ Attached ${selectedTables.length} table(s) to ${selectedLambda} (${access})`);
                     }
                 }
             }
+        } else if (tableAction === 'change table access') {
+            if (attached.length === 0) {
+                console.log(chalk.yellow('No tables attached to this lambda'));
+            } else {
+                const { table, access } = await inquirer.prompt([
+                    {
+                        type: 'rawlist',
+                        name: 'table',
+                        message: 'Select table:',
+                        choices: attached.map(item => ({ name: `${item.table} (${item.access})`, value: item.table })),
+                    },
+                    {
+                        type: 'rawlist',
+                        name: 'access',
+                        message: 'New access:',
+                        choices: [
+                            { name: 'Read-only (Query, Scan, GetItem)', value: 'read' },
+                            { name: 'Read-write', value: 'read-write' },
+                        ],
+                    },
+                ]);
 
+                // The policies of the table are replaced by the ones of the new access
+                update.attachTables = [{ table, access }];
+                messages.push(`✓ ${selectedLambda} now has ${access} access to ${table}`);
+            }
+        } else if (tableAction === 'remove table') {
             if (currentTables.length === 0) {
                 console.log(chalk.yellow('No tables attached to this lambda'));
             } else {
@@ -3374,157 +1153,148 @@ async function updateLambda() {
                     type: 'checkbox',
                     name: 'tablesToRemove',
                     message: 'Select tables to remove:',
-                    choices: currentTables,
+                    choices: attached.map(({ table, access }) => ({ name: `${table} (${access})`, value: table })),
                 }]);
 
                 if (tablesToRemove.length > 0) {
-                    // Remove policies from bottom to top to avoid index issues
-                    for (let i = policyLines.length - 1; i >= 0; i--) {
-                        const tableName = currentTables[i];
-                        if (tablesToRemove.includes(tableName)) {
-                            lines.splice(policyLines[i], 1);
-                        }
-                    }
-
-                    // Check if Policies section is now empty
-                    const remainingPolicies = currentTables.filter(t => !tablesToRemove.includes(t));
-                    if (remainingPolicies.length === 0 && policiesLineIndex !== -1) {
-                        // Remove the entire Policies: line
-                        lines.splice(policiesLineIndex, 1);
-                    }
-
-                    templateContent = lines.join('\n');
-                    console.log(chalk.green(`✓ Removed ${tablesToRemove.length} table(s) from ${selectedLambda}`));
-
-                    // Remove imports from lambda handler
-                    const handlerPath = await getHandlerPath(lambdaInfo.name, lines);
-                    if (handlerPath) {
-                        await removeTableImports(handlerPath, tablesToRemove);
-                    }
+                    // The Policies section is removed together with its last policy
+                    update.detachTables = tablesToRemove;
+                    messages.push(`✓ Removed ${tablesToRemove.length} table(s) from ${selectedLambda}`);
                 }
             }
         }
     }
 
-    // Write updated template
-    await fs.writeFile(templatePath, templateContent);
-    console.log(chalk.green('✓ Lambda updated successfully!'));
-}
+    // Ask about schedules
+    const { wantsSchedules } = await inquirer.prompt([{
+        type: 'confirm',
+        name: 'wantsSchedules',
+        message: 'Do you want to manage schedules?',
+        default: false,
+    }]);
 
-async function checkEnvironmentVariables() {
-    const cwd = process.cwd();
-    const envPath = path.join(cwd, './.env');
-    const templatePath = path.join(cwd, 'template.yaml');
+    if (wantsSchedules) {
+        const { scheduleAction } = await inquirer.prompt([{
+            type: 'rawlist',
+            name: 'scheduleAction',
+            message: 'What do you want to do with schedules?',
+            choices: ['attach a schedule', 'remove schedule', 'enable schedule', 'disable schedule'],
+        }]);
 
-    if (!fs.existsSync(envPath)) {
-        console.error(chalk.red('✗ Error: .env file not found.'));
-        return;
-    }
+        const schedules = getScheduleEvents(doc, selectedLambda);
 
-    if (!fs.existsSync(templatePath)) {
-        console.error(chalk.red('✗ Error: template.yaml file not found.'));
-        return;
-    }
+        if (scheduleAction === 'attach a schedule') {
+            const schedule = await askSchedule();
+            update.addSchedules = [schedule];
+            messages.push(`✓ ${selectedLambda} runs on ${schedule.expression}${schedule.enabled ? '' : ' (disabled)'}`);
+        } else {
+            const { key, verb, done } = {
+                'remove schedule': { key: 'removeSchedules', verb: 'remove', done: 'Removed' },
+                'enable schedule': { key: 'enableSchedules', verb: 'enable', done: 'Enabled' },
+                'disable schedule': { key: 'disableSchedules', verb: 'disable', done: 'Disabled' },
+            }[scheduleAction];
 
-    // 1. Read template.yaml and extract Parameters
-    let templateContent = await fs.readFile(templatePath, 'utf8');
-    const templateVars = {};
+            // Only the schedules the action applies to are offered
+            const candidates = schedules.filter(event => key === 'removeSchedules' || event.enabled === (key === 'disableSchedules'));
 
-    // Regex to find Parameters. 
-    // Looking for "Env<Name>:\n    Type: String\n    Default: '<Value>'"
-    const paramRegex = /Env([a-zA-Z0-9_]+):\s*\n\s*Type:\s*String\s*\n\s*Default:\s*'([^']*)'/g;
+            if (candidates.length === 0) {
+                console.log(chalk.yellow(`No schedules to ${verb} on this lambda`));
+            } else {
+                const { selectedEvents } = await inquirer.prompt([{
+                    type: 'checkbox',
+                    name: 'selectedEvents',
+                    message: `Select schedules to ${verb}:`,
+                    choices: candidates.map(event => ({ name: `${event.name}: ${event.schedule}`, value: event.name })),
+                }]);
 
-    let match;
-    while ((match = paramRegex.exec(templateContent)) !== null) {
-        const varName = match[1];
-        const defaultValue = match[2];
-        templateVars[varName] = { value: defaultValue, usedIn: [] };
+                if (selectedEvents.length > 0) {
+                    update[key] = selectedEvents;
+                    messages.push(`✓ ${done} ${selectedEvents.length} schedule(s) of ${selectedLambda}`);
+                }
+            }
+        }
     }
 
-    // 1.5. Scan for function usages in Resources
-    const resourcesIndex = templateContent.indexOf('Resources:');
-    if (resourcesIndex !== -1) {
-        const resourcesLines = templateContent.slice(resourcesIndex).split('\n');
-        let currentResource = null;
-        let isFunction = false;
+    if (!await applyOperation(state, operations.updateLambda, update, `Lambda '${selectedLambda}' updated`)) {
+        return;
+    }
 
-        for (const line of resourcesLines) {
-            // Check for new resource start: 2 spaces indent, then name, then colon (and maybe space comment)
-            const resMatch = line.match(/^ {2}([a-zA-Z0-9]+):/);
-            if (resMatch) {
-                currentResource = resMatch[1];
-                isFunction = false; // reset
-                continue;
-            }
+    messages.forEach(message => console.log(chalk.green(message)));
+    console.log(chalk.green('✓ Lambda updated successfully!'));
+}
 
-            // Check if current resource is a Function
-            if (currentResource && line.includes('Type: AWS::Serverless::Function')) {
-                isFunction = true;
-            }
+// Variable name in the prompts, with its store when it is a secret
+function envVarLabel(state, name) {
+    const { secrets } = operations.getProjectVariables(state);
+    return Object.hasOwn(secrets, name) ? `${name} (secret, ${secrets[name]})` : name;
+}
 
-            // If inside a function, look for !Ref Env<VarName>
-            if (currentResource && isFunction) {
-                const refMatch = line.match(/!Ref\s+Env([a-zA-Z0-9_]+)/);
-                if (refMatch) {
-                    const varName = refMatch[1];
-                    if (templateVars[varName]) {
-                        if (!templateVars[varName].usedIn.includes(currentResource)) {
-                            templateVars[varName].usedIn.push(currentResource);
-                        }
-                    }
-                }
-            }
-        }
+// Variables × Lambdas: ● reads the shared value, ◆ reads a value of its own, - does not read it
+function printVariableMatrix(state) {
+    const { functionNames, variables } = operations.getVariableMatrix(state);
+    if (variables.length === 0 || functionNames.length === 0) {
+        return;
     }
+    const labels = variables.map(v => (v.secret ? `${v.name} (secret)` : v.name));
+    const width = Math.max(...labels.map(label => label.length));
+    const marks = { shared: chalk.green('●'), own: chalk.magenta('◆') };
 
-    // 2. Read and parse .env
-    const envContent = await fs.readFile(envPath, 'utf8');
-    const envVars = {};
-
-    envContent.split('\n').forEach(line => {
-        line = line.trim();
-        if (line && !line.startsWith('#')) {
-            const [key, ...valueParts] = line.split('=');
-            if (key && key.trim() !== 'ENVIRONMENT') {
-                envVars[key.trim()] = valueParts.join('=').trim();
-            }
-        }
+    console.log(chalk.gray('\nVariables read by the Lambdas (● shared value, ◆ value of its own):'));
+    functionNames.forEach((functionName, index) => {
+        console.log(chalk.gray(`${' '.repeat(width + 2)}${'│ '.repeat(index)}${functionName}`));
+    });
+    variables.forEach((v, index) => {
+        const cells = functionNames.map(functionName => marks[v.lambdas[functionName]] ?? chalk.gray('-'));
+        console.log(`  ${labels[index].padEnd(width)}${cells.join(' ')}`);
     });
+}
 
-    // 3. Compare variables
-    const newVars = [];
-    const removedVars = [];
-    const changedVars = [];
-
-    // Check for new and changed variables
-    for (const key of Object.keys(envVars)) {
-        if (!templateVars[key]) {
-            newVars.push(key);
-        } else if (envVars[key] !== templateVars[key].value) {
-            changedVars.push({
-                name: key,
-                oldValue: templateVars[key].value,
-                newValue: envVars[key]
-            });
-        }
-    }
+async function checkEnvironmentVariables() {
+    const state = await loadProject(process.cwd());
+
+    if (!state.hasEnvFile) {
+        throw new Error('.env file not found.');
+    }
+
+    // Variables of the .env files missing from, removed from or changed in the template Parameters
+    const {
+        newVars,
+        removedVars,
+        changedVars,
+        newSecrets,
+        removedSecrets,
+        changedSecrets,
+        newLambdaVars,
+        removedLambdaVars,
+        changedLambdaVars,
+        unknownLambdas,
+        missingVars,
+        staleEnvironments,
+    } = operations.getEnvironmentChanges(state);
+    const { secrets } = operations.getProjectVariables(state);
+    const sync = {
+        add: [],
+        remove: [],
+        update: [],
+        addSecrets: [],
+        removeSecrets: [],
+        updateSecrets: [],
+        addLambdaVars: [],
+        removeLambdaVars: [],
+        updateLambdaVars: [],
+    };
 
-    // Check for removed variables
-    for (const key of Object.keys(templateVars)) {
-        if (!Object.prototype.hasOwnProperty.call(envVars, key)) {
-            removedVars.push(key);
-        }
-    }
+    console.log(chalk.gray(`\nEnvironments: ${Object.entries(state.environments).map(([name, { files }]) => `${name} (${files.join(', ') || 'no file'})`).join(', ')}`));
+    printVariableMatrix(state);
+
+    // Variables marked as secret whose value is still in the template
+    const movedVars = removedVars.filter(v => newSecrets.includes(v.name));
 
     // Report results
     if (newVars.length > 0) {
         console.log(chalk.yellow('\nNew environment variables found:'));
         newVars.forEach(v => console.log(chalk.cyan(`  - ${v}`)));
-    } else {
-        console.log(chalk.green('\nNo new environment variables found.'));
-    }
 
-    if (newVars.length > 0) {
         const { addToTemplate } = await inquirer.prompt([{
             type: 'confirm',
             name: 'addToTemplate',
@@ -3533,209 +1303,84 @@ async function checkEnvironmentVariables() {
         }]);
 
         if (addToTemplate) {
-            // Get environment from .env (re-read to be safe or rely on process.env from main)
-            const envFileContent = await fs.readFile(envPath, 'utf8');
-            let environment = '';
-            // quick parse for environment
-            envFileContent.split('\n').forEach(line => {
-                if (line.startsWith('ENVIRONMENT=')) {
-                    environment = line.split('=')[1].trim();
-                }
-            });
-
-            const projectName = path.basename(cwd);
+            // Adds the Env<NAME> parameters and their SSM parameters
+            sync.add = newVars;
+        }
+    } else {
+        console.log(chalk.green('\nNo new environment variables found.'));
+    }
 
-            if (!environment) {
-                console.error(chalk.red('Error: ENVIRONMENT variable not found in .env'));
-                return;
+    if (movedVars.length > 0) {
+        console.log(chalk.yellow('\nVariables marked as secret in .env, with their value still in template.yaml:'));
+        movedVars.forEach(v => {
+            console.log(chalk.cyan(`  - ${v.name}`));
+            if (v.usedIn.length > 0) {
+                console.log(chalk.gray(`    Used in: ${v.usedIn.join(', ')}`));
             }
+        });
 
-            // Construct new Parameters YAML
-            let newParamsYaml = '';
-            newVars.forEach(v => {
-                newParamsYaml += `  Env${v}:\n    Type: String\n    Default: '${envVars[v]}'\n`;
-            });
+        const { moveToSecrets } = await inquirer.prompt([{
+            type: 'confirm',
+            name: 'moveToSecrets',
+            message: 'Do you want to turn them into secrets? Their values are removed from template.yaml',
+            default: true
+        }]);
 
-            // Construct new Resources YAML
-            let newResourcesYaml = '';
-            newVars.forEach(v => {
-                newResourcesYaml += `  Param${v}:\n    Type: AWS::SSM::Parameter\n    Properties:\n      Name: !Sub '/sam-smith/${environment}/${projectName}/${v}'\n      Type: String\n      Value: !Ref Env${v}\n\n`;
+        if (moveToSecrets) {
+            // The Lambdas using them read <NAME>_SECRET instead
+            movedVars.forEach(v => {
+                sync.remove.push(v.name);
+                sync.addSecrets.push(v.name);
             });
-
-            // Inject into templateContent
-
-            // 1. Insert Parameters (append to end of Parameters section)
-            const parametersIndex = templateContent.indexOf('Parameters:');
-            const resourcesIndex = templateContent.indexOf('Resources:');
-
-            if (parametersIndex !== -1 && resourcesIndex !== -1) {
-                // Extract the Parameters section only
-                const parametersSection = templateContent.slice(parametersIndex, resourcesIndex);
-
-                // Find the last Env parameter within Parameters section
-                const lastParamMatch = parametersSection.match(/  Env[a-zA-Z0-9_]+:/g);
-                if (lastParamMatch) {
-                    const lastParam = lastParamMatch[lastParamMatch.length - 1];
-                    const lastParamIndexInSection = parametersSection.lastIndexOf(lastParam);
-                    const lastParamIndex = parametersIndex + lastParamIndexInSection;
-
-                    // Find end of this parameter block
-                    // We want to find the line AFTER "    Default: 'value'"
-                    // Look for the pattern: Default line followed by either blank line or Resources
-                    const afterParam = templateContent.slice(lastParamIndex);
-                    // Match the Default line and capture everything up to and including its newline
-                    const defaultLineMatch = afterParam.match(/Default: '[^']*'\n/);
-
-                    if (defaultLineMatch) {
-                        const insertPos = lastParamIndex + defaultLineMatch.index + defaultLineMatch[0].length;
-                        const before = templateContent.slice(0, insertPos);
-                        const after = templateContent.slice(insertPos);
-                        // newParamsYaml already ends with \n, and after starts with \n before Resources
-                        // So we get: ...Default: 'b1'\nEnvC1:...\n\nResources which is correct
-                        templateContent = before + newParamsYaml + after;
-                    } else {
-                        // Fallback: Insert before Resources
-                        const before = templateContent.slice(0, resourcesIndex);
-                        const after = templateContent.slice(resourcesIndex);
-                        // Ensure there's a blank line before Resources
-                        templateContent = before.trimEnd() + `\n${newParamsYaml}` + after;
-                    }
-                } else {
-                    // No existing Env params, insert right after Parameters:
-                    templateContent = templateContent.replace(
-                        /Parameters:\s*\n/,
-                        `Parameters:\n${newParamsYaml}`
-                    );
-                }
-            } else if (resourcesIndex !== -1) {
-                // Create Parameters section before Resources
-                templateContent = templateContent.replace(
-                    /(Resources:)/,
-                    `Parameters:\n${newParamsYaml}\n$1`
-                );
-            }
-
-            // 2. Insert Resources (after the last SSM parameter)
-            const ssmType = 'Type: AWS::SSM::Parameter';
-            const lastSsmIndex = templateContent.lastIndexOf(ssmType);
-
-            if (lastSsmIndex !== -1) {
-                // Find start of next resource or section
-                // Search from lastSsmIndex for the next line that starts with 2 spaces and alphanumeric (next resource)
-                // or NO spaces (next section like Outputs)
-                const remaining = templateContent.slice(lastSsmIndex);
-                // Regex for next resource: \n  [A-Za-z]
-                // We need to skip the current resource body.
-                // Simpler: find the next double-newline which usually limits resources
-                const doubleNewline = remaining.indexOf('\n\n');
-
-                if (doubleNewline !== -1) {
-                    const insertPos = lastSsmIndex + doubleNewline;
-                    const before = templateContent.slice(0, insertPos);
-                    const after = templateContent.slice(insertPos);
-                    templateContent = before + `\n\n${newResourcesYaml.trimEnd()}` + after;
-                } else {
-                    // Fallback using Outputs
-                    const outputsIndex = templateContent.indexOf('Outputs:');
-                    if (outputsIndex !== -1) {
-                        const before = templateContent.slice(0, outputsIndex);
-                        const after = templateContent.slice(outputsIndex);
-                        templateContent = before.trimEnd() + `\n\n${newResourcesYaml.trimEnd()}\n\n` + after;
-                    }
-                }
-            } else {
-                // No existing SSM params, insert at top of Resources
-                templateContent = templateContent.replace(
-                    /(Resources:\s*\n)/,
-                    `$1${newResourcesYaml}`
-                );
-            }
-
-            await fs.writeFile(templatePath, templateContent);
-            console.log(chalk.green('✓ template.yaml updated successfully.'));
         }
     }
 
-    if (removedVars.length > 0) {
-        console.log(chalk.red('\nRemoved environment variables found:'));
-        removedVars.forEach(v => {
-            console.log(chalk.red(`  - ${v}`));
-            if (templateVars[v] && templateVars[v].usedIn && templateVars[v].usedIn.length > 0) {
-                console.log(chalk.red(`    Used in: ${templateVars[v].usedIn.join(', ')}`));
+    const otherNewSecrets = newSecrets.filter(name => !movedVars.some(v => v.name === name));
+    if (otherNewSecrets.length > 0) {
+        console.log(chalk.yellow('\nNew secrets found:'));
+        otherNewSecrets.forEach(name => console.log(chalk.cyan(`  - ${name} (${secrets[name]})`)));
+
+        const { addSecrets } = await inquirer.prompt([{
+            type: 'confirm',
+            name: 'addSecrets',
+            message: 'Do you want to add these secrets to template.yaml? Only their location is written',
+            default: true
+        }]);
+
+        if (addSecrets) {
+            // Adds the Secret<NAME> parameters; the values are pushed with `secrets push`
+            sync.addSecrets.push(...otherNewSecrets);
+        }
+    }
+
+    const otherRemovedVars = removedVars.filter(v => !movedVars.includes(v));
+    const removed = [
+        ...otherRemovedVars.map(v => ({ ...v, secret: false })),
+        ...removedSecrets.map(v => ({ ...v, secret: true })),
+    ];
+    if (removed.length > 0) {
+        console.log(chalk.red('\nRemoved environment variables found:'));
+        removed.forEach(v => {
+            console.log(chalk.red(`  - ${v.name}${v.secret ? ' (secret)' : ''}`));
+            if (v.usedIn.length > 0) {
+                console.log(chalk.red(`    Used in: ${v.usedIn.join(', ')}`));
             }
         });
 
         // Prompt for deletion
-        for (const v of removedVars) {
+        for (const v of removed) {
             const { removeVar } = await inquirer.prompt([{
                 type: 'confirm',
                 name: 'removeVar',
-                message: `Do you want to remove ${v} from template.yaml?`,
+                message: `Do you want to remove ${v.name} from template.yaml?`,
                 default: false
             }]);
 
             if (removeVar) {
-                // 1. Remove from Parameters
-                // Regex: Match "  Env<Var>:\n" and following lines that are indented by 4 spaces
-                // We use {4,} to match strict spaces.
-                // We also match an optional trailing newline (\n?) to consume the blank line after the block.
-                const paramRegex = new RegExp(`  Env${v}:\\n( {4,}.*\\n)*\\n?`, 'g');
-                templateContent = templateContent.replace(paramRegex, '');
-
-                // 2. Remove AWS::SSM::Parameter Resource
-                // Matches block + optional trailing newline
-                const resourceRegex = new RegExp(`  Param${v}:\\n( {4,}.*\\n)*\\n?`, 'g');
-                templateContent = templateContent.replace(resourceRegex, '');
-
-                // 3. Remove usage in Functions
-                if (templateVars[v] && templateVars[v].usedIn) {
-                    for (const funcName of templateVars[v].usedIn) {
-                        // Find the function block
-                        const funcIndex = templateContent.indexOf(`${funcName}:`);
-                        if (funcIndex !== -1) {
-                            // Limit search to this function scope (rough heuristic: next resource same indentation)
-                            // Actually, let's just globally replace the specific reference line if it's uniquely indented
-                            // Expected format: "          <Var>: !Ref Env<Var>"
-                            // We use multiline regex to match start of line, indentation, content, and the NEWLINE at the end.
-                            // This preserves the newline of the previous line (e.g. 'Variables:\n').
-                            const usageRegex = new RegExp(`^\\s+${v}: !Ref Env${v}.*\\n?`, 'gm');
-                            templateContent = templateContent.replace(usageRegex, '');
-                        }
-                    }
-                }
-
-                // 4. Cleanup empty Environment blocks
-                // Look for Environment:\n        Variables:\n      [Dedent]
-                const emptyEnvRegex = /( {6}Environment:\n {8}Variables:\n)(?![ ]{10})/g;
-                templateContent = templateContent.replace(emptyEnvRegex, '');
-
-                console.log(chalk.green(`✓ Removed ${v} from template.yaml`));
+                // Removes the parameter, its SSM parameter or read policies, and its usage in functions
+                (v.secret ? sync.removeSecrets : sync.remove).push(v.name);
             }
         }
-
-
-        // Post-removal cleanup
-
-        // 1. Remove empty Parameters section
-        // Matches "Parameters:" followed by whitespace/newlines until the next top-level key (start of line char)
-        // Checks if the content between is just empty/whitespace.
-        const emptyParamsRegex = /Parameters:\s*\n(?=[a-zA-Z0-9])/;
-        if (emptyParamsRegex.test(templateContent)) {
-            templateContent = templateContent.replace(emptyParamsRegex, '');
-        }
-
-        // 2. Ensure there's a blank line before Resources if Parameters exist
-        // Match pattern: Default: 'value'\nResources: (missing blank line)
-        templateContent = templateContent.replace(/Default: '[^']*'\nResources:/, (match) => {
-            return match.replace('\nResources:', '\n\nResources:');
-        });
-
-        // 3. Collapse multiple blank lines (3 or more newlines become 2)
-        templateContent = templateContent.replace(/\n{3,}/g, '\n\n');
-
-        // Write changes if any removals happened
-        await fs.writeFile(templatePath, templateContent);
-
     } else {
         console.log(chalk.green('\nNo removed environment variables found.'));
     }
@@ -3756,27 +1401,136 @@ async function checkEnvironmentVariables() {
         }]);
 
         if (updateAll) {
-            for (const v of changedVars) {
-                // Regex matches standard generated format:
-                //   EnvNAME:
-                //     Type: String
-                //     Default: 'VAL'
-                const paramRegex = new RegExp(`(  Env${v.name}:\\s+Type:\\s+String\\s+Default:\\s*')([^']*)(')`);
-
-                if (paramRegex.test(templateContent)) {
-                    templateContent = templateContent.replace(paramRegex, (match, p1, p2, p3) => p1 + v.newValue + p3);
-                    console.log(chalk.green(`✓ Updated ${v.name} to '${v.newValue}'`));
-                } else {
-                    console.log(chalk.yellow(`⚠ Could not find parameter definition for ${v.name} to update.`));
-                }
-            }
-            await fs.writeFile(templatePath, templateContent);
-            console.log(chalk.green('✓ template.yaml updated successfully.'));
+            sync.update = changedVars.map(v => v.name);
         }
-
     } else {
         console.log(chalk.green('\nNo changed environment variables found.'));
     }
+
+    if (changedSecrets.length > 0) {
+        console.log(chalk.blue('\nSecrets moved to another store:'));
+        changedSecrets.forEach(v => console.log(chalk.blue(`  - ${v.name}: ${v.oldStore} -> ${v.newStore}`)));
+
+        const { updateSecrets } = await inquirer.prompt([{
+            type: 'confirm',
+            name: 'updateSecrets',
+            message: 'Do you want the Lambdas to read them from their new store?',
+            default: true
+        }]);
+
+        if (updateSecrets) {
+            sync.updateSecrets = changedSecrets.map(v => v.name);
+        }
+    }
+
+    if (newLambdaVars.length > 0) {
+        console.log(chalk.yellow('\nNew values of Lambdas found (# @lambda):'));
+        newLambdaVars.forEach(v => console.log(chalk.cyan(`  - ${v.name} for ${v.functionName}`)));
+
+        const { addLambdaVars } = await inquirer.prompt([{
+            type: 'confirm',
+            name: 'addLambdaVars',
+            message: 'Do you want to add these values to template.yaml? The Lambdas read them instead of the shared ones',
+            default: true
+        }]);
+
+        if (addLambdaVars) {
+            sync.addLambdaVars = newLambdaVars;
+        }
+    }
+
+    if (removedLambdaVars.length > 0) {
+        console.log(chalk.red('\nRemoved values of Lambdas found:'));
+        removedLambdaVars.forEach(v => console.log(chalk.red(`  - ${v.name} for ${v.functionName}`)));
+
+        const { removeLambdaVars } = await inquirer.prompt([{
+            type: 'confirm',
+            name: 'removeLambdaVars',
+            message: 'Do you want to remove them from template.yaml? The Lambdas read the shared value, if any',
+            default: false
+        }]);
+
+        if (removeLambdaVars) {
+            sync.removeLambdaVars = removedLambdaVars;
+        }
+    }
+
+    if (changedLambdaVars.length > 0) {
+        console.log(chalk.blue('\nChanged values of Lambdas found:'));
+        changedLambdaVars.forEach(v => {
+            console.log(chalk.blue(`  - ${v.name} for ${v.functionName}`));
+            console.log(chalk.gray(`    Old: '${v.oldValue}'`));
+            console.log(chalk.gray(`    New: '${v.newValue}'`));
+        });
+
+        const { updateLambdaVars } = await inquirer.prompt([{
+            type: 'confirm',
+            name: 'updateLambdaVars',
+            message: 'Do you want to update these values in template.yaml?',
+            default: true
+        }]);
+
+        if (updateLambdaVars) {
+            sync.updateLambdaVars = changedLambdaVars.map(({ functionName, name }) => ({ functionName, name }));
+        }
+    }
+
+    if (unknownLambdas.length > 0) {
+        console.log(chalk.yellow(`\n# @lambda names no Lambda of template.yaml: ${unknownLambdas.join(', ')}`));
+    }
+
+    if (missingVars.length > 0) {
+        console.log(chalk.yellow('\nVariables missing from some environments (their value in template.yaml is used):'));
+        missingVars.forEach(v => console.log(chalk.cyan(`  - ${v.name}: ${v.environments.join(', ')}`)));
+    }
+
+    // The parameter_overrides of samconfig.toml are rewritten by every sync
+    let syncOverrides = false;
+    if (staleEnvironments.length > 0) {
+        console.log(chalk.yellow(`\nsamconfig.toml is out of date for: ${staleEnvironments.join(', ')}`));
+
+        const { updateOverrides } = await inquirer.prompt([{
+            type: 'confirm',
+            name: 'updateOverrides',
+            message: 'Do you want to update their parameter_overrides from the .env files?',
+            default: true
+        }]);
+        syncOverrides = updateOverrides;
+    }
+
+    // src/utils/config.ts is rewritten by every sync too
+    let syncConfig = false;
+    if ((await operations.getConfigChanges(state)).length > 0) {
+        console.log(chalk.yellow('\nsrc/utils/config.ts does not match the variables the Lambdas read.'));
+
+        const { updateConfig } = await inquirer.prompt([{
+            type: 'confirm',
+            name: 'updateConfig',
+            message: 'Do you want to regenerate it from template.yaml?',
+            default: true
+        }]);
+        syncConfig = updateConfig;
+    }
+
+    if (!syncOverrides && !syncConfig && Object.values(sync).every(names => names.length === 0)) {
+        return;
+    }
+
+    if (!await applyOperation(state, operations.syncEnvironmentVariables, sync, 'Environment variables synced with the .env files')) {
+        return;
+    }
+
+    [...sync.remove, ...sync.removeSecrets]
+        .filter(name => !sync.addSecrets.includes(name))
+        .forEach(name => console.log(chalk.green(`✓ Removed ${name} from template.yaml`)));
+    changedVars.filter(v => sync.update.includes(v.name))
+        .forEach(v => console.log(chalk.green(`✓ Updated ${v.name} to '${v.newValue}'`)));
+    changedLambdaVars.filter(v => sync.updateLambdaVars.some(other => other.functionName === v.functionName && other.name === v.name))
+        .forEach(v => console.log(chalk.green(`✓ Updated ${v.name} of ${v.functionName} to '${v.newValue}'`)));
+    console.log(chalk.green('✓ template.yaml and samconfig.toml updated successfully.'));
+    if (sync.addSecrets.length + sync.updateSecrets.length > 0) {
+        console.log(chalk.yellow(`Push the values of ${[...sync.addSecrets, ...sync.updateSecrets].join(', ')} to each environment before deploying: npm run sam-smith:secrets-push -- --env <environment>`));
+    }
 }
 
 async function manageLayers() {
@@ -3810,7 +1564,16 @@ async function manageTables() {
             message: 'What do you want to do with Tables?',
             choices: [
                 'create table',
-                'delete table'
+                'update table',
+                'alter table keys',
+                'delete table',
+                'add index',
+                'list indexes',
+                'remove index',
+                'enable table stream',
+                'attach stream to lambda',
+                'detach stream from lambda',
+                'disable table stream'
             ],
         },
     ];
@@ -3820,46 +1583,191 @@ async function manageTables() {
     if (answers.action && answers.action.includes('create table')) {
         await createDynamoTable();
     }
+    if (answers.action === 'update table') {
+        await updateDynamoTable();
+    }
+    if (answers.action === 'alter table keys') {
+        await alterTableKeys();
+    }
     if (answers.action && answers.action.includes('delete table')) {
         await deleteTable();
     }
+    if (answers.action === 'add index') {
+        await addTableIndex();
+    }
+    if (answers.action === 'list indexes') {
+        await listTableIndexes();
+    }
+    if (answers.action === 'remove index') {
+        await removeTableIndex();
+    }
+    if (answers.action === 'enable table stream') {
+        await enableTableStream();
+    }
+    if (answers.action === 'attach stream to lambda') {
+        await attachTableStream();
+    }
+    if (answers.action === 'detach stream from lambda') {
+        await detachTableStream();
+    }
+    if (answers.action === 'disable table stream') {
+        await disableTableStream();
+    }
 }
 
-async function manageUserPools() {
-    const cwd = process.cwd();
-    const templatePath = path.join(cwd, 'template.yaml');
+async function manageQueues() {
+    const questions = [
+        {
+            type: 'rawlist',
+            name: 'action',
+            message: 'What do you want to do with Queues?',
+            choices: [
+                'create queue',
+                'attach queue to lambda',
+                'allow lambda to send to queue',
+                'detach queue from lambda',
+                'delete queue'
+            ],
+        },
+    ];
 
-    if (!fs.existsSync(templatePath)) {
-        console.error(chalk.red('✗ Error: template.yaml file not found.'));
-        return;
+    const answers = await inquirer.prompt(questions);
+
+    if (answers.action === 'create queue') {
+        await createQueue();
+    }
+    if (answers.action === 'attach queue to lambda') {
+        await attachQueue();
+    }
+    if (answers.action === 'allow lambda to send to queue') {
+        await allowQueueSend();
     }
+    if (answers.action === 'detach queue from lambda') {
+        await detachQueue();
+    }
+    if (answers.action === 'delete queue') {
+        await deleteQueue();
+    }
+}
+
+async function manageBuckets() {
+    const questions = [
+        {
+            type: 'rawlist',
+            name: 'action',
+            message: 'What do you want to do with Buckets?',
+            choices: [
+                'create bucket',
+                'attach bucket to lambda',
+                'trigger lambda on new objects',
+                'add upload endpoint',
+                'detach bucket from lambda',
+                'delete bucket'
+            ],
+        },
+    ];
 
-    const templateContent = await fs.readFile(templatePath, 'utf8');
-    const lines = templateContent.split('\n');
+    const answers = await inquirer.prompt(questions);
 
-    // Find all User Pools in the template
-    const userPools = [];
-    let currentResource = null;
-    let inResources = false;
-
-    for (let i = 0; i < lines.length; i++) {
-        if (lines[i].match(/^Resources:/)) {
-            inResources = true;
-            continue;
-        }
-        if (lines[i].match(/^Outputs:/)) {
-            break;
-        }
-        if (inResources) {
-            const resMatch = lines[i].match(/^  ([a-zA-Z0-9]+):/);
-            if (resMatch) {
-                currentResource = resMatch[1];
-            }
-            if (currentResource && lines[i].match(/Type:\s+AWS::Cognito::UserPool\s*$/)) {
-                userPools.push(currentResource);
-            }
-        }
+    if (answers.action === 'create bucket') {
+        await createBucket();
+    }
+    if (answers.action === 'attach bucket to lambda') {
+        await attachBucket();
     }
+    if (answers.action === 'trigger lambda on new objects') {
+        await addBucketTrigger();
+    }
+    if (answers.action === 'add upload endpoint') {
+        await createUploadEndpoint();
+    }
+    if (answers.action === 'detach bucket from lambda') {
+        await detachBucket();
+    }
+    if (answers.action === 'delete bucket') {
+        await deleteBucket();
+    }
+}
+
+async function manageTopics() {
+    const questions = [
+        {
+            type: 'rawlist',
+            name: 'action',
+            message: 'What do you want to do with Topics?',
+            choices: [
+                'create topic',
+                'subscribe lambda to topic',
+                'allow lambda to publish to topic',
+                'detach topic from lambda',
+                'delete topic'
+            ],
+        },
+    ];
+
+    const answers = await inquirer.prompt(questions);
+
+    if (answers.action === 'create topic') {
+        await createTopic();
+    }
+    if (answers.action === 'subscribe lambda to topic') {
+        await subscribeToTopic();
+    }
+    if (answers.action === 'allow lambda to publish to topic') {
+        await allowPublish('AWS::SNS::Topic', 'topic', 'topics');
+    }
+    if (answers.action === 'detach topic from lambda') {
+        await detachTopic();
+    }
+    if (answers.action === 'delete topic') {
+        await deleteTopic();
+    }
+}
+
+async function manageEventBuses() {
+    const questions = [
+        {
+            type: 'rawlist',
+            name: 'action',
+            message: 'What do you want to do with Event Buses?',
+            choices: [
+                'create event bus',
+                'add rule',
+                'remove rule',
+                'allow lambda to publish to event bus',
+                'detach event bus from lambda',
+                'delete event bus'
+            ],
+        },
+    ];
+
+    const answers = await inquirer.prompt(questions);
+
+    if (answers.action === 'create event bus') {
+        await createEventBus();
+    }
+    if (answers.action === 'add rule') {
+        await addEventRule();
+    }
+    if (answers.action === 'remove rule') {
+        await removeEventRule();
+    }
+    if (answers.action === 'allow lambda to publish to event bus') {
+        await allowPublish('AWS::Events::EventBus', 'event bus', 'event buses');
+    }
+    if (answers.action === 'detach event bus from lambda') {
+        await detachEventBus();
+    }
+    if (answers.action === 'delete event bus') {
+        await deleteEventBus();
+    }
+}
+
+async function manageUserPools() {
+    const state = await loadProject(process.cwd());
+
+    // Find all User Pools in the template
+    const userPools = getResourceNames(state.template, 'AWS::Cognito::UserPool');
 
     if (userPools.length === 0) {
         console.log(chalk.yellow('No User Pools found in template.yaml'));
@@ -3886,13 +1794,13 @@ async function manageUserPools() {
     }]);
 
     if (groupAction === 'create user group') {
-        await createUserGroup(selectedPool, templatePath, lines);
+        await createUserGroup(state, selectedPool);
     } else if (groupAction === 'delete user group') {
-        await deleteUserGroup(selectedPool, templatePath, lines);
+        await deleteUserGroup(state, selectedPool);
     }
 }
 
-async function createUserGroup(userPoolName, templatePath, lines) {
+async function createUserGroup(state, userPoolName) {
     // Ask for group details
     const groupDetails = await inquirer.prompt([
         {
@@ -3904,9 +1812,7 @@ async function createUserGroup(userPoolName, templatePath, lines) {
                     return 'Please enter a valid group name.';
                 }
                 // Check if group already exists
-                const resourceName = `${value}UserPoolGroup`;
-                const exists = lines.some(line => line.match(new RegExp(`^  ${resourceName}:`)));
-                if (exists) {
+                if (hasResource(state.template, `${value}UserPoolGroup`)) {
                     return `Group '${value}' already exists.`;
                 }
                 return true;
@@ -3927,130 +1833,21 @@ async function createUserGroup(userPoolName, templatePath, lines) {
 
     const { groupName, description } = groupDetails;
 
-    // Find existing User Pool Groups to calculate precedence
-    let maxPrecedence = 0;
-    let inResources = false;
-    let currentResource = null;
-
-    for (let i = 0; i < lines.length; i++) {
-        if (lines[i].match(/^Resources:/)) {
-            inResources = true;
-            continue;
-        }
-        if (lines[i].match(/^Outputs:/)) {
-            break;
-        }
-        if (inResources) {
-            const resMatch = lines[i].match(/^  ([a-zA-Z0-9]+):/);
-            if (resMatch) {
-                currentResource = resMatch[1];
-            }
-            if (currentResource && lines[i].match(/Type:\s+AWS::Cognito::UserPoolGroup\s*$/)) {
-                // Find the Precedence value for this group
-                for (let j = i + 1; j < lines.length; j++) {
-                    if (lines[j].match(/^  [a-zA-Z0-9]+:/)) {
-                        break;
-                    }
-                    const precedenceMatch = lines[j].match(/Precedence:\s*(\d+)/);
-                    if (precedenceMatch) {
-                        const precedence = parseInt(precedenceMatch[1]);
-                        if (precedence > maxPrecedence) {
-                            maxPrecedence = precedence;
-                        }
-                        break;
-                    }
-                }
-            }
-        }
-    }
-
-    const newPrecedence = maxPrecedence + 1;
-
-    // Create the UserPoolGroup resource
-    const resourceName = `${groupName}UserPoolGroup`;
-    const userPoolGroupYaml = `  ${resourceName}:
-    Type: AWS::Cognito::UserPoolGroup
-    Properties:
-      GroupName: ${groupName}
-      Description: "${description}"
-      UserPoolId: !Ref ${userPoolName}
-      Precedence: ${newPrecedence}
-`;
-
-    // Find where to insert (before Outputs section)
-    let insertLine = -1;
-    for (let i = 0; i < lines.length; i++) {
-        if (lines[i].match(/^Outputs:/)) {
-            insertLine = i;
-            break;
-        }
-    }
-
-    if (insertLine === -1) {
-        insertLine = lines.length;
+    // The group gets the next free precedence
+    const newPrecedence = operations.getNextPrecedence(state.template);
+    if (!await applyOperation(state, operations.createUserGroup, { userPool: userPoolName, name: groupName, description },
+        `User group '${groupName}' created in ${userPoolName}`)) {
+        return;
     }
 
-    // Insert the new group
-    const yamlLines = userPoolGroupYaml.split('\n');
-    lines.splice(insertLine, 0, ...yamlLines);
-
-    // Write updated template
-    const templateContent = lines.join('\n');
-    await fs.writeFile(templatePath, templateContent);
-
     console.log(chalk.green(`✓ Created user group '${groupName}'`));
     console.log(chalk.gray(`  Description: ${description}`));
     console.log(chalk.gray(`  Precedence: ${newPrecedence}`));
 }
 
-async function deleteUserGroup(userPoolName, templatePath, lines) {
+async function deleteUserGroup(state, userPoolName) {
     // Find all UserPoolGroups for this UserPool
-    const userPoolGroups = [];
-    let inResources = false;
-    let currentResource = null;
-    let currentGroupName = null;
-
-    for (let i = 0; i < lines.length; i++) {
-        if (lines[i].match(/^Resources:/)) {
-            inResources = true;
-            continue;
-        }
-        if (lines[i].match(/^Outputs:/)) {
-            break;
-        }
-        if (inResources) {
-            const resMatch = lines[i].match(/^  ([a-zA-Z0-9]+):/);
-            if (resMatch) {
-                currentResource = resMatch[1];
-                currentGroupName = null;
-            }
-
-            if (currentResource && lines[i].match(/Type:\s+AWS::Cognito::UserPoolGroup\s*$/)) {
-                // Check if this group belongs to our UserPool
-                for (let j = i + 1; j < lines.length; j++) {
-                    if (lines[j].match(/^  [a-zA-Z0-9]+:/)) {
-                        break;
-                    }
-                    const userPoolIdMatch = lines[j].match(/UserPoolId:\s*!Ref\s+(\w+)/);
-                    if (userPoolIdMatch && userPoolIdMatch[1] === userPoolName) {
-                        // Find GroupName
-                        for (let k = i + 1; k < j; k++) {
-                            const groupNameMatch = lines[k].match(/GroupName:\s*(\w+)/);
-                            if (groupNameMatch) {
-                                userPoolGroups.push({
-                                    resourceName: currentResource,
-                                    groupName: groupNameMatch[1],
-                                    startLine: i
-                                });
-                                break;
-                            }
-                        }
-                        break;
-                    }
-                }
-            }
-        }
-    }
+    const userPoolGroups = operations.getUserGroups(state.template, userPoolName);
 
     if (userPoolGroups.length === 0) {
         console.log(chalk.yellow('No User Pool Groups found for this User Pool'));
@@ -4065,101 +1862,19 @@ async function deleteUserGroup(userPoolName, templatePath, lines) {
         choices: userPoolGroups.map(g => g.groupName),
     }]);
 
-    const groupToDelete = userPoolGroups.find(g => g.groupName === selectedGroup);
-
-    // Find the complete resource block to delete
-    let startLine = -1;
-    let endLine = -1;
-
-    for (let i = 0; i < lines.length; i++) {
-        if (lines[i].match(new RegExp(`^  ${groupToDelete.resourceName}:`))) {
-            startLine = i;
-            // Find the end of this resource (next resource or Outputs section)
-            for (let j = i + 1; j < lines.length; j++) {
-                if (lines[j].match(/^  [a-zA-Z0-9]+:/) || lines[j].match(/^Outputs:/)) {
-                    endLine = j;
-                    break;
-                }
-            }
-            if (endLine === -1) {
-                endLine = lines.length;
-            }
-            break;
-        }
-    }
-
-    if (startLine === -1) {
-        console.log(chalk.red('✗ Error: Could not find group resource to delete'));
+    if (!await applyOperation(state, operations.deleteUserGroup, { userPool: userPoolName, name: selectedGroup },
+        `User group '${selectedGroup}' deleted from ${userPoolName}`)) {
         return;
     }
 
-    // Also check for blank lines BEFORE the resource
-    while (startLine > 0 && lines[startLine - 1].trim() === '') {
-        startLine--;
-    }
-
-    // Remove the resource (including any blank lines after it)
-    while (endLine > startLine && lines[endLine - 1].trim() === '') {
-        endLine--;
-    }
-
-    lines.splice(startLine, endLine - startLine);
-
-    // Clean up any remaining consecutive blank lines at the splice point
-    while (startLine < lines.length && lines[startLine] && lines[startLine].trim() === '') {
-        lines.splice(startLine, 1);
-    }
-
-    // Add back exactly one blank line if the next line is Outputs or another resource
-    if (startLine < lines.length && (lines[startLine].match(/^Outputs:/) || lines[startLine].match(/^  [a-zA-Z0-9]+:/))) {
-        lines.splice(startLine, 0, '');
-    }
-
-    // Write updated template
-    const templateContent = lines.join('\n');
-    await fs.writeFile(templatePath, templateContent);
-
     console.log(chalk.green(`✓ Deleted user group '${selectedGroup}'`));
 }
 
 async function deleteLayer() {
+    const state = await loadProject(process.cwd());
 
-
-    const cwd = process.cwd();
-    const templatePath = path.join(cwd, 'template.yaml');
-    const srcPath = path.join(cwd, 'src');
-
-    if (!fs.existsSync(templatePath)) {
-        console.error(chalk.red('✗ Error: template.yaml file not found.'));
-        return;
-    }
-
-    // Read template.yaml and find all layers
-    let templateContent = await fs.readFile(templatePath, 'utf8');
-    const lines = templateContent.split('\n');
-
-    const layers = [];
-    let currentResource = null;
-    let inResources = false;
-
-    for (let i = 0; i < lines.length; i++) {
-        if (lines[i].match(/^Resources:/)) {
-            inResources = true;
-            continue;
-        }
-        if (lines[i].match(/^Outputs:/)) {
-            break;
-        }
-        if (inResources) {
-            const resMatch = lines[i].match(/^  ([a-zA-Z0-9]+):/);
-            if (resMatch) {
-                currentResource = resMatch[1];
-            }
-            if (currentResource && lines[i].includes("Type: 'AWS::Serverless::LayerVersion'")) {
-                layers.push(currentResource);
-            }
-        }
-    }
+    // Find all layers
+    const layers = getResourceNames(state.template, 'AWS::Serverless::LayerVersion');
 
     if (layers.length === 0) {
         console.log(chalk.yellow('No layers found in template.yaml'));
@@ -4182,56 +1897,10 @@ async function deleteLayer() {
     }]);
 
     // Check if any lambda is using this layer
-    const lambdasUsingLayer = [];
-    currentResource = null;
-    inResources = false;
-
-    for (let i = 0; i < lines.length; i++) {
-        if (lines[i].match(/^Resources:/)) {
-            inResources = true;
-            continue;
-        }
-        if (lines[i].match(/^Outputs:/)) {
-            break;
-        }
-        if (inResources) {
-            const resMatch = lines[i].match(/^  ([a-zA-Z0-9]+):/);
-            if (resMatch) {
-                currentResource = resMatch[1];
-            }
-            // Check if this is a Lambda function
-            if (currentResource && lines[i].includes('Type: AWS::Serverless::Function')) {
-                // Look for Layers section in this lambda
-                for (let j = i; j < lines.length; j++) {
-                    if (lines[j].match(/^  [a-zA-Z0-9]+:/)) {
-                        // Hit next resource
-                        break;
-                    }
-                    if (lines[j].match(/^\s+Layers:/)) {
-                        // Found Layers section, check if it references our layer
-                        for (let k = j + 1; k < lines.length; k++) {
-                            if (lines[k].match(/^\s{6}\S/) && !lines[k].match(/^\s{8}/)) {
-                                // End of Layers section
-                                break;
-                            }
-                            if (lines[k].includes(`!Ref ${selectedLayer}`)) {
-                                lambdasUsingLayer.push(currentResource);
-                                break;
-                            }
-                        }
-                        break;
-                    }
-                }
-            }
-        }
-    }
+    const lambdasUsingLayer = getFunctionsReferencing(state.template, 'Layers', selectedLayer);
 
     if (lambdasUsingLayer.length > 0) {
-        console.error(chalk.red(`✗ Error: Cannot delete layer '${selectedLayer}' because it is being used by:`));
-        lambdasUsingLayer.forEach(lambda => {
-            console.error(chalk.red(`  - ${lambda}`));
-        });
-        return;
+        throw new Error(`Cannot delete layer '${selectedLayer}' because it is being used by: ${lambdasUsingLayer.join(', ')}.`);
     }
 
     // Confirm deletion
@@ -4247,77 +1916,21 @@ async function deleteLayer() {
         return;
     }
 
-    // Find and remove the layer block from template.yaml
-    let layerStartLine = -1;
-    let layerEndLine = -1;
-    inResources = false;
-
-    for (let i = 0; i < lines.length; i++) {
-        if (lines[i].match(/^Resources:/)) {
-            inResources = true;
-            continue;
-        }
-        if (lines[i].match(/^Outputs:/)) {
-            if (layerStartLine !== -1 && layerEndLine === -1) {
-                layerEndLine = i;
-            }
-            break;
-        }
-        if (inResources) {
-            const resMatch = lines[i].match(/^  ([a-zA-Z0-9]+):/);
-            if (resMatch) {
-                if (layerStartLine !== -1 && layerEndLine === -1) {
-                    layerEndLine = i;
-                    break;
-                }
-                if (resMatch[1] === selectedLayer) {
-                    layerStartLine = i;
-                }
-            }
-        }
+    // Removes the layer and its source directory, and src/layers with its last layer
+    const changes = await applyOperation(state, operations.deleteLayer, { name: selectedLayer }, `Layer '${selectedLayer}' deleted`);
+    if (!changes) {
+        return;
     }
 
-    if (layerStartLine !== -1) {
-        if (layerEndLine === -1) layerEndLine = lines.length;
+    console.log(chalk.green(`✓ Removed layer '${selectedLayer}' from template.yaml`));
+    changes.filter(change => change.type === 'delete')
+        .forEach(change => console.log(chalk.green(`✓ Deleted ${change.path}/`)));
 
-        // Remove the layer block (including trailing newline if present)
-        lines.splice(layerStartLine, layerEndLine - layerStartLine);
+    console.log(chalk.green(`\n✓ Layer '${selectedLayer}' deleted successfully!`));
+}
 
-        templateContent = lines.join('\n');
-        await fs.writeFile(templatePath, templateContent);
-
-        console.log(chalk.green(`✓ Removed layer '${selectedLayer}' from template.yaml`));
-    }
-
-    // Delete the layer source directory
-    const layerDir = path.join(srcPath, 'layers', selectedLayer);
-    if (await fs.pathExists(layerDir)) {
-        await fs.remove(layerDir);
-        console.log(chalk.green(`✓ Deleted src/layers/${selectedLayer}/`));
-    }
-
-    // Check if layers directory is empty and delete it if so
-    const layersDir = path.join(srcPath, 'layers');
-    if (await fs.pathExists(layersDir)) {
-        const remainingLayers = await fs.readdir(layersDir);
-        if (remainingLayers.length === 0) {
-            await fs.remove(layersDir);
-            console.log(chalk.green(`✓ Deleted empty src/layers/ directory`));
-        }
-    }
-
-    console.log(chalk.green(`\n✓ Layer '${selectedLayer}' deleted successfully!`));
-}
-
-async function createLayer() {
-    const cwd = process.cwd();
-    const templatePath = path.join(cwd, 'template.yaml');
-    const srcPath = path.join(cwd, 'src');
-
-    if (!fs.existsSync(templatePath)) {
-        console.error(chalk.red('✗ Error: template.yaml file not found.'));
-        return;
-    }
+async function createLayer() {
+    const state = await loadProject(process.cwd());
 
     // Ask for layer name
     const { layerName } = await inquirer.prompt([{
@@ -4329,82 +1942,19 @@ async function createLayer() {
                 return 'Please enter a valid layer name.';
             }
             // Check if layer already exists in template.yaml
-            const templateContent = fs.readFileSync(templatePath, 'utf8');
-            const layerPattern = new RegExp(`^  ${value}:`, 'm');
-            if (layerPattern.test(templateContent)) {
+            if (hasResource(state.template, value)) {
                 return `Layer '${value}' already exists in template.yaml`;
             }
             return true;
         },
     }]);
 
-    // Read template.yaml
-    let templateContent = await fs.readFile(templatePath, 'utf8');
-    const lines = templateContent.split('\n');
-
-    // Build the layer YAML
-    const layerYaml = `  ${layerName}:
-    Type: 'AWS::Serverless::LayerVersion'
-    Properties:
-      ContentUri: ./src/layers/${layerName}
-      CompatibleRuntimes:
-        - nodejs20.x
-`;
-
-    // Find where to insert (before Outputs section)
-    let insertLine = -1;
-    for (let i = 0; i < lines.length; i++) {
-        if (lines[i].match(/^Outputs:/)) {
-            insertLine = i;
-            break;
-        }
-    }
-
-    if (insertLine === -1) {
-        // If no Outputs section, append at the end
-        lines.push('');
-        lines.push(layerYaml.trim());
-    } else {
-        // Insert before Outputs
-        lines.splice(insertLine, 0, layerYaml);
+    // Adds the layer and src/layers/<name> from the BoilerPlateLayer template
+    if (!await applyOperation(state, operations.createLayer, { name: layerName }, `Layer '${layerName}' created`)) {
+        return;
     }
 
-    // Write updated template
-    templateContent = lines.join('\n');
-    await fs.writeFile(templatePath, templateContent);
-
-
     console.log(chalk.green(`✓ Added layer '${layerName}' to template.yaml`));
-
-    // Create layer directory structure
-    const layersDir = path.join(srcPath, 'layers');
-    const layerDir = path.join(layersDir, layerName);
-
-    await fs.ensureDir(layerDir);
-
-    // Copy template files from templates/src/layers/BoilerPlateLayer
-    const templateLayerPath = path.join(__dirname, '../../templates/src/layers/BoilerPlateLayer');
-
-    // Copy and customize boilerPlateLayerFunctions.ts
-    const templateFunctionFile = path.join(templateLayerPath, 'boilerPlateLayerFunctions.ts');
-    let functionContent = await fs.readFile(templateFunctionFile, 'utf8');
-
-    // Replace boilerPlateLayer with the actual layer name
-    functionContent = functionContent.replace(/boilerPlateLayer/g, layerName);
-
-    const layerFunctionFile = path.join(layerDir, `${layerName}Functions.ts`);
-    await fs.writeFile(layerFunctionFile, functionContent);
-
-    // Copy and customize boilerPlateLayerFunctions.test.ts
-    const templateTestFile = path.join(templateLayerPath, 'boilerPlateLayerFunctions.test.ts');
-    let testContent = await fs.readFile(templateTestFile, 'utf8');
-
-    // Replace boilerPlateLayer with the actual layer name
-    testContent = testContent.replace(/boilerPlateLayer/g, layerName);
-
-    const layerTestFile = path.join(layerDir, `${layerName}Functions.test.ts`);
-    await fs.writeFile(layerTestFile, testContent);
-
     console.log(chalk.green(`✓ Created src/layers/${layerName}/${layerName}Functions.ts`));
     console.log(chalk.green(`✓ Created src/layers/${layerName}/${layerName}Functions.test.ts`));
     console.log(chalk.gray(`\nNext steps:`));
@@ -4413,13 +1963,7 @@ async function createLayer() {
 }
 
 async function createDynamoTable() {
-    const cwd = process.cwd();
-    const templatePath = path.join(cwd, 'template.yaml');
-
-    if (!fs.existsSync(templatePath)) {
-        console.error(chalk.red('✗ Error: template.yaml file not found.'));
-        return;
-    }
+    const state = await loadProject(process.cwd());
 
     console.log(chalk.blue('Creating DynamoDB table with dynamo-query-builder format\n'));
 
@@ -4434,9 +1978,7 @@ async function createDynamoTable() {
                     return 'Please enter a valid table name.';
                 }
                 // Check if table already exists in template.yaml
-                const templateContent = fs.readFileSync(templatePath, 'utf8');
-                const tablePattern = new RegExp(`^  ${value}:`, 'm');
-                if (tablePattern.test(templateContent)) {
+                if (hasResource(state.template, value)) {
                     return `Table '${value}' already exists in template.yaml`;
                 }
                 return true;
@@ -4446,384 +1988,142 @@ async function createDynamoTable() {
             type: 'input',
             name: 'primaryKey',
             message: 'Primary key (partition key) with # separators (e.g., pk1#pk2):',
-            validate: (value) => {
-                if (!value.length) {
-                    return 'Please enter a valid primary key.';
-                }
-                // Check for duplicate keys
-                const keys = value.split('#');
-                const uniqueKeys = new Set(keys);
-                if (keys.length !== uniqueKeys.size) {
-                    return 'Primary key contains duplicate keys. Each key must be unique (e.g., pk1#pk2, not pk1#pk1).';
-                }
-                return true;
-            },
+            validate: (value) => operations.validateTableKey(value, 'Primary key'),
         },
         {
             type: 'input',
             name: 'secondaryKey',
             message: 'Secondary key (sort key) with # separators (e.g., sk1#sk2#sk3):',
-            validate: (value) => {
-                if (!value.length) {
-                    return 'Please enter a valid secondary key.';
-                }
-                // Check for duplicate keys
-                const keys = value.split('#');
-                const uniqueKeys = new Set(keys);
-                if (keys.length !== uniqueKeys.size) {
-                    return 'Secondary key contains duplicate keys. Each key must be unique (e.g., sk1#sk2, not sk1#sk1).';
-                }
-                return true;
-            },
+            validate: (value) => operations.validateTableKey(value, 'Secondary key'),
         },
     ]);
 
     const { tableName, primaryKey, secondaryKey } = tableDetails;
 
-    // Read template.yaml
-    let templateContent = await fs.readFile(templatePath, 'utf8');
-    const lines = templateContent.split('\n');
+    // Data of the items, typed in the repository of the table
+    const data = await askTableData([primaryKey, secondaryKey, ...primaryKey.split('#'), ...secondaryKey.split('#')]);
 
-    // Find where to insert (before Outputs section)
-    let insertLine = -1;
-    for (let i = 0; i < lines.length; i++) {
-        if (lines[i].match(/^Outputs:/)) {
-            insertLine = i;
-            break;
-        }
+    // Local indexes can only be created with the table, global ones can also be added later
+    const indexes = [];
+    let { addIndex } = await inquirer.prompt([{
+        type: 'confirm',
+        name: 'addIndex',
+        message: 'Add a secondary index?',
+        default: false,
+    }]);
+    while (addIndex) {
+        indexes.push(await askTableIndex({ partitionKey: primaryKey, sortKey: secondaryKey }, indexes, true));
+        ({ addIndex } = await inquirer.prompt([{
+            type: 'confirm',
+            name: 'addIndex',
+            message: 'Add another secondary index?',
+            default: false,
+        }]));
     }
 
-    if (insertLine === -1) {
-        insertLine = lines.length;
-    }
-
-    // Build the DynamoDB table YAML
-    const tableYaml = `  ${tableName}:
-    Type: 'AWS::DynamoDB::Table'
-    DeletionPolicy: Retain
-    Properties:
-      TableName: !Sub \${AWS::StackName}-${tableName}
-      AttributeDefinitions:
-        - AttributeName: ${primaryKey}
-          AttributeType: 'S'
-        - AttributeName: ${secondaryKey}
-          AttributeType: 'S'
-      KeySchema:
-        - AttributeName: ${primaryKey}
-          KeyType: 'HASH'
-        - AttributeName: ${secondaryKey}
-          KeyType: 'RANGE'
-      BillingMode: PAY_PER_REQUEST
-`;
-
-    // Build the IAM policy YAML
-    const policyYaml = `  ${tableName}Policy:
-    Type: AWS::IAM::ManagedPolicy
-    Properties:
-      ManagedPolicyName: !Sub \${AWS::StackName}-${tableName}Policy
-      PolicyDocument:
-        Version: '2012-10-17'
-        Statement:
-          - Effect: Allow
-            Action:
-              - dynamodb:Query
-              - dynamodb:Scan
-              - dynamodb:GetItem
-              - dynamodb:PutItem
-              - dynamodb:UpdateItem
-              - dynamodb:DeleteItem
-            Resource: !GetAtt ${tableName}.Arn
-`;
-
-    // Insert both table and policy (split into lines first)
-    const tableLines = tableYaml.split('\n');
-    lines.splice(insertLine, 0, ...tableLines);
-    insertLine += tableLines.length;
-
-    const policyLines = policyYaml.split('\n');
-    lines.splice(insertLine, 0, ...policyLines);
-
-    // Write updated template
-    templateContent = lines.join('\n');
-    await fs.writeFile(templatePath, templateContent);
+    const { actions } = await inquirer.prompt([{
+        type: 'checkbox',
+        name: 'actions',
+        message: 'Also allow in the table policies:',
+        choices: [
+            { name: 'Batch reads and writes (BatchGetItem, BatchWriteItem) and their repository functions', value: 'batch' },
+            { name: 'Transaction conditions (ConditionCheckItem)', value: 'transactions' },
+        ],
+    }]);
+
+    // Adds the table with its read and write IAM policies, and its handler and test in src/utils
+    if (!await applyOperation(state, operations.createTable, {
+        name: tableName,
+        partitionKey: primaryKey,
+        sortKey: secondaryKey,
+        data,
+        indexes,
+        batch: actions.includes('batch'),
+        transactions: actions.includes('transactions'),
+    }, `Table '${tableName}' created`)) {
+        return;
+    }
 
     console.log(chalk.green(`✓ Created DynamoDB table '${tableName}'`));
     console.log(chalk.gray(`  Primary key (PK): ${primaryKey}`));
     console.log(chalk.gray(`  Secondary key (SK): ${secondaryKey}`));
-    console.log(chalk.green(`✓ Created IAM policy '${tableName}Policy'`));
-
-    // Create handler files in src/utils
-    const utilsDir = path.join(cwd, 'src', 'utils');
-    await fs.ensureDir(utilsDir);
-
-    // Get template files from .boilerplates directory
-    const templateHandlerPath = path.join(__dirname, '../../templates/.boilerplates/dynamoTableHandler.ts');
-    const templateTestPath = path.join(__dirname, '../../templates/.boilerplates/dynamoTableHandler.spec.ts');
-
-    // Parse PK and SK to extract keys
-    const pkKeys = primaryKey.split('#');
-    const skKeys = secondaryKey.split('#');
-
-    // Read and customize handler file
-    let handlerContent = await fs.readFile(templateHandlerPath, 'utf8');
-
-    // Replace table name with stack-based naming
-    // Extract project name from cwd
-    const projectName = path.basename(cwd);
-    const env = process.env.ENVIRONMENT || 'dev';
-    const fullTableName = `sam-smith-${projectName}-${env}-${tableName}`;
-    handlerContent = handlerContent.replace(/const tableName = ".*";/, `const tableName = "${fullTableName}";`);
-
-    // Replace function name
-    handlerContent = handlerContent.replace(/export async function tryDynamoQuery/g, `export async function try${capitalize(tableName)}Query`);
-
-    // Replace PK type and keys
-    const pkType = pkKeys.map((key, i) => `        ${key}: string;`).join('\n');
-    handlerContent = handlerContent.replace(/type pk = \{[^}]+\};/s, `type pk = {\n${pkType}\n    };`);
-
-    // Replace SK type and keys
-    const skType = skKeys.map((key, i) => `        ${key}: string;`).join('\n');
-    handlerContent = handlerContent.replace(/type sk = \{[^}]+\};/s, `type sk = {\n${skType}\n    };`);
-
-    // Replace keySchema
-    const pkKeysArray = pkKeys.map(k => `'${k}'`).join(', ');
-    const skKeysArray = skKeys.map(k => `'${k}'`).join(', ');
-
-    handlerContent = handlerContent.replace(
-        /pk: \{[^}]+\}/s,
-        `pk: {
-            name: '${primaryKey}',
-            keys: [${pkKeysArray}],
-            separator: '#'
-        }`
-    );
-
-    handlerContent = handlerContent.replace(
-        /sk: \{[^}]+\}/s,
-        `sk: {
-            name: '${secondaryKey}',
-            keys: [${skKeysArray}],
-            separator: '#',
-        }`
-    );
-
-    // Replace put/getOne/delete calls with actual keys
-    // Deduplicate keys - if a key is in both PK and SK, only include it once
-    const allKeys = [...new Set([...pkKeys, ...skKeys])];
-    const allProps = allKeys.map(key => `${key}: '${key}'`).join(',\n        ');
-
-    const pkProps = pkKeys.map(key => `${key}: '${key}'`).join(',\n        ');
-    const skProps = skKeys.map(key => `${key}: '${key}'`).join(',\n        ');
-
-    // Update put call - use deduplicated keys
-    handlerContent = handlerContent.replace(
-        /await messageTable\.put\(\{[^}]+\}\);/s,
-        `await messageTable.put({\n        ${allProps},\n        data: 'Hello!',\n    });`
-    );
-
-    // Update getOne call
-    const pkGetProps = pkKeys.map(key => `${key}: '${key}'`).join(',\n        ');
-    const skGetProps = skKeys.map(key => `${key}: '${key}'`).join(',\n        ');
-
-    handlerContent = handlerContent.replace(
-        /const result = await messageTable\.getOne\(\{[^}]+\}, \{[^}]+\}\);/s,
-        `const result = await messageTable.getOne({\n        ${pkGetProps},\n    }, {\n        ${skGetProps},\n    });`
-    );
-
-    // Update delete call
-    handlerContent = handlerContent.replace(
-        /await messageTable\.delete\(\{[^}]+\}, \{[^}]+\}\);/s,
-        `await messageTable.delete({\n        ${pkGetProps},\n    }, {\n        ${skGetProps},\n    });`
-    );
-
-    // Write handler file
-    const handlerFilePath = path.join(utilsDir, `${tableName}Handler.ts`);
-    await fs.writeFile(handlerFilePath, handlerContent);
+    console.log(chalk.gray(`  Data: ${data.map(({ name, type, optional }) => `${name}${optional ? '?' : ''}: ${type}`).join(', ')}`));
+    indexes.forEach(index => console.log(chalk.gray(`  Index ${operations.describeIndex({ ...index, partitionKey: index.partitionKey ?? primaryKey })}`)));
+    console.log(chalk.green(`✓ Created IAM policies '${tableName}ReadPolicy' and '${tableName}WritePolicy'`));
     console.log(chalk.green(`✓ Created src/utils/${tableName}Handler.ts`));
-
-    // Read and customize test file
-    let testContent = await fs.readFile(templateTestPath, 'utf8');
-
-    // Replace import and function name
-    testContent = testContent.replace(/from '\.\/dynamoTableHandler'/g, `from './${tableName}Handler'`);
-    testContent = testContent.replace(/tryDynamoQuery/g, `try${capitalize(tableName)}Query`);
-    testContent = testContent.replace(/dynamoTableHandler/g, `${tableName}Handler`);
-
-    // Replace expected result in tests - remove duplicates by using a Set
-    const allTestKeys = [...new Set([...pkKeys, ...skKeys])];
-    // For mockResolvedValue: 12 spaces
-    const mockResult = allTestKeys.map(key => `${key}: '${key}'`).join(',\\n            ');
-    // For expect: 16 spaces
-    const expectedResult = allTestKeys.map(key => `${key}: '${key}'`).join(',\\n                ');
-
-    // Update the mock return value
-    testContent = testContent.replace(
-        /getOne: jest\.fn\(\)\.mockResolvedValue\(\{[^}]+\}\),/s,
-        `getOne: jest.fn().mockResolvedValue({\\n            ${mockResult},\\n            data: 'Hello!',\\n        }),`
-    );
-
-    // Update the expect assertion  
-    testContent = testContent.replace(
-        /expect\(result\)\.toEqual\(\{[^}]+\}\);/s,
-        `expect(result).toEqual({\\n                ${expectedResult},\\n                data: 'Hello!',\\n            });`
-    );
-
-    // Write test file
-    const testFilePath = path.join(utilsDir, `${tableName}Handler.spec.ts`);
-    await fs.writeFile(testFilePath, testContent);
     console.log(chalk.green(`✓ Created src/utils/${tableName}Handler.spec.ts`));
 
-    console.log(chalk.blue(`\n📁 Helper files created to access table '${tableName}':`));
-    console.log(chalk.gray(`   - src/utils/${tableName}Handler.ts (functions for put, get, delete)`));
-    console.log(chalk.gray(`   - src/utils/${tableName}Handler.spec.ts (tests)`));
+    const typeName = tableName.charAt(0).toUpperCase() + tableName.slice(1);
+    console.log(chalk.blue(`\n📁 Typed repository created to access table '${tableName}':`));
+    console.log(chalk.gray(`   - src/utils/${tableName}Handler.ts (get, put, update, delete, query with sort key conditions and cursors${actions.includes('batch') ? ', batches' : ''})`));
+    console.log(chalk.gray(`   - src/utils/${tableName}Handler.spec.ts (tests run against the local DynamoDB)`));
 
     console.log(chalk.gray(`\nNext steps:`));
-    console.log(chalk.gray(`  1. Attach the '${tableName}Policy' to your Lambda function's Policies`));
-    console.log(chalk.gray(`  2. Import and use try${capitalize(tableName)}Query() in your Lambda handler`));
+    console.log(chalk.gray(`  1. Attach the table to your Lambda, read-only or read-write (Lambda Functions → update → manage tables)`));
+    console.log(chalk.gray(`  2. Use ${tableName}Repository.get${typeName}Item(), query${typeName}()... in your Lambda handler`));
 }
 
-function capitalize(str) {
-    return str.charAt(0).toUpperCase() + str.slice(1);
-}
-
-async function getHandlerPath(lambdaName, templateLines) {
-    // Find the Handler property for this lambda
-    let inLambda = false;
-    let handlerValue = null;
-
-    for (let i = 0; i < templateLines.length; i++) {
-        if (templateLines[i].includes(`${lambdaName}:`)) {
-            inLambda = true;
-            continue;
-        }
-        if (inLambda) {
-            if (templateLines[i].match(/^  [a-zA-Z0-9]+:/)) {
-                break;
-            }
-            const handlerMatch = templateLines[i].match(/Handler:\s+(.+)/);
-            if (handlerMatch) {
-                handlerValue = handlerMatch[1].trim();
-                break;
-            }
-        }
-    }
-
-    if (!handlerValue) return null;
-
-    // Convert handler format (e.g., "test2/handler.test2") to file path (e.g., "src/test2/handler.ts")
-    const handlerParts = handlerValue.split('.');
-    if (handlerParts.length < 2) return null;
+async function alterTableKeys() {
+    const state = await loadProject(process.cwd());
 
-    const modulePath = handlerParts[0]; // e.g., "test2/handler"
-    const cwd = process.cwd();
-    const handlerFilePath = path.join(cwd, 'src', `${modulePath}.ts`);
-
-    if (!await fs.pathExists(handlerFilePath)) {
-        return null;
+    const tableName = await selectResourceOfType(state, 'AWS::DynamoDB::Table', 'tables', 'Which table do you want to change the keys of?');
+    if (!tableName) {
+        return;
     }
-
-    return handlerFilePath;
-}
-
-async function addTableImports(handlerPath, tableNames) {
-    let content = await fs.readFile(handlerPath, 'utf8');
-    const lines = content.split('\n');
-
-    // Find where to insert imports (after existing imports)
-    let lastImportLine = -1;
-    for (let i = 0; i < lines.length; i++) {
-        if (lines[i].startsWith('import ')) {
-            lastImportLine = i;
-        } else if (lastImportLine !== -1 && lines[i].trim() !== '') {
-            break;
-        }
+    const pending = await operations.getPendingMigration(state, tableName);
+    if (pending) {
+        console.log(chalk.yellow(`\nThe items of ${pending.source} are not copied yet: the keys of '${tableName}' cannot change again.`));
+        console.log(chalk.gray(`  Deploy, then copy them: ${pending.command}`));
+        return;
     }
+    const current = getTableKeys(state.template, tableName);
+    const migration = operations.getTableMigration(state, tableName);
+    console.log(chalk.blue(`\nKeys of table '${tableName}': ${current.partitionKey} / ${current.sortKey}`));
+    console.log(chalk.gray(`  The keys of a DynamoDB table cannot change: ${migration.target} will be created on deploy,`));
+    console.log(chalk.gray(`  and ${migration.source} kept with its items until they are copied.`));
 
-    const insertAt = lastImportLine + 1;
-
-    // Add imports for each table
-    const newImports = [];
-    for (const tableName of tableNames) {
-        const functionName = `try${capitalize(tableName)}Query`;
-        const importStatement = `import { ${functionName} } from '../utils/${tableName}Handler';`;
-
-        // Check if import already exists
-        const importExists = lines.some(line => line.includes(`from '../utils/${tableName}Handler'`));
-        if (!importExists) {
-            newImports.push(importStatement);
-        }
-    }
+    const { primaryKey, secondaryKey } = await inquirer.prompt([
+        {
+            type: 'input',
+            name: 'primaryKey',
+            message: 'New primary key (partition key) with # separators (e.g., pk1#pk2):',
+            default: current.partitionKey,
+            validate: (value) => operations.validateTableKey(value, 'Primary key'),
+        },
+        {
+            type: 'input',
+            name: 'secondaryKey',
+            message: 'New secondary key (sort key) with # separators (e.g., sk1#sk2#sk3):',
+            default: current.sortKey,
+            validate: (value) => operations.validateTableKey(value, 'Secondary key'),
+        },
+    ]);
 
-    if (newImports.length > 0) {
-        lines.splice(insertAt, 0, ...newImports);
-        await fs.writeFile(handlerPath, lines.join('\n'));
-        console.log(chalk.blue(`  ✓ Added ${newImports.length} import(s) to handler`));
+    // Replaces the keys and the name of the table, regenerates its repository and adds the migration script
+    if (!await applyOperation(state, operations.alterTableKeys, { name: tableName, partitionKey: primaryKey, sortKey: secondaryKey },
+        `Keys of table '${tableName}' changed`)) {
+        return;
     }
-}
 
-async function removeTableImports(handlerPath, tableNames) {
-    let content = await fs.readFile(handlerPath, 'utf8');
-    const lines = content.split('\n');
-
-    // Remove imports for each table
-    let removedCount = 0;
-    for (let i = lines.length - 1; i >= 0; i--) {
-        for (const tableName of tableNames) {
-            if (lines[i].includes(`from '../utils/${tableName}Handler'`)) {
-                lines.splice(i, 1);
-                removedCount++;
-                break;
-            }
-        }
-    }
+    console.log(chalk.green(`✓ Changed the keys of table '${tableName}' to ${primaryKey} / ${secondaryKey}`));
+    console.log(chalk.green(`✓ Generated src/utils/${tableName}Handler.ts and its test again`));
+    console.log(chalk.green(`✓ Created ${migration.script}`));
 
-    if (removedCount > 0) {
-        await fs.writeFile(handlerPath, lines.join('\n'));
-        console.log(chalk.blue(`  ✓ Removed ${removedCount} import(s) from handler`));
+    console.log(chalk.gray(`\nNext steps:`));
+    console.log(chalk.gray(`  1. Deploy: CloudFormation creates ${migration.target} and keeps ${migration.source}`));
+    console.log(chalk.gray(`  2. Copy the items: ${migration.command} (--dry-run to check them first, --resume after an interruption)`));
+    console.log(chalk.gray(`  3. Once the items are copied, delete ${migration.source}`));
+    const consumers = operations.getStreamConsumers(state.template, tableName);
+    if (consumers.length > 0) {
+        console.log(chalk.yellow(`  The stream handlers of ${consumers.join(', ')} still read the previous keys: update them`));
     }
 }
 
 async function deleteTable() {
-    const cwd = process.cwd();
-    const templatePath = path.join(cwd, 'template.yaml');
-
-    if (!await fs.pathExists(templatePath)) {
-        console.error(chalk.red('✗ Error: template.yaml not found.'));
-        return;
-    }
-
-    const templateContent = await fs.readFile(templatePath, 'utf8');
-    const lines = templateContent.split('\n');
+    const state = await loadProject(process.cwd());
 
     // Find all DynamoDB tables
-    const allTables = [];
-    let inResources = false;
-
-    for (let i = 0; i < lines.length; i++) {
-        if (lines[i].match(/^Resources:/)) {
-            inResources = true;
-            continue;
-        }
-        if (lines[i].match(/^Outputs:/)) {
-            break;
-        }
-        if (inResources) {
-            const resMatch = lines[i].match(/^  ([a-zA-Z0-9]+):/);
-            if (resMatch) {
-                const resourceName = resMatch[1];
-                // Check if it's a DynamoDB table
-                for (let j = i + 1; j < lines.length; j++) {
-                    if (lines[j].match(/^  [a-zA-Z0-9]+:/)) {
-                        break;
-                    }
-                    if (lines[j].includes('AWS::DynamoDB::Table')) {
-                        allTables.push({ name: resourceName, startLine: i });
-                        break;
-                    }
-                }
-            }
-        }
-    }
+    const allTables = getResourceNames(state.template, 'AWS::DynamoDB::Table');
 
     if (allTables.length === 0) {
         console.log(chalk.yellow('No tables available to delete'));
@@ -4835,123 +2135,1803 @@ async function deleteTable() {
         type: 'rawlist',
         name: 'tableToDelete',
         message: 'Select table to delete:',
-        choices: allTables.map(t => t.name),
+        choices: allTables,
     }]);
 
     // Check if table policy is being used by any lambda
-    const policyRef = `!Ref ${tableToDelete}Policy`;
-    let policyInUse = false;
-    let usedByLambdas = [];
-
-    for (let i = 0; i < lines.length; i++) {
-        if (lines[i].includes(policyRef)) {
-            // Find which lambda this is in
-            for (let j = i; j >= 0; j--) {
-                const lambdaMatch = lines[j].match(/^  ([a-zA-Z0-9]+Function):/);
-                if (lambdaMatch) {
-                    usedByLambdas.push(lambdaMatch[1]);
-                    policyInUse = true;
-                    break;
-                }
-            }
-        }
+    const usedByLambdas = operations.getTableUsers(state.template, tableToDelete);
+
+    if (usedByLambdas.length > 0) {
+        throw new Error(`Cannot delete table '${tableToDelete}': its policy is used by ${usedByLambdas.join(', ')}. Remove the policy from the lambda first.`);
+    }
+    const streamConsumers = operations.getStreamConsumers(state.template, tableToDelete);
+    if (streamConsumers.length > 0) {
+        throw new Error(`Cannot delete table '${tableToDelete}': its stream is read by ${streamConsumers.join(', ')}. Detach the stream from the lambda first.`);
     }
 
-    if (policyInUse) {
-        console.error(chalk.red(`✗ Error: Cannot delete table '${tableToDelete}'`));
-        console.error(chalk.red(`  Policy is being used by: ${usedByLambdas.join(', ')}`));
-        console.error(chalk.yellow(`  Please remove the policy from the lambda first`));
+    // Removes the table, its policy and its handler files
+    const changes = await applyOperation(state, operations.deleteTable, { name: tableToDelete }, `Table '${tableToDelete}' deleted`);
+    if (!changes) {
         return;
     }
 
-    // Find and remove the table resource
-    let tableStartLine = -1;
-    let tableEndLine = -1;
+    changes.filter(change => change.type === 'delete')
+        .forEach(change => console.log(chalk.gray(`  Deleted ${change.path.split('/').pop()}`)));
+    console.log(chalk.green(`✓ Deleted table '${tableToDelete}' and its policy`));
+}
 
-    for (let i = 0; i < lines.length; i++) {
-        if (lines[i].match(new RegExp(`^  ${tableToDelete}:`))) {
-            tableStartLine = i;
-            // Find end of table resource
-            for (let j = i + 1; j < lines.length; j++) {
-                if (lines[j].match(/^  [a-zA-Z0-9]+:/) || lines[j].match(/^Outputs:/)) {
-                    tableEndLine = j - 1;
-                    break;
-                }
-            }
-            break;
-        }
-    }
+async function updateDynamoTable() {
+    const state = await loadProject(process.cwd());
 
-    // Find and remove the table policy
-    let policyStartLine = -1;
-    let policyEndLine = -1;
+    const tableName = await selectResourceOfType(state, 'AWS::DynamoDB::Table', 'tables', 'Which table do you want to update?');
+    if (!tableName) {
+        return;
+    }
+    const current = getTableOptions(state.template, tableName);
+    console.log(chalk.blue(`\nOptions of table '${tableName}':`));
+    operations.describeTableOptions(state, tableName).forEach(line => console.log(chalk.gray(`  ${line}`)));
 
-    for (let i = 0; i < lines.length; i++) {
-        if (lines[i].match(new RegExp(`^  ${tableToDelete}Policy:`))) {
-            policyStartLine = i;
-            // Find end of policy resource
-            for (let j = i + 1; j < lines.length; j++) {
-                if (lines[j].match(/^  [a-zA-Z0-9]+:/) || lines[j].match(/^Outputs:/)) {
-                    policyEndLine = j - 1;
-                    break;
-                }
-            }
-            break;
-        }
+    const { sections } = await inquirer.prompt([{
+        type: 'checkbox',
+        name: 'sections',
+        message: 'Which options do you want to change?',
+        choices: [
+            { name: 'Billing mode, capacity and autoscaling', value: 'billing' },
+            { name: 'Time to live (TTL)', value: 'ttl' },
+            { name: 'Point-in-time recovery', value: 'pitr' },
+            { name: 'Encryption', value: 'encryption' },
+            { name: 'Table class', value: 'tableClass' },
+            { name: 'Deletion and update replace policies', value: 'policies' },
+        ],
+    }]);
+    if (sections.length === 0) {
+        console.log(chalk.yellow('No options selected.'));
+        return;
     }
 
-    if (tableStartLine === -1 || policyStartLine === -1) {
-        console.error(chalk.red('✗ Error: Could not find table or policy in template'));
+    const provisioned = (answers) => answers.billingMode === 'PROVISIONED';
+    const answers = await inquirer.prompt([
+        {
+            type: 'rawlist',
+            name: 'billingMode',
+            message: 'Billing mode:',
+            choices: [
+                { name: 'On-demand (PAY_PER_REQUEST)', value: 'PAY_PER_REQUEST' },
+                { name: 'Provisioned capacity (PROVISIONED)', value: 'PROVISIONED' },
+            ],
+            default: current.billingMode,
+            when: () => sections.includes('billing'),
+        },
+        {
+            type: 'input',
+            name: 'readCapacity',
+            message: 'Read capacity units (table and global indexes):',
+            default: String(current.readCapacity ?? 5),
+            validate: (value) => operations.validateCapacity(value, 'Read capacity'),
+            when: provisioned,
+        },
+        {
+            type: 'input',
+            name: 'writeCapacity',
+            message: 'Write capacity units (table and global indexes):',
+            default: String(current.writeCapacity ?? 5),
+            validate: (value) => operations.validateCapacity(value, 'Write capacity'),
+            when: provisioned,
+        },
+        {
+            type: 'confirm',
+            name: 'autoscale',
+            message: 'Scale the read and write capacity of the table automatically?',
+            default: Boolean(current.autoscaling),
+            when: provisioned,
+        },
+        {
+            type: 'input',
+            name: 'minCapacity',
+            message: 'Minimum capacity units:',
+            default: (answers) => String(current.autoscaling ? current.autoscaling.minCapacity : Math.min(answers.readCapacity, answers.writeCapacity)),
+            validate: (value) => operations.validateCapacity(value, 'Minimum capacity'),
+            when: (answers) => answers.autoscale,
+        },
+        {
+            type: 'input',
+            name: 'maxCapacity',
+            message: 'Maximum capacity units:',
+            default: (answers) => String(current.autoscaling ? current.autoscaling.maxCapacity : Number(answers.minCapacity) * 10),
+            validate: (value, answers) => operations.validateInteger(value, 'Maximum capacity', Number(answers.minCapacity), 40000),
+            when: (answers) => answers.autoscale,
+        },
+        {
+            type: 'input',
+            name: 'targetUtilization',
+            message: 'Target utilization (%):',
+            default: String(current.autoscaling ? current.autoscaling.targetUtilization : 70),
+            validate: (value) => operations.validateInteger(value, 'Target utilization', 20, 90),
+            when: (answers) => answers.autoscale,
+        },
+        {
+            type: 'input',
+            name: 'ttlAttribute',
+            message: 'Number attribute holding the expiry time of the items, in epoch seconds (empty to disable TTL):',
+            default: current.ttlAttribute ?? '',
+            validate: (value) => !value.trim() || operations.validateTtlAttribute(value.trim()),
+            when: () => sections.includes('ttl'),
+        },
+        {
+            type: 'confirm',
+            name: 'pointInTimeRecovery',
+            message: 'Enable point-in-time recovery (continuous backups of the last 35 days)?',
+            default: !current.pointInTimeRecovery,
+            when: () => sections.includes('pitr'),
+        },
+        {
+            type: 'rawlist',
+            name: 'encryption',
+            message: 'Encryption key:',
+            choices: [
+                { name: 'Owned by DynamoDB (default, free)', value: 'AWS_OWNED' },
+                { name: 'AWS managed KMS key (aws/dynamodb)', value: 'AWS_MANAGED' },
+                { name: 'Customer managed KMS key', value: 'CUSTOMER_MANAGED' },
+            ],
+            default: current.encryption,
+            when: () => sections.includes('encryption'),
+        },
+        {
+            type: 'input',
+            name: 'kmsKeyId',
+            message: 'KMS key id, ARN or alias/<name>:',
+            default: current.kmsKeyId ?? undefined,
+            validate: (value) => operations.validateKmsKey(value.trim()),
+            when: (answers) => answers.encryption === 'CUSTOMER_MANAGED',
+        },
+        {
+            type: 'rawlist',
+            name: 'tableClass',
+            message: 'Table class:',
+            choices: [
+                { name: 'Standard', value: 'STANDARD' },
+                { name: 'Standard-Infrequent Access (cheaper storage, pricier reads and writes)', value: 'STANDARD_INFREQUENT_ACCESS' },
+            ],
+            default: current.tableClass,
+            when: () => sections.includes('tableClass'),
+        },
+        {
+            type: 'rawlist',
+            name: 'deletionPolicy',
+            message: 'When the table is removed from the stack:',
+            choices: [
+                { name: 'Retain the table and its data', value: 'Retain' },
+                { name: 'Retain it, unless it was just created by a failed deployment', value: 'RetainExceptOnCreate' },
+                { name: 'Delete the table and its data', value: 'Delete' },
+            ],
+            default: current.deletionPolicy,
+            when: () => sections.includes('policies'),
+        },
+        {
+            type: 'rawlist',
+            name: 'updateReplacePolicy',
+            message: 'When an update replaces the table:',
+            choices: [
+                { name: 'Retain the old table and its data', value: 'Retain' },
+                { name: 'Delete the old table and its data', value: 'Delete' },
+            ],
+            default: current.updateReplacePolicy,
+            when: () => sections.includes('policies'),
+        },
+    ]);
+
+    const options = {
+        billingMode: answers.billingMode,
+        ...(provisioned(answers) && {
+            readCapacity: Number(answers.readCapacity),
+            writeCapacity: Number(answers.writeCapacity),
+            autoscaling: answers.autoscale ? {
+                minCapacity: Number(answers.minCapacity),
+                maxCapacity: Number(answers.maxCapacity),
+                targetUtilization: Number(answers.targetUtilization),
+            } : null,
+        }),
+        ...(answers.ttlAttribute !== undefined && { ttlAttribute: answers.ttlAttribute.trim() || null }),
+        pointInTimeRecovery: answers.pointInTimeRecovery,
+        encryption: answers.encryption,
+        kmsKeyId: answers.kmsKeyId === undefined ? undefined : answers.kmsKeyId.trim(),
+        tableClass: answers.tableClass,
+        deletionPolicy: answers.deletionPolicy,
+        updateReplacePolicy: answers.updateReplacePolicy,
+    };
+
+    if (!await applyOperation(state, operations.updateTable, { name: tableName, options }, `Table '${tableName}' updated`)) {
         return;
     }
+    console.log(chalk.green(`✓ Updated table '${tableName}'`));
+    if (options.encryption === 'CUSTOMER_MANAGED') {
+        console.log(chalk.gray('  - The key policy must allow DynamoDB to use the key for the account deploying the stack'));
+    }
+}
 
-    // Remove policy first (from bottom to top to avoid index issues)
-    if (policyStartLine > tableStartLine) {
-        // Remove trailing blank line if exists
-        while (policyEndLine + 1 < lines.length && lines[policyEndLine + 1].trim() === '') {
-            policyEndLine++;
-        }
-        lines.splice(policyStartLine, policyEndLine - policyStartLine + 1);
+/**
+ * Ask for the data attributes of the items of a new table, one at a time
+ * @param {string[]} keyAttributes - Key attributes of the table, which can't be data
+ * @returns {Promise<import('./operations.js').TableAttribute[]>}
+ */
+async function askTableData(keyAttributes) {
+    console.log(chalk.gray('Declare the data of the items besides their keys; it types the table repository.'));
+    const data = [];
+    let more = true;
+    while (more) {
+        const { name, type, optional } = await inquirer.prompt([
+            {
+                type: 'input',
+                name: 'name',
+                message: 'Attribute name:',
+                default: data.length === 0 ? 'data' : undefined,
+                validate: (value) => {
+                    if (keyAttributes.includes(value)) {
+                        return `'${value}' is a key attribute.`;
+                    }
+                    if (data.some(attribute => attribute.name === value)) {
+                        return `Attribute '${value}' is already declared.`;
+                    }
+                    return operations.validateTableData(`${value}:string`);
+                },
+            },
+            {
+                type: 'rawlist',
+                name: 'type',
+                message: 'Attribute type:',
+                choices: operations.TABLE_ATTRIBUTE_TYPES,
+            },
+            {
+                type: 'confirm',
+                name: 'optional',
+                message: 'Can items omit it?',
+                default: false,
+            },
+        ]);
+        data.push({ name, type, ...(optional && { optional: true }) });
+        ({ more } = await inquirer.prompt([{
+            type: 'confirm',
+            name: 'more',
+            message: 'Add another attribute?',
+            default: false,
+        }]));
+    }
+    return data;
+}
 
-        // Remove table
-        while (tableEndLine + 1 < lines.length && lines[tableEndLine + 1].trim() === '') {
-            tableEndLine++;
-        }
-        lines.splice(tableStartLine, tableEndLine - tableStartLine + 1);
-    } else {
-        // Remove table first
-        while (tableEndLine + 1 < lines.length && lines[tableEndLine + 1].trim() === '') {
-            tableEndLine++;
-        }
-        lines.splice(tableStartLine, tableEndLine - tableStartLine + 1);
+/**
+ * Ask for a secondary index of a table
+ * @param {{partitionKey: string, sortKey: string}} keys - Keys of the table
+ * @param {{name: string}[]} existing - Indexes of the table
+ * @param {boolean} allowLocal - Whether a local index can be created (new tables only)
+ * @returns {Promise<import('./operations.js').TableIndex>}
+ */
+async function askTableIndex(keys, existing, allowLocal) {
+    const { name, type = 'global', partitionKey, sortKey, projection, include } = await inquirer.prompt([
+        {
+            type: 'input',
+            name: 'name',
+            message: 'Index name:',
+            validate: (value) => {
+                if (existing.some(index => index.name === value)) {
+                    return `Index '${value}' already exists.`;
+                }
+                return operations.validateIndexName(value);
+            },
+        },
+        {
+            type: 'rawlist',
+            name: 'type',
+            message: 'Index type:',
+            choices: [
+                { name: 'global: its own partition and sort keys', value: 'global' },
+                { name: `local: same partition key (${keys.partitionKey}), another sort key`, value: 'local' },
+            ],
+            when: () => allowLocal,
+        },
+        {
+            type: 'input',
+            name: 'partitionKey',
+            message: 'Index partition key with # separators (e.g., pk1#pk2):',
+            when: (answers) => answers.type !== 'local',
+            validate: (value) => operations.validateTableKey(value, 'Index partition key'),
+        },
+        {
+            type: 'input',
+            name: 'sortKey',
+            message: 'Index sort key with # separators (e.g., sk1#sk2):',
+            validate: (value, answers) => {
+                if (answers.type === 'local' && value === keys.sortKey) {
+                    return 'A local index needs another sort key than the table.';
+                }
+                return operations.validateTableKey(value, 'Index sort key');
+            },
+        },
+        {
+            type: 'rawlist',
+            name: 'projection',
+            message: 'Attributes copied to the index:',
+            choices: [
+                { name: 'all of them (ALL)', value: 'ALL' },
+                { name: 'the keys only (KEYS_ONLY)', value: 'KEYS_ONLY' },
+                { name: 'the keys and some attributes (INCLUDE)', value: 'INCLUDE' },
+            ],
+        },
+        {
+            type: 'input',
+            name: 'include',
+            message: 'Attributes to include (comma-separated):',
+            when: (answers) => answers.projection === 'INCLUDE',
+            validate: (value) => value.split(',').some(item => item.trim()) || 'Please enter at least one attribute.',
+        },
+    ]);
+    return {
+        name,
+        type,
+        ...(type === 'global' && { partitionKey }),
+        sortKey,
+        projection,
+        ...(projection === 'INCLUDE' && { nonKeyAttributes: include.split(',').map(item => item.trim()).filter(Boolean) }),
+    };
+}
 
-        // Recalculate policy lines after table removal
-        const removedLines = tableEndLine - tableStartLine + 1;
-        policyStartLine -= removedLines;
-        policyEndLine -= removedLines;
+async function addTableIndex() {
+    const state = await loadProject(process.cwd());
 
-        // Remove policy
-        while (policyEndLine + 1 < lines.length && lines[policyEndLine + 1].trim() === '') {
-            policyEndLine++;
-        }
-        lines.splice(policyStartLine, policyEndLine - policyStartLine + 1);
+    const tableName = await selectResourceOfType(state, 'AWS::DynamoDB::Table', 'tables', 'Which table do you want to index?');
+    if (!tableName) {
+        return;
     }
+    const index = await askTableIndex(getTableKeys(state.template, tableName), getTableIndexes(state.template, tableName), false);
 
-    // Write updated template
-    await fs.writeFile(templatePath, lines.join('\n'));
+    // Adds the index and regenerates the query helpers of the table handler
+    if (!await applyOperation(state, operations.addTableIndex, { table: tableName, index },
+        `Index '${index.name}' added to table '${tableName}'`)) {
+        return;
+    }
+    console.log(chalk.green(`✓ Added index '${index.name}' to table '${tableName}'`));
+    console.log(chalk.gray(`  - Query it with ${operations.getIndexQueryName(tableName, index.name)}() from src/utils/${tableName}Handler.ts`));
+    console.log(chalk.gray('  - CloudFormation adds a single global index per deployment: deploy before adding another one'));
+}
 
-    // Delete handler files
-    const utilsPath = path.join(cwd, 'src', 'utils');
-    const handlerFile = path.join(utilsPath, `${tableToDelete}Handler.ts`);
-    const testFile = path.join(utilsPath, `${tableToDelete}Handler.spec.ts`);
+async function listTableIndexes() {
+    const state = await loadProject(process.cwd());
 
-    if (await fs.pathExists(handlerFile)) {
-        await fs.remove(handlerFile);
-        console.log(chalk.gray(`  Deleted ${tableToDelete}Handler.ts`));
+    const tableName = await selectResourceOfType(state, 'AWS::DynamoDB::Table', 'tables', 'Which table do you want to list the indexes of?');
+    if (!tableName) {
+        return;
     }
-    if (await fs.pathExists(testFile)) {
-        await fs.remove(testFile);
-        console.log(chalk.gray(`  Deleted ${tableToDelete}Handler.spec.ts`));
+    const indexes = getTableIndexes(state.template, tableName);
+    if (indexes.length === 0) {
+        console.log(chalk.yellow(`Table '${tableName}' has no secondary index`));
+        return;
     }
-    console.log(chalk.green(`✓ Deleted table '${tableToDelete}' and its policy`));
+    console.log(chalk.blue(`\nIndexes of table '${tableName}':`));
+    indexes.forEach(index => console.log(chalk.gray(`  ${operations.describeIndex(index)}`)));
+}
+
+async function removeTableIndex() {
+    const state = await loadProject(process.cwd());
+
+    const tableName = await selectResourceOfType(state, 'AWS::DynamoDB::Table', 'tables', 'Which table do you want to remove an index from?');
+    if (!tableName) {
+        return;
+    }
+    const indexes = getTableIndexes(state.template, tableName).filter(index => index.type === 'global');
+    if (indexes.length === 0) {
+        console.log(chalk.yellow(`Table '${tableName}' has no global secondary index`));
+        return;
+    }
+    const { indexName } = await inquirer.prompt([{
+        type: 'rawlist',
+        name: 'indexName',
+        message: 'Select index to remove:',
+        choices: indexes.map(index => ({ name: operations.describeIndex(index), value: index.name })),
+    }]);
+
+    const { confirmDelete } = await inquirer.prompt([{
+        type: 'confirm',
+        name: 'confirmDelete',
+        message: `Remove index '${indexName}' from table '${tableName}'?`,
+        default: false,
+    }]);
+    if (!confirmDelete) {
+        console.log(chalk.gray('Deletion cancelled.'));
+        return;
+    }
+
+    if (!await applyOperation(state, operations.removeTableIndex, { table: tableName, name: indexName },
+        `Index '${indexName}' removed from table '${tableName}'`)) {
+        return;
+    }
+    console.log(chalk.green(`✓ Removed index '${indexName}' from table '${tableName}'`));
+}
+
+async function enableTableStream() {
+    const state = await loadProject(process.cwd());
+
+    const tableName = await selectResourceOfType(state, 'AWS::DynamoDB::Table', 'tables', 'Which table do you want to stream?');
+    if (!tableName) {
+        return;
+    }
+    const { viewType } = await inquirer.prompt([{
+        type: 'rawlist',
+        name: 'viewType',
+        message: 'What do the stream records contain?',
+        choices: [
+            { name: 'the item before and after the change (NEW_AND_OLD_IMAGES)', value: 'NEW_AND_OLD_IMAGES' },
+            { name: 'the item after the change (NEW_IMAGE)', value: 'NEW_IMAGE' },
+            { name: 'the item before the change (OLD_IMAGE)', value: 'OLD_IMAGE' },
+            { name: 'the keys of the item only (KEYS_ONLY)', value: 'KEYS_ONLY' },
+        ],
+    }]);
+
+    if (!await applyOperation(state, operations.enableTableStream, { name: tableName, viewType },
+        `Stream of table '${tableName}' enabled`)) {
+        return;
+    }
+    console.log(chalk.green(`✓ Enabled the ${viewType} stream of table '${tableName}'`));
+
+    const updatedState = await loadProject(process.cwd());
+    const { reader } = await inquirer.prompt([{
+        type: 'rawlist',
+        name: 'reader',
+        message: 'Which Lambda reads the stream?',
+        choices: ['a new Lambda', ...getFunctionNames(updatedState.template), 'none for now'],
+    }]);
+
+    if (reader === 'a new Lambda') {
+        const lambdaName = await askNewLambdaName(updatedState);
+        const stream = await askStreamSource(updatedState, tableName);
+        if (!await applyOperation(updatedState, operations.createLambda, { name: lambdaName, stream },
+            `Lambda '${lambdaName}Function' created`)) {
+            return;
+        }
+        console.log(chalk.green(`✓ Lambda '${lambdaName}' created successfully!`));
+        console.log(chalk.gray(`  - Reads the stream of '${tableName}' (batches of ${stream.batchSize})`));
+        console.log(chalk.gray(`  - Created src/${lambdaName}/handler.ts`));
+        console.log(chalk.gray(`  - Created src/${lambdaName}/handler.test.ts`));
+    } else if (reader !== 'none for now') {
+        await attachTableStream(tableName, reader);
+    }
+}
+
+/**
+ * Ask how a Lambda reads the stream of a table
+ * @returns {Promise<import('./operations.js').StreamSource>}
+ */
+async function askStreamSource(state, tableName) {
+    const destinations = [
+        ...getQueueNames(state.template),
+        ...getResourceNames(state.template, 'AWS::SNS::Topic'),
+    ];
+    const { startingPosition, batchSize, bisectBatchOnFunctionError, maximumRetryAttempts, onFailure } = await inquirer.prompt([
+        {
+            type: 'rawlist',
+            name: 'startingPosition',
+            message: 'Start reading from:',
+            choices: [
+                { name: 'the changes made from now on (LATEST)', value: 'LATEST' },
+                { name: 'the oldest record of the last 24 hours (TRIM_HORIZON)', value: 'TRIM_HORIZON' },
+            ],
+        },
+        {
+            type: 'input',
+            name: 'batchSize',
+            message: 'Batch size (records per invocation):',
+            default: '100',
+            validate: (value) => operations.validateInteger(value, 'Batch size', 1, 10000),
+        },
+        {
+            type: 'confirm',
+            name: 'bisectBatchOnFunctionError',
+            message: 'Split a failing batch in two and retry each half?',
+            default: false,
+        },
+        {
+            type: 'input',
+            name: 'maximumRetryAttempts',
+            message: 'Retry attempts of a failing batch (-1 retries until the records expire):',
+            default: '-1',
+            validate: (value) => operations.validateInteger(value, 'Retry attempts', -1, 10000),
+        },
+        {
+            type: 'rawlist',
+            name: 'onFailure',
+            message: 'Where do the batches that kept failing go?',
+            choices: [{ name: 'nowhere, they are dropped', value: null }, ...destinations],
+            when: () => destinations.length > 0,
+        },
+    ]);
+    return {
+        table: tableName,
+        startingPosition,
+        batchSize: Number(batchSize),
+        bisectBatchOnFunctionError,
+        ...(Number(maximumRetryAttempts) !== -1 && { maximumRetryAttempts: Number(maximumRetryAttempts) }),
+        ...(onFailure && { onFailure }),
+    };
+}
+
+/**
+ * Ask for a table of the template whose stream is enabled; null when there is none
+ */
+async function selectStreamedTable(state, message) {
+    const tables = getResourceNames(state.template, 'AWS::DynamoDB::Table')
+        .filter(table => getTableStream(state.template, table));
+    if (tables.length === 0) {
+        console.log(chalk.yellow('No tables with a stream found in template.yaml'));
+        return null;
+    }
+    const { tableName } = await inquirer.prompt([{
+        type: 'rawlist',
+        name: 'tableName',
+        message,
+        choices: tables,
+    }]);
+    return tableName;
+}
+
+async function attachTableStream(tableName, functionName) {
+    const state = await loadProject(process.cwd());
+
+    if (!tableName) {
+        tableName = await selectStreamedTable(state, 'Which table stream do you want to attach?');
+        if (!tableName) {
+            return;
+        }
+        ({ functionName } = await inquirer.prompt([{
+            type: 'rawlist',
+            name: 'functionName',
+            message: 'Which Lambda reads the stream?',
+            choices: getFunctionNames(state.template),
+        }]));
+    }
+    const stream = await askStreamSource(state, tableName);
+
+    // Adds the DynamoDB event; SAM grants the stream read permissions
+    if (!await applyOperation(state, operations.attachTableStream, { functionName, stream },
+        `Stream of table '${tableName}' attached to '${functionName}'`)) {
+        return;
+    }
+
+    console.log(chalk.green(`✓ '${functionName}' reads the stream of '${tableName}' (batches of ${stream.batchSize})`));
+    console.log(chalk.gray(`\nNext steps:`));
+    console.log(chalk.gray(`  Handle DynamoDBStreamEvent records in the handler of '${functionName}'`));
+}
+
+async function detachTableStream() {
+    const state = await loadProject(process.cwd());
+
+    const tableName = await selectStreamedTable(state, 'Which table stream do you want to detach?');
+    if (!tableName) {
+        return;
+    }
+    const consumers = operations.getStreamConsumers(state.template, tableName);
+    if (consumers.length === 0) {
+        console.log(chalk.yellow(`No Lambda reads the stream of '${tableName}'`));
+        return;
+    }
+    const { functionName } = await inquirer.prompt([{
+        type: 'rawlist',
+        name: 'functionName',
+        message: 'Which Lambda stops reading the stream?',
+        choices: consumers,
+    }]);
+
+    if (!await applyOperation(state, operations.detachTableStream, { functionName, table: tableName },
+        `Stream of table '${tableName}' detached from '${functionName}'`)) {
+        return;
+    }
+    console.log(chalk.green(`✓ '${functionName}' no longer reads the stream of '${tableName}'`));
+}
+
+async function disableTableStream() {
+    const state = await loadProject(process.cwd());
+
+    const tableName = await selectStreamedTable(state, 'Which table stream do you want to disable?');
+    if (!tableName) {
+        return;
+    }
+    const consumers = operations.getStreamConsumers(state.template, tableName);
+    if (consumers.length > 0) {
+        throw new Error(`Cannot disable the stream of table '${tableName}': it is read by ${consumers.join(', ')}. Detach the stream from the lambda first.`);
+    }
+
+    const { confirmDelete } = await inquirer.prompt([{
+        type: 'confirm',
+        name: 'confirmDelete',
+        message: `Disable the stream of table '${tableName}'?`,
+        default: false,
+    }]);
+    if (!confirmDelete) {
+        console.log(chalk.gray('Deletion cancelled.'));
+        return;
+    }
+
+    if (!await applyOperation(state, operations.disableTableStream, { name: tableName },
+        `Stream of table '${tableName}' disabled`)) {
+        return;
+    }
+    console.log(chalk.green(`✓ Disabled the stream of table '${tableName}'`));
+}
+
+async function createQueue() {
+    const state = await loadProject(process.cwd());
+
+    const { queueName, deadLetterQueue } = await inquirer.prompt([
+        {
+            type: 'input',
+            name: 'queueName',
+            message: 'Queue name:',
+            validate: (value) => {
+                if (!/^[a-zA-Z0-9]+$/.test(value)) {
+                    return 'Please enter a valid queue name (letters and numbers only).';
+                }
+                if (hasResource(state.template, value) || hasResource(state.template, `${value}DLQ`)) {
+                    return `Queue '${value}' already exists in template.yaml`;
+                }
+                return true;
+            },
+        },
+        {
+            type: 'confirm',
+            name: 'deadLetterQueue',
+            message: 'Send the messages that keep failing to a dead-letter queue?',
+            default: true,
+        },
+    ]);
+
+    const { maxReceiveCount, visibilityTimeout } = await inquirer.prompt([
+        {
+            type: 'input',
+            name: 'maxReceiveCount',
+            message: 'Receives before a message goes to the dead-letter queue:',
+            default: '5',
+            when: () => deadLetterQueue,
+            validate: (value) => operations.validateInteger(value, 'Max receive count', 1, 1000),
+        },
+        {
+            type: 'input',
+            name: 'visibilityTimeout',
+            message: 'Visibility timeout in seconds (at least the timeout of the consumer Lambda):',
+            default: '360',
+            validate: (value) => operations.validateInteger(value, 'Visibility timeout', 0, 43200),
+        },
+    ]);
+
+    // Adds the queue, and <name>DLQ with the redrive policy
+    if (!await applyOperation(state, operations.createQueue, {
+        name: queueName,
+        deadLetterQueue,
+        maxReceiveCount: Number(maxReceiveCount || 5),
+        visibilityTimeout: Number(visibilityTimeout),
+    }, `Queue '${queueName}' created`)) {
+        return;
+    }
+
+    console.log(chalk.green(`✓ Created SQS queue '${queueName}'`));
+    if (deadLetterQueue) {
+        console.log(chalk.green(`✓ Created dead-letter queue '${queueName}DLQ' (after ${maxReceiveCount} receives)`));
+    }
+
+    const updatedState = await loadProject(process.cwd());
+    const { consumer } = await inquirer.prompt([{
+        type: 'rawlist',
+        name: 'consumer',
+        message: 'Which Lambda consumes the queue?',
+        choices: ['a new Lambda', ...getFunctionNames(updatedState.template), 'none for now'],
+    }]);
+
+    if (consumer === 'a new Lambda') {
+        await createQueueConsumer(updatedState, queueName);
+    } else if (consumer !== 'none for now') {
+        await attachQueue(queueName, consumer);
+    }
+}
+
+/**
+ * Create a Lambda consuming a queue, with an SQSEvent handler and its test
+ */
+async function createQueueConsumer(state, queueName) {
+    const existingLambdas = getFunctionNames(state.template)
+        .map(name => operations.getLambdaFolder(state.template, name))
+        .filter(Boolean);
+
+    const { lambdaName, timeout } = await inquirer.prompt([
+        {
+            type: 'input',
+            name: 'lambdaName',
+            message: 'What is the name of your Lambda function?',
+            validate: (value) => {
+                if (!value.length) {
+                    return 'Please enter a valid function name.';
+                }
+                if (existingLambdas.includes(value)) {
+                    return `Lambda '${value}' already exists. Please choose a different name.`;
+                }
+                return true;
+            },
+        },
+        {
+            type: 'input',
+            name: 'timeout',
+            message: 'What is the timeout in seconds?',
+            default: '60',
+            validate: (value) => {
+                const valid = value.trim() !== '' && Number.isInteger(Number(value)) && Number(value) >= 1 && Number(value) <= 900;
+                return valid || 'Please enter a whole number of seconds between 1 and 900';
+            },
+        },
+    ]);
+    const queue = await askQueueSource(queueName);
+
+    if (!await applyOperation(state, operations.createLambda, { name: lambdaName, timeout, queue },
+        `Lambda '${lambdaName}Function' created`)) {
+        return;
+    }
+
+    console.log(chalk.green(`✓ Lambda '${lambdaName}' created successfully!`));
+    console.log(chalk.gray(`  - Consumes '${queueName}' (batches of ${queue.batchSize})`));
+    console.log(chalk.gray(`  - Created src/${lambdaName}/handler.ts`));
+    console.log(chalk.gray(`  - Created src/${lambdaName}/handler.test.ts`));
+}
+
+/**
+ * Ask how a Lambda consumes a queue
+ * @returns {Promise<import('./operations.js').QueueSource>}
+ */
+async function askQueueSource(queueName) {
+    const { batchSize, batchingWindow, reportBatchItemFailures } = await inquirer.prompt([
+        {
+            type: 'input',
+            name: 'batchSize',
+            message: 'Batch size (messages per invocation):',
+            default: '10',
+            validate: (value) => operations.validateInteger(value, 'Batch size', 1, 10000),
+        },
+        {
+            type: 'input',
+            name: 'batchingWindow',
+            message: 'Batching window in seconds:',
+            default: (answers) => (Number(answers.batchSize) > 10 ? '1' : '0'),
+            validate: (value, answers) => {
+                if (Number(answers.batchSize) > 10 && Number(value) === 0) {
+                    return 'A batch size over 10 needs a batching window of at least 1 second.';
+                }
+                return operations.validateInteger(value, 'Batching window', 0, 300);
+            },
+        },
+        {
+            type: 'confirm',
+            name: 'reportBatchItemFailures',
+            message: 'Retry only the failed messages of a batch (ReportBatchItemFailures)?',
+            default: true,
+        },
+    ]);
+    return {
+        name: queueName,
+        batchSize: Number(batchSize),
+        batchingWindow: Number(batchingWindow),
+        reportBatchItemFailures,
+    };
+}
+
+/**
+ * Ask for a queue of the template; null when there is none
+ */
+async function selectQueue(state, message) {
+    const queues = getQueueNames(state.template);
+    if (queues.length === 0) {
+        console.log(chalk.yellow('No queues found in template.yaml'));
+        return null;
+    }
+    const { queueName } = await inquirer.prompt([{
+        type: 'rawlist',
+        name: 'queueName',
+        message,
+        choices: queues,
+    }]);
+    return queueName;
+}
+
+async function attachQueue(queueName, functionName) {
+    const state = await loadProject(process.cwd());
+
+    if (!queueName) {
+        queueName = await selectQueue(state, 'Which queue do you want to attach?');
+        if (!queueName) {
+            return;
+        }
+        ({ functionName } = await inquirer.prompt([{
+            type: 'rawlist',
+            name: 'functionName',
+            message: 'Which Lambda consumes the queue?',
+            choices: getFunctionNames(state.template),
+        }]));
+    }
+    const queue = await askQueueSource(queueName);
+
+    // Adds the SQS event and the SQSPollerPolicy
+    if (!await applyOperation(state, operations.attachQueue, { functionName, queue },
+        `Queue '${queueName}' attached to '${functionName}'`)) {
+        return;
+    }
+
+    console.log(chalk.green(`✓ '${functionName}' consumes '${queueName}' (batches of ${queue.batchSize})`));
+    console.log(chalk.gray(`  - Added SQSPollerPolicy for '${queueName}'`));
+    console.log(chalk.gray(`\nNext steps:`));
+    console.log(chalk.gray(`  Handle SQSEvent records in the handler of '${functionName}'`));
+}
+
+async function allowQueueSend() {
+    const state = await loadProject(process.cwd());
+
+    const queueName = await selectQueue(state, 'Which queue do you want to send to?');
+    if (!queueName) {
+        return;
+    }
+    const { functionName } = await inquirer.prompt([{
+        type: 'rawlist',
+        name: 'functionName',
+        message: 'Which Lambda sends the messages?',
+        choices: getFunctionNames(state.template),
+    }]);
+
+    if (!await applyOperation(state, operations.allowQueueSend, { functionName, queue: queueName },
+        `'${functionName}' allowed to send to queue '${queueName}'`)) {
+        return;
+    }
+
+    console.log(chalk.green(`✓ Added SQSSendMessagePolicy for '${queueName}' to '${functionName}'`));
+}
+
+async function detachQueue() {
+    const state = await loadProject(process.cwd());
+
+    const queueName = await selectQueue(state, 'Which queue do you want to detach?');
+    if (!queueName) {
+        return;
+    }
+
+    const lambdas = getFunctionNames(state.template).filter(functionName =>
+        getSqsEvents(state.template, functionName).some(event => event.queue === queueName)
+        || getQueuePolicies(state.template, functionName).some(entry => entry.queue === queueName));
+    if (lambdas.length === 0) {
+        console.log(chalk.yellow(`No Lambda uses '${queueName}'`));
+        return;
+    }
+
+    const { functionName } = await inquirer.prompt([{
+        type: 'rawlist',
+        name: 'functionName',
+        message: 'Select the Lambda to detach:',
+        choices: lambdas,
+    }]);
+
+    // Removes the SQS events, SQSPollerPolicy and SQSSendMessagePolicy of the queue
+    if (!await applyOperation(state, operations.detachQueue, { functionName, queue: queueName },
+        `Queue '${queueName}' detached from '${functionName}'`)) {
+        return;
+    }
+
+    console.log(chalk.green(`✓ Detached '${queueName}' from '${functionName}'`));
+}
+
+async function deleteQueue() {
+    const state = await loadProject(process.cwd());
+
+    const queueName = await selectQueue(state, 'Select queue to delete:');
+    if (!queueName) {
+        return;
+    }
+
+    const usedBy = [
+        ...getFunctionNames(state.template)
+            .filter(functionName => referencesResource(getResource(state.template, functionName), queueName)),
+        ...getQueueRules(state.template).filter(rule => rule.queue === queueName).map(rule => rule.name),
+    ];
+    if (usedBy.length > 0) {
+        throw new Error(`Cannot delete queue '${queueName}': it is used by ${usedBy.join(', ')}. Detach it from the lambda first.`);
+    }
+
+    const { confirmDelete } = await inquirer.prompt([{
+        type: 'confirm',
+        name: 'confirmDelete',
+        message: `Are you sure you want to delete queue '${queueName}'?`,
+        default: false,
+    }]);
+    if (!confirmDelete) {
+        console.log(chalk.gray('Deletion cancelled.'));
+        return;
+    }
+
+    const deadLetterQueue = getDeadLetterQueue(state.template, queueName);
+    if (!await applyOperation(state, operations.deleteQueue, { name: queueName }, `Queue '${queueName}' deleted`)) {
+        return;
+    }
+
+    console.log(chalk.green(`✓ Deleted queue '${queueName}'${deadLetterQueue ? ` and '${deadLetterQueue}'` : ''}`));
+}
+
+async function createBucket() {
+    const state = await loadProject(process.cwd());
+
+    const answers = await inquirer.prompt([
+        {
+            type: 'input',
+            name: 'bucketName',
+            message: 'Bucket name:',
+            validate: (value) => {
+                if (!/^[a-zA-Z0-9]+$/.test(value)) {
+                    return 'Please enter a valid bucket name (letters and numbers only).';
+                }
+                if (hasResource(state.template, value)) {
+                    return `Resource '${value}' already exists in template.yaml`;
+                }
+                return true;
+            },
+        },
+        {
+            type: 'rawlist',
+            name: 'encryption',
+            message: 'Server-side encryption:',
+            choices: [
+                { name: 'S3 managed keys (AES256)', value: 'AES256' },
+                { name: 'KMS (aws:kms)', value: 'aws:kms' },
+            ],
+        },
+        {
+            type: 'confirm',
+            name: 'blockPublicAccess',
+            message: 'Block all public access?',
+            default: true,
+        },
+        {
+            type: 'input',
+            name: 'corsOrigins',
+            message: 'Origins allowed to upload and download from a browser (comma separated, empty for none):',
+        },
+        {
+            type: 'confirm',
+            name: 'wantsLifecycle',
+            message: 'Expire objects or move them to infrequent access after some days?',
+            default: false,
+        },
+    ]);
+
+    const lifecycle = await inquirer.prompt([
+        {
+            type: 'input',
+            name: 'prefix',
+            message: 'Key prefix of the objects (empty for every object):',
+            validate: (value) => operations.validateKeyFilter(value, 'Prefix'),
+        },
+        {
+            type: 'input',
+            name: 'infrequentAccessDays',
+            message: 'Days before moving objects to infrequent access (empty to skip):',
+            validate: (value) => value === '' || operations.validateInteger(value, 'Infrequent access days', 30, 36500),
+        },
+        {
+            type: 'input',
+            name: 'expirationDays',
+            message: 'Days before deleting objects (empty to skip):',
+            validate: (value, current) => value === '' || operations.validateLifecycleRule({
+                expirationDays: value,
+                infrequentAccessDays: current.infrequentAccessDays,
+            }),
+        },
+    ].map(question => ({ ...question, when: () => answers.wantsLifecycle })));
+
+    const lifecycleRules = answers.wantsLifecycle && (lifecycle.expirationDays || lifecycle.infrequentAccessDays) ? [{
+        prefix: lifecycle.prefix,
+        ...(lifecycle.expirationDays && { expirationDays: Number(lifecycle.expirationDays) }),
+        ...(lifecycle.infrequentAccessDays && { infrequentAccessDays: Number(lifecycle.infrequentAccessDays) }),
+    }] : [];
+
+    const { bucketName } = answers;
+    if (!await applyOperation(state, operations.createBucket, {
+        name: bucketName,
+        encryption: answers.encryption,
+        blockPublicAccess: answers.blockPublicAccess,
+        corsOrigins: answers.corsOrigins.split(',').map(origin => origin.trim()).filter(Boolean),
+        lifecycleRules,
+    }, `Bucket '${bucketName}' created`)) {
+        return;
+    }
+
+    console.log(chalk.green(`✓ Created S3 bucket '${bucketName}'`));
+    console.log(chalk.gray(`  - Policies '${bucketName}ReadPolicy' and '${bucketName}WritePolicy'`));
+
+    const updatedState = await loadProject(process.cwd());
+    const { trigger } = await inquirer.prompt([{
+        type: 'rawlist',
+        name: 'trigger',
+        message: 'Which Lambda runs when objects are created in the bucket?',
+        choices: ['a new Lambda', ...getFunctionNames(updatedState.template), 'none for now'],
+    }]);
+
+    if (trigger === 'a new Lambda') {
+        await createBucketConsumer(updatedState, bucketName);
+    } else if (trigger !== 'none for now') {
+        await addBucketTrigger(bucketName, trigger);
+    }
+}
+
+/**
+ * Create a Lambda run on the new objects of a bucket, with an S3Event handler and its test
+ */
+async function createBucketConsumer(state, bucketName) {
+    const existingLambdas = getFunctionNames(state.template)
+        .map(name => operations.getLambdaFolder(state.template, name))
+        .filter(Boolean);
+
+    const { lambdaName } = await inquirer.prompt([{
+        type: 'input',
+        name: 'lambdaName',
+        message: 'What is the name of your Lambda function?',
+        validate: (value) => {
+            if (!value.length) {
+                return 'Please enter a valid function name.';
+            }
+            if (existingLambdas.includes(value)) {
+                return `Lambda '${value}' already exists. Please choose a different name.`;
+            }
+            return true;
+        },
+    }]);
+    const bucketTrigger = await askBucketTrigger(bucketName);
+
+    if (!await applyOperation(state, operations.createLambda, { name: lambdaName, bucketTrigger },
+        `Lambda '${lambdaName}Function' created`)) {
+        return;
+    }
+
+    console.log(chalk.green(`✓ Lambda '${lambdaName}' created successfully!`));
+    console.log(chalk.gray(`  - Runs on new objects of '${bucketName}'`));
+    console.log(chalk.gray(`  - Created src/${lambdaName}/handler.ts`));
+    console.log(chalk.gray(`  - Created src/${lambdaName}/handler.test.ts`));
+}
+
+/**
+ * Ask for the key filters of the objects running a Lambda
+ * @returns {Promise<import('./operations.js').BucketTrigger>}
+ */
+async function askBucketTrigger(bucketName) {
+    const { prefix, suffix } = await inquirer.prompt([
+        {
+            type: 'input',
+            name: 'prefix',
+            message: 'Key prefix of the objects (e.g. incoming/, empty for any):',
+            validate: (value) => operations.validateKeyFilter(value, 'Prefix'),
+        },
+        {
+            type: 'input',
+            name: 'suffix',
+            message: 'Key suffix of the objects (e.g. .jpg, empty for any):',
+            validate: (value) => operations.validateKeyFilter(value, 'Suffix'),
+        },
+    ]);
+    return { bucket: bucketName, prefix, suffix };
+}
+
+/**
+ * Ask for a bucket of the template; null when there is none
+ */
+async function selectBucket(state, message) {
+    const buckets = getResourceNames(state.template, 'AWS::S3::Bucket');
+    if (buckets.length === 0) {
+        console.log(chalk.yellow('No buckets found in template.yaml'));
+        return null;
+    }
+    const { bucketName } = await inquirer.prompt([{
+        type: 'rawlist',
+        name: 'bucketName',
+        message,
+        choices: buckets,
+    }]);
+    return bucketName;
+}
+
+async function attachBucket() {
+    const state = await loadProject(process.cwd());
+
+    const bucketName = await selectBucket(state, 'Which bucket do you want to attach?');
+    if (!bucketName) {
+        return;
+    }
+    const { selectedLambdas, access } = await inquirer.prompt([
+        {
+            type: 'checkbox',
+            name: 'selectedLambdas',
+            message: 'Select the Lambdas using the bucket:',
+            choices: getFunctionNames(state.template),
+        },
+        {
+            type: 'rawlist',
+            name: 'access',
+            message: 'Access:',
+            choices: operations.BUCKET_ACCESS,
+        },
+    ]);
+
+    // One transaction per Lambda, each can be undone
+    let current = state;
+    for (const functionName of selectedLambdas) {
+        if (!await applyOperation(current, operations.attachBucket, { functionName, bucket: bucketName, access },
+            `Bucket '${bucketName}' attached to '${functionName}' (${access})`)) {
+            return;
+        }
+        console.log(chalk.green(`✓ '${functionName}' can ${access.replace('-', ' and ')} '${bucketName}'`));
+        current = await loadProject(process.cwd());
+    }
+    if (selectedLambdas.length > 0) {
+        console.log(chalk.gray(`  - The bucket name is in the ${operations.getBucketVariable(bucketName)} environment variable`));
+    }
+}
+
+async function addBucketTrigger(bucketName, functionName) {
+    const state = await loadProject(process.cwd());
+
+    if (!bucketName) {
+        bucketName = await selectBucket(state, 'Which bucket runs the Lambda?');
+        if (!bucketName) {
+            return;
+        }
+        ({ functionName } = await inquirer.prompt([{
+            type: 'rawlist',
+            name: 'functionName',
+            message: 'Which Lambda runs on new objects?',
+            choices: getFunctionNames(state.template),
+        }]));
+    }
+    const trigger = await askBucketTrigger(bucketName);
+
+    // Adds the S3 event, the read policy and the bucket name variable
+    if (!await applyOperation(state, operations.addBucketTrigger, { functionName, trigger },
+        `'${functionName}' runs on new objects of '${bucketName}'`)) {
+        return;
+    }
+
+    console.log(chalk.green(`✓ '${functionName}' runs on new objects of '${bucketName}'`));
+    console.log(chalk.gray(`  - Added ${bucketName}ReadPolicy`));
+    console.log(chalk.gray(`\nNext steps:`));
+    console.log(chalk.gray(`  Handle S3Event records in the handler of '${functionName}'`));
+}
+
+async function createUploadEndpoint() {
+    const state = await loadProject(process.cwd());
+
+    const bucketName = await selectBucket(state, 'Which bucket receives the uploads?');
+    if (!bucketName) {
+        return;
+    }
+    const apiGateways = getResourceNames(state.template, 'AWS::Serverless::Api');
+    if (apiGateways.length === 0) {
+        console.log(chalk.yellow('No API Gateways found in template.yaml'));
+        return;
+    }
+
+    const existingLambdas = getFunctionNames(state.template)
+        .map(name => operations.getLambdaFolder(state.template, name))
+        .filter(Boolean);
+    const { api, lambdaName, endpointPath, prefix } = await inquirer.prompt([
+        {
+            type: 'rawlist',
+            name: 'api',
+            message: 'Which API Gateway serves the endpoint?',
+            choices: apiGateways,
+        },
+        {
+            type: 'input',
+            name: 'lambdaName',
+            message: 'Name of the Lambda returning upload URLs:',
+            default: 'createUpload',
+            validate: (value) => {
+                if (!/^[a-zA-Z0-9]+$/.test(value)) {
+                    return 'Please enter a valid function name.';
+                }
+                if (existingLambdas.includes(value)) {
+                    return `Lambda '${value}' already exists. Please choose a different name.`;
+                }
+                return true;
+            },
+        },
+        {
+            type: 'input',
+            name: 'endpointPath',
+            message: 'Path:',
+            default: '/uploads',
+            validate: (value) => value.startsWith('/') || 'Path must start with /',
+        },
+        {
+            type: 'input',
+            name: 'prefix',
+            message: 'Key prefix of the uploaded objects:',
+            default: 'uploads/',
+            validate: (value) => operations.validateKeyFilter(value, 'Prefix'),
+        },
+    ]);
+
+    if (!await applyOperation(state, operations.createUploadEndpoint, {
+        bucket: bucketName,
+        api,
+        name: lambdaName,
+        path: endpointPath,
+        prefix,
+    }, `Endpoint POST ${endpointPath} → ${lambdaName}Function added to '${api}'`)) {
+        return;
+    }
+
+    console.log(chalk.green(`✓ Added POST ${endpointPath} to '${api}'`));
+    console.log(chalk.gray(`  - Created src/${lambdaName}/handler.ts, returning a presigned PUT URL for '${bucketName}'`));
+    console.log(chalk.gray(`  - Added ${bucketName}WritePolicy to ${lambdaName}Function`));
+    console.log(chalk.gray(`\nNext steps:`));
+    console.log(chalk.gray(`  npm install @aws-sdk/client-s3 @aws-sdk/s3-request-presigner (if missing)`));
+}
+
+async function detachBucket() {
+    const state = await loadProject(process.cwd());
+
+    const bucketName = await selectBucket(state, 'Which bucket do you want to detach?');
+    if (!bucketName) {
+        return;
+    }
+
+    const lambdas = operations.getBucketUsers(state.template, bucketName);
+    if (lambdas.length === 0) {
+        console.log(chalk.yellow(`No Lambda uses '${bucketName}'`));
+        return;
+    }
+
+    const { functionName } = await inquirer.prompt([{
+        type: 'rawlist',
+        name: 'functionName',
+        message: 'Select the Lambda to detach:',
+        choices: lambdas,
+    }]);
+
+    const triggers = getS3Events(state.template, functionName).filter(event => event.bucket === bucketName);
+
+    // Removes the S3 events, policies and environment variable of the bucket
+    if (!await applyOperation(state, operations.detachBucket, { functionName, bucket: bucketName },
+        `Bucket '${bucketName}' detached from '${functionName}'`)) {
+        return;
+    }
+
+    console.log(chalk.green(`✓ Detached '${bucketName}' from '${functionName}'`));
+    if (triggers.length > 0) {
+        console.log(chalk.gray(`  - Removed ${triggers.length} S3 event(s)`));
+    }
+}
+
+async function deleteBucket() {
+    const state = await loadProject(process.cwd());
+
+    const bucketName = await selectBucket(state, 'Select bucket to delete:');
+    if (!bucketName) {
+        return;
+    }
+
+    const usedBy = operations.getBucketUsers(state.template, bucketName);
+    if (usedBy.length > 0) {
+        throw new Error(`Cannot delete bucket '${bucketName}': it is used by ${usedBy.join(', ')}. Detach it from the lambda first.`);
+    }
+
+    const { confirmDelete } = await inquirer.prompt([{
+        type: 'confirm',
+        name: 'confirmDelete',
+        message: `Are you sure you want to delete bucket '${bucketName}'? CloudFormation retains the bucket and its objects.`,
+        default: false,
+    }]);
+    if (!confirmDelete) {
+        console.log(chalk.gray('Deletion cancelled.'));
+        return;
+    }
+
+    if (!await applyOperation(state, operations.deleteBucket, { name: bucketName }, `Bucket '${bucketName}' deleted`)) {
+        return;
+    }
+
+    console.log(chalk.green(`✓ Deleted bucket '${bucketName}' and its policies from template.yaml`));
+}
+
+async function createTopic() {
+    const state = await loadProject(process.cwd());
+
+    const { topicName } = await inquirer.prompt([{
+        type: 'input',
+        name: 'topicName',
+        message: 'Topic name:',
+        validate: (value) => {
+            if (!/^[a-zA-Z0-9]+$/.test(value)) {
+                return 'Please enter a valid topic name (letters and numbers only).';
+            }
+            if (hasResource(state.template, value)) {
+                return `Resource '${value}' already exists in template.yaml`;
+            }
+            return true;
+        },
+    }]);
+
+    if (!await applyOperation(state, operations.createTopic, { name: topicName }, `Topic '${topicName}' created`)) {
+        return;
+    }
+    console.log(chalk.green(`✓ Created SNS topic '${topicName}'`));
+
+    const updatedState = await loadProject(process.cwd());
+    const { subscriber } = await inquirer.prompt([{
+        type: 'rawlist',
+        name: 'subscriber',
+        message: 'Which Lambda subscribes to the topic?',
+        choices: ['a new Lambda', ...getFunctionNames(updatedState.template), 'none for now'],
+    }]);
+
+    if (subscriber === 'a new Lambda') {
+        const lambdaName = await askNewLambdaName(updatedState);
+        const subscription = await askSubscription(topicName);
+        if (!await applyOperation(updatedState, operations.createLambda, { name: lambdaName, subscription },
+            `Lambda '${lambdaName}Function' created`)) {
+            return;
+        }
+        console.log(chalk.green(`✓ Lambda '${lambdaName}' created successfully!`));
+        console.log(chalk.gray(`  - Subscribed to '${topicName}'`));
+        console.log(chalk.gray(`  - Created src/${lambdaName}/handler.ts`));
+        console.log(chalk.gray(`  - Created src/${lambdaName}/handler.test.ts`));
+    } else if (subscriber !== 'none for now') {
+        await subscribeToTopic(topicName, subscriber);
+    }
+}
+
+/**
+ * Ask for the filter policy of a topic subscription
+ * @returns {Promise<import('./operations.js').TopicSubscription>}
+ */
+async function askSubscription(topicName) {
+    const { filterPolicyScope, filterPolicy } = await inquirer.prompt([
+        {
+            type: 'rawlist',
+            name: 'filterPolicyScope',
+            message: 'Filter the messages on:',
+            choices: [
+                { name: 'nothing, receive every message', value: null },
+                { name: 'their attributes', value: 'MessageAttributes' },
+                { name: 'their JSON body', value: 'MessageBody' },
+            ],
+        },
+        {
+            type: 'input',
+            name: 'filterPolicy',
+            message: 'Filter policy (e.g. {"type": ["created"]}):',
+            when: (answers) => answers.filterPolicyScope !== null,
+            validate: (value, answers) => operations.validateFilterPolicy(value, answers.filterPolicyScope),
+        },
+    ]);
+    return {
+        topic: topicName,
+        ...(filterPolicyScope && { filterPolicy, filterPolicyScope }),
+    };
+}
+
+async function subscribeToTopic(topicName, functionName) {
+    const state = await loadProject(process.cwd());
+
+    if (!topicName) {
+        topicName = await selectResourceOfType(state, 'AWS::SNS::Topic', 'topics', 'Which topic do you want to subscribe to?');
+        if (!topicName) {
+            return;
+        }
+        ({ functionName } = await inquirer.prompt([{
+            type: 'rawlist',
+            name: 'functionName',
+            message: 'Which Lambda receives the messages?',
+            choices: getFunctionNames(state.template),
+        }]));
+    }
+    const subscription = await askSubscription(topicName);
+
+    if (!await applyOperation(state, operations.subscribeToTopic, { functionName, subscription },
+        `'${functionName}' subscribed to topic '${topicName}'`)) {
+        return;
+    }
+
+    console.log(chalk.green(`✓ '${functionName}' receives the messages of '${topicName}'`));
+    console.log(chalk.gray(`\nNext steps:`));
+    console.log(chalk.gray(`  Handle SNSEvent records in the handler of '${functionName}'`));
+}
+
+/**
+ * Allow a Lambda to publish to a topic or an event bus, generating its publisher helper
+ */
+async function allowPublish(type, label, plural) {
+    const state = await loadProject(process.cwd());
+
+    const target = await selectResourceOfType(state, type, plural, `Which ${label} do you want to publish to?`);
+    if (!target) {
+        return;
+    }
+    const { functionName } = await inquirer.prompt([{
+        type: 'rawlist',
+        name: 'functionName',
+        message: 'Which Lambda publishes?',
+        choices: getFunctionNames(state.template),
+    }]);
+
+    const changes = await applyOperation(state, operations.allowPublish, { functionName, target },
+        `'${functionName}' allowed to publish to ${label} '${target}'`);
+    if (!changes) {
+        return;
+    }
+
+    console.log(chalk.green(`✓ '${functionName}' can publish to '${target}'`));
+    console.log(chalk.gray(`  - ${operations.getPublisherVariable(state.template, target)} environment variable`));
+    if (changes.length > 1) {
+        console.log(chalk.gray(`  - Created src/utils/${target}Publisher.ts`));
+    }
+    console.log(chalk.gray(`\nNext steps:`));
+    console.log(chalk.gray(`  Import src/utils/${target}Publisher in the handler of '${functionName}'`));
+}
+
+async function detachTopic() {
+    const state = await loadProject(process.cwd());
+
+    const topicName = await selectResourceOfType(state, 'AWS::SNS::Topic', 'topics', 'Which topic do you want to detach?');
+    if (!topicName) {
+        return;
+    }
+
+    const lambdas = getFunctionNames(state.template)
+        .filter(functionName => referencesResource(getResource(state.template, functionName), topicName));
+    if (lambdas.length === 0) {
+        console.log(chalk.yellow(`No Lambda uses '${topicName}'`));
+        return;
+    }
+    const { functionName } = await inquirer.prompt([{
+        type: 'rawlist',
+        name: 'functionName',
+        message: 'Select the Lambda to detach:',
+        choices: lambdas,
+    }]);
+
+    // Removes the SNS events, SNSPublishMessagePolicy and environment variable of the topic
+    if (!await applyOperation(state, operations.detachTopic, { functionName, topic: topicName },
+        `Topic '${topicName}' detached from '${functionName}'`)) {
+        return;
+    }
+
+    console.log(chalk.green(`✓ Detached '${topicName}' from '${functionName}'`));
+}
+
+async function deleteTopic() {
+    const state = await loadProject(process.cwd());
+
+    const topicName = await selectResourceOfType(state, 'AWS::SNS::Topic', 'topics', 'Select topic to delete:');
+    if (!topicName) {
+        return;
+    }
+
+    const usedBy = getFunctionNames(state.template)
+        .filter(functionName => referencesResource(getResource(state.template, functionName), topicName));
+    if (usedBy.length > 0) {
+        throw new Error(`Cannot delete topic '${topicName}': it is used by ${usedBy.join(', ')}. Detach it from the lambda first.`);
+    }
+
+    const { confirmDelete } = await inquirer.prompt([{
+        type: 'confirm',
+        name: 'confirmDelete',
+        message: `Are you sure you want to delete topic '${topicName}'?`,
+        default: false,
+    }]);
+    if (!confirmDelete) {
+        console.log(chalk.gray('Deletion cancelled.'));
+        return;
+    }
+
+    if (!await applyOperation(state, operations.deleteTopic, { name: topicName }, `Topic '${topicName}' deleted`)) {
+        return;
+    }
+
+    console.log(chalk.green(`✓ Deleted topic '${topicName}'`));
+}
+
+async function createEventBus() {
+    const state = await loadProject(process.cwd());
+
+    const { busName } = await inquirer.prompt([{
+        type: 'input',
+        name: 'busName',
+        message: 'Event bus name:',
+        validate: (value) => {
+            if (!/^[a-zA-Z0-9]+$/.test(value) || value === 'default') {
+                return 'Please enter a valid event bus name (letters and numbers only, not default).';
+            }
+            if (hasResource(state.template, value)) {
+                return `Resource '${value}' already exists in template.yaml`;
+            }
+            return true;
+        },
+    }]);
+
+    if (!await applyOperation(state, operations.createEventBus, { name: busName }, `Event bus '${busName}' created`)) {
+        return;
+    }
+    console.log(chalk.green(`✓ Created event bus '${busName}'`));
+
+    const { addRule } = await inquirer.prompt([{
+        type: 'confirm',
+        name: 'addRule',
+        message: 'Do you want to add a rule to the bus?',
+        default: true,
+    }]);
+    if (addRule) {
+        await addEventRule(busName);
+    }
+}
+
+/**
+ * Add a rule sending the events of a bus matching a pattern to a Lambda, new or
+ * existing, or to a queue
+ */
+async function addEventRule(busName) {
+    const state = await loadProject(process.cwd());
+
+    if (!busName) {
+        ({ busName } = await inquirer.prompt([{
+            type: 'rawlist',
+            name: 'busName',
+            message: 'Which event bus do the events come from?',
+            choices: ['default', ...getResourceNames(state.template, 'AWS::Events::EventBus')],
+        }]));
+    }
+
+    const { pattern, target } = await inquirer.prompt([
+        {
+            type: 'input',
+            name: 'pattern',
+            message: 'Event pattern (e.g. {"detail-type": ["OrderPlaced"]}):',
+            validate: (value) => operations.validateEventPattern(value),
+        },
+        {
+            type: 'rawlist',
+            name: 'target',
+            message: 'Where are the matching events sent?',
+            choices: [
+                { name: 'a new Lambda', value: { newLambda: true } },
+                ...getFunctionNames(state.template).map(functionName => ({ name: functionName, value: { functionName } })),
+                ...getQueueNames(state.template).map(queue => ({ name: `queue ${queue}`, value: { queue } })),
+            ],
+        },
+    ]);
+    const rule = { bus: busName, pattern };
+    const source = busName === 'default' ? 'the default event bus' : `'${busName}'`;
+
+    if (target.newLambda) {
+        const lambdaName = await askNewLambdaName(state);
+        if (!await applyOperation(state, operations.createLambda, { name: lambdaName, eventRule: rule },
+            `Lambda '${lambdaName}Function' created`)) {
+            return;
+        }
+        console.log(chalk.green(`✓ Lambda '${lambdaName}' created successfully!`));
+        console.log(chalk.gray(`  - Runs on the matching events of ${source}`));
+        console.log(chalk.gray(`  - Created src/${lambdaName}/handler.ts`));
+        console.log(chalk.gray(`  - Created src/${lambdaName}/handler.test.ts`));
+        return;
+    }
+
+    if (!await applyOperation(state, operations.addEventRule, { rule, ...target },
+        `Rule on ${source} added to '${target.functionName || target.queue}'`)) {
+        return;
+    }
+
+    console.log(chalk.green(`✓ Matching events of ${source} are sent to '${target.functionName || target.queue}'`));
+    if (target.queue) {
+        console.log(chalk.gray(`  - EventBridge may send to '${target.queue}' through ${target.queue}EventsPolicy`));
+    }
+}
+
+async function removeEventRule() {
+    const state = await loadProject(process.cwd());
+
+    const rules = operations.getEventRules(state.template);
+    if (rules.length === 0) {
+        console.log(chalk.yellow('No rules found in template.yaml'));
+        return;
+    }
+
+    const { selected } = await inquirer.prompt([{
+        type: 'rawlist',
+        name: 'selected',
+        message: 'Select the rule to remove:',
+        choices: rules.map(rule => ({
+            name: `${rule.bus || 'default'} → ${rule.functionName ? `${rule.functionName} (${rule.event})` : `queue ${rule.queue} (${rule.rule})`}: ${JSON.stringify(rule.pattern)}`,
+            value: rule,
+        })),
+    }]);
+
+    const options = selected.rule ? { rule: selected.rule } : { functionName: selected.functionName, event: selected.event };
+    if (!await applyOperation(state, operations.removeEventRule, options,
+        `Rule ${selected.rule || selected.event} removed`)) {
+        return;
+    }
+
+    console.log(chalk.green(`✓ Removed rule ${selected.rule || `${selected.event} of '${selected.functionName}'`}`));
+}
+
+async function detachEventBus() {
+    const state = await loadProject(process.cwd());
+
+    const busName = await selectResourceOfType(state, 'AWS::Events::EventBus', 'event buses', 'Which event bus do you want to detach?');
+    if (!busName) {
+        return;
+    }
+
+    const lambdas = getFunctionNames(state.template)
+        .filter(functionName => referencesResource(getResource(state.template, functionName), busName));
+    if (lambdas.length === 0) {
+        console.log(chalk.yellow(`No Lambda uses '${busName}'`));
+        return;
+    }
+    const { functionName } = await inquirer.prompt([{
+        type: 'rawlist',
+        name: 'functionName',
+        message: 'Select the Lambda to detach:',
+        choices: lambdas,
+    }]);
+
+    // Removes the rules, EventBridgePutEventsPolicy and environment variable of the bus
+    if (!await applyOperation(state, operations.detachEventBus, { functionName, bus: busName },
+        `Event bus '${busName}' detached from '${functionName}'`)) {
+        return;
+    }
+
+    console.log(chalk.green(`✓ Detached '${busName}' from '${functionName}'`));
+}
+
+async function deleteEventBus() {
+    const state = await loadProject(process.cwd());
+
+    const busName = await selectResourceOfType(state, 'AWS::Events::EventBus', 'event buses', 'Select event bus to delete:');
+    if (!busName) {
+        return;
+    }
+
+    const usedBy = [
+        ...getFunctionNames(state.template)
+            .filter(functionName => referencesResource(getResource(state.template, functionName), busName)),
+        ...getQueueRules(state.template).filter(rule => rule.bus === busName).map(rule => rule.name),
+    ];
+    if (usedBy.length > 0) {
+        throw new Error(`Cannot delete event bus '${busName}': it is used by ${usedBy.join(', ')}. Remove its rules and publishers first.`);
+    }
+
+    const { confirmDelete } = await inquirer.prompt([{
+        type: 'confirm',
+        name: 'confirmDelete',
+        message: `Are you sure you want to delete event bus '${busName}'?`,
+        default: false,
+    }]);
+    if (!confirmDelete) {
+        console.log(chalk.gray('Deletion cancelled.'));
+        return;
+    }
+
+    if (!await applyOperation(state, operations.deleteEventBus, { name: busName }, `Event bus '${busName}' deleted`)) {
+        return;
+    }
+
+    console.log(chalk.green(`✓ Deleted event bus '${busName}'`));
+}
+
+/**
+ * Ask for a resource of a type (a topic, an event bus); null when there is none
+ */
+async function selectResourceOfType(state, type, plural, message) {
+    const names = getResourceNames(state.template, type);
+    if (names.length === 0) {
+        console.log(chalk.yellow(`No ${plural} found in template.yaml`));
+        return null;
+    }
+    const { name } = await inquirer.prompt([{
+        type: 'rawlist',
+        name: 'name',
+        message,
+        choices: names,
+    }]);
+    return name;
+}
+
+/**
+ * Ask for the name of a new Lambda
+ */
+async function askNewLambdaName(state) {
+    const existingLambdas = getFunctionNames(state.template)
+        .map(name => operations.getLambdaFolder(state.template, name))
+        .filter(Boolean);
+
+    const { lambdaName } = await inquirer.prompt([{
+        type: 'input',
+        name: 'lambdaName',
+        message: 'What is the name of your Lambda function?',
+        validate: (value) => {
+            if (!value.length) {
+                return 'Please enter a valid function name.';
+            }
+            if (existingLambdas.includes(value)) {
+                return `Lambda '${value}' already exists. Please choose a different name.`;
+            }
+            return true;
+        },
+    }]);
+    return lambdaName;
+}
+
+/**
+ * Ask for the expression, input and state of a schedule
+ * @returns {Promise<import('./operations.js').Schedule>}
+ */
+async function askSchedule() {
+    const { expression, input, enabled } = await inquirer.prompt([
+        {
+            type: 'input',
+            name: 'expression',
+            message: 'Schedule expression (e.g. rate(1 hour) or cron(0 2 * * ? *)):',
+            validate: (value) => operations.validateScheduleExpression(value),
+        },
+        {
+            type: 'input',
+            name: 'input',
+            message: 'JSON input passed to the Lambda (leave empty to receive the ScheduledEvent):',
+            validate: (value) => value.trim() === '' || operations.validateScheduleInput(value),
+        },
+        {
+            type: 'confirm',
+            name: 'enabled',
+            message: 'Enable the schedule now?',
+            default: true,
+        },
+    ]);
+    return {
+        expression: expression.trim(),
+        ...(input.trim() && { input: input.trim() }),
+        enabled,
+    };
+}
+
+/**
+ * Schedules of a Lambda for the listings, e.g. "rate(1 hour), cron(0 2 * * ? *) (disabled)"
+ */
+function describeSchedules(doc, functionName) {
+    return getScheduleEvents(doc, functionName)
+        .map(event => (event.enabled ? event.schedule : `${event.schedule} (disabled)`))
+        .join(', ');
+}
+
+/**
+ * Run an operation on the project and write its changes as a transaction that can be undone.
+ * In a dry run the diff is shown and the changes are only written once confirmed.
+ * Errors are thrown and nothing is written
+ * @param {import('./project.js').ProjectState} state - Project state
+ * @param {Function} operation - Operation from operations.js
+ * @param {Object} options - Options of the operation
+ * @param {string} description - What the operation does, recorded in the history
+ * @returns {Promise<import('./project.js').Change[]|null>} The applied changes, null when the dry run was declined
+ */
+async function applyOperation(state, operation, options, description) {
+    const changes = await operation(state, options);
+    if (dryRun) {
+        console.log(`\n${await previewChanges(state.path, changes)}\n`);
+        const { confirmChanges } = await inquirer.prompt([{
+            type: 'confirm',
+            name: 'confirmChanges',
+            message: 'Apply these changes?',
+            default: false,
+        }]);
+        if (!confirmChanges) {
+            console.log(chalk.gray('No changes applied.'));
+            return null;
+        }
+    }
+    await applyTransaction(state.path, changes, description);
+    return changes;
 }
@@ -1,6 +1,12 @@
 export default {
     preset: 'ts-jest/presets/default-esm',
     testEnvironment: 'node',
+    // lib/templates holds the sources copied by sam-smith:update, not tests of this project, and
+    // .build the JavaScript compiled by npm run build, tests and migrations included
+    testPathIgnorePatterns: ['/node_modules/', '<rootDir>/lib/', '<rootDir>/.build/'],
+    // Local DynamoDB with the tables of template.yaml, see lib/dynamo-local.js
+    globalSetup: '<rootDir>/lib/jest-global-setup.js',
+    globalTeardown: '<rootDir>/lib/jest-global-teardown.js',
     transform: {
         '^.+\\.tsx?$': ['ts-jest', {
             useESM: true,
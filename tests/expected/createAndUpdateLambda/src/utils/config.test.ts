@@ -0,0 +1,17 @@
+import { loadLambda2Config } from './config';
+
+describe('loadLambda2Config', function () {
+    const env = {
+        A2: 'a2',
+    };
+
+    it('reads the variables of lambda2', () => {
+        expect(loadLambda2Config(env)).toEqual({
+            a2: 'a2',
+        });
+    });
+
+    it('fails when a variable is missing', () => {
+        expect(() => loadLambda2Config({ ...env, A2: undefined })).toThrow('A2');
+    });
+});
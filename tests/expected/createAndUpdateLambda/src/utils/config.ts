@@ -0,0 +1,26 @@
+// Generated by sam-smith from the Environment.Variables of template.yaml, and rewritten
+// when they change: do not edit. Load the config of a Lambda at the top of its handler,
+// so that a missing variable fails the cold start:
+//   const config = loadLambda2Config();
+
+type Env = Record<string, string | undefined>;
+
+function required(env: Env, name: string): string {
+    const value = env[name];
+    if (value === undefined || value === '') {
+        throw new Error(`Environment variable ${name} is not set`);
+    }
+    return value;
+}
+
+/** Variables of lambda2Function (src/lambda2) */
+export interface Lambda2Config {
+    /** A2 */
+    readonly a2: string;
+}
+
+export function loadLambda2Config(env: Env = process.env): Lambda2Config {
+    return Object.freeze({
+        a2: required(env, 'A2'),
+    });
+}
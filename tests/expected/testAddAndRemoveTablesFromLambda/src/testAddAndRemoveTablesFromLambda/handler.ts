@@ -1,6 +1,6 @@
 import { APIGatewayProxyEvent, APIGatewayProxyResult } from 'aws-lambda';
 import { greet } from '../utils/greet';
-import { tryTabla2Query } from '../utils/tabla2Handler';
+import * as tabla2Repository from '../utils/tabla2Handler';
 export const testAddAndRemoveTablesFromLambda = async (event: APIGatewayProxyEvent): Promise<APIGatewayProxyResult> => {
     greet("testAddAndRemoveTablesFromLambda");
     return {
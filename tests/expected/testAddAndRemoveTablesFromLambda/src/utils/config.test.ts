@@ -0,0 +1,17 @@
+import { loadTestAddAndRemoveTablesFromLambdaConfig } from './config';
+
+describe('loadTestAddAndRemoveTablesFromLambdaConfig', function () {
+    const env = {
+        TABLA2_TABLE_NAME: 'value',
+    };
+
+    it('reads the variables of testAddAndRemoveTablesFromLambda', () => {
+        expect(loadTestAddAndRemoveTablesFromLambdaConfig(env)).toEqual({
+            tabla2TableName: 'value',
+        });
+    });
+
+    it('fails when a variable is missing', () => {
+        expect(() => loadTestAddAndRemoveTablesFromLambdaConfig({ ...env, TABLA2_TABLE_NAME: undefined })).toThrow('TABLA2_TABLE_NAME');
+    });
+});
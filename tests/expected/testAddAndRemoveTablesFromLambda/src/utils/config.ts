@@ -0,0 +1,26 @@
+// Generated by sam-smith from the Environment.Variables of template.yaml, and rewritten
+// when they change: do not edit. Load the config of a Lambda at the top of its handler,
+// so that a missing variable fails the cold start:
+//   const config = loadTestAddAndRemoveTablesFromLambdaConfig();
+
+type Env = Record<string, string | undefined>;
+
+function required(env: Env, name: string): string {
+    const value = env[name];
+    if (value === undefined || value === '') {
+        throw new Error(`Environment variable ${name} is not set`);
+    }
+    return value;
+}
+
+/** Variables of testAddAndRemoveTablesFromLambdaFunction (src/testAddAndRemoveTablesFromLambda) */
+export interface TestAddAndRemoveTablesFromLambdaConfig {
+    /** TABLA2_TABLE_NAME */
+    readonly tabla2TableName: string;
+}
+
+export function loadTestAddAndRemoveTablesFromLambdaConfig(env: Env = process.env): TestAddAndRemoveTablesFromLambdaConfig {
+    return Object.freeze({
+        tabla2TableName: required(env, 'TABLA2_TABLE_NAME'),
+    });
+}
@@ -1,51 +1,82 @@
-import { tryTabla1Query } from './tabla1Handler';
-import { DynamoClient } from 'dynamo-query-builder';
-
-// Mock dynamo-query-builder
-jest.mock('dynamo-query-builder', () => {
-    const mockTable = {
-        put: jest.fn().mockResolvedValue(undefined),
-        getOne: jest.fn().mockResolvedValue({
-            a: 'a',
-            b: 'b',
-            c: 'c',
-            e: 'e',
-            data: 'Hello!',
-        }),
-        delete: jest.fn().mockResolvedValue(undefined),
-    };
-
-    return {
-        DynamoClient: jest.fn().mockImplementation(() => ({
-            table: jest.fn().mockReturnValue(mockTable),
-        })),
-    };
-});
+import { getTabla1Item, putTabla1Item, updateTabla1Item, deleteTabla1Item, queryTabla1 } from './tabla1Handler';
+import type { Tabla1Pk, Tabla1Sk, Tabla1Item } from './tabla1Handler';
+
+// The tests run against the local DynamoDB started by lib/jest-global-setup.js
+const pkOf = (test: string): Tabla1Pk => ({ a: `a-${test}`, b: `b-${test}` });
+const skOf = (test: string, n: number): Tabla1Sk => ({ c: `c-${n}`, e: `e-${n}`, a: `a-${test}` });
+const itemOf = (pk: Tabla1Pk, sk: Tabla1Sk): Tabla1Item => ({ ...pk, ...sk, data: 'Hello!' });
+
+async function putItems(items: Tabla1Item[]): Promise<void> {
+    for (const item of items) {
+        await putTabla1Item(item);
+    }
+}
 
 describe('tabla1Handler', () => {
-    beforeEach(() => {
-        jest.clearAllMocks();
+    it('puts and gets an item', async () => {
+        const [pk, sk] = [pkOf('put'), skOf('put', 1)];
+
+        await putTabla1Item(itemOf(pk, sk));
+
+        await expect(getTabla1Item(pk, sk)).resolves.toMatchObject(itemOf(pk, sk));
+    });
+
+    it('gets undefined for a missing item', async () => {
+        await expect(getTabla1Item(pkOf('missing'), skOf('missing', 1))).resolves.toBeUndefined();
+    });
+
+    it('updates the attributes of an item', async () => {
+        const [pk, sk] = [pkOf('update'), skOf('update', 1)];
+        await putTabla1Item(itemOf(pk, sk));
+
+        await expect(updateTabla1Item(pk, sk, { data: 'Updated!' })).resolves.toMatchObject({ ...pk, ...sk, data: 'Updated!' });
+        await expect(getTabla1Item(pk, sk)).resolves.toMatchObject({ data: 'Updated!' });
+    });
+
+    it('refuses to update a missing item', async () => {
+        await expect(updateTabla1Item(pkOf('update-missing'), skOf('update-missing', 1), { data: 'Updated!' })).rejects.toThrow();
     });
 
-    describe('tryTabla1Query', () => {
-        it('should put an item in the table', async () => {
-            const result = await tryTabla1Query();
+    it('refuses an update without changes', async () => {
+        await expect(updateTabla1Item(pkOf('update-empty'), skOf('update-empty', 1), {})).rejects.toThrow('Nothing to update');
+    });
+
+    it('deletes an item by its keys', async () => {
+        const [pk, sk] = [pkOf('delete'), skOf('delete', 1)];
+        await putTabla1Item(itemOf(pk, sk));
+
+        await deleteTabla1Item(pk, sk);
+
+        await expect(getTabla1Item(pk, sk)).resolves.toBeUndefined();
+    });
+
+    it('queries a partition with a sort key condition', async () => {
+        const pk = pkOf('query');
+        const items = [1, 2, 3].map(n => itemOf(pk, skOf('query', n)));
+        await putItems(items);
 
-            expect(result).toEqual({
-                a: 'a',
-                b: 'b',
-                c: 'c',
-                e: 'e',
-                data: 'Hello!',
-            });
-        });
+        await expect(queryTabla1(pk, { greaterThanOrEqual: skOf('query', 2) })).resolves.toMatchObject({ items: [items[1], items[2]], cursor: undefined });
+        await expect(queryTabla1(pk, undefined, { descending: true })).resolves.toMatchObject({ items: [items[2], items[1], items[0]] });
+    });
+
+    it('queries the sort keys beginning with the first keys', async () => {
+        const pk = pkOf('begins');
+        const items = [1, 2].map(n => itemOf(pk, skOf('begins', n)));
+        await putItems(items);
+
+        await expect(queryTabla1(pk, { beginsWith: { c: items[1].c } })).resolves.toMatchObject({ items: [items[1]] });
+    });
+
+    it('reads the next page with the cursor', async () => {
+        const pk = pkOf('pages');
+        const items = [1, 2, 3].map(n => itemOf(pk, skOf('pages', n)));
+        await putItems(items);
 
-        it('should execute the complete flow successfully', async () => {
-            const result = await tryTabla1Query();
+        const page = await queryTabla1(pk, undefined, { limit: 2 });
+        const next = await queryTabla1(pk, undefined, { limit: 2, cursor: page.cursor });
 
-            // Verify result
-            expect(result).toBeDefined();
-            expect(result.data).toBe('Hello!');
-        });
+        expect(page).toMatchObject({ items: [items[0], items[1]] });
+        expect(page.cursor).toBeDefined();
+        expect(next).toMatchObject({ items: [items[2]], cursor: undefined });
     });
-});
\ No newline at end of file
+});
@@ -1,60 +1,250 @@
 import { DynamoClient, KeySchema, Table } from 'dynamo-query-builder';
-const tableName = "sam-smith-testAddAndRemoveTablesFromLambda-dev-tabla1";
-const client = new DynamoClient({});
-export async function tryTabla1Query() {
+import { DynamoDBClient } from '@aws-sdk/client-dynamodb';
+import { DynamoDBDocumentClient, PutCommand, QueryCommand, UpdateCommand } from '@aws-sdk/lib-dynamodb';
 
-    type pk = {
-        a: string;
-        b: string;
-    };
+// Table of the stack, set by template.yaml in the Lambdas using it. The local DynamoDB of the
+// tests and of sam local, where !Ref gives the logical id, names it as the default environment does
+const tableName = (process.env.AWS_SAM_LOCAL !== 'true' && process.env.TABLA1_TABLE_NAME) || "sam-smith-testAddAndRemoveTablesFromLambda-dev-tabla1";
 
-    type sk = {
-        c: string;
-        e: string;
-        a: string;
-    };
+// Local DynamoDB of sam-smith: started by the tests, or by sam-smith:dynamo-local for sam local
+const endpoint = process.env.DYNAMODB_ENDPOINT
+    ?? (process.env.AWS_SAM_LOCAL === 'true' ? 'http://host.docker.internal:8000' : undefined);
+const clientConfig = endpoint ? { endpoint } : {};
+
+const client = new DynamoClient(clientConfig);
+const documentClient = DynamoDBDocumentClient.from(new DynamoDBClient(clientConfig), {
+    marshallOptions: { removeUndefinedValues: true },
+});
+
+export type Tabla1Pk = {
+    a: string;
+    b: string;
+};
+
+export type Tabla1Sk = {
+    c: string;
+    e: string;
+    a: string;
+};
+
+export type Tabla1Data = {
+    data: string;
+};
+
+// Attributes the secondary indexes are keyed on, besides the keys and the data. An item
+// without them is left out of the index
+export type Tabla1IndexKeys = Record<never, never>;
+
+export type Tabla1Keys = Tabla1Pk & Tabla1Sk;
+export type Tabla1Item = Tabla1Pk & Tabla1Sk & Tabla1Data & Tabla1IndexKeys;
+
+/**
+ * Condition on the sort key of a query. The keys are compared joined in the order of the
+ * key schema; beginsWith accepts the first keys only
+ */
+export type Tabla1SortKeyCondition =
+    | { equals: Tabla1Sk }
+    | { lessThan: Tabla1Sk }
+    | { lessThanOrEqual: Tabla1Sk }
+    | { greaterThan: Tabla1Sk }
+    | { greaterThanOrEqual: Tabla1Sk }
+    | { between: [Tabla1Sk, Tabla1Sk] }
+    | { beginsWith: Partial<Tabla1Sk> };
+
+export interface Tabla1QueryOptions {
+    // Items per page
+    limit?: number;
+    // Cursor of the previous page
+    cursor?: string;
+    // Sort key order, ascending by default
+    descending?: boolean;
+}
+
+export interface Tabla1Page {
+    items: Tabla1Item[];
+    // Cursor of the next page, undefined on the last one
+    cursor?: string;
+}
+
+export const tabla1KeySchema: KeySchema = {
+    pk: {
+        name: 'a#b',
+        keys: ['a', 'b'],
+        separator: '#'
+    },
+    sk: {
+        name: 'c#e#a',
+        keys: ['c', 'e', 'a'],
+        separator: '#',
+    },
+};
+
+const tabla1Table: Table<Tabla1Pk, Tabla1Sk, Tabla1Data> = client.table<Tabla1Pk, Tabla1Sk, Tabla1Data>(tableName, tabla1KeySchema);
+
+// Index keys joined from several attributes, as dynamo-query-builder reads them: written with the items
+const indexAttributes: Record<string, readonly string[]> = {};
 
-    type data = {
-        data: string;
+const SORT_KEY_OPERATORS = {
+    equals: '=',
+    lessThan: '<',
+    lessThanOrEqual: '<=',
+    greaterThan: '>',
+    greaterThanOrEqual: '>=',
+} as const;
+
+function sortKeyValue(sk: Tabla1Sk): string {
+    return [sk.c, sk.e, sk.a].join('#');
+}
+
+// First keys of a sort key; a partial prefix ends with the separator, so 'a' does not match 'ab#c'
+function sortKeyPrefix(sk: Partial<Tabla1Sk>): string {
+    const values: string[] = [];
+    for (const key of ['c', 'e', 'a'] as const) {
+        const value = sk[key];
+        if (value === undefined) {
+            break;
+        }
+        values.push(value);
+    }
+    return values.length === 3 ? values.join('#') : values.map(value => `${value}#`).join('');
+}
+
+function sortKeyCondition(condition: Tabla1SortKeyCondition, values: Record<string, unknown>): string {
+    if ('beginsWith' in condition) {
+        values[':sk'] = sortKeyPrefix(condition.beginsWith);
+        return 'begins_with(#sk, :sk)';
+    }
+    if ('between' in condition) {
+        values[':sk'] = sortKeyValue(condition.between[0]);
+        values[':skEnd'] = sortKeyValue(condition.between[1]);
+        return '#sk BETWEEN :sk AND :skEnd';
+    }
+    const [name, sk] = Object.entries(condition)[0] as [keyof typeof SORT_KEY_OPERATORS, Tabla1Sk];
+    values[':sk'] = sortKeyValue(sk);
+    return `#sk ${SORT_KEY_OPERATORS[name]} :sk`;
+}
+
+// Key attributes of an item, as dynamo-query-builder stores them
+function toKey(keys: Tabla1Keys): Record<string, string> {
+    return {
+        'a#b': [keys.a, keys.b].join('#'),
+        'c#e#a': sortKeyValue(keys),
     };
+}
 
-    const keySchema: KeySchema = {
-        pk: {
-            name: 'a#b',
-            keys: ['a', 'b'],
-            separator: '#'
-        },
-        sk: {
-            name: 'c#e#a',
-            keys: ['c', 'e', 'a'],
-            separator: '#',
+// Index keys of an item joined from several attributes, for the indexes it has every attribute of
+function toIndexAttributes(item: Record<string, unknown>): Record<string, string> {
+    return Object.fromEntries(Object.entries(indexAttributes)
+        .filter(([, parts]) => parts.every(part => item[part] !== undefined))
+        .map(([name, parts]) => [name, parts.map(part => String(item[part])).join('#')]));
+}
+
+// Item read by the document client, with its keys split from the key attributes
+function fromItem(item: Record<string, unknown>): Tabla1Item {
+    const { 'a#b': pkValue, 'c#e#a': skValue, ...attributes } = item;
+    for (const name of Object.keys(indexAttributes)) {
+        delete attributes[name];
+    }
+    const pk = String(pkValue).split('#');
+    const sk = String(skValue).split('#');
+    return {
+        ...attributes,
+        a: pk[0],
+        b: pk[1],
+        c: sk[0],
+        e: sk[1],
+    } as Tabla1Item;
+}
+
+function encodeCursor(key?: Record<string, unknown>): string | undefined {
+    return key && Buffer.from(JSON.stringify(key)).toString('base64url');
+}
+
+function decodeCursor(cursor?: string): Record<string, unknown> | undefined {
+    return cursor ? JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8')) : undefined;
+}
+
+/**
+ * Item of tabla1 by its keys, undefined when it does not exist
+ */
+export async function getTabla1Item(pk: Tabla1Pk, sk: Tabla1Sk): Promise<Tabla1Item | undefined> {
+    const item = await tabla1Table.getOne(pk, sk);
+    return (item ?? undefined) as Tabla1Item | undefined;
+}
+
+/**
+ * Create or replace an item of tabla1
+ */
+export async function putTabla1Item(item: Tabla1Item): Promise<void> {
+    await documentClient.send(new PutCommand({
+        TableName: tableName,
+        Item: { ...item, ...toKey(item), ...toIndexAttributes(item) },
+    }));
+}
+
+/**
+ * Set attributes of an existing item of tabla1 and return the updated item.
+ * Fails when the item does not exist
+ */
+export async function updateTabla1Item(pk: Tabla1Pk, sk: Tabla1Sk, changes: Partial<Tabla1Data & Tabla1IndexKeys>): Promise<Tabla1Item> {
+    const fields: [string, unknown][] = Object.entries(changes).filter(([, value]) => value !== undefined);
+    if (fields.length === 0) {
+        throw new Error('Nothing to update');
+    }
+    // An index key joined from several attributes is written again when one of them changes
+    const composed = toIndexAttributes({ ...pk, ...sk, ...Object.fromEntries(fields) });
+    for (const [name, parts] of Object.entries(indexAttributes)) {
+        if (!fields.some(([field]) => parts.includes(field))) {
+            continue;
+        }
+        if (!(name in composed)) {
+            throw new Error(`Update ${parts.join(', ')} together: they make up the ${name} key of an index`);
+        }
+        fields.push([name, composed[name]]);
+    }
+    const result = await documentClient.send(new UpdateCommand({
+        TableName: tableName,
+        Key: toKey({ ...pk, ...sk }),
+        UpdateExpression: `SET ${fields.map((_, i) => `#f${i} = :f${i}`).join(', ')}`,
+        ConditionExpression: 'attribute_exists(#pk)',
+        ExpressionAttributeNames: {
+            '#pk': 'a#b',
+            ...Object.fromEntries(fields.map(([field], i) => [`#f${i}`, field])),
         },
-    };
+        ExpressionAttributeValues: Object.fromEntries(fields.map(([, value], i) => [`:f${i}`, value])),
+        ReturnValues: 'ALL_NEW',
+    }));
+    return fromItem(result.Attributes ?? {});
+}
+
+/**
+ * Delete an item of tabla1 by its keys
+ */
+export async function deleteTabla1Item(pk: Tabla1Pk, sk: Tabla1Sk): Promise<void> {
+    await tabla1Table.delete(pk, sk);
+}
 
-    const messageTable: Table<pk, sk, data> = client.table<pk, sk, data>(tableName, keySchema);
-    await messageTable.put({
-        a: 'a',
-        b: 'b',
-        c: 'c',
-        e: 'e',
-        data: 'Hello!',
-    });
-    const result = await messageTable.getOne({
-        a: 'a',
-        b: 'b',
-    }, {
-        c: 'c',
-        e: 'e',
-        a: 'a',
-    });
-    console.log(result);
-    await messageTable.delete({
-        a: 'a',
-        b: 'b',
-    }, {
-        c: 'c',
-        e: 'e',
-        a: 'a',
-    });
-    return result;
-}
\ No newline at end of file
+/**
+ * A page of the items of a partition of tabla1, optionally filtered on the sort key.
+ * Pass the returned cursor back in the options to read the next page
+ */
+export async function queryTabla1(pk: Tabla1Pk, condition?: Tabla1SortKeyCondition, options: Tabla1QueryOptions = {}): Promise<Tabla1Page> {
+    const values: Record<string, unknown> = { ':pk': [pk.a, pk.b].join('#') };
+    const expressions = ['#pk = :pk'];
+    if (condition) {
+        expressions.push(sortKeyCondition(condition, values));
+    }
+    const result = await documentClient.send(new QueryCommand({
+        TableName: tableName,
+        KeyConditionExpression: expressions.join(' AND '),
+        ExpressionAttributeNames: { '#pk': 'a#b', ...(condition && { '#sk': 'c#e#a' }) },
+        ExpressionAttributeValues: values,
+        Limit: options.limit,
+        ScanIndexForward: !options.descending,
+        ExclusiveStartKey: decodeCursor(options.cursor),
+    }));
+    return {
+        items: (result.Items ?? []).map(fromItem),
+        cursor: encodeCursor(result.LastEvaluatedKey),
+    };
+}
@@ -1,49 +1,245 @@
 import { DynamoClient, KeySchema, Table } from 'dynamo-query-builder';
-const tableName = "sam-smith-testAddAndRemoveTablesFromLambda-dev-tabla2";
-const client = new DynamoClient({});
-export async function tryTabla2Query() {
+import { DynamoDBClient } from '@aws-sdk/client-dynamodb';
+import { DynamoDBDocumentClient, PutCommand, QueryCommand, UpdateCommand } from '@aws-sdk/lib-dynamodb';
 
-    type pk = {
-        x: string;
-    };
+// Table of the stack, set by template.yaml in the Lambdas using it. The local DynamoDB of the
+// tests and of sam local, where !Ref gives the logical id, names it as the default environment does
+const tableName = (process.env.AWS_SAM_LOCAL !== 'true' && process.env.TABLA2_TABLE_NAME) || "sam-smith-testAddAndRemoveTablesFromLambda-dev-tabla2";
 
-    type sk = {
-        y: string;
-    };
+// Local DynamoDB of sam-smith: started by the tests, or by sam-smith:dynamo-local for sam local
+const endpoint = process.env.DYNAMODB_ENDPOINT
+    ?? (process.env.AWS_SAM_LOCAL === 'true' ? 'http://host.docker.internal:8000' : undefined);
+const clientConfig = endpoint ? { endpoint } : {};
+
+const client = new DynamoClient(clientConfig);
+const documentClient = DynamoDBDocumentClient.from(new DynamoDBClient(clientConfig), {
+    marshallOptions: { removeUndefinedValues: true },
+});
+
+export type Tabla2Pk = {
+    x: string;
+};
+
+export type Tabla2Sk = {
+    y: string;
+};
+
+export type Tabla2Data = {
+    data: string;
+};
+
+// Attributes the secondary indexes are keyed on, besides the keys and the data. An item
+// without them is left out of the index
+export type Tabla2IndexKeys = Record<never, never>;
+
+export type Tabla2Keys = Tabla2Pk & Tabla2Sk;
+export type Tabla2Item = Tabla2Pk & Tabla2Sk & Tabla2Data & Tabla2IndexKeys;
+
+/**
+ * Condition on the sort key of a query. The keys are compared joined in the order of the
+ * key schema; beginsWith accepts the first keys only
+ */
+export type Tabla2SortKeyCondition =
+    | { equals: Tabla2Sk }
+    | { lessThan: Tabla2Sk }
+    | { lessThanOrEqual: Tabla2Sk }
+    | { greaterThan: Tabla2Sk }
+    | { greaterThanOrEqual: Tabla2Sk }
+    | { between: [Tabla2Sk, Tabla2Sk] }
+    | { beginsWith: Partial<Tabla2Sk> };
+
+export interface Tabla2QueryOptions {
+    // Items per page
+    limit?: number;
+    // Cursor of the previous page
+    cursor?: string;
+    // Sort key order, ascending by default
+    descending?: boolean;
+}
+
+export interface Tabla2Page {
+    items: Tabla2Item[];
+    // Cursor of the next page, undefined on the last one
+    cursor?: string;
+}
+
+export const tabla2KeySchema: KeySchema = {
+    pk: {
+        name: 'x',
+        keys: ['x'],
+        separator: '#'
+    },
+    sk: {
+        name: 'y',
+        keys: ['y'],
+        separator: '#',
+    },
+};
+
+const tabla2Table: Table<Tabla2Pk, Tabla2Sk, Tabla2Data> = client.table<Tabla2Pk, Tabla2Sk, Tabla2Data>(tableName, tabla2KeySchema);
+
+// Index keys joined from several attributes, as dynamo-query-builder reads them: written with the items
+const indexAttributes: Record<string, readonly string[]> = {};
 
-    type data = {
-        data: string;
+const SORT_KEY_OPERATORS = {
+    equals: '=',
+    lessThan: '<',
+    lessThanOrEqual: '<=',
+    greaterThan: '>',
+    greaterThanOrEqual: '>=',
+} as const;
+
+function sortKeyValue(sk: Tabla2Sk): string {
+    return [sk.y].join('#');
+}
+
+// First keys of a sort key; a partial prefix ends with the separator, so 'a' does not match 'ab#c'
+function sortKeyPrefix(sk: Partial<Tabla2Sk>): string {
+    const values: string[] = [];
+    for (const key of ['y'] as const) {
+        const value = sk[key];
+        if (value === undefined) {
+            break;
+        }
+        values.push(value);
+    }
+    return values.length === 1 ? values.join('#') : values.map(value => `${value}#`).join('');
+}
+
+function sortKeyCondition(condition: Tabla2SortKeyCondition, values: Record<string, unknown>): string {
+    if ('beginsWith' in condition) {
+        values[':sk'] = sortKeyPrefix(condition.beginsWith);
+        return 'begins_with(#sk, :sk)';
+    }
+    if ('between' in condition) {
+        values[':sk'] = sortKeyValue(condition.between[0]);
+        values[':skEnd'] = sortKeyValue(condition.between[1]);
+        return '#sk BETWEEN :sk AND :skEnd';
+    }
+    const [name, sk] = Object.entries(condition)[0] as [keyof typeof SORT_KEY_OPERATORS, Tabla2Sk];
+    values[':sk'] = sortKeyValue(sk);
+    return `#sk ${SORT_KEY_OPERATORS[name]} :sk`;
+}
+
+// Key attributes of an item, as dynamo-query-builder stores them
+function toKey(keys: Tabla2Keys): Record<string, string> {
+    return {
+        'x': [keys.x].join('#'),
+        'y': sortKeyValue(keys),
     };
+}
 
-    const keySchema: KeySchema = {
-        pk: {
-            name: 'x',
-            keys: ['x'],
-            separator: '#'
-        },
-        sk: {
-            name: 'y',
-            keys: ['y'],
-            separator: '#',
+// Index keys of an item joined from several attributes, for the indexes it has every attribute of
+function toIndexAttributes(item: Record<string, unknown>): Record<string, string> {
+    return Object.fromEntries(Object.entries(indexAttributes)
+        .filter(([, parts]) => parts.every(part => item[part] !== undefined))
+        .map(([name, parts]) => [name, parts.map(part => String(item[part])).join('#')]));
+}
+
+// Item read by the document client, with its keys split from the key attributes
+function fromItem(item: Record<string, unknown>): Tabla2Item {
+    const { 'x': pkValue, 'y': skValue, ...attributes } = item;
+    for (const name of Object.keys(indexAttributes)) {
+        delete attributes[name];
+    }
+    const pk = String(pkValue).split('#');
+    const sk = String(skValue).split('#');
+    return {
+        ...attributes,
+        x: pk[0],
+        y: sk[0],
+    } as Tabla2Item;
+}
+
+function encodeCursor(key?: Record<string, unknown>): string | undefined {
+    return key && Buffer.from(JSON.stringify(key)).toString('base64url');
+}
+
+function decodeCursor(cursor?: string): Record<string, unknown> | undefined {
+    return cursor ? JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8')) : undefined;
+}
+
+/**
+ * Item of tabla2 by its keys, undefined when it does not exist
+ */
+export async function getTabla2Item(pk: Tabla2Pk, sk: Tabla2Sk): Promise<Tabla2Item | undefined> {
+    const item = await tabla2Table.getOne(pk, sk);
+    return (item ?? undefined) as Tabla2Item | undefined;
+}
+
+/**
+ * Create or replace an item of tabla2
+ */
+export async function putTabla2Item(item: Tabla2Item): Promise<void> {
+    await documentClient.send(new PutCommand({
+        TableName: tableName,
+        Item: { ...item, ...toKey(item), ...toIndexAttributes(item) },
+    }));
+}
+
+/**
+ * Set attributes of an existing item of tabla2 and return the updated item.
+ * Fails when the item does not exist
+ */
+export async function updateTabla2Item(pk: Tabla2Pk, sk: Tabla2Sk, changes: Partial<Tabla2Data & Tabla2IndexKeys>): Promise<Tabla2Item> {
+    const fields: [string, unknown][] = Object.entries(changes).filter(([, value]) => value !== undefined);
+    if (fields.length === 0) {
+        throw new Error('Nothing to update');
+    }
+    // An index key joined from several attributes is written again when one of them changes
+    const composed = toIndexAttributes({ ...pk, ...sk, ...Object.fromEntries(fields) });
+    for (const [name, parts] of Object.entries(indexAttributes)) {
+        if (!fields.some(([field]) => parts.includes(field))) {
+            continue;
+        }
+        if (!(name in composed)) {
+            throw new Error(`Update ${parts.join(', ')} together: they make up the ${name} key of an index`);
+        }
+        fields.push([name, composed[name]]);
+    }
+    const result = await documentClient.send(new UpdateCommand({
+        TableName: tableName,
+        Key: toKey({ ...pk, ...sk }),
+        UpdateExpression: `SET ${fields.map((_, i) => `#f${i} = :f${i}`).join(', ')}`,
+        ConditionExpression: 'attribute_exists(#pk)',
+        ExpressionAttributeNames: {
+            '#pk': 'x',
+            ...Object.fromEntries(fields.map(([field], i) => [`#f${i}`, field])),
         },
-    };
+        ExpressionAttributeValues: Object.fromEntries(fields.map(([, value], i) => [`:f${i}`, value])),
+        ReturnValues: 'ALL_NEW',
+    }));
+    return fromItem(result.Attributes ?? {});
+}
+
+/**
+ * Delete an item of tabla2 by its keys
+ */
+export async function deleteTabla2Item(pk: Tabla2Pk, sk: Tabla2Sk): Promise<void> {
+    await tabla2Table.delete(pk, sk);
+}
 
-    const messageTable: Table<pk, sk, data> = client.table<pk, sk, data>(tableName, keySchema);
-    await messageTable.put({
-        x: 'x',
-        y: 'y',
-        data: 'Hello!',
-    });
-    const result = await messageTable.getOne({
-        x: 'x',
-    }, {
-        y: 'y',
-    });
-    console.log(result);
-    await messageTable.delete({
-        x: 'x',
-    }, {
-        y: 'y',
-    });
-    return result;
-}
\ No newline at end of file
+/**
+ * A page of the items of a partition of tabla2, optionally filtered on the sort key.
+ * Pass the returned cursor back in the options to read the next page
+ */
+export async function queryTabla2(pk: Tabla2Pk, condition?: Tabla2SortKeyCondition, options: Tabla2QueryOptions = {}): Promise<Tabla2Page> {
+    const values: Record<string, unknown> = { ':pk': [pk.x].join('#') };
+    const expressions = ['#pk = :pk'];
+    if (condition) {
+        expressions.push(sortKeyCondition(condition, values));
+    }
+    const result = await documentClient.send(new QueryCommand({
+        TableName: tableName,
+        KeyConditionExpression: expressions.join(' AND '),
+        ExpressionAttributeNames: { '#pk': 'x', ...(condition && { '#sk': 'y' }) },
+        ExpressionAttributeValues: values,
+        Limit: options.limit,
+        ScanIndexForward: !options.descending,
+        ExclusiveStartKey: decodeCursor(options.cursor),
+    }));
+    return {
+        items: (result.Items ?? []).map(fromItem),
+        cursor: encodeCursor(result.LastEvaluatedKey),
+    };
+}
@@ -0,0 +1,19 @@
+import { loadTestAddDeleteAndUpdateEnvsConfig } from './config';
+
+describe('loadTestAddDeleteAndUpdateEnvsConfig', function () {
+    const env = {
+        A1: 'a1',
+        A3: 'updateTestVar',
+    };
+
+    it('reads the variables of testAddDeleteAndUpdateEnvs', () => {
+        expect(loadTestAddDeleteAndUpdateEnvsConfig(env)).toEqual({
+            a1: 'a1',
+            a3: 'updateTestVar',
+        });
+    });
+
+    it('fails when a variable is missing', () => {
+        expect(() => loadTestAddDeleteAndUpdateEnvsConfig({ ...env, A1: undefined })).toThrow('A1');
+    });
+});
@@ -0,0 +1,238 @@
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+import { dirname } from 'path';
+import { DynamoDBClient } from '@aws-sdk/client-dynamodb';
+import { BatchWriteCommand, BatchWriteCommandInput, DynamoDBDocumentClient, ScanCommand } from '@aws-sdk/lib-dynamodb';
+
+/**
+ * Copy the items of table orders to its new keys:
+ *   customerId / orderId -> customerId#region / createdAt#orderId
+ *
+ * Deploy first: CloudFormation creates the new table and keeps the previous one. Then run
+ *   npm run build && node .build/migrations/migrateOrdersV2.js [--env <environment>] [--endpoint <url>] [--dry-run] [--resume]
+ *
+ * --env copies the tables of the stack of an environment, as named in samconfig.toml
+ * (default: dev), --endpoint reads and writes a local DynamoDB such as the one of
+ * sam-smith:dynamo-local, --dry-run checks the items without writing them, and --resume
+ * continues an interrupted run of the environment from the last page written. The previous
+ * table is only read: delete it once its items are copied
+ */
+const DEFAULT_ENVIRONMENT = 'dev';
+
+// Names of the previous and the new table, in the stack of the environment
+const SOURCE_TABLE_NAME = '${AWS::StackName}-orders';
+const TARGET_TABLE_NAME = '${AWS::StackName}-orders-v2';
+
+// Keys of the previous table, split into their parts, and keys of the new table, joined from them
+const SOURCE_KEYS = ['customerId', 'orderId'];
+const TARGET_KEYS = ['customerId#region', 'createdAt#orderId'];
+
+// Composite keys of the previous table that no key of the new table uses
+const DROPPED_ATTRIBUTES: string[] = [];
+
+const PROGRESS_DIR = '.sam-smith/migrations';
+
+// Items read per page, items per BatchWriteItem request, and requests sent again for the unprocessed items
+const PAGE_SIZE = 100;
+const BATCH_SIZE = 25;
+const MAX_ATTEMPTS = 8;
+
+type Item = Record<string, unknown>;
+type WriteRequests = NonNullable<BatchWriteCommandInput['RequestItems']>[string];
+
+interface Options {
+    environment: string;
+    endpoint?: string;
+    dryRun: boolean;
+    resume: boolean;
+}
+
+interface Progress {
+    // Key of the last item read, undefined before the first page
+    lastKey?: Item;
+    copied: number;
+    // New keys written, so that two items of the previous table cannot get the same ones across runs
+    written: string[];
+    // Keys of the items left in the previous table, with the reason
+    failed: { key: Item; reason: string }[];
+    done: boolean;
+}
+
+interface Tables {
+    source: string;
+    target: string;
+    progressFile: string;
+}
+
+function parseOptions(args: string[]): Options {
+    const options: Options = { environment: DEFAULT_ENVIRONMENT, endpoint: process.env.DYNAMODB_ENDPOINT, dryRun: false, resume: false };
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--env' && args[i + 1]) {
+            options.environment = args[++i];
+        } else if (args[i] === '--endpoint' && args[i + 1]) {
+            options.endpoint = args[++i];
+        } else if (args[i] === '--dry-run') {
+            options.dryRun = true;
+        } else if (args[i] === '--resume') {
+            options.resume = true;
+        } else {
+            throw new Error(`Unknown option '${args[i]}'. Usage: [--env <environment>] [--endpoint <url>] [--dry-run] [--resume]`);
+        }
+    }
+    return options;
+}
+
+// Tables of the stack deployed by `sam deploy --config-env <environment>`, and the progress of the environment
+function getTables(environment: string): Tables {
+    const samconfig = existsSync('samconfig.toml') ? readFileSync('samconfig.toml', 'utf8').split('\n') : [];
+    const start = samconfig.findIndex(line => line.trim() === `[${environment}.deploy.parameters]`);
+    const end = samconfig.findIndex((line, i) => i > start && line.startsWith('['));
+    const stackName = start === -1
+        ? undefined
+        : samconfig.slice(start + 1, end === -1 ? undefined : end)
+            .map(line => /^stack_name = "(.*)"/.exec(line))
+            .find(Boolean)?.[1];
+    if (!stackName) {
+        throw new Error(`samconfig.toml has no stack_name for the environment '${environment}'.`);
+    }
+    return {
+        source: SOURCE_TABLE_NAME.replace('${AWS::StackName}', stackName),
+        target: TARGET_TABLE_NAME.replace('${AWS::StackName}', stackName),
+        progressFile: `${PROGRESS_DIR}/migrateOrdersV2.${environment}.json`,
+    };
+}
+
+function createClient(endpoint?: string): DynamoDBDocumentClient {
+    // A local endpoint needs a region and credentials, but never checks them
+    const local = endpoint !== undefined && ['localhost', '127.0.0.1', 'host.docker.internal'].includes(new URL(endpoint).hostname);
+    const client = new DynamoDBClient({
+        ...(endpoint ? { endpoint } : {}),
+        ...(local ? { region: process.env.AWS_REGION ?? 'us-east-1', credentials: { accessKeyId: 'local', secretAccessKey: 'local' } } : {}),
+    });
+    return DynamoDBDocumentClient.from(client, { marshallOptions: { removeUndefinedValues: true } });
+}
+
+function readProgress({ resume, dryRun }: Options, { progressFile }: Tables): Progress {
+    const saved = existsSync(progressFile);
+    if (resume && !saved) {
+        throw new Error(`Nothing to resume: ${progressFile} not found.`);
+    }
+    if (!resume && saved && !dryRun) {
+        throw new Error(`${progressFile} holds the progress of a previous run. Pass --resume to continue it, or delete it to start again.`);
+    }
+    return resume ? JSON.parse(readFileSync(progressFile, 'utf8')) as Progress : { copied: 0, written: [], failed: [], done: false };
+}
+
+function saveProgress(progress: Progress, { progressFile }: Tables): void {
+    mkdirSync(dirname(progressFile), { recursive: true });
+    writeFileSync(progressFile, `${JSON.stringify(progress, null, 4)}\n`);
+}
+
+// Item with the keys of the new table: the composite keys of the previous table are split
+// into their parts, then the keys of the new table are joined from them
+function migrateItem(item: Item): Item {
+    const migrated: Item = { ...item };
+    for (const key of SOURCE_KEYS.filter(key => key.includes('#'))) {
+        const parts = key.split('#');
+        const values = String(item[key]).split('#');
+        if (values.length !== parts.length) {
+            throw new Error(`'${key}' is '${item[key]}', which does not split into ${parts.join(', ')}`);
+        }
+        parts.forEach((part, i) => {
+            migrated[part] ??= values[i];
+        });
+    }
+    for (const attribute of DROPPED_ATTRIBUTES) {
+        delete migrated[attribute];
+    }
+    for (const key of TARGET_KEYS) {
+        migrated[key] = key.split('#').map(part => {
+            const value = migrated[part];
+            if (typeof value !== 'string' || value === '') {
+                throw new Error(`'${part}' of the key '${key}' is missing or not a string`);
+            }
+            if (key.includes('#') && value.includes('#')) {
+                throw new Error(`'${part}' of the key '${key}' contains the separator '#'`);
+            }
+            return value;
+        }).join('#');
+    }
+    return migrated;
+}
+
+function sourceKey(item: Item): Item {
+    return Object.fromEntries(SOURCE_KEYS.map(key => [key, item[key]]));
+}
+
+async function writeItems(client: DynamoDBDocumentClient, table: string, items: Item[]): Promise<void> {
+    for (let i = 0; i < items.length; i += BATCH_SIZE) {
+        let pending: WriteRequests = items.slice(i, i + BATCH_SIZE).map(item => ({ PutRequest: { Item: item } }));
+        for (let attempt = 1; pending.length > 0; attempt++) {
+            if (attempt > MAX_ATTEMPTS) {
+                throw new Error(`Items of ${table} are still unprocessed after ${MAX_ATTEMPTS} attempts. Run again with --resume.`);
+            }
+            if (attempt > 1) {
+                await new Promise(resolve => setTimeout(resolve, 50 * 2 ** attempt));
+            }
+            const result = await client.send(new BatchWriteCommand({ RequestItems: { [table]: pending } }));
+            pending = result.UnprocessedItems?.[table] ?? [];
+        }
+    }
+}
+
+async function main(): Promise<void> {
+    const options = parseOptions(process.argv.slice(2));
+    const tables = getTables(options.environment);
+    const progress = readProgress(options, tables);
+    if (progress.done) {
+        console.log(`${tables.source} is already copied to ${tables.target}: ${progress.copied} items, ${progress.failed.length} failed.`);
+        return;
+    }
+    const client = createClient(options.endpoint);
+    // New keys written by this run and the runs it resumes
+    const written = new Set<string>(progress.written);
+
+    do {
+        const page = await client.send(new ScanCommand({
+            TableName: tables.source,
+            Limit: PAGE_SIZE,
+            ExclusiveStartKey: progress.lastKey,
+            ConsistentRead: true,
+        }));
+        const items: Item[] = [];
+        for (const item of page.Items ?? []) {
+            try {
+                const migrated = migrateItem(item);
+                const id = JSON.stringify(TARGET_KEYS.map(key => migrated[key]));
+                if (written.has(id)) {
+                    throw new Error('another item has the same new keys');
+                }
+                written.add(id);
+                items.push(migrated);
+            } catch (error) {
+                progress.failed.push({ key: sourceKey(item), reason: (error as Error).message });
+            }
+        }
+
+        if (!options.dryRun) {
+            await writeItems(client, tables.target, items);
+        }
+        progress.copied += items.length;
+        progress.written = [...written];
+        progress.lastKey = page.LastEvaluatedKey;
+        progress.done = page.LastEvaluatedKey === undefined;
+        if (!options.dryRun) {
+            saveProgress(progress, tables);
+        }
+        console.log(`${progress.copied} items ${options.dryRun ? 'checked' : 'copied'}, ${progress.failed.length} failed`);
+    } while (!progress.done);
+
+    for (const { key, reason } of progress.failed) {
+        console.log(`Not copied ${JSON.stringify(key)}: ${reason}`);
+    }
+    console.log(options.dryRun ? 'Dry run: nothing was written.' : `Done. Check ${tables.target}, then delete ${tables.source}.`);
+}
+
+main().catch((error: Error) => {
+    console.error(error.message);
+    process.exitCode = 1;
+});
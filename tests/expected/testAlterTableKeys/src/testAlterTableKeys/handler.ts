@@ -0,0 +1,11 @@
+import { APIGatewayProxyEvent, APIGatewayProxyResult } from 'aws-lambda';
+import { greet } from '../utils/greet';
+export const testAlterTableKeys = async (event: APIGatewayProxyEvent): Promise<APIGatewayProxyResult> => {
+    greet("testAlterTableKeys");
+    return {
+        statusCode: 200,
+        body: JSON.stringify({
+            message: "testAlterTableKeys world",
+        }),
+    };
+};
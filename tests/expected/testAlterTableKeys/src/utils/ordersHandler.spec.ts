@@ -0,0 +1,118 @@
+import { getOrdersItem, putOrdersItem, updateOrdersItem, deleteOrdersItem, queryOrders, batchGetOrdersItems, batchPutOrdersItems, batchDeleteOrdersItems, queryOrdersByStatus, queryOrdersByCustomerStatus } from './ordersHandler';
+import type { OrdersPk, OrdersSk, OrdersItem } from './ordersHandler';
+
+// The tests run against the local DynamoDB started by lib/jest-global-setup.js
+const pkOf = (test: string): OrdersPk => ({ customerId: `customerId-${test}` });
+const skOf = (test: string, n: number): OrdersSk => ({ orderId: `orderId-${n}`, region: `region-${n}` });
+const itemOf = (pk: OrdersPk, sk: OrdersSk): OrdersItem => ({ ...pk, ...sk, total: 1, status: 'Hello!', note: 'Hello!', createdAt: 'Hello!' });
+
+async function putItems(items: OrdersItem[]): Promise<void> {
+    for (const item of items) {
+        await putOrdersItem(item);
+    }
+}
+
+describe('ordersHandler', () => {
+    it('puts and gets an item', async () => {
+        const [pk, sk] = [pkOf('put'), skOf('put', 1)];
+
+        await putOrdersItem(itemOf(pk, sk));
+
+        await expect(getOrdersItem(pk, sk)).resolves.toMatchObject(itemOf(pk, sk));
+    });
+
+    it('gets undefined for a missing item', async () => {
+        await expect(getOrdersItem(pkOf('missing'), skOf('missing', 1))).resolves.toBeUndefined();
+    });
+
+    it('updates the attributes of an item', async () => {
+        const [pk, sk] = [pkOf('update'), skOf('update', 1)];
+        await putOrdersItem(itemOf(pk, sk));
+
+        await expect(updateOrdersItem(pk, sk, { total: 2 })).resolves.toMatchObject({ ...pk, ...sk, total: 2 });
+        await expect(getOrdersItem(pk, sk)).resolves.toMatchObject({ total: 2 });
+    });
+
+    it('refuses to update a missing item', async () => {
+        await expect(updateOrdersItem(pkOf('update-missing'), skOf('update-missing', 1), { total: 2 })).rejects.toThrow();
+    });
+
+    it('refuses an update without changes', async () => {
+        await expect(updateOrdersItem(pkOf('update-empty'), skOf('update-empty', 1), {})).rejects.toThrow('Nothing to update');
+    });
+
+    it('deletes an item by its keys', async () => {
+        const [pk, sk] = [pkOf('delete'), skOf('delete', 1)];
+        await putOrdersItem(itemOf(pk, sk));
+
+        await deleteOrdersItem(pk, sk);
+
+        await expect(getOrdersItem(pk, sk)).resolves.toBeUndefined();
+    });
+
+    it('queries a partition with a sort key condition', async () => {
+        const pk = pkOf('query');
+        const items = [1, 2, 3].map(n => itemOf(pk, skOf('query', n)));
+        await putItems(items);
+
+        await expect(queryOrders(pk, { greaterThanOrEqual: skOf('query', 2) })).resolves.toMatchObject({ items: [items[1], items[2]], cursor: undefined });
+        await expect(queryOrders(pk, undefined, { descending: true })).resolves.toMatchObject({ items: [items[2], items[1], items[0]] });
+    });
+
+    it('queries the sort keys beginning with the first keys', async () => {
+        const pk = pkOf('begins');
+        const items = [1, 2].map(n => itemOf(pk, skOf('begins', n)));
+        await putItems(items);
+
+        await expect(queryOrders(pk, { beginsWith: { orderId: items[1].orderId } })).resolves.toMatchObject({ items: [items[1]] });
+    });
+
+    it('reads the next page with the cursor', async () => {
+        const pk = pkOf('pages');
+        const items = [1, 2, 3].map(n => itemOf(pk, skOf('pages', n)));
+        await putItems(items);
+
+        const page = await queryOrders(pk, undefined, { limit: 2 });
+        const next = await queryOrders(pk, undefined, { limit: 2, cursor: page.cursor });
+
+        expect(page).toMatchObject({ items: [items[0], items[1]] });
+        expect(page.cursor).toBeDefined();
+        expect(next).toMatchObject({ items: [items[2]], cursor: undefined });
+    });
+
+    it('puts, gets and deletes items in batches', async () => {
+        const pk = pkOf('batch');
+        const sks = [1, 2, 3].map(n => skOf('batch', n));
+        const items = sks.map(sk => itemOf(pk, sk));
+        const keys = sks.map(sk => ({ ...pk, ...sk }));
+
+        await batchPutOrdersItems(items);
+        const found = await batchGetOrdersItems(keys);
+        await batchDeleteOrdersItems(keys);
+
+        expect(found).toHaveLength(3);
+        expect(found).toEqual(expect.arrayContaining(items.map(item => expect.objectContaining(item))));
+        await expect(batchGetOrdersItems(keys)).resolves.toEqual([]);
+    });
+});
+
+// Secondary indexes
+describe('ordersHandler indexes', () => {
+    it('queries the byStatus index', async () => {
+        const item: OrdersItem = { ...itemOf(pkOf('byStatus'), skOf('byStatus', 1)), status: 'Hello!', createdAt: 'Hello!' };
+        await putOrdersItem(item);
+
+        const result = await queryOrdersByStatus({ status: 'Hello!' }, { createdAt: 'Hello!' });
+
+        expect(result).toContainEqual(expect.objectContaining({ customerId: item.customerId, orderId: item.orderId, region: item.region }));
+    });
+
+    it('queries the byCustomerStatus index', async () => {
+        const item: OrdersItem = { ...itemOf(pkOf('byCustomerStatus'), skOf('byCustomerStatus', 1)), status: 'Hello!' };
+        await putOrdersItem(item);
+
+        const result = await queryOrdersByCustomerStatus({ customerId: item.customerId }, { status: 'Hello!' });
+
+        expect(result).toContainEqual(expect.objectContaining({ customerId: item.customerId, orderId: item.orderId, region: item.region }));
+    });
+});
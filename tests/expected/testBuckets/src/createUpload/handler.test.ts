@@ -0,0 +1,27 @@
+import { createUpload } from './handler';
+import { APIGatewayProxyEvent } from 'aws-lambda';
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
+
+jest.mock('@aws-sdk/s3-request-presigner', () => ({
+    getSignedUrl: jest.fn().mockResolvedValue('https://bucket.s3.amazonaws.com/signed'),
+}));
+
+describe('Unit test for createUpload handler', function () {
+    it('returns a presigned upload URL', async () => {
+        const event = { body: JSON.stringify({ contentType: 'image/png' }) } as APIGatewayProxyEvent;
+        const result = await createUpload(event);
+        const body = JSON.parse(result.body);
+
+        expect(result.statusCode).toEqual(200);
+        expect(body.url).toEqual('https://bucket.s3.amazonaws.com/signed');
+        expect(body.key.startsWith('images/')).toBe(true);
+        expect(getSignedUrl).toHaveBeenCalled();
+    });
+
+    it('rejects a body that is not JSON', async () => {
+        const event = { body: 'not json' } as APIGatewayProxyEvent;
+        const result = await createUpload(event);
+
+        expect(result.statusCode).toEqual(400);
+    });
+});
@@ -0,0 +1,29 @@
+import { APIGatewayProxyEvent, APIGatewayProxyResult } from 'aws-lambda';
+import { PutObjectCommand, S3Client } from '@aws-sdk/client-s3';
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
+import { randomUUID } from 'crypto';
+
+const s3 = new S3Client({});
+const bucketName = process.env.USER_FILES_BUCKET as string;
+
+// Seconds the upload URL stays valid
+const expiresIn = 300;
+
+export const createUpload = async (event: APIGatewayProxyEvent): Promise<APIGatewayProxyResult> => {
+    let contentType = 'application/octet-stream';
+    try {
+        contentType = JSON.parse(event.body || '{}').contentType || contentType;
+    } catch (error) {
+        return { statusCode: 400, body: JSON.stringify({ message: 'Body must be JSON' }) };
+    }
+
+    // The client PUTs the file to url with the same Content-Type
+    const key = `images/${randomUUID()}`;
+    const command = new PutObjectCommand({ Bucket: bucketName, Key: key, ContentType: contentType });
+    const url = await getSignedUrl(s3, command, { expiresIn });
+
+    return {
+        statusCode: 200,
+        body: JSON.stringify({ url, key, expiresIn }),
+    };
+};
@@ -0,0 +1,14 @@
+import { resizeImages } from './handler';
+import { S3Event, S3EventRecord } from 'aws-lambda';
+
+const record = (key: string): S3EventRecord => ({
+    s3: { bucket: { name: 'bucket' }, object: { key, size: 3 } },
+} as S3EventRecord);
+
+describe('Unit test for resizeImages handler', function () {
+    it('processes every new object', async () => {
+        const event: S3Event = { Records: [record('incoming/my+file.jpg')] };
+
+        await expect(resizeImages(event)).resolves.toBeUndefined();
+    });
+});
@@ -0,0 +1,9 @@
+import { S3Event } from 'aws-lambda';
+
+export const resizeImages = async (event: S3Event): Promise<void> => {
+    for (const record of event.Records) {
+        // Keys are URL-encoded, with + for spaces
+        const key = decodeURIComponent(record.s3.object.key.replace(/\+/g, ' '));
+        console.log(`New object ${key} in ${record.s3.bucket.name} (${record.s3.object.size} bytes)`);
+    }
+};
@@ -0,0 +1,11 @@
+import { APIGatewayProxyEvent, APIGatewayProxyResult } from 'aws-lambda';
+import { greet } from '../utils/greet';
+export const testBuckets = async (event: APIGatewayProxyEvent): Promise<APIGatewayProxyResult> => {
+    greet("testBuckets");
+    return {
+        statusCode: 200,
+        body: JSON.stringify({
+            message: "testBuckets world",
+        }),
+    };
+};
@@ -0,0 +1,33 @@
+import { loadResizeImagesConfig, loadCreateUploadConfig } from './config';
+
+describe('loadResizeImagesConfig', function () {
+    const env = {
+        USER_FILES_BUCKET: 'value',
+    };
+
+    it('reads the variables of resizeImages', () => {
+        expect(loadResizeImagesConfig(env)).toEqual({
+            userFilesBucket: 'value',
+        });
+    });
+
+    it('fails when a variable is missing', () => {
+        expect(() => loadResizeImagesConfig({ ...env, USER_FILES_BUCKET: undefined })).toThrow('USER_FILES_BUCKET');
+    });
+});
+
+describe('loadCreateUploadConfig', function () {
+    const env = {
+        USER_FILES_BUCKET: 'value',
+    };
+
+    it('reads the variables of createUpload', () => {
+        expect(loadCreateUploadConfig(env)).toEqual({
+            userFilesBucket: 'value',
+        });
+    });
+
+    it('fails when a variable is missing', () => {
+        expect(() => loadCreateUploadConfig({ ...env, USER_FILES_BUCKET: undefined })).toThrow('USER_FILES_BUCKET');
+    });
+});
@@ -0,0 +1,38 @@
+// Generated by sam-smith from the Environment.Variables of template.yaml, and rewritten
+// when they change: do not edit. Load the config of a Lambda at the top of its handler,
+// so that a missing variable fails the cold start:
+//   const config = loadResizeImagesConfig();
+
+type Env = Record<string, string | undefined>;
+
+function required(env: Env, name: string): string {
+    const value = env[name];
+    if (value === undefined || value === '') {
+        throw new Error(`Environment variable ${name} is not set`);
+    }
+    return value;
+}
+
+/** Variables of resizeImagesFunction (src/resizeImages) */
+export interface ResizeImagesConfig {
+    /** USER_FILES_BUCKET */
+    readonly userFilesBucket: string;
+}
+
+export function loadResizeImagesConfig(env: Env = process.env): ResizeImagesConfig {
+    return Object.freeze({
+        userFilesBucket: required(env, 'USER_FILES_BUCKET'),
+    });
+}
+
+/** Variables of createUploadFunction (src/createUpload) */
+export interface CreateUploadConfig {
+    /** USER_FILES_BUCKET */
+    readonly userFilesBucket: string;
+}
+
+export function loadCreateUploadConfig(env: Env = process.env): CreateUploadConfig {
+    return Object.freeze({
+        userFilesBucket: required(env, 'USER_FILES_BUCKET'),
+    });
+}
@@ -0,0 +1,41 @@
+import { loadOrdersConfig, loadPaymentsConfig } from './config';
+
+describe('loadOrdersConfig', function () {
+    const env = {
+        API_URL: 'https://dev.example.com',
+        MAX_RETRIES: '3',
+        TRACING: 'false',
+    };
+
+    it('reads the variables of orders', () => {
+        expect(loadOrdersConfig(env)).toEqual({
+            apiUrl: 'https://dev.example.com',
+            maxRetries: 3,
+            tracing: false,
+        });
+    });
+
+    it('fails when a variable is missing', () => {
+        expect(() => loadOrdersConfig({ ...env, API_URL: undefined })).toThrow('API_URL');
+    });
+});
+
+describe('loadPaymentsConfig', function () {
+    const env = {
+        API_URL: 'https://dev.example.com',
+        PAYMENT_KEY_SECRET: 'ssm:/sam-smith/test/PAYMENT_KEY',
+        RECEIPTS_BUCKET: 'value',
+    };
+
+    it('reads the variables of payments', () => {
+        expect(loadPaymentsConfig(env)).toEqual({
+            apiUrl: 'https://dev.example.com',
+            paymentKey: expect.any(Function),
+            receiptsBucket: 'value',
+        });
+    });
+
+    it('fails when a variable is missing', () => {
+        expect(() => loadPaymentsConfig({ ...env, API_URL: undefined })).toThrow('API_URL');
+    });
+});
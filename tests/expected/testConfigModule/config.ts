@@ -0,0 +1,75 @@
+// Generated by sam-smith from the Environment.Variables of template.yaml, and rewritten
+// when they change: do not edit. Load the config of a Lambda at the top of its handler,
+// so that a missing variable fails the cold start:
+//   const config = loadOrdersConfig();
+import { getSecret } from './secrets';
+
+type Env = Record<string, string | undefined>;
+
+function required(env: Env, name: string): string {
+    const value = env[name];
+    if (value === undefined || value === '') {
+        throw new Error(`Environment variable ${name} is not set`);
+    }
+    return value;
+}
+
+function number(env: Env, name: string): number {
+    const value = Number(required(env, name));
+    if (Number.isNaN(value)) {
+        throw new Error(`Environment variable ${name} is not a number`);
+    }
+    return value;
+}
+
+function boolean(env: Env, name: string): boolean {
+    const value = required(env, name);
+    if (value !== 'true' && value !== 'false') {
+        throw new Error(`Environment variable ${name} is not true or false`);
+    }
+    return value === 'true';
+}
+
+// The secret itself is read on demand, once per container
+function secret(env: Env, name: string): () => Promise<string> {
+    if (!env[name] && !env[`${name}_SECRET`]) {
+        throw new Error(`Secret ${name} is not set: neither ${name} nor ${name}_SECRET`);
+    }
+    return () => getSecret(name);
+}
+
+/** Variables of ordersFunction (src/orders) */
+export interface OrdersConfig {
+    /** API_URL */
+    readonly apiUrl: string;
+    /** MAX_RETRIES */
+    readonly maxRetries: number;
+    /** TRACING */
+    readonly tracing: boolean;
+}
+
+export function loadOrdersConfig(env: Env = process.env): OrdersConfig {
+    return Object.freeze({
+        apiUrl: required(env, 'API_URL'),
+        maxRetries: number(env, 'MAX_RETRIES'),
+        tracing: boolean(env, 'TRACING'),
+    });
+}
+
+/** Variables of paymentsFunction (src/payments) */
+export interface PaymentsConfig {
+    /** API_URL */
+    readonly apiUrl: string;
+    /** PAYMENT_KEY, read with getSecret() */
+    readonly paymentKey: () => Promise<string>;
+    /** RECEIPTS_BUCKET */
+    readonly receiptsBucket: string;
+}
+
+export function loadPaymentsConfig(env: Env = process.env): PaymentsConfig {
+    return Object.freeze({
+        apiUrl: required(env, 'API_URL'),
+        paymentKey: secret(env, 'PAYMENT_KEY'),
+        receiptsBucket: required(env, 'RECEIPTS_BUCKET'),
+    });
+}
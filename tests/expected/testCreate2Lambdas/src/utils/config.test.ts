@@ -0,0 +1,35 @@
+import { loadTestCreate2LambdasConfig, loadLambda2Config } from './config';
+
+describe('loadTestCreate2LambdasConfig', function () {
+    const env = {
+        A2: 'a2',
+    };
+
+    it('reads the variables of testCreate2Lambdas', () => {
+        expect(loadTestCreate2LambdasConfig(env)).toEqual({
+            a2: 'a2',
+        });
+    });
+
+    it('fails when a variable is missing', () => {
+        expect(() => loadTestCreate2LambdasConfig({ ...env, A2: undefined })).toThrow('A2');
+    });
+});
+
+describe('loadLambda2Config', function () {
+    const env = {
+        A1: 'a1',
+        A3: 'a3',
+    };
+
+    it('reads the variables of lambda2', () => {
+        expect(loadLambda2Config(env)).toEqual({
+            a1: 'a1',
+            a3: 'a3',
+        });
+    });
+
+    it('fails when a variable is missing', () => {
+        expect(() => loadLambda2Config({ ...env, A1: undefined })).toThrow('A1');
+    });
+});
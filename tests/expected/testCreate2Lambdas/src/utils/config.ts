@@ -0,0 +1,41 @@
+// Generated by sam-smith from the Environment.Variables of template.yaml, and rewritten
+// when they change: do not edit. Load the config of a Lambda at the top of its handler,
+// so that a missing variable fails the cold start:
+//   const config = loadTestCreate2LambdasConfig();
+
+type Env = Record<string, string | undefined>;
+
+function required(env: Env, name: string): string {
+    const value = env[name];
+    if (value === undefined || value === '') {
+        throw new Error(`Environment variable ${name} is not set`);
+    }
+    return value;
+}
+
+/** Variables of testCreate2LambdasFunction (src/testCreate2Lambdas) */
+export interface TestCreate2LambdasConfig {
+    /** A2 */
+    readonly a2: string;
+}
+
+export function loadTestCreate2LambdasConfig(env: Env = process.env): TestCreate2LambdasConfig {
+    return Object.freeze({
+        a2: required(env, 'A2'),
+    });
+}
+
+/** Variables of lambda2Function (src/lambda2) */
+export interface Lambda2Config {
+    /** A1 */
+    readonly a1: string;
+    /** A3 */
+    readonly a3: string;
+}
+
+export function loadLambda2Config(env: Env = process.env): Lambda2Config {
+    return Object.freeze({
+        a1: required(env, 'A1'),
+        a3: required(env, 'A3'),
+    });
+}
@@ -1,6 +1,9 @@
 export default {
     preset: 'ts-jest/presets/default-esm',
     testEnvironment: 'node',
+    // lib/templates holds the sources copied by sam-smith:update, not tests of this project, and
+    // .build the JavaScript compiled by npm run build, tests and migrations included
+    testPathIgnorePatterns: ['/node_modules/', '<rootDir>/lib/', '<rootDir>/.build/'],
     transform: {
         '^.+\\.tsx?$': ['ts-jest', {
             useESM: true,
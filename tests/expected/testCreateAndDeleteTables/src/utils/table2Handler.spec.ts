@@ -1,51 +1,82 @@
-import { tryTable2Query } from './table2Handler';
-import { DynamoClient } from 'dynamo-query-builder';
-
-// Mock dynamo-query-builder
-jest.mock('dynamo-query-builder', () => {
-    const mockTable = {
-        put: jest.fn().mockResolvedValue(undefined),
-        getOne: jest.fn().mockResolvedValue({
-            a2: 'a2',
-            b2: 'b2',
-            c2: 'c2',
-            e2: 'e2',
-            data: 'Hello!',
-        }),
-        delete: jest.fn().mockResolvedValue(undefined),
-    };
-
-    return {
-        DynamoClient: jest.fn().mockImplementation(() => ({
-            table: jest.fn().mockReturnValue(mockTable),
-        })),
-    };
-});
+import { getTable2Item, putTable2Item, updateTable2Item, deleteTable2Item, queryTable2 } from './table2Handler';
+import type { Table2Pk, Table2Sk, Table2Item } from './table2Handler';
+
+// The tests run against the local DynamoDB started by lib/jest-global-setup.js
+const pkOf = (test: string): Table2Pk => ({ a2: `a2-${test}`, b2: `b2-${test}` });
+const skOf = (test: string, n: number): Table2Sk => ({ c2: `c2-${n}`, a2: `a2-${test}`, e2: `e2-${n}` });
+const itemOf = (pk: Table2Pk, sk: Table2Sk): Table2Item => ({ ...pk, ...sk, data: 'Hello!' });
+
+async function putItems(items: Table2Item[]): Promise<void> {
+    for (const item of items) {
+        await putTable2Item(item);
+    }
+}
 
 describe('table2Handler', () => {
-    beforeEach(() => {
-        jest.clearAllMocks();
+    it('puts and gets an item', async () => {
+        const [pk, sk] = [pkOf('put'), skOf('put', 1)];
+
+        await putTable2Item(itemOf(pk, sk));
+
+        await expect(getTable2Item(pk, sk)).resolves.toMatchObject(itemOf(pk, sk));
+    });
+
+    it('gets undefined for a missing item', async () => {
+        await expect(getTable2Item(pkOf('missing'), skOf('missing', 1))).resolves.toBeUndefined();
+    });
+
+    it('updates the attributes of an item', async () => {
+        const [pk, sk] = [pkOf('update'), skOf('update', 1)];
+        await putTable2Item(itemOf(pk, sk));
+
+        await expect(updateTable2Item(pk, sk, { data: 'Updated!' })).resolves.toMatchObject({ ...pk, ...sk, data: 'Updated!' });
+        await expect(getTable2Item(pk, sk)).resolves.toMatchObject({ data: 'Updated!' });
+    });
+
+    it('refuses to update a missing item', async () => {
+        await expect(updateTable2Item(pkOf('update-missing'), skOf('update-missing', 1), { data: 'Updated!' })).rejects.toThrow();
     });
 
-    describe('tryTable2Query', () => {
-        it('should put an item in the table', async () => {
-            const result = await tryTable2Query();
+    it('refuses an update without changes', async () => {
+        await expect(updateTable2Item(pkOf('update-empty'), skOf('update-empty', 1), {})).rejects.toThrow('Nothing to update');
+    });
+
+    it('deletes an item by its keys', async () => {
+        const [pk, sk] = [pkOf('delete'), skOf('delete', 1)];
+        await putTable2Item(itemOf(pk, sk));
+
+        await deleteTable2Item(pk, sk);
+
+        await expect(getTable2Item(pk, sk)).resolves.toBeUndefined();
+    });
+
+    it('queries a partition with a sort key condition', async () => {
+        const pk = pkOf('query');
+        const items = [1, 2, 3].map(n => itemOf(pk, skOf('query', n)));
+        await putItems(items);
 
-            expect(result).toEqual({
-                a2: 'a2',
-                b2: 'b2',
-                c2: 'c2',
-                e2: 'e2',
-                data: 'Hello!',
-            });
-        });
+        await expect(queryTable2(pk, { greaterThanOrEqual: skOf('query', 2) })).resolves.toMatchObject({ items: [items[1], items[2]], cursor: undefined });
+        await expect(queryTable2(pk, undefined, { descending: true })).resolves.toMatchObject({ items: [items[2], items[1], items[0]] });
+    });
+
+    it('queries the sort keys beginning with the first keys', async () => {
+        const pk = pkOf('begins');
+        const items = [1, 2].map(n => itemOf(pk, skOf('begins', n)));
+        await putItems(items);
+
+        await expect(queryTable2(pk, { beginsWith: { c2: items[1].c2 } })).resolves.toMatchObject({ items: [items[1]] });
+    });
+
+    it('reads the next page with the cursor', async () => {
+        const pk = pkOf('pages');
+        const items = [1, 2, 3].map(n => itemOf(pk, skOf('pages', n)));
+        await putItems(items);
 
-        it('should execute the complete flow successfully', async () => {
-            const result = await tryTable2Query();
+        const page = await queryTable2(pk, undefined, { limit: 2 });
+        const next = await queryTable2(pk, undefined, { limit: 2, cursor: page.cursor });
 
-            // Verify result
-            expect(result).toBeDefined();
-            expect(result.data).toBe('Hello!');
-        });
+        expect(page).toMatchObject({ items: [items[0], items[1]] });
+        expect(page.cursor).toBeDefined();
+        expect(next).toMatchObject({ items: [items[2]], cursor: undefined });
     });
-});
\ No newline at end of file
+});
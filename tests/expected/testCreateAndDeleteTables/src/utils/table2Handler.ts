@@ -1,60 +1,250 @@
 import { DynamoClient, KeySchema, Table } from 'dynamo-query-builder';
-const tableName = "sam-smith-testCreateAndDeleteTables-dev-table2";
-const client = new DynamoClient({});
-export async function tryTable2Query() {
+import { DynamoDBClient } from '@aws-sdk/client-dynamodb';
+import { DynamoDBDocumentClient, PutCommand, QueryCommand, UpdateCommand } from '@aws-sdk/lib-dynamodb';
 
-    type pk = {
-        a2: string;
-        b2: string;
-    };
+// Table of the stack, set by template.yaml in the Lambdas using it. The local DynamoDB of the
+// tests and of sam local, where !Ref gives the logical id, names it as the default environment does
+const tableName = (process.env.AWS_SAM_LOCAL !== 'true' && process.env.TABLE2_TABLE_NAME) || "sam-smith-testCreateAndDeleteTables-dev-table2";
 
-    type sk = {
-        c2: string;
-        a2: string;
-        e2: string;
-    };
+// Local DynamoDB of sam-smith: started by the tests, or by sam-smith:dynamo-local for sam local
+const endpoint = process.env.DYNAMODB_ENDPOINT
+    ?? (process.env.AWS_SAM_LOCAL === 'true' ? 'http://host.docker.internal:8000' : undefined);
+const clientConfig = endpoint ? { endpoint } : {};
+
+const client = new DynamoClient(clientConfig);
+const documentClient = DynamoDBDocumentClient.from(new DynamoDBClient(clientConfig), {
+    marshallOptions: { removeUndefinedValues: true },
+});
+
+export type Table2Pk = {
+    a2: string;
+    b2: string;
+};
+
+export type Table2Sk = {
+    c2: string;
+    a2: string;
+    e2: string;
+};
+
+export type Table2Data = {
+    data: string;
+};
+
+// Attributes the secondary indexes are keyed on, besides the keys and the data. An item
+// without them is left out of the index
+export type Table2IndexKeys = Record<never, never>;
+
+export type Table2Keys = Table2Pk & Table2Sk;
+export type Table2Item = Table2Pk & Table2Sk & Table2Data & Table2IndexKeys;
+
+/**
+ * Condition on the sort key of a query. The keys are compared joined in the order of the
+ * key schema; beginsWith accepts the first keys only
+ */
+export type Table2SortKeyCondition =
+    | { equals: Table2Sk }
+    | { lessThan: Table2Sk }
+    | { lessThanOrEqual: Table2Sk }
+    | { greaterThan: Table2Sk }
+    | { greaterThanOrEqual: Table2Sk }
+    | { between: [Table2Sk, Table2Sk] }
+    | { beginsWith: Partial<Table2Sk> };
+
+export interface Table2QueryOptions {
+    // Items per page
+    limit?: number;
+    // Cursor of the previous page
+    cursor?: string;
+    // Sort key order, ascending by default
+    descending?: boolean;
+}
+
+export interface Table2Page {
+    items: Table2Item[];
+    // Cursor of the next page, undefined on the last one
+    cursor?: string;
+}
+
+export const table2KeySchema: KeySchema = {
+    pk: {
+        name: 'a2#b2',
+        keys: ['a2', 'b2'],
+        separator: '#'
+    },
+    sk: {
+        name: 'c2#a2#e2',
+        keys: ['c2', 'a2', 'e2'],
+        separator: '#',
+    },
+};
+
+const table2Table: Table<Table2Pk, Table2Sk, Table2Data> = client.table<Table2Pk, Table2Sk, Table2Data>(tableName, table2KeySchema);
+
+// Index keys joined from several attributes, as dynamo-query-builder reads them: written with the items
+const indexAttributes: Record<string, readonly string[]> = {};
 
-    type data = {
-        data: string;
+const SORT_KEY_OPERATORS = {
+    equals: '=',
+    lessThan: '<',
+    lessThanOrEqual: '<=',
+    greaterThan: '>',
+    greaterThanOrEqual: '>=',
+} as const;
+
+function sortKeyValue(sk: Table2Sk): string {
+    return [sk.c2, sk.a2, sk.e2].join('#');
+}
+
+// First keys of a sort key; a partial prefix ends with the separator, so 'a' does not match 'ab#c'
+function sortKeyPrefix(sk: Partial<Table2Sk>): string {
+    const values: string[] = [];
+    for (const key of ['c2', 'a2', 'e2'] as const) {
+        const value = sk[key];
+        if (value === undefined) {
+            break;
+        }
+        values.push(value);
+    }
+    return values.length === 3 ? values.join('#') : values.map(value => `${value}#`).join('');
+}
+
+function sortKeyCondition(condition: Table2SortKeyCondition, values: Record<string, unknown>): string {
+    if ('beginsWith' in condition) {
+        values[':sk'] = sortKeyPrefix(condition.beginsWith);
+        return 'begins_with(#sk, :sk)';
+    }
+    if ('between' in condition) {
+        values[':sk'] = sortKeyValue(condition.between[0]);
+        values[':skEnd'] = sortKeyValue(condition.between[1]);
+        return '#sk BETWEEN :sk AND :skEnd';
+    }
+    const [name, sk] = Object.entries(condition)[0] as [keyof typeof SORT_KEY_OPERATORS, Table2Sk];
+    values[':sk'] = sortKeyValue(sk);
+    return `#sk ${SORT_KEY_OPERATORS[name]} :sk`;
+}
+
+// Key attributes of an item, as dynamo-query-builder stores them
+function toKey(keys: Table2Keys): Record<string, string> {
+    return {
+        'a2#b2': [keys.a2, keys.b2].join('#'),
+        'c2#a2#e2': sortKeyValue(keys),
     };
+}
 
-    const keySchema: KeySchema = {
-        pk: {
-            name: 'a2#b2',
-            keys: ['a2', 'b2'],
-            separator: '#'
-        },
-        sk: {
-            name: 'c2#a2#e2',
-            keys: ['c2', 'a2', 'e2'],
-            separator: '#',
+// Index keys of an item joined from several attributes, for the indexes it has every attribute of
+function toIndexAttributes(item: Record<string, unknown>): Record<string, string> {
+    return Object.fromEntries(Object.entries(indexAttributes)
+        .filter(([, parts]) => parts.every(part => item[part] !== undefined))
+        .map(([name, parts]) => [name, parts.map(part => String(item[part])).join('#')]));
+}
+
+// Item read by the document client, with its keys split from the key attributes
+function fromItem(item: Record<string, unknown>): Table2Item {
+    const { 'a2#b2': pkValue, 'c2#a2#e2': skValue, ...attributes } = item;
+    for (const name of Object.keys(indexAttributes)) {
+        delete attributes[name];
+    }
+    const pk = String(pkValue).split('#');
+    const sk = String(skValue).split('#');
+    return {
+        ...attributes,
+        a2: pk[0],
+        b2: pk[1],
+        c2: sk[0],
+        e2: sk[2],
+    } as Table2Item;
+}
+
+function encodeCursor(key?: Record<string, unknown>): string | undefined {
+    return key && Buffer.from(JSON.stringify(key)).toString('base64url');
+}
+
+function decodeCursor(cursor?: string): Record<string, unknown> | undefined {
+    return cursor ? JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8')) : undefined;
+}
+
+/**
+ * Item of table2 by its keys, undefined when it does not exist
+ */
+export async function getTable2Item(pk: Table2Pk, sk: Table2Sk): Promise<Table2Item | undefined> {
+    const item = await table2Table.getOne(pk, sk);
+    return (item ?? undefined) as Table2Item | undefined;
+}
+
+/**
+ * Create or replace an item of table2
+ */
+export async function putTable2Item(item: Table2Item): Promise<void> {
+    await documentClient.send(new PutCommand({
+        TableName: tableName,
+        Item: { ...item, ...toKey(item), ...toIndexAttributes(item) },
+    }));
+}
+
+/**
+ * Set attributes of an existing item of table2 and return the updated item.
+ * Fails when the item does not exist
+ */
+export async function updateTable2Item(pk: Table2Pk, sk: Table2Sk, changes: Partial<Table2Data & Table2IndexKeys>): Promise<Table2Item> {
+    const fields: [string, unknown][] = Object.entries(changes).filter(([, value]) => value !== undefined);
+    if (fields.length === 0) {
+        throw new Error('Nothing to update');
+    }
+    // An index key joined from several attributes is written again when one of them changes
+    const composed = toIndexAttributes({ ...pk, ...sk, ...Object.fromEntries(fields) });
+    for (const [name, parts] of Object.entries(indexAttributes)) {
+        if (!fields.some(([field]) => parts.includes(field))) {
+            continue;
+        }
+        if (!(name in composed)) {
+            throw new Error(`Update ${parts.join(', ')} together: they make up the ${name} key of an index`);
+        }
+        fields.push([name, composed[name]]);
+    }
+    const result = await documentClient.send(new UpdateCommand({
+        TableName: tableName,
+        Key: toKey({ ...pk, ...sk }),
+        UpdateExpression: `SET ${fields.map((_, i) => `#f${i} = :f${i}`).join(', ')}`,
+        ConditionExpression: 'attribute_exists(#pk)',
+        ExpressionAttributeNames: {
+            '#pk': 'a2#b2',
+            ...Object.fromEntries(fields.map(([field], i) => [`#f${i}`, field])),
         },
-    };
+        ExpressionAttributeValues: Object.fromEntries(fields.map(([, value], i) => [`:f${i}`, value])),
+        ReturnValues: 'ALL_NEW',
+    }));
+    return fromItem(result.Attributes ?? {});
+}
+
+/**
+ * Delete an item of table2 by its keys
+ */
+export async function deleteTable2Item(pk: Table2Pk, sk: Table2Sk): Promise<void> {
+    await table2Table.delete(pk, sk);
+}
 
-    const messageTable: Table<pk, sk, data> = client.table<pk, sk, data>(tableName, keySchema);
-    await messageTable.put({
-        a2: 'a2',
-        b2: 'b2',
-        c2: 'c2',
-        e2: 'e2',
-        data: 'Hello!',
-    });
-    const result = await messageTable.getOne({
-        a2: 'a2',
-        b2: 'b2',
-    }, {
-        c2: 'c2',
-        a2: 'a2',
-        e2: 'e2',
-    });
-    console.log(result);
-    await messageTable.delete({
-        a2: 'a2',
-        b2: 'b2',
-    }, {
-        c2: 'c2',
-        a2: 'a2',
-        e2: 'e2',
-    });
-    return result;
-}
\ No newline at end of file
+/**
+ * A page of the items of a partition of table2, optionally filtered on the sort key.
+ * Pass the returned cursor back in the options to read the next page
+ */
+export async function queryTable2(pk: Table2Pk, condition?: Table2SortKeyCondition, options: Table2QueryOptions = {}): Promise<Table2Page> {
+    const values: Record<string, unknown> = { ':pk': [pk.a2, pk.b2].join('#') };
+    const expressions = ['#pk = :pk'];
+    if (condition) {
+        expressions.push(sortKeyCondition(condition, values));
+    }
+    const result = await documentClient.send(new QueryCommand({
+        TableName: tableName,
+        KeyConditionExpression: expressions.join(' AND '),
+        ExpressionAttributeNames: { '#pk': 'a2#b2', ...(condition && { '#sk': 'c2#a2#e2' }) },
+        ExpressionAttributeValues: values,
+        Limit: options.limit,
+        ScanIndexForward: !options.descending,
+        ExclusiveStartKey: decodeCursor(options.cursor),
+    }));
+    return {
+        items: (result.Items ?? []).map(fromItem),
+        cursor: encodeCursor(result.LastEvaluatedKey),
+    };
+}
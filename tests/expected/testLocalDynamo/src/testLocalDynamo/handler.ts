@@ -0,0 +1,11 @@
+import { APIGatewayProxyEvent, APIGatewayProxyResult } from 'aws-lambda';
+import { greet } from '../utils/greet';
+export const testLocalDynamo = async (event: APIGatewayProxyEvent): Promise<APIGatewayProxyResult> => {
+    greet("testLocalDynamo");
+    return {
+        statusCode: 200,
+        body: JSON.stringify({
+            message: "testLocalDynamo world",
+        }),
+    };
+};
@@ -0,0 +1,12 @@
+import { notifyCustomers } from './handler';
+import { SNSEvent, SNSEventRecord } from 'aws-lambda';
+
+const record = (MessageId: string, Message: string): SNSEventRecord => ({ Sns: { MessageId, Message } } as SNSEventRecord);
+
+describe('Unit test for notifyCustomers handler', function () {
+    it('processes every message', async () => {
+        const event: SNSEvent = { Records: [record('1', JSON.stringify({ id: 1 }))] };
+
+        await expect(notifyCustomers(event)).resolves.toBeUndefined();
+    });
+});
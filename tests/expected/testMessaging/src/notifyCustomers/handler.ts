@@ -0,0 +1,8 @@
+import { SNSEvent } from 'aws-lambda';
+
+export const notifyCustomers = async (event: SNSEvent): Promise<void> => {
+    for (const record of event.Records) {
+        const message = JSON.parse(record.Sns.Message);
+        console.log(`Processing message ${record.Sns.MessageId}`, message);
+    }
+};
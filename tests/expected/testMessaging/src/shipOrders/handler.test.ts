@@ -0,0 +1,20 @@
+import { shipOrders, ShipOrdersDetailType } from './handler';
+import { EventBridgeEvent } from 'aws-lambda';
+
+describe('Unit test for shipOrders handler', function () {
+    it('processes the event', async () => {
+        const event: EventBridgeEvent<ShipOrdersDetailType, Record<string, unknown>> = {
+            id: 'c5b9a5d4-3d6c-4e2b-9f5d-8e7f5c2b1a00',
+            version: '0',
+            account: '123456789012',
+            time: '2024-01-01T00:00:00Z',
+            region: 'us-east-1',
+            resources: [],
+            'detail-type': 'OrderPlaced',
+            source: 'test',
+            detail: { id: 1 },
+        };
+
+        await expect(shipOrders(event)).resolves.toBeUndefined();
+    });
+});
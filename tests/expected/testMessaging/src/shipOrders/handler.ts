@@ -0,0 +1,7 @@
+import { EventBridgeEvent } from 'aws-lambda';
+
+export type ShipOrdersDetailType = 'OrderPlaced' | 'OrderPaid';
+
+export const shipOrders = async (event: EventBridgeEvent<ShipOrdersDetailType, Record<string, unknown>>): Promise<void> => {
+    console.log(`Processing ${event['detail-type']} from ${event.source}`, event.detail);
+};
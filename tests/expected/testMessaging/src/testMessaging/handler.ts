@@ -0,0 +1,11 @@
+import { APIGatewayProxyEvent, APIGatewayProxyResult } from 'aws-lambda';
+import { greet } from '../utils/greet';
+export const testMessaging = async (event: APIGatewayProxyEvent): Promise<APIGatewayProxyResult> => {
+    greet("testMessaging");
+    return {
+        statusCode: 200,
+        body: JSON.stringify({
+            message: "testMessaging world",
+        }),
+    };
+};
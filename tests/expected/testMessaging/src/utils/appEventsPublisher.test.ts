@@ -0,0 +1,30 @@
+import { publishAppEventsEvent, source } from './appEventsPublisher';
+
+const mockSend = jest.fn();
+
+// jest.mock is hoisted above mockSend, and the publisher creates its client when it is imported:
+// the client reads mockSend when it sends, once it is initialized
+jest.mock('@aws-sdk/client-eventbridge', () => ({
+    EventBridgeClient: jest.fn().mockImplementation(() => ({ send: (...args: unknown[]) => mockSend(...args) })),
+    PutEventsCommand: jest.fn().mockImplementation((input) => ({ input })),
+}));
+
+describe('publishAppEventsEvent', function () {
+    it('puts the event on the bus', async () => {
+        mockSend.mockResolvedValue({ FailedEntryCount: 0, Entries: [{ EventId: '1' }] });
+
+        await publishAppEventsEvent('Created', { id: 1 });
+
+        expect(mockSend).toHaveBeenCalledWith({
+            input: {
+                Entries: [expect.objectContaining({ Source: source, DetailType: 'Created', Detail: JSON.stringify({ id: 1 }) })],
+            },
+        });
+    });
+
+    it('throws when the event is rejected', async () => {
+        mockSend.mockResolvedValue({ FailedEntryCount: 1, Entries: [{ ErrorMessage: 'denied' }] });
+
+        await expect(publishAppEventsEvent('Created', { id: 1 })).rejects.toThrow('denied');
+    });
+});
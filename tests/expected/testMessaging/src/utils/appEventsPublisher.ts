@@ -0,0 +1,24 @@
+import { EventBridgeClient, PutEventsCommand } from '@aws-sdk/client-eventbridge';
+
+const client = new EventBridgeClient({});
+const eventBusName = process.env.APP_EVENTS_BUS_NAME as string;
+
+// Source of the events, matched by the `source` of the rule patterns
+export const source = 'testMessaging';
+
+// Detail of each detail-type published to the appEvents bus
+export interface AppEventsEventDetails {
+    [detailType: string]: Record<string, unknown>;
+}
+
+/**
+ * Publish an event to the appEvents bus
+ */
+export async function publishAppEventsEvent<T extends keyof AppEventsEventDetails & string>(detailType: T, detail: AppEventsEventDetails[T]): Promise<void> {
+    const result = await client.send(new PutEventsCommand({
+        Entries: [{ EventBusName: eventBusName, Source: source, DetailType: detailType, Detail: JSON.stringify(detail) }],
+    }));
+    if (result.FailedEntryCount) {
+        throw new Error(`${detailType} was not published: ${result.Entries?.[0]?.ErrorMessage}`);
+    }
+}
@@ -0,0 +1,19 @@
+import { loadTestMessagingConfig } from './config';
+
+describe('loadTestMessagingConfig', function () {
+    const env = {
+        ORDERS_TOPIC_ARN: 'value',
+        APP_EVENTS_BUS_NAME: 'value',
+    };
+
+    it('reads the variables of testMessaging', () => {
+        expect(loadTestMessagingConfig(env)).toEqual({
+            ordersTopicArn: 'value',
+            appEventsBusName: 'value',
+        });
+    });
+
+    it('fails when a variable is missing', () => {
+        expect(() => loadTestMessagingConfig({ ...env, ORDERS_TOPIC_ARN: undefined })).toThrow('ORDERS_TOPIC_ARN');
+    });
+});
@@ -0,0 +1,29 @@
+// Generated by sam-smith from the Environment.Variables of template.yaml, and rewritten
+// when they change: do not edit. Load the config of a Lambda at the top of its handler,
+// so that a missing variable fails the cold start:
+//   const config = loadTestMessagingConfig();
+
+type Env = Record<string, string | undefined>;
+
+function required(env: Env, name: string): string {
+    const value = env[name];
+    if (value === undefined || value === '') {
+        throw new Error(`Environment variable ${name} is not set`);
+    }
+    return value;
+}
+
+/** Variables of testMessagingFunction (src/testMessaging) */
+export interface TestMessagingConfig {
+    /** ORDERS_TOPIC_ARN */
+    readonly ordersTopicArn: string;
+    /** APP_EVENTS_BUS_NAME */
+    readonly appEventsBusName: string;
+}
+
+export function loadTestMessagingConfig(env: Env = process.env): TestMessagingConfig {
+    return Object.freeze({
+        ordersTopicArn: required(env, 'ORDERS_TOPIC_ARN'),
+        appEventsBusName: required(env, 'APP_EVENTS_BUS_NAME'),
+    });
+}
@@ -0,0 +1,3 @@
+export function greet(caller: string) {
+    console.log(`hello world from ${caller}`);
+}
\ No newline at end of file
@@ -0,0 +1,26 @@
+import { publishOrdersMessage } from './ordersPublisher';
+
+const mockSend = jest.fn();
+
+// jest.mock is hoisted above mockSend, and the publisher creates its client when it is imported:
+// the client reads mockSend when it sends, once it is initialized
+jest.mock('@aws-sdk/client-sns', () => ({
+    SNSClient: jest.fn().mockImplementation(() => ({ send: (...args: unknown[]) => mockSend(...args) })),
+    PublishCommand: jest.fn().mockImplementation((input) => ({ input })),
+}));
+
+describe('publishOrdersMessage', function () {
+    it('publishes the message with its attributes', async () => {
+        mockSend.mockResolvedValue({ MessageId: '1' });
+
+        const messageId = await publishOrdersMessage({ id: 1 }, { type: 'created' });
+
+        expect(messageId).toEqual('1');
+        expect(mockSend).toHaveBeenCalledWith({
+            input: expect.objectContaining({
+                Message: JSON.stringify({ id: 1 }),
+                MessageAttributes: { type: { DataType: 'String', StringValue: 'created' } },
+            }),
+        });
+    });
+});
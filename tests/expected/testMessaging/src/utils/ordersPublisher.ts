@@ -0,0 +1,23 @@
+import { PublishCommand, SNSClient } from '@aws-sdk/client-sns';
+
+const client = new SNSClient({});
+const topicArn = process.env.ORDERS_TOPIC_ARN as string;
+
+// Shape of the messages published to the orders topic
+export interface OrdersMessage {
+    [key: string]: unknown;
+}
+
+/**
+ * Publish a message to the orders topic. Subscriptions filter on the attributes
+ */
+export async function publishOrdersMessage(message: OrdersMessage, attributes: Record<string, string> = {}): Promise<string> {
+    const result = await client.send(new PublishCommand({
+        TopicArn: topicArn,
+        Message: JSON.stringify(message),
+        MessageAttributes: Object.fromEntries(
+            Object.entries(attributes).map(([name, value]) => [name, { DataType: 'String', StringValue: value }])
+        ),
+    }));
+    return result.MessageId as string;
+}
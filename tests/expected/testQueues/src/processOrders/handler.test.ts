@@ -0,0 +1,22 @@
+import { processOrders } from './handler';
+import { SQSEvent, SQSRecord } from 'aws-lambda';
+
+const record = (messageId: string, body: string): SQSRecord => ({ messageId, body } as SQSRecord);
+
+describe('Unit test for processOrders handler', function () {
+    it('processes every message', async () => {
+        const event: SQSEvent = { Records: [record('1', JSON.stringify({ id: 1 }))] };
+        const result = await processOrders(event);
+
+        expect(result.batchItemFailures).toEqual([]);
+    });
+
+    it('reports the messages that cannot be processed', async () => {
+        const event: SQSEvent = {
+            Records: [record('1', JSON.stringify({ id: 1 })), record('2', 'not json')],
+        };
+        const result = await processOrders(event);
+
+        expect(result.batchItemFailures).toEqual([{ itemIdentifier: '2' }]);
+    });
+});
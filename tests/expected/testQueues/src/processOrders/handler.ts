@@ -0,0 +1,17 @@
+import { SQSBatchItemFailure, SQSBatchResponse, SQSEvent } from 'aws-lambda';
+
+export const processOrders = async (event: SQSEvent): Promise<SQSBatchResponse> => {
+    const batchItemFailures: SQSBatchItemFailure[] = [];
+
+    for (const record of event.Records) {
+        try {
+            const message = JSON.parse(record.body);
+            console.log(`Processing message ${record.messageId}`, message);
+        } catch (error) {
+            // Only the failed messages are retried
+            batchItemFailures.push({ itemIdentifier: record.messageId });
+        }
+    }
+
+    return { batchItemFailures };
+};
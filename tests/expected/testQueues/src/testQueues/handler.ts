@@ -0,0 +1,11 @@
+import { APIGatewayProxyEvent, APIGatewayProxyResult } from 'aws-lambda';
+import { greet } from '../utils/greet';
+export const testQueues = async (event: APIGatewayProxyEvent): Promise<APIGatewayProxyResult> => {
+    greet("testQueues");
+    return {
+        statusCode: 200,
+        body: JSON.stringify({
+            message: "testQueues world",
+        }),
+    };
+};
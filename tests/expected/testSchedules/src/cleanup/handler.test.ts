@@ -0,0 +1,15 @@
+import { cleanup } from './handler';
+import { ScheduledEvent } from 'aws-lambda';
+
+describe('Unit test for cleanup handler', function () {
+    it('runs on schedule', async () => {
+        const event = {
+            'detail-type': 'Scheduled Event',
+            source: 'aws.events',
+            time: '2024-01-01T00:00:00Z',
+            detail: {},
+        } as ScheduledEvent;
+
+        await expect(cleanup(event)).resolves.toBeUndefined();
+    });
+});
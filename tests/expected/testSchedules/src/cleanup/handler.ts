@@ -0,0 +1,5 @@
+import { ScheduledEvent } from 'aws-lambda';
+
+export const cleanup = async (event: ScheduledEvent): Promise<void> => {
+    console.log(`Running cleanup scheduled at ${event.time}`);
+};
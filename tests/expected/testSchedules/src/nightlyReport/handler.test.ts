@@ -0,0 +1,9 @@
+import { nightlyReport, NightlyReportInput } from './handler';
+
+describe('Unit test for nightlyReport handler', function () {
+    it('runs with the schedule input', async () => {
+        const event: NightlyReportInput = {"report":"daily","days":7,"recipients":["ops"]};
+
+        await expect(nightlyReport(event)).resolves.toBeUndefined();
+    });
+});
@@ -0,0 +1,10 @@
+// The schedule passes its input instead of a ScheduledEvent
+export interface NightlyReportInput {
+    report: string;
+    days: number;
+    recipients: unknown[];
+}
+
+export const nightlyReport = async (event: NightlyReportInput): Promise<void> => {
+    console.log('Running nightlyReport with', event);
+};
@@ -0,0 +1,11 @@
+import { APIGatewayProxyEvent, APIGatewayProxyResult } from 'aws-lambda';
+import { greet } from '../utils/greet';
+export const testSchedules = async (event: APIGatewayProxyEvent): Promise<APIGatewayProxyResult> => {
+    greet("testSchedules");
+    return {
+        statusCode: 200,
+        body: JSON.stringify({
+            message: "testSchedules world",
+        }),
+    };
+};
@@ -0,0 +1,16 @@
+import { payments } from './handler';
+import { APIGatewayProxyEvent } from 'aws-lambda';
+
+describe('Unit test for payments handler', function () {
+    it('verifies successful response', async () => {
+        const event: APIGatewayProxyEvent = {} as any;
+        const result = await payments(event);
+
+        expect(result.statusCode).toEqual(200);
+        expect(result.body).toEqual(
+            JSON.stringify({
+                message: 'hello from payments',
+            })
+        );
+    });
+});
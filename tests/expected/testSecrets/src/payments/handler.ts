@@ -0,0 +1,10 @@
+import { APIGatewayProxyEvent, APIGatewayProxyResult } from 'aws-lambda';
+
+export const payments = async (event: APIGatewayProxyEvent): Promise<APIGatewayProxyResult> => {
+    return {
+        statusCode: 200,
+        body: JSON.stringify({
+            message: "hello from payments",
+        }),
+    };
+};
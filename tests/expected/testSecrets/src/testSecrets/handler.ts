@@ -0,0 +1,11 @@
+import { APIGatewayProxyEvent, APIGatewayProxyResult } from 'aws-lambda';
+import { greet } from '../utils/greet';
+export const testSecrets = async (event: APIGatewayProxyEvent): Promise<APIGatewayProxyResult> => {
+    greet("testSecrets");
+    return {
+        statusCode: 200,
+        body: JSON.stringify({
+            message: "testSecrets world",
+        }),
+    };
+};
@@ -0,0 +1,37 @@
+import { loadTestSecretsConfig, loadPaymentsConfig } from './config';
+
+describe('loadTestSecretsConfig', function () {
+    const env = {
+        API_URL: 'https://api.example.com',
+        DB_PASSWORD_SECRET: 'ssm:/sam-smith/test/DB_PASSWORD',
+    };
+
+    it('reads the variables of testSecrets', () => {
+        expect(loadTestSecretsConfig(env)).toEqual({
+            apiUrl: 'https://api.example.com',
+            dbPassword: expect.any(Function),
+        });
+    });
+
+    it('fails when a variable is missing', () => {
+        expect(() => loadTestSecretsConfig({ ...env, API_URL: undefined })).toThrow('API_URL');
+    });
+});
+
+describe('loadPaymentsConfig', function () {
+    const env = {
+        STRIPE_KEY_SECRET: 'ssm:/sam-smith/test/STRIPE_KEY',
+        API_URL: 'https://api.example.com',
+    };
+
+    it('reads the variables of payments', () => {
+        expect(loadPaymentsConfig(env)).toEqual({
+            stripeKey: expect.any(Function),
+            apiUrl: 'https://api.example.com',
+        });
+    });
+
+    it('fails when a variable is missing', () => {
+        expect(() => loadPaymentsConfig({ ...env, STRIPE_KEY_SECRET: undefined })).toThrow('STRIPE_KEY');
+    });
+});
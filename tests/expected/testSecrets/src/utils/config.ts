@@ -0,0 +1,53 @@
+// Generated by sam-smith from the Environment.Variables of template.yaml, and rewritten
+// when they change: do not edit. Load the config of a Lambda at the top of its handler,
+// so that a missing variable fails the cold start:
+//   const config = loadTestSecretsConfig();
+import { getSecret } from './secrets';
+
+type Env = Record<string, string | undefined>;
+
+function required(env: Env, name: string): string {
+    const value = env[name];
+    if (value === undefined || value === '') {
+        throw new Error(`Environment variable ${name} is not set`);
+    }
+    return value;
+}
+
+// The secret itself is read on demand, once per container
+function secret(env: Env, name: string): () => Promise<string> {
+    if (!env[name] && !env[`${name}_SECRET`]) {
+        throw new Error(`Secret ${name} is not set: neither ${name} nor ${name}_SECRET`);
+    }
+    return () => getSecret(name);
+}
+
+/** Variables of testSecretsFunction (src/testSecrets) */
+export interface TestSecretsConfig {
+    /** API_URL */
+    readonly apiUrl: string;
+    /** DB_PASSWORD, read with getSecret() */
+    readonly dbPassword: () => Promise<string>;
+}
+
+export function loadTestSecretsConfig(env: Env = process.env): TestSecretsConfig {
+    return Object.freeze({
+        apiUrl: required(env, 'API_URL'),
+        dbPassword: secret(env, 'DB_PASSWORD'),
+    });
+}
+
+/** Variables of paymentsFunction (src/payments) */
+export interface PaymentsConfig {
+    /** STRIPE_KEY, read with getSecret() */
+    readonly stripeKey: () => Promise<string>;
+    /** API_URL */
+    readonly apiUrl: string;
+}
+
+export function loadPaymentsConfig(env: Env = process.env): PaymentsConfig {
+    return Object.freeze({
+        stripeKey: secret(env, 'STRIPE_KEY'),
+        apiUrl: required(env, 'API_URL'),
+    });
+}
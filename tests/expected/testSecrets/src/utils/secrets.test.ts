@@ -0,0 +1,50 @@
+import { getSecret } from './secrets';
+
+const mockSsmSend = jest.fn();
+const mockSecretsManagerSend = jest.fn();
+
+jest.mock('@aws-sdk/client-ssm', () => ({
+    SSMClient: jest.fn().mockImplementation(() => ({ send: mockSsmSend })),
+    GetParameterCommand: jest.fn().mockImplementation((input) => ({ input })),
+}));
+
+jest.mock('@aws-sdk/client-secrets-manager', () => ({
+    SecretsManagerClient: jest.fn().mockImplementation(() => ({ send: mockSecretsManagerSend })),
+    GetSecretValueCommand: jest.fn().mockImplementation((input) => ({ input })),
+}));
+
+describe('getSecret', function () {
+    afterEach(() => {
+        delete process.env.TEST_SECRET_VALUE;
+        delete process.env.TEST_SECRET_VALUE_SECRET;
+    });
+
+    it('returns the variable when it is set', async () => {
+        process.env.TEST_SECRET_VALUE = 'local';
+
+        await expect(getSecret('TEST_SECRET_VALUE')).resolves.toEqual('local');
+        expect(mockSsmSend).not.toHaveBeenCalled();
+    });
+
+    it('reads an SSM parameter once', async () => {
+        process.env.TEST_SECRET_VALUE_SECRET = 'ssm:/sam-smith/test/ssm';
+        mockSsmSend.mockResolvedValue({ Parameter: { Value: 'from-ssm' } });
+
+        await expect(getSecret('TEST_SECRET_VALUE')).resolves.toEqual('from-ssm');
+        await expect(getSecret('TEST_SECRET_VALUE')).resolves.toEqual('from-ssm');
+        expect(mockSsmSend).toHaveBeenCalledTimes(1);
+        expect(mockSsmSend).toHaveBeenCalledWith({ input: { Name: '/sam-smith/test/ssm', WithDecryption: true } });
+    });
+
+    it('reads a Secrets Manager secret', async () => {
+        process.env.TEST_SECRET_VALUE_SECRET = 'secretsmanager:sam-smith/test/manager';
+        mockSecretsManagerSend.mockResolvedValue({ SecretString: 'from-manager' });
+
+        await expect(getSecret('TEST_SECRET_VALUE')).resolves.toEqual('from-manager');
+        expect(mockSecretsManagerSend).toHaveBeenCalledWith({ input: { SecretId: 'sam-smith/test/manager' } });
+    });
+
+    it('throws when the secret has no location', async () => {
+        await expect(getSecret('TEST_SECRET_VALUE')).rejects.toThrow('TEST_SECRET_VALUE_SECRET');
+    });
+});
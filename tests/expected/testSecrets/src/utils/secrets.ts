@@ -0,0 +1,56 @@
+import { GetParameterCommand, SSMClient } from '@aws-sdk/client-ssm';
+import { GetSecretValueCommand, SecretsManagerClient } from '@aws-sdk/client-secrets-manager';
+
+// Values read by this container, by location (`ssm:<name>` or `secretsmanager:<name>`)
+const cache = new Map<string, Promise<string>>();
+
+let ssm: SSMClient | undefined;
+let secretsManager: SecretsManagerClient | undefined;
+
+/**
+ * Value of a variable marked `# @secret` in .env. The Lambda only receives
+ * `<NAME>_SECRET`, the location of the secret, read once per container.
+ * `<NAME>` is returned instead when it is set, e.g. in the tests
+ */
+export async function getSecret(name: string): Promise<string> {
+    const value = process.env[name];
+    if (value !== undefined) {
+        return value;
+    }
+
+    const location = process.env[`${name}_SECRET`];
+    if (!location) {
+        throw new Error(`Secret ${name} is not available: neither ${name} nor ${name}_SECRET is set`);
+    }
+
+    let pending = cache.get(location);
+    if (!pending) {
+        pending = readSecret(location);
+        cache.set(location, pending);
+    }
+    try {
+        return await pending;
+    } catch (error) {
+        // Read again on the next call
+        cache.delete(location);
+        throw error;
+    }
+}
+
+async function readSecret(location: string): Promise<string> {
+    const separator = location.indexOf(':');
+    const store = location.slice(0, separator);
+    const id = location.slice(separator + 1);
+
+    if (store === 'ssm') {
+        ssm ??= new SSMClient({});
+        const result = await ssm.send(new GetParameterCommand({ Name: id, WithDecryption: true }));
+        return result.Parameter?.Value ?? '';
+    }
+    if (store === 'secretsmanager') {
+        secretsManager ??= new SecretsManagerClient({});
+        const result = await secretsManager.send(new GetSecretValueCommand({ SecretId: id }));
+        return result.SecretString ?? '';
+    }
+    throw new Error(`Unknown secret store '${store}' in ${location}`);
+}
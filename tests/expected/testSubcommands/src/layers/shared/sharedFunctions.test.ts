@@ -0,0 +1,10 @@
+import { sharedFunction } from './sharedFunctions';
+
+describe('sharedFunction', () => {
+    it('should call greet with shared', () => {
+        const consoleSpy = jest.spyOn(console, 'log');
+        sharedFunction();
+        expect(consoleSpy).toHaveBeenCalledWith('hello world from shared');
+        consoleSpy.mockRestore();
+    });
+});
@@ -0,0 +1,4 @@
+import { greet } from "../../utils/greet";
+export function sharedFunction() {
+    greet("shared");
+}
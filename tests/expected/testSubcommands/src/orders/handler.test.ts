@@ -0,0 +1,16 @@
+import { orders } from './handler';
+import { APIGatewayProxyEvent } from 'aws-lambda';
+
+describe('Unit test for orders handler', function () {
+    it('verifies successful response', async () => {
+        const event: APIGatewayProxyEvent = {} as any;
+        const result = await orders(event);
+
+        expect(result.statusCode).toEqual(200);
+        expect(result.body).toEqual(
+            JSON.stringify({
+                message: 'hello from orders',
+            })
+        );
+    });
+});
@@ -0,0 +1,11 @@
+import { APIGatewayProxyEvent, APIGatewayProxyResult } from 'aws-lambda';
+import * as ordersTableRepository from '../utils/ordersTableHandler';
+
+export const orders = async (event: APIGatewayProxyEvent): Promise<APIGatewayProxyResult> => {
+    return {
+        statusCode: 200,
+        body: JSON.stringify({
+            message: "hello from orders",
+        }),
+    };
+};
@@ -0,0 +1,11 @@
+import { APIGatewayProxyEvent, APIGatewayProxyResult } from 'aws-lambda';
+import { greet } from '../utils/greet';
+export const testSubcommands = async (event: APIGatewayProxyEvent): Promise<APIGatewayProxyResult> => {
+    greet("testSubcommands");
+    return {
+        statusCode: 200,
+        body: JSON.stringify({
+            message: "testSubcommands world",
+        }),
+    };
+};
@@ -0,0 +1,19 @@
+import { loadOrdersConfig } from './config';
+
+describe('loadOrdersConfig', function () {
+    const env = {
+        A1: 'a1',
+        ORDERS_TABLE_TABLE_NAME: 'value',
+    };
+
+    it('reads the variables of orders', () => {
+        expect(loadOrdersConfig(env)).toEqual({
+            a1: 'a1',
+            ordersTableTableName: 'value',
+        });
+    });
+
+    it('fails when a variable is missing', () => {
+        expect(() => loadOrdersConfig({ ...env, A1: undefined })).toThrow('A1');
+    });
+});
@@ -0,0 +1,29 @@
+// Generated by sam-smith from the Environment.Variables of template.yaml, and rewritten
+// when they change: do not edit. Load the config of a Lambda at the top of its handler,
+// so that a missing variable fails the cold start:
+//   const config = loadOrdersConfig();
+
+type Env = Record<string, string | undefined>;
+
+function required(env: Env, name: string): string {
+    const value = env[name];
+    if (value === undefined || value === '') {
+        throw new Error(`Environment variable ${name} is not set`);
+    }
+    return value;
+}
+
+/** Variables of ordersFunction (src/orders) */
+export interface OrdersConfig {
+    /** A1 */
+    readonly a1: string;
+    /** ORDERS_TABLE_TABLE_NAME */
+    readonly ordersTableTableName: string;
+}
+
+export function loadOrdersConfig(env: Env = process.env): OrdersConfig {
+    return Object.freeze({
+        a1: required(env, 'A1'),
+        ordersTableTableName: required(env, 'ORDERS_TABLE_TABLE_NAME'),
+    });
+}
@@ -0,0 +1,16 @@
+import { reports } from './handler';
+import { APIGatewayProxyEvent } from 'aws-lambda';
+
+describe('Unit test for reports handler', function () {
+    it('verifies successful response', async () => {
+        const event: APIGatewayProxyEvent = {} as any;
+        const result = await reports(event);
+
+        expect(result.statusCode).toEqual(200);
+        expect(result.body).toEqual(
+            JSON.stringify({
+                message: 'hello from reports',
+            })
+        );
+    });
+});
@@ -0,0 +1,12 @@
+import { APIGatewayProxyEvent, APIGatewayProxyResult } from 'aws-lambda';
+import * as ordersRepository from '../utils/ordersHandler';
+import * as productsRepository from '../utils/productsHandler';
+
+export const reports = async (event: APIGatewayProxyEvent): Promise<APIGatewayProxyResult> => {
+    return {
+        statusCode: 200,
+        body: JSON.stringify({
+            message: "hello from reports",
+        }),
+    };
+};
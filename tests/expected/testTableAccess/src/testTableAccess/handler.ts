@@ -0,0 +1,13 @@
+import { APIGatewayProxyEvent, APIGatewayProxyResult } from 'aws-lambda';
+import { greet } from '../utils/greet';
+import * as ordersRepository from '../utils/ordersHandler';
+import * as productsRepository from '../utils/productsHandler';
+export const testTableAccess = async (event: APIGatewayProxyEvent): Promise<APIGatewayProxyResult> => {
+    greet("testTableAccess");
+    return {
+        statusCode: 200,
+        body: JSON.stringify({
+            message: "testTableAccess world",
+        }),
+    };
+};
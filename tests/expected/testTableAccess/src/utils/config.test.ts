@@ -0,0 +1,37 @@
+import { loadTestTableAccessConfig, loadReportsConfig } from './config';
+
+describe('loadTestTableAccessConfig', function () {
+    const env = {
+        ORDERS_TABLE_NAME: 'value',
+        PRODUCTS_TABLE_NAME: 'value',
+    };
+
+    it('reads the variables of testTableAccess', () => {
+        expect(loadTestTableAccessConfig(env)).toEqual({
+            ordersTableName: 'value',
+            productsTableName: 'value',
+        });
+    });
+
+    it('fails when a variable is missing', () => {
+        expect(() => loadTestTableAccessConfig({ ...env, ORDERS_TABLE_NAME: undefined })).toThrow('ORDERS_TABLE_NAME');
+    });
+});
+
+describe('loadReportsConfig', function () {
+    const env = {
+        ORDERS_TABLE_NAME: 'value',
+        PRODUCTS_TABLE_NAME: 'value',
+    };
+
+    it('reads the variables of reports', () => {
+        expect(loadReportsConfig(env)).toEqual({
+            ordersTableName: 'value',
+            productsTableName: 'value',
+        });
+    });
+
+    it('fails when a variable is missing', () => {
+        expect(() => loadReportsConfig({ ...env, ORDERS_TABLE_NAME: undefined })).toThrow('ORDERS_TABLE_NAME');
+    });
+});
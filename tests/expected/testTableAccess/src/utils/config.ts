@@ -0,0 +1,44 @@
+// Generated by sam-smith from the Environment.Variables of template.yaml, and rewritten
+// when they change: do not edit. Load the config of a Lambda at the top of its handler,
+// so that a missing variable fails the cold start:
+//   const config = loadTestTableAccessConfig();
+
+type Env = Record<string, string | undefined>;
+
+function required(env: Env, name: string): string {
+    const value = env[name];
+    if (value === undefined || value === '') {
+        throw new Error(`Environment variable ${name} is not set`);
+    }
+    return value;
+}
+
+/** Variables of testTableAccessFunction (src/testTableAccess) */
+export interface TestTableAccessConfig {
+    /** ORDERS_TABLE_NAME */
+    readonly ordersTableName: string;
+    /** PRODUCTS_TABLE_NAME */
+    readonly productsTableName: string;
+}
+
+export function loadTestTableAccessConfig(env: Env = process.env): TestTableAccessConfig {
+    return Object.freeze({
+        ordersTableName: required(env, 'ORDERS_TABLE_NAME'),
+        productsTableName: required(env, 'PRODUCTS_TABLE_NAME'),
+    });
+}
+
+/** Variables of reportsFunction (src/reports) */
+export interface ReportsConfig {
+    /** ORDERS_TABLE_NAME */
+    readonly ordersTableName: string;
+    /** PRODUCTS_TABLE_NAME */
+    readonly productsTableName: string;
+}
+
+export function loadReportsConfig(env: Env = process.env): ReportsConfig {
+    return Object.freeze({
+        ordersTableName: required(env, 'ORDERS_TABLE_NAME'),
+        productsTableName: required(env, 'PRODUCTS_TABLE_NAME'),
+    });
+}
@@ -0,0 +1,282 @@
+import { DynamoClient, KeySchema, Table } from 'dynamo-query-builder';
+import { DynamoDBClient } from '@aws-sdk/client-dynamodb';
+import { DynamoDBDocumentClient, PutCommand, QueryCommand, UpdateCommand } from '@aws-sdk/lib-dynamodb';
+
+// Table of the stack, set by template.yaml in the Lambdas using it. The local DynamoDB of the
+// tests and of sam local, where !Ref gives the logical id, names it as the default environment does
+const tableName = (process.env.AWS_SAM_LOCAL !== 'true' && process.env.PRODUCTS_TABLE_NAME) || "sam-smith-testTableAccess-dev-products";
+
+// Local DynamoDB of sam-smith: started by the tests, or by sam-smith:dynamo-local for sam local
+const endpoint = process.env.DYNAMODB_ENDPOINT
+    ?? (process.env.AWS_SAM_LOCAL === 'true' ? 'http://host.docker.internal:8000' : undefined);
+const clientConfig = endpoint ? { endpoint } : {};
+
+const client = new DynamoClient(clientConfig);
+const documentClient = DynamoDBDocumentClient.from(new DynamoDBClient(clientConfig), {
+    marshallOptions: { removeUndefinedValues: true },
+});
+
+export type ProductsPk = {
+    productId: string;
+};
+
+export type ProductsSk = {
+    variant: string;
+};
+
+export type ProductsData = {
+    data: string;
+};
+
+// Attributes the secondary indexes are keyed on, besides the keys and the data. An item
+// without them is left out of the index
+export type ProductsIndexKeys = {
+    sku?: string;
+};
+
+export type ProductsKeys = ProductsPk & ProductsSk;
+export type ProductsItem = ProductsPk & ProductsSk & ProductsData & ProductsIndexKeys;
+
+/**
+ * Condition on the sort key of a query. The keys are compared joined in the order of the
+ * key schema; beginsWith accepts the first keys only
+ */
+export type ProductsSortKeyCondition =
+    | { equals: ProductsSk }
+    | { lessThan: ProductsSk }
+    | { lessThanOrEqual: ProductsSk }
+    | { greaterThan: ProductsSk }
+    | { greaterThanOrEqual: ProductsSk }
+    | { between: [ProductsSk, ProductsSk] }
+    | { beginsWith: Partial<ProductsSk> };
+
+export interface ProductsQueryOptions {
+    // Items per page
+    limit?: number;
+    // Cursor of the previous page
+    cursor?: string;
+    // Sort key order, ascending by default
+    descending?: boolean;
+}
+
+export interface ProductsPage {
+    items: ProductsItem[];
+    // Cursor of the next page, undefined on the last one
+    cursor?: string;
+}
+
+export const productsKeySchema: KeySchema = {
+    pk: {
+        name: 'productId',
+        keys: ['productId'],
+        separator: '#'
+    },
+    sk: {
+        name: 'variant',
+        keys: ['variant'],
+        separator: '#',
+    },
+};
+
+const productsTable: Table<ProductsPk, ProductsSk, ProductsData> = client.table<ProductsPk, ProductsSk, ProductsData>(tableName, productsKeySchema);
+
+// Index keys joined from several attributes, as dynamo-query-builder reads them: written with the items
+const indexAttributes: Record<string, readonly string[]> = {};
+
+const SORT_KEY_OPERATORS = {
+    equals: '=',
+    lessThan: '<',
+    lessThanOrEqual: '<=',
+    greaterThan: '>',
+    greaterThanOrEqual: '>=',
+} as const;
+
+function sortKeyValue(sk: ProductsSk): string {
+    return [sk.variant].join('#');
+}
+
+// First keys of a sort key; a partial prefix ends with the separator, so 'a' does not match 'ab#c'
+function sortKeyPrefix(sk: Partial<ProductsSk>): string {
+    const values: string[] = [];
+    for (const key of ['variant'] as const) {
+        const value = sk[key];
+        if (value === undefined) {
+            break;
+        }
+        values.push(value);
+    }
+    return values.length === 1 ? values.join('#') : values.map(value => `${value}#`).join('');
+}
+
+function sortKeyCondition(condition: ProductsSortKeyCondition, values: Record<string, unknown>): string {
+    if ('beginsWith' in condition) {
+        values[':sk'] = sortKeyPrefix(condition.beginsWith);
+        return 'begins_with(#sk, :sk)';
+    }
+    if ('between' in condition) {
+        values[':sk'] = sortKeyValue(condition.between[0]);
+        values[':skEnd'] = sortKeyValue(condition.between[1]);
+        return '#sk BETWEEN :sk AND :skEnd';
+    }
+    const [name, sk] = Object.entries(condition)[0] as [keyof typeof SORT_KEY_OPERATORS, ProductsSk];
+    values[':sk'] = sortKeyValue(sk);
+    return `#sk ${SORT_KEY_OPERATORS[name]} :sk`;
+}
+
+// Key attributes of an item, as dynamo-query-builder stores them
+function toKey(keys: ProductsKeys): Record<string, string> {
+    return {
+        'productId': [keys.productId].join('#'),
+        'variant': sortKeyValue(keys),
+    };
+}
+
+// Index keys of an item joined from several attributes, for the indexes it has every attribute of
+function toIndexAttributes(item: Record<string, unknown>): Record<string, string> {
+    return Object.fromEntries(Object.entries(indexAttributes)
+        .filter(([, parts]) => parts.every(part => item[part] !== undefined))
+        .map(([name, parts]) => [name, parts.map(part => String(item[part])).join('#')]));
+}
+
+// Item read by the document client, with its keys split from the key attributes
+function fromItem(item: Record<string, unknown>): ProductsItem {
+    const { 'productId': pkValue, 'variant': skValue, ...attributes } = item;
+    for (const name of Object.keys(indexAttributes)) {
+        delete attributes[name];
+    }
+    const pk = String(pkValue).split('#');
+    const sk = String(skValue).split('#');
+    return {
+        ...attributes,
+        productId: pk[0],
+        variant: sk[0],
+    } as ProductsItem;
+}
+
+function encodeCursor(key?: Record<string, unknown>): string | undefined {
+    return key && Buffer.from(JSON.stringify(key)).toString('base64url');
+}
+
+function decodeCursor(cursor?: string): Record<string, unknown> | undefined {
+    return cursor ? JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8')) : undefined;
+}
+
+/**
+ * Item of products by its keys, undefined when it does not exist
+ */
+export async function getProductsItem(pk: ProductsPk, sk: ProductsSk): Promise<ProductsItem | undefined> {
+    const item = await productsTable.getOne(pk, sk);
+    return (item ?? undefined) as ProductsItem | undefined;
+}
+
+/**
+ * Create or replace an item of products
+ */
+export async function putProductsItem(item: ProductsItem): Promise<void> {
+    await documentClient.send(new PutCommand({
+        TableName: tableName,
+        Item: { ...item, ...toKey(item), ...toIndexAttributes(item) },
+    }));
+}
+
+/**
+ * Set attributes of an existing item of products and return the updated item.
+ * Fails when the item does not exist
+ */
+export async function updateProductsItem(pk: ProductsPk, sk: ProductsSk, changes: Partial<ProductsData & ProductsIndexKeys>): Promise<ProductsItem> {
+    const fields: [string, unknown][] = Object.entries(changes).filter(([, value]) => value !== undefined);
+    if (fields.length === 0) {
+        throw new Error('Nothing to update');
+    }
+    // An index key joined from several attributes is written again when one of them changes
+    const composed = toIndexAttributes({ ...pk, ...sk, ...Object.fromEntries(fields) });
+    for (const [name, parts] of Object.entries(indexAttributes)) {
+        if (!fields.some(([field]) => parts.includes(field))) {
+            continue;
+        }
+        if (!(name in composed)) {
+            throw new Error(`Update ${parts.join(', ')} together: they make up the ${name} key of an index`);
+        }
+        fields.push([name, composed[name]]);
+    }
+    const result = await documentClient.send(new UpdateCommand({
+        TableName: tableName,
+        Key: toKey({ ...pk, ...sk }),
+        UpdateExpression: `SET ${fields.map((_, i) => `#f${i} = :f${i}`).join(', ')}`,
+        ConditionExpression: 'attribute_exists(#pk)',
+        ExpressionAttributeNames: {
+            '#pk': 'productId',
+            ...Object.fromEntries(fields.map(([field], i) => [`#f${i}`, field])),
+        },
+        ExpressionAttributeValues: Object.fromEntries(fields.map(([, value], i) => [`:f${i}`, value])),
+        ReturnValues: 'ALL_NEW',
+    }));
+    return fromItem(result.Attributes ?? {});
+}
+
+/**
+ * Delete an item of products by its keys
+ */
+export async function deleteProductsItem(pk: ProductsPk, sk: ProductsSk): Promise<void> {
+    await productsTable.delete(pk, sk);
+}
+
+/**
+ * A page of the items of a partition of products, optionally filtered on the sort key.
+ * Pass the returned cursor back in the options to read the next page
+ */
+export async function queryProducts(pk: ProductsPk, condition?: ProductsSortKeyCondition, options: ProductsQueryOptions = {}): Promise<ProductsPage> {
+    const values: Record<string, unknown> = { ':pk': [pk.productId].join('#') };
+    const expressions = ['#pk = :pk'];
+    if (condition) {
+        expressions.push(sortKeyCondition(condition, values));
+    }
+    const result = await documentClient.send(new QueryCommand({
+        TableName: tableName,
+        KeyConditionExpression: expressions.join(' AND '),
+        ExpressionAttributeNames: { '#pk': 'productId', ...(condition && { '#sk': 'variant' }) },
+        ExpressionAttributeValues: values,
+        Limit: options.limit,
+        ScanIndexForward: !options.descending,
+        ExclusiveStartKey: decodeCursor(options.cursor),
+    }));
+    return {
+        items: (result.Items ?? []).map(fromItem),
+        cursor: encodeCursor(result.LastEvaluatedKey),
+    };
+}
+
+// Secondary indexes
+// bySku: global secondary index, ALL projection
+type bySkuPk = {
+    sku: string;
+};
+
+type bySkuSk = {
+    variant: string;
+};
+
+type bySkuData = ProductsData;
+
+type bySkuItem = ProductsKeys & bySkuPk & bySkuSk & bySkuData;
+
+/**
+ * Items of the bySku index of products; without sort key every item of the partition is returned
+ */
+export async function queryProductsBySku(pk: bySkuPk, sk?: bySkuSk): Promise<bySkuItem[]> {
+    const items: Record<string, unknown>[] = [];
+    let cursor: Record<string, unknown> | undefined;
+    do {
+        const result = await documentClient.send(new QueryCommand({
+            TableName: tableName,
+            IndexName: 'bySku',
+            KeyConditionExpression: sk ? '#pk = :pk AND #sk = :sk' : '#pk = :pk',
+            ExpressionAttributeNames: { '#pk': 'sku', ...(sk && { '#sk': 'variant' }) },
+            ExpressionAttributeValues: { ':pk': pk.sku, ...(sk && { ':sk': sk.variant }) },
+            ExclusiveStartKey: cursor,
+        }));
+        items.push(...(result.Items ?? []));
+        cursor = result.LastEvaluatedKey;
+    } while (cursor);
+    return items.map(item => fromItem(item) as bySkuItem);
+}
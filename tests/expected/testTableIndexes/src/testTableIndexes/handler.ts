@@ -0,0 +1,11 @@
+import { APIGatewayProxyEvent, APIGatewayProxyResult } from 'aws-lambda';
+import { greet } from '../utils/greet';
+export const testTableIndexes = async (event: APIGatewayProxyEvent): Promise<APIGatewayProxyResult> => {
+    greet("testTableIndexes");
+    return {
+        statusCode: 200,
+        body: JSON.stringify({
+            message: "testTableIndexes world",
+        }),
+    };
+};
@@ -0,0 +1,325 @@
+import { DynamoClient, KeySchema, Table } from 'dynamo-query-builder';
+import { DynamoDBClient } from '@aws-sdk/client-dynamodb';
+import { DynamoDBDocumentClient, PutCommand, QueryCommand, UpdateCommand } from '@aws-sdk/lib-dynamodb';
+
+// Table of the stack, set by template.yaml in the Lambdas using it. The local DynamoDB of the
+// tests and of sam local, where !Ref gives the logical id, names it as the default environment does
+const tableName = (process.env.AWS_SAM_LOCAL !== 'true' && process.env.ORDERS_TABLE_NAME) || "sam-smith-testTableIndexes-dev-orders";
+
+// Local DynamoDB of sam-smith: started by the tests, or by sam-smith:dynamo-local for sam local
+const endpoint = process.env.DYNAMODB_ENDPOINT
+    ?? (process.env.AWS_SAM_LOCAL === 'true' ? 'http://host.docker.internal:8000' : undefined);
+const clientConfig = endpoint ? { endpoint } : {};
+
+const client = new DynamoClient(clientConfig);
+const documentClient = DynamoDBDocumentClient.from(new DynamoDBClient(clientConfig), {
+    marshallOptions: { removeUndefinedValues: true },
+});
+
+export type OrdersPk = {
+    customerId: string;
+};
+
+export type OrdersSk = {
+    orderId: string;
+};
+
+export type OrdersData = {
+    data: string;
+    createdAt: number;
+    total: number;
+    paid?: boolean;
+};
+
+// Attributes the secondary indexes are keyed on, besides the keys and the data. An item
+// without them is left out of the index
+export type OrdersIndexKeys = {
+    status?: string;
+    region?: string;
+};
+
+export type OrdersKeys = OrdersPk & OrdersSk;
+export type OrdersItem = OrdersPk & OrdersSk & OrdersData & OrdersIndexKeys;
+
+/**
+ * Condition on the sort key of a query. The keys are compared joined in the order of the
+ * key schema; beginsWith accepts the first keys only
+ */
+export type OrdersSortKeyCondition =
+    | { equals: OrdersSk }
+    | { lessThan: OrdersSk }
+    | { lessThanOrEqual: OrdersSk }
+    | { greaterThan: OrdersSk }
+    | { greaterThanOrEqual: OrdersSk }
+    | { between: [OrdersSk, OrdersSk] }
+    | { beginsWith: Partial<OrdersSk> };
+
+export interface OrdersQueryOptions {
+    // Items per page
+    limit?: number;
+    // Cursor of the previous page
+    cursor?: string;
+    // Sort key order, ascending by default
+    descending?: boolean;
+}
+
+export interface OrdersPage {
+    items: OrdersItem[];
+    // Cursor of the next page, undefined on the last one
+    cursor?: string;
+}
+
+export const ordersKeySchema: KeySchema = {
+    pk: {
+        name: 'customerId',
+        keys: ['customerId'],
+        separator: '#'
+    },
+    sk: {
+        name: 'orderId',
+        keys: ['orderId'],
+        separator: '#',
+    },
+};
+
+const ordersTable: Table<OrdersPk, OrdersSk, OrdersData> = client.table<OrdersPk, OrdersSk, OrdersData>(tableName, ordersKeySchema);
+
+// Index keys joined from several attributes, as dynamo-query-builder reads them: written with the items
+const indexAttributes: Record<string, readonly string[]> = {
+    'status#region': ['status', 'region'],
+};
+
+const SORT_KEY_OPERATORS = {
+    equals: '=',
+    lessThan: '<',
+    lessThanOrEqual: '<=',
+    greaterThan: '>',
+    greaterThanOrEqual: '>=',
+} as const;
+
+function sortKeyValue(sk: OrdersSk): string {
+    return [sk.orderId].join('#');
+}
+
+// First keys of a sort key; a partial prefix ends with the separator, so 'a' does not match 'ab#c'
+function sortKeyPrefix(sk: Partial<OrdersSk>): string {
+    const values: string[] = [];
+    for (const key of ['orderId'] as const) {
+        const value = sk[key];
+        if (value === undefined) {
+            break;
+        }
+        values.push(value);
+    }
+    return values.length === 1 ? values.join('#') : values.map(value => `${value}#`).join('');
+}
+
+function sortKeyCondition(condition: OrdersSortKeyCondition, values: Record<string, unknown>): string {
+    if ('beginsWith' in condition) {
+        values[':sk'] = sortKeyPrefix(condition.beginsWith);
+        return 'begins_with(#sk, :sk)';
+    }
+    if ('between' in condition) {
+        values[':sk'] = sortKeyValue(condition.between[0]);
+        values[':skEnd'] = sortKeyValue(condition.between[1]);
+        return '#sk BETWEEN :sk AND :skEnd';
+    }
+    const [name, sk] = Object.entries(condition)[0] as [keyof typeof SORT_KEY_OPERATORS, OrdersSk];
+    values[':sk'] = sortKeyValue(sk);
+    return `#sk ${SORT_KEY_OPERATORS[name]} :sk`;
+}
+
+// Key attributes of an item, as dynamo-query-builder stores them
+function toKey(keys: OrdersKeys): Record<string, string> {
+    return {
+        'customerId': [keys.customerId].join('#'),
+        'orderId': sortKeyValue(keys),
+    };
+}
+
+// Index keys of an item joined from several attributes, for the indexes it has every attribute of
+function toIndexAttributes(item: Record<string, unknown>): Record<string, string> {
+    return Object.fromEntries(Object.entries(indexAttributes)
+        .filter(([, parts]) => parts.every(part => item[part] !== undefined))
+        .map(([name, parts]) => [name, parts.map(part => String(item[part])).join('#')]));
+}
+
+// Item read by the document client, with its keys split from the key attributes
+function fromItem(item: Record<string, unknown>): OrdersItem {
+    const { 'customerId': pkValue, 'orderId': skValue, ...attributes } = item;
+    for (const name of Object.keys(indexAttributes)) {
+        delete attributes[name];
+    }
+    const pk = String(pkValue).split('#');
+    const sk = String(skValue).split('#');
+    return {
+        ...attributes,
+        customerId: pk[0],
+        orderId: sk[0],
+    } as OrdersItem;
+}
+
+function encodeCursor(key?: Record<string, unknown>): string | undefined {
+    return key && Buffer.from(JSON.stringify(key)).toString('base64url');
+}
+
+function decodeCursor(cursor?: string): Record<string, unknown> | undefined {
+    return cursor ? JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8')) : undefined;
+}
+
+/**
+ * Item of orders by its keys, undefined when it does not exist
+ */
+export async function getOrdersItem(pk: OrdersPk, sk: OrdersSk): Promise<OrdersItem | undefined> {
+    const item = await ordersTable.getOne(pk, sk);
+    return (item ?? undefined) as OrdersItem | undefined;
+}
+
+/**
+ * Create or replace an item of orders
+ */
+export async function putOrdersItem(item: OrdersItem): Promise<void> {
+    await documentClient.send(new PutCommand({
+        TableName: tableName,
+        Item: { ...item, ...toKey(item), ...toIndexAttributes(item) },
+    }));
+}
+
+/**
+ * Set attributes of an existing item of orders and return the updated item.
+ * Fails when the item does not exist
+ */
+export async function updateOrdersItem(pk: OrdersPk, sk: OrdersSk, changes: Partial<OrdersData & OrdersIndexKeys>): Promise<OrdersItem> {
+    const fields: [string, unknown][] = Object.entries(changes).filter(([, value]) => value !== undefined);
+    if (fields.length === 0) {
+        throw new Error('Nothing to update');
+    }
+    // An index key joined from several attributes is written again when one of them changes
+    const composed = toIndexAttributes({ ...pk, ...sk, ...Object.fromEntries(fields) });
+    for (const [name, parts] of Object.entries(indexAttributes)) {
+        if (!fields.some(([field]) => parts.includes(field))) {
+            continue;
+        }
+        if (!(name in composed)) {
+            throw new Error(`Update ${parts.join(', ')} together: they make up the ${name} key of an index`);
+        }
+        fields.push([name, composed[name]]);
+    }
+    const result = await documentClient.send(new UpdateCommand({
+        TableName: tableName,
+        Key: toKey({ ...pk, ...sk }),
+        UpdateExpression: `SET ${fields.map((_, i) => `#f${i} = :f${i}`).join(', ')}`,
+        ConditionExpression: 'attribute_exists(#pk)',
+        ExpressionAttributeNames: {
+            '#pk': 'customerId',
+            ...Object.fromEntries(fields.map(([field], i) => [`#f${i}`, field])),
+        },
+        ExpressionAttributeValues: Object.fromEntries(fields.map(([, value], i) => [`:f${i}`, value])),
+        ReturnValues: 'ALL_NEW',
+    }));
+    return fromItem(result.Attributes ?? {});
+}
+
+/**
+ * Delete an item of orders by its keys
+ */
+export async function deleteOrdersItem(pk: OrdersPk, sk: OrdersSk): Promise<void> {
+    await ordersTable.delete(pk, sk);
+}
+
+/**
+ * A page of the items of a partition of orders, optionally filtered on the sort key.
+ * Pass the returned cursor back in the options to read the next page
+ */
+export async function queryOrders(pk: OrdersPk, condition?: OrdersSortKeyCondition, options: OrdersQueryOptions = {}): Promise<OrdersPage> {
+    const values: Record<string, unknown> = { ':pk': [pk.customerId].join('#') };
+    const expressions = ['#pk = :pk'];
+    if (condition) {
+        expressions.push(sortKeyCondition(condition, values));
+    }
+    const result = await documentClient.send(new QueryCommand({
+        TableName: tableName,
+        KeyConditionExpression: expressions.join(' AND '),
+        ExpressionAttributeNames: { '#pk': 'customerId', ...(condition && { '#sk': 'orderId' }) },
+        ExpressionAttributeValues: values,
+        Limit: options.limit,
+        ScanIndexForward: !options.descending,
+        ExclusiveStartKey: decodeCursor(options.cursor),
+    }));
+    return {
+        items: (result.Items ?? []).map(fromItem),
+        cursor: encodeCursor(result.LastEvaluatedKey),
+    };
+}
+
+// Secondary indexes
+// byStatus: global secondary index, INCLUDE projection
+type byStatusPk = {
+    status: string;
+    region: string;
+};
+
+type byStatusSk = {
+    createdAt: number;
+};
+
+type byStatusData = {
+    total: number;
+};
+
+type byStatusItem = OrdersKeys & byStatusPk & byStatusSk & byStatusData;
+
+/**
+ * Items of the byStatus index of orders; without sort key every item of the partition is returned
+ */
+export async function queryOrdersByStatus(pk: byStatusPk, sk?: byStatusSk): Promise<byStatusItem[]> {
+    const items: Record<string, unknown>[] = [];
+    let cursor: Record<string, unknown> | undefined;
+    do {
+        const result = await documentClient.send(new QueryCommand({
+            TableName: tableName,
+            IndexName: 'byStatus',
+            KeyConditionExpression: sk ? '#pk = :pk AND #sk = :sk' : '#pk = :pk',
+            ExpressionAttributeNames: { '#pk': 'status#region', ...(sk && { '#sk': 'createdAt' }) },
+            ExpressionAttributeValues: { ':pk': [pk.status, pk.region].join('#'), ...(sk && { ':sk': sk.createdAt }) },
+            ExclusiveStartKey: cursor,
+        }));
+        items.push(...(result.Items ?? []));
+        cursor = result.LastEvaluatedKey;
+    } while (cursor);
+    return items.map(item => fromItem(item) as byStatusItem);
+}
+
+// byDate: local secondary index, ALL projection
+type byDatePk = {
+    customerId: string;
+};
+
+type byDateSk = {
+    createdAt: number;
+};
+
+type byDateData = OrdersData;
+
+type byDateItem = OrdersKeys & byDatePk & byDateSk & byDateData;
+
+/**
+ * Items of the byDate index of orders; without sort key every item of the partition is returned
+ */
+export async function queryOrdersByDate(pk: byDatePk, sk?: byDateSk): Promise<byDateItem[]> {
+    const items: Record<string, unknown>[] = [];
+    let cursor: Record<string, unknown> | undefined;
+    do {
+        const result = await documentClient.send(new QueryCommand({
+            TableName: tableName,
+            IndexName: 'byDate',
+            KeyConditionExpression: sk ? '#pk = :pk AND #sk = :sk' : '#pk = :pk',
+            ExpressionAttributeNames: { '#pk': 'customerId', ...(sk && { '#sk': 'createdAt' }) },
+            ExpressionAttributeValues: { ':pk': pk.customerId, ...(sk && { ':sk': sk.createdAt }) },
+            ExclusiveStartKey: cursor,
+        }));
+        items.push(...(result.Items ?? []));
+        cursor = result.LastEvaluatedKey;
+    } while (cursor);
+    return items.map(item => fromItem(item) as byDateItem);
+}
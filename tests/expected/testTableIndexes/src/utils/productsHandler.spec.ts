@@ -0,0 +1,94 @@
+import { getProductsItem, putProductsItem, updateProductsItem, deleteProductsItem, queryProducts, queryProductsBySku } from './productsHandler';
+import type { ProductsPk, ProductsSk, ProductsItem } from './productsHandler';
+
+// The tests run against the local DynamoDB started by lib/jest-global-setup.js
+const pkOf = (test: string): ProductsPk => ({ productId: `productId-${test}` });
+const skOf = (test: string, n: number): ProductsSk => ({ variant: `variant-${n}` });
+const itemOf = (pk: ProductsPk, sk: ProductsSk): ProductsItem => ({ ...pk, ...sk, data: 'Hello!' });
+
+async function putItems(items: ProductsItem[]): Promise<void> {
+    for (const item of items) {
+        await putProductsItem(item);
+    }
+}
+
+describe('productsHandler', () => {
+    it('puts and gets an item', async () => {
+        const [pk, sk] = [pkOf('put'), skOf('put', 1)];
+
+        await putProductsItem(itemOf(pk, sk));
+
+        await expect(getProductsItem(pk, sk)).resolves.toMatchObject(itemOf(pk, sk));
+    });
+
+    it('gets undefined for a missing item', async () => {
+        await expect(getProductsItem(pkOf('missing'), skOf('missing', 1))).resolves.toBeUndefined();
+    });
+
+    it('updates the attributes of an item', async () => {
+        const [pk, sk] = [pkOf('update'), skOf('update', 1)];
+        await putProductsItem(itemOf(pk, sk));
+
+        await expect(updateProductsItem(pk, sk, { data: 'Updated!' })).resolves.toMatchObject({ ...pk, ...sk, data: 'Updated!' });
+        await expect(getProductsItem(pk, sk)).resolves.toMatchObject({ data: 'Updated!' });
+    });
+
+    it('refuses to update a missing item', async () => {
+        await expect(updateProductsItem(pkOf('update-missing'), skOf('update-missing', 1), { data: 'Updated!' })).rejects.toThrow();
+    });
+
+    it('refuses an update without changes', async () => {
+        await expect(updateProductsItem(pkOf('update-empty'), skOf('update-empty', 1), {})).rejects.toThrow('Nothing to update');
+    });
+
+    it('deletes an item by its keys', async () => {
+        const [pk, sk] = [pkOf('delete'), skOf('delete', 1)];
+        await putProductsItem(itemOf(pk, sk));
+
+        await deleteProductsItem(pk, sk);
+
+        await expect(getProductsItem(pk, sk)).resolves.toBeUndefined();
+    });
+
+    it('queries a partition with a sort key condition', async () => {
+        const pk = pkOf('query');
+        const items = [1, 2, 3].map(n => itemOf(pk, skOf('query', n)));
+        await putItems(items);
+
+        await expect(queryProducts(pk, { greaterThanOrEqual: skOf('query', 2) })).resolves.toMatchObject({ items: [items[1], items[2]], cursor: undefined });
+        await expect(queryProducts(pk, undefined, { descending: true })).resolves.toMatchObject({ items: [items[2], items[1], items[0]] });
+    });
+
+    it('queries the sort keys beginning with the first keys', async () => {
+        const pk = pkOf('begins');
+        const items = [1, 2].map(n => itemOf(pk, skOf('begins', n)));
+        await putItems(items);
+
+        await expect(queryProducts(pk, { beginsWith: { variant: items[1].variant } })).resolves.toMatchObject({ items: [items[1]] });
+    });
+
+    it('reads the next page with the cursor', async () => {
+        const pk = pkOf('pages');
+        const items = [1, 2, 3].map(n => itemOf(pk, skOf('pages', n)));
+        await putItems(items);
+
+        const page = await queryProducts(pk, undefined, { limit: 2 });
+        const next = await queryProducts(pk, undefined, { limit: 2, cursor: page.cursor });
+
+        expect(page).toMatchObject({ items: [items[0], items[1]] });
+        expect(page.cursor).toBeDefined();
+        expect(next).toMatchObject({ items: [items[2]], cursor: undefined });
+    });
+});
+
+// Secondary indexes
+describe('productsHandler indexes', () => {
+    it('queries the bySku index', async () => {
+        const item: ProductsItem = { ...itemOf(pkOf('bySku'), skOf('bySku', 1)), sku: 'sku' };
+        await putProductsItem(item);
+
+        const result = await queryProductsBySku({ sku: 'sku' }, { variant: item.variant });
+
+        expect(result).toContainEqual(expect.objectContaining({ productId: item.productId, variant: item.variant }));
+    });
+});
@@ -0,0 +1,11 @@
+import { APIGatewayProxyEvent, APIGatewayProxyResult } from 'aws-lambda';
+import { greet } from '../utils/greet';
+export const testTableOptions = async (event: APIGatewayProxyEvent): Promise<APIGatewayProxyResult> => {
+    greet("testTableOptions");
+    return {
+        statusCode: 200,
+        body: JSON.stringify({
+            message: "testTableOptions world",
+        }),
+    };
+};
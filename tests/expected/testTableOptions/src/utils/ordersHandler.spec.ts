@@ -0,0 +1,103 @@
+import { getOrdersItem, putOrdersItem, updateOrdersItem, deleteOrdersItem, queryOrders, queryOrdersByStatus, queryOrdersByRegion } from './ordersHandler';
+import type { OrdersPk, OrdersSk, OrdersItem } from './ordersHandler';
+
+// The tests run against the local DynamoDB started by lib/jest-global-setup.js
+const pkOf = (test: string): OrdersPk => ({ customerId: `customerId-${test}` });
+const skOf = (test: string, n: number): OrdersSk => ({ orderId: `orderId-${n}` });
+const itemOf = (pk: OrdersPk, sk: OrdersSk): OrdersItem => ({ ...pk, ...sk, data: 'Hello!' });
+
+async function putItems(items: OrdersItem[]): Promise<void> {
+    for (const item of items) {
+        await putOrdersItem(item);
+    }
+}
+
+describe('ordersHandler', () => {
+    it('puts and gets an item', async () => {
+        const [pk, sk] = [pkOf('put'), skOf('put', 1)];
+
+        await putOrdersItem(itemOf(pk, sk));
+
+        await expect(getOrdersItem(pk, sk)).resolves.toMatchObject(itemOf(pk, sk));
+    });
+
+    it('gets undefined for a missing item', async () => {
+        await expect(getOrdersItem(pkOf('missing'), skOf('missing', 1))).resolves.toBeUndefined();
+    });
+
+    it('updates the attributes of an item', async () => {
+        const [pk, sk] = [pkOf('update'), skOf('update', 1)];
+        await putOrdersItem(itemOf(pk, sk));
+
+        await expect(updateOrdersItem(pk, sk, { data: 'Updated!' })).resolves.toMatchObject({ ...pk, ...sk, data: 'Updated!' });
+        await expect(getOrdersItem(pk, sk)).resolves.toMatchObject({ data: 'Updated!' });
+    });
+
+    it('refuses to update a missing item', async () => {
+        await expect(updateOrdersItem(pkOf('update-missing'), skOf('update-missing', 1), { data: 'Updated!' })).rejects.toThrow();
+    });
+
+    it('refuses an update without changes', async () => {
+        await expect(updateOrdersItem(pkOf('update-empty'), skOf('update-empty', 1), {})).rejects.toThrow('Nothing to update');
+    });
+
+    it('deletes an item by its keys', async () => {
+        const [pk, sk] = [pkOf('delete'), skOf('delete', 1)];
+        await putOrdersItem(itemOf(pk, sk));
+
+        await deleteOrdersItem(pk, sk);
+
+        await expect(getOrdersItem(pk, sk)).resolves.toBeUndefined();
+    });
+
+    it('queries a partition with a sort key condition', async () => {
+        const pk = pkOf('query');
+        const items = [1, 2, 3].map(n => itemOf(pk, skOf('query', n)));
+        await putItems(items);
+
+        await expect(queryOrders(pk, { greaterThanOrEqual: skOf('query', 2) })).resolves.toMatchObject({ items: [items[1], items[2]], cursor: undefined });
+        await expect(queryOrders(pk, undefined, { descending: true })).resolves.toMatchObject({ items: [items[2], items[1], items[0]] });
+    });
+
+    it('queries the sort keys beginning with the first keys', async () => {
+        const pk = pkOf('begins');
+        const items = [1, 2].map(n => itemOf(pk, skOf('begins', n)));
+        await putItems(items);
+
+        await expect(queryOrders(pk, { beginsWith: { orderId: items[1].orderId } })).resolves.toMatchObject({ items: [items[1]] });
+    });
+
+    it('reads the next page with the cursor', async () => {
+        const pk = pkOf('pages');
+        const items = [1, 2, 3].map(n => itemOf(pk, skOf('pages', n)));
+        await putItems(items);
+
+        const page = await queryOrders(pk, undefined, { limit: 2 });
+        const next = await queryOrders(pk, undefined, { limit: 2, cursor: page.cursor });
+
+        expect(page).toMatchObject({ items: [items[0], items[1]] });
+        expect(page.cursor).toBeDefined();
+        expect(next).toMatchObject({ items: [items[2]], cursor: undefined });
+    });
+});
+
+// Secondary indexes
+describe('ordersHandler indexes', () => {
+    it('queries the byStatus index', async () => {
+        const item: OrdersItem = { ...itemOf(pkOf('byStatus'), skOf('byStatus', 1)), status: 'status', createdAt: 'createdAt' };
+        await putOrdersItem(item);
+
+        const result = await queryOrdersByStatus({ status: 'status' }, { createdAt: 'createdAt' });
+
+        expect(result).toContainEqual(expect.objectContaining({ customerId: item.customerId, orderId: item.orderId }));
+    });
+
+    it('queries the byRegion index', async () => {
+        const item: OrdersItem = { ...itemOf(pkOf('byRegion'), skOf('byRegion', 1)), region: 'region', createdAt: 'createdAt' };
+        await putOrdersItem(item);
+
+        const result = await queryOrdersByRegion({ region: 'region' }, { createdAt: 'createdAt' });
+
+        expect(result).toContainEqual(expect.objectContaining({ customerId: item.customerId, orderId: item.orderId }));
+    });
+});
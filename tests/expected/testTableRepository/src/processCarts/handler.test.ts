@@ -0,0 +1,24 @@
+import { processCarts, toCartsChange } from './handler';
+import { DynamoDBRecord, DynamoDBStreamEvent } from 'aws-lambda';
+
+const record = {
+    eventName: 'INSERT',
+    dynamodb: {
+        Keys: { 'userId#region': { S: 'userId#region' }, 'cartId#createdAt': { S: 'cartId#createdAt' } },
+        NewImage: { userId: { S: 'userId' }, region: { S: 'region' }, cartId: { S: 'cartId' }, createdAt: { S: 'createdAt' }, data: { S: 'Hello!' } },
+    },
+} as DynamoDBRecord;
+
+describe('Unit test for processCarts handler', function () {
+    it('unmarshalls the record', () => {
+        expect(toCartsChange(record)).toEqual({
+            eventName: 'INSERT',
+            keys: { userId: 'userId', region: 'region', cartId: 'cartId', createdAt: 'createdAt' },
+            newImage: { userId: 'userId', region: 'region', cartId: 'cartId', createdAt: 'createdAt', data: 'Hello!' },
+        });
+    });
+
+    it('processes the records', async () => {
+        await expect(processCarts({ Records: [record] } as DynamoDBStreamEvent)).resolves.toBeUndefined();
+    });
+});
@@ -0,0 +1,43 @@
+import { DynamoDBRecord, DynamoDBStreamEvent } from 'aws-lambda';
+import { unmarshall } from '@aws-sdk/util-dynamodb';
+import type { CartsPk as pk, CartsSk as sk, CartsData as data } from '../utils/cartsHandler';
+
+export type CartsKeys = pk & sk;
+export type CartsItem = pk & sk & data;
+
+export interface CartsChange {
+    eventName: DynamoDBRecord['eventName'];
+    keys: CartsKeys;
+    newImage?: CartsItem;
+}
+
+type Image = Parameters<typeof unmarshall>[0];
+
+// Split a key1#key2 key attribute into its keys
+function splitKey(value: unknown, keys: string[]): Record<string, string> {
+    const parts = String(value).split('#');
+    return Object.fromEntries(keys.map((key, i) => [key, parts[i]]));
+}
+
+/**
+ * Keys and images of a record of the carts stream (NEW_IMAGE)
+ */
+export function toCartsChange(record: DynamoDBRecord): CartsChange {
+    const stream = record.dynamodb ?? {};
+    const keys = unmarshall(stream.Keys as Image);
+    return {
+        eventName: record.eventName,
+        keys: {
+            ...splitKey(keys['userId#region'], ['userId', 'region']),
+            ...splitKey(keys['cartId#createdAt'], ['cartId', 'createdAt']),
+        } as CartsKeys,
+        ...(stream.NewImage && { newImage: unmarshall(stream.NewImage as Image) as CartsItem }),
+    };
+}
+
+export const processCarts = async (event: DynamoDBStreamEvent): Promise<void> => {
+    for (const record of event.Records) {
+        const change = toCartsChange(record);
+        console.log(`${change.eventName} ${JSON.stringify(change.keys)}`);
+    }
+};
@@ -0,0 +1,13 @@
+import { APIGatewayProxyEvent, APIGatewayProxyResult } from 'aws-lambda';
+import { greet } from '../utils/greet';
+import * as cartsRepository from '../utils/cartsHandler';
+import * as sessionsRepository from '../utils/sessionsHandler';
+export const testTableRepository = async (event: APIGatewayProxyEvent): Promise<APIGatewayProxyResult> => {
+    greet("testTableRepository");
+    return {
+        statusCode: 200,
+        body: JSON.stringify({
+            message: "testTableRepository world",
+        }),
+    };
+};
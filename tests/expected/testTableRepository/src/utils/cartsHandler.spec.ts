@@ -0,0 +1,109 @@
+import { getCartsItem, putCartsItem, updateCartsItem, deleteCartsItem, queryCarts, batchGetCartsItems, batchPutCartsItems, batchDeleteCartsItems, queryCartsByUser } from './cartsHandler';
+import type { CartsPk, CartsSk, CartsItem } from './cartsHandler';
+
+// The tests run against the local DynamoDB started by lib/jest-global-setup.js
+const pkOf = (test: string): CartsPk => ({ userId: `userId-${test}`, region: `region-${test}` });
+const skOf = (test: string, n: number): CartsSk => ({ cartId: `cartId-${n}`, createdAt: `createdAt-${n}` });
+const itemOf = (pk: CartsPk, sk: CartsSk): CartsItem => ({ ...pk, ...sk, total: 1, items: ['Hello!'], note: 'Hello!', meta: { hello: 'world' }, paid: true });
+
+async function putItems(items: CartsItem[]): Promise<void> {
+    for (const item of items) {
+        await putCartsItem(item);
+    }
+}
+
+describe('cartsHandler', () => {
+    it('puts and gets an item', async () => {
+        const [pk, sk] = [pkOf('put'), skOf('put', 1)];
+
+        await putCartsItem(itemOf(pk, sk));
+
+        await expect(getCartsItem(pk, sk)).resolves.toMatchObject(itemOf(pk, sk));
+    });
+
+    it('gets undefined for a missing item', async () => {
+        await expect(getCartsItem(pkOf('missing'), skOf('missing', 1))).resolves.toBeUndefined();
+    });
+
+    it('updates the attributes of an item', async () => {
+        const [pk, sk] = [pkOf('update'), skOf('update', 1)];
+        await putCartsItem(itemOf(pk, sk));
+
+        await expect(updateCartsItem(pk, sk, { total: 2 })).resolves.toMatchObject({ ...pk, ...sk, total: 2 });
+        await expect(getCartsItem(pk, sk)).resolves.toMatchObject({ total: 2 });
+    });
+
+    it('refuses to update a missing item', async () => {
+        await expect(updateCartsItem(pkOf('update-missing'), skOf('update-missing', 1), { total: 2 })).rejects.toThrow();
+    });
+
+    it('refuses an update without changes', async () => {
+        await expect(updateCartsItem(pkOf('update-empty'), skOf('update-empty', 1), {})).rejects.toThrow('Nothing to update');
+    });
+
+    it('deletes an item by its keys', async () => {
+        const [pk, sk] = [pkOf('delete'), skOf('delete', 1)];
+        await putCartsItem(itemOf(pk, sk));
+
+        await deleteCartsItem(pk, sk);
+
+        await expect(getCartsItem(pk, sk)).resolves.toBeUndefined();
+    });
+
+    it('queries a partition with a sort key condition', async () => {
+        const pk = pkOf('query');
+        const items = [1, 2, 3].map(n => itemOf(pk, skOf('query', n)));
+        await putItems(items);
+
+        await expect(queryCarts(pk, { greaterThanOrEqual: skOf('query', 2) })).resolves.toMatchObject({ items: [items[1], items[2]], cursor: undefined });
+        await expect(queryCarts(pk, undefined, { descending: true })).resolves.toMatchObject({ items: [items[2], items[1], items[0]] });
+    });
+
+    it('queries the sort keys beginning with the first keys', async () => {
+        const pk = pkOf('begins');
+        const items = [1, 2].map(n => itemOf(pk, skOf('begins', n)));
+        await putItems(items);
+
+        await expect(queryCarts(pk, { beginsWith: { cartId: items[1].cartId } })).resolves.toMatchObject({ items: [items[1]] });
+    });
+
+    it('reads the next page with the cursor', async () => {
+        const pk = pkOf('pages');
+        const items = [1, 2, 3].map(n => itemOf(pk, skOf('pages', n)));
+        await putItems(items);
+
+        const page = await queryCarts(pk, undefined, { limit: 2 });
+        const next = await queryCarts(pk, undefined, { limit: 2, cursor: page.cursor });
+
+        expect(page).toMatchObject({ items: [items[0], items[1]] });
+        expect(page.cursor).toBeDefined();
+        expect(next).toMatchObject({ items: [items[2]], cursor: undefined });
+    });
+
+    it('puts, gets and deletes items in batches', async () => {
+        const pk = pkOf('batch');
+        const sks = [1, 2, 3].map(n => skOf('batch', n));
+        const items = sks.map(sk => itemOf(pk, sk));
+        const keys = sks.map(sk => ({ ...pk, ...sk }));
+
+        await batchPutCartsItems(items);
+        const found = await batchGetCartsItems(keys);
+        await batchDeleteCartsItems(keys);
+
+        expect(found).toHaveLength(3);
+        expect(found).toEqual(expect.arrayContaining(items.map(item => expect.objectContaining(item))));
+        await expect(batchGetCartsItems(keys)).resolves.toEqual([]);
+    });
+});
+
+// Secondary indexes
+describe('cartsHandler indexes', () => {
+    it('queries the byUser index', async () => {
+        const item: CartsItem = { ...itemOf(pkOf('byUser'), skOf('byUser', 1)) };
+        await putCartsItem(item);
+
+        const result = await queryCartsByUser({ userId: item.userId }, { createdAt: item.createdAt });
+
+        expect(result).toContainEqual(expect.objectContaining({ userId: item.userId, region: item.region, cartId: item.cartId, createdAt: item.createdAt }));
+    });
+});
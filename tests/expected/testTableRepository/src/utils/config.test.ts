@@ -0,0 +1,19 @@
+import { loadTestTableRepositoryConfig } from './config';
+
+describe('loadTestTableRepositoryConfig', function () {
+    const env = {
+        CARTS_TABLE_NAME: 'value',
+        SESSIONS_TABLE_NAME: 'value',
+    };
+
+    it('reads the variables of testTableRepository', () => {
+        expect(loadTestTableRepositoryConfig(env)).toEqual({
+            cartsTableName: 'value',
+            sessionsTableName: 'value',
+        });
+    });
+
+    it('fails when a variable is missing', () => {
+        expect(() => loadTestTableRepositoryConfig({ ...env, CARTS_TABLE_NAME: undefined })).toThrow('CARTS_TABLE_NAME');
+    });
+});
@@ -0,0 +1,29 @@
+// Generated by sam-smith from the Environment.Variables of template.yaml, and rewritten
+// when they change: do not edit. Load the config of a Lambda at the top of its handler,
+// so that a missing variable fails the cold start:
+//   const config = loadTestTableRepositoryConfig();
+
+type Env = Record<string, string | undefined>;
+
+function required(env: Env, name: string): string {
+    const value = env[name];
+    if (value === undefined || value === '') {
+        throw new Error(`Environment variable ${name} is not set`);
+    }
+    return value;
+}
+
+/** Variables of testTableRepositoryFunction (src/testTableRepository) */
+export interface TestTableRepositoryConfig {
+    /** CARTS_TABLE_NAME */
+    readonly cartsTableName: string;
+    /** SESSIONS_TABLE_NAME */
+    readonly sessionsTableName: string;
+}
+
+export function loadTestTableRepositoryConfig(env: Env = process.env): TestTableRepositoryConfig {
+    return Object.freeze({
+        cartsTableName: required(env, 'CARTS_TABLE_NAME'),
+        sessionsTableName: required(env, 'SESSIONS_TABLE_NAME'),
+    });
+}
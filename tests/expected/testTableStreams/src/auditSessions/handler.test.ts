@@ -0,0 +1,22 @@
+import { auditSessions, toSessionsChange } from './handler';
+import { DynamoDBRecord, DynamoDBStreamEvent } from 'aws-lambda';
+
+const record = {
+    eventName: 'INSERT',
+    dynamodb: {
+        Keys: { 'userId#device': { S: 'userId#device' }, startedAt: { S: 'startedAt' } },
+    },
+} as DynamoDBRecord;
+
+describe('Unit test for auditSessions handler', function () {
+    it('unmarshalls the record', () => {
+        expect(toSessionsChange(record)).toEqual({
+            eventName: 'INSERT',
+            keys: { userId: 'userId', device: 'device', startedAt: 'startedAt' },
+        });
+    });
+
+    it('processes the records', async () => {
+        await expect(auditSessions({ Records: [record] } as DynamoDBStreamEvent)).resolves.toBeUndefined();
+    });
+});
@@ -0,0 +1,41 @@
+import { DynamoDBRecord, DynamoDBStreamEvent } from 'aws-lambda';
+import { unmarshall } from '@aws-sdk/util-dynamodb';
+import type { SessionsPk as pk, SessionsSk as sk, SessionsData as data } from '../utils/sessionsHandler';
+
+export type SessionsKeys = pk & sk;
+export type SessionsItem = pk & sk & data;
+
+export interface SessionsChange {
+    eventName: DynamoDBRecord['eventName'];
+    keys: SessionsKeys;
+}
+
+type Image = Parameters<typeof unmarshall>[0];
+
+// Split a key1#key2 key attribute into its keys
+function splitKey(value: unknown, keys: string[]): Record<string, string> {
+    const parts = String(value).split('#');
+    return Object.fromEntries(keys.map((key, i) => [key, parts[i]]));
+}
+
+/**
+ * Keys and images of a record of the sessions stream (KEYS_ONLY)
+ */
+export function toSessionsChange(record: DynamoDBRecord): SessionsChange {
+    const stream = record.dynamodb ?? {};
+    const keys = unmarshall(stream.Keys as Image);
+    return {
+        eventName: record.eventName,
+        keys: {
+            ...splitKey(keys['userId#device'], ['userId', 'device']),
+            ...splitKey(keys['startedAt'], ['startedAt']),
+        } as SessionsKeys,
+    };
+}
+
+export const auditSessions = async (event: DynamoDBStreamEvent): Promise<void> => {
+    for (const record of event.Records) {
+        const change = toSessionsChange(record);
+        console.log(`${change.eventName} ${JSON.stringify(change.keys)}`);
+    }
+};
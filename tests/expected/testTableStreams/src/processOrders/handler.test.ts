@@ -0,0 +1,26 @@
+import { processOrders, toOrdersChange } from './handler';
+import { DynamoDBRecord, DynamoDBStreamEvent } from 'aws-lambda';
+
+const record = {
+    eventName: 'INSERT',
+    dynamodb: {
+        Keys: { customerId: { S: 'customerId' }, orderId: { S: 'orderId' } },
+        NewImage: { customerId: { S: 'customerId' }, orderId: { S: 'orderId' }, data: { S: 'Hello!' } },
+        OldImage: { customerId: { S: 'customerId' }, orderId: { S: 'orderId' }, data: { S: 'Hello!' } },
+    },
+} as DynamoDBRecord;
+
+describe('Unit test for processOrders handler', function () {
+    it('unmarshalls the record', () => {
+        expect(toOrdersChange(record)).toEqual({
+            eventName: 'INSERT',
+            keys: { customerId: 'customerId', orderId: 'orderId' },
+            newImage: { customerId: 'customerId', orderId: 'orderId', data: 'Hello!' },
+            oldImage: { customerId: 'customerId', orderId: 'orderId', data: 'Hello!' },
+        });
+    });
+
+    it('processes the records', async () => {
+        await expect(processOrders({ Records: [record] } as DynamoDBStreamEvent)).resolves.toBeUndefined();
+    });
+});
@@ -0,0 +1,45 @@
+import { DynamoDBRecord, DynamoDBStreamEvent } from 'aws-lambda';
+import { unmarshall } from '@aws-sdk/util-dynamodb';
+import type { OrdersPk as pk, OrdersSk as sk, OrdersData as data } from '../utils/ordersHandler';
+
+export type OrdersKeys = pk & sk;
+export type OrdersItem = pk & sk & data;
+
+export interface OrdersChange {
+    eventName: DynamoDBRecord['eventName'];
+    keys: OrdersKeys;
+    newImage?: OrdersItem;
+    oldImage?: OrdersItem;
+}
+
+type Image = Parameters<typeof unmarshall>[0];
+
+// Split a key1#key2 key attribute into its keys
+function splitKey(value: unknown, keys: string[]): Record<string, string> {
+    const parts = String(value).split('#');
+    return Object.fromEntries(keys.map((key, i) => [key, parts[i]]));
+}
+
+/**
+ * Keys and images of a record of the orders stream (NEW_AND_OLD_IMAGES)
+ */
+export function toOrdersChange(record: DynamoDBRecord): OrdersChange {
+    const stream = record.dynamodb ?? {};
+    const keys = unmarshall(stream.Keys as Image);
+    return {
+        eventName: record.eventName,
+        keys: {
+            ...splitKey(keys['customerId'], ['customerId']),
+            ...splitKey(keys['orderId'], ['orderId']),
+        } as OrdersKeys,
+        ...(stream.NewImage && { newImage: unmarshall(stream.NewImage as Image) as OrdersItem }),
+        ...(stream.OldImage && { oldImage: unmarshall(stream.OldImage as Image) as OrdersItem }),
+    };
+}
+
+export const processOrders = async (event: DynamoDBStreamEvent): Promise<void> => {
+    for (const record of event.Records) {
+        const change = toOrdersChange(record);
+        console.log(`${change.eventName} ${JSON.stringify(change.keys)}`);
+    }
+};
@@ -0,0 +1,11 @@
+import { APIGatewayProxyEvent, APIGatewayProxyResult } from 'aws-lambda';
+import { greet } from '../utils/greet';
+export const testTableStreams = async (event: APIGatewayProxyEvent): Promise<APIGatewayProxyResult> => {
+    greet("testTableStreams");
+    return {
+        statusCode: 200,
+        body: JSON.stringify({
+            message: "testTableStreams world",
+        }),
+    };
+};
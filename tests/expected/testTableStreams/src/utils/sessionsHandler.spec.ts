@@ -0,0 +1,82 @@
+import { getSessionsItem, putSessionsItem, updateSessionsItem, deleteSessionsItem, querySessions } from './sessionsHandler';
+import type { SessionsPk, SessionsSk, SessionsItem } from './sessionsHandler';
+
+// The tests run against the local DynamoDB started by lib/jest-global-setup.js
+const pkOf = (test: string): SessionsPk => ({ userId: `userId-${test}`, device: `device-${test}` });
+const skOf = (test: string, n: number): SessionsSk => ({ startedAt: `startedAt-${n}` });
+const itemOf = (pk: SessionsPk, sk: SessionsSk): SessionsItem => ({ ...pk, ...sk, data: 'Hello!' });
+
+async function putItems(items: SessionsItem[]): Promise<void> {
+    for (const item of items) {
+        await putSessionsItem(item);
+    }
+}
+
+describe('sessionsHandler', () => {
+    it('puts and gets an item', async () => {
+        const [pk, sk] = [pkOf('put'), skOf('put', 1)];
+
+        await putSessionsItem(itemOf(pk, sk));
+
+        await expect(getSessionsItem(pk, sk)).resolves.toMatchObject(itemOf(pk, sk));
+    });
+
+    it('gets undefined for a missing item', async () => {
+        await expect(getSessionsItem(pkOf('missing'), skOf('missing', 1))).resolves.toBeUndefined();
+    });
+
+    it('updates the attributes of an item', async () => {
+        const [pk, sk] = [pkOf('update'), skOf('update', 1)];
+        await putSessionsItem(itemOf(pk, sk));
+
+        await expect(updateSessionsItem(pk, sk, { data: 'Updated!' })).resolves.toMatchObject({ ...pk, ...sk, data: 'Updated!' });
+        await expect(getSessionsItem(pk, sk)).resolves.toMatchObject({ data: 'Updated!' });
+    });
+
+    it('refuses to update a missing item', async () => {
+        await expect(updateSessionsItem(pkOf('update-missing'), skOf('update-missing', 1), { data: 'Updated!' })).rejects.toThrow();
+    });
+
+    it('refuses an update without changes', async () => {
+        await expect(updateSessionsItem(pkOf('update-empty'), skOf('update-empty', 1), {})).rejects.toThrow('Nothing to update');
+    });
+
+    it('deletes an item by its keys', async () => {
+        const [pk, sk] = [pkOf('delete'), skOf('delete', 1)];
+        await putSessionsItem(itemOf(pk, sk));
+
+        await deleteSessionsItem(pk, sk);
+
+        await expect(getSessionsItem(pk, sk)).resolves.toBeUndefined();
+    });
+
+    it('queries a partition with a sort key condition', async () => {
+        const pk = pkOf('query');
+        const items = [1, 2, 3].map(n => itemOf(pk, skOf('query', n)));
+        await putItems(items);
+
+        await expect(querySessions(pk, { greaterThanOrEqual: skOf('query', 2) })).resolves.toMatchObject({ items: [items[1], items[2]], cursor: undefined });
+        await expect(querySessions(pk, undefined, { descending: true })).resolves.toMatchObject({ items: [items[2], items[1], items[0]] });
+    });
+
+    it('queries the sort keys beginning with the first keys', async () => {
+        const pk = pkOf('begins');
+        const items = [1, 2].map(n => itemOf(pk, skOf('begins', n)));
+        await putItems(items);
+
+        await expect(querySessions(pk, { beginsWith: { startedAt: items[1].startedAt } })).resolves.toMatchObject({ items: [items[1]] });
+    });
+
+    it('reads the next page with the cursor', async () => {
+        const pk = pkOf('pages');
+        const items = [1, 2, 3].map(n => itemOf(pk, skOf('pages', n)));
+        await putItems(items);
+
+        const page = await querySessions(pk, undefined, { limit: 2 });
+        const next = await querySessions(pk, undefined, { limit: 2, cursor: page.cursor });
+
+        expect(page).toMatchObject({ items: [items[0], items[1]] });
+        expect(page.cursor).toBeDefined();
+        expect(next).toMatchObject({ items: [items[2]], cursor: undefined });
+    });
+});
@@ -0,0 +1,247 @@
+import { DynamoClient, KeySchema, Table } from 'dynamo-query-builder';
+import { DynamoDBClient } from '@aws-sdk/client-dynamodb';
+import { DynamoDBDocumentClient, PutCommand, QueryCommand, UpdateCommand } from '@aws-sdk/lib-dynamodb';
+
+// Table of the stack, set by template.yaml in the Lambdas using it. The local DynamoDB of the
+// tests and of sam local, where !Ref gives the logical id, names it as the default environment does
+const tableName = (process.env.AWS_SAM_LOCAL !== 'true' && process.env.SESSIONS_TABLE_NAME) || "sam-smith-testTableStreams-dev-sessions";
+
+// Local DynamoDB of sam-smith: started by the tests, or by sam-smith:dynamo-local for sam local
+const endpoint = process.env.DYNAMODB_ENDPOINT
+    ?? (process.env.AWS_SAM_LOCAL === 'true' ? 'http://host.docker.internal:8000' : undefined);
+const clientConfig = endpoint ? { endpoint } : {};
+
+const client = new DynamoClient(clientConfig);
+const documentClient = DynamoDBDocumentClient.from(new DynamoDBClient(clientConfig), {
+    marshallOptions: { removeUndefinedValues: true },
+});
+
+export type SessionsPk = {
+    userId: string;
+    device: string;
+};
+
+export type SessionsSk = {
+    startedAt: string;
+};
+
+export type SessionsData = {
+    data: string;
+};
+
+// Attributes the secondary indexes are keyed on, besides the keys and the data. An item
+// without them is left out of the index
+export type SessionsIndexKeys = Record<never, never>;
+
+export type SessionsKeys = SessionsPk & SessionsSk;
+export type SessionsItem = SessionsPk & SessionsSk & SessionsData & SessionsIndexKeys;
+
+/**
+ * Condition on the sort key of a query. The keys are compared joined in the order of the
+ * key schema; beginsWith accepts the first keys only
+ */
+export type SessionsSortKeyCondition =
+    | { equals: SessionsSk }
+    | { lessThan: SessionsSk }
+    | { lessThanOrEqual: SessionsSk }
+    | { greaterThan: SessionsSk }
+    | { greaterThanOrEqual: SessionsSk }
+    | { between: [SessionsSk, SessionsSk] }
+    | { beginsWith: Partial<SessionsSk> };
+
+export interface SessionsQueryOptions {
+    // Items per page
+    limit?: number;
+    // Cursor of the previous page
+    cursor?: string;
+    // Sort key order, ascending by default
+    descending?: boolean;
+}
+
+export interface SessionsPage {
+    items: SessionsItem[];
+    // Cursor of the next page, undefined on the last one
+    cursor?: string;
+}
+
+export const sessionsKeySchema: KeySchema = {
+    pk: {
+        name: 'userId#device',
+        keys: ['userId', 'device'],
+        separator: '#'
+    },
+    sk: {
+        name: 'startedAt',
+        keys: ['startedAt'],
+        separator: '#',
+    },
+};
+
+const sessionsTable: Table<SessionsPk, SessionsSk, SessionsData> = client.table<SessionsPk, SessionsSk, SessionsData>(tableName, sessionsKeySchema);
+
+// Index keys joined from several attributes, as dynamo-query-builder reads them: written with the items
+const indexAttributes: Record<string, readonly string[]> = {};
+
+const SORT_KEY_OPERATORS = {
+    equals: '=',
+    lessThan: '<',
+    lessThanOrEqual: '<=',
+    greaterThan: '>',
+    greaterThanOrEqual: '>=',
+} as const;
+
+function sortKeyValue(sk: SessionsSk): string {
+    return [sk.startedAt].join('#');
+}
+
+// First keys of a sort key; a partial prefix ends with the separator, so 'a' does not match 'ab#c'
+function sortKeyPrefix(sk: Partial<SessionsSk>): string {
+    const values: string[] = [];
+    for (const key of ['startedAt'] as const) {
+        const value = sk[key];
+        if (value === undefined) {
+            break;
+        }
+        values.push(value);
+    }
+    return values.length === 1 ? values.join('#') : values.map(value => `${value}#`).join('');
+}
+
+function sortKeyCondition(condition: SessionsSortKeyCondition, values: Record<string, unknown>): string {
+    if ('beginsWith' in condition) {
+        values[':sk'] = sortKeyPrefix(condition.beginsWith);
+        return 'begins_with(#sk, :sk)';
+    }
+    if ('between' in condition) {
+        values[':sk'] = sortKeyValue(condition.between[0]);
+        values[':skEnd'] = sortKeyValue(condition.between[1]);
+        return '#sk BETWEEN :sk AND :skEnd';
+    }
+    const [name, sk] = Object.entries(condition)[0] as [keyof typeof SORT_KEY_OPERATORS, SessionsSk];
+    values[':sk'] = sortKeyValue(sk);
+    return `#sk ${SORT_KEY_OPERATORS[name]} :sk`;
+}
+
+// Key attributes of an item, as dynamo-query-builder stores them
+function toKey(keys: SessionsKeys): Record<string, string> {
+    return {
+        'userId#device': [keys.userId, keys.device].join('#'),
+        'startedAt': sortKeyValue(keys),
+    };
+}
+
+// Index keys of an item joined from several attributes, for the indexes it has every attribute of
+function toIndexAttributes(item: Record<string, unknown>): Record<string, string> {
+    return Object.fromEntries(Object.entries(indexAttributes)
+        .filter(([, parts]) => parts.every(part => item[part] !== undefined))
+        .map(([name, parts]) => [name, parts.map(part => String(item[part])).join('#')]));
+}
+
+// Item read by the document client, with its keys split from the key attributes
+function fromItem(item: Record<string, unknown>): SessionsItem {
+    const { 'userId#device': pkValue, 'startedAt': skValue, ...attributes } = item;
+    for (const name of Object.keys(indexAttributes)) {
+        delete attributes[name];
+    }
+    const pk = String(pkValue).split('#');
+    const sk = String(skValue).split('#');
+    return {
+        ...attributes,
+        userId: pk[0],
+        device: pk[1],
+        startedAt: sk[0],
+    } as SessionsItem;
+}
+
+function encodeCursor(key?: Record<string, unknown>): string | undefined {
+    return key && Buffer.from(JSON.stringify(key)).toString('base64url');
+}
+
+function decodeCursor(cursor?: string): Record<string, unknown> | undefined {
+    return cursor ? JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8')) : undefined;
+}
+
+/**
+ * Item of sessions by its keys, undefined when it does not exist
+ */
+export async function getSessionsItem(pk: SessionsPk, sk: SessionsSk): Promise<SessionsItem | undefined> {
+    const item = await sessionsTable.getOne(pk, sk);
+    return (item ?? undefined) as SessionsItem | undefined;
+}
+
+/**
+ * Create or replace an item of sessions
+ */
+export async function putSessionsItem(item: SessionsItem): Promise<void> {
+    await documentClient.send(new PutCommand({
+        TableName: tableName,
+        Item: { ...item, ...toKey(item), ...toIndexAttributes(item) },
+    }));
+}
+
+/**
+ * Set attributes of an existing item of sessions and return the updated item.
+ * Fails when the item does not exist
+ */
+export async function updateSessionsItem(pk: SessionsPk, sk: SessionsSk, changes: Partial<SessionsData & SessionsIndexKeys>): Promise<SessionsItem> {
+    const fields: [string, unknown][] = Object.entries(changes).filter(([, value]) => value !== undefined);
+    if (fields.length === 0) {
+        throw new Error('Nothing to update');
+    }
+    // An index key joined from several attributes is written again when one of them changes
+    const composed = toIndexAttributes({ ...pk, ...sk, ...Object.fromEntries(fields) });
+    for (const [name, parts] of Object.entries(indexAttributes)) {
+        if (!fields.some(([field]) => parts.includes(field))) {
+            continue;
+        }
+        if (!(name in composed)) {
+            throw new Error(`Update ${parts.join(', ')} together: they make up the ${name} key of an index`);
+        }
+        fields.push([name, composed[name]]);
+    }
+    const result = await documentClient.send(new UpdateCommand({
+        TableName: tableName,
+        Key: toKey({ ...pk, ...sk }),
+        UpdateExpression: `SET ${fields.map((_, i) => `#f${i} = :f${i}`).join(', ')}`,
+        ConditionExpression: 'attribute_exists(#pk)',
+        ExpressionAttributeNames: {
+            '#pk': 'userId#device',
+            ...Object.fromEntries(fields.map(([field], i) => [`#f${i}`, field])),
+        },
+        ExpressionAttributeValues: Object.fromEntries(fields.map(([, value], i) => [`:f${i}`, value])),
+        ReturnValues: 'ALL_NEW',
+    }));
+    return fromItem(result.Attributes ?? {});
+}
+
+/**
+ * Delete an item of sessions by its keys
+ */
+export async function deleteSessionsItem(pk: SessionsPk, sk: SessionsSk): Promise<void> {
+    await sessionsTable.delete(pk, sk);
+}
+
+/**
+ * A page of the items of a partition of sessions, optionally filtered on the sort key.
+ * Pass the returned cursor back in the options to read the next page
+ */
+export async function querySessions(pk: SessionsPk, condition?: SessionsSortKeyCondition, options: SessionsQueryOptions = {}): Promise<SessionsPage> {
+    const values: Record<string, unknown> = { ':pk': [pk.userId, pk.device].join('#') };
+    const expressions = ['#pk = :pk'];
+    if (condition) {
+        expressions.push(sortKeyCondition(condition, values));
+    }
+    const result = await documentClient.send(new QueryCommand({
+        TableName: tableName,
+        KeyConditionExpression: expressions.join(' AND '),
+        ExpressionAttributeNames: { '#pk': 'userId#device', ...(condition && { '#sk': 'startedAt' }) },
+        ExpressionAttributeValues: values,
+        Limit: options.limit,
+        ScanIndexForward: !options.descending,
+        ExclusiveStartKey: decodeCursor(options.cursor),
+    }));
+    return {
+        items: (result.Items ?? []).map(fromItem),
+        cursor: encodeCursor(result.LastEvaluatedKey),
+    };
+}
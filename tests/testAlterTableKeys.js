@@ -0,0 +1,162 @@
+import path from 'path';
+import chalk from 'chalk';
+import fs from 'fs-extra';
+import { isDeepStrictEqual } from 'util';
+import { fileURLToPath } from 'url';
+import {
+    generateProjectProgrammatically,
+    compareFiles,
+    compareDirectories,
+    createTableProgrammatically,
+    alterTableKeysProgrammatically,
+    getTableMigrationProgrammatically,
+    startLocalDynamoProgrammatically
+} from '../lib/test-utils.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Test: testAlterTableKeys
+ * Validates the change of the keys of a table: the new table named after its version with the
+ * previous one recorded, the local indexes and key definitions following the new keys, the typed
+ * repository generated again, the migration scripts copying the items of any environment and no
+ * other change until the previous one is migrated in the environment
+ */
+export async function testAlterTableKeys() {
+    const testName = 'testAlterTableKeys';
+
+    const expectedPath = path.join(__dirname, 'expected', testName);
+    const outputPath = path.join(__dirname, 'testOutput', testName);
+
+    const results = [];
+    let success = true;
+    let localDynamo = null;
+
+    // Change the keys expecting an error containing `expected`
+    const expectRefused = async (step, table, partitionKey, sortKey, expected) => {
+        let error = null;
+        try {
+            await alterTableKeysProgrammatically(outputPath, table, partitionKey, sortKey);
+        } catch (e) {
+            error = e;
+        }
+        const refused = error !== null && error.message.includes(expected);
+        results.push({ step, passed: refused, ...(!refused && { error: error ? error.message : 'No error thrown' }) });
+        success = success && refused;
+    };
+
+    try {
+        // Step 1: Generate initial project
+        console.log(chalk.blue(`  Generating initial project in testOutput/${testName}...`));
+        await generateProjectProgrammatically({
+            projectName: testName,
+            functionName: testName,
+            apiName: `${testName}-api`,
+            timeout: 60,
+            envVars: [],
+            templateName: 'basic',
+            architecture: 'arm64',
+            environment: 'dev',
+            envVarsWithValues: {}
+        });
+
+        results.push({ step: 'Initial project generated', passed: true });
+
+        // Step 2: Orders with a global and a local index and batch functions
+        console.log(chalk.gray('  Creating orders...'));
+        await createTableProgrammatically(outputPath, 'orders', 'customerId', 'orderId', [
+            { name: 'byStatus', type: 'global', partitionKey: 'status', sortKey: 'createdAt' },
+            { name: 'byCustomerStatus', type: 'local', sortKey: 'status', projection: 'KEYS_ONLY' }
+        ], { data: 'total:number,status:string,createdAt:string,note?:string', batch: true });
+
+        results.push({ step: 'Table created with indexes', passed: true });
+
+        // Step 3: Invalid changes are refused
+        await expectRefused('Same keys refused', 'orders', 'customerId', 'orderId', 'already has the keys customerId / orderId');
+        await expectRefused('Sort key of a local index refused', 'orders', 'customerId', 'status', "'status' is the sort key of local index 'byCustomerStatus'");
+        await expectRefused('Same partition and sort keys refused', 'orders', 'orderId', 'orderId', 'The partition and sort keys are the same.');
+        await expectRefused('Unknown table refused', 'missing', 'customerId', 'orderId', 'Table missing not found');
+
+        // Step 4: Composite keys, a data attribute becoming a key part
+        console.log(chalk.gray('  Changing the keys of orders twice...'));
+        await alterTableKeysProgrammatically(outputPath, 'orders', 'customerId#region', 'createdAt#orderId');
+        results.push({ step: 'Keys changed to customerId#region / createdAt#orderId', passed: true });
+
+        // Step 5: No other change until the items of the previous table are copied
+        await expectRefused('Change with a pending migration refused', 'orders', 'customerId', 'orderId#region',
+            'run src/migrations/migrateOrdersV2.ts');
+
+        // Step 6: The migration of another environment copies the tables of its stack, with a progress of its own
+        await fs.outputJson(path.join(outputPath, '.sam-smith/migrations/migrateOrdersV2.prod.json'), { copied: 0, written: [], failed: [], done: true });
+        await expectRefused('Progress of another environment ignored', 'orders', 'customerId', 'orderId#region',
+            'run src/migrations/migrateOrdersV2.ts (npm run build && node .build/migrations/migrateOrdersV2.js --env dev)');
+        const prod = await getTableMigrationProgrammatically(outputPath, 'orders', 'prod');
+        const prodMigration = prod.pending === null
+            && prod.migration.source === `sam-smith-${testName}-prod-orders-v2`
+            && prod.migration.target === `sam-smith-${testName}-prod-orders-v3`
+            && prod.migration.command.endsWith('migrateOrdersV3.js --env prod');
+        results.push({ step: 'Migration of prod reads its stack and progress', passed: prodMigration, ...(!prodMigration && { error: JSON.stringify(prod) }) });
+        success = success && prodMigration;
+        await fs.outputJson(path.join(outputPath, '.sam-smith/migrations/migrateOrdersV2.dev.json'), { copied: 0, written: [], failed: [], done: true });
+
+        // Step 7: Back to a plain partition key, createdAt back to the data
+        await alterTableKeysProgrammatically(outputPath, 'orders', 'customerId', 'orderId#region');
+        results.push({ step: 'Keys changed to customerId / orderId#region', passed: true });
+
+        // Step 8: The local DynamoDB has the new table and the previous one
+        console.log(chalk.gray('  Starting the local DynamoDB...'));
+        localDynamo = await startLocalDynamoProgrammatically(outputPath);
+        const tables = await localDynamo.request('ListTables', {});
+        const listed = isDeepStrictEqual(tables.body.TableNames, [`sam-smith-${testName}-dev-orders-v2`, `sam-smith-${testName}-dev-orders-v3`]);
+        results.push({ step: 'Local DynamoDB has the new and the previous table', passed: listed, ...(!listed && { error: JSON.stringify(tables.body) }) });
+        success = success && listed;
+        await localDynamo.close();
+        localDynamo = null;
+
+        // Step 9: Compare template.yaml
+        console.log(chalk.gray('  Comparing template.yaml...'));
+        const templateResult = await compareFiles(
+            path.join(outputPath, 'template.yaml'),
+            path.join(expectedPath, 'template.yaml')
+        );
+
+        if (templateResult.equal) {
+            results.push({ step: 'template.yaml matches', passed: true });
+        } else {
+            results.push({ step: 'template.yaml matches', passed: false, diff: templateResult.diff });
+            success = false;
+        }
+
+        // Step 10: Compare src/ directory
+        console.log(chalk.gray('  Comparing src/ directory...'));
+        const srcResult = await compareDirectories(
+            path.join(outputPath, 'src'),
+            path.join(expectedPath, 'src'),
+            {
+                ignore: ['node_modules', '.DS_Store']
+            }
+        );
+
+        if (srcResult.equal) {
+            results.push({ step: 'src/ directory matches', passed: true });
+        } else {
+            results.push({ step: 'src/ directory matches', passed: false, diff: srcResult.diff });
+            success = false;
+        }
+
+    } catch (error) {
+        results.push({ step: 'Test execution', passed: false, error: error.message });
+        success = false;
+    } finally {
+        if (localDynamo) {
+            await localDynamo.close();
+        }
+    }
+
+    return {
+        testName,
+        success,
+        results
+    };
+}
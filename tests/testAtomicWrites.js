@@ -0,0 +1,155 @@
+import path from 'path';
+import fs from 'fs-extra';
+import chalk from 'chalk';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { createRequire } from 'module';
+import {
+    generateProjectProgrammatically,
+    compareFiles,
+    compareDirectories
+} from '../lib/test-utils.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Test: testAtomicWrites
+ * Validates that the update scripts copied in a generated project find their templates,
+ * and that a failing write puts every file of the operation back as it was, or keeps the
+ * original files in the staging directory when one of them cannot be put back
+ */
+export async function testAtomicWrites() {
+    const testName = 'testAtomicWrites';
+
+    const outputPath = path.join(__dirname, 'testOutput', testName);
+    const snapshotPath = path.join(__dirname, 'testOutput', `${testName}Snapshot`);
+
+    const results = [];
+    let success = true;
+
+    try {
+        // Step 1: Generate initial project
+        console.log(chalk.blue(`  Generating initial project in testOutput/${testName}...`));
+        await generateProjectProgrammatically({
+            projectName: testName,
+            functionName: testName,
+            apiName: `${testName}-api`,
+            timeout: 60,
+            envVars: [],
+            templateName: 'basic',
+            architecture: 'arm64',
+            environment: 'dev',
+            envVarsWithValues: {}
+        });
+
+        results.push({ step: 'Initial project generated', passed: true });
+
+        // Step 2: Run operations with the scripts copied in the project
+        const project = await import(pathToFileURL(path.join(outputPath, 'lib/project.js')).href);
+        const operations = await import(pathToFileURL(path.join(outputPath, 'lib/operations.js')).href);
+
+        console.log(chalk.gray('  Running operations with the project scripts...'));
+        await project.runOperation(outputPath, operations.createTable, { name: 'orders', partitionKey: 'customerId', sortKey: 'orderId' });
+        await project.runOperation(outputPath, operations.createLayer, { name: 'shared' });
+        await project.runOperation(outputPath, operations.addAuth, { api: `${testName}api`, type: 'basic' });
+
+        const generatedFiles = ['src/utils/ordersHandler.ts', 'src/layers/shared/sharedFunctions.ts', 'src/authorizer/authorizer.ts'];
+        const missing = [];
+        for (const file of generatedFiles) {
+            if (!await fs.pathExists(path.join(outputPath, file))) {
+                missing.push(file);
+            }
+        }
+        results.push({ step: 'Project scripts find their templates', passed: missing.length === 0, ...(missing.length > 0 && { error: `Missing ${missing.join(', ')}` }) });
+        success = success && missing.length === 0;
+
+        // Step 3: A change failing halfway is rolled back
+        await fs.copy(outputPath, snapshotPath);
+
+        let error = null;
+        try {
+            await project.applyChanges(outputPath, [
+                project.writeChange('template.yaml', 'Resources: {}\n'),
+                project.writeChange('src/newFunction/handler.ts', 'export const handler = () => {};\n'),
+                project.deleteChange(`src/${testName}`),
+                project.deleteChange('src/utils/ordersHandler.ts'),
+                // template.yaml is a file, so nothing can be written under it
+                project.writeChange('template.yaml/broken', ''),
+            ]);
+        } catch (e) {
+            error = e;
+        }
+        results.push({ step: 'Failing changes throw', passed: error !== null });
+        success = success && error !== null;
+
+        const templateResult = await compareFiles(
+            path.join(outputPath, 'template.yaml'),
+            path.join(snapshotPath, 'template.yaml')
+        );
+        results.push({ step: 'template.yaml rolled back', passed: templateResult.equal, ...(!templateResult.equal && { diff: templateResult.diff }) });
+        success = success && templateResult.equal;
+
+        const srcResult = await compareDirectories(
+            path.join(outputPath, 'src'),
+            path.join(snapshotPath, 'src'),
+            {
+                ignore: ['node_modules', '.DS_Store']
+            }
+        );
+        results.push({ step: 'src/ directory rolled back', passed: srcResult.equal, ...(!srcResult.equal && { diff: srcResult.diff }) });
+        success = success && srcResult.equal;
+
+        const stagingLeft = await fs.pathExists(path.join(outputPath, project.STAGING_DIR));
+        results.push({ step: 'Staging directory removed', passed: !stagingLeft });
+        success = success && !stagingLeft;
+
+        // Step 4: A step of the rollback failing does not stop the others, and the original
+        // files it could not put back are kept
+        const projectFs = createRequire(path.join(outputPath, 'lib/project.js'))('fs-extra');
+        const move = projectFs.move;
+        const stagingPath = path.join(outputPath, project.STAGING_DIR, String(process.pid));
+        projectFs.move = (source, destination, ...rest) => {
+            if (source.startsWith(stagingPath) && destination === path.join(outputPath, 'template.yaml')) {
+                return Promise.reject(new Error('Disk full'));
+            }
+            return move.call(projectFs, source, destination, ...rest);
+        };
+
+        let rollbackError = null;
+        try {
+            await project.applyChanges(outputPath, [
+                project.writeChange('template.yaml', 'Resources: {}\n'),
+                project.deleteChange('src/utils/ordersHandler.ts'),
+                project.writeChange('template.yaml/broken', ''),
+            ]);
+        } catch (e) {
+            rollbackError = e;
+        } finally {
+            projectFs.move = move;
+        }
+        const stagingNamed = rollbackError !== null && rollbackError.message.includes(stagingPath);
+        results.push({ step: 'Failed rollback names the staging directory', passed: stagingNamed, ...(!stagingNamed && { error: rollbackError ? rollbackError.message : 'No error thrown' }) });
+        success = success && stagingNamed;
+
+        const otherFilesRestored = await fs.pathExists(path.join(outputPath, 'src/utils/ordersHandler.ts'));
+        results.push({ step: 'Other files rolled back', passed: otherFilesRestored });
+        success = success && otherFilesRestored;
+
+        const backupResult = await compareFiles(
+            path.join(stagingPath, 'backup', '0'),
+            path.join(snapshotPath, 'template.yaml')
+        );
+        results.push({ step: 'Original template.yaml kept in the staging directory', passed: backupResult.equal, ...(!backupResult.equal && { diff: backupResult.diff }) });
+        success = success && backupResult.equal;
+
+    } catch (error) {
+        results.push({ step: 'Test execution', passed: false, error: error.message });
+        success = false;
+    }
+
+    return {
+        testName,
+        success,
+        results
+    };
+}
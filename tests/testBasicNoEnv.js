@@ -1,6 +1,7 @@
 
 import path from 'path';
 import chalk from 'chalk';
+import fs from 'fs-extra';
 import { fileURLToPath } from 'url';
 import {
     generateProjectProgrammatically,
@@ -102,12 +103,18 @@ export async function testBasicNoEnv() {
             success = false;
         }
 
+        // Step 6: .gitignore leaves out the packages, the build output and the state of sam-smith:update
+        const gitignore = await fs.readFile(path.join(outputPath, '.gitignore'), 'utf8');
+        const ignored = gitignore === 'node_modules/\n.aws-sam/\n.build/\n.sam-smith/\n';
+        results.push({ step: '.gitignore generated', passed: ignored, ...(!ignored && { error: JSON.stringify(gitignore) }) });
+        success = success && ignored;
+
     } catch (error) {
         results.push({ step: 'Test execution', passed: false, error: error.message });
         success = false;
     } finally {
         // Cleanup disabled for now - keeping generated projects for inspection
-        // Step 5: Cleanup
+        // Step 7: Cleanup
         // console.log(chalk.gray('  Cleaning up...'));
         // try {
         //     await cleanup(generatedProjectPath);
@@ -0,0 +1,158 @@
+import path from 'path';
+import chalk from 'chalk';
+import { fileURLToPath } from 'url';
+import {
+    generateProjectProgrammatically,
+    compareFiles,
+    compareDirectories,
+    addLambdaProgrammatically,
+    createBucketProgrammatically,
+    deleteBucketProgrammatically,
+    attachBucketToLambdaProgrammatically,
+    addBucketTriggerProgrammatically,
+    detachBucketFromLambdaProgrammatically,
+    createUploadEndpointProgrammatically,
+    runProjectTestsProgrammatically
+} from '../lib/test-utils.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Test: testBuckets
+ * Validates creating S3 buckets with lifecycle rules and CORS, Lambdas run on new objects,
+ * bucket access policies, a presigned upload endpoint, and detaching and deleting a bucket
+ */
+export async function testBuckets() {
+    const testName = 'testBuckets';
+
+    const expectedPath = path.join(__dirname, 'expected', testName);
+    const outputPath = path.join(__dirname, 'testOutput', testName);
+
+    const results = [];
+    let success = true;
+
+    try {
+        // Step 1: Generate initial project
+        console.log(chalk.blue(`  Generating initial project in testOutput/${testName}...`));
+        await generateProjectProgrammatically({
+            projectName: testName,
+            functionName: testName,
+            apiName: `${testName}-api`,
+            timeout: 60,
+            envVars: [],
+            templateName: 'basic',
+            architecture: 'arm64',
+            environment: 'dev',
+            envVarsWithValues: {}
+        });
+
+        results.push({ step: 'Initial project generated', passed: true });
+
+        // Step 2: Create userFiles with lifecycle rules and CORS, and a public reports bucket
+        console.log(chalk.gray('  Creating buckets userFiles and reports...'));
+        await createBucketProgrammatically(outputPath, 'userFiles', {
+            corsOrigins: ['https://example.com'],
+            lifecycleRules: [
+                { prefix: 'tmp/', expirationDays: 7 },
+                { infrequentAccessDays: 30, expirationDays: 365 }
+            ]
+        });
+        await createBucketProgrammatically(outputPath, 'reports', { encryption: 'aws:kms', blockPublicAccess: false });
+
+        results.push({ step: 'Buckets created', passed: true });
+
+        // Step 3: Create a Lambda run on new images of userFiles, with an S3Event handler
+        console.log(chalk.gray('  Creating resizeImages run on new images...'));
+        await addLambdaProgrammatically(outputPath, {
+            lambdaName: 'resizeImages',
+            timeout: 30,
+            bucketTrigger: { bucket: 'userFiles', prefix: 'images/', suffix: '.jpg' }
+        });
+
+        results.push({ step: 'resizeImages created', passed: true });
+
+        // Step 4: Overlapping triggers on the same bucket are refused
+        let overlapError = null;
+        try {
+            await addBucketTriggerProgrammatically(outputPath, `${testName}Function`, { bucket: 'userFiles', prefix: 'images/' });
+        } catch (error) {
+            overlapError = error;
+        }
+        const overlapRefused = overlapError !== null && overlapError.message.includes('resizeImages');
+        results.push({ step: 'Overlapping trigger is refused', passed: overlapRefused, ...(!overlapRefused && { error: overlapError ? overlapError.message : 'No error thrown' }) });
+        success = success && overlapRefused;
+
+        // Step 5: The API Lambda writes reports and a new endpoint returns upload URLs
+        console.log(chalk.gray(`  Connecting ${testName}Function and createUpload to the buckets...`));
+        await attachBucketToLambdaProgrammatically(outputPath, `${testName}Function`, 'reports', 'read-write');
+        await createUploadEndpointProgrammatically(outputPath, 'userFiles', `${testName}api`, { prefix: 'images/' });
+
+        results.push({ step: 'Buckets attached', passed: true });
+
+        // Step 6: A bucket in use cannot be deleted
+        let deleteError = null;
+        try {
+            await deleteBucketProgrammatically(outputPath, 'reports');
+        } catch (error) {
+            deleteError = error;
+        }
+        const refused = deleteError !== null && deleteError.message.includes(`${testName}Function`);
+        results.push({ step: 'Bucket in use is not deleted', passed: refused, ...(!refused && { error: deleteError ? deleteError.message : 'No error thrown' }) });
+        success = success && refused;
+
+        // Step 7: Detach and delete reports
+        console.log(chalk.gray('  Detaching and deleting reports...'));
+        await detachBucketFromLambdaProgrammatically(outputPath, `${testName}Function`, 'reports');
+        await deleteBucketProgrammatically(outputPath, 'reports');
+
+        results.push({ step: 'reports detached and deleted', passed: true });
+
+        // Step 8: Compare template.yaml
+        console.log(chalk.gray('  Comparing template.yaml...'));
+        const templateResult = await compareFiles(
+            path.join(outputPath, 'template.yaml'),
+            path.join(expectedPath, 'template.yaml')
+        );
+
+        if (templateResult.equal) {
+            results.push({ step: 'template.yaml matches', passed: true });
+        } else {
+            results.push({ step: 'template.yaml matches', passed: false, diff: templateResult.diff });
+            success = false;
+        }
+
+        // Step 9: Compare src/ directory
+        console.log(chalk.gray('  Comparing src/ directory...'));
+        const srcResult = await compareDirectories(
+            path.join(outputPath, 'src'),
+            path.join(expectedPath, 'src'),
+            {
+                ignore: ['node_modules', '.DS_Store']
+            }
+        );
+
+        if (srcResult.equal) {
+            results.push({ step: 'src/ directory matches', passed: true });
+        } else {
+            results.push({ step: 'src/ directory matches', passed: false, diff: srcResult.diff });
+            success = false;
+        }
+
+        // Step 10: Run the Jest suite of the generated project
+        console.log(chalk.gray('  Running the tests of the generated project...'));
+        const jest = runProjectTestsProgrammatically(outputPath);
+        results.push({ step: 'Generated tests pass', passed: jest.passed, ...(!jest.passed && { error: jest.output.split('\n').filter(line => /FAIL|●/.test(line)).join('\n') }) });
+        success = success && jest.passed;
+
+    } catch (error) {
+        results.push({ step: 'Test execution', passed: false, error: error.message });
+        success = false;
+    }
+
+    return {
+        testName,
+        success,
+        results
+    };
+}
@@ -0,0 +1,148 @@
+import path from 'path';
+import chalk from 'chalk';
+import fs from 'fs-extra';
+import { isDeepStrictEqual } from 'util';
+import { fileURLToPath } from 'url';
+import {
+    generateProjectProgrammatically,
+    updateProjectProgrammatically,
+    addLambdaProgrammatically,
+    updateLambdaProgrammatically,
+    createLayerProgrammatically,
+    addLayerToLambdaProgrammatically,
+    analyzeEnvUsageProgrammatically
+} from '../lib/test-utils.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Test: testCheckEnv
+ * Validates the check of the variables read by the code of the Lambdas: read through
+ * process.env in the handler, the files it imports and its layers, or through its config of
+ * src/utils/config.ts, against the Environment.Variables of template.yaml and the .env files
+ */
+export async function testCheckEnv() {
+    const testName = 'testCheckEnv';
+
+    const outputPath = path.join(__dirname, 'testOutput', testName);
+
+    const results = [];
+    let success = true;
+
+    const check = (step, passed, error) => {
+        results.push({ step, passed, ...(!passed && { error }) });
+        success = success && passed;
+    };
+    const names = entries => entries.map(({ functionName, name }) => `${functionName}:${name}`);
+
+    try {
+        // Step 1: Generate initial project, with a Lambda reading two variables and a layer
+        console.log(chalk.blue(`  Generating initial project in testOutput/${testName}...`));
+        await generateProjectProgrammatically({
+            projectName: testName,
+            functionName: testName,
+            apiName: `${testName}-api`,
+            timeout: 60,
+            envVars: [],
+            templateName: 'basic',
+            architecture: 'arm64',
+            environment: 'dev',
+            envVarsWithValues: {}
+        });
+        await fs.writeFile(path.join(outputPath, '.env'), 'ENVIRONMENT=dev\nLOG_LEVEL=info\nAPI_URL=https://dev.example.com\n');
+        await updateProjectProgrammatically(outputPath);
+        await addLambdaProgrammatically(outputPath, { lambdaName: 'orders', envVars: ['LOG_LEVEL', 'API_URL'] });
+        await createLayerProgrammatically(outputPath, 'shared');
+        await addLayerToLambdaProgrammatically(outputPath, 'ordersFunction', 'shared');
+
+        // Step 2: Code reading a variable it does not declare, in a file it imports and its layer
+        console.log(chalk.gray('  Writing the code of the Lambda...'));
+        await fs.writeFile(path.join(outputPath, 'src/orders/handler.ts'), [
+            "import { tablePrefix } from '../utils/settings';",
+            "import { sharedFunction } from '/opt/nodejs/sharedFunctions';",
+            '',
+            'const { LOG_LEVEL } = process.env;',
+            '',
+            'export const orders = async () => {',
+            '    sharedFunction();',
+            '    return { statusCode: 200, body: JSON.stringify({ level: LOG_LEVEL, region: process.env.AWS_REGION, prefix: tablePrefix() }) };',
+            '};',
+            '',
+        ].join('\n'));
+        await fs.writeFile(path.join(outputPath, 'src/utils/settings.ts'), [
+            'export function tablePrefix() {',
+            "    return process.env['TABLE_PREFIX'] ?? 'dev';",
+            '}',
+            '',
+        ].join('\n'));
+        await fs.writeFile(path.join(outputPath, 'src/layers/shared/sharedFunctions.ts'), [
+            'export function sharedFunction() {',
+            '    return process.env.FEATURE_FLAG;',
+            '}',
+            '',
+        ].join('\n'));
+
+        const report = await analyzeEnvUsageProgrammatically(outputPath);
+        const orders = report.lambdas.find(lambda => lambda.functionName === 'ordersFunction');
+        const expectedFiles = ['src/orders/handler.ts', 'src/utils/settings.ts', 'src/layers/shared/sharedFunctions.ts'];
+        check('Imported files and layers analyzed', orders !== undefined && isDeepStrictEqual(orders.files, expectedFiles), JSON.stringify(orders));
+
+        const expectedUndeclared = [{
+            functionName: 'ordersFunction',
+            name: 'TABLE_PREFIX',
+            locations: [{ file: 'src/utils/settings.ts', line: 2 }],
+        }, {
+            functionName: 'ordersFunction',
+            name: 'FEATURE_FLAG',
+            locations: [{ file: 'src/layers/shared/sharedFunctions.ts', line: 2 }],
+        }];
+        check('Undeclared variables found', isDeepStrictEqual(report.undeclared, expectedUndeclared), JSON.stringify(report.undeclared));
+        check('Undeclared variables missing from the .env files', isDeepStrictEqual(report.missing, expectedUndeclared), JSON.stringify(report.missing));
+
+        const template = (await fs.readFile(path.join(outputPath, 'template.yaml'), 'utf8')).split('\n');
+        const [unused] = report.unused;
+        const unusedFound = report.unused.length === 1 && unused.name === 'API_URL' && unused.location.file === 'template.yaml'
+            && template[unused.location.line - 1].trim().startsWith('API_URL:');
+        check('Variable never read found in template.yaml', unusedFound, JSON.stringify(report.unused));
+
+        // Step 3: Declared and set, and read through the config of the Lambda
+        console.log(chalk.gray('  Declaring the variables...'));
+        await fs.writeFile(path.join(outputPath, '.env'), [
+            'ENVIRONMENT=dev',
+            'LOG_LEVEL=info',
+            'API_URL=https://dev.example.com',
+            'TABLE_PREFIX=dev',
+            'FEATURE_FLAG=true',
+            '',
+        ].join('\n'));
+        await updateProjectProgrammatically(outputPath);
+        await updateLambdaProgrammatically(outputPath, { lambdaName: 'orders', envVars: ['LOG_LEVEL', 'API_URL', 'TABLE_PREFIX', 'FEATURE_FLAG'] });
+        await fs.writeFile(path.join(outputPath, 'src/orders/handler.ts'), [
+            "import { tablePrefix } from '../utils/settings';",
+            "import { sharedFunction } from '/opt/nodejs/sharedFunctions';",
+            "import { loadOrdersConfig } from '../utils/config';",
+            '',
+            'export const orders = async () => {',
+            '    const config = loadOrdersConfig();',
+            '    sharedFunction();',
+            '    return { statusCode: 200, body: JSON.stringify({ url: config.apiUrl, prefix: tablePrefix() }) };',
+            '};',
+            '',
+        ].join('\n'));
+
+        const fixed = await analyzeEnvUsageProgrammatically(outputPath);
+        const problems = [...fixed.undeclared, ...fixed.unused, ...fixed.missing];
+        check('Variables read through the config found', problems.length === 0, JSON.stringify(names(problems)));
+
+    } catch (error) {
+        results.push({ step: 'Test execution', passed: false, error: error.message });
+        success = false;
+    }
+
+    return {
+        testName,
+        success,
+        results
+    };
+}
@@ -0,0 +1,128 @@
+import path from 'path';
+import chalk from 'chalk';
+import fs from 'fs-extra';
+import { fileURLToPath } from 'url';
+import {
+    generateProjectProgrammatically,
+    compareFiles,
+    updateProjectProgrammatically,
+    addLambdaProgrammatically,
+    updateLambdaProgrammatically,
+    createBucketProgrammatically,
+    attachBucketToLambdaProgrammatically,
+    detachBucketFromLambdaProgrammatically,
+    createTopicProgrammatically,
+    allowPublishProgrammatically,
+    deleteLambdaProgrammatically
+} from '../lib/test-utils.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Test: testConfigModule
+ * Validates src/utils/config.ts: a typed config per Lambda reading variables, typed from the
+ * values of every environment, with its secrets and the variables set from resources. It is
+ * rewritten by every change of the variables of a Lambda, including the attachment of a
+ * resource and the deletion of the Lambda, and deleted once no Lambda reads any
+ */
+export async function testConfigModule() {
+    const testName = 'testConfigModule';
+
+    const expectedPath = path.join(__dirname, 'expected', testName);
+    const outputPath = path.join(__dirname, 'testOutput', testName);
+    const configPath = path.join(outputPath, 'src/utils/config.ts');
+
+    const results = [];
+    let success = true;
+
+    const check = (step, passed, error) => {
+        results.push({ step, passed, ...(!passed && { error }) });
+        success = success && passed;
+    };
+
+    const compare = async (file, expected) => {
+        console.log(chalk.gray(`  Comparing ${file}...`));
+        const result = await compareFiles(path.join(outputPath, file), path.join(expectedPath, expected));
+        if (result.equal) {
+            results.push({ step: `${expected} matches`, passed: true });
+        } else {
+            results.push({ step: `${expected} matches`, passed: false, diff: result.diff });
+            success = false;
+        }
+    };
+
+    try {
+        // Step 1: Generate initial project
+        console.log(chalk.blue(`  Generating initial project in testOutput/${testName}...`));
+        await generateProjectProgrammatically({
+            projectName: testName,
+            functionName: testName,
+            apiName: `${testName}-api`,
+            timeout: 60,
+            envVars: [],
+            templateName: 'basic',
+            architecture: 'arm64',
+            environment: 'dev',
+            envVarsWithValues: {}
+        });
+        check('No config without variables', !await fs.pathExists(configPath), 'src/utils/config.ts generated');
+
+        // Step 2: Variables of every type, a secret and a bucket
+        console.log(chalk.gray('  Writing the env files...'));
+        await fs.writeFile(path.join(outputPath, '.env'), [
+            'ENVIRONMENT=dev',
+            'API_URL=https://dev.example.com',
+            'MAX_RETRIES=3',
+            'TRACING=false',
+            '# @secret',
+            'PAYMENT_KEY=pk_test_123',
+            '',
+        ].join('\n'));
+        await fs.writeFile(path.join(outputPath, '.env.prod'), 'MAX_RETRIES=5\nTRACING=true\n');
+        await updateProjectProgrammatically(outputPath);
+
+        await addLambdaProgrammatically(outputPath, { lambdaName: 'orders', envVars: ['API_URL', 'MAX_RETRIES', 'TRACING'] });
+        await addLambdaProgrammatically(outputPath, { lambdaName: 'payments', envVars: ['API_URL', 'PAYMENT_KEY'] });
+        await createBucketProgrammatically(outputPath, 'receipts');
+        await attachBucketToLambdaProgrammatically(outputPath, 'paymentsFunction', 'receipts', 'write');
+        await compare('src/utils/config.ts', 'config.ts');
+        await compare('src/utils/config.test.ts', 'config.test.ts');
+
+        // Step 3: A value that is not a number in every environment is a string
+        await fs.writeFile(path.join(outputPath, '.env.staging'), 'MAX_RETRIES=unlimited\n');
+        await updateProjectProgrammatically(outputPath);
+        const config = await fs.readFile(configPath, 'utf8');
+        check('Config retyped by the sync', config.includes('readonly maxRetries: string;'), 'maxRetries is not a string');
+
+        // Step 4: Deleted once no Lambda reads a variable
+        console.log(chalk.gray('  Removing the variables of the Lambdas...'));
+        await updateLambdaProgrammatically(outputPath, { lambdaName: 'orders', envVars: [] });
+        check('Config of a Lambda removed', !(await fs.readFile(configPath, 'utf8')).includes('OrdersConfig'), 'OrdersConfig still in config.ts');
+        await createTopicProgrammatically(outputPath, 'notifications');
+        await allowPublishProgrammatically(outputPath, 'ordersFunction', 'notifications');
+        check('Config of a Lambda publishing to a topic added', (await fs.readFile(configPath, 'utf8')).includes('OrdersConfig'), 'OrdersConfig not in config.ts');
+        await deleteLambdaProgrammatically(outputPath, 'orders');
+        check('Config of a deleted Lambda removed', !(await fs.readFile(configPath, 'utf8')).includes('OrdersConfig'), 'OrdersConfig still in config.ts');
+        await fs.writeFile(path.join(outputPath, '.env'), 'ENVIRONMENT=dev\n');
+        await fs.writeFile(path.join(outputPath, '.env.staging'), '');
+        await fs.writeFile(path.join(outputPath, '.env.prod'), '');
+        await updateProjectProgrammatically(outputPath);
+        const bucketOnly = await fs.readFile(configPath, 'utf8');
+        check('Variables set from resources kept', bucketOnly.includes('PaymentsConfig') && !bucketOnly.includes('apiUrl'), bucketOnly);
+
+        await detachBucketFromLambdaProgrammatically(outputPath, 'paymentsFunction', 'receipts');
+        const deleted = !await fs.pathExists(configPath) && !await fs.pathExists(path.join(outputPath, 'src/utils/config.test.ts'));
+        check('Config deleted once no Lambda reads a variable', deleted, 'src/utils/config.ts still exists');
+
+    } catch (error) {
+        results.push({ step: 'Test execution', passed: false, error: error.message });
+        success = false;
+    }
+
+    return {
+        testName,
+        success,
+        results
+    };
+}
@@ -0,0 +1,149 @@
+import path from 'path';
+import fs from 'fs-extra';
+import chalk from 'chalk';
+import { fileURLToPath } from 'url';
+import { spawnSync } from 'child_process';
+import {
+    generateProjectProgrammatically,
+    compareFiles,
+    compareDirectories
+} from '../lib/test-utils.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const cliPath = path.join(__dirname, '..', 'bin', 'index.js');
+
+/**
+ * Run bin/index.js in a project directory without a terminal attached
+ * @param {string} cwd - Project directory
+ * @param {string[]} args - Command line arguments
+ * @returns {{status: number, stdout: string, stderr: string}}
+ */
+function runCli(cwd, args) {
+    const result = spawnSync(process.execPath, [cliPath, ...args], {
+        cwd,
+        encoding: 'utf8',
+        stdio: ['ignore', 'pipe', 'pipe'],
+        timeout: 120000,
+    });
+    return { status: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+/**
+ * Lines of the diff printed by a dry run, from the first file header to the summary
+ * @param {string} stdout - Output of the subcommand
+ * @returns {string}
+ */
+function extractDiff(stdout) {
+    const lines = stdout.split('\n');
+    const start = lines.findIndex(line => /^(new file|modified|deleted): /.test(line));
+    const end = lines.findIndex(line => /^\d+ file\(s\): /.test(line));
+    return start === -1 || end === -1 ? '' : lines.slice(start, end + 1).join('\n');
+}
+
+/**
+ * Test: testDryRun
+ * Validates that `--dry-run` prints a unified diff of the files an operation would write
+ * or delete, and leaves the project untouched
+ */
+export async function testDryRun() {
+    const testName = 'testDryRun';
+
+    const expectedPath = path.join(__dirname, 'expected', testName);
+    const outputPath = path.join(__dirname, 'testOutput', testName);
+    const snapshotPath = path.join(__dirname, 'testOutput', `${testName}Snapshot`);
+
+    const results = [];
+    let success = true;
+
+    try {
+        // Step 1: Generate a project with a Lambda, an API Gateway with basic auth and a table
+        console.log(chalk.blue(`  Generating initial project in testOutput/${testName}...`));
+        await generateProjectProgrammatically({
+            projectName: testName,
+            functionName: testName,
+            apiName: `${testName}-api`,
+            timeout: 60,
+            envVars: [],
+            templateName: 'basic',
+            architecture: 'arm64',
+            environment: 'dev',
+            envVarsWithValues: {}
+        });
+
+        const setup = [
+            ['lambda', 'create', '--name', 'orders'],
+            ['api', 'create', '--name', 'Orders', '--method', 'get', '--path', '/orders', '--lambda', 'orders'],
+            ['auth', 'add', '--api', 'Orders', '--type', 'basic'],
+            ['table', 'create', '--name', 'ordersTable', '--pk', 'customerId', '--sk', 'orderId'],
+        ];
+        for (const args of setup) {
+            const result = runCli(outputPath, args);
+            if (result.status !== 0) {
+                throw new Error(`sam-smith ${args.join(' ')} exited with code ${result.status}: ${result.stderr}`);
+            }
+        }
+
+        await fs.copy(outputPath, snapshotPath);
+        results.push({ step: 'Initial project generated', passed: true });
+
+        // Step 2: Preview destructive operations
+        const dryRuns = [
+            ['lambda', 'delete', '--name', 'orders', '--dry-run'],
+            ['auth', 'remove', '--api', 'Orders', '--dry-run'],
+            ['table', 'delete', '--name', 'ordersTable', '--dry-run'],
+            ['api', 'delete', '--name', 'Orders', '--dry-run'],
+        ];
+
+        const diffs = [];
+        for (const args of dryRuns) {
+            console.log(chalk.gray(`  sam-smith ${args.join(' ')}`));
+            const result = runCli(outputPath, args);
+            if (result.status !== 0) {
+                throw new Error(`sam-smith ${args.join(' ')} exited with code ${result.status}: ${result.stderr}`);
+            }
+            diffs.push(`$ sam-smith ${args.join(' ')}`, extractDiff(result.stdout), '');
+        }
+
+        const diffPath = path.join(outputPath, 'dry-run.diff');
+        await fs.writeFile(diffPath, diffs.join('\n'));
+
+        results.push({ step: 'Dry runs exit with code 0', passed: true });
+
+        // Step 3: Compare the printed diffs
+        console.log(chalk.gray('  Comparing dry-run.diff...'));
+        const diffResult = await compareFiles(diffPath, path.join(expectedPath, 'dry-run.diff'));
+        results.push({ step: 'Printed diffs match', passed: diffResult.equal, ...(!diffResult.equal && { diff: diffResult.diff }) });
+        success = success && diffResult.equal;
+
+        // Step 4: Nothing was written
+        console.log(chalk.gray('  Comparing the project with its snapshot...'));
+        const templateResult = await compareFiles(
+            path.join(outputPath, 'template.yaml'),
+            path.join(snapshotPath, 'template.yaml')
+        );
+        results.push({ step: 'template.yaml untouched', passed: templateResult.equal, ...(!templateResult.equal && { diff: templateResult.diff }) });
+        success = success && templateResult.equal;
+
+        const srcResult = await compareDirectories(
+            path.join(outputPath, 'src'),
+            path.join(snapshotPath, 'src'),
+            {
+                ignore: ['node_modules', '.DS_Store']
+            }
+        );
+        results.push({ step: 'src/ directory untouched', passed: srcResult.equal, ...(!srcResult.equal && { diff: srcResult.diff }) });
+        success = success && srcResult.equal;
+
+    } catch (error) {
+        results.push({ step: 'Test execution', passed: false, error: error.message });
+        success = false;
+    }
+
+    return {
+        testName,
+        success,
+        results
+    };
+}
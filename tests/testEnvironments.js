@@ -0,0 +1,139 @@
+import path from 'path';
+import chalk from 'chalk';
+import fs from 'fs-extra';
+import { isDeepStrictEqual } from 'util';
+import { fileURLToPath } from 'url';
+import {
+    generateProjectProgrammatically,
+    compareFiles,
+    updateProjectProgrammatically,
+    addLambdaProgrammatically,
+    getEnvironmentChangesProgrammatically,
+    getDeployCommandProgrammatically
+} from '../lib/test-utils.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Test: testEnvironments
+ * Validates the .env.<environment> files: new projects get one per environment and a
+ * samconfig.toml section each, the variables of every environment are synced to the
+ * template, each section gets the parameter_overrides of its environment, and the deploy
+ * command picks the section of the environment and refuses stale overrides
+ */
+export async function testEnvironments() {
+    const testName = 'testEnvironments';
+
+    const expectedPath = path.join(__dirname, 'expected', testName);
+    const outputPath = path.join(__dirname, 'testOutput', testName);
+
+    const results = [];
+    let success = true;
+
+    const check = (step, passed, error) => {
+        results.push({ step, passed, ...(!passed && { error }) });
+        success = success && passed;
+    };
+
+    // Build the deploy command expecting an error containing `expected`
+    const expectRefused = async (step, environment, expected) => {
+        let error = null;
+        try {
+            await getDeployCommandProgrammatically(outputPath, environment);
+        } catch (e) {
+            error = e;
+        }
+        check(step, error !== null && error.message.includes(expected), error ? error.message : 'No error thrown');
+    };
+
+    try {
+        // Step 1: Generate initial project
+        console.log(chalk.blue(`  Generating initial project in testOutput/${testName}...`));
+        await generateProjectProgrammatically({
+            projectName: testName,
+            functionName: testName,
+            apiName: `${testName}-api`,
+            timeout: 60,
+            envVars: [],
+            templateName: 'basic',
+            architecture: 'arm64',
+            environment: 'dev',
+            envVarsWithValues: {}
+        });
+
+        const files = ['.env.dev', '.env.staging', '.env.prod'];
+        const missing = [];
+        for (const file of files) {
+            if (!await fs.pathExists(path.join(outputPath, file))) {
+                missing.push(file);
+            }
+        }
+        check('An env file per environment generated', missing.length === 0, `Missing ${missing.join(', ')}`);
+
+        // Step 2: Shared variables in .env, the others per environment
+        console.log(chalk.gray('  Writing the env files...'));
+        await fs.writeFile(path.join(outputPath, '.env'), 'ENVIRONMENT=dev\nLOG_LEVEL=debug\n');
+        await fs.writeFile(path.join(outputPath, '.env.dev'), 'API_URL=https://dev.example.com\n');
+        await fs.writeFile(path.join(outputPath, '.env.staging'), 'API_URL=https://staging.example.com\n');
+        await fs.writeFile(path.join(outputPath, '.env.prod'), [
+            'API_URL=https://api.example.com',
+            'LOG_LEVEL=warn',
+            'FEATURE_FLAGS=beta',
+            '# @secret',
+            'PAYMENT_KEY=pk_live_123',
+            '',
+        ].join('\n'));
+
+        const changes = await getEnvironmentChangesProgrammatically(outputPath);
+        check('Variables of every environment found', isDeepStrictEqual(changes.newVars, ['LOG_LEVEL', 'API_URL', 'FEATURE_FLAGS']), JSON.stringify(changes.newVars));
+        check('Secrets of every environment found', isDeepStrictEqual(changes.newSecrets, ['PAYMENT_KEY']), JSON.stringify(changes.newSecrets));
+        const expectedMissing = [
+            { name: 'FEATURE_FLAGS', environments: ['dev', 'staging'] },
+            { name: 'PAYMENT_KEY', environments: ['dev', 'staging'] },
+        ];
+        check('Variables missing from environments found', isDeepStrictEqual(changes.missingVars, expectedMissing), JSON.stringify(changes.missingVars));
+
+        // Step 3: Sync, and a Lambda reading the variables
+        console.log(chalk.gray('  Syncing the environments...'));
+        await updateProjectProgrammatically(outputPath);
+        await addLambdaProgrammatically(outputPath, { lambdaName: 'payments', envVars: ['API_URL', 'LOG_LEVEL', 'PAYMENT_KEY'] });
+        const synced = await getEnvironmentChangesProgrammatically(outputPath);
+        check('Every environment up to date', synced.staleEnvironments.length === 0, `Stale: ${synced.staleEnvironments.join(', ')}`);
+
+        // Step 4: Deploy command of an environment
+        const deploy = await getDeployCommandProgrammatically(outputPath, 'prod');
+        check('Deploy reads the prod section', deploy.args.join(' ').startsWith('deploy --config-env prod') && deploy.stackName === `sam-smith-${testName}-prod`, JSON.stringify(deploy));
+        await expectRefused('Unknown environment refused', 'qa', '.env.qa not found');
+
+        // Step 5: Stale overrides refused until the next sync
+        await fs.appendFile(path.join(outputPath, '.env.staging'), 'LOG_LEVEL=info\n');
+        await expectRefused('Stale overrides refused', 'staging', 'do not match the .env files');
+        const stale = await getEnvironmentChangesProgrammatically(outputPath);
+        check('Stale environment found', isDeepStrictEqual(stale.staleEnvironments, ['staging']), JSON.stringify(stale.staleEnvironments));
+        await updateProjectProgrammatically(outputPath);
+        check('Stale overrides synced', (await getDeployCommandProgrammatically(outputPath, 'staging')).stackName === `sam-smith-${testName}-staging`, 'Deploy refused');
+
+        // Step 6: Compare template.yaml and samconfig.toml
+        for (const file of ['template.yaml', 'samconfig.toml']) {
+            console.log(chalk.gray(`  Comparing ${file}...`));
+            const result = await compareFiles(path.join(outputPath, file), path.join(expectedPath, file));
+            if (result.equal) {
+                results.push({ step: `${file} matches`, passed: true });
+            } else {
+                results.push({ step: `${file} matches`, passed: false, diff: result.diff });
+                success = false;
+            }
+        }
+
+    } catch (error) {
+        results.push({ step: 'Test execution', passed: false, error: error.message });
+        success = false;
+    }
+
+    return {
+        testName,
+        success,
+        results
+    };
+}
@@ -0,0 +1,118 @@
+import path from 'path';
+import chalk from 'chalk';
+import { fileURLToPath } from 'url';
+import fs from 'fs-extra';
+import {
+    generateProjectProgrammatically,
+    compareDirectories,
+    createApiGatewayProgrammatically,
+    addApiGatewayEndpointProgrammatically
+} from '../lib/test-utils.js';
+import { generateSwagger } from '../lib/doc.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Test: testGenerateDocs
+ * Validates generating one OpenAPI document per API Gateway, including auth, JSDoc annotations
+ * and unique operation ids for a Lambda serving a method on two paths
+ */
+export async function testGenerateDocs() {
+    const testName = 'testGenerateDocs';
+
+    const expectedPath = path.join(__dirname, 'expected', testName);
+    const outputPath = path.join(__dirname, 'testOutput', testName);
+
+    const results = [];
+    let success = true;
+
+    try {
+        // Step 1: Generate initial project with basic auth
+        console.log(chalk.blue(`  Generating basic-auth project in testOutput/${testName}...`));
+        await generateProjectProgrammatically({
+            projectName: testName,
+            functionName: testName,
+            apiName: `${testName}-api`,
+            timeout: 60,
+            envVars: [],
+            templateName: 'basic-auth',
+            architecture: 'arm64',
+            environment: 'dev'
+        });
+
+        results.push({ step: 'Initial project generated', passed: true });
+
+        // Step 2: Add api2 with GET /users/{id} endpoint
+        console.log(chalk.gray('  Adding api2 with GET /users/{id}...'));
+        await createApiGatewayProgrammatically(outputPath, {
+            gatewayName: 'api2',
+            endpoint: {
+                method: 'get',
+                path: '/users/{id}',
+                lambdaName: testName
+            }
+        });
+
+        results.push({ step: 'api2 created with endpoint', passed: true });
+
+        // Step 3: The Lambda also serves GET /items/{id} on the first gateway
+        console.log(chalk.gray('  Adding GET /items/{id} to the first gateway...'));
+        await addApiGatewayEndpointProgrammatically(outputPath, {
+            gatewayName: `${testName}api`,
+            method: 'get',
+            path: '/items/{id}',
+            lambdaName: testName
+        });
+
+        results.push({ step: 'Second GET endpoint added to the Lambda', passed: true });
+
+        // Step 4: Annotate the handler
+        console.log(chalk.gray('  Adding @openapi annotation to handler...'));
+        const handlerPath = path.join(outputPath, 'src', testName, 'handler.ts');
+        const handlerContent = await fs.readFile(handlerPath, 'utf8');
+        const annotation = `/**
+ * @openapi
+ * /hello:
+ *   get:
+ *     summary: Says hello
+ *     responses:
+ *       200:
+ *         description: A greeting
+ */
+`;
+        await fs.writeFile(handlerPath, handlerContent.replace('export const', `${annotation}export const`));
+
+        results.push({ step: 'Handler annotated', passed: true });
+
+        // Step 5: Generate docs
+        console.log(chalk.gray('  Generating OpenAPI documents...'));
+        await generateSwagger(outputPath);
+
+        results.push({ step: 'Docs generated', passed: true });
+
+        // Step 6: Compare docs/ directory
+        console.log(chalk.gray('  Comparing docs/ directory...'));
+        const docsResult = await compareDirectories(
+            path.join(outputPath, 'docs'),
+            path.join(expectedPath, 'docs')
+        );
+
+        if (docsResult.equal) {
+            results.push({ step: 'docs/ directory matches', passed: true });
+        } else {
+            results.push({ step: 'docs/ directory matches', passed: false, diff: docsResult.diff });
+            success = false;
+        }
+
+    } catch (error) {
+        results.push({ step: 'Test execution', passed: false, error: error.message });
+        success = false;
+    }
+
+    return {
+        testName,
+        success,
+        results
+    };
+}
@@ -0,0 +1,171 @@
+import path from 'path';
+import chalk from 'chalk';
+import fs from 'fs-extra';
+import { isDeepStrictEqual } from 'util';
+import { fileURLToPath } from 'url';
+import {
+    generateProjectProgrammatically,
+    compareFiles,
+    updateProjectProgrammatically,
+    addLambdaProgrammatically,
+    getEnvironmentChangesProgrammatically,
+    getVariableMatrixProgrammatically
+} from '../lib/test-utils.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Test: testLambdaVariables
+ * Validates the variables marked `# @lambda` in the .env files: a Lambda gets a value of its
+ * own overriding the shared one, or a variable no other Lambda reads, each environment
+ * overriding it in samconfig.toml, and a Lambda falls back to the shared value once its own
+ * is removed. A value of a Lambda is kept in SSM under its own path, next to the shared one
+ */
+export async function testLambdaVariables() {
+    const testName = 'testLambdaVariables';
+
+    const expectedPath = path.join(__dirname, 'expected', testName);
+    const outputPath = path.join(__dirname, 'testOutput', testName);
+
+    const results = [];
+    let success = true;
+
+    const check = (step, passed, error) => {
+        results.push({ step, passed, ...(!passed && { error }) });
+        success = success && passed;
+    };
+
+    try {
+        // Step 1: Generate initial project, with two Lambdas reading a shared variable
+        console.log(chalk.blue(`  Generating initial project in testOutput/${testName}...`));
+        await generateProjectProgrammatically({
+            projectName: testName,
+            functionName: testName,
+            apiName: `${testName}-api`,
+            timeout: 60,
+            envVars: ['LOG_LEVEL'],
+            templateName: 'basic',
+            architecture: 'arm64',
+            environment: 'dev',
+            envVarsWithValues: { LOG_LEVEL: 'info' }
+        });
+        await addLambdaProgrammatically(outputPath, { lambdaName: 'orders', envVars: ['LOG_LEVEL'] });
+        await addLambdaProgrammatically(outputPath, { lambdaName: 'payments', envVars: ['LOG_LEVEL'] });
+
+        // Step 2: Values of their own for the Lambdas
+        console.log(chalk.gray('  Writing the values of the Lambdas...'));
+        await fs.writeFile(path.join(outputPath, '.env'), [
+            'ENVIRONMENT=dev',
+            'LOG_LEVEL=info',
+            '# @lambda orders',
+            'LOG_LEVEL=debug',
+            '# @lambda payments',
+            'PROVIDER_URL=https://sandbox.pay.example.com',
+            '',
+        ].join('\n'));
+        await fs.writeFile(path.join(outputPath, '.env.prod'), [
+            '# @lambda orders',
+            'LOG_LEVEL=warn',
+            '# @lambda payments',
+            'PROVIDER_URL=https://pay.example.com',
+            '# @lambda invoices',
+            'INVOICE_PREFIX=INV',
+            '',
+        ].join('\n'));
+
+        const changes = await getEnvironmentChangesProgrammatically(outputPath);
+        const expectedNew = [
+            { functionName: 'ordersFunction', name: 'LOG_LEVEL' },
+            { functionName: 'paymentsFunction', name: 'PROVIDER_URL' },
+        ];
+        check('Values of the Lambdas found', isDeepStrictEqual(changes.newLambdaVars, expectedNew), JSON.stringify(changes.newLambdaVars));
+        check('Values of the Lambdas are not shared variables', changes.newVars.length === 0, JSON.stringify(changes.newVars));
+        check('Unknown Lambda found', isDeepStrictEqual(changes.unknownLambdas, ['invoices']), JSON.stringify(changes.unknownLambdas));
+
+        // Step 3: Sync, each Lambda reading its own value or the shared one
+        console.log(chalk.gray('  Syncing the environments...'));
+        await updateProjectProgrammatically(outputPath);
+        const matrix = await getVariableMatrixProgrammatically(outputPath);
+        const expectedMatrix = [
+            { name: 'LOG_LEVEL', secret: false, lambdas: { [`${testName}Function`]: 'shared', ordersFunction: 'own', paymentsFunction: 'shared' } },
+            { name: 'PROVIDER_URL', secret: false, lambdas: { [`${testName}Function`]: null, ordersFunction: null, paymentsFunction: 'own' } },
+        ];
+        check('Variables read by each Lambda', isDeepStrictEqual(matrix.variables, expectedMatrix), JSON.stringify(matrix.variables));
+
+        const synced = await getEnvironmentChangesProgrammatically(outputPath);
+        check('Values of the Lambdas synced', synced.newLambdaVars.length === 0 && synced.staleEnvironments.length === 0, JSON.stringify(synced));
+
+        // Step 4: Changed and removed values of a Lambda
+        console.log(chalk.gray('  Changing the values of the Lambdas...'));
+        await fs.writeFile(path.join(outputPath, '.env'), [
+            'ENVIRONMENT=dev',
+            'LOG_LEVEL=info',
+            '# @lambda payments',
+            'PROVIDER_URL=https://test.pay.example.com',
+            '',
+        ].join('\n'));
+        const changed = await getEnvironmentChangesProgrammatically(outputPath);
+        const expectedChanged = [{
+            functionName: 'paymentsFunction',
+            name: 'PROVIDER_URL',
+            oldValue: 'https://sandbox.pay.example.com',
+            newValue: 'https://test.pay.example.com',
+        }, {
+            // Without a value of its own in dev, orders reads the shared value there
+            functionName: 'ordersFunction',
+            name: 'LOG_LEVEL',
+            oldValue: 'debug',
+            newValue: 'info',
+        }];
+        check('Changed value of a Lambda found', isDeepStrictEqual(changed.changedLambdaVars, expectedChanged), JSON.stringify(changed.changedLambdaVars));
+        check('No value removed while an environment still gives it', changed.removedLambdaVars.length === 0, JSON.stringify(changed.removedLambdaVars));
+
+        await fs.writeFile(path.join(outputPath, '.env.prod'), [
+            '# @lambda payments',
+            'PROVIDER_URL=https://pay.example.com',
+            '',
+        ].join('\n'));
+        const removed = await getEnvironmentChangesProgrammatically(outputPath);
+        const expectedRemoved = [{ functionName: 'ordersFunction', name: 'LOG_LEVEL' }];
+        check('Removed value of a Lambda found', isDeepStrictEqual(removed.removedLambdaVars, expectedRemoved), JSON.stringify(removed.removedLambdaVars));
+
+        await updateProjectProgrammatically(outputPath);
+        const fallback = await getVariableMatrixProgrammatically(outputPath);
+        const logLevel = fallback.variables.find(v => v.name === 'LOG_LEVEL');
+        check('Lambda reads the shared value once its own is removed', logLevel.lambdas.ordersFunction === 'shared', JSON.stringify(logLevel));
+
+        // Step 5: Annotations without a Lambda refused
+        await fs.appendFile(path.join(outputPath, '.env.staging'), '# @lambda\nLOG_LEVEL=error\n');
+        let error = null;
+        try {
+            await getEnvironmentChangesProgrammatically(outputPath);
+        } catch (e) {
+            error = e;
+        }
+        check('@lambda without a Lambda refused', error !== null && error.message.includes('@lambda needs the name of a Lambda'), error ? error.message : 'No error thrown');
+        await fs.writeFile(path.join(outputPath, '.env.staging'), '');
+
+        // Step 6: Compare template.yaml and samconfig.toml
+        for (const file of ['template.yaml', 'samconfig.toml']) {
+            console.log(chalk.gray(`  Comparing ${file}...`));
+            const result = await compareFiles(path.join(outputPath, file), path.join(expectedPath, file));
+            if (result.equal) {
+                results.push({ step: `${file} matches`, passed: true });
+            } else {
+                results.push({ step: `${file} matches`, passed: false, diff: result.diff });
+                success = false;
+            }
+        }
+
+    } catch (error) {
+        results.push({ step: 'Test execution', passed: false, error: error.message });
+        success = false;
+    }
+
+    return {
+        testName,
+        success,
+        results
+    };
+}
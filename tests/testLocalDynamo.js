@@ -0,0 +1,287 @@
+import path from 'path';
+import fs from 'fs-extra';
+import chalk from 'chalk';
+import { isDeepStrictEqual } from 'util';
+import { fileURLToPath } from 'url';
+import {
+    generateProjectProgrammatically,
+    compareFiles,
+    compareDirectories,
+    createTableProgrammatically,
+    startLocalDynamoProgrammatically
+} from '../lib/test-utils.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Test: testLocalDynamo
+ * Validates the local DynamoDB used by the tests of the generated projects: the tables and
+ * indexes read from template.yaml, the operations of the DynamoDB JSON protocol, and the
+ * files running it in the generated project
+ */
+export async function testLocalDynamo() {
+    const testName = 'testLocalDynamo';
+
+    const expectedPath = path.join(__dirname, 'expected', testName);
+    const outputPath = path.join(__dirname, 'testOutput', testName);
+
+    const results = [];
+    let success = true;
+    let localDynamo = null;
+
+    // Record whether a response has the expected status and body
+    const expectResponse = (step, response, status, expected) => {
+        const passed = response.status === status && isDeepStrictEqual(response.body, expected);
+        results.push({ step, passed, ...(!passed && { error: `Got ${response.status} ${JSON.stringify(response.body)}` }) });
+        success = success && passed;
+    };
+    const expectError = (step, response, type) => {
+        const passed = response.status === 400 && response.body.__type === `com.amazonaws.dynamodb.v20120810#${type}`;
+        results.push({ step, passed, ...(!passed && { error: `Got ${response.status} ${JSON.stringify(response.body)}` }) });
+        success = success && passed;
+    };
+
+    try {
+        // Step 1: Generate initial project
+        console.log(chalk.blue(`  Generating initial project in testOutput/${testName}...`));
+        await generateProjectProgrammatically({
+            projectName: testName,
+            functionName: testName,
+            apiName: `${testName}-api`,
+            timeout: 60,
+            envVars: [],
+            templateName: 'basic',
+            architecture: 'arm64',
+            environment: 'dev',
+            envVarsWithValues: {}
+        });
+
+        results.push({ step: 'Initial project generated', passed: true });
+
+        // Step 2: The generated project starts the local DynamoDB in its tests
+        const projectFiles = ['lib/dynamo-local.js', 'lib/jest-global-setup.js', 'lib/jest-global-teardown.js', 'bin/dynamo-local.js'];
+        const missing = [];
+        for (const file of projectFiles) {
+            if (!await fs.pathExists(path.join(outputPath, file))) {
+                missing.push(file);
+            }
+        }
+        const jestConfig = await fs.readFile(path.join(outputPath, 'jest.config.js'), 'utf8');
+        const packageJson = await fs.readJson(path.join(outputPath, 'package.json'));
+        const wired = missing.length === 0
+            && jestConfig.includes("globalSetup: '<rootDir>/lib/jest-global-setup.js'")
+            && packageJson.scripts['sam-smith:dynamo-local'] === 'node bin/dynamo-local.js';
+        results.push({ step: 'Local DynamoDB files copied and wired', passed: wired, ...(!wired && { error: `Missing: ${missing.join(', ') || 'jest or package.json setup'}` }) });
+        success = success && wired;
+
+        // Step 3: Orders with a composite sort key, a global and a local index
+        console.log(chalk.gray('  Creating orders with its indexes...'));
+        await createTableProgrammatically(outputPath, 'orders', 'customerId', 'createdAt#orderId', [
+            { name: 'byStatus', type: 'global', partitionKey: 'status', sortKey: 'createdAt', projection: 'INCLUDE', nonKeyAttributes: ['total'] },
+            { name: 'byTotal', type: 'local', sortKey: 'total', projection: 'KEYS_ONLY' }
+        ], { data: 'total:number,status:string,note?:string' });
+
+        results.push({ step: 'Table created with indexes', passed: true });
+
+        // Step 4: Start the local DynamoDB with the tables of template.yaml
+        console.log(chalk.gray('  Starting the local DynamoDB...'));
+        localDynamo = await startLocalDynamoProgrammatically(outputPath);
+        const { request } = localDynamo;
+        const TableName = `sam-smith-${testName}-dev-orders`;
+        const order = (createdAt, total, status) => ({
+            customerId: { S: 'c1' },
+            'createdAt#orderId': { S: `${createdAt}#o${total}` },
+            createdAt: { S: createdAt },
+            total: { N: String(total) },
+            status: { S: status }
+        });
+        const key = (createdAt, total) => ({ customerId: { S: 'c1' }, 'createdAt#orderId': { S: `${createdAt}#o${total}` } });
+
+        expectResponse('Tables listed with the stack names', await request('ListTables', {}), 200, { TableNames: [TableName] });
+
+        // Step 5: Conditional writes and reads
+        console.log(chalk.gray('  Writing and reading items...'));
+        for (const item of [order('2024-01-01', 10, 'paid'), order('2024-02-01', 30, 'open'), order('2024-03-01', 20, 'paid')]) {
+            await request('PutItem', { TableName, Item: item, ConditionExpression: 'attribute_not_exists(customerId)' });
+        }
+        expectError('Conditional put of an existing item refused',
+            await request('PutItem', { TableName, Item: order('2024-01-01', 10, 'paid'), ConditionExpression: 'attribute_not_exists(customerId)' }),
+            'ConditionalCheckFailedException');
+        expectResponse('Item read by its key', await request('GetItem', { TableName, Key: key('2024-01-01', 10), ProjectionExpression: '#s, total', ExpressionAttributeNames: { '#s': 'status' } }),
+            200, { Item: { status: { S: 'paid' }, total: { N: '10' } } });
+        expectResponse('Item updated', await request('UpdateItem', {
+            TableName,
+            Key: key('2024-01-01', 10),
+            UpdateExpression: 'SET total = total + :n, note = if_not_exists(note, :note)',
+            ConditionExpression: 'attribute_exists(customerId) AND #s IN (:paid, :open)',
+            ExpressionAttributeNames: { '#s': 'status' },
+            ExpressionAttributeValues: { ':n': { N: '5' }, ':note': { S: 'gift' }, ':paid': { S: 'paid' }, ':open': { S: 'open' } },
+            ReturnValues: 'UPDATED_NEW'
+        }), 200, { Attributes: { total: { N: '15' }, note: { S: 'gift' } } });
+        expectError('Update of a key attribute refused', await request('UpdateItem', {
+            TableName,
+            Key: key('2024-01-01', 10),
+            UpdateExpression: 'SET customerId = :c',
+            ExpressionAttributeValues: { ':c': { S: 'c2' } }
+        }), 'ValidationException');
+        expectError('Key not matching the schema refused', await request('GetItem', { TableName, Key: { customerId: { S: 'c1' } } }), 'ValidationException');
+        expectError('Key of the wrong type refused',
+            await request('PutItem', { TableName, Item: { ...order('2024-06-01', 60, 'open'), customerId: { N: '5' } } }),
+            'ValidationException');
+        expectError('Index key of the wrong type refused',
+            await request('PutItem', { TableName, Item: { ...order('2024-06-01', 60, 'open'), total: { S: '60' } } }),
+            'ValidationException');
+        expectError('Update of an index key to the wrong type refused', await request('UpdateItem', {
+            TableName,
+            Key: key('2024-02-01', 30),
+            UpdateExpression: 'SET #s = :s',
+            ExpressionAttributeNames: { '#s': 'status' },
+            ExpressionAttributeValues: { ':s': { N: '1' } }
+        }), 'ValidationException');
+        expectError('Unknown table refused',await request('GetItem', { TableName: 'missing', Key: key('2024-01-01', 10) }), 'ResourceNotFoundException');
+
+        // Step 6: Queries of the table and its indexes
+        console.log(chalk.gray('  Querying the table and its indexes...'));
+        const keyCondition = { KeyConditionExpression: 'customerId = :c AND begins_with(#sk, :year)', ExpressionAttributeNames: { '#sk': 'createdAt#orderId' } };
+        const firstPage = await request('Query', {
+            TableName, ...keyCondition,
+            ExpressionAttributeValues: { ':c': { S: 'c1' }, ':year': { S: '2024-' } },
+            ProjectionExpression: 'total',
+            Limit: 2
+        });
+        expectResponse('First page of a query', firstPage, 200, {
+            Items: [{ total: { N: '15' } }, { total: { N: '30' } }],
+            Count: 2,
+            ScannedCount: 2,
+            LastEvaluatedKey: key('2024-02-01', 30)
+        });
+        expectResponse('Last page of a query, filtered', await request('Query', {
+            TableName, ...keyCondition,
+            FilterExpression: 'total > :min',
+            ExpressionAttributeValues: { ':c': { S: 'c1' }, ':year': { S: '2024-' }, ':min': { N: '25' } },
+            ExclusiveStartKey: firstPage.body.LastEvaluatedKey,
+            Limit: 2
+        }), 200, { Items: [], Count: 0, ScannedCount: 1 });
+        expectResponse('Global index with its projection', await request('Query', {
+            TableName,
+            IndexName: 'byStatus',
+            KeyConditionExpression: '#s = :paid AND createdAt BETWEEN :from AND :to',
+            ExpressionAttributeNames: { '#s': 'status' },
+            ExpressionAttributeValues: { ':paid': { S: 'paid' }, ':from': { S: '2024-01-01' }, ':to': { S: '2024-12-31' } }
+        }), 200, {
+            Items: [
+                { customerId: { S: 'c1' }, 'createdAt#orderId': { S: '2024-01-01#o10' }, status: { S: 'paid' }, createdAt: { S: '2024-01-01' }, total: { N: '15' } },
+                { customerId: { S: 'c1' }, 'createdAt#orderId': { S: '2024-03-01#o20' }, status: { S: 'paid' }, createdAt: { S: '2024-03-01' }, total: { N: '20' } }
+            ],
+            Count: 2,
+            ScannedCount: 2
+        });
+        expectResponse('Local index in descending order', await request('Query', {
+            TableName,
+            IndexName: 'byTotal',
+            KeyConditionExpression: 'customerId = :c',
+            ExpressionAttributeValues: { ':c': { S: 'c1' } },
+            ScanIndexForward: false,
+            ProjectionExpression: 'total'
+        }), 200, { Items: [{ total: { N: '30' } }, { total: { N: '20' } }, { total: { N: '15' } }], Count: 3, ScannedCount: 3 });
+        expectResponse('All attributes read from the table through a local index', await request('Query', {
+            TableName,
+            IndexName: 'byTotal',
+            KeyConditionExpression: 'customerId = :c AND total < :max',
+            ExpressionAttributeValues: { ':c': { S: 'c1' }, ':max': { N: '20' } },
+            Select: 'ALL_ATTRIBUTES'
+        }), 200, { Items: [{ ...order('2024-01-01', 10, 'paid'), total: { N: '15' }, note: { S: 'gift' } }], Count: 1, ScannedCount: 1 });
+        expectError('All attributes of a global index not projecting them refused', await request('Query', {
+            TableName,
+            IndexName: 'byStatus',
+            KeyConditionExpression: '#s = :paid',
+            ExpressionAttributeNames: { '#s': 'status' },
+            ExpressionAttributeValues: { ':paid': { S: 'paid' } },
+            Select: 'ALL_ATTRIBUTES'
+        }), 'ValidationException');
+        expectError('Unused expression attribute value of a query refused', await request('Query', {
+            TableName,
+            KeyConditionExpression: 'customerId = :c',
+            ExpressionAttributeValues: { ':c': { S: 'c1' }, ':unused': { S: 'paid' } }
+        }), 'ValidationException');
+        expectError('Unused expression attribute value of a scan refused', await request('Scan', {
+            TableName,
+            FilterExpression: 'total > :min',
+            ExpressionAttributeValues: { ':min': { N: '10' }, ':max': { N: '20' } }
+        }), 'ValidationException');
+        expectError('Unused expression attribute value of a write refused', await request('PutItem', {
+            TableName,
+            Item: order('2024-06-01', 60, 'open'),
+            ConditionExpression: 'attribute_not_exists(customerId)',
+            ExpressionAttributeValues: { ':c': { S: 'c1' } }
+        }), 'ValidationException');
+
+        // Step 7: Batches and transactions
+        console.log(chalk.gray('  Running batches and transactions...'));
+        expectError('Batch of more than 25 writes refused', await request('BatchWriteItem', {
+            RequestItems: { [TableName]: Array.from({ length: 26 }, (_, i) => ({ PutRequest: { Item: order(`2025-01-${i}`, i, 'open') } })) }
+        }), 'ValidationException');
+        expectResponse('Batch write', await request('BatchWriteItem', {
+            RequestItems: { [TableName]: [{ DeleteRequest: { Key: key('2024-03-01', 20) } }, { PutRequest: { Item: order('2024-04-01', 40, 'open') } }] }
+        }), 200, { UnprocessedItems: {} });
+        expectResponse('Batch get', await request('BatchGetItem', {
+            RequestItems: { [TableName]: { Keys: [key('2024-03-01', 20), key('2024-04-01', 40)], ProjectionExpression: 'total' } }
+        }), 200, { Responses: { [TableName]: [{ total: { N: '40' } }] }, UnprocessedKeys: {} });
+
+        const cancelled = await request('TransactWriteItems', {
+            TransactItems: [
+                { Put: { TableName, Item: order('2024-05-01', 50, 'open') } },
+                { ConditionCheck: { TableName, Key: key('2024-02-01', 30), ConditionExpression: '#s = :paid', ExpressionAttributeNames: { '#s': 'status' }, ExpressionAttributeValues: { ':paid': { S: 'paid' } } } }
+            ]
+        });
+        expectError('Transaction with a failed condition cancelled', cancelled, 'TransactionCanceledException');
+        expectResponse('Cancelled transaction writes nothing', await request('GetItem', { TableName, Key: key('2024-05-01', 50) }), 200, {});
+        expectResponse('Items counted by a scan', await request('Scan', { TableName, Select: 'COUNT' }), 200, { Count: 3, ScannedCount: 3 });
+
+        // Step 8: Compare template.yaml
+        console.log(chalk.gray('  Comparing template.yaml...'));
+        const templateResult = await compareFiles(
+            path.join(outputPath, 'template.yaml'),
+            path.join(expectedPath, 'template.yaml')
+        );
+
+        if (templateResult.equal) {
+            results.push({ step: 'template.yaml matches', passed: true });
+        } else {
+            results.push({ step: 'template.yaml matches', passed: false, diff: templateResult.diff });
+            success = false;
+        }
+
+        // Step 9: Compare src/ directory
+        console.log(chalk.gray('  Comparing src/ directory...'));
+        const srcResult = await compareDirectories(
+            path.join(outputPath, 'src'),
+            path.join(expectedPath, 'src'),
+            {
+                ignore: ['node_modules', '.DS_Store']
+            }
+        );
+
+        if (srcResult.equal) {
+            results.push({ step: 'src/ directory matches', passed: true });
+        } else {
+            results.push({ step: 'src/ directory matches', passed: false, diff: srcResult.diff });
+            success = false;
+        }
+
+    } catch (error) {
+        results.push({ step: 'Test execution', passed: false, error: error.message });
+        success = false;
+    } finally {
+        if (localDynamo) {
+            await localDynamo.close();
+        }
+    }
+
+    return {
+        testName,
+        success,
+        results
+    };
+}
@@ -0,0 +1,181 @@
+import path from 'path';
+import chalk from 'chalk';
+import { fileURLToPath } from 'url';
+import {
+    generateProjectProgrammatically,
+    compareFiles,
+    compareDirectories,
+    addLambdaProgrammatically,
+    createQueueProgrammatically,
+    createTopicProgrammatically,
+    subscribeToTopicProgrammatically,
+    detachTopicFromLambdaProgrammatically,
+    createEventBusProgrammatically,
+    deleteEventBusProgrammatically,
+    addEventRuleProgrammatically,
+    removeEventRuleProgrammatically,
+    allowPublishProgrammatically,
+    runProjectTestsProgrammatically
+} from '../lib/test-utils.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Test: testMessaging
+ * Validates SNS topics with filtered subscriptions, custom event buses with rules targeting
+ * Lambdas and queues, publisher helpers with their policies, and detaching a topic
+ */
+export async function testMessaging() {
+    const testName = 'testMessaging';
+
+    const expectedPath = path.join(__dirname, 'expected', testName);
+    const outputPath = path.join(__dirname, 'testOutput', testName);
+
+    const results = [];
+    let success = true;
+
+    try {
+        // Step 1: Generate initial project
+        console.log(chalk.blue(`  Generating initial project in testOutput/${testName}...`));
+        await generateProjectProgrammatically({
+            projectName: testName,
+            functionName: testName,
+            apiName: `${testName}-api`,
+            timeout: 60,
+            envVars: [],
+            templateName: 'basic',
+            architecture: 'arm64',
+            environment: 'dev',
+            envVarsWithValues: {}
+        });
+
+        results.push({ step: 'Initial project generated', passed: true });
+
+        // Step 2: Create the orders topic, the appEvents bus and the audit queue
+        console.log(chalk.gray('  Creating topic orders, event bus appEvents and queue audit...'));
+        await createTopicProgrammatically(outputPath, 'orders');
+        await createEventBusProgrammatically(outputPath, 'appEvents');
+        await createQueueProgrammatically(outputPath, 'audit', { deadLetterQueue: false });
+
+        results.push({ step: 'Topic, event bus and queue created', passed: true });
+
+        // Step 3: A Lambda subscribed to orders and a Lambda run by a rule on appEvents
+        console.log(chalk.gray('  Creating notifyCustomers and shipOrders...'));
+        await addLambdaProgrammatically(outputPath, {
+            lambdaName: 'notifyCustomers',
+            timeout: 30,
+            subscription: { topic: 'orders', filterPolicy: { type: ['created', 'cancelled'] } }
+        });
+        await addLambdaProgrammatically(outputPath, {
+            lambdaName: 'shipOrders',
+            timeout: 30,
+            eventRule: { bus: 'appEvents', pattern: '{"source": ["testMessaging"], "detail-type": ["OrderPlaced", "OrderPaid"]}' }
+        });
+
+        results.push({ step: 'Subscribers created', passed: true });
+
+        // Step 4: Rules sending events to the audit queue, one of them removed
+        console.log(chalk.gray('  Sending events to audit...'));
+        await addEventRuleProgrammatically(outputPath, { bus: 'appEvents', pattern: { source: ['testMessaging'] } }, { queue: 'audit' });
+        await addEventRuleProgrammatically(outputPath, { pattern: { source: ['aws.s3'] } }, { queue: 'audit' });
+        await addEventRuleProgrammatically(outputPath, { pattern: { source: ['aws.s3'], detail: { bucket: { name: ['logs'] } } } }, { queue: 'audit' });
+        await removeEventRuleProgrammatically(outputPath, { rule: 'auditRule2' });
+
+        results.push({ step: 'Queue rules added', passed: true });
+
+        // Step 5: Patterns whose values are not arrays are refused
+        let patternError = null;
+        try {
+            await addEventRuleProgrammatically(outputPath, { pattern: { source: 'testMessaging' } }, { functionName: 'shipOrdersFunction' });
+        } catch (error) {
+            patternError = error;
+        }
+        const patternRefused = patternError !== null && patternError.message.includes("'source'");
+        results.push({ step: 'Invalid pattern is refused', passed: patternRefused, ...(!patternRefused && { error: patternError ? patternError.message : 'No error thrown' }) });
+        success = success && patternRefused;
+
+        // Step 6: A Lambda subscribes once to a topic
+        let subscribeError = null;
+        try {
+            await subscribeToTopicProgrammatically(outputPath, 'notifyCustomersFunction', { topic: 'orders' });
+        } catch (error) {
+            subscribeError = error;
+        }
+        const subscribeRefused = subscribeError !== null && subscribeError.message.includes('already subscribes');
+        results.push({ step: 'Second subscription is refused', passed: subscribeRefused, ...(!subscribeRefused && { error: subscribeError ? subscribeError.message : 'No error thrown' }) });
+        success = success && subscribeRefused;
+
+        // Step 7: The API Lambda publishes to both; shipOrders publishes to orders, then is detached
+        console.log(chalk.gray(`  Connecting ${testName}Function and shipOrders to orders and appEvents...`));
+        await allowPublishProgrammatically(outputPath, `${testName}Function`, 'orders');
+        await allowPublishProgrammatically(outputPath, `${testName}Function`, 'appEvents');
+        await allowPublishProgrammatically(outputPath, 'shipOrdersFunction', 'orders');
+        await subscribeToTopicProgrammatically(outputPath, 'shipOrdersFunction', {
+            topic: 'orders',
+            filterPolicy: '{"order": {"total": [{"numeric": [">", 100]}]}}',
+            filterPolicyScope: 'MessageBody'
+        });
+        await detachTopicFromLambdaProgrammatically(outputPath, 'shipOrdersFunction', 'orders');
+
+        results.push({ step: 'Publishers added', passed: true });
+
+        // Step 8: A bus in use cannot be deleted
+        let deleteError = null;
+        try {
+            await deleteEventBusProgrammatically(outputPath, 'appEvents');
+        } catch (error) {
+            deleteError = error;
+        }
+        const refused = deleteError !== null && deleteError.message.includes('shipOrdersFunction') && deleteError.message.includes('auditRule1');
+        results.push({ step: 'Event bus in use is not deleted', passed: refused, ...(!refused && { error: deleteError ? deleteError.message : 'No error thrown' }) });
+        success = success && refused;
+
+        // Step 9: Compare template.yaml
+        console.log(chalk.gray('  Comparing template.yaml...'));
+        const templateResult = await compareFiles(
+            path.join(outputPath, 'template.yaml'),
+            path.join(expectedPath, 'template.yaml')
+        );
+
+        if (templateResult.equal) {
+            results.push({ step: 'template.yaml matches', passed: true });
+        } else {
+            results.push({ step: 'template.yaml matches', passed: false, diff: templateResult.diff });
+            success = false;
+        }
+
+        // Step 10: Compare src/ directory
+        console.log(chalk.gray('  Comparing src/ directory...'));
+        const srcResult = await compareDirectories(
+            path.join(outputPath, 'src'),
+            path.join(expectedPath, 'src'),
+            {
+                ignore: ['node_modules', '.DS_Store']
+            }
+        );
+
+        if (srcResult.equal) {
+            results.push({ step: 'src/ directory matches', passed: true });
+        } else {
+            results.push({ step: 'src/ directory matches', passed: false, diff: srcResult.diff });
+            success = false;
+        }
+
+        // Step 11: Run the Jest suite of the generated project
+        console.log(chalk.gray('  Running the tests of the generated project...'));
+        const jest = runProjectTestsProgrammatically(outputPath);
+        results.push({ step: 'Generated tests pass', passed: jest.passed, ...(!jest.passed && { error: jest.output.split('\n').filter(line => /FAIL|●/.test(line)).join('\n') }) });
+        success = success && jest.passed;
+
+    } catch (error) {
+        results.push({ step: 'Test execution', passed: false, error: error.message });
+        success = false;
+    }
+
+    return {
+        testName,
+        success,
+        results
+    };
+}
@@ -0,0 +1,143 @@
+import path from 'path';
+import chalk from 'chalk';
+import { fileURLToPath } from 'url';
+import { spawnSync } from 'child_process';
+import fs from 'fs-extra';
+import { compareFiles } from '../lib/test-utils.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const cliPath = path.join(__dirname, '..', 'bin', 'index.js');
+
+/**
+ * Run bin/index.js in tests/testOutput without a terminal attached
+ * @param {string[]} args - Command line arguments
+ * @returns {{status: number, stdout: string, stderr: string}}
+ */
+function runCli(args) {
+    const result = spawnSync(process.execPath, [cliPath, ...args], {
+        cwd: path.join(__dirname, 'testOutput'),
+        encoding: 'utf8',
+        stdio: ['ignore', 'pipe', 'pipe'],
+        // The expected samconfig.toml is in us-east-1, whatever the region of the shell
+        env: { ...process.env, AWS_REGION: 'us-east-1' },
+        timeout: 120000,
+    });
+    return { status: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+/**
+ * Test: testNonInteractiveFlags
+ * Validates generating a project from flags and an answers file with --yes, and that
+ * invalid values exit with code 2 without prompting or creating the project
+ */
+export async function testNonInteractiveFlags() {
+    const testName = 'testNonInteractiveFlags';
+    const expectedPath = path.join(__dirname, 'expected', testName);
+    const testOutputDir = path.join(__dirname, 'testOutput');
+    const outputPath = path.join(testOutputDir, testName);
+
+    const results = [];
+    let success = true;
+
+    try {
+        await fs.ensureDir(testOutputDir);
+
+        // Step 1: Generate from an answers file, flags take precedence over the file
+        console.log(chalk.blue(`  Generating project in testOutput/${testName} from flags...`));
+        const answersPath = path.join(testOutputDir, `${testName}.answers.json`);
+        await fs.writeJson(answersPath, {
+            template: 'cognito-auth',
+            projectName: 'ignoredBecauseOfTheFlag',
+            architecture: 'arm64',
+            timeout: 30,
+            poolName: 'staff',
+        });
+
+        const generated = runCli(['--answers', answersPath, '--project-name', testName, '--environment', 'qa', '--yes']);
+        if (generated.status !== 0) {
+            throw new Error(`sam-smith exited with code ${generated.status}: ${generated.stderr}`);
+        }
+        if (await fs.pathExists(path.join(testOutputDir, 'ignoredBecauseOfTheFlag'))) {
+            throw new Error('projectName from the answers file should be overridden by --project-name');
+        }
+        results.push({ step: 'Project generated without prompts', passed: true });
+
+        // Step 2: Compare template.yaml and samconfig.toml (the environment is in the stack name)
+        for (const file of ['template.yaml', 'samconfig.toml']) {
+            console.log(chalk.gray(`  Comparing ${file}...`));
+            const fileResult = await compareFiles(
+                path.join(outputPath, file),
+                path.join(expectedPath, file)
+            );
+
+            if (fileResult.equal) {
+                results.push({ step: `${file} matches`, passed: true });
+            } else {
+                results.push({ step: `${file} matches`, passed: false, diff: fileResult.diff });
+                success = false;
+            }
+        }
+
+        // Step 3: Invalid values are reported together and nothing is generated
+        console.log(chalk.gray('  Running with invalid values...'));
+        const invalid = runCli(['--yes', '--project-name', `${testName}Invalid`, '--architecture', 'sparc', '--timeout', '0']);
+        const invalidReported = invalid.status === 2
+            && invalid.stderr.includes('--architecture')
+            && invalid.stderr.includes('--timeout')
+            && !await fs.pathExists(path.join(testOutputDir, `${testName}Invalid`));
+        results.push({
+            step: 'Invalid values exit with code 2',
+            passed: invalidReported,
+            ...(!invalidReported && { error: `exit code ${invalid.status}: ${invalid.stderr}` }),
+        });
+        success = success && invalidReported;
+
+        // Lambda timeouts are whole seconds
+        const partial = runCli(['--yes', '--project-name', `${testName}Partial`, '--timeout', '30abc']);
+        const partialReported = partial.status === 2
+            && partial.stderr.includes('--timeout')
+            && !await fs.pathExists(path.join(testOutputDir, `${testName}Partial`));
+        results.push({
+            step: 'Timeout that is not a whole number exits with code 2',
+            passed: partialReported,
+            ...(!partialReported && { error: `exit code ${partial.status}: ${partial.stderr}` }),
+        });
+        success = success && partialReported;
+
+        // Defaults taken from the project name go through the same validators
+        const defaulted = runCli(['--yes', '--project-name', `${testName}.defaults`]);
+        const defaultsReported = defaulted.status === 2
+            && defaulted.stderr.includes(`--function-name defaults to '${testName}.defaults'`)
+            && defaulted.stderr.includes(`--api-name defaults to '${testName}.defaults-api'`)
+            && !await fs.pathExists(path.join(testOutputDir, `${testName}.defaults`));
+        results.push({
+            step: 'Invalid defaults exit with code 2',
+            passed: defaultsReported,
+            ...(!defaultsReported && { error: `exit code ${defaulted.status}: ${defaulted.stderr}` }),
+        });
+        success = success && defaultsReported;
+
+        // Step 4: --yes cannot make up a project name
+        console.log(chalk.gray('  Running --yes without a project name...'));
+        const missing = runCli(['--yes']);
+        const missingReported = missing.status === 2 && missing.stderr.includes('--project-name is required');
+        results.push({
+            step: 'Missing project name exits with code 2',
+            passed: missingReported,
+            ...(!missingReported && { error: `exit code ${missing.status}: ${missing.stderr}` }),
+        });
+        success = success && missingReported;
+
+    } catch (error) {
+        results.push({ step: 'Test execution', passed: false, error: error.message });
+        success = false;
+    }
+
+    return {
+        testName,
+        success,
+        results
+    };
+}
@@ -0,0 +1,161 @@
+import path from 'path';
+import chalk from 'chalk';
+import { fileURLToPath } from 'url';
+import {
+    generateProjectProgrammatically,
+    compareFiles,
+    compareDirectories,
+    addLambdaProgrammatically,
+    updateLambdaProgrammatically,
+    createQueueProgrammatically,
+    deleteQueueProgrammatically,
+    attachQueueToLambdaProgrammatically,
+    allowQueueSendProgrammatically,
+    detachQueueFromLambdaProgrammatically,
+    runProjectTestsProgrammatically
+} from '../lib/test-utils.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Test: testQueues
+ * Validates creating SQS queues with and without a dead-letter queue, a Lambda consuming
+ * a queue, send policies, timeouts checked against the consumed queues, and detaching and
+ * deleting a queue
+ */
+export async function testQueues() {
+    const testName = 'testQueues';
+
+    const expectedPath = path.join(__dirname, 'expected', testName);
+    const outputPath = path.join(__dirname, 'testOutput', testName);
+
+    const results = [];
+    let success = true;
+
+    try {
+        // Step 1: Generate initial project
+        console.log(chalk.blue(`  Generating initial project in testOutput/${testName}...`));
+        await generateProjectProgrammatically({
+            projectName: testName,
+            functionName: testName,
+            apiName: `${testName}-api`,
+            timeout: 60,
+            envVars: [],
+            templateName: 'basic',
+            architecture: 'arm64',
+            environment: 'dev',
+            envVarsWithValues: {}
+        });
+
+        results.push({ step: 'Initial project generated', passed: true });
+
+        // Step 2: Create orders with a dead-letter queue and notifications without one
+        console.log(chalk.gray('  Creating queues orders and notifications...'));
+        await createQueueProgrammatically(outputPath, 'orders', { maxReceiveCount: 3 });
+        await createQueueProgrammatically(outputPath, 'notifications', { deadLetterQueue: false, visibilityTimeout: 120 });
+
+        results.push({ step: 'Queues created', passed: true });
+
+        // Step 3: Create a Lambda consuming orders, with an SQSEvent handler
+        console.log(chalk.gray('  Creating processOrders consuming orders...'));
+        await addLambdaProgrammatically(outputPath, {
+            lambdaName: 'processOrders',
+            timeout: 30,
+            queue: { name: 'orders', batchSize: 20, batchingWindow: 5 }
+        });
+
+        results.push({ step: 'processOrders created', passed: true });
+
+        // Step 4: The API Lambda sends to orders and consumes notifications
+        console.log(chalk.gray(`  Connecting ${testName}Function to the queues...`));
+        await allowQueueSendProgrammatically(outputPath, `${testName}Function`, 'orders');
+        await attachQueueToLambdaProgrammatically(outputPath, `${testName}Function`, {
+            name: 'notifications',
+            batchSize: 5,
+            reportBatchItemFailures: false
+        });
+
+        results.push({ step: 'Queues attached', passed: true });
+
+        // Step 5: processOrders cannot run longer than orders hides its messages (360s), nor over 900s
+        const timeoutErrors = [];
+        for (const timeout of [900, 1000, 12.5]) {
+            try {
+                await updateLambdaProgrammatically(outputPath, { lambdaName: 'processOrders', timeout });
+                timeoutErrors.push(null);
+            } catch (error) {
+                timeoutErrors.push(error.message);
+            }
+        }
+        const timeoutsRefused = timeoutErrors[0]?.includes("visibility timeout of queue 'orders' (360s)")
+            && timeoutErrors.slice(1).every(message => message?.includes('Timeout must be a whole number between 1 and 900'));
+        results.push({ step: 'Timeouts over the visibility timeout or 900s are refused', passed: Boolean(timeoutsRefused), ...(!timeoutsRefused && { error: JSON.stringify(timeoutErrors) }) });
+        success = success && Boolean(timeoutsRefused);
+
+        // Step 6: A queue in use cannot be deleted
+        let deleteError = null;
+        try {
+            await deleteQueueProgrammatically(outputPath, 'notifications');
+        } catch (error) {
+            deleteError = error;
+        }
+        const refused = deleteError !== null && deleteError.message.includes(`${testName}Function`);
+        results.push({ step: 'Queue in use is not deleted', passed: refused, ...(!refused && { error: deleteError ? deleteError.message : 'No error thrown' }) });
+        success = success && refused;
+
+        // Step 7: Detach and delete notifications
+        console.log(chalk.gray('  Detaching and deleting notifications...'));
+        await detachQueueFromLambdaProgrammatically(outputPath, `${testName}Function`, 'notifications');
+        await deleteQueueProgrammatically(outputPath, 'notifications');
+
+        results.push({ step: 'notifications detached and deleted', passed: true });
+
+        // Step 8: Compare template.yaml
+        console.log(chalk.gray('  Comparing template.yaml...'));
+        const templateResult = await compareFiles(
+            path.join(outputPath, 'template.yaml'),
+            path.join(expectedPath, 'template.yaml')
+        );
+
+        if (templateResult.equal) {
+            results.push({ step: 'template.yaml matches', passed: true });
+        } else {
+            results.push({ step: 'template.yaml matches', passed: false, diff: templateResult.diff });
+            success = false;
+        }
+
+        // Step 9: Compare src/ directory
+        console.log(chalk.gray('  Comparing src/ directory...'));
+        const srcResult = await compareDirectories(
+            path.join(outputPath, 'src'),
+            path.join(expectedPath, 'src'),
+            {
+                ignore: ['node_modules', '.DS_Store']
+            }
+        );
+
+        if (srcResult.equal) {
+            results.push({ step: 'src/ directory matches', passed: true });
+        } else {
+            results.push({ step: 'src/ directory matches', passed: false, diff: srcResult.diff });
+            success = false;
+        }
+
+        // Step 10: Run the Jest suite of the generated project
+        console.log(chalk.gray('  Running the tests of the generated project...'));
+        const jest = runProjectTestsProgrammatically(outputPath);
+        results.push({ step: 'Generated tests pass', passed: jest.passed, ...(!jest.passed && { error: jest.output.split('\n').filter(line => /FAIL|●/.test(line)).join('\n') }) });
+        success = success && jest.passed;
+
+    } catch (error) {
+        results.push({ step: 'Test execution', passed: false, error: error.message });
+        success = false;
+    }
+
+    return {
+        testName,
+        success,
+        results
+    };
+}
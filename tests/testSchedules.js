@@ -0,0 +1,134 @@
+import path from 'path';
+import chalk from 'chalk';
+import { fileURLToPath } from 'url';
+import {
+    generateProjectProgrammatically,
+    compareFiles,
+    compareDirectories,
+    addLambdaProgrammatically,
+    updateLambdaProgrammatically,
+    runProjectTestsProgrammatically
+} from '../lib/test-utils.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Test: testSchedules
+ * Validates Lambdas run on rate and cron schedules, with and without an input,
+ * and adding, disabling, enabling and removing schedules
+ */
+export async function testSchedules() {
+    const testName = 'testSchedules';
+
+    const expectedPath = path.join(__dirname, 'expected', testName);
+    const outputPath = path.join(__dirname, 'testOutput', testName);
+
+    const results = [];
+    let success = true;
+
+    try {
+        // Step 1: Generate initial project
+        console.log(chalk.blue(`  Generating initial project in testOutput/${testName}...`));
+        await generateProjectProgrammatically({
+            projectName: testName,
+            functionName: testName,
+            apiName: `${testName}-api`,
+            timeout: 60,
+            envVars: [],
+            templateName: 'basic',
+            architecture: 'arm64',
+            environment: 'dev',
+            envVarsWithValues: {}
+        });
+
+        results.push({ step: 'Initial project generated', passed: true });
+
+        // Step 2: A cron schedule with an input, and a rate schedule receiving the ScheduledEvent
+        console.log(chalk.gray('  Creating nightlyReport and cleanup...'));
+        await addLambdaProgrammatically(outputPath, {
+            lambdaName: 'nightlyReport',
+            timeout: 120,
+            schedule: { expression: 'cron(0 2 * * ? *)', input: '{"report": "daily", "days": 7, "recipients": ["ops"]}' }
+        });
+        await addLambdaProgrammatically(outputPath, {
+            lambdaName: 'cleanup',
+            schedule: { expression: 'rate(1 hour)' }
+        });
+
+        results.push({ step: 'Scheduled Lambdas created', passed: true });
+
+        // Step 3: Invalid expressions are rejected
+        for (const expression of ['cron(0 2 * * * *)', 'rate(1 hours)', 'every day']) {
+            let scheduleError = null;
+            try {
+                await addLambdaProgrammatically(outputPath, { lambdaName: 'invalid', schedule: { expression } });
+            } catch (error) {
+                scheduleError = error;
+            }
+            results.push({ step: `Schedule '${expression}' rejected`, passed: scheduleError !== null });
+            success = success && scheduleError !== null;
+        }
+
+        // Step 4: Add a disabled schedule to cleanup, enable it and remove the rate schedule
+        console.log(chalk.gray('  Updating the schedules of cleanup...'));
+        await updateLambdaProgrammatically(outputPath, {
+            lambdaName: 'cleanup',
+            addSchedules: [{ expression: 'cron(0/30 8-17 ? * MON-FRI *)', enabled: false }]
+        });
+        await updateLambdaProgrammatically(outputPath, { lambdaName: 'cleanup', enableSchedules: ['event2'] });
+        await updateLambdaProgrammatically(outputPath, { lambdaName: 'cleanup', removeSchedules: ['event1'] });
+
+        // Step 5: Disable the schedule of nightlyReport
+        await updateLambdaProgrammatically(outputPath, { lambdaName: 'nightlyReport', disableSchedules: ['event1'] });
+
+        results.push({ step: 'Schedules updated', passed: true });
+
+        // Step 6: Compare template.yaml
+        console.log(chalk.gray('  Comparing template.yaml...'));
+        const templateResult = await compareFiles(
+            path.join(outputPath, 'template.yaml'),
+            path.join(expectedPath, 'template.yaml')
+        );
+
+        if (templateResult.equal) {
+            results.push({ step: 'template.yaml matches', passed: true });
+        } else {
+            results.push({ step: 'template.yaml matches', passed: false, diff: templateResult.diff });
+            success = false;
+        }
+
+        // Step 7: Compare src/ directory
+        console.log(chalk.gray('  Comparing src/ directory...'));
+        const srcResult = await compareDirectories(
+            path.join(outputPath, 'src'),
+            path.join(expectedPath, 'src'),
+            {
+                ignore: ['node_modules', '.DS_Store']
+            }
+        );
+
+        if (srcResult.equal) {
+            results.push({ step: 'src/ directory matches', passed: true });
+        } else {
+            results.push({ step: 'src/ directory matches', passed: false, diff: srcResult.diff });
+            success = false;
+        }
+
+        // Step 8: Run the Jest suite of the generated project
+        console.log(chalk.gray('  Running the tests of the generated project...'));
+        const jest = runProjectTestsProgrammatically(outputPath);
+        results.push({ step: 'Generated tests pass', passed: jest.passed, ...(!jest.passed && { error: jest.output.split('\n').filter(line => /FAIL|●/.test(line)).join('\n') }) });
+        success = success && jest.passed;
+
+    } catch (error) {
+        results.push({ step: 'Test execution', passed: false, error: error.message });
+        success = false;
+    }
+
+    return {
+        testName,
+        success,
+        results
+    };
+}
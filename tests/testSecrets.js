@@ -0,0 +1,175 @@
+import path from 'path';
+import chalk from 'chalk';
+import fs from 'fs-extra';
+import { isDeepStrictEqual } from 'util';
+import { fileURLToPath } from 'url';
+import {
+    generateProjectProgrammatically,
+    compareFiles,
+    compareDirectories,
+    updateProjectProgrammatically,
+    addLambdaProgrammatically,
+    updateLambdaProgrammatically,
+    readSecretsProgrammatically,
+    runProjectTestsProgrammatically
+} from '../lib/test-utils.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Test: testSecrets
+ * Validates the variables marked `# @secret` in .env: only their location is written to
+ * template.yaml, the Lambdas reading them get `<NAME>_SECRET` and a read policy, a plain
+ * variable turns into a secret, secrets move between SSM and Secrets Manager and are removed,
+ * and the secrets to push are read from .env
+ */
+export async function testSecrets() {
+    const testName = 'testSecrets';
+
+    const expectedPath = path.join(__dirname, 'expected', testName);
+    const outputPath = path.join(__dirname, 'testOutput', testName);
+    const envPath = path.join(outputPath, '.env');
+
+    const results = [];
+    let success = true;
+
+    const check = (step, passed, error) => {
+        results.push({ step, passed, ...(!passed && { error }) });
+        success = success && passed;
+    };
+
+    // Read the secrets expecting an error containing `expected`
+    const expectRefused = async (step, names, expected) => {
+        let error = null;
+        try {
+            await readSecretsProgrammatically(outputPath, names);
+        } catch (e) {
+            error = e;
+        }
+        check(step, error !== null && error.message.includes(expected), error ? error.message : 'No error thrown');
+    };
+
+    try {
+        // Step 1: Generate initial project, its Lambda reading two plain variables
+        console.log(chalk.blue(`  Generating initial project in testOutput/${testName}...`));
+        await generateProjectProgrammatically({
+            projectName: testName,
+            functionName: testName,
+            apiName: `${testName}-api`,
+            timeout: 60,
+            envVars: ['API_URL', 'DB_PASSWORD'],
+            templateName: 'basic',
+            architecture: 'arm64',
+            environment: 'dev',
+            envVarsWithValues: { API_URL: 'https://api.example.com', DB_PASSWORD: 's3cr3t-db' }
+        });
+
+        results.push({ step: 'Initial project generated', passed: true });
+
+        // Step 2: DB_PASSWORD turns into a secret, two new secrets
+        console.log(chalk.gray('  Marking secrets in .env...'));
+        await fs.writeFile(envPath, [
+            'ENVIRONMENT=dev',
+            'API_URL=https://api.example.com',
+            '# @secret',
+            'DB_PASSWORD=s3cr3t-db',
+            '# @secret secretsmanager',
+            'STRIPE_KEY=sk_live_123',
+            '# @secret',
+            'OLD_TOKEN=old-token-value',
+            '',
+        ].join('\n'));
+        await updateProjectProgrammatically(outputPath);
+        check('Secrets synced', true);
+        check('src/utils/secrets.ts generated', await fs.pathExists(path.join(outputPath, 'src/utils/secrets.ts')), 'src/utils/secrets.ts not found');
+
+        // Step 3: Lambdas reading secrets
+        console.log(chalk.gray('  Giving the Lambdas their secrets...'));
+        await updateLambdaProgrammatically(outputPath, { lambdaName: testName, envVars: ['API_URL', 'DB_PASSWORD', 'OLD_TOKEN'] });
+        await addLambdaProgrammatically(outputPath, { lambdaName: 'payments', envVars: ['STRIPE_KEY', 'API_URL'] });
+        check('Lambdas read the secrets', true);
+
+        // Step 4: Secrets to push
+        const secrets = await readSecretsProgrammatically(outputPath);
+        const pushed = secrets.map(({ name, store, id, declared }) => ({ name, store, id, declared }));
+        const expectedSecrets = [
+            { name: 'DB_PASSWORD', store: 'ssm', id: `/sam-smith/dev/${testName}/DB_PASSWORD`, declared: true },
+            { name: 'STRIPE_KEY', store: 'secretsmanager', id: `sam-smith/dev/${testName}/STRIPE_KEY`, declared: true },
+            { name: 'OLD_TOKEN', store: 'ssm', id: `/sam-smith/dev/${testName}/OLD_TOKEN`, declared: true },
+        ];
+        check('Secrets to push read from .env', isDeepStrictEqual(pushed, expectedSecrets), JSON.stringify(pushed));
+        await expectRefused('Plain variable refused', ['API_URL'], 'API_URL is not a secret');
+        await expectRefused('Unknown variable refused', ['MISSING'], 'MISSING not found in .env');
+
+        const env = await fs.readFile(envPath, 'utf8');
+        await fs.writeFile(envPath, env.replace('# @secret secretsmanager', '# @secret vault'));
+        await expectRefused('Unknown store refused', undefined, "unknown secret store 'vault'");
+
+        // Step 5: Secrets moved between stores, OLD_TOKEN removed
+        console.log(chalk.gray('  Moving and removing secrets...'));
+        await fs.writeFile(envPath, [
+            'ENVIRONMENT=dev',
+            'API_URL=https://api.example.com',
+            '# @secret secretsmanager',
+            'DB_PASSWORD=s3cr3t-db',
+            '# @secret ssm',
+            'STRIPE_KEY=sk_live_123',
+            '',
+        ].join('\n'));
+        await updateProjectProgrammatically(outputPath);
+        check('Secrets moved and removed', true);
+
+        // Step 6: No secret value in template.yaml
+        const template = await fs.readFile(path.join(outputPath, 'template.yaml'), 'utf8');
+        const leaked = ['s3cr3t-db', 'sk_live_123', 'old-token-value'].filter(value => template.includes(value));
+        check('No secret value in template.yaml', leaked.length === 0, `Found ${leaked.join(', ')}`);
+
+        // Step 7: Compare template.yaml
+        console.log(chalk.gray('  Comparing template.yaml...'));
+        const templateResult = await compareFiles(
+            path.join(outputPath, 'template.yaml'),
+            path.join(expectedPath, 'template.yaml')
+        );
+
+        if (templateResult.equal) {
+            results.push({ step: 'template.yaml matches', passed: true });
+        } else {
+            results.push({ step: 'template.yaml matches', passed: false, diff: templateResult.diff });
+            success = false;
+        }
+
+        // Step 8: Compare src/ directory
+        console.log(chalk.gray('  Comparing src/ directory...'));
+        const srcResult = await compareDirectories(
+            path.join(outputPath, 'src'),
+            path.join(expectedPath, 'src'),
+            {
+                ignore: ['node_modules', '.DS_Store']
+            }
+        );
+
+        if (srcResult.equal) {
+            results.push({ step: 'src/ directory matches', passed: true });
+        } else {
+            results.push({ step: 'src/ directory matches', passed: false, diff: srcResult.diff });
+            success = false;
+        }
+
+        // Step 9: Run the Jest suite of the generated project
+        console.log(chalk.gray('  Running the tests of the generated project...'));
+        const jest = runProjectTestsProgrammatically(outputPath);
+        results.push({ step: 'Generated tests pass', passed: jest.passed, ...(!jest.passed && { error: jest.output.split('\n').filter(line => /FAIL|●/.test(line)).join('\n') }) });
+        success = success && jest.passed;
+
+    } catch (error) {
+        results.push({ step: 'Test execution', passed: false, error: error.message });
+        success = false;
+    }
+
+    return {
+        testName,
+        success,
+        results
+    };
+}
@@ -0,0 +1,200 @@
+import path from 'path';
+import fs from 'fs-extra';
+import chalk from 'chalk';
+import { isDeepStrictEqual } from 'util';
+import { fileURLToPath } from 'url';
+import {
+    generateProjectProgrammatically,
+    compareFiles,
+    createTableProgrammatically,
+    readSeedsProgrammatically,
+    seedProjectProgrammatically,
+    startLocalDynamoProgrammatically
+} from '../lib/test-utils.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Test: testSeeds
+ * Validates the seed files: items checked against the keys of template.yaml, composite key
+ * attributes computed for the table and its indexes, and the seeds loaded into the local DynamoDB
+ */
+export async function testSeeds() {
+    const testName = 'testSeeds';
+
+    const expectedPath = path.join(__dirname, 'expected', testName);
+    const outputPath = path.join(__dirname, 'testOutput', testName);
+    const seedsPath = path.join(outputPath, 'seeds');
+
+    const results = [];
+    let success = true;
+    let localDynamo = null;
+
+    // Read the seeds expecting an error containing `expected`
+    const expectRefused = async (step, files, expected) => {
+        await fs.emptyDir(seedsPath);
+        for (const [file, content] of Object.entries(files)) {
+            await fs.writeFile(path.join(seedsPath, file), content);
+        }
+        let error = null;
+        try {
+            await readSeedsProgrammatically(outputPath);
+        } catch (e) {
+            error = e;
+        }
+        const refused = error !== null && error.message.includes(expected);
+        results.push({ step, passed: refused, ...(!refused && { error: error ? error.message : 'No error thrown' }) });
+        success = success && refused;
+    };
+
+    try {
+        // Step 1: Generate initial project
+        console.log(chalk.blue(`  Generating initial project in testOutput/${testName}...`));
+        await generateProjectProgrammatically({
+            projectName: testName,
+            functionName: testName,
+            apiName: `${testName}-api`,
+            timeout: 60,
+            envVars: [],
+            templateName: 'basic',
+            architecture: 'arm64',
+            environment: 'dev',
+            envVarsWithValues: {}
+        });
+
+        results.push({ step: 'Initial project generated', passed: true });
+
+        // Step 2: Carts with composite keys and a composite index key, sessions with plain keys
+        console.log(chalk.gray('  Creating carts and sessions...'));
+        await createTableProgrammatically(outputPath, 'carts', 'userId#region', 'cartId', [
+            { name: 'byStatus', type: 'global', partitionKey: 'status#region', sortKey: 'createdAt' }
+        ], { data: 'total:number,status:string,createdAt:string' });
+        await createTableProgrammatically(outputPath, 'sessions', 'sessionId', 'device');
+
+        const generated = await fs.pathExists(path.join(outputPath, 'lib/seed.js')) && await fs.pathExists(path.join(outputPath, 'bin/seed.js'));
+        results.push({ step: 'Seed scripts copied to the project', passed: generated });
+        success = success && generated;
+
+        // Step 3: Seed files in JSON and YAML
+        console.log(chalk.gray('  Reading the seed files...'));
+        await fs.ensureDir(seedsPath);
+        await fs.writeJson(path.join(seedsPath, 'carts.json'), [
+            { userId: 'u1', region: 'eu', cartId: 'c1', total: 20, status: 'open', createdAt: '2024-01-01', lines: [{ sku: 'a', quantity: 2 }] },
+            { userId: 'u1', region: 'eu', cartId: 'c2', 'userId#region': 'u1#eu', total: 5.5, status: 'paid', createdAt: '2024-02-01', gift: true, note: null },
+            { userId: 'u2', region: 'us', cartId: 'c1', total: 0 }
+        ], { spaces: 4 });
+        await fs.writeFile(path.join(seedsPath, 'sessions.yaml'), [
+            '- sessionId: s1',
+            '  device: phone',
+            '  expiresAt: 1767225600',
+            '- sessionId: s2',
+            '  device: laptop',
+            ''
+        ].join('\n'));
+
+        const seeds = await readSeedsProgrammatically(outputPath);
+        const seedsResult = await compareFiles(
+            await writeSeedsFile(outputPath, seeds),
+            path.join(expectedPath, 'seeds.json')
+        );
+        if (seedsResult.equal) {
+            results.push({ step: 'Seed items match, with their composite keys', passed: true });
+        } else {
+            results.push({ step: 'Seed items match, with their composite keys', passed: false, diff: seedsResult.diff });
+            success = false;
+        }
+
+        const onlySessions = await readSeedsProgrammatically(outputPath, ['sessions']);
+        const filtered = onlySessions.length === 1 && onlySessions[0].tableName === `sam-smith-${testName}-dev-sessions`;
+        results.push({ step: 'Seeds filtered by table', passed: filtered });
+        success = success && filtered;
+
+        // Step 4: The local DynamoDB starts with the seeds
+        console.log(chalk.gray('  Loading the seeds into the local DynamoDB...'));
+        localDynamo = await startLocalDynamoProgrammatically(outputPath, { seed: true });
+        const byStatus = await localDynamo.request('Query', {
+            TableName: `sam-smith-${testName}-dev-carts`,
+            IndexName: 'byStatus',
+            KeyConditionExpression: '#key = :key',
+            ExpressionAttributeNames: { '#key': 'status#region' },
+            ExpressionAttributeValues: { ':key': { S: 'paid#eu' } },
+            ProjectionExpression: 'cartId, total, gift'
+        });
+        const queried = byStatus.status === 200
+            && isDeepStrictEqual(byStatus.body.Items, [{ cartId: { S: 'c2' }, total: { N: '5.5' }, gift: { BOOL: true } }]);
+        results.push({ step: 'Seeds queried through the composite index key', passed: queried, ...(!queried && { error: JSON.stringify(byStatus.body) }) });
+        success = success && queried;
+
+        const count = await localDynamo.request('Scan', { TableName: `sam-smith-${testName}-dev-sessions`, Select: 'COUNT' });
+        const counted = count.body.Count === 2;
+        results.push({ step: 'Every seed item loaded', passed: counted, ...(!counted && { error: JSON.stringify(count.body) }) });
+        success = success && counted;
+        await localDynamo.close();
+        localDynamo = null;
+
+        // Step 5: The seeds are written through the AWS SDK of the project, as by npm run sam-smith:seed
+        console.log(chalk.gray('  Seeding an empty local DynamoDB through the AWS SDK...'));
+        localDynamo = await startLocalDynamoProgrammatically(outputPath);
+        await seedProjectProgrammatically(outputPath, localDynamo.endpoint);
+        const written = await localDynamo.request('Scan', { TableName: `sam-smith-${testName}-dev-carts`, Select: 'COUNT' });
+        const seeded = written.body.Count === 3;
+        results.push({ step: 'Seeds written through the AWS SDK', passed: seeded, ...(!seeded && { error: JSON.stringify(written.body) }) });
+        success = success && seeded;
+        await localDynamo.close();
+        localDynamo = null;
+
+        // Step 6: Invalid seeds are refused
+        await expectRefused('Missing part of a composite key refused',
+            { 'carts.json': JSON.stringify([{ userId: 'u1', cartId: 'c1' }]) }, "missing 'region' of the partition key 'userId#region'");
+        await expectRefused('Key that is not a string refused',
+            { 'sessions.json': JSON.stringify([{ sessionId: 1, device: 'phone' }]) }, "key 'sessionId' must be a non-empty string");
+        await expectRefused('Composite key not matching its parts refused',
+            { 'carts.json': JSON.stringify([{ userId: 'u1', region: 'eu', cartId: 'c1', 'userId#region': 'u1#us' }]) }, "but its keys make 'u1#eu'");
+        await expectRefused('Separator inside a key part refused',
+            { 'carts.json': JSON.stringify([{ userId: 'u#1', region: 'eu', cartId: 'c1' }]) }, "cannot contain '#'");
+        await expectRefused('Items with the same keys refused',
+            { 'sessions.yaml': '- { sessionId: s1, device: phone }\n- { sessionId: s1, device: phone, note: again }\n' }, 'item 2 has the keys of item 1');
+        await expectRefused('Seed file of an unknown table refused',
+            { 'orders.json': '[]' }, "table 'orders' not found in template.yaml");
+        await expectRefused('Two seed files of a table refused',
+            { 'sessions.json': '[]', 'sessions.yml': '[]' }, 'has two seed files');
+        await expectRefused('Seed file without a list refused',
+            { 'sessions.json': '{"sessionId": "s1"}' }, 'must hold a list of items');
+
+        // Step 7: Compare template.yaml
+        console.log(chalk.gray('  Comparing template.yaml...'));
+        const templateResult = await compareFiles(
+            path.join(outputPath, 'template.yaml'),
+            path.join(expectedPath, 'template.yaml')
+        );
+
+        if (templateResult.equal) {
+            results.push({ step: 'template.yaml matches', passed: true });
+        } else {
+            results.push({ step: 'template.yaml matches', passed: false, diff: templateResult.diff });
+            success = false;
+        }
+
+    } catch (error) {
+        results.push({ step: 'Test execution', passed: false, error: error.message });
+        success = false;
+    } finally {
+        if (localDynamo) {
+            await localDynamo.close();
+        }
+    }
+
+    return {
+        testName,
+        success,
+        results
+    };
+}
+
+// The seeds as read, written next to the project to be compared with the expected ones
+async function writeSeedsFile(outputPath, seeds) {
+    const filePath = path.join(outputPath, 'seeds.json');
+    await fs.writeFile(filePath, `${JSON.stringify(seeds, null, 4)}\n`);
+    return filePath;
+}
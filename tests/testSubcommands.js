@@ -0,0 +1,153 @@
+import path from 'path';
+import chalk from 'chalk';
+import { fileURLToPath } from 'url';
+import { spawnSync } from 'child_process';
+import {
+    generateProjectProgrammatically,
+    compareFiles,
+    compareDirectories
+} from '../lib/test-utils.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const cliPath = path.join(__dirname, '..', 'bin', 'index.js');
+
+/**
+ * Run bin/index.js in a project directory without a terminal attached
+ * @param {string} cwd - Project directory
+ * @param {string[]} args - Command line arguments
+ * @returns {{status: number, stdout: string, stderr: string}}
+ */
+function runCli(cwd, args) {
+    const result = spawnSync(process.execPath, [cliPath, ...args], {
+        cwd,
+        encoding: 'utf8',
+        stdio: ['ignore', 'pipe', 'pipe'],
+        timeout: 120000,
+    });
+    return { status: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+/**
+ * Test: testSubcommands
+ * Validates scripting update operations with `sam-smith <resource> <action>` subcommands,
+ * and the exit codes of usage errors (2) and failed operations (1)
+ */
+export async function testSubcommands() {
+    const testName = 'testSubcommands';
+
+    const expectedPath = path.join(__dirname, 'expected', testName);
+    const outputPath = path.join(__dirname, 'testOutput', testName);
+
+    const results = [];
+    let success = true;
+
+    try {
+        // Step 1: Generate initial project
+        console.log(chalk.blue(`  Generating initial project in testOutput/${testName}...`));
+        await generateProjectProgrammatically({
+            projectName: testName,
+            functionName: testName,
+            apiName: `${testName}-api`,
+            timeout: 60,
+            envVars: ['A1'],
+            templateName: 'basic',
+            architecture: 'arm64',
+            environment: 'dev',
+            envVarsWithValues: { A1: 'a1' }
+        });
+
+        results.push({ step: 'Initial project generated', passed: true });
+
+        // Step 2: Run the subcommands in order, each one must succeed
+        const script = [
+            ['lambda', 'create', '--name', 'orders', '--timeout', '30', '--env', 'A1'],
+            ['api', 'create', '--name', 'Orders', '--method', 'get', '--path', '/orders', '--lambda', 'orders'],
+            ['endpoint', 'add', '--api', 'Orders', '--method', 'post', '--path', '/orders', '--lambda', 'ordersFunction'],
+            ['endpoint', 'update', '--api', 'Orders', '--method', 'get', '--path', '/orders', '--lambda', 'orders', '--new-path', '/orders/{id}'],
+            ['layer', 'create', '--name', 'shared'],
+            ['lambda', 'add-layer', '--name', 'orders', '--layer', 'shared'],
+            ['table', 'create', '--name', 'ordersTable', '--pk', 'customerId', '--sk', 'orderId'],
+            ['lambda', 'attach-tables', '--name', 'ordersFunction', '--tables', 'ordersTable'],
+            ['auth', 'add', '--api', 'Orders', '--type', 'cognito', '--pool-name', 'staff'],
+            ['lambda', 'update', '--name', testName, '--timeout', '15', '--env='],
+        ];
+
+        for (const args of script) {
+            console.log(chalk.gray(`  sam-smith ${args.join(' ')}`));
+            const result = runCli(outputPath, args);
+            if (result.status !== 0) {
+                throw new Error(`sam-smith ${args.join(' ')} exited with code ${result.status}: ${result.stderr}`);
+            }
+        }
+
+        results.push({ step: 'Subcommands applied', passed: true });
+
+        // Step 3: Usage errors exit with code 2 and list every problem
+        console.log(chalk.gray('  Running a subcommand with invalid flags...'));
+        const invalid = runCli(outputPath, ['endpoint', 'add', '--api', 'Orders', '--method', 'fetch', '--path', 'orders']);
+        const invalidReported = invalid.status === 2
+            && invalid.stderr.includes('--method')
+            && invalid.stderr.includes('--path')
+            && invalid.stderr.includes('--lambda is required');
+        results.push({
+            step: 'Invalid flags exit with code 2',
+            passed: invalidReported,
+            ...(!invalidReported && { error: `exit code ${invalid.status}: ${invalid.stderr}` }),
+        });
+        success = success && invalidReported;
+
+        // Step 4: Operations that cannot be applied exit with code 1
+        console.log(chalk.gray('  Deleting a layer in use...'));
+        const inUse = runCli(outputPath, ['layer', 'delete', '--name', 'shared']);
+        const inUseReported = inUse.status === 1 && inUse.stderr.includes('ordersFunction');
+        results.push({
+            step: 'Layer in use is not deleted (exit code 1)',
+            passed: inUseReported,
+            ...(!inUseReported && { error: `exit code ${inUse.status}: ${inUse.stderr}` }),
+        });
+        success = success && inUseReported;
+
+        // Step 5: Compare template.yaml
+        console.log(chalk.gray('  Comparing template.yaml...'));
+        const templateResult = await compareFiles(
+            path.join(outputPath, 'template.yaml'),
+            path.join(expectedPath, 'template.yaml')
+        );
+
+        if (templateResult.equal) {
+            results.push({ step: 'template.yaml matches', passed: true });
+        } else {
+            results.push({ step: 'template.yaml matches', passed: false, diff: templateResult.diff });
+            success = false;
+        }
+
+        // Step 6: Compare src directory
+        console.log(chalk.gray('  Comparing src directory...'));
+        const srcResult = await compareDirectories(
+            path.join(outputPath, 'src'),
+            path.join(expectedPath, 'src'),
+            {
+                ignore: ['node_modules', '.DS_Store']
+            }
+        );
+
+        if (srcResult.equal) {
+            results.push({ step: 'src/ directory matches', passed: true });
+        } else {
+            results.push({ step: 'src/ directory matches', passed: false, diff: srcResult.diff });
+            success = false;
+        }
+
+    } catch (error) {
+        results.push({ step: 'Test execution', passed: false, error: error.message });
+        success = false;
+    }
+
+    return {
+        testName,
+        success,
+        results
+    };
+}
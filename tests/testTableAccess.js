@@ -0,0 +1,148 @@
+import path from 'path';
+import chalk from 'chalk';
+import { fileURLToPath } from 'url';
+import {
+    generateProjectProgrammatically,
+    compareFiles,
+    compareDirectories,
+    addLambdaProgrammatically,
+    createTableProgrammatically,
+    deleteTableProgrammatically,
+    attachTablesToLambdaProgrammatically,
+    getLambdaTablesProgrammatically,
+    addTableIndexProgrammatically
+} from '../lib/test-utils.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Test: testTableAccess
+ * Validates the read and write policies of tables with their optional batch and transaction
+ * actions, attaching tables read-only or read-write and changing the access of a Lambda
+ */
+export async function testTableAccess() {
+    const testName = 'testTableAccess';
+
+    const expectedPath = path.join(__dirname, 'expected', testName);
+    const outputPath = path.join(__dirname, 'testOutput', testName);
+
+    const results = [];
+    let success = true;
+
+    // Run an operation expected to fail with a message containing `expected`
+    const expectRefused = async (step, operation, expected) => {
+        let error = null;
+        try {
+            await operation();
+        } catch (e) {
+            error = e;
+        }
+        const refused = error !== null && error.message.includes(expected);
+        results.push({ step, passed: refused, ...(!refused && { error: error ? error.message : 'No error thrown' }) });
+        success = success && refused;
+    };
+
+    try {
+        // Step 1: Generate initial project
+        console.log(chalk.blue(`  Generating initial project in testOutput/${testName}...`));
+        await generateProjectProgrammatically({
+            projectName: testName,
+            functionName: testName,
+            apiName: `${testName}-api`,
+            timeout: 60,
+            envVars: [],
+            templateName: 'basic',
+            architecture: 'arm64',
+            environment: 'dev',
+            envVarsWithValues: {}
+        });
+
+        results.push({ step: 'Initial project generated', passed: true });
+
+        // Step 2: Create tables with and without the batch and transaction actions
+        console.log(chalk.gray('  Creating orders and products...'));
+        await createTableProgrammatically(outputPath, 'orders', 'customerId', 'orderId', [
+            { name: 'byStatus', type: 'global', partitionKey: 'status', sortKey: 'createdAt' }
+        ], { batch: true, transactions: true });
+        await createTableProgrammatically(outputPath, 'products', 'productId', 'variant');
+
+        results.push({ step: 'Tables created with their read and write policies', passed: true });
+
+        // Step 3: A reporting Lambda only reads, the main Lambda reads and writes
+        console.log(chalk.gray('  Attaching the tables...'));
+        await addLambdaProgrammatically(outputPath, { lambdaName: 'reports' });
+        await attachTablesToLambdaProgrammatically(outputPath, 'reportsFunction', ['orders', 'products'], 'read');
+        await attachTablesToLambdaProgrammatically(outputPath, `${testName}Function`, ['orders', 'products']);
+
+        // Changing the access replaces the policies of the table
+        await attachTablesToLambdaProgrammatically(outputPath, `${testName}Function`, ['products'], 'read');
+        await attachTablesToLambdaProgrammatically(outputPath, 'reportsFunction', ['orders'], 'read-write');
+        await attachTablesToLambdaProgrammatically(outputPath, 'reportsFunction', ['orders'], 'read');
+
+        // Indexes are only read: they are added to the read policy
+        await addTableIndexProgrammatically(outputPath, 'products', { name: 'bySku', type: 'global', partitionKey: 'sku', sortKey: 'variant' });
+
+        results.push({ step: 'Tables attached read-only and read-write', passed: true });
+
+        // Step 4: Tables used through one of their policies are not deleted
+        await expectRefused('Table used read-only is not deleted',
+            () => deleteTableProgrammatically(outputPath, 'products'), 'reportsFunction');
+        await expectRefused('Unknown access is refused',
+            () => attachTablesToLambdaProgrammatically(outputPath, 'reportsFunction', ['products'], 'write'), 'Invalid access');
+
+        // Step 5: Access of the Lambdas, as listed
+        const access = {
+            [`${testName}Function`]: await getLambdaTablesProgrammatically(outputPath, `${testName}Function`),
+            reportsFunction: await getLambdaTablesProgrammatically(outputPath, 'reportsFunction')
+        };
+        const expectedAccess = {
+            [`${testName}Function`]: [{ table: 'orders', access: 'read-write' }, { table: 'products', access: 'read' }],
+            reportsFunction: [{ table: 'orders', access: 'read' }, { table: 'products', access: 'read' }]
+        };
+        const accessListed = JSON.stringify(access) === JSON.stringify(expectedAccess);
+        results.push({ step: 'Access of the Lambdas listed', passed: accessListed, ...(!accessListed && { error: JSON.stringify(access) }) });
+        success = success && accessListed;
+
+        // Step 6: Compare template.yaml
+        console.log(chalk.gray('  Comparing template.yaml...'));
+        const templateResult = await compareFiles(
+            path.join(outputPath, 'template.yaml'),
+            path.join(expectedPath, 'template.yaml')
+        );
+
+        if (templateResult.equal) {
+            results.push({ step: 'template.yaml matches', passed: true });
+        } else {
+            results.push({ step: 'template.yaml matches', passed: false, diff: templateResult.diff });
+            success = false;
+        }
+
+        // Step 7: Compare src/ directory
+        console.log(chalk.gray('  Comparing src/ directory...'));
+        const srcResult = await compareDirectories(
+            path.join(outputPath, 'src'),
+            path.join(expectedPath, 'src'),
+            {
+                ignore: ['node_modules', '.DS_Store']
+            }
+        );
+
+        if (srcResult.equal) {
+            results.push({ step: 'src/ directory matches', passed: true });
+        } else {
+            results.push({ step: 'src/ directory matches', passed: false, diff: srcResult.diff });
+            success = false;
+        }
+
+    } catch (error) {
+        results.push({ step: 'Test execution', passed: false, error: error.message });
+        success = false;
+    }
+
+    return {
+        testName,
+        success,
+        results
+    };
+}
@@ -0,0 +1,132 @@
+import path from 'path';
+import chalk from 'chalk';
+import { fileURLToPath } from 'url';
+import {
+    generateProjectProgrammatically,
+    compareFiles,
+    compareDirectories,
+    createTableProgrammatically,
+    addTableIndexProgrammatically,
+    removeTableIndexProgrammatically
+} from '../lib/test-utils.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Test: testTableIndexes
+ * Validates creating tables with local and global secondary indexes, adding and removing
+ * global indexes on an existing table, their attribute definitions typed from the data of the
+ * items, policy and query helpers, and the index keys written with the items
+ */
+export async function testTableIndexes() {
+    const testName = 'testTableIndexes';
+
+    const expectedPath = path.join(__dirname, 'expected', testName);
+    const outputPath = path.join(__dirname, 'testOutput', testName);
+
+    const results = [];
+    let success = true;
+
+    // Run an operation expected to fail with a message containing `expected`
+    const expectRefused = async (step, operation, expected) => {
+        let error = null;
+        try {
+            await operation();
+        } catch (e) {
+            error = e;
+        }
+        const refused = error !== null && error.message.includes(expected);
+        results.push({ step, passed: refused, ...(!refused && { error: error ? error.message : 'No error thrown' }) });
+        success = success && refused;
+    };
+
+    try {
+        // Step 1: Generate initial project
+        console.log(chalk.blue(`  Generating initial project in testOutput/${testName}...`));
+        await generateProjectProgrammatically({
+            projectName: testName,
+            functionName: testName,
+            apiName: `${testName}-api`,
+            timeout: 60,
+            envVars: [],
+            templateName: 'basic',
+            architecture: 'arm64',
+            environment: 'dev',
+            envVarsWithValues: {}
+        });
+
+        results.push({ step: 'Initial project generated', passed: true });
+
+        // Step 2: Create orders with a local and a global index, one of them on a number
+        console.log(chalk.gray('  Creating orders with its indexes...'));
+        await createTableProgrammatically(outputPath, 'orders', 'customerId', 'orderId', [
+            { name: 'byDate', type: 'local', sortKey: 'createdAt' },
+            { name: 'byStatus', type: 'global', partitionKey: 'status#region', sortKey: 'createdAt', projection: 'INCLUDE', nonKeyAttributes: ['total'] }
+        ], { data: 'data:string,createdAt:number,total:number,paid?:boolean' });
+
+        results.push({ step: 'Table created with indexes', passed: true });
+
+        // Step 3: Add global indexes to an existing table, then remove one
+        console.log(chalk.gray('  Adding and removing the indexes of products...'));
+        await createTableProgrammatically(outputPath, 'products', 'productId', 'variant');
+        await addTableIndexProgrammatically(outputPath, 'products', { name: 'bySku', type: 'global', partitionKey: 'sku', sortKey: 'variant', projection: 'KEYS_ONLY' });
+        await addTableIndexProgrammatically(outputPath, 'products', { name: 'byCategory', type: 'global', partitionKey: 'category', sortKey: 'price' });
+        await removeTableIndexProgrammatically(outputPath, 'products', 'byCategory');
+
+        results.push({ step: 'Global indexes added and removed', passed: true });
+
+        // Step 4: Indexes breaking the table are refused
+        await expectRefused('Local index is not added to an existing table',
+            () => addTableIndexProgrammatically(outputPath, 'products', { name: 'byPrice', type: 'local', sortKey: 'price' }), 'replace table');
+        await expectRefused('Local index is not removed from an existing table',
+            () => removeTableIndexProgrammatically(outputPath, 'orders', 'byDate'), 'replace table');
+        await expectRefused('Duplicate index is refused',
+            () => addTableIndexProgrammatically(outputPath, 'products', { name: 'bySku', type: 'global', partitionKey: 'sku', sortKey: 'price' }), 'already exists');
+        await expectRefused('INCLUDE projection without attributes is refused',
+            () => addTableIndexProgrammatically(outputPath, 'products', { name: 'byName', type: 'global', partitionKey: 'name', sortKey: 'price', projection: 'INCLUDE' }), 'no attribute to include');
+        await expectRefused('Index keyed on a boolean is refused',
+            () => addTableIndexProgrammatically(outputPath, 'orders', { name: 'byPaid', type: 'global', partitionKey: 'paid', sortKey: 'createdAt' }), 'made of strings and numbers');
+
+        // Step 5: Compare template.yaml
+        console.log(chalk.gray('  Comparing template.yaml...'));
+        const templateResult = await compareFiles(
+            path.join(outputPath, 'template.yaml'),
+            path.join(expectedPath, 'template.yaml')
+        );
+
+        if (templateResult.equal) {
+            results.push({ step: 'template.yaml matches', passed: true });
+        } else {
+            results.push({ step: 'template.yaml matches', passed: false, diff: templateResult.diff });
+            success = false;
+        }
+
+        // Step 6: Compare src/ directory
+        console.log(chalk.gray('  Comparing src/ directory...'));
+        const srcResult = await compareDirectories(
+            path.join(outputPath, 'src'),
+            path.join(expectedPath, 'src'),
+            {
+                ignore: ['node_modules', '.DS_Store']
+            }
+        );
+
+        if (srcResult.equal) {
+            results.push({ step: 'src/ directory matches', passed: true });
+        } else {
+            results.push({ step: 'src/ directory matches', passed: false, diff: srcResult.diff });
+            success = false;
+        }
+
+    } catch (error) {
+        results.push({ step: 'Test execution', passed: false, error: error.message });
+        success = false;
+    }
+
+    return {
+        testName,
+        success,
+        results
+    };
+}
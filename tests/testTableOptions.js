@@ -0,0 +1,171 @@
+import path from 'path';
+import chalk from 'chalk';
+import { fileURLToPath } from 'url';
+import {
+    generateProjectProgrammatically,
+    compareFiles,
+    compareDirectories,
+    createTableProgrammatically,
+    deleteTableProgrammatically,
+    updateTableProgrammatically,
+    addTableIndexProgrammatically,
+    removeTableIndexProgrammatically
+} from '../lib/test-utils.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Test: testTableOptions
+ * Validates updating the billing mode, capacity and autoscaling, TTL, point-in-time recovery,
+ * encryption, class and policies of tables, and refusing inconsistent options
+ */
+export async function testTableOptions() {
+    const testName = 'testTableOptions';
+
+    const expectedPath = path.join(__dirname, 'expected', testName);
+    const outputPath = path.join(__dirname, 'testOutput', testName);
+
+    const results = [];
+    let success = true;
+
+    // Run an operation expected to fail with a message containing `expected`
+    const expectRefused = async (step, operation, expected) => {
+        let error = null;
+        try {
+            await operation();
+        } catch (e) {
+            error = e;
+        }
+        const refused = error !== null && error.message.includes(expected);
+        results.push({ step, passed: refused, ...(!refused && { error: error ? error.message : 'No error thrown' }) });
+        success = success && refused;
+    };
+
+    try {
+        // Step 1: Generate initial project
+        console.log(chalk.blue(`  Generating initial project in testOutput/${testName}...`));
+        await generateProjectProgrammatically({
+            projectName: testName,
+            functionName: testName,
+            apiName: `${testName}-api`,
+            timeout: 60,
+            envVars: [],
+            templateName: 'basic',
+            architecture: 'arm64',
+            environment: 'dev',
+            envVarsWithValues: {}
+        });
+
+        results.push({ step: 'Initial project generated', passed: true });
+
+        // Step 2: Provision orders with autoscaling, TTL, backups and a customer managed key
+        console.log(chalk.gray('  Updating the options of orders...'));
+        await createTableProgrammatically(outputPath, 'orders', 'customerId', 'orderId', [
+            { name: 'byStatus', type: 'global', partitionKey: 'status', sortKey: 'createdAt' }
+        ]);
+        await updateTableProgrammatically(outputPath, 'orders', {
+            billingMode: 'PROVISIONED',
+            readCapacity: 5,
+            writeCapacity: 5,
+            autoscaling: { minCapacity: 5, maxCapacity: 50, targetUtilization: 70 },
+            ttlAttribute: 'expiresAt',
+            pointInTimeRecovery: true,
+            encryption: 'CUSTOMER_MANAGED',
+            kmsKeyId: 'alias/orders',
+            tableClass: 'STANDARD_INFREQUENT_ACCESS',
+            deletionPolicy: 'RetainExceptOnCreate'
+        });
+        // The capacity and the autoscaling of the table are copied to the global indexes added later,
+        // and the autoscaling of an index is removed with it
+        await addTableIndexProgrammatically(outputPath, 'orders', { name: 'byRegion', type: 'global', partitionKey: 'region', sortKey: 'createdAt' });
+        await addTableIndexProgrammatically(outputPath, 'orders', { name: 'byTier', type: 'global', partitionKey: 'tier', sortKey: 'createdAt' });
+        await removeTableIndexProgrammatically(outputPath, 'orders', 'byTier');
+
+        results.push({ step: 'Provisioned table updated', passed: true });
+
+        // Step 3: Switching back to on-demand removes the capacity and the autoscaling
+        console.log(chalk.gray('  Switching sessions back to on-demand...'));
+        await createTableProgrammatically(outputPath, 'sessions', 'userId', 'sessionId');
+        await updateTableProgrammatically(outputPath, 'sessions', { ttlAttribute: 'expiresAt', encryption: 'AWS_MANAGED' });
+        await updateTableProgrammatically(outputPath, 'sessions', {
+            billingMode: 'PROVISIONED',
+            readCapacity: 10,
+            writeCapacity: 2,
+            autoscaling: { minCapacity: 2, maxCapacity: 20, targetUtilization: 50 }
+        });
+        await updateTableProgrammatically(outputPath, 'sessions', {
+            billingMode: 'PAY_PER_REQUEST',
+            ttlAttribute: null,
+            deletionPolicy: 'Delete',
+            updateReplacePolicy: 'Delete'
+        });
+
+        results.push({ step: 'Table switched back to on-demand', passed: true });
+
+        // Step 4: Deleting a table removes its autoscaling
+        await createTableProgrammatically(outputPath, 'logs', 'source', 'timestamp');
+        await updateTableProgrammatically(outputPath, 'logs', {
+            billingMode: 'PROVISIONED',
+            readCapacity: 1,
+            writeCapacity: 1,
+            autoscaling: { minCapacity: 1, maxCapacity: 10, targetUtilization: 70 }
+        });
+        await deleteTableProgrammatically(outputPath, 'logs');
+
+        results.push({ step: 'Autoscaled table deleted', passed: true });
+
+        // Step 5: Inconsistent options are refused
+        await expectRefused('Autoscaling of an on-demand table is refused',
+            () => updateTableProgrammatically(outputPath, 'sessions', { autoscaling: { minCapacity: 1, maxCapacity: 10, targetUtilization: 70 } }), 'only applies to provisioned');
+        await expectRefused('Provisioned table without capacity is refused',
+            () => updateTableProgrammatically(outputPath, 'sessions', { billingMode: 'PROVISIONED' }), 'needs a read and a write capacity');
+        await expectRefused('TTL on a key attribute is refused',
+            () => updateTableProgrammatically(outputPath, 'sessions', { ttlAttribute: 'sessionId' }), 'key attribute');
+        await expectRefused('Customer managed encryption without key is refused',
+            () => updateTableProgrammatically(outputPath, 'sessions', { encryption: 'CUSTOMER_MANAGED' }), 'needs a KMS key');
+        await expectRefused('Update without options is refused',
+            () => updateTableProgrammatically(outputPath, 'sessions', {}), 'Nothing to update');
+
+        // Step 6: Compare template.yaml
+        console.log(chalk.gray('  Comparing template.yaml...'));
+        const templateResult = await compareFiles(
+            path.join(outputPath, 'template.yaml'),
+            path.join(expectedPath, 'template.yaml')
+        );
+
+        if (templateResult.equal) {
+            results.push({ step: 'template.yaml matches', passed: true });
+        } else {
+            results.push({ step: 'template.yaml matches', passed: false, diff: templateResult.diff });
+            success = false;
+        }
+
+        // Step 7: Compare src/ directory
+        console.log(chalk.gray('  Comparing src/ directory...'));
+        const srcResult = await compareDirectories(
+            path.join(outputPath, 'src'),
+            path.join(expectedPath, 'src'),
+            {
+                ignore: ['node_modules', '.DS_Store']
+            }
+        );
+
+        if (srcResult.equal) {
+            results.push({ step: 'src/ directory matches', passed: true });
+        } else {
+            results.push({ step: 'src/ directory matches', passed: false, diff: srcResult.diff });
+            success = false;
+        }
+
+    } catch (error) {
+        results.push({ step: 'Test execution', passed: false, error: error.message });
+        success = false;
+    }
+
+    return {
+        testName,
+        success,
+        results
+    };
+}
@@ -0,0 +1,135 @@
+import path from 'path';
+import chalk from 'chalk';
+import { fileURLToPath } from 'url';
+import {
+    generateProjectProgrammatically,
+    compareFiles,
+    compareDirectories,
+    addLambdaProgrammatically,
+    createTableProgrammatically,
+    attachTablesToLambdaProgrammatically,
+    addTableIndexProgrammatically,
+    enableTableStreamProgrammatically
+} from '../lib/test-utils.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Test: testTableRepository
+ * Validates the typed repositories of the tables: declared data, composite keys, batch
+ * functions, index helpers typed with the data, and the Lambdas importing them
+ */
+export async function testTableRepository() {
+    const testName = 'testTableRepository';
+
+    const expectedPath = path.join(__dirname, 'expected', testName);
+    const outputPath = path.join(__dirname, 'testOutput', testName);
+
+    const results = [];
+    let success = true;
+
+    // Run an operation expected to fail with a message containing `expected`
+    const expectRefused = async (step, operation, expected) => {
+        let error = null;
+        try {
+            await operation();
+        } catch (e) {
+            error = e;
+        }
+        const refused = error !== null && error.message.includes(expected);
+        results.push({ step, passed: refused, ...(!refused && { error: error ? error.message : 'No error thrown' }) });
+        success = success && refused;
+    };
+
+    try {
+        // Step 1: Generate initial project
+        console.log(chalk.blue(`  Generating initial project in testOutput/${testName}...`));
+        await generateProjectProgrammatically({
+            projectName: testName,
+            functionName: testName,
+            apiName: `${testName}-api`,
+            timeout: 60,
+            envVars: [],
+            templateName: 'basic',
+            architecture: 'arm64',
+            environment: 'dev',
+            envVarsWithValues: {}
+        });
+
+        results.push({ step: 'Initial project generated', passed: true });
+
+        // Step 2: Carts declare their data and allow batches, sessions keep the default data
+        console.log(chalk.gray('  Creating carts and sessions...'));
+        await createTableProgrammatically(outputPath, 'carts', 'userId#region', 'cartId#createdAt', [], {
+            data: 'total:number,items:string[],note?:string,meta:object,paid:boolean',
+            batch: true
+        });
+        await createTableProgrammatically(outputPath, 'sessions', 'sessionId', 'device');
+
+        results.push({ step: 'Tables created with their repositories', passed: true });
+
+        // Step 3: Refused data declarations
+        await expectRefused('Key attribute refused as data',
+            () => createTableProgrammatically(outputPath, 'orders', 'customerId', 'orderId', [], { data: 'orderId:string' }), 'key attribute');
+        await expectRefused('Unknown attribute type refused',
+            () => createTableProgrammatically(outputPath, 'orders', 'customerId', 'orderId', [], { data: 'total:decimal' }), "Invalid type 'decimal'");
+        await expectRefused('Repeated attribute refused',
+            () => createTableProgrammatically(outputPath, 'orders', 'customerId', 'orderId', [], { data: 'total:number,total:string' }), 'declared twice');
+
+        // Step 4: An index projecting every attribute is typed with the data of the table
+        console.log(chalk.gray('  Adding the byUser index...'));
+        await addTableIndexProgrammatically(outputPath, 'carts', { name: 'byUser', type: 'global', partitionKey: 'userId', sortKey: 'createdAt' });
+
+        results.push({ step: 'Index helper added to the repository', passed: true });
+
+        // Step 5: Lambdas import the repository, stream readers its types
+        console.log(chalk.gray('  Attaching carts and reading its stream...'));
+        await attachTablesToLambdaProgrammatically(outputPath, `${testName}Function`, ['carts', 'sessions']);
+        await enableTableStreamProgrammatically(outputPath, 'carts', 'NEW_IMAGE');
+        await addLambdaProgrammatically(outputPath, { lambdaName: 'processCarts', stream: { table: 'carts' } });
+
+        results.push({ step: 'Repository used by the Lambdas', passed: true });
+
+        // Step 6: Compare template.yaml
+        console.log(chalk.gray('  Comparing template.yaml...'));
+        const templateResult = await compareFiles(
+            path.join(outputPath, 'template.yaml'),
+            path.join(expectedPath, 'template.yaml')
+        );
+
+        if (templateResult.equal) {
+            results.push({ step: 'template.yaml matches', passed: true });
+        } else {
+            results.push({ step: 'template.yaml matches', passed: false, diff: templateResult.diff });
+            success = false;
+        }
+
+        // Step 7: Compare src/ directory
+        console.log(chalk.gray('  Comparing src/ directory...'));
+        const srcResult = await compareDirectories(
+            path.join(outputPath, 'src'),
+            path.join(expectedPath, 'src'),
+            {
+                ignore: ['node_modules', '.DS_Store']
+            }
+        );
+
+        if (srcResult.equal) {
+            results.push({ step: 'src/ directory matches', passed: true });
+        } else {
+            results.push({ step: 'src/ directory matches', passed: false, diff: srcResult.diff });
+            success = false;
+        }
+
+    } catch (error) {
+        results.push({ step: 'Test execution', passed: false, error: error.message });
+        success = false;
+    }
+
+    return {
+        testName,
+        success,
+        results
+    };
+}
@@ -0,0 +1,168 @@
+import path from 'path';
+import chalk from 'chalk';
+import { fileURLToPath } from 'url';
+import {
+    generateProjectProgrammatically,
+    compareFiles,
+    compareDirectories,
+    addLambdaProgrammatically,
+    createTableProgrammatically,
+    deleteTableProgrammatically,
+    enableTableStreamProgrammatically,
+    disableTableStreamProgrammatically,
+    attachTableStreamProgrammatically,
+    detachTableStreamProgrammatically,
+    createQueueProgrammatically,
+    createTopicProgrammatically
+} from '../lib/test-utils.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Test: testTableStreams
+ * Validates enabling DynamoDB table streams, Lambdas reading them with their batch,
+ * retry and on-failure settings, typed stream handlers, and the refused changes
+ */
+export async function testTableStreams() {
+    const testName = 'testTableStreams';
+
+    const expectedPath = path.join(__dirname, 'expected', testName);
+    const outputPath = path.join(__dirname, 'testOutput', testName);
+
+    const results = [];
+    let success = true;
+
+    // Run an operation expected to fail with a message containing `expected`
+    const expectRefused = async (step, operation, expected) => {
+        let error = null;
+        try {
+            await operation();
+        } catch (e) {
+            error = e;
+        }
+        const refused = error !== null && error.message.includes(expected);
+        results.push({ step, passed: refused, ...(!refused && { error: error ? error.message : 'No error thrown' }) });
+        success = success && refused;
+    };
+
+    try {
+        // Step 1: Generate initial project
+        console.log(chalk.blue(`  Generating initial project in testOutput/${testName}...`));
+        await generateProjectProgrammatically({
+            projectName: testName,
+            functionName: testName,
+            apiName: `${testName}-api`,
+            timeout: 60,
+            envVars: [],
+            templateName: 'basic',
+            architecture: 'arm64',
+            environment: 'dev',
+            envVarsWithValues: {}
+        });
+
+        results.push({ step: 'Initial project generated', passed: true });
+
+        // Step 2: Create the tables, and the queue and topic receiving the failed batches
+        console.log(chalk.gray('  Creating tables orders, sessions and carts...'));
+        await createTableProgrammatically(outputPath, 'orders', 'customerId', 'orderId');
+        await createTableProgrammatically(outputPath, 'sessions', 'userId#device', 'startedAt');
+        await createTableProgrammatically(outputPath, 'carts', 'cartId', 'itemId');
+        await createQueueProgrammatically(outputPath, 'failedOrders', { deadLetterQueue: false });
+        await createTopicProgrammatically(outputPath, 'alerts');
+
+        results.push({ step: 'Tables created', passed: true });
+
+        // Step 3: Enable the streams of orders and sessions
+        console.log(chalk.gray('  Enabling the streams of orders and sessions...'));
+        await enableTableStreamProgrammatically(outputPath, 'orders', 'NEW_AND_OLD_IMAGES');
+        await enableTableStreamProgrammatically(outputPath, 'sessions', 'NEW_IMAGE');
+        await enableTableStreamProgrammatically(outputPath, 'sessions', 'KEYS_ONLY');
+
+        results.push({ step: 'Streams enabled', passed: true });
+
+        // Step 4: Lambdas reading the streams, with typed handlers
+        console.log(chalk.gray('  Creating processOrders and auditSessions...'));
+        await addLambdaProgrammatically(outputPath, {
+            lambdaName: 'processOrders',
+            timeout: 30,
+            stream: {
+                table: 'orders',
+                startingPosition: 'TRIM_HORIZON',
+                batchSize: 50,
+                bisectBatchOnFunctionError: true,
+                maximumRetryAttempts: 3,
+                onFailure: 'failedOrders'
+            }
+        });
+        await addLambdaProgrammatically(outputPath, {
+            lambdaName: 'auditSessions',
+            timeout: 30,
+            stream: { table: 'sessions', onFailure: 'alerts' }
+        });
+
+        results.push({ step: 'Stream readers created', passed: true });
+
+        // Step 5: The API Lambda reads the orders stream, then stops
+        console.log(chalk.gray(`  Attaching and detaching the orders stream of ${testName}Function...`));
+        await attachTableStreamProgrammatically(outputPath, `${testName}Function`, { table: 'orders' });
+        await detachTableStreamProgrammatically(outputPath, `${testName}Function`, 'orders');
+
+        results.push({ step: 'Stream attached and detached', passed: true });
+
+        // Step 6: Changes breaking a stream reader are refused
+        await expectRefused('Table without stream is not attached',
+            () => attachTableStreamProgrammatically(outputPath, `${testName}Function`, { table: 'carts' }), 'has no stream');
+        await expectRefused('Stream read twice by a Lambda is refused',
+            () => attachTableStreamProgrammatically(outputPath, 'processOrdersFunction', { table: 'orders' }), 'already reads');
+        await expectRefused('View type of a read stream is not changed',
+            () => enableTableStreamProgrammatically(outputPath, 'orders', 'NEW_IMAGE'), 'processOrdersFunction');
+        await expectRefused('Read stream is not disabled',
+            () => disableTableStreamProgrammatically(outputPath, 'sessions'), 'auditSessionsFunction');
+        await expectRefused('Table with a read stream is not deleted',
+            () => deleteTableProgrammatically(outputPath, 'orders'), 'processOrdersFunction');
+        await expectRefused('On-failure destination must be a queue or a topic',
+            () => attachTableStreamProgrammatically(outputPath, `${testName}Function`, { table: 'orders', onFailure: 'carts' }), 'must be a queue or a topic');
+
+        // Step 7: Compare template.yaml
+        console.log(chalk.gray('  Comparing template.yaml...'));
+        const templateResult = await compareFiles(
+            path.join(outputPath, 'template.yaml'),
+            path.join(expectedPath, 'template.yaml')
+        );
+
+        if (templateResult.equal) {
+            results.push({ step: 'template.yaml matches', passed: true });
+        } else {
+            results.push({ step: 'template.yaml matches', passed: false, diff: templateResult.diff });
+            success = false;
+        }
+
+        // Step 8: Compare src/ directory
+        console.log(chalk.gray('  Comparing src/ directory...'));
+        const srcResult = await compareDirectories(
+            path.join(outputPath, 'src'),
+            path.join(expectedPath, 'src'),
+            {
+                ignore: ['node_modules', '.DS_Store']
+            }
+        );
+
+        if (srcResult.equal) {
+            results.push({ step: 'src/ directory matches', passed: true });
+        } else {
+            results.push({ step: 'src/ directory matches', passed: false, diff: srcResult.diff });
+            success = false;
+        }
+
+    } catch (error) {
+        results.push({ step: 'Test execution', passed: false, error: error.message });
+        success = false;
+    }
+
+    return {
+        testName,
+        success,
+        results
+    };
+}
@@ -0,0 +1,159 @@
+import path from 'path';
+import fs from 'fs-extra';
+import chalk from 'chalk';
+import { fileURLToPath } from 'url';
+import { spawnSync } from 'child_process';
+import {
+    generateProjectProgrammatically,
+    compareFiles,
+    compareDirectories
+} from '../lib/test-utils.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const cliPath = path.join(__dirname, '..', 'bin', 'index.js');
+
+/**
+ * Run bin/index.js in a project directory without a terminal attached
+ * @param {string} cwd - Project directory
+ * @param {string[]} args - Command line arguments
+ * @returns {{status: number, stdout: string, stderr: string}}
+ */
+function runCli(cwd, args) {
+    const result = spawnSync(process.execPath, [cliPath, ...args], {
+        cwd,
+        encoding: 'utf8',
+        stdio: ['ignore', 'pipe', 'pipe'],
+        timeout: 120000,
+    });
+    return { status: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+/**
+ * Compare template.yaml and src/ of the project with a snapshot
+ * @param {string} projectPath - Project directory
+ * @param {string} snapshotPath - Snapshot directory
+ * @returns {Promise<{equal: boolean, diff: string}>}
+ */
+async function compareWithSnapshot(projectPath, snapshotPath) {
+    const templateResult = await compareFiles(
+        path.join(projectPath, 'template.yaml'),
+        path.join(snapshotPath, 'template.yaml')
+    );
+    const srcResult = await compareDirectories(
+        path.join(projectPath, 'src'),
+        path.join(snapshotPath, 'src'),
+        {
+            ignore: ['node_modules', '.DS_Store']
+        }
+    );
+    return {
+        equal: templateResult.equal && srcResult.equal,
+        diff: [templateResult.diff, srcResult.diff].filter(Boolean).join('\n'),
+    };
+}
+
+/**
+ * Test: testUndoRedo
+ * Validates that operations are recorded in .sam-smith/history and that
+ * `sam-smith undo`, `redo` and `history` restore and list them
+ */
+export async function testUndoRedo() {
+    const testName = 'testUndoRedo';
+
+    const outputPath = path.join(__dirname, 'testOutput', testName);
+    const initialSnapshot = path.join(__dirname, 'testOutput', `${testName}Initial`);
+    const finalSnapshot = path.join(__dirname, 'testOutput', `${testName}Final`);
+
+    const results = [];
+    let success = true;
+
+    const run = (args, expectedStatus = 0) => {
+        console.log(chalk.gray(`  sam-smith ${args.join(' ')}`));
+        const result = runCli(outputPath, args);
+        if (result.status !== expectedStatus) {
+            throw new Error(`sam-smith ${args.join(' ')} exited with code ${result.status} (expected ${expectedStatus}): ${result.stderr}`);
+        }
+        return result;
+    };
+
+    const check = async (step, snapshotPath) => {
+        const result = await compareWithSnapshot(outputPath, snapshotPath);
+        results.push({ step, passed: result.equal, ...(!result.equal && { diff: result.diff }) });
+        success = success && result.equal;
+    };
+
+    try {
+        // Step 1: Generate initial project
+        console.log(chalk.blue(`  Generating initial project in testOutput/${testName}...`));
+        await generateProjectProgrammatically({
+            projectName: testName,
+            functionName: testName,
+            apiName: `${testName}-api`,
+            timeout: 60,
+            envVars: [],
+            templateName: 'basic',
+            architecture: 'arm64',
+            environment: 'dev',
+            envVarsWithValues: {}
+        });
+        await fs.copy(outputPath, initialSnapshot);
+
+        results.push({ step: 'Initial project generated', passed: true });
+
+        // Step 2: Apply three operations
+        run(['lambda', 'create', '--name', 'orders']);
+        run(['layer', 'create', '--name', 'shared']);
+        run(['lambda', 'add-layer', '--name', 'orders', '--layer', 'shared']);
+        await fs.copy(outputPath, finalSnapshot);
+
+        const history = run(['history']).stdout;
+        const listed = ["Lambda 'ordersFunction' created", "Layer 'shared' created", "Layer 'shared' added to 'ordersFunction'"]
+            .every(description => history.includes(description));
+        results.push({ step: 'History lists the operations', passed: listed, ...(!listed && { error: history }) });
+        success = success && listed;
+
+        // Step 3: Undo everything, src/orders and src/layers are removed
+        run(['undo']);
+        run(['undo']);
+        run(['undo']);
+        run(['undo'], 1);
+        await check('Undo restores the initial project', initialSnapshot);
+
+        // Step 4: Redo everything
+        run(['redo']);
+        run(['redo']);
+        run(['redo']);
+        run(['redo'], 1);
+        await check('Redo restores the final project', finalSnapshot);
+
+        // Step 5: Files edited since the operation are not overwritten without --force
+        run(['undo']);
+        const templatePath = path.join(outputPath, 'template.yaml');
+        await fs.appendFile(templatePath, '# manual edit\n');
+        const conflict = run(['redo'], 1);
+        const conflictReported = conflict.stderr.includes('template.yaml') && conflict.stderr.includes('--force');
+        results.push({ step: 'Redo refuses to overwrite edited files', passed: conflictReported, ...(!conflictReported && { error: conflict.stderr }) });
+        success = success && conflictReported;
+
+        run(['redo', '--force']);
+        await check('Redo --force restores the final project', finalSnapshot);
+
+        // Step 6: A new operation after an undo drops the undone ones
+        run(['undo']);
+        run(['layer', 'create', '--name', 'other']);
+        run(['redo'], 1);
+        results.push({ step: 'New operation clears the redo stack', passed: true });
+
+    } catch (error) {
+        results.push({ step: 'Test execution', passed: false, error: error.message });
+        success = false;
+    }
+
+    return {
+        testName,
+        success,
+        results
+    };
+}